@@ -0,0 +1,216 @@
+using DemoInventory.Application.DTOs;
+using DemoInventory.Application.Exceptions;
+using DemoInventory.Application.Interfaces;
+using Microsoft.AspNetCore.Mvc;
+using Microsoft.AspNetCore.Authorization;
+using Swashbuckle.AspNetCore.Annotations;
+using System.ComponentModel.DataAnnotations;
+
+namespace DemoInventory.API.Controllers;
+
+/// <summary>
+/// API controller for managing the product category tree
+/// </summary>
+[ApiController]
+[Route("api/[controller]")]
+[Authorize] // Require authentication for the entire controller, with explicit [AllowAnonymous] for public endpoints
+[SwaggerTag("Product category management operations")]
+public class CategoriesController : ControllerBase
+{
+    private readonly ICategoryService _categoryService;
+
+    public CategoriesController(ICategoryService categoryService)
+    {
+        _categoryService = categoryService;
+    }
+
+    /// <summary>
+    /// Get all categories
+    /// </summary>
+    /// <returns>Every category, each followed by its subcategories</returns>
+    /// <response code="200">Returns the list of categories</response>
+    [HttpGet]
+    [AllowAnonymous] // Public endpoint for reading category data
+    [SwaggerOperation(Summary = "Get all categories", Description = "Retrieves every category with its path and product count, each followed by its subcategories, sorted by name")]
+    [SwaggerResponse(200, "Success", typeof(IEnumerable<CategoryDto>))]
+    public async Task<ActionResult<IEnumerable<CategoryDto>>> GetCategories()
+    {
+        var categories = await _categoryService.GetCategoriesAsync();
+        return Ok(categories);
+    }
+
+    /// <summary>
+    /// Get a specific category by ID
+    /// </summary>
+    /// <param name="id">The ID of the category to retrieve</param>
+    /// <returns>The category with the specified ID</returns>
+    /// <response code="200">Returns the category</response>
+    /// <response code="404">Category not found</response>
+    /// <response code="400">Invalid category ID</response>
+    [HttpGet("{id}")]
+    [AllowAnonymous] // Public endpoint for reading category data
+    [SwaggerOperation(Summary = "Get category by ID", Description = "Retrieves a specific category by its ID")]
+    [SwaggerResponse(200, "Success", typeof(CategoryDto))]
+    [SwaggerResponse(404, "Category not found")]
+    [SwaggerResponse(400, "Invalid category ID")]
+    public async Task<ActionResult<CategoryDto>> GetCategory([FromRoute] [Range(1, 2000000000, ErrorMessage = "Category ID must be a positive integer")] int id)
+    {
+        // Input validation
+        if (id <= 0)
+        {
+            return BadRequest("Category ID must be a positive integer.");
+        }
+
+        var category = await _categoryService.GetCategoryByIdAsync(id);
+        if (category == null)
+            return NotFound();
+
+        return Ok(category);
+    }
+
+    /// <summary>
+    /// Create a new category
+    /// </summary>
+    /// <param name="createCategoryDto">The name of the category and the category to create it under</param>
+    /// <returns>The created category</returns>
+    /// <response code="201">Category created successfully</response>
+    /// <response code="400">Invalid category data</response>
+    /// <response code="401">Unauthorized - API key required</response>
+    [HttpPost]
+    [Authorize]
+    [ValidateAntiForgeryToken] // Add CSRF protection
+    [SwaggerOperation(Summary = "Create category", Description = "Creates a top-level category, or a subcategory when parentId is given. Names must be unique among a parent's subcategories.")]
+    [SwaggerResponse(201, "Category created successfully", typeof(CategoryDto))]
+    [SwaggerResponse(400, "Invalid category data", typeof(ValidationProblemDetails))]
+    [SwaggerResponse(401, "Unauthorized - API key required")]
+    public async Task<ActionResult<CategoryDto>> CreateCategory([FromBody] CreateCategoryDto createCategoryDto)
+    {
+        // Model validation
+        if (!ModelState.IsValid)
+        {
+            return BadRequest(ModelState);
+        }
+
+        try
+        {
+            var category = await _categoryService.CreateCategoryAsync(createCategoryDto);
+            return CreatedAtAction(nameof(GetCategory), new { id = category.Id }, category);
+        }
+        catch (ArgumentException ex)
+        {
+            return FieldValidationProblem(ex);
+        }
+    }
+
+    /// <summary>
+    /// Rename or move a category
+    /// </summary>
+    /// <param name="id">The ID of the category to update</param>
+    /// <param name="updateCategoryDto">The new name of the category and the category to move it under</param>
+    /// <returns>The updated category</returns>
+    /// <response code="200">Category updated successfully</response>
+    /// <response code="404">Category not found</response>
+    /// <response code="400">Invalid category data, or a parent that would put the category inside itself</response>
+    /// <response code="401">Unauthorized - API key required</response>
+    [HttpPut("{id}")]
+    [Authorize]
+    [ValidateAntiForgeryToken] // Add CSRF protection
+    [SwaggerOperation(Summary = "Update category", Description = "Renames a category or moves it, with its subcategories and products, under another parent. A category cannot be moved under itself or one of its subcategories.")]
+    [SwaggerResponse(200, "Category updated successfully", typeof(CategoryDto))]
+    [SwaggerResponse(404, "Category not found")]
+    [SwaggerResponse(400, "Invalid category data", typeof(ValidationProblemDetails))]
+    [SwaggerResponse(401, "Unauthorized - API key required")]
+    public async Task<ActionResult<CategoryDto>> UpdateCategory([FromRoute] [Range(1, 2000000000, ErrorMessage = "Category ID must be a positive integer")] int id, [FromBody] UpdateCategoryDto updateCategoryDto)
+    {
+        // Input validation
+        if (id <= 0)
+        {
+            return BadRequest("Category ID must be a positive integer.");
+        }
+
+        // Model validation
+        if (!ModelState.IsValid)
+        {
+            return BadRequest(ModelState);
+        }
+
+        try
+        {
+            var category = await _categoryService.UpdateCategoryAsync(id, updateCategoryDto);
+            return Ok(category);
+        }
+        catch (InvalidOperationException)
+        {
+            return NotFound();
+        }
+        catch (ArgumentException ex)
+        {
+            return FieldValidationProblem(ex);
+        }
+    }
+
+    /// <summary>
+    /// Delete a category
+    /// </summary>
+    /// <param name="id">The ID of the category to delete</param>
+    /// <returns>No content</returns>
+    /// <response code="204">Category deleted successfully</response>
+    /// <response code="404">Category not found</response>
+    /// <response code="400">Invalid category ID</response>
+    /// <response code="401">Unauthorized - API key required</response>
+    /// <response code="409">Products or subcategories are still filed under the category</response>
+    [HttpDelete("{id}")]
+    [Authorize]
+    [ValidateAntiForgeryToken] // Add CSRF protection
+    [SwaggerOperation(Summary = "Delete category", Description = "Deletes a category. Categories that still hold products or subcategories are not deleted; move those first.")]
+    [SwaggerResponse(204, "Category deleted successfully")]
+    [SwaggerResponse(404, "Category not found")]
+    [SwaggerResponse(400, "Invalid category ID")]
+    [SwaggerResponse(401, "Unauthorized - API key required")]
+    [SwaggerResponse(409, "Category is still in use", typeof(ProblemDetails))]
+    public async Task<IActionResult> DeleteCategory([FromRoute] [Range(1, 2000000000, ErrorMessage = "Category ID must be a positive integer")] int id)
+    {
+        // Input validation
+        if (id <= 0)
+        {
+            return BadRequest("Category ID must be a positive integer.");
+        }
+
+        try
+        {
+            await _categoryService.DeleteCategoryAsync(id);
+            return NoContent();
+        }
+        catch (CategoryInUseException ex)
+        {
+            var problem = new ProblemDetails
+            {
+                Status = StatusCodes.Status409Conflict,
+                Title = "Category is still in use.",
+                Detail = "Move its products and subcategories to another category, then delete it."
+            };
+            problem.Extensions["productCount"] = ex.ProductCount;
+            problem.Extensions["subcategoryCount"] = ex.SubcategoryCount;
+            return Conflict(problem);
+        }
+        catch (InvalidOperationException)
+        {
+            return NotFound();
+        }
+    }
+
+    /// <summary>
+    /// Report a validation failure from the service as a 400 problem details response keyed by the invalid field
+    /// </summary>
+    /// <param name="exception">The exception whose ParamName names the invalid field</param>
+    /// <returns>A validation problem with the error under the field name, or under an empty key when no field is named</returns>
+    private ActionResult FieldValidationProblem(ArgumentException exception)
+    {
+        // ArgumentException appends " (Parameter 'name')" to its message; the error key already names the field
+        var message = exception.ParamName is null
+            ? exception.Message
+            : exception.Message.Replace($" (Parameter '{exception.ParamName}')", string.Empty);
+        ModelState.AddModelError(exception.ParamName ?? string.Empty, message);
+        return ValidationProblem(statusCode: StatusCodes.Status400BadRequest, modelStateDictionary: ModelState);
+    }
+}
\ No newline at end of file
@@ -1,9 +1,12 @@
 using DemoInventory.Application.DTOs;
+using DemoInventory.Application.Exceptions;
 using DemoInventory.Application.Interfaces;
+using DemoInventory.Domain.Entities;
 using Microsoft.AspNetCore.Mvc;
 using Microsoft.AspNetCore.Authorization;
 using Swashbuckle.AspNetCore.Annotations;
 using System.ComponentModel.DataAnnotations;
+using System.Text.Json;
 
 namespace DemoInventory.API.Controllers;
 
@@ -16,6 +19,24 @@ namespace DemoInventory.API.Controllers;
 [SwaggerTag("Products management operations")]
 public class ProductsController : ControllerBase
 {
+    // How often an idle event stream sends a comment so proxies don't close it
+    private static readonly TimeSpan EventStreamHeartbeat = TimeSpan.FromSeconds(15);
+
+    // Events are written by hand, so they need the same camelCase names as the rest of the API
+    private static readonly JsonSerializerOptions EventJsonOptions = new(JsonSerializerDefaults.Web);
+
+    // Room for the largest image and thumbnail plus the other form fields
+    private const long MaxImageRequestBytes = ProductImage.MaxSizeInBytes + ProductImage.MaxThumbnailSizeInBytes + 64 * 1024;
+
+    // The upload form's fields named by the image properties the service reports problems with
+    private static readonly IReadOnlyDictionary<string, string> ImageFormFields = new Dictionary<string, string>
+    {
+        [nameof(ProductImage.ContentType)] = "file",
+        [nameof(ProductImage.Data)] = "file",
+        [nameof(ProductImage.ThumbnailData)] = "thumbnail",
+        [nameof(ProductImage.Width)] = "width"
+    };
+
     private readonly IProductService _productService;
 
     public ProductsController(IProductService productService)
@@ -67,6 +88,111 @@ public class ProductsController : ControllerBase
         return Ok(product);
     }
 
+    /// <summary>
+    /// Get the change history of a product
+    /// </summary>
+    /// <param name="id">The ID of the product</param>
+    /// <returns>The recorded versions of the product, oldest first</returns>
+    /// <response code="200">Returns the product's versions</response>
+    /// <response code="404">Product not found</response>
+    /// <response code="400">Invalid product ID</response>
+    [HttpGet("{id}/history")]
+    [AllowAnonymous] // Public endpoint for reading product data
+    [SwaggerOperation(Summary = "Get product history", Description = "Retrieves every recorded version of a product's name, description, price and stock, oldest first")]
+    [SwaggerResponse(200, "Success", typeof(IEnumerable<ProductVersionDto>))]
+    [SwaggerResponse(404, "Product not found")]
+    [SwaggerResponse(400, "Invalid product ID")]
+    public async Task<ActionResult<IEnumerable<ProductVersionDto>>> GetProductHistory([FromRoute] [Range(1, 2000000000, ErrorMessage = "Product ID must be a positive integer")] int id)
+    {
+        // Input validation
+        if (id <= 0)
+        {
+            return BadRequest("Product ID must be a positive integer.");
+        }
+
+        var history = await _productService.GetProductHistoryAsync(id);
+        if (history == null)
+            return NotFound();
+
+        return Ok(history);
+    }
+
+    /// <summary>
+    /// Get the stock adjustments of a product
+    /// </summary>
+    /// <param name="id">The ID of the product</param>
+    /// <returns>The recorded stock adjustments of the product, newest first</returns>
+    /// <response code="200">Returns the product's stock adjustments</response>
+    /// <response code="404">Product not found</response>
+    /// <response code="400">Invalid product ID</response>
+    [HttpGet("{id}/stock-adjustments")]
+    [AllowAnonymous] // Public endpoint for reading product data
+    [SwaggerOperation(Summary = "Get stock adjustments", Description = "Retrieves every recorded stock adjustment of a product with its reason and note, newest first")]
+    [SwaggerResponse(200, "Success", typeof(IEnumerable<StockAdjustmentDto>))]
+    [SwaggerResponse(404, "Product not found")]
+    [SwaggerResponse(400, "Invalid product ID")]
+    public async Task<ActionResult<IEnumerable<StockAdjustmentDto>>> GetStockAdjustments([FromRoute] [Range(1, 2000000000, ErrorMessage = "Product ID must be a positive integer")] int id)
+    {
+        // Input validation
+        if (id <= 0)
+        {
+            return BadRequest("Product ID must be a positive integer.");
+        }
+
+        var adjustments = await _productService.GetStockAdjustmentsAsync(id);
+        if (adjustments == null)
+            return NotFound();
+
+        return Ok(adjustments);
+    }
+
+    /// <summary>
+    /// Adjust the stock level of a product
+    /// </summary>
+    /// <param name="id">The ID of the product to adjust</param>
+    /// <param name="createStockAdjustmentDto">The change in quantity, its reason and an optional note</param>
+    /// <returns>The recorded stock adjustment</returns>
+    /// <response code="201">Stock adjusted successfully</response>
+    /// <response code="404">Product not found</response>
+    /// <response code="400">Invalid adjustment, or the stock level would go below zero</response>
+    /// <response code="401">Unauthorized - API key required</response>
+    [HttpPost("{id}/stock-adjustments")]
+    [Authorize]
+    [ValidateAntiForgeryToken] // Add CSRF protection
+    [SwaggerOperation(Summary = "Adjust stock", Description = "Adds or removes stock by a delta, recording the reason (received, sold, damaged, cycleCount or return) and a note. The delta is applied to the current stock level on the server, so concurrent adjustments are not lost.")]
+    [SwaggerResponse(201, "Stock adjusted successfully", typeof(StockAdjustmentDto))]
+    [SwaggerResponse(404, "Product not found")]
+    [SwaggerResponse(400, "Invalid adjustment data")]
+    [SwaggerResponse(401, "Unauthorized - API key required")]
+    public async Task<ActionResult<StockAdjustmentDto>> AdjustStock([FromRoute] [Range(1, 2000000000, ErrorMessage = "Product ID must be a positive integer")] int id, [FromBody] CreateStockAdjustmentDto createStockAdjustmentDto)
+    {
+        // Input validation
+        if (id <= 0)
+        {
+            return BadRequest("Product ID must be a positive integer.");
+        }
+
+        // Model validation
+        if (!ModelState.IsValid)
+        {
+            return BadRequest(ModelState);
+        }
+
+        try
+        {
+            var adjustment = await _productService.AdjustStockAsync(id, createStockAdjustmentDto);
+            return CreatedAtAction(nameof(GetStockAdjustments), new { id }, adjustment);
+        }
+        catch (InvalidOperationException)
+        {
+            return NotFound();
+        }
+        catch (ArgumentException ex)
+        {
+            return BadRequest(ex.Message);
+        }
+    }
+
     /// <summary>
     /// Get a product by its SKU (Stock Keeping Unit)
     /// </summary>
@@ -161,6 +287,123 @@ public class ProductsController : ControllerBase
         return Ok(products);
     }
 
+    /// <summary>
+    /// Get a page of products with optional sorting and filtering
+    /// </summary>
+    /// <param name="query">Paging, sorting and filtering parameters</param>
+    /// <returns>The requested page of products with paging metadata</returns>
+    /// <response code="200">Returns the requested page of products</response>
+    /// <response code="400">Invalid paging, sorting or filter parameters</response>
+    [HttpGet("paged")]
+    [AllowAnonymous] // Public endpoint for reading product data
+    [SwaggerOperation(Summary = "Get paged products", Description = "Retrieves a page of products, optionally sorted and filtered by name, price, stock, creation date, category (including its subcategories) and tags")]
+    [SwaggerResponse(200, "Success", typeof(PagedResultDto<ProductDto>))]
+    [SwaggerResponse(400, "Invalid query parameters")]
+    public async Task<ActionResult<PagedResultDto<ProductDto>>> GetPagedProducts([FromQuery] ProductQueryDto query)
+    {
+        // Model validation
+        if (!ModelState.IsValid)
+        {
+            return BadRequest(ModelState);
+        }
+
+        try
+        {
+            var result = await _productService.QueryProductsAsync(query);
+            return Ok(result);
+        }
+        catch (ArgumentException ex)
+        {
+            return BadRequest(ex.Message);
+        }
+    }
+
+    /// <summary>
+    /// Count the products matching a query per category and tag
+    /// </summary>
+    /// <param name="query">Filtering parameters, as for the paged list; paging and sorting are ignored</param>
+    /// <returns>Every category and tag with the number of matching products</returns>
+    /// <response code="200">Returns the counts per category and tag</response>
+    /// <response code="400">Invalid filter parameters</response>
+    [HttpGet("facets")]
+    [AllowAnonymous] // Public endpoint for reading product data
+    [SwaggerOperation(Summary = "Get product facets", Description = "Counts the products matching the filters in each category (including its subcategories) and carrying each tag. Category counts ignore the categoryId filter so other categories can still be picked.")]
+    [SwaggerResponse(200, "Success", typeof(ProductFacetsDto))]
+    [SwaggerResponse(400, "Invalid query parameters")]
+    public async Task<ActionResult<ProductFacetsDto>> GetProductFacets([FromQuery] ProductQueryDto query)
+    {
+        // Model validation
+        if (!ModelState.IsValid)
+        {
+            return BadRequest(ModelState);
+        }
+
+        try
+        {
+            var facets = await _productService.GetProductFacetsAsync(query);
+            return Ok(facets);
+        }
+        catch (ArgumentException ex)
+        {
+            return BadRequest(ex.Message);
+        }
+    }
+
+    /// <summary>
+    /// Stream product changes as server-sent events
+    /// </summary>
+    /// <param name="productEvents">The broadcaster the product service reports changes to</param>
+    /// <param name="cancellationToken">Cancelled when the client disconnects</param>
+    /// <returns>A text/event-stream response that stays open until the client disconnects</returns>
+    /// <response code="200">An event stream with one JSON message per created, updated or deleted product</response>
+    [HttpGet("events")]
+    [AllowAnonymous] // EventSource cannot send the API key header, and the events only carry public product data
+    [Produces("text/event-stream")]
+    [SwaggerOperation(Summary = "Stream product changes", Description = "Keeps the connection open and sends a server-sent event with a ProductEventDto for every product created, updated or deleted")]
+    [SwaggerResponse(200, "Event stream", typeof(ProductEventDto))]
+    public async Task StreamProductEvents([FromServices] IProductEventBroadcaster productEvents, CancellationToken cancellationToken)
+    {
+        Response.ContentType = "text/event-stream";
+        Response.Headers.CacheControl = "no-cache";
+        // Stop reverse proxies such as nginx from holding events back
+        Response.Headers["X-Accel-Buffering"] = "no";
+
+        var reader = productEvents.Subscribe(cancellationToken);
+        try
+        {
+            // How long EventSource waits before reconnecting after the connection drops
+            await Response.WriteAsync("retry: 5000\n\n", cancellationToken);
+            await Response.Body.FlushAsync(cancellationToken);
+
+            Task<bool>? waiting = null;
+            while (true)
+            {
+                waiting ??= reader.WaitToReadAsync(cancellationToken).AsTask();
+                var completed = await Task.WhenAny(waiting, Task.Delay(EventStreamHeartbeat, cancellationToken));
+                if (completed != waiting)
+                {
+                    await Response.WriteAsync(": keep-alive\n\n", cancellationToken);
+                    await Response.Body.FlushAsync(cancellationToken);
+                    continue;
+                }
+
+                if (!await waiting)
+                    break;
+                waiting = null;
+
+                while (reader.TryRead(out var productEvent))
+                {
+                    await Response.WriteAsync($"data: {JsonSerializer.Serialize(productEvent, EventJsonOptions)}\n\n", cancellationToken);
+                }
+                await Response.Body.FlushAsync(cancellationToken);
+            }
+        }
+        catch (OperationCanceledException)
+        {
+            // The client disconnected
+        }
+    }
+
     /// <summary>
     /// Simulate a server error for testing purposes
     /// </summary>
@@ -192,7 +435,7 @@ public class ProductsController : ControllerBase
     [ValidateAntiForgeryToken] // Add CSRF protection
     [SwaggerOperation(Summary = "Create product", Description = "Creates a new product in the inventory")]
     [SwaggerResponse(201, "Product created successfully", typeof(ProductDto))]
-    [SwaggerResponse(400, "Invalid product data")]
+    [SwaggerResponse(400, "Invalid product data", typeof(ValidationProblemDetails))]
     [SwaggerResponse(401, "Unauthorized - API key required")]
     public async Task<ActionResult<ProductDto>> CreateProduct([FromBody] CreateProductDto createProductDto)
     {
@@ -209,7 +452,7 @@ public class ProductsController : ControllerBase
         }
         catch (ArgumentException ex)
         {
-            return BadRequest(ex.Message);
+            return FieldValidationProblem(ex);
         }
     }
 
@@ -223,14 +466,16 @@ public class ProductsController : ControllerBase
     /// <response code="404">Product not found</response>
     /// <response code="400">Invalid product data</response>
     /// <response code="401">Unauthorized - API key required</response>
+    /// <response code="409">The product has changed since expectedUpdatedAt; the body carries the current product</response>
     [HttpPut("{id}")]
     [Authorize]
     [ValidateAntiForgeryToken] // Add CSRF protection
-    [SwaggerOperation(Summary = "Update product", Description = "Updates an existing product in the inventory")]
+    [SwaggerOperation(Summary = "Update product", Description = "Updates an existing product in the inventory. Send expectedUpdatedAt to reject the update if someone else changed the product first.")]
     [SwaggerResponse(200, "Product updated successfully", typeof(ProductDto))]
     [SwaggerResponse(404, "Product not found")]
-    [SwaggerResponse(400, "Invalid product data")]
+    [SwaggerResponse(400, "Invalid product data", typeof(ValidationProblemDetails))]
     [SwaggerResponse(401, "Unauthorized - API key required")]
+    [SwaggerResponse(409, "Product was modified by someone else", typeof(ProblemDetails))]
     public async Task<ActionResult<ProductDto>> UpdateProduct([FromRoute] [Range(1, 2000000000, ErrorMessage = "Product ID must be a positive integer")] int id, [FromBody] UpdateProductDto updateProductDto)
     {
         // Input validation
@@ -250,10 +495,25 @@ public class ProductsController : ControllerBase
             var product = await _productService.UpdateProductAsync(id, updateProductDto);
             return Ok(product);
         }
+        catch (ProductConflictException ex)
+        {
+            var problem = new ProblemDetails
+            {
+                Status = StatusCodes.Status409Conflict,
+                Title = "Product was modified by someone else.",
+                Detail = "Reload the product or merge your changes with the current values and save again."
+            };
+            problem.Extensions["currentProduct"] = ex.CurrentProduct;
+            return Conflict(problem);
+        }
         catch (InvalidOperationException)
         {
             return NotFound();
         }
+        catch (ArgumentException ex)
+        {
+            return FieldValidationProblem(ex);
+        }
     }
 
     /// <summary>
@@ -284,4 +544,284 @@ public class ProductsController : ControllerBase
         await _productService.DeleteProductAsync(id);
         return NoContent();
     }
+
+    /// <summary>
+    /// Get the images of a product
+    /// </summary>
+    /// <param name="id">The ID of the product</param>
+    /// <returns>The details of the product's images, in the order they were uploaded</returns>
+    /// <response code="200">Returns the product's images</response>
+    /// <response code="404">Product not found</response>
+    /// <response code="400">Invalid product ID</response>
+    [HttpGet("{id}/images")]
+    [AllowAnonymous] // Public endpoint for reading product data
+    [SwaggerOperation(Summary = "Get product images", Description = "Retrieves the details of every image of a product, in the order they were uploaded. The images themselves are served by the image and thumbnail endpoints.")]
+    [SwaggerResponse(200, "Success", typeof(IEnumerable<ProductImageDto>))]
+    [SwaggerResponse(404, "Product not found")]
+    [SwaggerResponse(400, "Invalid product ID")]
+    public async Task<ActionResult<IEnumerable<ProductImageDto>>> GetProductImages([FromRoute] [Range(1, 2000000000, ErrorMessage = "Product ID must be a positive integer")] int id)
+    {
+        // Input validation
+        if (id <= 0)
+        {
+            return BadRequest("Product ID must be a positive integer.");
+        }
+
+        var images = await _productService.GetProductImagesAsync(id);
+        if (images == null)
+            return NotFound();
+
+        return Ok(images);
+    }
+
+    /// <summary>
+    /// Get a product image
+    /// </summary>
+    /// <param name="id">The ID of the product</param>
+    /// <param name="imageId">The ID of the image</param>
+    /// <returns>The image file</returns>
+    /// <response code="200">Returns the image</response>
+    /// <response code="404">Product or image not found</response>
+    /// <response code="400">Invalid product or image ID</response>
+    [HttpGet("{id}/images/{imageId}")]
+    [AllowAnonymous] // Public so images can be shown with a plain img element
+    [SwaggerOperation(Summary = "Get product image", Description = "Serves a product image. Images never change once uploaded, so they can be cached indefinitely.")]
+    [SwaggerResponse(200, "The image")]
+    [SwaggerResponse(404, "Product or image not found")]
+    [SwaggerResponse(400, "Invalid product or image ID")]
+    public Task<IActionResult> GetProductImage([FromRoute] [Range(1, 2000000000, ErrorMessage = "Product ID must be a positive integer")] int id, [FromRoute] [Range(1, 2000000000, ErrorMessage = "Image ID must be a positive integer")] int imageId)
+    {
+        return ServeImageAsync(id, imageId, thumbnail: false);
+    }
+
+    /// <summary>
+    /// Get the thumbnail of a product image
+    /// </summary>
+    /// <param name="id">The ID of the product</param>
+    /// <param name="imageId">The ID of the image</param>
+    /// <returns>The thumbnail file, or the image itself when it was uploaded without one</returns>
+    /// <response code="200">Returns the thumbnail</response>
+    /// <response code="404">Product or image not found</response>
+    /// <response code="400">Invalid product or image ID</response>
+    [HttpGet("{id}/images/{imageId}/thumbnail")]
+    [AllowAnonymous] // Public so thumbnails can be shown with a plain img element
+    [SwaggerOperation(Summary = "Get product image thumbnail", Description = "Serves the small copy of a product image shown in lists, or the image itself when it was uploaded without one")]
+    [SwaggerResponse(200, "The thumbnail")]
+    [SwaggerResponse(404, "Product or image not found")]
+    [SwaggerResponse(400, "Invalid product or image ID")]
+    public Task<IActionResult> GetProductImageThumbnail([FromRoute] [Range(1, 2000000000, ErrorMessage = "Product ID must be a positive integer")] int id, [FromRoute] [Range(1, 2000000000, ErrorMessage = "Image ID must be a positive integer")] int imageId)
+    {
+        return ServeImageAsync(id, imageId, thumbnail: true);
+    }
+
+    /// <summary>
+    /// Upload an image of a product
+    /// </summary>
+    /// <param name="id">The ID of the product</param>
+    /// <param name="file">The image: JPEG, PNG or WebP, up to 5 MB</param>
+    /// <param name="thumbnail">An optional smaller copy of the image for lists, in the same format, up to 512 KB</param>
+    /// <param name="width">Width of the image in pixels</param>
+    /// <param name="height">Height of the image in pixels</param>
+    /// <param name="isPrimary">Make the image the one shown for the product in lists; a product's first image always is</param>
+    /// <returns>The details of the uploaded image</returns>
+    /// <response code="201">Image uploaded successfully</response>
+    /// <response code="404">Product not found</response>
+    /// <response code="400">Missing file, unsupported format, too large, or the product already has 10 images</response>
+    /// <response code="401">Unauthorized - API key required</response>
+    [HttpPost("{id}/images")]
+    [Authorize]
+    [ValidateAntiForgeryToken] // Add CSRF protection
+    [Consumes("multipart/form-data")]
+    [RequestSizeLimit(MaxImageRequestBytes)]
+    [RequestFormLimits(MultipartBodyLengthLimit = MaxImageRequestBytes)]
+    [SwaggerOperation(Summary = "Upload product image", Description = "Adds a JPEG, PNG or WebP image of up to 5 MB to a product, optionally with a thumbnail. Clients are expected to resize images before uploading them; they are stored as sent.")]
+    [SwaggerResponse(201, "Image uploaded successfully", typeof(ProductImageDto))]
+    [SwaggerResponse(404, "Product not found")]
+    [SwaggerResponse(400, "Invalid image", typeof(ValidationProblemDetails))]
+    [SwaggerResponse(401, "Unauthorized - API key required")]
+    public async Task<ActionResult<ProductImageDto>> UploadProductImage(
+        [FromRoute] [Range(1, 2000000000, ErrorMessage = "Product ID must be a positive integer")] int id,
+        IFormFile? file,
+        IFormFile? thumbnail,
+        [FromForm] int width,
+        [FromForm] int height,
+        [FromForm] bool isPrimary)
+    {
+        // Input validation
+        if (id <= 0)
+        {
+            return BadRequest("Product ID must be a positive integer.");
+        }
+
+        // Check the sizes before reading the files into memory
+        if (file == null || file.Length == 0)
+        {
+            ModelState.AddModelError("file", "An image file is required.");
+        }
+        else if (file.Length > ProductImage.MaxSizeInBytes)
+        {
+            ModelState.AddModelError("file", $"Images cannot exceed {ProductImage.MaxSizeInBytes / (1024 * 1024)} MB.");
+        }
+        if (thumbnail != null && thumbnail.Length > ProductImage.MaxThumbnailSizeInBytes)
+        {
+            ModelState.AddModelError("thumbnail", $"Thumbnails cannot exceed {ProductImage.MaxThumbnailSizeInBytes / 1024} KB.");
+        }
+
+        // Model validation
+        if (!ModelState.IsValid)
+        {
+            return ValidationProblem(statusCode: StatusCodes.Status400BadRequest, modelStateDictionary: ModelState);
+        }
+
+        try
+        {
+            var image = await _productService.AddProductImageAsync(id, new CreateProductImageDto
+            {
+                FileName = file!.FileName,
+                ContentType = file.ContentType,
+                Width = width,
+                Height = height,
+                Data = await ReadAllBytesAsync(file),
+                ThumbnailData = thumbnail == null ? null : await ReadAllBytesAsync(thumbnail),
+                IsPrimary = isPrimary
+            });
+            return CreatedAtAction(nameof(GetProductImage), new { id, imageId = image.Id }, image);
+        }
+        catch (InvalidOperationException)
+        {
+            return NotFound();
+        }
+        catch (ArgumentException ex)
+        {
+            return FieldValidationProblem(ex, ImageFormFields);
+        }
+    }
+
+    /// <summary>
+    /// Make an image the primary image of its product
+    /// </summary>
+    /// <param name="id">The ID of the product</param>
+    /// <param name="imageId">The ID of the image</param>
+    /// <returns>No content</returns>
+    /// <response code="204">Primary image changed successfully</response>
+    /// <response code="404">Product or image not found</response>
+    /// <response code="400">Invalid product or image ID</response>
+    /// <response code="401">Unauthorized - API key required</response>
+    [HttpPut("{id}/images/{imageId}/primary")]
+    [Authorize]
+    [ValidateAntiForgeryToken] // Add CSRF protection
+    [SwaggerOperation(Summary = "Set primary product image", Description = "Makes an image the one shown for its product in lists")]
+    [SwaggerResponse(204, "Primary image changed successfully")]
+    [SwaggerResponse(404, "Product or image not found")]
+    [SwaggerResponse(400, "Invalid product or image ID")]
+    [SwaggerResponse(401, "Unauthorized - API key required")]
+    public async Task<IActionResult> SetPrimaryProductImage([FromRoute] [Range(1, 2000000000, ErrorMessage = "Product ID must be a positive integer")] int id, [FromRoute] [Range(1, 2000000000, ErrorMessage = "Image ID must be a positive integer")] int imageId)
+    {
+        // Input validation
+        if (id <= 0)
+        {
+            return BadRequest("Product ID must be a positive integer.");
+        }
+        if (imageId <= 0)
+        {
+            return BadRequest("Image ID must be a positive integer.");
+        }
+
+        try
+        {
+            await _productService.SetPrimaryProductImageAsync(id, imageId);
+            return NoContent();
+        }
+        catch (InvalidOperationException)
+        {
+            return NotFound();
+        }
+    }
+
+    /// <summary>
+    /// Delete a product image
+    /// </summary>
+    /// <param name="id">The ID of the product</param>
+    /// <param name="imageId">The ID of the image</param>
+    /// <returns>No content</returns>
+    /// <response code="204">Image deleted successfully</response>
+    /// <response code="404">Product or image not found</response>
+    /// <response code="400">Invalid product or image ID</response>
+    /// <response code="401">Unauthorized - API key required</response>
+    [HttpDelete("{id}/images/{imageId}")]
+    [Authorize]
+    [ValidateAntiForgeryToken] // Add CSRF protection
+    [SwaggerOperation(Summary = "Delete product image", Description = "Deletes a product image. When it was the primary image, the oldest remaining image takes its place.")]
+    [SwaggerResponse(204, "Image deleted successfully")]
+    [SwaggerResponse(404, "Product or image not found")]
+    [SwaggerResponse(400, "Invalid product or image ID")]
+    [SwaggerResponse(401, "Unauthorized - API key required")]
+    public async Task<IActionResult> DeleteProductImage([FromRoute] [Range(1, 2000000000, ErrorMessage = "Product ID must be a positive integer")] int id, [FromRoute] [Range(1, 2000000000, ErrorMessage = "Image ID must be a positive integer")] int imageId)
+    {
+        // Input validation
+        if (id <= 0)
+        {
+            return BadRequest("Product ID must be a positive integer.");
+        }
+        if (imageId <= 0)
+        {
+            return BadRequest("Image ID must be a positive integer.");
+        }
+
+        try
+        {
+            await _productService.DeleteProductImageAsync(id, imageId);
+            return NoContent();
+        }
+        catch (InvalidOperationException)
+        {
+            return NotFound();
+        }
+    }
+
+    private async Task<IActionResult> ServeImageAsync(int id, int imageId, bool thumbnail)
+    {
+        // Input validation
+        if (id <= 0)
+        {
+            return BadRequest("Product ID must be a positive integer.");
+        }
+        if (imageId <= 0)
+        {
+            return BadRequest("Image ID must be a positive integer.");
+        }
+
+        var content = await _productService.GetProductImageContentAsync(id, imageId, thumbnail);
+        if (content == null)
+            return NotFound();
+
+        // An image ID always refers to the same bytes
+        Response.Headers.CacheControl = "public, max-age=31536000, immutable";
+        Response.Headers["X-Content-Type-Options"] = "nosniff";
+        return File(content.Data, content.ContentType, lastModified: content.CreatedAt, entityTag: null);
+    }
+
+    private static async Task<byte[]> ReadAllBytesAsync(IFormFile file)
+    {
+        using var stream = new MemoryStream((int)file.Length);
+        await file.CopyToAsync(stream);
+        return stream.ToArray();
+    }
+
+    /// <summary>
+    /// Report a validation failure from the service as a 400 problem details response keyed by the invalid field
+    /// </summary>
+    /// <param name="exception">The exception whose ParamName names the invalid field</param>
+    /// <param name="fieldNames">Maps parameter names to the names the client sent the fields under, where they differ</param>
+    /// <returns>A validation problem with the error under the field name, or under an empty key when no field is named</returns>
+    private ActionResult FieldValidationProblem(ArgumentException exception, IReadOnlyDictionary<string, string>? fieldNames = null)
+    {
+        // ArgumentException appends " (Parameter 'name')" to its message; the error key already names the field
+        var message = exception.ParamName is null
+            ? exception.Message
+            : exception.Message.Replace($" (Parameter '{exception.ParamName}')", string.Empty);
+        var key = exception.ParamName ?? string.Empty;
+        ModelState.AddModelError(fieldNames?.GetValueOrDefault(key) ?? key, message);
+        return ValidationProblem(statusCode: StatusCodes.Status400BadRequest, modelStateDictionary: ModelState);
+    }
 }
\ No newline at end of file
@@ -4,6 +4,8 @@ using DemoInventory.Domain.Interfaces;
 using DemoInventory.Infrastructure.Data;
 using DemoInventory.Infrastructure.Repositories;
 using Microsoft.EntityFrameworkCore;
+using Microsoft.OpenApi;
+using Microsoft.OpenApi.Extensions;
 using Microsoft.OpenApi.Models;
 using Swashbuckle.AspNetCore.Swagger;
 using System.Reflection;
@@ -14,6 +16,9 @@ var builder = WebApplication.CreateBuilder(args);
 // Add services to the container.
 builder.Services.AddControllers();
 
+// Answer unhandled errors with RFC 7807 problem details that carry a traceId to quote in bug reports
+builder.Services.AddProblemDetails();
+
 // Add API Key Authentication
 builder.Services.AddAuthentication("ApiKey")
     .AddScheme<ApiKeyAuthenticationSchemeOptions, ApiKeyAuthenticationHandler>("ApiKey", options => { });
@@ -47,7 +52,7 @@ builder.Services.AddCors(options =>
                     "http://localhost:5126",  // API port
                     "http://localhost:8080"   // Swagger UI port
                    )
-                  .WithHeaders("Content-Type", "Authorization", "Accept", "X-Requested-With")
+                  .WithHeaders("Content-Type", "Authorization", "Accept", "X-Requested-With", "X-API-Key")
                   .WithMethods("GET", "POST", "PUT", "DELETE", "OPTIONS")
                   .AllowCredentials();
         });
@@ -61,7 +66,7 @@ builder.Services.AddCors(options =>
                                 ?? new[] { "https://your-production-domain.com" };
             
             policy.WithOrigins(allowedOrigins)
-                  .WithHeaders("Content-Type", "Authorization", "Accept")
+                  .WithHeaders("Content-Type", "Authorization", "Accept", "X-API-Key")
                   .WithMethods("GET", "POST", "PUT", "DELETE")
                   .AllowCredentials();
         });
@@ -84,6 +89,10 @@ else
 // Register dependencies
 builder.Services.AddScoped<IProductRepository, PostgreSqlProductRepository>();
 builder.Services.AddScoped<IProductService, ProductService>();
+builder.Services.AddScoped<ICategoryRepository, PostgreSqlCategoryRepository>();
+builder.Services.AddScoped<ICategoryService, CategoryService>();
+// One broadcaster for the whole app, so changes made in any request reach every open event stream
+builder.Services.AddSingleton<IProductEventBroadcaster, ProductEventBroadcaster>();
 
 // Learn more about configuring Swagger/OpenAPI at https://aka.ms/aspnetcore/swashbuckle
 builder.Services.AddEndpointsApiExplorer();
@@ -124,6 +133,12 @@ builder.Services.AddSwaggerGen(c =>
     // Enable annotations for better documentation
     c.EnableAnnotations();
 
+    // Mark only nullable reference types (string?) as nullable, so clients generated from the spec get accurate types
+    c.SupportNonNullableReferenceTypes();
+
+    // Wrap references in allOf so a nullable or described property (e.g. ProductEventDto.Product) keeps that information
+    c.UseAllOfToExtendReferenceSchemas();
+
     
     // Configure schema IDs to avoid conflicts
     c.CustomSchemaIds(type => type.FullName);
@@ -137,7 +152,8 @@ using (var scope = app.Services.CreateScope())
     var context = scope.ServiceProvider.GetRequiredService<ApplicationDbContext>();
     try
     {
-        context.Database.EnsureCreated();
+        // Creates a new database, or adds the tables and columns an existing one is missing
+        DatabaseInitializer.Initialize(context);
     }
     catch (Exception ex)
     {
@@ -147,6 +163,8 @@ using (var scope = app.Services.CreateScope())
 }
 
 // Configure the HTTP request pipeline.
+app.UseExceptionHandler();
+
 if (app.Environment.IsDevelopment())
 {
     app.UseSwagger();
@@ -161,7 +179,8 @@ app.MapGet("/openapi.json", (IServiceProvider serviceProvider) =>
 {
     var swaggerProvider = serviceProvider.GetRequiredService<ISwaggerProvider>();
     var swagger = swaggerProvider.GetSwagger("v1");
-    return Results.Json(swagger);
+    // The OpenAPI writer produces a standard document ($ref, lower-case keywords) that client generators can read
+    return Results.Text(swagger.SerializeAsJson(OpenApiSpecVersion.OpenApi3_0), "application/json");
 })
 .WithName("ExportOpenApiSpec")
 .WithTags("OpenAPI")
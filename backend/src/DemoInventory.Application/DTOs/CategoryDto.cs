@@ -0,0 +1,89 @@
+using System.ComponentModel.DataAnnotations;
+
+namespace DemoInventory.Application.DTOs;
+
+/// <summary>
+/// A product category
+/// </summary>
+public class CategoryDto
+{
+    /// <summary>
+    /// Unique identifier for the category
+    /// </summary>
+    public int Id { get; set; }
+
+    /// <summary>
+    /// Name of the category
+    /// </summary>
+    /// <example>Headphones</example>
+    public string Name { get; set; } = string.Empty;
+
+    /// <summary>
+    /// The category this one belongs to; null for a top-level category
+    /// </summary>
+    public int? ParentId { get; set; }
+
+    /// <summary>
+    /// The names of the category's parents and its own, from the top level down
+    /// </summary>
+    /// <example>["Electronics", "Audio", "Headphones"]</example>
+    public List<string> Path { get; set; } = new();
+
+    /// <summary>
+    /// The number of products filed directly under the category, not counting its subcategories
+    /// </summary>
+    public int ProductCount { get; set; }
+
+    /// <summary>
+    /// Date and time when the category was created
+    /// </summary>
+    public DateTime CreatedAt { get; set; }
+
+    /// <summary>
+    /// Date and time when the category was last updated
+    /// </summary>
+    public DateTime UpdatedAt { get; set; }
+}
+
+/// <summary>
+/// Data transfer object for creating a category
+/// </summary>
+public class CreateCategoryDto
+{
+    /// <summary>
+    /// Name of the category (required, 1-100 characters, unique among the parent's subcategories)
+    /// </summary>
+    /// <example>Headphones</example>
+    [Required]
+    [StringLength(100, MinimumLength = 1)]
+    public string Name { get; set; } = string.Empty;
+
+    /// <summary>
+    /// The category to create it under (optional; a top-level category when omitted)
+    /// </summary>
+    /// <example>2</example>
+    [Range(1, int.MaxValue, ErrorMessage = "Parent category ID must be a positive integer")]
+    public int? ParentId { get; set; }
+}
+
+/// <summary>
+/// Data transfer object for renaming or moving a category
+/// </summary>
+public class UpdateCategoryDto
+{
+    /// <summary>
+    /// Name of the category (required, 1-100 characters, unique among the parent's subcategories)
+    /// </summary>
+    /// <example>Headphones</example>
+    [Required]
+    [StringLength(100, MinimumLength = 1)]
+    public string Name { get; set; } = string.Empty;
+
+    /// <summary>
+    /// The category to move it under; null or omitted makes it a top-level category. It cannot be moved
+    /// under itself or one of its subcategories.
+    /// </summary>
+    /// <example>2</example>
+    [Range(1, int.MaxValue, ErrorMessage = "Parent category ID must be a positive integer")]
+    public int? ParentId { get; set; }
+}
\ No newline at end of file
@@ -37,6 +37,31 @@ public class ProductDto
     /// </summary>
     public int QuantityInStock { get; set; }
     
+    /// <summary>
+    /// Stock level at or below which the product should be reordered
+    /// </summary>
+    public int ReorderPoint { get; set; }
+    
+    /// <summary>
+    /// Quantity to order when the product is restocked
+    /// </summary>
+    public int ReorderQuantity { get; set; }
+    
+    /// <summary>
+    /// The category the product is filed under; null when it is uncategorized
+    /// </summary>
+    public int? CategoryId { get; set; }
+    
+    /// <summary>
+    /// Free-form labels, in lower case
+    /// </summary>
+    public List<string> Tags { get; set; } = new();
+    
+    /// <summary>
+    /// The image shown for the product in lists; null when it has no images
+    /// </summary>
+    public int? PrimaryImageId { get; set; }
+    
     /// <summary>
     /// Date and time when the product was created
     /// </summary>
@@ -69,19 +94,20 @@ public class CreateProductDto
     public string Description { get; set; } = string.Empty;
     
     /// <summary>
-    /// Stock Keeping Unit - unique product identifier (required, 3-50 characters)
+    /// Stock Keeping Unit - unique product identifier (required, 3-50 letters, numbers and hyphens; stored in upper case)
     /// </summary>
     /// <example>SKU-001</example>
     [Required]
     [StringLength(50, MinimumLength = 3)]
+    [RegularExpression("^[A-Za-z0-9-]+$", ErrorMessage = "SKU must contain only letters, numbers, and hyphens")]
     public string SKU { get; set; } = string.Empty;
     
     /// <summary>
-    /// Price of the product (must be greater than 0)
+    /// Price of the product (greater than 0, up to 999,999.99)
     /// </summary>
     /// <example>19.99</example>
     [Required]
-    [Range(0.01, double.MaxValue, ErrorMessage = "Price must be greater than 0")]
+    [Range(0.01, 999999.99, ErrorMessage = "Price must be greater than 0 and at most 999,999.99")]
     public decimal Price { get; set; }
     
     /// <summary>
@@ -91,6 +117,34 @@ public class CreateProductDto
     [Required]
     [Range(0, 1000000, ErrorMessage = "Quantity must be between 0 and 1,000,000")]
     public int QuantityInStock { get; set; }
+    
+    /// <summary>
+    /// Stock level at or below which the product should be reordered (optional, defaults to 10)
+    /// </summary>
+    /// <example>20</example>
+    [Range(0, 1000000, ErrorMessage = "Reorder point must be between 0 and 1,000,000")]
+    public int? ReorderPoint { get; set; }
+    
+    /// <summary>
+    /// Quantity to order when the product is restocked (optional, defaults to 0)
+    /// </summary>
+    /// <example>50</example>
+    [Range(0, 1000000, ErrorMessage = "Reorder quantity must be between 0 and 1,000,000")]
+    public int? ReorderQuantity { get; set; }
+    
+    /// <summary>
+    /// The category to file the product under (optional; uncategorized when omitted)
+    /// </summary>
+    /// <example>3</example>
+    [Range(1, int.MaxValue, ErrorMessage = "Category ID must be a positive integer")]
+    public int? CategoryId { get; set; }
+    
+    /// <summary>
+    /// Free-form labels (optional, up to 20 of up to 50 characters each; stored in lower case without duplicates)
+    /// </summary>
+    /// <example>["clearance", "fragile"]</example>
+    [MaxLength(20, ErrorMessage = "A product cannot have more than 20 tags")]
+    public List<string>? Tags { get; set; }
 }
 
 /// <summary>
@@ -114,20 +168,77 @@ public class UpdateProductDto
     public string Description { get; set; } = string.Empty;
     
     /// <summary>
-    /// Updated price of the product (must be greater than 0)
+    /// Updated price of the product (greater than 0, up to 999,999.99)
     /// </summary>
     /// <example>24.99</example>
     [Required]
-    [Range(0.01, double.MaxValue, ErrorMessage = "Price must be greater than 0")]
+    [Range(0.01, 999999.99, ErrorMessage = "Price must be greater than 0 and at most 999,999.99")]
     public decimal Price { get; set; }
     
     /// <summary>
-    /// Updated quantity in stock (must be non-negative, max 1,000,000)
+    /// Updated quantity in stock (optional, non-negative, max 1,000,000; the current quantity is kept when omitted).
+    /// Stock counted or received is better recorded through POST /api/products/{id}/stock-adjustments.
     /// </summary>
     /// <example>150</example>
-    [Required]
     [Range(0, 1000000, ErrorMessage = "Quantity must be between 0 and 1,000,000")]
-    public int QuantityInStock { get; set; }
+    public int? QuantityInStock { get; set; }
+    
+    /// <summary>
+    /// Updated reorder point (optional; the current value is kept when omitted)
+    /// </summary>
+    /// <example>20</example>
+    [Range(0, 1000000, ErrorMessage = "Reorder point must be between 0 and 1,000,000")]
+    public int? ReorderPoint { get; set; }
+    
+    /// <summary>
+    /// Updated reorder quantity (optional; the current value is kept when omitted)
+    /// </summary>
+    /// <example>50</example>
+    [Range(0, 1000000, ErrorMessage = "Reorder quantity must be between 0 and 1,000,000")]
+    public int? ReorderQuantity { get; set; }
+    
+    /// <summary>
+    /// The category to file the product under (optional; the current category is kept when omitted)
+    /// </summary>
+    /// <example>3</example>
+    [Range(1, int.MaxValue, ErrorMessage = "Category ID must be a positive integer")]
+    public int? CategoryId { get; set; }
+    
+    /// <summary>
+    /// Removes the product from its category, leaving it uncategorized (optional; cannot be combined with a category ID)
+    /// </summary>
+    /// <example>false</example>
+    public bool? ClearCategory { get; set; }
+    
+    /// <summary>
+    /// The product's full set of tags, replacing the current ones (optional; the current tags are kept when
+    /// omitted, and an empty list removes them all)
+    /// </summary>
+    /// <example>["clearance", "fragile"]</example>
+    [MaxLength(20, ErrorMessage = "A product cannot have more than 20 tags")]
+    public List<string>? Tags { get; set; }
+    
+    /// <summary>
+    /// The product's updatedAt value when it was loaded for editing (optional).
+    /// When supplied, the update is rejected with 409 Conflict if the product has changed since.
+    /// </summary>
+    /// <example>2024-01-15T10:30:00Z</example>
+    public DateTime? ExpectedUpdatedAt { get; set; }
+
+    /// <summary>
+    /// Works out the category the product is filed under once this update is applied
+    /// </summary>
+    /// <param name="currentCategoryId">The category the product is filed under now</param>
+    /// <returns>The category to file the product under; null when it is to be uncategorized</returns>
+    /// <exception cref="ArgumentException">Thrown when both a category ID and <see cref="ClearCategory"/> are given</exception>
+    public int? ResolveCategoryId(int? currentCategoryId)
+    {
+        var clear = ClearCategory == true;
+        if (clear && CategoryId.HasValue)
+            throw new ArgumentException("Send either a category ID or clearCategory, not both.", nameof(CategoryId));
+
+        return clear ? null : CategoryId ?? currentCategoryId;
+    }
 }
 
 /// <summary>
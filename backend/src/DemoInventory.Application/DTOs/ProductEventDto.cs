@@ -0,0 +1,50 @@
+namespace DemoInventory.Application.DTOs;
+
+/// <summary>
+/// A change to a product, pushed to clients watching the product event stream
+/// </summary>
+public class ProductEventDto
+{
+    /// <summary>
+    /// The kind of change: created, updated or deleted
+    /// </summary>
+    /// <example>updated</example>
+    public string Type { get; set; } = string.Empty;
+
+    /// <summary>
+    /// The product that changed
+    /// </summary>
+    /// <example>1</example>
+    public int ProductId { get; set; }
+
+    /// <summary>
+    /// The product after the change; null for deletions
+    /// </summary>
+    public ProductDto? Product { get; set; }
+
+    /// <summary>
+    /// Date and time when the change was made
+    /// </summary>
+    public DateTime OccurredAt { get; set; }
+}
+
+/// <summary>
+/// The kinds of product change reported on the event stream
+/// </summary>
+public static class ProductEventTypes
+{
+    /// <summary>
+    /// A product was created
+    /// </summary>
+    public const string Created = "created";
+
+    /// <summary>
+    /// A product's details or stock level changed
+    /// </summary>
+    public const string Updated = "updated";
+
+    /// <summary>
+    /// A product was deleted
+    /// </summary>
+    public const string Deleted = "deleted";
+}
\ No newline at end of file
@@ -0,0 +1,66 @@
+namespace DemoInventory.Application.DTOs;
+
+/// <summary>
+/// Product counts per category and tag for a product query, to narrow it down further
+/// </summary>
+public class ProductFacetsDto
+{
+    /// <summary>
+    /// Every category with the number of matching products in it or its subcategories, each followed by its subcategories.
+    /// The counts ignore the query's own category filter, so other categories can still be picked.
+    /// </summary>
+    public List<CategoryFacetDto> Categories { get; set; } = new();
+
+    /// <summary>
+    /// The number of matching products without a category, ignoring the query's category filter
+    /// </summary>
+    public int UncategorizedCount { get; set; }
+
+    /// <summary>
+    /// Every tag carried by a matching product with the number of products carrying it, most used first
+    /// </summary>
+    public List<TagFacetDto> Tags { get; set; } = new();
+}
+
+/// <summary>
+/// A category and the number of matching products in it
+/// </summary>
+public class CategoryFacetDto
+{
+    /// <summary>
+    /// Unique identifier for the category
+    /// </summary>
+    public int Id { get; set; }
+
+    /// <summary>
+    /// Name of the category
+    /// </summary>
+    public string Name { get; set; } = string.Empty;
+
+    /// <summary>
+    /// The category this one belongs to; null for a top-level category
+    /// </summary>
+    public int? ParentId { get; set; }
+
+    /// <summary>
+    /// The number of matching products in the category or any of its subcategories
+    /// </summary>
+    public int Count { get; set; }
+}
+
+/// <summary>
+/// A tag and the number of matching products carrying it
+/// </summary>
+public class TagFacetDto
+{
+    /// <summary>
+    /// The tag, in lower case
+    /// </summary>
+    /// <example>clearance</example>
+    public string Tag { get; set; } = string.Empty;
+
+    /// <summary>
+    /// The number of matching products carrying the tag
+    /// </summary>
+    public int Count { get; set; }
+}
\ No newline at end of file
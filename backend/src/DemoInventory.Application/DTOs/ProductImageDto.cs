@@ -0,0 +1,121 @@
+namespace DemoInventory.Application.DTOs;
+
+/// <summary>
+/// The details of a product image; the image itself is served from its own URL
+/// </summary>
+public class ProductImageDto
+{
+    /// <summary>
+    /// Unique identifier for the image
+    /// </summary>
+    public int Id { get; set; }
+
+    /// <summary>
+    /// The product the image shows
+    /// </summary>
+    public int ProductId { get; set; }
+
+    /// <summary>
+    /// The name of the file the image was uploaded from
+    /// </summary>
+    /// <example>front.jpg</example>
+    public string FileName { get; set; } = string.Empty;
+
+    /// <summary>
+    /// MIME type of the image: image/jpeg, image/png or image/webp
+    /// </summary>
+    /// <example>image/jpeg</example>
+    public string ContentType { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Width of the image in pixels
+    /// </summary>
+    public int Width { get; set; }
+
+    /// <summary>
+    /// Height of the image in pixels
+    /// </summary>
+    public int Height { get; set; }
+
+    /// <summary>
+    /// Size of the image in bytes
+    /// </summary>
+    public int SizeInBytes { get; set; }
+
+    /// <summary>
+    /// Whether this is the image shown for the product in lists
+    /// </summary>
+    public bool IsPrimary { get; set; }
+
+    /// <summary>
+    /// Date and time when the image was uploaded
+    /// </summary>
+    public DateTime CreatedAt { get; set; }
+}
+
+/// <summary>
+/// An uploaded image to add to a product, read from the request by the API
+/// </summary>
+public class CreateProductImageDto
+{
+    /// <summary>
+    /// The name of the uploaded file
+    /// </summary>
+    public string FileName { get; set; } = string.Empty;
+
+    /// <summary>
+    /// MIME type of the image and its thumbnail
+    /// </summary>
+    public string ContentType { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Width of the image in pixels
+    /// </summary>
+    public int Width { get; set; }
+
+    /// <summary>
+    /// Height of the image in pixels
+    /// </summary>
+    public int Height { get; set; }
+
+    /// <summary>
+    /// The image itself
+    /// </summary>
+    public byte[] Data { get; set; } = Array.Empty<byte>();
+
+    /// <summary>
+    /// A smaller copy of the image for lists; optional
+    /// </summary>
+    public byte[]? ThumbnailData { get; set; }
+
+    /// <summary>
+    /// Make the new image the product's primary image; a product's first image always is
+    /// </summary>
+    public bool IsPrimary { get; set; }
+}
+
+/// <summary>
+/// The bytes of a product image or its thumbnail, ready to be served
+/// </summary>
+public class ProductImageContentDto
+{
+    /// <summary>
+    /// MIME type of the bytes
+    /// </summary>
+    public string ContentType { get; set; } = string.Empty;
+
+    /// <summary>
+    /// The name of the file the image was uploaded from
+    /// </summary>
+    public string FileName { get; set; } = string.Empty;
+
+    /// <summary>
+    /// The image or thumbnail
+    /// </summary>
+    public byte[] Data { get; set; } = Array.Empty<byte>();
+
+    /// <summary>
+    /// When the image was uploaded; images never change, so this doubles as their version
+    /// </summary>
+    public DateTime CreatedAt { get; set; }
+}
\ No newline at end of file
@@ -0,0 +1,155 @@
+using System.ComponentModel.DataAnnotations;
+using DemoInventory.Domain.Queries;
+
+namespace DemoInventory.Application.DTOs;
+
+/// <summary>
+/// Query parameters for retrieving a page of products
+/// </summary>
+public class ProductQueryDto
+{
+    /// <summary>
+    /// The 1-based page number (defaults to 1)
+    /// </summary>
+    /// <example>1</example>
+    [Range(1, int.MaxValue, ErrorMessage = "Page must be a positive integer")]
+    public int Page { get; set; } = 1;
+
+    /// <summary>
+    /// The number of products per page (1-100, defaults to 25)
+    /// </summary>
+    /// <example>25</example>
+    [Range(1, 100, ErrorMessage = "Page size must be between 1 and 100")]
+    public int PageSize { get; set; } = 25;
+
+    /// <summary>
+    /// The field to sort by: name, sku, price, quantityInStock or createdAt
+    /// </summary>
+    /// <example>price</example>
+    [RegularExpression("^(name|sku|price|quantityInStock|createdAt)$", ErrorMessage = "Sort field must be one of: name, sku, price, quantityInStock, createdAt")]
+    public string? SortBy { get; set; }
+
+    /// <summary>
+    /// The sort direction: asc (default) or desc
+    /// </summary>
+    /// <example>desc</example>
+    [RegularExpression("^(asc|desc)$", ErrorMessage = "Sort direction must be 'asc' or 'desc'")]
+    public string? SortDirection { get; set; }
+
+    /// <summary>
+    /// Optional term that product names must contain
+    /// </summary>
+    [StringLength(200, ErrorMessage = "Search term cannot exceed 200 characters")]
+    public string? SearchTerm { get; set; }
+
+    /// <summary>
+    /// Minimum price (inclusive)
+    /// </summary>
+    [Range(0, double.MaxValue, ErrorMessage = "Minimum price must be non-negative")]
+    public decimal? MinPrice { get; set; }
+
+    /// <summary>
+    /// Maximum price (inclusive)
+    /// </summary>
+    [Range(0, double.MaxValue, ErrorMessage = "Maximum price must be non-negative")]
+    public decimal? MaxPrice { get; set; }
+
+    /// <summary>
+    /// Minimum quantity in stock (inclusive)
+    /// </summary>
+    [Range(0, int.MaxValue, ErrorMessage = "Minimum stock must be non-negative")]
+    public int? MinStock { get; set; }
+
+    /// <summary>
+    /// Maximum quantity in stock (inclusive)
+    /// </summary>
+    [Range(0, int.MaxValue, ErrorMessage = "Maximum stock must be non-negative")]
+    public int? MaxStock { get; set; }
+
+    /// <summary>
+    /// Earliest creation date (inclusive)
+    /// </summary>
+    public DateTime? CreatedFrom { get; set; }
+
+    /// <summary>
+    /// Latest creation date (inclusive)
+    /// </summary>
+    public DateTime? CreatedTo { get; set; }
+
+    /// <summary>
+    /// Only products in this category or one of its subcategories
+    /// </summary>
+    /// <example>3</example>
+    [Range(1, int.MaxValue, ErrorMessage = "Category ID must be a positive integer")]
+    public int? CategoryId { get; set; }
+
+    /// <summary>
+    /// Only products carrying every one of these tags (repeat the parameter for several: tags=a&amp;tags=b)
+    /// </summary>
+    [MaxLength(20, ErrorMessage = "Cannot filter by more than 20 tags")]
+    public List<string>? Tags { get; set; }
+
+    /// <summary>
+    /// Converts the query parameters into domain query criteria. The category filter is left out, as
+    /// matching a category's subcategories too needs the category tree.
+    /// </summary>
+    /// <returns>The equivalent domain query</returns>
+    public ProductQuery ToProductQuery()
+    {
+        return new ProductQuery
+        {
+            Page = Page,
+            PageSize = PageSize,
+            SortBy = SortBy switch
+            {
+                "name" => ProductSortField.Name,
+                "sku" => ProductSortField.Sku,
+                "price" => ProductSortField.Price,
+                "quantityInStock" => ProductSortField.QuantityInStock,
+                "createdAt" => ProductSortField.CreatedAt,
+                _ => null
+            },
+            Descending = SortDirection == "desc",
+            SearchTerm = SearchTerm,
+            MinPrice = MinPrice,
+            MaxPrice = MaxPrice,
+            MinStock = MinStock,
+            MaxStock = MaxStock,
+            CreatedFrom = CreatedFrom,
+            CreatedTo = CreatedTo,
+            Tags = Tags
+        };
+    }
+}
+
+/// <summary>
+/// A page of results with paging metadata
+/// </summary>
+/// <typeparam name="T">The item type</typeparam>
+public class PagedResultDto<T>
+{
+    /// <summary>
+    /// The items on the requested page
+    /// </summary>
+    public IEnumerable<T> Items { get; set; } = Enumerable.Empty<T>();
+
+    /// <summary>
+    /// The 1-based page number
+    /// </summary>
+    public int Page { get; set; }
+
+    /// <summary>
+    /// The number of items per page
+    /// </summary>
+    public int PageSize { get; set; }
+
+    /// <summary>
+    /// The number of items matching the query across all pages
+    /// </summary>
+    public int TotalCount { get; set; }
+
+    /// <summary>
+    /// The number of pages available
+    /// </summary>
+    public int TotalPages { get; set; }
+}
@@ -0,0 +1,44 @@
+namespace DemoInventory.Application.DTOs;
+
+/// <summary>
+/// A recorded version of a product, as shown in its change history
+/// </summary>
+public class ProductVersionDto
+{
+    /// <summary>
+    /// Sequential version number, starting at 1 when the product is created
+    /// </summary>
+    /// <example>2</example>
+    public int Version { get; set; }
+
+    /// <summary>
+    /// The kind of change that produced this version: created or updated
+    /// </summary>
+    /// <example>updated</example>
+    public string ChangeType { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Name of the product at this version
+    /// </summary>
+    public string Name { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Description of the product at this version
+    /// </summary>
+    public string Description { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Price of the product at this version
+    /// </summary>
+    public decimal Price { get; set; }
+
+    /// <summary>
+    /// Quantity in stock at this version
+    /// </summary>
+    public int QuantityInStock { get; set; }
+
+    /// <summary>
+    /// Date and time when this version was recorded
+    /// </summary>
+    public DateTime RecordedAt { get; set; }
+}
@@ -0,0 +1,111 @@
+using System.ComponentModel.DataAnnotations;
+using DemoInventory.Domain.Entities;
+
+namespace DemoInventory.Application.DTOs;
+
+/// <summary>
+/// A recorded change to a product's stock level
+/// </summary>
+public class StockAdjustmentDto
+{
+    /// <summary>
+    /// Unique identifier for the adjustment
+    /// </summary>
+    public int Id { get; set; }
+
+    /// <summary>
+    /// The product whose stock was adjusted
+    /// </summary>
+    public int ProductId { get; set; }
+
+    /// <summary>
+    /// The change in quantity; positive when stock was added, negative when it was removed
+    /// </summary>
+    /// <example>-3</example>
+    public int Delta { get; set; }
+
+    /// <summary>
+    /// Why the stock changed: received, sold, damaged, cycleCount or return
+    /// </summary>
+    /// <example>sold</example>
+    public string Reason { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Free-text note recorded with the adjustment
+    /// </summary>
+    /// <example>Order #1042</example>
+    public string Note { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Quantity in stock before the adjustment
+    /// </summary>
+    public int QuantityBefore { get; set; }
+
+    /// <summary>
+    /// Quantity in stock after the adjustment
+    /// </summary>
+    public int QuantityAfter { get; set; }
+
+    /// <summary>
+    /// Date and time when the adjustment was recorded
+    /// </summary>
+    public DateTime CreatedAt { get; set; }
+}
+
+/// <summary>
+/// Data transfer object for adjusting a product's stock level
+/// </summary>
+public class CreateStockAdjustmentDto
+{
+    /// <summary>
+    /// The change in quantity (non-zero, between -1,000,000 and 1,000,000). Received and return
+    /// adjustments must be positive, sold and damaged negative; cycle counts may go either way.
+    /// </summary>
+    /// <example>-3</example>
+    [Required]
+    [Range(-1000000, 1000000, ErrorMessage = "Adjustment quantity must be between -1,000,000 and 1,000,000")]
+    public int Delta { get; set; }
+
+    /// <summary>
+    /// Why the stock changed (required): received, sold, damaged, cycleCount or return
+    /// </summary>
+    /// <example>sold</example>
+    [Required]
+    [RegularExpression("^(received|sold|damaged|cycleCount|return)$", ErrorMessage = "Reason must be one of: received, sold, damaged, cycleCount, return")]
+    public string Reason { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Optional note, such as an order or delivery reference (up to 500 characters)
+    /// </summary>
+    /// <example>Order #1042</example>
+    [StringLength(500)]
+    public string Note { get; set; } = string.Empty;
+}
+
+/// <summary>
+/// Converts stock adjustment reasons to and from the camelCase names used by the API
+/// </summary>
+public static class StockAdjustmentReasons
+{
+    /// <summary>
+    /// Gets the API name of a reason, e.g. cycleCount
+    /// </summary>
+    /// <param name="reason">The reason to name</param>
+    /// <returns>The reason's camelCase name</returns>
+    public static string ToName(StockAdjustmentReason reason)
+    {
+        var name = reason.ToString();
+        return char.ToLowerInvariant(name[0]) + name[1..];
+    }
+
+    /// <summary>
+    /// Parses an API reason name; only the exact camelCase names are accepted
+    /// </summary>
+    /// <param name="name">The reason name to parse</param>
+    /// <param name="reason">The parsed reason</param>
+    /// <returns>True when the name is a known reason</returns>
+    public static bool TryParse(string? name, out StockAdjustmentReason reason)
+    {
+        return Enum.TryParse(name, ignoreCase: true, out reason) && ToName(reason) == name;
+    }
+}
\ No newline at end of file
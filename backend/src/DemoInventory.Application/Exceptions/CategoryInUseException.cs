@@ -0,0 +1,36 @@
+namespace DemoInventory.Application.Exceptions;
+
+/// <summary>
+/// Thrown when a category cannot be deleted because products or subcategories are still filed under it
+/// </summary>
+public class CategoryInUseException : Exception
+{
+    /// <summary>
+    /// Initializes a new instance of the <see cref="CategoryInUseException"/> class
+    /// </summary>
+    /// <param name="categoryId">The category that was to be deleted</param>
+    /// <param name="productCount">The number of products filed directly under it</param>
+    /// <param name="subcategoryCount">The number of categories directly under it</param>
+    public CategoryInUseException(int categoryId, int productCount, int subcategoryCount)
+        : base($"Category with ID {categoryId} still has {productCount} product(s) and {subcategoryCount} subcategory(ies)")
+    {
+        CategoryId = categoryId;
+        ProductCount = productCount;
+        SubcategoryCount = subcategoryCount;
+    }
+
+    /// <summary>
+    /// The category that was to be deleted
+    /// </summary>
+    public int CategoryId { get; }
+
+    /// <summary>
+    /// The number of products filed directly under the category
+    /// </summary>
+    public int ProductCount { get; }
+
+    /// <summary>
+    /// The number of categories directly under the category
+    /// </summary>
+    public int SubcategoryCount { get; }
+}
\ No newline at end of file
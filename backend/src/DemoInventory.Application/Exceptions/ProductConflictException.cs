@@ -0,0 +1,24 @@
+using DemoInventory.Application.DTOs;
+
+namespace DemoInventory.Application.Exceptions;
+
+/// <summary>
+/// Thrown when an update was based on a version of a product that has since been changed
+/// </summary>
+public class ProductConflictException : Exception
+{
+    /// <summary>
+    /// Initializes a new instance of the <see cref="ProductConflictException"/> class
+    /// </summary>
+    /// <param name="currentProduct">The product as it is currently stored</param>
+    public ProductConflictException(ProductDto currentProduct)
+        : base($"Product with ID {currentProduct.Id} has been modified since it was loaded")
+    {
+        CurrentProduct = currentProduct;
+    }
+
+    /// <summary>
+    /// The product as it is currently stored, so the caller can reconcile its changes
+    /// </summary>
+    public ProductDto CurrentProduct { get; }
+}
\ No newline at end of file
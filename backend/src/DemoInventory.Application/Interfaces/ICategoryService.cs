@@ -0,0 +1,45 @@
+using DemoInventory.Application.DTOs;
+
+namespace DemoInventory.Application.Interfaces;
+
+/// <summary>
+/// Defines the contract for managing product categories
+/// </summary>
+public interface ICategoryService
+{
+    /// <summary>
+    /// Retrieves every category, each followed by its subcategories and sorted by name
+    /// </summary>
+    /// <returns>All category DTOs</returns>
+    Task<IEnumerable<CategoryDto>> GetCategoriesAsync();
+
+    /// <summary>
+    /// Retrieves a category by its unique identifier
+    /// </summary>
+    /// <param name="id">The unique identifier of the category</param>
+    /// <returns>The category DTO if found, otherwise null</returns>
+    Task<CategoryDto?> GetCategoryByIdAsync(int id);
+
+    /// <summary>
+    /// Creates a category, at the top level or under another category
+    /// </summary>
+    /// <param name="createCategoryDto">The category's name and optional parent</param>
+    /// <returns>The created category DTO</returns>
+    Task<CategoryDto> CreateCategoryAsync(CreateCategoryDto createCategoryDto);
+
+    /// <summary>
+    /// Renames a category or moves it under another parent
+    /// </summary>
+    /// <param name="id">The unique identifier of the category to update</param>
+    /// <param name="updateCategoryDto">The category's new name and parent</param>
+    /// <returns>The updated category DTO</returns>
+    Task<CategoryDto> UpdateCategoryAsync(int id, UpdateCategoryDto updateCategoryDto);
+
+    /// <summary>
+    /// Deletes a category that no products or subcategories are filed under
+    /// </summary>
+    /// <param name="id">The unique identifier of the category to delete</param>
+    /// <returns>A task representing the asynchronous operation</returns>
+    /// <exception cref="Exceptions.CategoryInUseException">Thrown when products or subcategories are still filed under the category</exception>
+    Task DeleteCategoryAsync(int id);
+}
\ No newline at end of file
@@ -0,0 +1,23 @@
+using System.Threading.Channels;
+using DemoInventory.Application.DTOs;
+
+namespace DemoInventory.Application.Interfaces;
+
+/// <summary>
+/// Passes product changes on to every client currently watching the product event stream
+/// </summary>
+public interface IProductEventBroadcaster
+{
+    /// <summary>
+    /// Sends a product change to every current subscriber
+    /// </summary>
+    /// <param name="productEvent">The change to send</param>
+    void Publish(ProductEventDto productEvent);
+
+    /// <summary>
+    /// Starts receiving product changes until the token is cancelled, when the reader completes
+    /// </summary>
+    /// <param name="cancellationToken">Cancelled when the subscriber goes away, e.g. the client disconnects</param>
+    /// <returns>A reader that yields each change published from now on</returns>
+    ChannelReader<ProductEventDto> Subscribe(CancellationToken cancellationToken);
+}
\ No newline at end of file
@@ -33,6 +33,7 @@ public interface IProductService
     /// <param name="id">The unique identifier of the product to update</param>
     /// <param name="updateProductDto">The product update data</param>
     /// <returns>The updated product DTO</returns>
+    /// <exception cref="Exceptions.ProductConflictException">Thrown when the product has changed since <see cref="UpdateProductDto.ExpectedUpdatedAt"/>, or another change was saved to it while this one was</exception>
     Task<ProductDto> UpdateProductAsync(int id, UpdateProductDto updateProductDto);
     
     /// <summary>
@@ -69,4 +70,80 @@ public interface IProductService
     /// <param name="priceRange">The price range criteria</param>
     /// <returns>A collection of product DTOs within the specified price range</returns>
     Task<IEnumerable<ProductDto>> GetProductsByPriceRangeAsync(PriceRangeDto priceRange);
+    
+    /// <summary>
+    /// Retrieves a page of products matching the given sort and filter criteria
+    /// </summary>
+    /// <param name="query">The paging, sorting and filtering criteria</param>
+    /// <returns>The requested page of product DTOs with paging metadata</returns>
+    Task<PagedResultDto<ProductDto>> QueryProductsAsync(ProductQueryDto query);
+    
+    /// <summary>
+    /// Counts the products matching the given filter criteria per category and tag
+    /// </summary>
+    /// <param name="query">The filtering criteria; paging and sorting are ignored</param>
+    /// <returns>The number of matching products in each category and carrying each tag</returns>
+    Task<ProductFacetsDto> GetProductFacetsAsync(ProductQueryDto query);
+    
+    /// <summary>
+    /// Retrieves the change history of a product, oldest version first
+    /// </summary>
+    /// <param name="id">The unique identifier of the product</param>
+    /// <returns>The product's recorded versions, or null if the product does not exist</returns>
+    Task<IEnumerable<ProductVersionDto>?> GetProductHistoryAsync(int id);
+    
+    /// <summary>
+    /// Adjusts a product's stock level by a delta and records the reason
+    /// </summary>
+    /// <param name="id">The unique identifier of the product to adjust</param>
+    /// <param name="createStockAdjustmentDto">The change in quantity, its reason and an optional note</param>
+    /// <returns>The recorded adjustment</returns>
+    Task<StockAdjustmentDto> AdjustStockAsync(int id, CreateStockAdjustmentDto createStockAdjustmentDto);
+    
+    /// <summary>
+    /// Retrieves the stock adjustments recorded for a product, newest first
+    /// </summary>
+    /// <param name="id">The unique identifier of the product</param>
+    /// <returns>The product's stock adjustments, or null if the product does not exist</returns>
+    Task<IEnumerable<StockAdjustmentDto>?> GetStockAdjustmentsAsync(int id);
+    
+    /// <summary>
+    /// Retrieves the details of a product's images, in the order they were uploaded
+    /// </summary>
+    /// <param name="id">The unique identifier of the product</param>
+    /// <returns>The product's images, or null if the product does not exist</returns>
+    Task<IEnumerable<ProductImageDto>?> GetProductImagesAsync(int id);
+    
+    /// <summary>
+    /// Retrieves the bytes of a product image or of its thumbnail
+    /// </summary>
+    /// <param name="id">The unique identifier of the product</param>
+    /// <param name="imageId">The unique identifier of the image</param>
+    /// <param name="thumbnail">True for the thumbnail, which is the image itself when none was uploaded</param>
+    /// <returns>The image's bytes and type, or null if the product or image does not exist</returns>
+    Task<ProductImageContentDto?> GetProductImageContentAsync(int id, int imageId, bool thumbnail);
+    
+    /// <summary>
+    /// Adds an uploaded image to a product
+    /// </summary>
+    /// <param name="id">The unique identifier of the product</param>
+    /// <param name="createProductImageDto">The image, its optional thumbnail and whether it becomes the primary image</param>
+    /// <returns>The details of the added image</returns>
+    Task<ProductImageDto> AddProductImageAsync(int id, CreateProductImageDto createProductImageDto);
+    
+    /// <summary>
+    /// Makes an image the one shown for its product in lists
+    /// </summary>
+    /// <param name="id">The unique identifier of the product</param>
+    /// <param name="imageId">The unique identifier of the image</param>
+    /// <returns>A task representing the asynchronous operation</returns>
+    Task SetPrimaryProductImageAsync(int id, int imageId);
+    
+    /// <summary>
+    /// Deletes a product image
+    /// </summary>
+    /// <param name="id">The unique identifier of the product</param>
+    /// <param name="imageId">The unique identifier of the image</param>
+    /// <returns>A task representing the asynchronous operation</returns>
+    Task DeleteProductImageAsync(int id, int imageId);
 }
\ No newline at end of file
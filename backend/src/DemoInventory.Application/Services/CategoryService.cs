@@ -0,0 +1,173 @@
+using DemoInventory.Application.DTOs;
+using DemoInventory.Application.Exceptions;
+using DemoInventory.Application.Interfaces;
+using DemoInventory.Domain.Entities;
+using DemoInventory.Domain.Interfaces;
+using DemoInventory.Domain.Queries;
+
+namespace DemoInventory.Application.Services;
+
+/// <summary>
+/// Application service for managing the category tree products are filed under
+/// </summary>
+public class CategoryService : ICategoryService
+{
+    private readonly ICategoryRepository _categoryRepository;
+    private readonly IProductRepository _productRepository;
+
+    /// <summary>
+    /// Initializes a new instance of the <see cref="CategoryService"/> class
+    /// </summary>
+    /// <param name="categoryRepository">The category repository</param>
+    /// <param name="productRepository">The product repository, to count the products in each category</param>
+    public CategoryService(ICategoryRepository categoryRepository, IProductRepository productRepository)
+    {
+        _categoryRepository = categoryRepository;
+        _productRepository = productRepository;
+    }
+
+    /// <summary>
+    /// Retrieves every category with its path and product count, in tree order
+    /// </summary>
+    /// <returns>All category DTOs, each followed by its subcategories</returns>
+    public async Task<IEnumerable<CategoryDto>> GetCategoriesAsync()
+    {
+        var categories = (await _categoryRepository.GetAllAsync()).ToDictionary(c => c.Id);
+        var productCounts = await CountProductsAsync();
+        return Category.InTreeOrder(categories.Values)
+            .Select(category => MapToDto(category, categories, productCounts))
+            .ToList();
+    }
+
+    /// <summary>
+    /// Retrieves a category by its unique identifier
+    /// </summary>
+    /// <param name="id">The unique identifier of the category</param>
+    /// <returns>The category DTO if found, otherwise null</returns>
+    public async Task<CategoryDto?> GetCategoryByIdAsync(int id)
+    {
+        var categories = (await _categoryRepository.GetAllAsync()).ToDictionary(c => c.Id);
+        if (!categories.TryGetValue(id, out var category))
+        {
+            return null;
+        }
+
+        return MapToDto(category, categories, await CountProductsAsync());
+    }
+
+    /// <summary>
+    /// Creates a category, checking that its parent exists and that no sibling has the same name
+    /// </summary>
+    /// <param name="createCategoryDto">The category's name and optional parent</param>
+    /// <returns>The created category DTO</returns>
+    /// <exception cref="ArgumentException">Thrown when the parent does not exist or a sibling has the same name</exception>
+    public async Task<CategoryDto> CreateCategoryAsync(CreateCategoryDto createCategoryDto)
+    {
+        var category = new Category
+        {
+            Name = createCategoryDto.Name,
+            ParentId = createCategoryDto.ParentId,
+            CreatedAt = DateTime.UtcNow,
+            UpdatedAt = DateTime.UtcNow
+        };
+
+        var categories = (await _categoryRepository.GetAllAsync()).ToDictionary(c => c.Id);
+        if (category.ParentId.HasValue && !categories.ContainsKey(category.ParentId.Value))
+        {
+            throw new ArgumentException($"Parent category with ID {category.ParentId} does not exist.", nameof(createCategoryDto.ParentId));
+        }
+        await EnsureUniqueNameAsync(category);
+
+        var created = await _categoryRepository.AddAsync(category);
+        categories[created.Id] = created;
+        return MapToDto(created, categories, new Dictionary<int, int>());
+    }
+
+    /// <summary>
+    /// Renames a category or moves it under another parent, keeping the tree free of cycles
+    /// </summary>
+    /// <param name="id">The unique identifier of the category to update</param>
+    /// <param name="updateCategoryDto">The category's new name and parent</param>
+    /// <returns>The updated category DTO</returns>
+    /// <exception cref="InvalidOperationException">Thrown when the category is not found</exception>
+    /// <exception cref="ArgumentException">Thrown when the parent does not exist, is the category itself or one of its
+    /// subcategories, or a sibling has the same name</exception>
+    public async Task<CategoryDto> UpdateCategoryAsync(int id, UpdateCategoryDto updateCategoryDto)
+    {
+        var categories = (await _categoryRepository.GetAllAsync()).ToDictionary(c => c.Id);
+        if (!categories.TryGetValue(id, out var category))
+            throw new InvalidOperationException($"Category with ID {id} not found");
+
+        var parentId = updateCategoryDto.ParentId;
+        if (parentId.HasValue && !categories.ContainsKey(parentId.Value))
+        {
+            throw new ArgumentException($"Parent category with ID {parentId} does not exist.", nameof(updateCategoryDto.ParentId));
+        }
+
+        if (parentId.HasValue && Category.SelfAndDescendantIds(categories.Values, id).Contains(parentId.Value))
+        {
+            throw new ArgumentException("A category cannot be moved under itself or one of its subcategories.", nameof(updateCategoryDto.ParentId));
+        }
+
+        category.Name = updateCategoryDto.Name;
+        category.ParentId = parentId;
+        category.UpdatedAt = DateTime.UtcNow;
+        await EnsureUniqueNameAsync(category);
+
+        var updated = await _categoryRepository.UpdateAsync(category);
+        categories[updated.Id] = updated;
+        return MapToDto(updated, categories, await CountProductsAsync());
+    }
+
+    /// <summary>
+    /// Deletes a category once nothing is filed under it; products and subcategories have to be moved first
+    /// </summary>
+    /// <param name="id">The unique identifier of the category to delete</param>
+    /// <returns>A task representing the asynchronous operation</returns>
+    /// <exception cref="InvalidOperationException">Thrown when the category is not found</exception>
+    /// <exception cref="CategoryInUseException">Thrown when products or subcategories are still filed under the category</exception>
+    public async Task DeleteCategoryAsync(int id)
+    {
+        var categories = (await _categoryRepository.GetAllAsync()).ToList();
+        if (categories.All(c => c.Id != id))
+            throw new InvalidOperationException($"Category with ID {id} not found");
+
+        var productCount = (await CountProductsAsync()).GetValueOrDefault(id);
+        var subcategoryCount = categories.Count(c => c.ParentId == id);
+        if (productCount > 0 || subcategoryCount > 0)
+        {
+            throw new CategoryInUseException(id, productCount, subcategoryCount);
+        }
+
+        await _categoryRepository.DeleteAsync(id);
+    }
+
+    private async Task EnsureUniqueNameAsync(Category category)
+    {
+        var existing = await _categoryRepository.GetByNameAsync(category.Name, category.ParentId);
+        if (existing != null && existing.Id != category.Id)
+        {
+            throw new ArgumentException($"A category named '{category.Name}' already exists here.", nameof(Category.Name));
+        }
+    }
+
+    private async Task<IReadOnlyDictionary<int, int>> CountProductsAsync()
+    {
+        var facets = await _productRepository.GetFacetsAsync(new ProductQuery());
+        return facets.CategoryCounts;
+    }
+
+    private static CategoryDto MapToDto(Category category, IReadOnlyDictionary<int, Category> categoriesById, IReadOnlyDictionary<int, int> productCounts)
+    {
+        return new CategoryDto
+        {
+            Id = category.Id,
+            Name = category.Name,
+            ParentId = category.ParentId,
+            Path = Category.PathNames(categoriesById, category.Id).ToList(),
+            ProductCount = productCounts.GetValueOrDefault(category.Id),
+            CreatedAt = category.CreatedAt,
+            UpdatedAt = category.UpdatedAt
+        };
+    }
+}
\ No newline at end of file
@@ -0,0 +1,54 @@
+using System.Collections.Concurrent;
+using System.Threading.Channels;
+using DemoInventory.Application.DTOs;
+using DemoInventory.Application.Interfaces;
+
+namespace DemoInventory.Application.Services;
+
+/// <summary>
+/// In-process product event broadcaster. Each API instance only reports the changes made through it.
+/// </summary>
+public class ProductEventBroadcaster : IProductEventBroadcaster
+{
+    // Events a slow subscriber may fall behind by before the oldest are dropped
+    private const int SubscriberBufferSize = 100;
+
+    private readonly ConcurrentDictionary<Guid, Channel<ProductEventDto>> _subscribers = new();
+
+    /// <summary>
+    /// Sends a product change to every current subscriber without waiting for any of them
+    /// </summary>
+    /// <param name="productEvent">The change to send</param>
+    public void Publish(ProductEventDto productEvent)
+    {
+        foreach (var subscriber in _subscribers.Values)
+        {
+            subscriber.Writer.TryWrite(productEvent);
+        }
+    }
+
+    /// <summary>
+    /// Starts receiving product changes until the token is cancelled
+    /// </summary>
+    /// <param name="cancellationToken">Cancelled when the subscriber goes away</param>
+    /// <returns>A reader that yields each change published from now on</returns>
+    public ChannelReader<ProductEventDto> Subscribe(CancellationToken cancellationToken)
+    {
+        var id = Guid.NewGuid();
+        var channel = Channel.CreateBounded<ProductEventDto>(new BoundedChannelOptions(SubscriberBufferSize)
+        {
+            FullMode = BoundedChannelFullMode.DropOldest,
+            SingleWriter = false,
+            SingleReader = true
+        });
+        _subscribers[id] = channel;
+
+        cancellationToken.Register(() =>
+        {
+            _subscribers.TryRemove(id, out _);
+            channel.Writer.TryComplete();
+        });
+
+        return channel.Reader;
+    }
+}
\ No newline at end of file
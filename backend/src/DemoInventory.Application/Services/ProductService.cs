@@ -1,7 +1,10 @@
 using DemoInventory.Application.DTOs;
+using DemoInventory.Application.Exceptions;
 using DemoInventory.Application.Interfaces;
 using DemoInventory.Domain.Entities;
+using DemoInventory.Domain.Exceptions;
 using DemoInventory.Domain.Interfaces;
+using DemoInventory.Domain.Queries;
 
 namespace DemoInventory.Application.Services;
 
@@ -11,10 +14,20 @@ namespace DemoInventory.Application.Services;
 public class ProductService : IProductService
 {
     private readonly IProductRepository _productRepository;
+    private readonly ICategoryRepository _categoryRepository;
+    private readonly IProductEventBroadcaster? _eventBroadcaster;
 
-    public ProductService(IProductRepository productRepository)
+    /// <summary>
+    /// Initializes a new instance of the <see cref="ProductService"/> class
+    /// </summary>
+    /// <param name="productRepository">The product repository</param>
+    /// <param name="categoryRepository">The category repository, to check and filter by the categories products are filed under</param>
+    /// <param name="eventBroadcaster">Receives every product change for connected clients; changes are not broadcast when null</param>
+    public ProductService(IProductRepository productRepository, ICategoryRepository categoryRepository, IProductEventBroadcaster? eventBroadcaster = null)
     {
         _productRepository = productRepository;
+        _categoryRepository = categoryRepository;
+        _eventBroadcaster = eventBroadcaster;
     }
 
     /// <summary>
@@ -43,7 +56,7 @@ public class ProductService : IProductService
     /// </summary>
     /// <param name="createProductDto">The product creation data</param>
     /// <returns>The created product DTO</returns>
-    /// <exception cref="ArgumentException">Thrown when the SKU already exists</exception>
+    /// <exception cref="ArgumentException">Thrown when the SKU already exists or the category does not</exception>
     public async Task<ProductDto> CreateProductAsync(CreateProductDto createProductDto)
     {
         // Create the product object first to normalize the SKU
@@ -54,6 +67,10 @@ public class ProductService : IProductService
             SKU = createProductDto.SKU,
             Price = createProductDto.Price,
             QuantityInStock = createProductDto.QuantityInStock,
+            ReorderPoint = createProductDto.ReorderPoint ?? Product.DefaultReorderPoint,
+            ReorderQuantity = createProductDto.ReorderQuantity ?? 0,
+            CategoryId = createProductDto.CategoryId,
+            Tags = createProductDto.Tags ?? new List<string>(),
             CreatedAt = DateTime.UtcNow,
             UpdatedAt = DateTime.UtcNow
         };
@@ -65,8 +82,12 @@ public class ProductService : IProductService
             throw new ArgumentException($"SKU '{product.SKU}' already exists. Each product must have a unique SKU.", nameof(createProductDto.SKU));
         }
 
+        await EnsureCategoryExistsAsync(product.CategoryId);
+
         var createdProduct = await _productRepository.AddAsync(product);
-        return MapToDto(createdProduct);
+        var createdDto = MapToDto(createdProduct);
+        Publish(ProductEventTypes.Created, createdDto.Id, createdDto);
+        return createdDto;
     }
 
     /// <summary>
@@ -76,20 +97,46 @@ public class ProductService : IProductService
     /// <param name="updateProductDto">The product update data</param>
     /// <returns>The updated product DTO</returns>
     /// <exception cref="InvalidOperationException">Thrown when the product is not found</exception>
+    /// <exception cref="ProductConflictException">Thrown when the product has changed since the expected version, or another change was saved while this one was</exception>
+    /// <exception cref="ArgumentException">Thrown when the category does not exist</exception>
     public async Task<ProductDto> UpdateProductAsync(int id, UpdateProductDto updateProductDto)
     {
         var product = await _productRepository.GetByIdAsync(id);
         if (product == null)
             throw new InvalidOperationException($"Product with ID {id} not found");
 
+        // Reject edits made against an outdated copy of the product
+        if (updateProductDto.ExpectedUpdatedAt.HasValue && product.IsModifiedSince(updateProductDto.ExpectedUpdatedAt.Value))
+            throw new ProductConflictException(MapToDto(product));
+
         product.Name = updateProductDto.Name;
         product.Description = updateProductDto.Description;
         product.Price = updateProductDto.Price;
-        product.QuantityInStock = updateProductDto.QuantityInStock;
+        product.QuantityInStock = updateProductDto.QuantityInStock ?? product.QuantityInStock;
+        product.ReorderPoint = updateProductDto.ReorderPoint ?? product.ReorderPoint;
+        product.ReorderQuantity = updateProductDto.ReorderQuantity ?? product.ReorderQuantity;
+        product.CategoryId = updateProductDto.ResolveCategoryId(product.CategoryId);
+        product.Tags = updateProductDto.Tags ?? product.Tags;
         product.UpdatedAt = DateTime.UtcNow;
 
-        var updatedProduct = await _productRepository.UpdateAsync(product);
-        return MapToDto(updatedProduct);
+        await EnsureCategoryExistsAsync(product.CategoryId);
+
+        Product updatedProduct;
+        try
+        {
+            updatedProduct = await _productRepository.UpdateAsync(product);
+        }
+        catch (ProductConcurrencyException)
+        {
+            // Another change was saved between loading the product and saving this one
+            var currentProduct = await _productRepository.GetByIdAsync(id);
+            if (currentProduct == null)
+                throw new InvalidOperationException($"Product with ID {id} not found");
+            throw new ProductConflictException(MapToDto(currentProduct));
+        }
+        var updatedDto = MapToDto(updatedProduct);
+        Publish(ProductEventTypes.Updated, updatedDto.Id, updatedDto);
+        return updatedDto;
     }
 
     /// <summary>
@@ -100,6 +147,7 @@ public class ProductService : IProductService
     public async Task DeleteProductAsync(int id)
     {
         await _productRepository.DeleteAsync(id);
+        Publish(ProductEventTypes.Deleted, id, null);
     }
 
     /// <summary>
@@ -201,6 +249,310 @@ public class ProductService : IProductService
         return products.Select(MapToDto);
     }
 
+    /// <summary>
+    /// Retrieves a page of products matching the given sort and filter criteria
+    /// </summary>
+    /// <param name="query">The paging, sorting and filtering criteria</param>
+    /// <returns>The requested page of product DTOs with paging metadata</returns>
+    /// <exception cref="ArgumentException">Thrown when a range filter has its minimum above its maximum</exception>
+    public async Task<PagedResultDto<ProductDto>> QueryProductsAsync(ProductQueryDto query)
+    {
+        var result = await _productRepository.QueryAsync(await ToProductQueryAsync(query));
+        return new PagedResultDto<ProductDto>
+        {
+            Items = result.Items.Select(MapToDto).ToList(),
+            Page = query.Page,
+            PageSize = query.PageSize,
+            TotalCount = result.TotalCount,
+            TotalPages = (int)Math.Ceiling(result.TotalCount / (double)query.PageSize)
+        };
+    }
+
+    /// <summary>
+    /// Counts the products matching the given filter criteria per category and tag. A category's count
+    /// includes the products in its subcategories.
+    /// </summary>
+    /// <param name="query">The filtering criteria; paging and sorting are ignored</param>
+    /// <returns>Every category and every tag in use, with the number of matching products</returns>
+    /// <exception cref="ArgumentException">Thrown when a range filter has its minimum above its maximum</exception>
+    public async Task<ProductFacetsDto> GetProductFacetsAsync(ProductQueryDto query)
+    {
+        var facets = await _productRepository.GetFacetsAsync(await ToProductQueryAsync(query));
+        var categories = (await _categoryRepository.GetAllAsync()).ToList();
+
+        return new ProductFacetsDto
+        {
+            Categories = Category.InTreeOrder(categories)
+                .Select(category => new CategoryFacetDto
+                {
+                    Id = category.Id,
+                    Name = category.Name,
+                    ParentId = category.ParentId,
+                    Count = Category.SelfAndDescendantIds(categories, category.Id).Sum(id => facets.CategoryCounts.GetValueOrDefault(id))
+                })
+                .ToList(),
+            UncategorizedCount = facets.UncategorizedCount,
+            Tags = facets.TagCounts
+                .Select(tag => new TagFacetDto { Tag = tag.Key, Count = tag.Value })
+                .OrderByDescending(facet => facet.Count)
+                .ThenBy(facet => facet.Tag, StringComparer.Ordinal)
+                .ToList()
+        };
+    }
+
+    // Validates the query parameters and expands the category filter to the category's whole branch
+    private async Task<ProductQuery> ToProductQueryAsync(ProductQueryDto query)
+    {
+        // Input validation
+        if (query == null)
+        {
+            throw new ArgumentNullException(nameof(query), "Query cannot be null.");
+        }
+
+        if (query.MinPrice > query.MaxPrice)
+        {
+            throw new ArgumentException("Minimum price cannot be greater than maximum price.", nameof(query));
+        }
+
+        if (query.MinStock > query.MaxStock)
+        {
+            throw new ArgumentException("Minimum stock cannot be greater than maximum stock.", nameof(query));
+        }
+
+        if (query.CreatedFrom > query.CreatedTo)
+        {
+            throw new ArgumentException("Created from date cannot be after created to date.", nameof(query));
+        }
+
+        var productQuery = query.ToProductQuery();
+        if (query.CategoryId.HasValue)
+        {
+            var categories = await _categoryRepository.GetAllAsync();
+            productQuery.CategoryIds = Category.SelfAndDescendantIds(categories, query.CategoryId.Value).ToList();
+        }
+        return productQuery;
+    }
+
+    /// <summary>
+    /// Retrieves the change history of a product, oldest version first
+    /// </summary>
+    /// <param name="id">The unique identifier of the product</param>
+    /// <returns>The product's recorded versions, or null if the product does not exist</returns>
+    public async Task<IEnumerable<ProductVersionDto>?> GetProductHistoryAsync(int id)
+    {
+        var product = await _productRepository.GetByIdAsync(id);
+        if (product == null)
+        {
+            return null;
+        }
+
+        var versions = await _productRepository.GetHistoryAsync(id);
+        return versions.Select(MapToVersionDto);
+    }
+
+    /// <summary>
+    /// Adjusts a product's stock level by a delta and records the reason
+    /// </summary>
+    /// <param name="id">The unique identifier of the product to adjust</param>
+    /// <param name="createStockAdjustmentDto">The change in quantity, its reason and an optional note</param>
+    /// <returns>The recorded adjustment</returns>
+    /// <exception cref="InvalidOperationException">Thrown when the product is not found</exception>
+    /// <exception cref="ArgumentException">Thrown when the reason is unknown, the delta does not suit the reason, or the stock would go below zero</exception>
+    public async Task<StockAdjustmentDto> AdjustStockAsync(int id, CreateStockAdjustmentDto createStockAdjustmentDto)
+    {
+        // Input validation
+        if (createStockAdjustmentDto == null)
+        {
+            throw new ArgumentNullException(nameof(createStockAdjustmentDto), "Stock adjustment cannot be null.");
+        }
+
+        if (!StockAdjustmentReasons.TryParse(createStockAdjustmentDto.Reason, out var reason))
+        {
+            throw new ArgumentException($"Unknown stock adjustment reason '{createStockAdjustmentDto.Reason}'.", nameof(createStockAdjustmentDto.Reason));
+        }
+
+        var adjustment = new StockAdjustment
+        {
+            ProductId = id,
+            Delta = createStockAdjustmentDto.Delta,
+            Reason = reason,
+            Note = createStockAdjustmentDto.Note
+        };
+        adjustment.Validate();
+
+        var recorded = await _productRepository.AdjustStockAsync(adjustment);
+
+        // Watching clients need the product's new stock level, not just the adjustment
+        if (_eventBroadcaster != null)
+        {
+            var adjusted = await _productRepository.GetByIdAsync(id);
+            if (adjusted != null)
+            {
+                Publish(ProductEventTypes.Updated, id, MapToDto(adjusted));
+            }
+        }
+
+        return MapToAdjustmentDto(recorded);
+    }
+
+    /// <summary>
+    /// Retrieves the stock adjustments recorded for a product, newest first
+    /// </summary>
+    /// <param name="id">The unique identifier of the product</param>
+    /// <returns>The product's stock adjustments, or null if the product does not exist</returns>
+    public async Task<IEnumerable<StockAdjustmentDto>?> GetStockAdjustmentsAsync(int id)
+    {
+        var product = await _productRepository.GetByIdAsync(id);
+        if (product == null)
+        {
+            return null;
+        }
+
+        var adjustments = await _productRepository.GetStockAdjustmentsAsync(id);
+        return adjustments.Select(MapToAdjustmentDto);
+    }
+
+    /// <summary>
+    /// Retrieves the details of a product's images, in the order they were uploaded
+    /// </summary>
+    /// <param name="id">The unique identifier of the product</param>
+    /// <returns>The product's images, or null if the product does not exist</returns>
+    public async Task<IEnumerable<ProductImageDto>?> GetProductImagesAsync(int id)
+    {
+        var product = await _productRepository.GetByIdAsync(id);
+        if (product == null)
+        {
+            return null;
+        }
+
+        var images = await _productRepository.GetImagesAsync(id);
+        return images.Select(image => MapToImageDto(image, product.PrimaryImageId));
+    }
+
+    /// <summary>
+    /// Retrieves the bytes of a product image or of its thumbnail
+    /// </summary>
+    /// <param name="id">The unique identifier of the product</param>
+    /// <param name="imageId">The unique identifier of the image</param>
+    /// <param name="thumbnail">True for the thumbnail, which is the image itself when none was uploaded</param>
+    /// <returns>The image's bytes and type, or null if the product or image does not exist</returns>
+    public async Task<ProductImageContentDto?> GetProductImageContentAsync(int id, int imageId, bool thumbnail)
+    {
+        var image = await _productRepository.GetImageAsync(id, imageId);
+        if (image == null)
+        {
+            return null;
+        }
+
+        return new ProductImageContentDto
+        {
+            ContentType = image.ContentType,
+            FileName = image.FileName,
+            Data = thumbnail ? image.ThumbnailData ?? image.Data : image.Data,
+            CreatedAt = image.CreatedAt
+        };
+    }
+
+    /// <summary>
+    /// Adds an uploaded image to a product; the product's first image becomes its primary image
+    /// </summary>
+    /// <param name="id">The unique identifier of the product</param>
+    /// <param name="createProductImageDto">The image, its optional thumbnail and whether it becomes the primary image</param>
+    /// <returns>The details of the added image</returns>
+    /// <exception cref="InvalidOperationException">Thrown when the product is not found</exception>
+    /// <exception cref="ArgumentException">Thrown when the image is not an allowed format, is too large, or the product already has the most images allowed</exception>
+    public async Task<ProductImageDto> AddProductImageAsync(int id, CreateProductImageDto createProductImageDto)
+    {
+        // Input validation
+        if (createProductImageDto == null)
+        {
+            throw new ArgumentNullException(nameof(createProductImageDto), "Image cannot be null.");
+        }
+
+        var product = await _productRepository.GetByIdAsync(id);
+        if (product == null)
+            throw new InvalidOperationException($"Product with ID {id} not found");
+
+        var image = new ProductImage
+        {
+            ProductId = id,
+            FileName = createProductImageDto.FileName,
+            ContentType = createProductImageDto.ContentType,
+            Width = createProductImageDto.Width,
+            Height = createProductImageDto.Height,
+            Data = createProductImageDto.Data,
+            ThumbnailData = createProductImageDto.ThumbnailData,
+            CreatedAt = DateTime.UtcNow
+        };
+        image.Validate();
+
+        var existing = await _productRepository.GetImagesAsync(id);
+        if (existing.Count() >= ProductImage.MaxImagesPerProduct)
+        {
+            throw new ArgumentException($"A product cannot have more than {ProductImage.MaxImagesPerProduct} images.");
+        }
+
+        var added = await _productRepository.AddImageAsync(image, createProductImageDto.IsPrimary || product.PrimaryImageId == null);
+        var updated = await PublishImageChangeAsync(id);
+        return MapToImageDto(added, updated?.PrimaryImageId ?? added.Id);
+    }
+
+    /// <summary>
+    /// Makes an image the one shown for its product in lists
+    /// </summary>
+    /// <param name="id">The unique identifier of the product</param>
+    /// <param name="imageId">The unique identifier of the image</param>
+    /// <returns>A task representing the asynchronous operation</returns>
+    /// <exception cref="InvalidOperationException">Thrown when the product or image is not found</exception>
+    public async Task SetPrimaryProductImageAsync(int id, int imageId)
+    {
+        await _productRepository.SetPrimaryImageAsync(id, imageId);
+        await PublishImageChangeAsync(id);
+    }
+
+    /// <summary>
+    /// Deletes a product image; when it was the primary image, the oldest remaining image takes its place
+    /// </summary>
+    /// <param name="id">The unique identifier of the product</param>
+    /// <param name="imageId">The unique identifier of the image</param>
+    /// <returns>A task representing the asynchronous operation</returns>
+    /// <exception cref="InvalidOperationException">Thrown when the product or image is not found</exception>
+    public async Task DeleteProductImageAsync(int id, int imageId)
+    {
+        await _productRepository.DeleteImageAsync(id, imageId);
+        await PublishImageChangeAsync(id);
+    }
+
+    // Watching clients need the product's new primary image; returns the product as it is now
+    private async Task<Product?> PublishImageChangeAsync(int id)
+    {
+        var product = await _productRepository.GetByIdAsync(id);
+        if (product != null)
+        {
+            Publish(ProductEventTypes.Updated, id, MapToDto(product));
+        }
+        return product;
+    }
+
+    private async Task EnsureCategoryExistsAsync(int? categoryId)
+    {
+        if (categoryId.HasValue && await _categoryRepository.GetByIdAsync(categoryId.Value) == null)
+        {
+            throw new ArgumentException($"Category with ID {categoryId} does not exist.", nameof(Product.CategoryId));
+        }
+    }
+
+    private void Publish(string type, int productId, ProductDto? product)
+    {
+        _eventBroadcaster?.Publish(new ProductEventDto
+        {
+            Type = type,
+            ProductId = productId,
+            Product = product,
+            OccurredAt = DateTime.UtcNow
+        });
+    }
+
     private static ProductDto MapToDto(Product product)
     {
         return new ProductDto
@@ -211,8 +563,58 @@ public class ProductService : IProductService
             SKU = product.SKU,
             Price = product.Price,
             QuantityInStock = product.QuantityInStock,
+            ReorderPoint = product.ReorderPoint,
+            ReorderQuantity = product.ReorderQuantity,
+            CategoryId = product.CategoryId,
+            Tags = product.Tags.ToList(),
+            PrimaryImageId = product.PrimaryImageId,
             CreatedAt = product.CreatedAt,
             UpdatedAt = product.UpdatedAt
         };
     }
+
+    private static ProductVersionDto MapToVersionDto(ProductVersion version)
+    {
+        return new ProductVersionDto
+        {
+            Version = version.Version,
+            ChangeType = version.ChangeType.ToString().ToLowerInvariant(),
+            Name = version.Name,
+            Description = version.Description,
+            Price = version.Price,
+            QuantityInStock = version.QuantityInStock,
+            RecordedAt = version.RecordedAt
+        };
+    }
+
+    private static ProductImageDto MapToImageDto(ProductImage image, int? primaryImageId)
+    {
+        return new ProductImageDto
+        {
+            Id = image.Id,
+            ProductId = image.ProductId,
+            FileName = image.FileName,
+            ContentType = image.ContentType,
+            Width = image.Width,
+            Height = image.Height,
+            SizeInBytes = image.SizeInBytes,
+            IsPrimary = image.Id == primaryImageId,
+            CreatedAt = image.CreatedAt
+        };
+    }
+
+    private static StockAdjustmentDto MapToAdjustmentDto(StockAdjustment adjustment)
+    {
+        return new StockAdjustmentDto
+        {
+            Id = adjustment.Id,
+            ProductId = adjustment.ProductId,
+            Delta = adjustment.Delta,
+            Reason = StockAdjustmentReasons.ToName(adjustment.Reason),
+            Note = adjustment.Note,
+            QuantityBefore = adjustment.QuantityBefore,
+            QuantityAfter = adjustment.QuantityAfter,
+            CreatedAt = adjustment.CreatedAt
+        };
+    }
 }
\ No newline at end of file
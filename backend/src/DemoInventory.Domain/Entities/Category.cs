@@ -0,0 +1,113 @@
+namespace DemoInventory.Domain.Entities;
+
+/// <summary>
+/// A group of products; categories nest, so a category can hold subcategories as well as products
+/// </summary>
+public class Category
+{
+    private string _name = string.Empty;
+
+    /// <summary>
+    /// Longest name a category can have
+    /// </summary>
+    public const int MaxNameLength = 100;
+
+    public int Id { get; set; }
+
+    public string Name
+    {
+        get => _name;
+        set
+        {
+            if (string.IsNullOrWhiteSpace(value))
+                throw new ArgumentException("Category name cannot be null or empty.", nameof(Name));
+            if (value.Trim().Length > MaxNameLength)
+                throw new ArgumentException($"Category name cannot exceed {MaxNameLength} characters.", nameof(Name));
+            _name = value.Trim();
+        }
+    }
+
+    /// <summary>
+    /// The category this one belongs to; null for a top-level category
+    /// </summary>
+    public int? ParentId { get; set; }
+
+    public Category? Parent { get; set; }
+
+    public DateTime CreatedAt { get; set; }
+    public DateTime UpdatedAt { get; set; }
+
+    /// <summary>
+    /// Collects the IDs of a category and every category nested below it, at any depth
+    /// </summary>
+    /// <param name="categories">All categories</param>
+    /// <param name="categoryId">The category at the top of the branch</param>
+    /// <returns>The category's own ID together with the IDs of all its subcategories</returns>
+    public static ISet<int> SelfAndDescendantIds(IEnumerable<Category> categories, int categoryId)
+    {
+        var childrenByParent = categories
+            .Where(c => c.ParentId.HasValue)
+            .ToLookup(c => c.ParentId!.Value, c => c.Id);
+
+        var ids = new HashSet<int> { categoryId };
+        var pending = new Queue<int>(ids);
+        while (pending.Count > 0)
+        {
+            foreach (var childId in childrenByParent[pending.Dequeue()])
+            {
+                // Stops on stored cycles instead of looping forever
+                if (ids.Add(childId))
+                    pending.Enqueue(childId);
+            }
+        }
+        return ids;
+    }
+
+    /// <summary>
+    /// Orders categories the way a tree shows them: each category followed by its subcategories, with
+    /// categories under the same parent sorted by name
+    /// </summary>
+    /// <param name="categories">All categories</param>
+    /// <returns>The categories in tree order; categories whose parent is missing are left out</returns>
+    public static IReadOnlyList<Category> InTreeOrder(IEnumerable<Category> categories)
+    {
+        var childrenByParent = categories
+            .OrderBy(c => c.Name, StringComparer.CurrentCultureIgnoreCase)
+            .ToLookup(c => c.ParentId ?? 0);
+
+        var ordered = new List<Category>();
+        var visited = new HashSet<int>();
+        void Visit(int parentId)
+        {
+            foreach (var child in childrenByParent[parentId])
+            {
+                if (visited.Add(child.Id))
+                {
+                    ordered.Add(child);
+                    Visit(child.Id);
+                }
+            }
+        }
+
+        // Top-level categories are grouped under 0, which is never a category ID
+        Visit(0);
+        return ordered;
+    }
+
+    /// <summary>
+    /// Lists the names of a category's parents and its own, from the top level down, e.g. Electronics, Audio, Headphones
+    /// </summary>
+    /// <param name="categoriesById">All categories, by ID</param>
+    /// <param name="categoryId">The category to describe</param>
+    /// <returns>The names along the category's path; empty when the category does not exist</returns>
+    public static IReadOnlyList<string> PathNames(IReadOnlyDictionary<int, Category> categoriesById, int categoryId)
+    {
+        var names = new List<string>();
+        var visited = new HashSet<int>();
+        for (int? id = categoryId; id.HasValue && visited.Add(id.Value) && categoriesById.TryGetValue(id.Value, out var category); id = category.ParentId)
+        {
+            names.Insert(0, category.Name);
+        }
+        return names;
+    }
+}
\ No newline at end of file
@@ -9,6 +9,24 @@ public class Product
     private string _sku = string.Empty;
     private decimal _price;
     private int _quantityInStock;
+    private int _reorderPoint = DefaultReorderPoint;
+    private int _reorderQuantity;
+    private List<string> _tags = new();
+
+    /// <summary>
+    /// Reorder point given to products that do not set their own
+    /// </summary>
+    public const int DefaultReorderPoint = 10;
+
+    /// <summary>
+    /// Most tags a product can carry
+    /// </summary>
+    public const int MaxTags = 20;
+
+    /// <summary>
+    /// Longest tag a product can carry
+    /// </summary>
+    public const int MaxTagLength = 50;
 
     public int Id { get; set; }
     
@@ -69,9 +87,92 @@ public class Product
         }
     }
     
+    /// <summary>
+    /// Stock level at or below which the product should be reordered
+    /// </summary>
+    public int ReorderPoint
+    {
+        get => _reorderPoint;
+        set
+        {
+            if (value < 0)
+                throw new ArgumentException("Reorder point cannot be negative.", nameof(ReorderPoint));
+            _reorderPoint = value;
+        }
+    }
+
+    /// <summary>
+    /// Quantity to order when the product is restocked; 0 when not set
+    /// </summary>
+    public int ReorderQuantity
+    {
+        get => _reorderQuantity;
+        set
+        {
+            if (value < 0)
+                throw new ArgumentException("Reorder quantity cannot be negative.", nameof(ReorderQuantity));
+            _reorderQuantity = value;
+        }
+    }
+
+    /// <summary>
+    /// The category the product is filed under; null when it is uncategorized
+    /// </summary>
+    public int? CategoryId { get; set; }
+
+    public Category? Category { get; set; }
+
+    /// <summary>
+    /// Free-form labels such as "clearance" or "fragile", kept trimmed, in lower case and without duplicates
+    /// </summary>
+    public List<string> Tags
+    {
+        get => _tags;
+        set
+        {
+            var tags = (value ?? new List<string>())
+                .Where(tag => !string.IsNullOrWhiteSpace(tag))
+                .Select(NormalizeTag)
+                .Distinct()
+                .ToList();
+            if (tags.Count > MaxTags)
+                throw new ArgumentException($"A product cannot have more than {MaxTags} tags.", nameof(Tags));
+            if (tags.Any(tag => tag.Length > MaxTagLength))
+                throw new ArgumentException($"Tags cannot exceed {MaxTagLength} characters.", nameof(Tags));
+            _tags = tags;
+        }
+    }
+
+    /// <summary>
+    /// The image shown for the product in lists; null when it has no images. Kept in step with the
+    /// product's images by the repository.
+    /// </summary>
+    public int? PrimaryImageId { get; set; }
+
     public DateTime CreatedAt { get; set; }
     public DateTime UpdatedAt { get; set; }
 
+    /// <summary>
+    /// Brings a tag into the form products store it in, so "Clearance " and "clearance" are the same tag
+    /// </summary>
+    /// <param name="tag">The tag as entered</param>
+    /// <returns>The trimmed, lower-case tag</returns>
+    public static string NormalizeTag(string tag)
+    {
+        return tag.Trim().ToLowerInvariant();
+    }
+
+    /// <summary>
+    /// Checks whether the product has been updated since the given timestamp.
+    /// Timestamps are compared to the millisecond, as that is all the database and clients keep reliably.
+    /// </summary>
+    /// <param name="updatedAt">The UpdatedAt value the caller last saw</param>
+    /// <returns>True when the product has been updated since then</returns>
+    public bool IsModifiedSince(DateTime updatedAt)
+    {
+        return UpdatedAt.Ticks / TimeSpan.TicksPerMillisecond != updatedAt.Ticks / TimeSpan.TicksPerMillisecond;
+    }
+
     /// <summary>
     /// Validates the product's description length
     /// </summary>
@@ -93,6 +194,8 @@ public class Product
         var tempSku = SKU;
         var tempPrice = Price;
         var tempQuantity = QuantityInStock;
+        var tempReorderPoint = ReorderPoint;
+        var tempReorderQuantity = ReorderQuantity;
         ValidateDescription();
     }
 }
\ No newline at end of file
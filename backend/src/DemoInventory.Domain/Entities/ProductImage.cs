@@ -0,0 +1,143 @@
+namespace DemoInventory.Domain.Entities;
+
+/// <summary>
+/// A picture of a product, with a smaller copy to show in lists. Images are resized by the client
+/// before they are uploaded, so they are stored as sent.
+/// </summary>
+public class ProductImage
+{
+    private string _fileName = string.Empty;
+
+    /// <summary>
+    /// Most images a product can have
+    /// </summary>
+    public const int MaxImagesPerProduct = 10;
+
+    /// <summary>
+    /// Largest image that can be uploaded, in bytes
+    /// </summary>
+    public const int MaxSizeInBytes = 5 * 1024 * 1024;
+
+    /// <summary>
+    /// Largest thumbnail that can be uploaded, in bytes
+    /// </summary>
+    public const int MaxThumbnailSizeInBytes = 512 * 1024;
+
+    /// <summary>
+    /// Longest file name kept with an image
+    /// </summary>
+    public const int MaxFileNameLength = 255;
+
+    /// <summary>
+    /// The image formats browsers can show, as MIME types
+    /// </summary>
+    public static readonly IReadOnlyList<string> AllowedContentTypes = new[] { "image/jpeg", "image/png", "image/webp" };
+
+    public int Id { get; set; }
+
+    public int ProductId { get; set; }
+
+    /// <summary>
+    /// The product the image shows
+    /// </summary>
+    public Product? Product { get; set; }
+
+    /// <summary>
+    /// The name of the file the image was uploaded from, without any directories
+    /// </summary>
+    public string FileName
+    {
+        get => _fileName;
+        set
+        {
+            // Some browsers send the whole path, with either kind of separator
+            var fileName = value?.Trim() ?? string.Empty;
+            fileName = fileName[(fileName.LastIndexOfAny(new[] { '/', '\\' }) + 1)..];
+            if (fileName.Length > MaxFileNameLength)
+                fileName = fileName[..MaxFileNameLength];
+            _fileName = fileName;
+        }
+    }
+
+    /// <summary>
+    /// MIME type of the image and its thumbnail, e.g. image/jpeg
+    /// </summary>
+    public string ContentType { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Width of the image in pixels
+    /// </summary>
+    public int Width { get; set; }
+
+    /// <summary>
+    /// Height of the image in pixels
+    /// </summary>
+    public int Height { get; set; }
+
+    /// <summary>
+    /// Size of the image in bytes
+    /// </summary>
+    public int SizeInBytes { get; set; }
+
+    /// <summary>
+    /// The image itself; empty when only the image's details were loaded
+    /// </summary>
+    public byte[] Data { get; set; } = Array.Empty<byte>();
+
+    /// <summary>
+    /// A smaller copy of the image for lists; null when the image is shown as its own thumbnail
+    /// </summary>
+    public byte[]? ThumbnailData { get; set; }
+
+    public DateTime CreatedAt { get; set; }
+
+    /// <summary>
+    /// Validates the image's type, size and dimensions, and that its bytes are the format its type claims
+    /// </summary>
+    /// <exception cref="ArgumentException">Thrown when the image or its thumbnail is empty, too large or not an allowed format</exception>
+    public void Validate()
+    {
+        if (!AllowedContentTypes.Contains(ContentType))
+            throw new ArgumentException($"Images must be one of: {string.Join(", ", AllowedContentTypes)}.", nameof(ContentType));
+        if (Data.Length == 0)
+            throw new ArgumentException("The image is empty.", nameof(Data));
+        if (Data.Length > MaxSizeInBytes)
+            throw new ArgumentException($"Images cannot exceed {MaxSizeInBytes / (1024 * 1024)} MB.", nameof(Data));
+        if (DetectContentType(Data) != ContentType)
+            throw new ArgumentException($"The image is not a valid {ContentType} file.", nameof(Data));
+        if (Width <= 0 || Height <= 0)
+            throw new ArgumentException("Image width and height must be positive.", nameof(Width));
+
+        if (ThumbnailData != null)
+        {
+            if (ThumbnailData.Length == 0 || ThumbnailData.Length > MaxThumbnailSizeInBytes)
+                throw new ArgumentException($"Thumbnails must be between 1 byte and {MaxThumbnailSizeInBytes / 1024} KB.", nameof(ThumbnailData));
+            if (DetectContentType(ThumbnailData) != ContentType)
+                throw new ArgumentException($"The thumbnail is not a valid {ContentType} file.", nameof(ThumbnailData));
+        }
+
+        SizeInBytes = Data.Length;
+    }
+
+    /// <summary>
+    /// Recognizes an allowed image format from the first bytes of a file
+    /// </summary>
+    /// <param name="data">The file's contents</param>
+    /// <returns>The format's MIME type, or null when the bytes are not an allowed format</returns>
+    public static string? DetectContentType(byte[] data)
+    {
+        if (StartsWith(data, 0, 0xFF, 0xD8, 0xFF))
+            return "image/jpeg";
+        if (StartsWith(data, 0, 0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A))
+            return "image/png";
+        // RIFF....WEBP
+        if (StartsWith(data, 0, 0x52, 0x49, 0x46, 0x46) && StartsWith(data, 8, 0x57, 0x45, 0x42, 0x50))
+            return "image/webp";
+        return null;
+    }
+
+    private static bool StartsWith(byte[] data, int offset, params byte[] signature)
+    {
+        return data.Length >= offset + signature.Length && data.AsSpan(offset, signature.Length).SequenceEqual(signature);
+    }
+}
\ No newline at end of file
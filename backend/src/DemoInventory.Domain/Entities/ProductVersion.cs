@@ -0,0 +1,78 @@
+namespace DemoInventory.Domain.Entities;
+
+/// <summary>
+/// The kind of change that produced a product version
+/// </summary>
+public enum ProductChangeType
+{
+    Created,
+    Updated
+}
+
+/// <summary>
+/// A snapshot of a product's editable fields, recorded each time the product is created or changed
+/// </summary>
+public class ProductVersion
+{
+    public int Id { get; set; }
+
+    public int ProductId { get; set; }
+
+    /// <summary>
+    /// The product this version belongs to
+    /// </summary>
+    public Product? Product { get; set; }
+
+    /// <summary>
+    /// Sequential version number per product, starting at 1 when the product is created
+    /// </summary>
+    public int Version { get; set; }
+
+    public ProductChangeType ChangeType { get; set; }
+
+    public string Name { get; set; } = string.Empty;
+
+    public string Description { get; set; } = string.Empty;
+
+    public decimal Price { get; set; }
+
+    public int QuantityInStock { get; set; }
+
+    public DateTime RecordedAt { get; set; }
+
+    /// <summary>
+    /// Creates a snapshot of the product's current values
+    /// </summary>
+    /// <param name="product">The product to snapshot</param>
+    /// <param name="version">The version number to assign</param>
+    /// <param name="changeType">Whether the product was created or updated</param>
+    /// <returns>A new version that references the product</returns>
+    public static ProductVersion FromProduct(Product product, int version, ProductChangeType changeType)
+    {
+        return new ProductVersion
+        {
+            ProductId = product.Id,
+            Product = product,
+            Version = version,
+            ChangeType = changeType,
+            Name = product.Name,
+            Description = product.Description,
+            Price = product.Price,
+            QuantityInStock = product.QuantityInStock,
+            RecordedAt = product.UpdatedAt
+        };
+    }
+
+    /// <summary>
+    /// Checks whether the product's tracked fields differ from this version
+    /// </summary>
+    /// <param name="product">The product to compare against</param>
+    /// <returns>True when the name, description, price or stock level has changed</returns>
+    public bool DiffersFrom(Product product)
+    {
+        return Name != product.Name
+            || Description != product.Description
+            || Price != product.Price
+            || QuantityInStock != product.QuantityInStock;
+    }
+}
@@ -0,0 +1,95 @@
+namespace DemoInventory.Domain.Entities;
+
+/// <summary>
+/// Why a product's stock level was adjusted
+/// </summary>
+public enum StockAdjustmentReason
+{
+    Received,
+    Sold,
+    Damaged,
+    CycleCount,
+    Return
+}
+
+/// <summary>
+/// A single change to a product's stock level, recorded with its reason so stock movements can be audited
+/// </summary>
+public class StockAdjustment
+{
+    private string _note = string.Empty;
+
+    public int Id { get; set; }
+
+    public int ProductId { get; set; }
+
+    /// <summary>
+    /// The product whose stock was adjusted
+    /// </summary>
+    public Product? Product { get; set; }
+
+    /// <summary>
+    /// The change in quantity; positive when stock was added, negative when it was removed
+    /// </summary>
+    public int Delta { get; set; }
+
+    public StockAdjustmentReason Reason { get; set; }
+
+    public string Note
+    {
+        get => _note;
+        set
+        {
+            var note = value?.Trim() ?? string.Empty;
+            if (note.Length > 500)
+                throw new ArgumentException("Note cannot exceed 500 characters.", nameof(Note));
+            _note = note;
+        }
+    }
+
+    /// <summary>
+    /// Quantity in stock before the adjustment was applied
+    /// </summary>
+    public int QuantityBefore { get; set; }
+
+    /// <summary>
+    /// Quantity in stock after the adjustment was applied
+    /// </summary>
+    public int QuantityAfter { get; set; }
+
+    public DateTime CreatedAt { get; set; }
+
+    /// <summary>
+    /// Validates that the delta is non-zero and points the way its reason implies
+    /// </summary>
+    /// <exception cref="ArgumentException">Thrown when the delta is zero or has the wrong sign for the reason</exception>
+    public void Validate()
+    {
+        if (Delta == 0)
+            throw new ArgumentException("Adjustment quantity cannot be zero.", nameof(Delta));
+
+        // Cycle counts correct the stock level in either direction; every other reason has a fixed direction
+        if ((Reason == StockAdjustmentReason.Received || Reason == StockAdjustmentReason.Return) && Delta < 0)
+            throw new ArgumentException($"Adjustments for reason '{Reason}' must add stock.", nameof(Delta));
+        if ((Reason == StockAdjustmentReason.Sold || Reason == StockAdjustmentReason.Damaged) && Delta > 0)
+            throw new ArgumentException($"Adjustments for reason '{Reason}' must remove stock.", nameof(Delta));
+    }
+
+    /// <summary>
+    /// Applies the adjustment to a product, recording the stock level before and after
+    /// </summary>
+    /// <param name="product">The product to adjust</param>
+    /// <exception cref="ArgumentException">Thrown when the adjustment would take the stock level below zero</exception>
+    public void ApplyTo(Product product)
+    {
+        var quantityAfter = product.QuantityInStock + Delta;
+        if (quantityAfter < 0)
+            throw new ArgumentException($"Cannot remove {-Delta} units; only {product.QuantityInStock} in stock.", nameof(Delta));
+
+        ProductId = product.Id;
+        QuantityBefore = product.QuantityInStock;
+        QuantityAfter = quantityAfter;
+        product.QuantityInStock = quantityAfter;
+        product.UpdatedAt = CreatedAt;
+    }
+}
\ No newline at end of file
@@ -0,0 +1,23 @@
+namespace DemoInventory.Domain.Exceptions;
+
+/// <summary>
+/// Thrown when a product could not be saved because another change was saved to it after it was loaded
+/// </summary>
+public class ProductConcurrencyException : Exception
+{
+    /// <summary>
+    /// Initializes a new instance of the <see cref="ProductConcurrencyException"/> class
+    /// </summary>
+    /// <param name="productId">The product that was being saved</param>
+    /// <param name="innerException">The storage error that reported the conflicting change</param>
+    public ProductConcurrencyException(int productId, Exception? innerException = null)
+        : base($"Product with ID {productId} was changed by another request while it was being saved", innerException)
+    {
+        ProductId = productId;
+    }
+
+    /// <summary>
+    /// The product that was being saved
+    /// </summary>
+    public int ProductId { get; }
+}
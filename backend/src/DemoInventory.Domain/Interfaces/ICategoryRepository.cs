@@ -0,0 +1,8 @@
+using DemoInventory.Domain.Entities;
+
+namespace DemoInventory.Domain.Interfaces;
+
+public interface ICategoryRepository : IRepository<Category>
+{
+    Task<Category?> GetByNameAsync(string name, int? parentId);
+}
\ No newline at end of file
@@ -1,4 +1,5 @@
 using DemoInventory.Domain.Entities;
+using DemoInventory.Domain.Queries;
 
 namespace DemoInventory.Domain.Interfaces;
 
@@ -8,4 +9,14 @@ public interface IProductRepository : IRepository<Product>
     Task<Product?> GetByNameAsync(string name);
     Task<IEnumerable<Product>> GetByPriceRangeAsync(decimal minPrice, decimal maxPrice);
     Task<IEnumerable<Product>> SearchByNameAsync(string name);
+    Task<PagedResult<Product>> QueryAsync(ProductQuery query);
+    Task<ProductFacets> GetFacetsAsync(ProductQuery query);
+    Task<IEnumerable<ProductVersion>> GetHistoryAsync(int productId);
+    Task<StockAdjustment> AdjustStockAsync(StockAdjustment adjustment);
+    Task<IEnumerable<StockAdjustment>> GetStockAdjustmentsAsync(int productId);
+    Task<IEnumerable<ProductImage>> GetImagesAsync(int productId);
+    Task<ProductImage?> GetImageAsync(int productId, int imageId);
+    Task<ProductImage> AddImageAsync(ProductImage image, bool makePrimary);
+    Task SetPrimaryImageAsync(int productId, int imageId);
+    Task DeleteImageAsync(int productId, int imageId);
 }
\ No newline at end of file
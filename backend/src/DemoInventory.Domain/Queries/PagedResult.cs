@@ -0,0 +1,24 @@
+namespace DemoInventory.Domain.Queries;
+
+/// <summary>
+/// A single page of results together with the total number of matching items
+/// </summary>
+/// <typeparam name="T">The item type</typeparam>
+public class PagedResult<T>
+{
+    public PagedResult(IEnumerable<T> items, int totalCount)
+    {
+        Items = items;
+        TotalCount = totalCount;
+    }
+
+    /// <summary>
+    /// The items on the requested page
+    /// </summary>
+    public IEnumerable<T> Items { get; }
+
+    /// <summary>
+    /// The number of items matching the query across all pages
+    /// </summary>
+    public int TotalCount { get; }
+}
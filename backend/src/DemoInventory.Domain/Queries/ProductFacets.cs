@@ -0,0 +1,30 @@
+namespace DemoInventory.Domain.Queries;
+
+/// <summary>
+/// How many products matching a query fall under each category and carry each tag
+/// </summary>
+public class ProductFacets
+{
+    public ProductFacets(IReadOnlyDictionary<int, int> categoryCounts, int uncategorizedCount, IReadOnlyDictionary<string, int> tagCounts)
+    {
+        CategoryCounts = categoryCounts;
+        UncategorizedCount = uncategorizedCount;
+        TagCounts = tagCounts;
+    }
+
+    /// <summary>
+    /// The number of matching products filed directly under each category, by category ID; products in
+    /// subcategories are not included. Counted without the query's category filter.
+    /// </summary>
+    public IReadOnlyDictionary<int, int> CategoryCounts { get; }
+
+    /// <summary>
+    /// The number of matching products without a category, counted without the query's category filter
+    /// </summary>
+    public int UncategorizedCount { get; }
+
+    /// <summary>
+    /// The number of matching products carrying each tag
+    /// </summary>
+    public IReadOnlyDictionary<string, int> TagCounts { get; }
+}
\ No newline at end of file
@@ -0,0 +1,136 @@
+using DemoInventory.Domain.Entities;
+
+namespace DemoInventory.Domain.Queries;
+
+/// <summary>
+/// Fields that a product listing can be sorted by
+/// </summary>
+public enum ProductSortField
+{
+    Name,
+    Sku,
+    Price,
+    QuantityInStock,
+    CreatedAt
+}
+
+/// <summary>
+/// Paging, sorting and filtering criteria for listing products
+/// </summary>
+public class ProductQuery
+{
+    /// <summary>
+    /// The 1-based page number to return
+    /// </summary>
+    public int Page { get; set; } = 1;
+
+    /// <summary>
+    /// The number of products per page
+    /// </summary>
+    public int PageSize { get; set; } = 25;
+
+    /// <summary>
+    /// The field to sort by; products are returned in ID order when not set
+    /// </summary>
+    public ProductSortField? SortBy { get; set; }
+
+    /// <summary>
+    /// Whether to sort in descending order
+    /// </summary>
+    public bool Descending { get; set; }
+
+    /// <summary>
+    /// Optional term that product names must contain (case-insensitive)
+    /// </summary>
+    public string? SearchTerm { get; set; }
+
+    public decimal? MinPrice { get; set; }
+    public decimal? MaxPrice { get; set; }
+    public int? MinStock { get; set; }
+    public int? MaxStock { get; set; }
+    public DateTime? CreatedFrom { get; set; }
+    public DateTime? CreatedTo { get; set; }
+
+    /// <summary>
+    /// Optional categories products must be filed under; a category's subcategories have to be listed too
+    /// for their products to match
+    /// </summary>
+    public IReadOnlyCollection<int>? CategoryIds { get; set; }
+
+    /// <summary>
+    /// Optional tags products must all carry
+    /// </summary>
+    public IReadOnlyCollection<string>? Tags { get; set; }
+
+    /// <summary>
+    /// Copies the query without its category filter, e.g. to count products in every category
+    /// </summary>
+    /// <returns>A copy of the query that matches products in any category</returns>
+    public ProductQuery WithoutCategoryFilter()
+    {
+        var copy = (ProductQuery)MemberwiseClone();
+        copy.CategoryIds = null;
+        return copy;
+    }
+
+    /// <summary>
+    /// Applies the search term and range filters to a product source
+    /// </summary>
+    /// <param name="products">The products to filter</param>
+    /// <returns>The filtered products</returns>
+    public IQueryable<Product> ApplyFilters(IQueryable<Product> products)
+    {
+        if (!string.IsNullOrWhiteSpace(SearchTerm))
+        {
+            var term = SearchTerm.Trim().ToLower();
+            products = products.Where(p => p.Name.ToLower().Contains(term));
+        }
+
+        if (MinPrice.HasValue)
+            products = products.Where(p => p.Price >= MinPrice.Value);
+        if (MaxPrice.HasValue)
+            products = products.Where(p => p.Price <= MaxPrice.Value);
+        if (MinStock.HasValue)
+            products = products.Where(p => p.QuantityInStock >= MinStock.Value);
+        if (MaxStock.HasValue)
+            products = products.Where(p => p.QuantityInStock <= MaxStock.Value);
+        if (CreatedFrom.HasValue)
+            products = products.Where(p => p.CreatedAt >= CreatedFrom.Value);
+        if (CreatedTo.HasValue)
+            products = products.Where(p => p.CreatedAt <= CreatedTo.Value);
+
+        if (CategoryIds != null)
+        {
+            var categoryIds = CategoryIds.ToList();
+            products = products.Where(p => p.CategoryId.HasValue && categoryIds.Contains(p.CategoryId.Value));
+        }
+
+        foreach (var tag in (Tags ?? Array.Empty<string>()).Select(Product.NormalizeTag).Distinct())
+            products = products.Where(p => p.Tags.Contains(tag));
+
+        return products;
+    }
+
+    /// <summary>
+    /// Orders a product source by the requested field, using the ID as a tie-breaker so pages are stable
+    /// </summary>
+    /// <param name="products">The products to sort</param>
+    /// <returns>The sorted products</returns>
+    public IOrderedQueryable<Product> ApplySorting(IQueryable<Product> products)
+    {
+        var sorted = SortBy switch
+        {
+            ProductSortField.Name => Descending ? products.OrderByDescending(p => p.Name) : products.OrderBy(p => p.Name),
+            ProductSortField.Sku => Descending ? products.OrderByDescending(p => p.SKU) : products.OrderBy(p => p.SKU),
+            ProductSortField.Price => Descending ? products.OrderByDescending(p => p.Price) : products.OrderBy(p => p.Price),
+            ProductSortField.QuantityInStock => Descending ? products.OrderByDescending(p => p.QuantityInStock) : products.OrderBy(p => p.QuantityInStock),
+            ProductSortField.CreatedAt => Descending ? products.OrderByDescending(p => p.CreatedAt) : products.OrderBy(p => p.CreatedAt),
+            _ => null
+        };
+
+        if (sorted == null)
+            return Descending ? products.OrderByDescending(p => p.Id) : products.OrderBy(p => p.Id);
+
+        return Descending ? sorted.ThenByDescending(p => p.Id) : sorted.ThenBy(p => p.Id);
+    }
+}
@@ -13,6 +13,10 @@ public class ApplicationDbContext : DbContext
     }
 
     public DbSet<Product> Products { get; set; }
+    public DbSet<Category> Categories { get; set; }
+    public DbSet<ProductVersion> ProductVersions { get; set; }
+    public DbSet<StockAdjustment> StockAdjustments { get; set; }
+    public DbSet<ProductImage> ProductImages { get; set; }
 
     protected override void OnModelCreating(ModelBuilder modelBuilder)
     {
@@ -41,14 +45,150 @@ public class ApplicationDbContext : DbContext
                 .HasColumnType("decimal(10,2)")
                 .IsRequired();
             
+            // Checked on save so concurrent stock adjustments cannot overwrite each other
             entity.Property(e => e.QuantityInStock)
+                .IsRequired()
+                .IsConcurrencyToken();
+            
+            entity.Property(e => e.ReorderPoint)
+                .IsRequired();
+            
+            entity.Property(e => e.ReorderQuantity)
                 .IsRequired();
             
+            // Categories with products cannot be deleted, so products never point at a missing category
+            entity.HasOne(e => e.Category)
+                .WithMany()
+                .HasForeignKey(e => e.CategoryId)
+                .OnDelete(DeleteBehavior.Restrict);
+            
+            entity.HasIndex(e => e.CategoryId);
+            
+            // Stored as a text[] column in PostgreSQL
+            entity.Property(e => e.Tags)
+                .IsRequired();
+            
+            // Points at one of the product's images without a foreign key, which would make products and
+            // their images depend on each other; the repository keeps it in step
+            entity.Property(e => e.PrimaryImageId);
+            
             entity.Property(e => e.CreatedAt)
                 .IsRequired();
             
+            // Checked on save so an edit only lands on the version it was made to; a concurrent edit that
+            // saved first fails the save instead of being silently overwritten
+            entity.Property(e => e.UpdatedAt)
+                .IsRequired()
+                .IsConcurrencyToken();
+        });
+
+        // Configure Category entity
+        modelBuilder.Entity<Category>(entity =>
+        {
+            entity.HasKey(e => e.Id);
+
+            entity.Property(e => e.Name)
+                .HasMaxLength(Category.MaxNameLength)
+                .IsRequired();
+
+            // Categories with subcategories cannot be deleted, so the tree never has dangling branches
+            entity.HasOne(e => e.Parent)
+                .WithMany()
+                .HasForeignKey(e => e.ParentId)
+                .OnDelete(DeleteBehavior.Restrict);
+
+            entity.HasIndex(e => new { e.ParentId, e.Name });
+
+            entity.Property(e => e.CreatedAt)
+                .IsRequired();
+
             entity.Property(e => e.UpdatedAt)
                 .IsRequired();
         });
+
+        // Configure ProductVersion entity
+        modelBuilder.Entity<ProductVersion>(entity =>
+        {
+            entity.HasKey(e => e.Id);
+
+            entity.HasOne(e => e.Product)
+                .WithMany()
+                .HasForeignKey(e => e.ProductId)
+                .OnDelete(DeleteBehavior.Cascade);
+
+            entity.HasIndex(e => new { e.ProductId, e.Version })
+                .IsUnique();
+
+            entity.Property(e => e.ChangeType)
+                .HasConversion<string>()
+                .HasMaxLength(20)
+                .IsRequired();
+
+            entity.Property(e => e.Name)
+                .HasMaxLength(200)
+                .IsRequired();
+
+            entity.Property(e => e.Description)
+                .HasMaxLength(1000);
+
+            entity.Property(e => e.Price)
+                .HasColumnType("decimal(10,2)")
+                .IsRequired();
+
+            entity.Property(e => e.RecordedAt)
+                .IsRequired();
+        });
+
+        // Configure StockAdjustment entity
+        modelBuilder.Entity<StockAdjustment>(entity =>
+        {
+            entity.HasKey(e => e.Id);
+
+            entity.HasOne(e => e.Product)
+                .WithMany()
+                .HasForeignKey(e => e.ProductId)
+                .OnDelete(DeleteBehavior.Cascade);
+
+            entity.HasIndex(e => new { e.ProductId, e.CreatedAt });
+
+            entity.Property(e => e.Reason)
+                .HasConversion<string>()
+                .HasMaxLength(20)
+                .IsRequired();
+
+            entity.Property(e => e.Note)
+                .HasMaxLength(500);
+
+            entity.Property(e => e.CreatedAt)
+                .IsRequired();
+        });
+
+        // Configure ProductImage entity
+        modelBuilder.Entity<ProductImage>(entity =>
+        {
+            entity.HasKey(e => e.Id);
+
+            entity.HasOne(e => e.Product)
+                .WithMany()
+                .HasForeignKey(e => e.ProductId)
+                .OnDelete(DeleteBehavior.Cascade);
+
+            entity.HasIndex(e => e.ProductId);
+
+            entity.Property(e => e.FileName)
+                .HasMaxLength(ProductImage.MaxFileNameLength)
+                .IsRequired();
+
+            entity.Property(e => e.ContentType)
+                .HasMaxLength(50)
+                .IsRequired();
+
+            // Stored as bytea columns in PostgreSQL
+            entity.Property(e => e.Data)
+                .IsRequired();
+
+            entity.Property(e => e.CreatedAt)
+                .IsRequired();
+        });
     }
 }
\ No newline at end of file
@@ -0,0 +1,51 @@
+using Microsoft.EntityFrameworkCore;
+
+namespace DemoInventory.Infrastructure.Data;
+
+/// <summary>
+/// Creates the database on first start and brings databases created by earlier versions up to the current schema
+/// </summary>
+public static class DatabaseInitializer
+{
+    private const string UpgradeScriptResource = "DemoInventory.Infrastructure.Data.Sql.upgrade.sql";
+
+    /// <summary>
+    /// Creates the schema when the database is empty, then adds whatever an existing PostgreSQL database
+    /// is missing by running the upgrade script
+    /// </summary>
+    /// <param name="context">The database context to initialize</param>
+    public static void Initialize(ApplicationDbContext context)
+    {
+        // Only creates anything when the database has no tables at all
+        context.Database.EnsureCreated();
+
+        // The in-memory database is always created from the current model
+        if (!context.Database.IsNpgsql())
+            return;
+
+        // Run as plain SQL rather than through ExecuteSqlRaw, which would read braces as parameter placeholders
+        context.Database.OpenConnection();
+        try
+        {
+            using var command = context.Database.GetDbConnection().CreateCommand();
+            command.CommandText = ReadUpgradeScript();
+            command.ExecuteNonQuery();
+        }
+        finally
+        {
+            context.Database.CloseConnection();
+        }
+    }
+
+    /// <summary>
+    /// Reads the idempotent upgrade script embedded in this assembly
+    /// </summary>
+    /// <returns>The SQL of Data/Sql/upgrade.sql</returns>
+    public static string ReadUpgradeScript()
+    {
+        using var stream = typeof(DatabaseInitializer).Assembly.GetManifestResourceStream(UpgradeScriptResource)
+            ?? throw new InvalidOperationException($"The embedded resource {UpgradeScriptResource} is missing");
+        using var reader = new StreamReader(stream);
+        return reader.ReadToEnd();
+    }
+}
@@ -0,0 +1,87 @@
+-- Brings a PostgreSQL database created by an earlier version of the API up to the current schema.
+--
+-- EnsureCreated builds the whole schema on an empty database but leaves an existing one untouched, so the
+-- tables and columns added since the first release are added here. Every statement checks whether its table,
+-- column or constraint is already there, so the script can run on every start, against any earlier version.
+-- The API runs it after EnsureCreated; it can also be run by hand:
+--
+--   psql "$DATABASE_URL" -v ON_ERROR_STOP=1 -f backend/src/DemoInventory.Infrastructure/Data/Sql/upgrade.sql
+
+-- Change history
+CREATE TABLE IF NOT EXISTS "ProductVersions" (
+    "Id" integer GENERATED BY DEFAULT AS IDENTITY,
+    "ProductId" integer NOT NULL,
+    "Version" integer NOT NULL,
+    "ChangeType" character varying(20) NOT NULL,
+    "Name" character varying(200) NOT NULL,
+    "Description" character varying(1000) NOT NULL,
+    "Price" numeric(10,2) NOT NULL,
+    "QuantityInStock" integer NOT NULL,
+    "RecordedAt" timestamp with time zone NOT NULL,
+    CONSTRAINT "PK_ProductVersions" PRIMARY KEY ("Id"),
+    CONSTRAINT "FK_ProductVersions_Products_ProductId" FOREIGN KEY ("ProductId") REFERENCES "Products" ("Id") ON DELETE CASCADE
+);
+CREATE UNIQUE INDEX IF NOT EXISTS "IX_ProductVersions_ProductId_Version" ON "ProductVersions" ("ProductId", "Version");
+
+-- Stock adjustments
+CREATE TABLE IF NOT EXISTS "StockAdjustments" (
+    "Id" integer GENERATED BY DEFAULT AS IDENTITY,
+    "ProductId" integer NOT NULL,
+    "Delta" integer NOT NULL,
+    "Reason" character varying(20) NOT NULL,
+    "Note" character varying(500) NOT NULL,
+    "QuantityBefore" integer NOT NULL,
+    "QuantityAfter" integer NOT NULL,
+    "CreatedAt" timestamp with time zone NOT NULL,
+    CONSTRAINT "PK_StockAdjustments" PRIMARY KEY ("Id"),
+    CONSTRAINT "FK_StockAdjustments_Products_ProductId" FOREIGN KEY ("ProductId") REFERENCES "Products" ("Id") ON DELETE CASCADE
+);
+CREATE INDEX IF NOT EXISTS "IX_StockAdjustments_ProductId_CreatedAt" ON "StockAdjustments" ("ProductId", "CreatedAt");
+
+-- Reorder points; existing products get the defaults new products start with
+ALTER TABLE "Products" ADD COLUMN IF NOT EXISTS "ReorderPoint" integer NOT NULL DEFAULT 10;
+ALTER TABLE "Products" ADD COLUMN IF NOT EXISTS "ReorderQuantity" integer NOT NULL DEFAULT 0;
+
+-- Categories and tags
+CREATE TABLE IF NOT EXISTS "Categories" (
+    "Id" integer GENERATED BY DEFAULT AS IDENTITY,
+    "Name" character varying(100) NOT NULL,
+    "ParentId" integer NULL,
+    "CreatedAt" timestamp with time zone NOT NULL,
+    "UpdatedAt" timestamp with time zone NOT NULL,
+    CONSTRAINT "PK_Categories" PRIMARY KEY ("Id"),
+    CONSTRAINT "FK_Categories_Categories_ParentId" FOREIGN KEY ("ParentId") REFERENCES "Categories" ("Id") ON DELETE RESTRICT
+);
+CREATE INDEX IF NOT EXISTS "IX_Categories_ParentId_Name" ON "Categories" ("ParentId", "Name");
+
+ALTER TABLE "Products" ADD COLUMN IF NOT EXISTS "CategoryId" integer NULL;
+CREATE INDEX IF NOT EXISTS "IX_Products_CategoryId" ON "Products" ("CategoryId");
+DO $$
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'FK_Products_Categories_CategoryId') THEN
+        ALTER TABLE "Products" ADD CONSTRAINT "FK_Products_Categories_CategoryId"
+            FOREIGN KEY ("CategoryId") REFERENCES "Categories" ("Id") ON DELETE RESTRICT;
+    END IF;
+END $$;
+
+-- Existing products start without tags
+ALTER TABLE "Products" ADD COLUMN IF NOT EXISTS "Tags" text[] NOT NULL DEFAULT ARRAY[]::text[];
+
+-- Product images
+CREATE TABLE IF NOT EXISTS "ProductImages" (
+    "Id" integer GENERATED BY DEFAULT AS IDENTITY,
+    "ProductId" integer NOT NULL,
+    "FileName" character varying(255) NOT NULL,
+    "ContentType" character varying(50) NOT NULL,
+    "Width" integer NOT NULL,
+    "Height" integer NOT NULL,
+    "SizeInBytes" integer NOT NULL,
+    "Data" bytea NOT NULL,
+    "ThumbnailData" bytea NULL,
+    "CreatedAt" timestamp with time zone NOT NULL,
+    CONSTRAINT "PK_ProductImages" PRIMARY KEY ("Id"),
+    CONSTRAINT "FK_ProductImages_Products_ProductId" FOREIGN KEY ("ProductId") REFERENCES "Products" ("Id") ON DELETE CASCADE
+);
+CREATE INDEX IF NOT EXISTS "IX_ProductImages_ProductId" ON "ProductImages" ("ProductId");
+
+ALTER TABLE "Products" ADD COLUMN IF NOT EXISTS "PrimaryImageId" integer NULL;
@@ -1,5 +1,6 @@
 using DemoInventory.Domain.Entities;
 using DemoInventory.Domain.Interfaces;
+using DemoInventory.Domain.Queries;
 
 namespace DemoInventory.Infrastructure.Repositories;
 
@@ -9,7 +10,12 @@ namespace DemoInventory.Infrastructure.Repositories;
 public class InMemoryProductRepository : IProductRepository
 {
     private readonly List<Product> _products = new();
+    private readonly List<ProductVersion> _versions = new();
+    private readonly List<StockAdjustment> _adjustments = new();
+    private readonly List<ProductImage> _images = new();
     private int _nextId = 1;
+    private int _nextAdjustmentId = 1;
+    private int _nextImageId = 1;
 
     /// <summary>
     /// Retrieves a product by its unique identifier
@@ -32,7 +38,7 @@ public class InMemoryProductRepository : IProductRepository
     }
 
     /// <summary>
-    /// Adds a new product to the in-memory collection
+    /// Adds a new product to the in-memory collection and records its first version
     /// </summary>
     /// <param name="entity">The product entity to add</param>
     /// <returns>The added product with assigned ID</returns>
@@ -40,11 +46,12 @@ public class InMemoryProductRepository : IProductRepository
     {
         entity.Id = _nextId++;
         _products.Add(entity);
+        _versions.Add(ProductVersion.FromProduct(entity, 1, ProductChangeType.Created));
         return Task.FromResult(entity);
     }
 
     /// <summary>
-    /// Updates an existing product in the in-memory collection
+    /// Updates an existing product in the in-memory collection, recording a new version when its values change
     /// </summary>
     /// <param name="entity">The product entity with updated values</param>
     /// <returns>The updated product</returns>
@@ -59,8 +66,13 @@ public class InMemoryProductRepository : IProductRepository
         existingProduct.Description = entity.Description;
         existingProduct.Price = entity.Price;
         existingProduct.QuantityInStock = entity.QuantityInStock;
+        existingProduct.ReorderPoint = entity.ReorderPoint;
+        existingProduct.ReorderQuantity = entity.ReorderQuantity;
+        existingProduct.CategoryId = entity.CategoryId;
+        existingProduct.Tags = entity.Tags.ToList();
         existingProduct.UpdatedAt = entity.UpdatedAt;
 
+        AddVersionIfChanged(existingProduct);
         return Task.FromResult(existingProduct);
     }
 
@@ -75,6 +87,9 @@ public class InMemoryProductRepository : IProductRepository
         if (product != null)
         {
             _products.Remove(product);
+            _versions.RemoveAll(v => v.ProductId == id);
+            _adjustments.RemoveAll(a => a.ProductId == id);
+            _images.RemoveAll(i => i.ProductId == id);
         }
         return Task.CompletedTask;
     }
@@ -123,4 +138,196 @@ public class InMemoryProductRepository : IProductRepository
         var products = _products.Where(p => p.Name.Contains(name, StringComparison.OrdinalIgnoreCase)).ToList();
         return Task.FromResult<IEnumerable<Product>>(products);
     }
+
+    /// <summary>
+    /// Retrieves a page of products matching the query's filters, in the requested order
+    /// </summary>
+    /// <param name="query">The paging, sorting and filtering criteria</param>
+    /// <returns>The requested page of products and the total number of matches</returns>
+    public Task<PagedResult<Product>> QueryAsync(ProductQuery query)
+    {
+        var filtered = query.ApplyFilters(_products.AsQueryable());
+        var totalCount = filtered.Count();
+        var items = query.ApplySorting(filtered)
+            .Skip((query.Page - 1) * query.PageSize)
+            .Take(query.PageSize)
+            .ToList();
+
+        return Task.FromResult(new PagedResult<Product>(items, totalCount));
+    }
+
+    /// <summary>
+    /// Counts the products matching the query's filters per category and per tag. Category counts leave
+    /// out the query's category filter, so every category's count is available to narrow down by.
+    /// </summary>
+    /// <param name="query">The filtering criteria; paging and sorting are ignored</param>
+    /// <returns>The number of matching products directly in each category, without a category, and carrying each tag</returns>
+    public Task<ProductFacets> GetFacetsAsync(ProductQuery query)
+    {
+        return Task.FromResult(CountFacets(query, _products));
+    }
+
+    /// <summary>
+    /// Counts the products matching the query's filters per category and per tag
+    /// </summary>
+    /// <param name="query">The filtering criteria</param>
+    /// <param name="products">The products to count</param>
+    /// <returns>The facet counts, with category counts ignoring the query's category filter</returns>
+    internal static ProductFacets CountFacets(ProductQuery query, IEnumerable<Product> products)
+    {
+        var inAnyCategory = query.WithoutCategoryFilter().ApplyFilters(products.AsQueryable()).ToList();
+        var matching = query.ApplyFilters(products.AsQueryable()).ToList();
+
+        return new ProductFacets(
+            inAnyCategory.Where(p => p.CategoryId.HasValue).GroupBy(p => p.CategoryId!.Value).ToDictionary(g => g.Key, g => g.Count()),
+            inAnyCategory.Count(p => !p.CategoryId.HasValue),
+            matching.SelectMany(p => p.Tags).GroupBy(tag => tag).ToDictionary(g => g.Key, g => g.Count()));
+    }
+
+    /// <summary>
+    /// Retrieves the recorded versions of a product, oldest first
+    /// </summary>
+    /// <param name="productId">The unique identifier of the product</param>
+    /// <returns>The product's versions in the order they were recorded</returns>
+    public Task<IEnumerable<ProductVersion>> GetHistoryAsync(int productId)
+    {
+        var versions = _versions.Where(v => v.ProductId == productId).OrderBy(v => v.Version).ToList();
+        return Task.FromResult<IEnumerable<ProductVersion>>(versions);
+    }
+
+    /// <summary>
+    /// Applies a stock adjustment to its product and records it, together with a new product version
+    /// </summary>
+    /// <param name="adjustment">The adjustment to apply, with its product ID, delta, reason and note</param>
+    /// <returns>The recorded adjustment with the stock levels before and after</returns>
+    /// <exception cref="InvalidOperationException">Thrown when the product is not found</exception>
+    /// <exception cref="ArgumentException">Thrown when the adjustment would take the stock level below zero</exception>
+    public Task<StockAdjustment> AdjustStockAsync(StockAdjustment adjustment)
+    {
+        var product = _products.FirstOrDefault(p => p.Id == adjustment.ProductId);
+        if (product == null)
+            throw new InvalidOperationException($"Product with ID {adjustment.ProductId} not found");
+
+        adjustment.CreatedAt = DateTime.UtcNow;
+        adjustment.ApplyTo(product);
+        adjustment.Id = _nextAdjustmentId++;
+        _adjustments.Add(adjustment);
+        AddVersionIfChanged(product);
+        return Task.FromResult(adjustment);
+    }
+
+    /// <summary>
+    /// Retrieves the stock adjustments recorded for a product, newest first
+    /// </summary>
+    /// <param name="productId">The unique identifier of the product</param>
+    /// <returns>The product's stock adjustments, most recent first</returns>
+    public Task<IEnumerable<StockAdjustment>> GetStockAdjustmentsAsync(int productId)
+    {
+        var adjustments = _adjustments.Where(a => a.ProductId == productId).OrderByDescending(a => a.Id).ToList();
+        return Task.FromResult<IEnumerable<StockAdjustment>>(adjustments);
+    }
+
+    /// <summary>
+    /// Retrieves the details of a product's images without their bytes, in the order they were uploaded
+    /// </summary>
+    /// <param name="productId">The unique identifier of the product</param>
+    /// <returns>The product's images with empty data</returns>
+    public Task<IEnumerable<ProductImage>> GetImagesAsync(int productId)
+    {
+        var images = _images
+            .Where(i => i.ProductId == productId)
+            .OrderBy(i => i.Id)
+            .Select(i => new ProductImage
+            {
+                Id = i.Id,
+                ProductId = i.ProductId,
+                FileName = i.FileName,
+                ContentType = i.ContentType,
+                Width = i.Width,
+                Height = i.Height,
+                SizeInBytes = i.SizeInBytes,
+                CreatedAt = i.CreatedAt
+            })
+            .ToList();
+        return Task.FromResult<IEnumerable<ProductImage>>(images);
+    }
+
+    /// <summary>
+    /// Retrieves a product image with its bytes
+    /// </summary>
+    /// <param name="productId">The unique identifier of the product</param>
+    /// <param name="imageId">The unique identifier of the image</param>
+    /// <returns>The image if the product has it, otherwise null</returns>
+    public Task<ProductImage?> GetImageAsync(int productId, int imageId)
+    {
+        var image = _images.FirstOrDefault(i => i.ProductId == productId && i.Id == imageId);
+        return Task.FromResult(image);
+    }
+
+    /// <summary>
+    /// Adds an image to its product
+    /// </summary>
+    /// <param name="image">The image to add, with its product ID</param>
+    /// <param name="makePrimary">Make the image the product's primary image</param>
+    /// <returns>The added image with assigned ID</returns>
+    /// <exception cref="InvalidOperationException">Thrown when the product is not found</exception>
+    public Task<ProductImage> AddImageAsync(ProductImage image, bool makePrimary)
+    {
+        var product = _products.FirstOrDefault(p => p.Id == image.ProductId);
+        if (product == null)
+            throw new InvalidOperationException($"Product with ID {image.ProductId} not found");
+
+        image.Id = _nextImageId++;
+        _images.Add(image);
+        if (makePrimary)
+            product.PrimaryImageId = image.Id;
+        return Task.FromResult(image);
+    }
+
+    /// <summary>
+    /// Makes an image its product's primary image
+    /// </summary>
+    /// <param name="productId">The unique identifier of the product</param>
+    /// <param name="imageId">The unique identifier of the image</param>
+    /// <returns>A task representing the asynchronous operation</returns>
+    /// <exception cref="InvalidOperationException">Thrown when the product or image is not found</exception>
+    public Task SetPrimaryImageAsync(int productId, int imageId)
+    {
+        var product = _products.FirstOrDefault(p => p.Id == productId);
+        if (product == null || !_images.Any(i => i.ProductId == productId && i.Id == imageId))
+            throw new InvalidOperationException($"Image with ID {imageId} not found for product {productId}");
+
+        product.PrimaryImageId = imageId;
+        return Task.CompletedTask;
+    }
+
+    /// <summary>
+    /// Deletes a product image; when it was the primary image, the oldest remaining image takes its place
+    /// </summary>
+    /// <param name="productId">The unique identifier of the product</param>
+    /// <param name="imageId">The unique identifier of the image</param>
+    /// <returns>A task representing the asynchronous operation</returns>
+    /// <exception cref="InvalidOperationException">Thrown when the product or image is not found</exception>
+    public Task DeleteImageAsync(int productId, int imageId)
+    {
+        var product = _products.FirstOrDefault(p => p.Id == productId);
+        var image = _images.FirstOrDefault(i => i.ProductId == productId && i.Id == imageId);
+        if (product == null || image == null)
+            throw new InvalidOperationException($"Image with ID {imageId} not found for product {productId}");
+
+        _images.Remove(image);
+        if (product.PrimaryImageId == imageId)
+            product.PrimaryImageId = _images.Where(i => i.ProductId == productId).MinBy(i => i.Id)?.Id;
+        return Task.CompletedTask;
+    }
+
+    private void AddVersionIfChanged(Product product)
+    {
+        var latestVersion = _versions.Where(v => v.ProductId == product.Id).MaxBy(v => v.Version);
+        if (latestVersion == null || latestVersion.DiffersFrom(product))
+        {
+            var nextVersion = (latestVersion?.Version ?? 0) + 1;
+            _versions.Add(ProductVersion.FromProduct(product, nextVersion, ProductChangeType.Updated));
+        }
+    }
 }
\ No newline at end of file
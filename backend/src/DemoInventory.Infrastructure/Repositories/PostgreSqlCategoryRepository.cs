@@ -0,0 +1,101 @@
+using DemoInventory.Domain.Entities;
+using DemoInventory.Domain.Interfaces;
+using DemoInventory.Infrastructure.Data;
+using Microsoft.EntityFrameworkCore;
+
+namespace DemoInventory.Infrastructure.Repositories;
+
+/// <summary>
+/// PostgreSQL implementation of the category repository using Entity Framework Core
+/// </summary>
+public class PostgreSqlCategoryRepository : ICategoryRepository
+{
+    private readonly ApplicationDbContext _context;
+
+    public PostgreSqlCategoryRepository(ApplicationDbContext context)
+    {
+        _context = context;
+    }
+
+    /// <summary>
+    /// Retrieves a category by its unique identifier
+    /// </summary>
+    /// <param name="id">The unique identifier of the category</param>
+    /// <returns>The category if found, otherwise null</returns>
+    public async Task<Category?> GetByIdAsync(int id)
+    {
+        return await _context.Categories.FindAsync(id);
+    }
+
+    /// <summary>
+    /// Retrieves all categories from the database
+    /// </summary>
+    /// <returns>A collection of all categories</returns>
+    public async Task<IEnumerable<Category>> GetAllAsync()
+    {
+        return await _context.Categories.ToListAsync();
+    }
+
+    /// <summary>
+    /// Adds a new category to the database
+    /// </summary>
+    /// <param name="entity">The category entity to add</param>
+    /// <returns>The added category with updated timestamps and ID</returns>
+    public async Task<Category> AddAsync(Category entity)
+    {
+        entity.CreatedAt = DateTime.UtcNow;
+        entity.UpdatedAt = DateTime.UtcNow;
+
+        _context.Categories.Add(entity);
+        await _context.SaveChangesAsync();
+        return entity;
+    }
+
+    /// <summary>
+    /// Updates an existing category's name and parent in the database
+    /// </summary>
+    /// <param name="entity">The category entity with updated values</param>
+    /// <returns>The updated category</returns>
+    /// <exception cref="InvalidOperationException">Thrown when the category is not found</exception>
+    public async Task<Category> UpdateAsync(Category entity)
+    {
+        var existingCategory = await _context.Categories.FindAsync(entity.Id);
+        if (existingCategory == null)
+            throw new InvalidOperationException($"Category with ID {entity.Id} not found");
+
+        existingCategory.Name = entity.Name;
+        existingCategory.ParentId = entity.ParentId;
+        existingCategory.UpdatedAt = DateTime.UtcNow;
+
+        await _context.SaveChangesAsync();
+        return existingCategory;
+    }
+
+    /// <summary>
+    /// Deletes a category from the database by its ID
+    /// </summary>
+    /// <param name="id">The unique identifier of the category to delete</param>
+    /// <returns>A task representing the asynchronous operation</returns>
+    public async Task DeleteAsync(int id)
+    {
+        var category = await _context.Categories.FindAsync(id);
+        if (category != null)
+        {
+            _context.Categories.Remove(category);
+            await _context.SaveChangesAsync();
+        }
+    }
+
+    /// <summary>
+    /// Retrieves a category by its name (case-insensitive) among the subcategories of a parent
+    /// </summary>
+    /// <param name="name">The name of the category to retrieve</param>
+    /// <param name="parentId">The parent to look under; null for the top level</param>
+    /// <returns>The category if found, otherwise null</returns>
+    public async Task<Category?> GetByNameAsync(string name, int? parentId)
+    {
+        return await _context.Categories
+            .Where(c => c.ParentId == parentId)
+            .FirstOrDefaultAsync(c => c.Name.ToLower() == name.Trim().ToLower());
+    }
+}
\ No newline at end of file
@@ -1,5 +1,7 @@
 using DemoInventory.Domain.Entities;
+using DemoInventory.Domain.Exceptions;
 using DemoInventory.Domain.Interfaces;
+using DemoInventory.Domain.Queries;
 using DemoInventory.Infrastructure.Data;
 using Microsoft.EntityFrameworkCore;
 
@@ -10,6 +12,9 @@ namespace DemoInventory.Infrastructure.Repositories;
 /// </summary>
 public class PostgreSqlProductRepository : IProductRepository
 {
+    // How many times a stock adjustment is retried when another request changed the stock level first
+    private const int MaxStockAdjustmentAttempts = 3;
+
     private readonly ApplicationDbContext _context;
 
     public PostgreSqlProductRepository(ApplicationDbContext context)
@@ -37,7 +42,7 @@ public class PostgreSqlProductRepository : IProductRepository
     }
 
     /// <summary>
-    /// Adds a new product to the database
+    /// Adds a new product to the database and records its first version
     /// </summary>
     /// <param name="entity">The product entity to add</param>
     /// <returns>The added product with updated timestamps and ID</returns>
@@ -47,16 +52,20 @@ public class PostgreSqlProductRepository : IProductRepository
         entity.UpdatedAt = DateTime.UtcNow;
         
         _context.Products.Add(entity);
+        _context.ProductVersions.Add(ProductVersion.FromProduct(entity, 1, ProductChangeType.Created));
         await _context.SaveChangesAsync();
         return entity;
     }
 
     /// <summary>
-    /// Updates an existing product in the database
+    /// Updates an existing product in the database, recording a new version when its values change.
+    /// The save only succeeds when the stored product still has the UpdatedAt and stock level it had when
+    /// this context loaded it, so of two edits made to the same version only the first is saved.
     /// </summary>
     /// <param name="entity">The product entity with updated values</param>
     /// <returns>The updated product</returns>
     /// <exception cref="InvalidOperationException">Thrown when the product is not found</exception>
+    /// <exception cref="ProductConcurrencyException">Thrown when another change was saved to the product after it was loaded</exception>
     public async Task<Product> UpdateAsync(Product entity)
     {
         var existingProduct = await _context.Products.FindAsync(entity.Id);
@@ -67,9 +76,23 @@ public class PostgreSqlProductRepository : IProductRepository
         existingProduct.Description = entity.Description;
         existingProduct.Price = entity.Price;
         existingProduct.QuantityInStock = entity.QuantityInStock;
+        existingProduct.ReorderPoint = entity.ReorderPoint;
+        existingProduct.ReorderQuantity = entity.ReorderQuantity;
+        existingProduct.CategoryId = entity.CategoryId;
+        existingProduct.Tags = entity.Tags.ToList();
         existingProduct.UpdatedAt = DateTime.UtcNow;
 
-        await _context.SaveChangesAsync();
+        await AddVersionIfChangedAsync(existingProduct);
+        try
+        {
+            await _context.SaveChangesAsync();
+        }
+        catch (DbUpdateConcurrencyException ex)
+        {
+            // Drop the stale product and its pending version, so the product is read afresh from the database
+            _context.ChangeTracker.Clear();
+            throw new ProductConcurrencyException(entity.Id, ex);
+        }
         return existingProduct;
     }
 
@@ -133,4 +156,232 @@ public class PostgreSqlProductRepository : IProductRepository
             .Where(p => p.Name.ToLower().Contains(name.ToLower()))
             .ToListAsync();
     }
+
+    /// <summary>
+    /// Retrieves a page of products matching the query's filters, in the requested order
+    /// </summary>
+    /// <param name="query">The paging, sorting and filtering criteria</param>
+    /// <returns>The requested page of products and the total number of matches</returns>
+    public async Task<PagedResult<Product>> QueryAsync(ProductQuery query)
+    {
+        var filtered = query.ApplyFilters(_context.Products.AsNoTracking());
+        var totalCount = await filtered.CountAsync();
+        var items = await query.ApplySorting(filtered)
+            .Skip((query.Page - 1) * query.PageSize)
+            .Take(query.PageSize)
+            .ToListAsync();
+
+        return new PagedResult<Product>(items, totalCount);
+    }
+
+    /// <summary>
+    /// Counts the products matching the query's filters per category and per tag. Category counts leave
+    /// out the query's category filter, so every category's count is available to narrow down by.
+    /// </summary>
+    /// <param name="query">The filtering criteria; paging and sorting are ignored</param>
+    /// <returns>The number of matching products directly in each category, without a category, and carrying each tag</returns>
+    public async Task<ProductFacets> GetFacetsAsync(ProductQuery query)
+    {
+        var categoryCounts = await query.WithoutCategoryFilter()
+            .ApplyFilters(_context.Products.AsNoTracking())
+            .GroupBy(p => p.CategoryId)
+            .Select(g => new { CategoryId = g.Key, Count = g.Count() })
+            .ToListAsync();
+        var tagCounts = await query.ApplyFilters(_context.Products.AsNoTracking())
+            .SelectMany(p => p.Tags)
+            .GroupBy(tag => tag)
+            .Select(g => new { Tag = g.Key, Count = g.Count() })
+            .ToListAsync();
+
+        return new ProductFacets(
+            categoryCounts.Where(c => c.CategoryId.HasValue).ToDictionary(c => c.CategoryId!.Value, c => c.Count),
+            categoryCounts.Where(c => !c.CategoryId.HasValue).Sum(c => c.Count),
+            tagCounts.ToDictionary(t => t.Tag, t => t.Count));
+    }
+
+    /// <summary>
+    /// Retrieves the recorded versions of a product, oldest first
+    /// </summary>
+    /// <param name="productId">The unique identifier of the product</param>
+    /// <returns>The product's versions in the order they were recorded</returns>
+    public async Task<IEnumerable<ProductVersion>> GetHistoryAsync(int productId)
+    {
+        return await _context.ProductVersions
+            .AsNoTracking()
+            .Where(v => v.ProductId == productId)
+            .OrderBy(v => v.Version)
+            .ToListAsync();
+    }
+
+    /// <summary>
+    /// Applies a stock adjustment to its product and records it, together with a new product version.
+    /// The stock level is a concurrency token, so an adjustment that races another change is re-applied
+    /// to the fresh stock level instead of overwriting it.
+    /// </summary>
+    /// <param name="adjustment">The adjustment to apply, with its product ID, delta, reason and note</param>
+    /// <returns>The recorded adjustment with the stock levels before and after</returns>
+    /// <exception cref="InvalidOperationException">Thrown when the product is not found</exception>
+    /// <exception cref="ArgumentException">Thrown when the adjustment would take the stock level below zero</exception>
+    public async Task<StockAdjustment> AdjustStockAsync(StockAdjustment adjustment)
+    {
+        for (var attempt = 1; ; attempt++)
+        {
+            var product = await _context.Products.FindAsync(adjustment.ProductId);
+            if (product == null)
+                throw new InvalidOperationException($"Product with ID {adjustment.ProductId} not found");
+
+            adjustment.CreatedAt = DateTime.UtcNow;
+            adjustment.ApplyTo(product);
+            _context.StockAdjustments.Add(adjustment);
+            await AddVersionIfChangedAsync(product);
+
+            try
+            {
+                await _context.SaveChangesAsync();
+                return adjustment;
+            }
+            catch (DbUpdateConcurrencyException) when (attempt < MaxStockAdjustmentAttempts)
+            {
+                // Drop the stale product and pending rows, then retry against the current stock level
+                _context.ChangeTracker.Clear();
+            }
+        }
+    }
+
+    /// <summary>
+    /// Retrieves the stock adjustments recorded for a product, newest first
+    /// </summary>
+    /// <param name="productId">The unique identifier of the product</param>
+    /// <returns>The product's stock adjustments, most recent first</returns>
+    public async Task<IEnumerable<StockAdjustment>> GetStockAdjustmentsAsync(int productId)
+    {
+        return await _context.StockAdjustments
+            .AsNoTracking()
+            .Where(a => a.ProductId == productId)
+            .OrderByDescending(a => a.CreatedAt)
+            .ThenByDescending(a => a.Id)
+            .ToListAsync();
+    }
+
+    /// <summary>
+    /// Retrieves the details of a product's images without their bytes, in the order they were uploaded
+    /// </summary>
+    /// <param name="productId">The unique identifier of the product</param>
+    /// <returns>The product's images with empty data</returns>
+    public async Task<IEnumerable<ProductImage>> GetImagesAsync(int productId)
+    {
+        // Leave the image and thumbnail columns unread
+        return await _context.ProductImages
+            .AsNoTracking()
+            .Where(i => i.ProductId == productId)
+            .OrderBy(i => i.Id)
+            .Select(i => new ProductImage
+            {
+                Id = i.Id,
+                ProductId = i.ProductId,
+                FileName = i.FileName,
+                ContentType = i.ContentType,
+                Width = i.Width,
+                Height = i.Height,
+                SizeInBytes = i.SizeInBytes,
+                CreatedAt = i.CreatedAt
+            })
+            .ToListAsync();
+    }
+
+    /// <summary>
+    /// Retrieves a product image with its bytes
+    /// </summary>
+    /// <param name="productId">The unique identifier of the product</param>
+    /// <param name="imageId">The unique identifier of the image</param>
+    /// <returns>The image if the product has it, otherwise null</returns>
+    public async Task<ProductImage?> GetImageAsync(int productId, int imageId)
+    {
+        return await _context.ProductImages
+            .AsNoTracking()
+            .FirstOrDefaultAsync(i => i.ProductId == productId && i.Id == imageId);
+    }
+
+    /// <summary>
+    /// Adds an image to its product
+    /// </summary>
+    /// <param name="image">The image to add, with its product ID</param>
+    /// <param name="makePrimary">Make the image the product's primary image</param>
+    /// <returns>The added image with its ID</returns>
+    /// <exception cref="InvalidOperationException">Thrown when the product is not found</exception>
+    public async Task<ProductImage> AddImageAsync(ProductImage image, bool makePrimary)
+    {
+        var product = await _context.Products.FindAsync(image.ProductId);
+        if (product == null)
+            throw new InvalidOperationException($"Product with ID {image.ProductId} not found");
+
+        _context.ProductImages.Add(image);
+        await _context.SaveChangesAsync();
+
+        // The image needs its ID before the product can point at it
+        if (makePrimary)
+        {
+            product.PrimaryImageId = image.Id;
+            await _context.SaveChangesAsync();
+        }
+        return image;
+    }
+
+    /// <summary>
+    /// Makes an image its product's primary image
+    /// </summary>
+    /// <param name="productId">The unique identifier of the product</param>
+    /// <param name="imageId">The unique identifier of the image</param>
+    /// <returns>A task representing the asynchronous operation</returns>
+    /// <exception cref="InvalidOperationException">Thrown when the product or image is not found</exception>
+    public async Task SetPrimaryImageAsync(int productId, int imageId)
+    {
+        var product = await _context.Products.FindAsync(productId);
+        if (product == null || !await _context.ProductImages.AnyAsync(i => i.ProductId == productId && i.Id == imageId))
+            throw new InvalidOperationException($"Image with ID {imageId} not found for product {productId}");
+
+        product.PrimaryImageId = imageId;
+        await _context.SaveChangesAsync();
+    }
+
+    /// <summary>
+    /// Deletes a product image; when it was the primary image, the oldest remaining image takes its place
+    /// </summary>
+    /// <param name="productId">The unique identifier of the product</param>
+    /// <param name="imageId">The unique identifier of the image</param>
+    /// <returns>A task representing the asynchronous operation</returns>
+    /// <exception cref="InvalidOperationException">Thrown when the product or image is not found</exception>
+    public async Task DeleteImageAsync(int productId, int imageId)
+    {
+        var product = await _context.Products.FindAsync(productId);
+        if (product == null || !await _context.ProductImages.AnyAsync(i => i.ProductId == productId && i.Id == imageId))
+            throw new InvalidOperationException($"Image with ID {imageId} not found for product {productId}");
+
+        // Delete without loading the image's bytes, unless this context already has it
+        var image = _context.ProductImages.Local.FirstOrDefault(i => i.Id == imageId)
+            ?? new ProductImage { Id = imageId, ProductId = productId };
+        _context.ProductImages.Remove(image);
+        if (product.PrimaryImageId == imageId)
+        {
+            product.PrimaryImageId = await _context.ProductImages
+                .Where(i => i.ProductId == productId && i.Id != imageId)
+                .OrderBy(i => i.Id)
+                .Select(i => (int?)i.Id)
+                .FirstOrDefaultAsync();
+        }
+        await _context.SaveChangesAsync();
+    }
+
+    private async Task AddVersionIfChangedAsync(Product product)
+    {
+        var latestVersion = await _context.ProductVersions
+            .Where(v => v.ProductId == product.Id)
+            .OrderByDescending(v => v.Version)
+            .FirstOrDefaultAsync();
+        if (latestVersion == null || latestVersion.DiffersFrom(product))
+        {
+            var nextVersion = (latestVersion?.Version ?? 0) + 1;
+            _context.ProductVersions.Add(ProductVersion.FromProduct(product, nextVersion, ProductChangeType.Updated));
+        }
+    }
 }
\ No newline at end of file
@@ -1,6 +1,8 @@
 using DemoInventory.Application.DTOs;
+using DemoInventory.Application.Exceptions;
 using DemoInventory.Application.Interfaces;
 using DemoInventory.Domain.Entities;
+using DemoInventory.Infrastructure.Repositories;
 
 namespace DemoInventory.Infrastructure.Services;
 
@@ -10,7 +12,12 @@ namespace DemoInventory.Infrastructure.Services;
 public class InMemoryProductService : IProductService
 {
     private readonly List<Product> _products = new();
+    private readonly List<ProductVersion> _versions = new();
+    private readonly List<StockAdjustment> _adjustments = new();
+    private readonly List<ProductImage> _images = new();
     private int _nextId = 1;
+    private int _nextAdjustmentId = 1;
+    private int _nextImageId = 1;
 
     /// <summary>
     /// Retrieves a product by its unique identifier
@@ -48,11 +55,16 @@ public class InMemoryProductService : IProductService
             SKU = createProductDto.SKU,
             Price = createProductDto.Price,
             QuantityInStock = createProductDto.QuantityInStock,
+            ReorderPoint = createProductDto.ReorderPoint ?? Product.DefaultReorderPoint,
+            ReorderQuantity = createProductDto.ReorderQuantity ?? 0,
+            CategoryId = createProductDto.CategoryId,
+            Tags = createProductDto.Tags ?? new List<string>(),
             CreatedAt = DateTime.UtcNow,
             UpdatedAt = DateTime.UtcNow
         };
 
         _products.Add(product);
+        _versions.Add(ProductVersion.FromProduct(product, 1, ProductChangeType.Created));
         return Task.FromResult(MapToDto(product));
     }
 
@@ -63,18 +75,27 @@ public class InMemoryProductService : IProductService
     /// <param name="updateProductDto">The product update data</param>
     /// <returns>The updated product DTO</returns>
     /// <exception cref="InvalidOperationException">Thrown when the product is not found</exception>
+    /// <exception cref="ProductConflictException">Thrown when the product has changed since the expected version</exception>
     public Task<ProductDto> UpdateProductAsync(int id, UpdateProductDto updateProductDto)
     {
         var product = _products.FirstOrDefault(p => p.Id == id);
         if (product == null)
             throw new InvalidOperationException($"Product with ID {id} not found");
 
+        if (updateProductDto.ExpectedUpdatedAt.HasValue && product.IsModifiedSince(updateProductDto.ExpectedUpdatedAt.Value))
+            throw new ProductConflictException(MapToDto(product));
+
         product.Name = updateProductDto.Name;
         product.Description = updateProductDto.Description;
         product.Price = updateProductDto.Price;
-        product.QuantityInStock = updateProductDto.QuantityInStock;
+        product.QuantityInStock = updateProductDto.QuantityInStock ?? product.QuantityInStock;
+        product.ReorderPoint = updateProductDto.ReorderPoint ?? product.ReorderPoint;
+        product.ReorderQuantity = updateProductDto.ReorderQuantity ?? product.ReorderQuantity;
+        product.CategoryId = updateProductDto.ResolveCategoryId(product.CategoryId);
+        product.Tags = updateProductDto.Tags ?? product.Tags;
         product.UpdatedAt = DateTime.UtcNow;
 
+        AddVersionIfChanged(product);
         return Task.FromResult(MapToDto(product));
     }
 
@@ -89,6 +110,9 @@ public class InMemoryProductService : IProductService
         if (product != null)
         {
             _products.Remove(product);
+            _versions.RemoveAll(v => v.ProductId == id);
+            _adjustments.RemoveAll(a => a.ProductId == id);
+            _images.RemoveAll(i => i.ProductId == id);
         }
         return Task.CompletedTask;
     }
@@ -139,6 +163,290 @@ public class InMemoryProductService : IProductService
         return Task.FromResult(productDtos);
     }
 
+    /// <summary>
+    /// Retrieves a page of products from the in-memory collection
+    /// </summary>
+    /// <param name="query">The paging, sorting and filtering criteria</param>
+    /// <returns>The requested page of product DTOs with paging metadata</returns>
+    public Task<PagedResultDto<ProductDto>> QueryProductsAsync(ProductQueryDto query)
+    {
+        var productQuery = query.ToProductQuery();
+        var filtered = productQuery.ApplyFilters(_products.AsQueryable());
+        var totalCount = filtered.Count();
+        var items = productQuery.ApplySorting(filtered)
+            .Skip((query.Page - 1) * query.PageSize)
+            .Take(query.PageSize)
+            .AsEnumerable()
+            .Select(MapToDto)
+            .ToList();
+
+        return Task.FromResult(new PagedResultDto<ProductDto>
+        {
+            Items = items,
+            Page = query.Page,
+            PageSize = query.PageSize,
+            TotalCount = totalCount,
+            TotalPages = (int)Math.Ceiling(totalCount / (double)query.PageSize)
+        });
+    }
+
+    /// <summary>
+    /// Counts the products in the in-memory collection per tag. The service keeps no categories, so only
+    /// products without a category are counted by category.
+    /// </summary>
+    /// <param name="query">The filtering criteria; paging and sorting are ignored</param>
+    /// <returns>The number of uncategorized products and of products carrying each tag</returns>
+    public Task<ProductFacetsDto> GetProductFacetsAsync(ProductQueryDto query)
+    {
+        var facets = InMemoryProductRepository.CountFacets(query.ToProductQuery(), _products);
+        return Task.FromResult(new ProductFacetsDto
+        {
+            UncategorizedCount = facets.UncategorizedCount,
+            Tags = facets.TagCounts
+                .Select(tag => new TagFacetDto { Tag = tag.Key, Count = tag.Value })
+                .OrderByDescending(facet => facet.Count)
+                .ThenBy(facet => facet.Tag, StringComparer.Ordinal)
+                .ToList()
+        });
+    }
+
+    /// <summary>
+    /// Retrieves the change history of a product from the in-memory collection
+    /// </summary>
+    /// <param name="id">The unique identifier of the product</param>
+    /// <returns>The product's recorded versions, or null if the product does not exist</returns>
+    public Task<IEnumerable<ProductVersionDto>?> GetProductHistoryAsync(int id)
+    {
+        if (_products.All(p => p.Id != id))
+        {
+            return Task.FromResult<IEnumerable<ProductVersionDto>?>(null);
+        }
+
+        var versions = _versions
+            .Where(v => v.ProductId == id)
+            .OrderBy(v => v.Version)
+            .Select(v => new ProductVersionDto
+            {
+                Version = v.Version,
+                ChangeType = v.ChangeType.ToString().ToLowerInvariant(),
+                Name = v.Name,
+                Description = v.Description,
+                Price = v.Price,
+                QuantityInStock = v.QuantityInStock,
+                RecordedAt = v.RecordedAt
+            })
+            .ToList();
+        return Task.FromResult<IEnumerable<ProductVersionDto>?>(versions);
+    }
+
+    /// <summary>
+    /// Adjusts the stock level of a product in the in-memory collection and records the reason
+    /// </summary>
+    /// <param name="id">The unique identifier of the product to adjust</param>
+    /// <param name="createStockAdjustmentDto">The change in quantity, its reason and an optional note</param>
+    /// <returns>The recorded adjustment</returns>
+    /// <exception cref="InvalidOperationException">Thrown when the product is not found</exception>
+    /// <exception cref="ArgumentException">Thrown when the reason is unknown, the delta does not suit the reason, or the stock would go below zero</exception>
+    public Task<StockAdjustmentDto> AdjustStockAsync(int id, CreateStockAdjustmentDto createStockAdjustmentDto)
+    {
+        var product = _products.FirstOrDefault(p => p.Id == id);
+        if (product == null)
+            throw new InvalidOperationException($"Product with ID {id} not found");
+
+        if (!StockAdjustmentReasons.TryParse(createStockAdjustmentDto.Reason, out var reason))
+            throw new ArgumentException($"Unknown stock adjustment reason '{createStockAdjustmentDto.Reason}'.", nameof(createStockAdjustmentDto.Reason));
+
+        var adjustment = new StockAdjustment
+        {
+            Id = _nextAdjustmentId,
+            Delta = createStockAdjustmentDto.Delta,
+            Reason = reason,
+            Note = createStockAdjustmentDto.Note,
+            CreatedAt = DateTime.UtcNow
+        };
+        adjustment.Validate();
+        adjustment.ApplyTo(product);
+
+        _nextAdjustmentId++;
+        _adjustments.Add(adjustment);
+        AddVersionIfChanged(product);
+        return Task.FromResult(MapToAdjustmentDto(adjustment));
+    }
+
+    /// <summary>
+    /// Retrieves the stock adjustments of a product from the in-memory collection, newest first
+    /// </summary>
+    /// <param name="id">The unique identifier of the product</param>
+    /// <returns>The product's stock adjustments, or null if the product does not exist</returns>
+    public Task<IEnumerable<StockAdjustmentDto>?> GetStockAdjustmentsAsync(int id)
+    {
+        if (_products.All(p => p.Id != id))
+        {
+            return Task.FromResult<IEnumerable<StockAdjustmentDto>?>(null);
+        }
+
+        var adjustments = _adjustments
+            .Where(a => a.ProductId == id)
+            .OrderByDescending(a => a.Id)
+            .Select(MapToAdjustmentDto)
+            .ToList();
+        return Task.FromResult<IEnumerable<StockAdjustmentDto>?>(adjustments);
+    }
+
+    /// <summary>
+    /// Retrieves the details of a product's images from the in-memory collection, in the order they were uploaded
+    /// </summary>
+    /// <param name="id">The unique identifier of the product</param>
+    /// <returns>The product's images, or null if the product does not exist</returns>
+    public Task<IEnumerable<ProductImageDto>?> GetProductImagesAsync(int id)
+    {
+        var product = _products.FirstOrDefault(p => p.Id == id);
+        if (product == null)
+        {
+            return Task.FromResult<IEnumerable<ProductImageDto>?>(null);
+        }
+
+        var images = _images
+            .Where(i => i.ProductId == id)
+            .OrderBy(i => i.Id)
+            .Select(i => MapToImageDto(i, product.PrimaryImageId))
+            .ToList();
+        return Task.FromResult<IEnumerable<ProductImageDto>?>(images);
+    }
+
+    /// <summary>
+    /// Retrieves the bytes of a product image or of its thumbnail from the in-memory collection
+    /// </summary>
+    /// <param name="id">The unique identifier of the product</param>
+    /// <param name="imageId">The unique identifier of the image</param>
+    /// <param name="thumbnail">True for the thumbnail, which is the image itself when none was uploaded</param>
+    /// <returns>The image's bytes and type, or null if the product or image does not exist</returns>
+    public Task<ProductImageContentDto?> GetProductImageContentAsync(int id, int imageId, bool thumbnail)
+    {
+        var image = _images.FirstOrDefault(i => i.ProductId == id && i.Id == imageId);
+        return Task.FromResult(image == null ? null : new ProductImageContentDto
+        {
+            ContentType = image.ContentType,
+            FileName = image.FileName,
+            Data = thumbnail ? image.ThumbnailData ?? image.Data : image.Data,
+            CreatedAt = image.CreatedAt
+        });
+    }
+
+    /// <summary>
+    /// Adds an uploaded image to a product in the in-memory collection; the product's first image becomes its primary image
+    /// </summary>
+    /// <param name="id">The unique identifier of the product</param>
+    /// <param name="createProductImageDto">The image, its optional thumbnail and whether it becomes the primary image</param>
+    /// <returns>The details of the added image</returns>
+    /// <exception cref="InvalidOperationException">Thrown when the product is not found</exception>
+    /// <exception cref="ArgumentException">Thrown when the image is not an allowed format, is too large, or the product already has the most images allowed</exception>
+    public Task<ProductImageDto> AddProductImageAsync(int id, CreateProductImageDto createProductImageDto)
+    {
+        var product = _products.FirstOrDefault(p => p.Id == id);
+        if (product == null)
+            throw new InvalidOperationException($"Product with ID {id} not found");
+
+        var image = new ProductImage
+        {
+            Id = _nextImageId,
+            ProductId = id,
+            FileName = createProductImageDto.FileName,
+            ContentType = createProductImageDto.ContentType,
+            Width = createProductImageDto.Width,
+            Height = createProductImageDto.Height,
+            Data = createProductImageDto.Data,
+            ThumbnailData = createProductImageDto.ThumbnailData,
+            CreatedAt = DateTime.UtcNow
+        };
+        image.Validate();
+        if (_images.Count(i => i.ProductId == id) >= ProductImage.MaxImagesPerProduct)
+            throw new ArgumentException($"A product cannot have more than {ProductImage.MaxImagesPerProduct} images.");
+
+        _nextImageId++;
+        _images.Add(image);
+        if (createProductImageDto.IsPrimary || product.PrimaryImageId == null)
+            product.PrimaryImageId = image.Id;
+        return Task.FromResult(MapToImageDto(image, product.PrimaryImageId));
+    }
+
+    /// <summary>
+    /// Makes an image the one shown for its product in lists
+    /// </summary>
+    /// <param name="id">The unique identifier of the product</param>
+    /// <param name="imageId">The unique identifier of the image</param>
+    /// <returns>A task representing the asynchronous operation</returns>
+    /// <exception cref="InvalidOperationException">Thrown when the product or image is not found</exception>
+    public Task SetPrimaryProductImageAsync(int id, int imageId)
+    {
+        var product = _products.FirstOrDefault(p => p.Id == id);
+        if (product == null || !_images.Any(i => i.ProductId == id && i.Id == imageId))
+            throw new InvalidOperationException($"Image with ID {imageId} not found for product {id}");
+
+        product.PrimaryImageId = imageId;
+        return Task.CompletedTask;
+    }
+
+    /// <summary>
+    /// Deletes a product image from the in-memory collection; when it was the primary image, the oldest remaining image takes its place
+    /// </summary>
+    /// <param name="id">The unique identifier of the product</param>
+    /// <param name="imageId">The unique identifier of the image</param>
+    /// <returns>A task representing the asynchronous operation</returns>
+    /// <exception cref="InvalidOperationException">Thrown when the product or image is not found</exception>
+    public Task DeleteProductImageAsync(int id, int imageId)
+    {
+        var product = _products.FirstOrDefault(p => p.Id == id);
+        var image = _images.FirstOrDefault(i => i.ProductId == id && i.Id == imageId);
+        if (product == null || image == null)
+            throw new InvalidOperationException($"Image with ID {imageId} not found for product {id}");
+
+        _images.Remove(image);
+        if (product.PrimaryImageId == imageId)
+            product.PrimaryImageId = _images.Where(i => i.ProductId == id).MinBy(i => i.Id)?.Id;
+        return Task.CompletedTask;
+    }
+
+    private void AddVersionIfChanged(Product product)
+    {
+        var latestVersion = _versions.Where(v => v.ProductId == product.Id).MaxBy(v => v.Version);
+        if (latestVersion == null || latestVersion.DiffersFrom(product))
+        {
+            _versions.Add(ProductVersion.FromProduct(product, (latestVersion?.Version ?? 0) + 1, ProductChangeType.Updated));
+        }
+    }
+
+    private static ProductImageDto MapToImageDto(ProductImage image, int? primaryImageId)
+    {
+        return new ProductImageDto
+        {
+            Id = image.Id,
+            ProductId = image.ProductId,
+            FileName = image.FileName,
+            ContentType = image.ContentType,
+            Width = image.Width,
+            Height = image.Height,
+            SizeInBytes = image.SizeInBytes,
+            IsPrimary = image.Id == primaryImageId,
+            CreatedAt = image.CreatedAt
+        };
+    }
+
+    private static StockAdjustmentDto MapToAdjustmentDto(StockAdjustment adjustment)
+    {
+        return new StockAdjustmentDto
+        {
+            Id = adjustment.Id,
+            ProductId = adjustment.ProductId,
+            Delta = adjustment.Delta,
+            Reason = StockAdjustmentReasons.ToName(adjustment.Reason),
+            Note = adjustment.Note,
+            QuantityBefore = adjustment.QuantityBefore,
+            QuantityAfter = adjustment.QuantityAfter,
+            CreatedAt = adjustment.CreatedAt
+        };
+    }
+
     private static ProductDto MapToDto(Product product)
     {
         return new ProductDto
@@ -149,6 +457,11 @@ public class InMemoryProductService : IProductService
             SKU = product.SKU,
             Price = product.Price,
             QuantityInStock = product.QuantityInStock,
+            ReorderPoint = product.ReorderPoint,
+            ReorderQuantity = product.ReorderQuantity,
+            CategoryId = product.CategoryId,
+            Tags = product.Tags.ToList(),
+            PrimaryImageId = product.PrimaryImageId,
             CreatedAt = product.CreatedAt,
             UpdatedAt = product.UpdatedAt
         };
@@ -0,0 +1,124 @@
+using DemoInventory.API.Controllers;
+using DemoInventory.Application.DTOs;
+using DemoInventory.Application.Exceptions;
+using DemoInventory.Application.Interfaces;
+using Microsoft.AspNetCore.Mvc;
+using Moq;
+
+namespace DemoInventory.API.Tests;
+
+public class CategoriesControllerTests
+{
+    private readonly Mock<ICategoryService> _mockCategoryService;
+    private readonly CategoriesController _controller;
+
+    public CategoriesControllerTests()
+    {
+        _mockCategoryService = new Mock<ICategoryService>();
+        _controller = new CategoriesController(_mockCategoryService.Object);
+    }
+
+    [Fact]
+    public async Task GetCategories_Should_Return_Ok_With_Categories()
+    {
+        // Arrange
+        var categories = new List<CategoryDto>
+        {
+            new CategoryDto { Id = 1, Name = "Electronics", Path = new List<string> { "Electronics" } },
+            new CategoryDto { Id = 2, Name = "Audio", ParentId = 1, Path = new List<string> { "Electronics", "Audio" } }
+        };
+        _mockCategoryService.Setup(s => s.GetCategoriesAsync())
+                           .ReturnsAsync(categories);
+
+        // Act
+        var result = await _controller.GetCategories();
+
+        // Assert
+        var okResult = Assert.IsType<OkObjectResult>(result.Result);
+        var returnedCategories = Assert.IsAssignableFrom<IEnumerable<CategoryDto>>(okResult.Value);
+        Assert.Equal(2, returnedCategories.Count());
+    }
+
+    [Fact]
+    public async Task CreateCategory_Should_Return_CreatedAtAction()
+    {
+        // Arrange
+        var createCategoryDto = new CreateCategoryDto { Name = "Audio", ParentId = 1 };
+        var createdCategory = new CategoryDto { Id = 2, Name = "Audio", ParentId = 1, Path = new List<string> { "Electronics", "Audio" } };
+        _mockCategoryService.Setup(s => s.CreateCategoryAsync(createCategoryDto))
+                           .ReturnsAsync(createdCategory);
+
+        // Act
+        var result = await _controller.CreateCategory(createCategoryDto);
+
+        // Assert
+        var createdResult = Assert.IsType<CreatedAtActionResult>(result.Result);
+        Assert.Equal(nameof(CategoriesController.GetCategory), createdResult.ActionName);
+        Assert.Same(createdCategory, createdResult.Value);
+    }
+
+    [Fact]
+    public async Task UpdateCategory_Should_Return_BadRequest_When_Moved_Under_Its_Own_Subcategory()
+    {
+        // Arrange
+        var updateCategoryDto = new UpdateCategoryDto { Name = "Electronics", ParentId = 2 };
+        _mockCategoryService.Setup(s => s.UpdateCategoryAsync(1, updateCategoryDto))
+                           .ThrowsAsync(new ArgumentException("A category cannot be moved under itself or one of its subcategories.", "ParentId"));
+
+        // Act
+        var result = await _controller.UpdateCategory(1, updateCategoryDto);
+
+        // Assert
+        var badRequestResult = Assert.IsType<BadRequestObjectResult>(result.Result);
+        var problem = Assert.IsType<ValidationProblemDetails>(badRequestResult.Value);
+        Assert.Equal(new[] { "A category cannot be moved under itself or one of its subcategories." }, problem.Errors["ParentId"]);
+    }
+
+    [Fact]
+    public async Task UpdateCategory_Should_Return_NotFound_When_Category_Does_Not_Exist()
+    {
+        // Arrange
+        var updateCategoryDto = new UpdateCategoryDto { Name = "Missing" };
+        _mockCategoryService.Setup(s => s.UpdateCategoryAsync(999, updateCategoryDto))
+                           .ThrowsAsync(new InvalidOperationException("Category with ID 999 not found"));
+
+        // Act
+        var result = await _controller.UpdateCategory(999, updateCategoryDto);
+
+        // Assert
+        Assert.IsType<NotFoundResult>(result.Result);
+    }
+
+    [Fact]
+    public async Task DeleteCategory_Should_Return_Conflict_When_Category_Is_In_Use()
+    {
+        // Arrange
+        _mockCategoryService.Setup(s => s.DeleteCategoryAsync(1))
+                           .ThrowsAsync(new CategoryInUseException(1, 4, 2));
+
+        // Act
+        var result = await _controller.DeleteCategory(1);
+
+        // Assert
+        var conflictResult = Assert.IsType<ConflictObjectResult>(result);
+        var problem = Assert.IsType<ProblemDetails>(conflictResult.Value);
+        Assert.Equal(409, problem.Status);
+        Assert.Equal(4, problem.Extensions["productCount"]);
+        Assert.Equal(2, problem.Extensions["subcategoryCount"]);
+    }
+
+    [Fact]
+    public async Task DeleteCategory_Should_Return_NoContent()
+    {
+        // Arrange
+        _mockCategoryService.Setup(s => s.DeleteCategoryAsync(3))
+                           .Returns(Task.CompletedTask);
+
+        // Act
+        var result = await _controller.DeleteCategory(3);
+
+        // Assert
+        Assert.IsType<NoContentResult>(result);
+        _mockCategoryService.Verify(s => s.DeleteCategoryAsync(3), Times.Once);
+    }
+}
\ No newline at end of file
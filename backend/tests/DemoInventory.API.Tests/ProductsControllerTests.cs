@@ -1,6 +1,9 @@
 using DemoInventory.API.Controllers;
 using DemoInventory.Application.DTOs;
+using DemoInventory.Application.Exceptions;
 using DemoInventory.Application.Interfaces;
+using DemoInventory.Domain.Entities;
+using Microsoft.AspNetCore.Http;
 using Microsoft.AspNetCore.Mvc;
 using Moq;
 
@@ -202,7 +205,7 @@ public class ProductsControllerTests
             Name = updateProductDto.Name,
             Description = updateProductDto.Description,
             Price = updateProductDto.Price,
-            QuantityInStock = updateProductDto.QuantityInStock,
+            QuantityInStock = updateProductDto.QuantityInStock.Value,
             UpdatedAt = DateTime.UtcNow
         };
 
@@ -242,6 +245,34 @@ public class ProductsControllerTests
         Assert.IsType<NotFoundResult>(result.Result);
     }
 
+    [Fact]
+    public async Task UpdateProduct_Should_Return_Conflict_With_The_Current_Product_When_It_Changed()
+    {
+        // Arrange
+        var productId = 1;
+        var updateProductDto = new UpdateProductDto
+        {
+            Name = "Updated Product",
+            Description = "Updated Description",
+            Price = 35.99m,
+            QuantityInStock = 40,
+            ExpectedUpdatedAt = new DateTime(2024, 1, 1, 0, 0, 0, DateTimeKind.Utc)
+        };
+        var currentProduct = new ProductDto { Id = productId, Name = "Changed Elsewhere", SKU = "TEST-001", Price = 30m, QuantityInStock = 12 };
+
+        _mockProductService.Setup(s => s.UpdateProductAsync(productId, updateProductDto))
+                          .ThrowsAsync(new ProductConflictException(currentProduct));
+
+        // Act
+        var result = await _controller.UpdateProduct(productId, updateProductDto);
+
+        // Assert
+        var conflictResult = Assert.IsType<ConflictObjectResult>(result.Result);
+        var problem = Assert.IsType<ProblemDetails>(conflictResult.Value);
+        Assert.Equal(409, problem.Status);
+        Assert.Same(currentProduct, problem.Extensions["currentProduct"]);
+    }
+
     [Fact]
     public async Task DeleteProduct_Should_Return_NoContent()
     {
@@ -272,17 +303,65 @@ public class ProductsControllerTests
         };
 
         _mockProductService.Setup(s => s.CreateProductAsync(createProductDto))
-                          .ThrowsAsync(new ArgumentException("SKU 'EXISTING-SKU' already exists. Each product must have a unique SKU."));
+                          .ThrowsAsync(new ArgumentException("SKU 'EXISTING-SKU' already exists. Each product must have a unique SKU.", "SKU"));
 
         // Act
         var result = await _controller.CreateProduct(createProductDto);
 
         // Assert
         var badRequestResult = Assert.IsType<BadRequestObjectResult>(result.Result);
-        Assert.Equal("SKU 'EXISTING-SKU' already exists. Each product must have a unique SKU.", badRequestResult.Value);
+        var problem = Assert.IsType<ValidationProblemDetails>(badRequestResult.Value);
+        Assert.Equal(new[] { "SKU 'EXISTING-SKU' already exists. Each product must have a unique SKU." }, problem.Errors["SKU"]);
         _mockProductService.Verify(s => s.CreateProductAsync(createProductDto), Times.Once);
     }
 
+    [Fact]
+    public async Task UpdateProduct_Should_Return_BadRequest_With_The_Invalid_Field()
+    {
+        // Arrange
+        var productId = 1;
+        var updateProductDto = new UpdateProductDto
+        {
+            Name = "Updated Product",
+            Description = "Updated Description",
+            Price = 1000000m,
+            QuantityInStock = 40
+        };
+
+        _mockProductService.Setup(s => s.UpdateProductAsync(productId, updateProductDto))
+                          .ThrowsAsync(new ArgumentException("Price cannot exceed 999,999.99.", "Price"));
+
+        // Act
+        var result = await _controller.UpdateProduct(productId, updateProductDto);
+
+        // Assert
+        var badRequestResult = Assert.IsType<BadRequestObjectResult>(result.Result);
+        var problem = Assert.IsType<ValidationProblemDetails>(badRequestResult.Value);
+        Assert.Equal(new[] { "Price cannot exceed 999,999.99." }, problem.Errors["Price"]);
+    }
+
+    [Fact]
+    public async Task GetProductFacets_Should_Return_Ok_With_Facets()
+    {
+        // Arrange
+        var query = new ProductQueryDto { Tags = new List<string> { "sale" } };
+        var facets = new ProductFacetsDto
+        {
+            Categories = new List<CategoryFacetDto> { new CategoryFacetDto { Id = 1, Name = "Electronics", Count = 3 } },
+            UncategorizedCount = 1,
+            Tags = new List<TagFacetDto> { new TagFacetDto { Tag = "sale", Count = 4 } }
+        };
+        _mockProductService.Setup(s => s.GetProductFacetsAsync(query))
+                          .ReturnsAsync(facets);
+
+        // Act
+        var result = await _controller.GetProductFacets(query);
+
+        // Assert
+        var okResult = Assert.IsType<OkObjectResult>(result.Result);
+        Assert.Same(facets, okResult.Value);
+    }
+
     [Fact]
     public async Task GetProductByName_Should_Return_Ok_When_Product_Exists()
     {
@@ -326,4 +405,292 @@ public class ProductsControllerTests
         Assert.IsType<NotFoundResult>(result.Result);
         _mockProductService.Verify(s => s.GetProductByNameAsync(productName), Times.Once);
     }
-}
\ No newline at end of file
+
+    [Fact]
+    public async Task GetPagedProducts_Should_Return_Ok_With_Page()
+    {
+        // Arrange
+        var query = new ProductQueryDto { Page = 2, PageSize = 1, SortBy = "price", SortDirection = "desc" };
+        var page = new PagedResultDto<ProductDto>
+        {
+            Items = new List<ProductDto> { new ProductDto { Id = 2, Name = "Product 2", SKU = "SKU-002", Price = 20.99m } },
+            Page = 2,
+            PageSize = 1,
+            TotalCount = 2,
+            TotalPages = 2
+        };
+
+        _mockProductService.Setup(s => s.QueryProductsAsync(query))
+                          .ReturnsAsync(page);
+
+        // Act
+        var result = await _controller.GetPagedProducts(query);
+
+        // Assert
+        var okResult = Assert.IsType<OkObjectResult>(result.Result);
+        var returnedPage = Assert.IsType<PagedResultDto<ProductDto>>(okResult.Value);
+        Assert.Equal(2, returnedPage.TotalCount);
+        Assert.Single(returnedPage.Items);
+    }
+
+    [Fact]
+    public async Task GetPagedProducts_Should_Return_BadRequest_When_Range_Is_Invalid()
+    {
+        // Arrange
+        var query = new ProductQueryDto { MinPrice = 50m, MaxPrice = 10m };
+        _mockProductService.Setup(s => s.QueryProductsAsync(query))
+                          .ThrowsAsync(new ArgumentException("Minimum price cannot be greater than maximum price."));
+
+        // Act
+        var result = await _controller.GetPagedProducts(query);
+
+        // Assert
+        var badRequestResult = Assert.IsType<BadRequestObjectResult>(result.Result);
+        Assert.Equal("Minimum price cannot be greater than maximum price.", badRequestResult.Value);
+    }
+
+    [Fact]
+    public async Task GetProductHistory_Should_Return_Ok_With_Versions()
+    {
+        // Arrange
+        var history = new List<ProductVersionDto>
+        {
+            new ProductVersionDto { Version = 1, ChangeType = "created", Name = "Product", Price = 10m, QuantityInStock = 5 },
+            new ProductVersionDto { Version = 2, ChangeType = "updated", Name = "Product", Price = 12m, QuantityInStock = 5 }
+        };
+        _mockProductService.Setup(s => s.GetProductHistoryAsync(1))
+                          .ReturnsAsync(history);
+
+        // Act
+        var result = await _controller.GetProductHistory(1);
+
+        // Assert
+        var okResult = Assert.IsType<OkObjectResult>(result.Result);
+        var returnedHistory = Assert.IsAssignableFrom<IEnumerable<ProductVersionDto>>(okResult.Value);
+        Assert.Equal(new[] { 1, 2 }, returnedHistory.Select(v => v.Version));
+    }
+
+    [Fact]
+    public async Task GetProductHistory_Should_Return_NotFound_When_Product_Does_Not_Exist()
+    {
+        // Arrange
+        _mockProductService.Setup(s => s.GetProductHistoryAsync(999))
+                          .ReturnsAsync((IEnumerable<ProductVersionDto>?)null);
+
+        // Act
+        var result = await _controller.GetProductHistory(999);
+
+        // Assert
+        Assert.IsType<NotFoundResult>(result.Result);
+    }
+
+    [Fact]
+    public async Task AdjustStock_Should_Return_Created_With_Adjustment()
+    {
+        // Arrange
+        var createDto = new CreateStockAdjustmentDto { Delta = -3, Reason = "sold", Note = "Order #1042" };
+        var adjustment = new StockAdjustmentDto { Id = 7, ProductId = 1, Delta = -3, Reason = "sold", Note = "Order #1042", QuantityBefore = 10, QuantityAfter = 7 };
+        _mockProductService.Setup(s => s.AdjustStockAsync(1, createDto))
+                          .ReturnsAsync(adjustment);
+
+        // Act
+        var result = await _controller.AdjustStock(1, createDto);
+
+        // Assert
+        var createdResult = Assert.IsType<CreatedAtActionResult>(result.Result);
+        Assert.Equal(nameof(ProductsController.GetStockAdjustments), createdResult.ActionName);
+        var returnedAdjustment = Assert.IsType<StockAdjustmentDto>(createdResult.Value);
+        Assert.Equal(7, returnedAdjustment.QuantityAfter);
+    }
+
+    [Fact]
+    public async Task AdjustStock_Should_Return_BadRequest_When_Stock_Would_Go_Negative()
+    {
+        // Arrange
+        var createDto = new CreateStockAdjustmentDto { Delta = -20, Reason = "damaged" };
+        _mockProductService.Setup(s => s.AdjustStockAsync(1, createDto))
+                          .ThrowsAsync(new ArgumentException("Cannot remove 20 units; only 5 in stock."));
+
+        // Act
+        var result = await _controller.AdjustStock(1, createDto);
+
+        // Assert
+        var badRequestResult = Assert.IsType<BadRequestObjectResult>(result.Result);
+        Assert.Equal("Cannot remove 20 units; only 5 in stock.", badRequestResult.Value);
+    }
+
+    [Fact]
+    public async Task AdjustStock_Should_Return_NotFound_When_Product_Does_Not_Exist()
+    {
+        // Arrange
+        var createDto = new CreateStockAdjustmentDto { Delta = 5, Reason = "received" };
+        _mockProductService.Setup(s => s.AdjustStockAsync(999, createDto))
+                          .ThrowsAsync(new InvalidOperationException("Product with ID 999 not found"));
+
+        // Act
+        var result = await _controller.AdjustStock(999, createDto);
+
+        // Assert
+        Assert.IsType<NotFoundResult>(result.Result);
+    }
+
+    [Fact]
+    public async Task GetStockAdjustments_Should_Return_NotFound_When_Product_Does_Not_Exist()
+    {
+        // Arrange
+        _mockProductService.Setup(s => s.GetStockAdjustmentsAsync(999))
+                          .ReturnsAsync((IEnumerable<StockAdjustmentDto>?)null);
+
+        // Act
+        var result = await _controller.GetStockAdjustments(999);
+
+        // Assert
+        Assert.IsType<NotFoundResult>(result.Result);
+    }
+
+    private static FormFile Upload(byte[] data, string fileName, string contentType)
+    {
+        return new FormFile(new MemoryStream(data), 0, data.Length, "file", fileName)
+        {
+            Headers = new HeaderDictionary(),
+            ContentType = contentType
+        };
+    }
+
+    [Fact]
+    public async Task UploadProductImage_Should_Return_Created_With_The_Image()
+    {
+        // Arrange
+        var data = new byte[] { 0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A };
+        var image = new ProductImageDto { Id = 3, ProductId = 1, FileName = "desk.png", ContentType = "image/png", IsPrimary = true };
+        _mockProductService.Setup(s => s.AddProductImageAsync(1, It.IsAny<CreateProductImageDto>()))
+                          .ReturnsAsync(image);
+
+        // Act
+        var result = await _controller.UploadProductImage(1, Upload(data, "desk.png", "image/png"), null, 800, 600, false);
+
+        // Assert
+        var createdResult = Assert.IsType<CreatedAtActionResult>(result.Result);
+        Assert.Equal(nameof(ProductsController.GetProductImage), createdResult.ActionName);
+        Assert.Same(image, createdResult.Value);
+        _mockProductService.Verify(s => s.AddProductImageAsync(1, It.Is<CreateProductImageDto>(dto =>
+            dto.FileName == "desk.png" && dto.ContentType == "image/png" && dto.Data.SequenceEqual(data) && dto.ThumbnailData == null && dto.Width == 800)), Times.Once);
+    }
+
+    [Fact]
+    public async Task UploadProductImage_Should_Return_BadRequest_Without_Reading_A_File_Over_The_Limit()
+    {
+        // Arrange
+        var tooLarge = new Mock<IFormFile>();
+        tooLarge.Setup(f => f.Length).Returns(ProductImage.MaxSizeInBytes + 1L);
+
+        // Act
+        var result = await _controller.UploadProductImage(1, tooLarge.Object, null, 800, 600, false);
+
+        // Assert
+        var badRequestResult = Assert.IsType<BadRequestObjectResult>(result.Result);
+        var problem = Assert.IsType<ValidationProblemDetails>(badRequestResult.Value);
+        Assert.Equal(new[] { "Images cannot exceed 5 MB." }, problem.Errors["file"]);
+        tooLarge.Verify(f => f.OpenReadStream(), Times.Never);
+        _mockProductService.Verify(s => s.AddProductImageAsync(It.IsAny<int>(), It.IsAny<CreateProductImageDto>()), Times.Never);
+    }
+
+    [Fact]
+    public async Task UploadProductImage_Should_Report_Service_Validation_Under_The_Form_Field()
+    {
+        // Arrange
+        _mockProductService.Setup(s => s.AddProductImageAsync(1, It.IsAny<CreateProductImageDto>()))
+                          .ThrowsAsync(new ArgumentException("The image is not a valid image/png file.", nameof(ProductImage.Data)));
+
+        // Act
+        var result = await _controller.UploadProductImage(1, Upload(new byte[] { 1, 2, 3 }, "fake.png", "image/png"), null, 1, 1, false);
+
+        // Assert
+        var badRequestResult = Assert.IsType<BadRequestObjectResult>(result.Result);
+        var problem = Assert.IsType<ValidationProblemDetails>(badRequestResult.Value);
+        Assert.Equal(new[] { "The image is not a valid image/png file." }, problem.Errors["file"]);
+    }
+
+    [Fact]
+    public async Task UploadProductImage_Should_Return_NotFound_When_Product_Does_Not_Exist()
+    {
+        // Arrange
+        _mockProductService.Setup(s => s.AddProductImageAsync(99, It.IsAny<CreateProductImageDto>()))
+                          .ThrowsAsync(new InvalidOperationException("Product with ID 99 not found"));
+
+        // Act
+        var result = await _controller.UploadProductImage(99, Upload(new byte[] { 0xFF, 0xD8, 0xFF }, "a.jpg", "image/jpeg"), null, 1, 1, false);
+
+        // Assert
+        Assert.IsType<NotFoundResult>(result.Result);
+    }
+
+    [Fact]
+    public async Task GetProductImageThumbnail_Should_Serve_The_Bytes_With_Long_Caching()
+    {
+        // Arrange
+        _controller.ControllerContext = new ControllerContext { HttpContext = new DefaultHttpContext() };
+        var data = new byte[] { 0xFF, 0xD8, 0xFF, 0xE0 };
+        _mockProductService.Setup(s => s.GetProductImageContentAsync(1, 3, true))
+                          .ReturnsAsync(new ProductImageContentDto { ContentType = "image/jpeg", FileName = "desk.jpg", Data = data });
+
+        // Act
+        var result = await _controller.GetProductImageThumbnail(1, 3);
+
+        // Assert
+        var fileResult = Assert.IsType<FileContentResult>(result);
+        Assert.Equal("image/jpeg", fileResult.ContentType);
+        Assert.Equal(data, fileResult.FileContents);
+        Assert.Contains("immutable", _controller.Response.Headers.CacheControl.ToString());
+    }
+
+    [Fact]
+    public async Task GetProductImage_Should_Return_NotFound_When_Image_Does_Not_Exist()
+    {
+        // Arrange
+        _mockProductService.Setup(s => s.GetProductImageContentAsync(1, 42, false))
+                          .ReturnsAsync((ProductImageContentDto?)null);
+
+        // Act
+        var result = await _controller.GetProductImage(1, 42);
+
+        // Assert
+        Assert.IsType<NotFoundResult>(result);
+    }
+
+    [Fact]
+    public async Task DeleteProductImage_Should_Return_NotFound_When_Image_Does_Not_Exist()
+    {
+        // Arrange
+        _mockProductService.Setup(s => s.DeleteProductImageAsync(1, 42))
+                          .ThrowsAsync(new InvalidOperationException("Image with ID 42 not found for product 1"));
+
+        // Act
+        var result = await _controller.DeleteProductImage(1, 42);
+
+        // Assert
+        Assert.IsType<NotFoundResult>(result);
+    }
+
+    [Theory]
+    [InlineData(0, 3)]
+    [InlineData(1, 0)]
+    [InlineData(-1, -3)]
+    public async Task Image_Endpoints_Should_Return_BadRequest_For_Invalid_Ids(int id, int imageId)
+    {
+        // Act
+        var image = await _controller.GetProductImage(id, imageId);
+        var thumbnail = await _controller.GetProductImageThumbnail(id, imageId);
+        var primary = await _controller.SetPrimaryProductImage(id, imageId);
+        var deleted = await _controller.DeleteProductImage(id, imageId);
+
+        // Assert
+        Assert.IsType<BadRequestObjectResult>(image);
+        Assert.IsType<BadRequestObjectResult>(thumbnail);
+        Assert.IsType<BadRequestObjectResult>(primary);
+        Assert.IsType<BadRequestObjectResult>(deleted);
+        _mockProductService.Verify(s => s.GetProductImageContentAsync(It.IsAny<int>(), It.IsAny<int>(), It.IsAny<bool>()), Times.Never);
+        _mockProductService.Verify(s => s.SetPrimaryProductImageAsync(It.IsAny<int>(), It.IsAny<int>()), Times.Never);
+        _mockProductService.Verify(s => s.DeleteProductImageAsync(It.IsAny<int>(), It.IsAny<int>()), Times.Never);
+    }
+}
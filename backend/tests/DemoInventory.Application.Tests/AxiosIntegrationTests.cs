@@ -1,3 +1,4 @@
+using System.ComponentModel.DataAnnotations;
 using System.Text.Json;
 using DemoInventory.Application.DTOs;
 
@@ -91,4 +92,30 @@ public class AxiosIntegrationTests
         Assert.Equal(79.99m, updateDto.Price);
         Assert.Equal(15, updateDto.QuantityInStock);
     }
+
+    [Theory]
+    [InlineData("SKU-001", 19.99, true)]
+    [InlineData("sku-001", 19.99, true)]
+    [InlineData("SKU 001", 19.99, false)]
+    [InlineData("SK", 19.99, false)]
+    [InlineData("SKU-001", 0, false)]
+    [InlineData("SKU-001", 1000000, false)]
+    public void CreateProductDto_Should_Enforce_The_Limits_Published_In_The_Api_Contract(string sku, double price, bool expectedValid)
+    {
+        // Arrange
+        var createDto = new CreateProductDto
+        {
+            Name = "Sample Product",
+            Description = "Sample description",
+            SKU = sku,
+            Price = (decimal)price,
+            QuantityInStock = 5
+        };
+
+        // Act
+        var isValid = Validator.TryValidateObject(createDto, new ValidationContext(createDto), new List<ValidationResult>(), validateAllProperties: true);
+
+        // Assert
+        Assert.Equal(expectedValid, isValid);
+    }
 }
\ No newline at end of file
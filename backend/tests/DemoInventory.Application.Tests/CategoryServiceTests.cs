@@ -0,0 +1,124 @@
+using DemoInventory.Application.DTOs;
+using DemoInventory.Application.Exceptions;
+using DemoInventory.Application.Services;
+using DemoInventory.Domain.Entities;
+using DemoInventory.Domain.Interfaces;
+using DemoInventory.Domain.Queries;
+using Moq;
+
+namespace DemoInventory.Application.Tests;
+
+public class CategoryServiceTests
+{
+    private readonly Mock<ICategoryRepository> _mockCategoryRepository;
+    private readonly Mock<IProductRepository> _mockProductRepository;
+    private readonly CategoryService _service;
+
+    public CategoryServiceTests()
+    {
+        _mockCategoryRepository = new Mock<ICategoryRepository>();
+        _mockProductRepository = new Mock<IProductRepository>();
+        _service = new CategoryService(_mockCategoryRepository.Object, _mockProductRepository.Object);
+
+        // Electronics > Audio > Headphones, and Garden with 3 products of its own
+        _mockCategoryRepository.Setup(r => r.GetAllAsync()).ReturnsAsync(new List<Category>
+        {
+            new Category { Id = 1, Name = "Electronics" },
+            new Category { Id = 2, Name = "Audio", ParentId = 1 },
+            new Category { Id = 3, Name = "Headphones", ParentId = 2 },
+            new Category { Id = 4, Name = "Garden" }
+        });
+        _mockProductRepository.Setup(r => r.GetFacetsAsync(It.IsAny<ProductQuery>()))
+                              .ReturnsAsync(new ProductFacets(new Dictionary<int, int> { [4] = 3 }, 0, new Dictionary<string, int>()));
+    }
+
+    [Fact]
+    public async Task GetCategoriesAsync_Should_Return_Each_Category_Followed_By_Its_Subcategories()
+    {
+        // Act
+        var result = (await _service.GetCategoriesAsync()).ToList();
+
+        // Assert
+        Assert.Equal(new[] { "Electronics", "Audio", "Headphones", "Garden" }, result.Select(c => c.Name));
+        Assert.Equal(new[] { "Electronics", "Audio", "Headphones" }, result[2].Path);
+        Assert.Equal(3, result[3].ProductCount);
+    }
+
+    [Fact]
+    public async Task CreateCategoryAsync_Should_Reject_A_Name_Already_Used_Under_The_Same_Parent()
+    {
+        // Arrange
+        _mockCategoryRepository.Setup(r => r.GetByNameAsync("Audio", 1))
+                               .ReturnsAsync(new Category { Id = 2, Name = "Audio", ParentId = 1 });
+
+        // Act & Assert
+        var exception = await Assert.ThrowsAsync<ArgumentException>(
+            () => _service.CreateCategoryAsync(new CreateCategoryDto { Name = "Audio", ParentId = 1 }));
+        Assert.Equal("Name", exception.ParamName);
+        _mockCategoryRepository.Verify(r => r.AddAsync(It.IsAny<Category>()), Times.Never);
+    }
+
+    [Fact]
+    public async Task CreateCategoryAsync_Should_Reject_An_Unknown_Parent()
+    {
+        // Act & Assert
+        var exception = await Assert.ThrowsAsync<ArgumentException>(
+            () => _service.CreateCategoryAsync(new CreateCategoryDto { Name = "Tools", ParentId = 99 }));
+        Assert.Equal("ParentId", exception.ParamName);
+    }
+
+    [Theory]
+    [InlineData(1)]
+    [InlineData(3)]
+    public async Task UpdateCategoryAsync_Should_Not_Move_A_Category_Under_Itself_Or_Its_Subcategories(int parentId)
+    {
+        // Act & Assert
+        var exception = await Assert.ThrowsAsync<ArgumentException>(
+            () => _service.UpdateCategoryAsync(1, new UpdateCategoryDto { Name = "Electronics", ParentId = parentId }));
+        Assert.Equal("ParentId", exception.ParamName);
+        _mockCategoryRepository.Verify(r => r.UpdateAsync(It.IsAny<Category>()), Times.Never);
+    }
+
+    [Fact]
+    public async Task UpdateCategoryAsync_Should_Move_A_Category_Under_Another_Parent()
+    {
+        // Arrange
+        _mockCategoryRepository.Setup(r => r.UpdateAsync(It.IsAny<Category>())).ReturnsAsync((Category c) => c);
+
+        // Act
+        var result = await _service.UpdateCategoryAsync(3, new UpdateCategoryDto { Name = "Headsets", ParentId = 1 });
+
+        // Assert
+        Assert.Equal(1, result.ParentId);
+        Assert.Equal(new[] { "Electronics", "Headsets" }, result.Path);
+    }
+
+    [Theory]
+    [InlineData(2, 0, 1)]
+    [InlineData(4, 3, 0)]
+    public async Task DeleteCategoryAsync_Should_Refuse_Categories_That_Are_Still_In_Use(int id, int productCount, int subcategoryCount)
+    {
+        // Act & Assert
+        var exception = await Assert.ThrowsAsync<CategoryInUseException>(() => _service.DeleteCategoryAsync(id));
+        Assert.Equal(productCount, exception.ProductCount);
+        Assert.Equal(subcategoryCount, exception.SubcategoryCount);
+        _mockCategoryRepository.Verify(r => r.DeleteAsync(It.IsAny<int>()), Times.Never);
+    }
+
+    [Fact]
+    public async Task DeleteCategoryAsync_Should_Delete_An_Empty_Category()
+    {
+        // Act
+        await _service.DeleteCategoryAsync(3);
+
+        // Assert
+        _mockCategoryRepository.Verify(r => r.DeleteAsync(3), Times.Once);
+    }
+
+    [Fact]
+    public async Task DeleteCategoryAsync_Should_Throw_When_The_Category_Does_Not_Exist()
+    {
+        // Act & Assert
+        await Assert.ThrowsAsync<InvalidOperationException>(() => _service.DeleteCategoryAsync(99));
+    }
+}
\ No newline at end of file
@@ -0,0 +1,65 @@
+using DemoInventory.Application.DTOs;
+using DemoInventory.Application.Services;
+
+namespace DemoInventory.Application.Tests;
+
+public class ProductEventBroadcasterTests
+{
+    private static ProductEventDto CreateEvent(int productId) => new()
+    {
+        Type = ProductEventTypes.Updated,
+        ProductId = productId,
+        OccurredAt = DateTime.UtcNow
+    };
+
+    [Fact]
+    public void Publish_Should_Reach_Every_Subscriber()
+    {
+        // Arrange
+        var broadcaster = new ProductEventBroadcaster();
+        var first = broadcaster.Subscribe(CancellationToken.None);
+        var second = broadcaster.Subscribe(CancellationToken.None);
+
+        // Act
+        broadcaster.Publish(CreateEvent(1));
+
+        // Assert
+        Assert.True(first.TryRead(out var firstEvent));
+        Assert.True(second.TryRead(out var secondEvent));
+        Assert.Equal(1, firstEvent!.ProductId);
+        Assert.Equal(1, secondEvent!.ProductId);
+    }
+
+    [Fact]
+    public void Subscribe_Should_Only_Receive_Events_Published_Afterwards()
+    {
+        // Arrange
+        var broadcaster = new ProductEventBroadcaster();
+        broadcaster.Publish(CreateEvent(1));
+
+        // Act
+        var reader = broadcaster.Subscribe(CancellationToken.None);
+        broadcaster.Publish(CreateEvent(2));
+
+        // Assert
+        Assert.True(reader.TryRead(out var productEvent));
+        Assert.Equal(2, productEvent!.ProductId);
+        Assert.False(reader.TryRead(out _));
+    }
+
+    [Fact]
+    public async Task Subscribe_Should_Complete_The_Stream_When_Cancelled()
+    {
+        // Arrange
+        var broadcaster = new ProductEventBroadcaster();
+        using var cancellation = new CancellationTokenSource();
+        var reader = broadcaster.Subscribe(cancellation.Token);
+
+        // Act
+        cancellation.Cancel();
+        broadcaster.Publish(CreateEvent(1));
+
+        // Assert
+        Assert.False(await reader.WaitToReadAsync());
+    }
+}
\ No newline at end of file
@@ -1,7 +1,11 @@
 using DemoInventory.Application.DTOs;
+using DemoInventory.Application.Exceptions;
+using DemoInventory.Application.Interfaces;
 using DemoInventory.Application.Services;
 using DemoInventory.Domain.Entities;
+using DemoInventory.Domain.Exceptions;
 using DemoInventory.Domain.Interfaces;
+using DemoInventory.Domain.Queries;
 using Moq;
 
 namespace DemoInventory.Application.Tests;
@@ -9,12 +13,14 @@ namespace DemoInventory.Application.Tests;
 public class ProductServiceTests
 {
     private readonly Mock<IProductRepository> _mockRepository;
+    private readonly Mock<ICategoryRepository> _mockCategoryRepository;
     private readonly ProductService _service;
 
     public ProductServiceTests()
     {
         _mockRepository = new Mock<IProductRepository>();
-        _service = new ProductService(_mockRepository.Object);
+        _mockCategoryRepository = new Mock<ICategoryRepository>();
+        _service = new ProductService(_mockRepository.Object, _mockCategoryRepository.Object);
         
         // Default setup: GetBySkuAsync returns null (no existing product) unless explicitly overridden
         _mockRepository.Setup(r => r.GetBySkuAsync(It.IsAny<string>()))
@@ -453,4 +459,520 @@ public class ProductServiceTests
         Assert.Equal("Cheap Product", resultList[0].Name);
         Assert.Equal("Mid Product", resultList[1].Name);
     }
+
+    [Fact]
+    public async Task GetProductHistoryAsync_Should_Map_Versions_In_Order()
+    {
+        // Arrange
+        var product = new Product { Id = 1, Name = "Test Product", SKU = "TEST-001", Price = 12m, QuantityInStock = 3 };
+        _mockRepository.Setup(r => r.GetByIdAsync(1))
+                      .ReturnsAsync(product);
+        _mockRepository.Setup(r => r.GetHistoryAsync(1))
+                      .ReturnsAsync(new List<ProductVersion>
+                      {
+                          new ProductVersion { ProductId = 1, Version = 1, ChangeType = ProductChangeType.Created, Name = "Test Product", Price = 10m, QuantityInStock = 3 },
+                          new ProductVersion { ProductId = 1, Version = 2, ChangeType = ProductChangeType.Updated, Name = "Test Product", Price = 12m, QuantityInStock = 3 }
+                      });
+
+        // Act
+        var result = (await _service.GetProductHistoryAsync(1))?.ToList();
+
+        // Assert
+        Assert.NotNull(result);
+        Assert.Equal(new[] { "created", "updated" }, result.Select(v => v.ChangeType));
+        Assert.Equal(12m, result[1].Price);
+    }
+
+    [Fact]
+    public async Task GetProductHistoryAsync_Should_Return_Null_When_Product_Does_Not_Exist()
+    {
+        // Arrange
+        _mockRepository.Setup(r => r.GetByIdAsync(1))
+                      .ReturnsAsync((Product?)null);
+
+        // Act
+        var result = await _service.GetProductHistoryAsync(1);
+
+        // Assert
+        Assert.Null(result);
+        _mockRepository.Verify(r => r.GetHistoryAsync(It.IsAny<int>()), Times.Never);
+    }
+
+    [Fact]
+    public async Task AdjustStockAsync_Should_Pass_The_Parsed_Adjustment_To_The_Repository()
+    {
+        // Arrange
+        var createDto = new CreateStockAdjustmentDto { Delta = -4, Reason = "cycleCount", Note = "  Shelf recount  " };
+        _mockRepository.Setup(r => r.AdjustStockAsync(It.IsAny<StockAdjustment>()))
+                      .ReturnsAsync((StockAdjustment adjustment) =>
+                      {
+                          adjustment.Id = 3;
+                          adjustment.QuantityBefore = 10;
+                          adjustment.QuantityAfter = 6;
+                          return adjustment;
+                      });
+
+        // Act
+        var result = await _service.AdjustStockAsync(1, createDto);
+
+        // Assert
+        Assert.Equal("cycleCount", result.Reason);
+        Assert.Equal("Shelf recount", result.Note);
+        Assert.Equal(6, result.QuantityAfter);
+        _mockRepository.Verify(r => r.AdjustStockAsync(It.Is<StockAdjustment>(a =>
+            a.ProductId == 1 && a.Delta == -4 && a.Reason == StockAdjustmentReason.CycleCount)), Times.Once);
+    }
+
+    [Theory]
+    [InlineData(0, "received")]
+    [InlineData(-2, "received")]
+    [InlineData(3, "sold")]
+    [InlineData(1, "Sold")]
+    [InlineData(1, "1")]
+    public async Task AdjustStockAsync_Should_Reject_Invalid_Adjustments(int delta, string reason)
+    {
+        // Arrange
+        var createDto = new CreateStockAdjustmentDto { Delta = delta, Reason = reason };
+
+        // Act & Assert
+        await Assert.ThrowsAsync<ArgumentException>(() => _service.AdjustStockAsync(1, createDto));
+        _mockRepository.Verify(r => r.AdjustStockAsync(It.IsAny<StockAdjustment>()), Times.Never);
+    }
+
+    [Fact]
+    public async Task CreateProductAsync_Should_Use_Default_Reorder_Settings_When_Omitted()
+    {
+        // Arrange
+        var createDto = new CreateProductDto { Name = "Test Product", SKU = "TEST-001", Price = 10m, QuantityInStock = 5 };
+        var capturedProduct = (Product?)null;
+        _mockRepository.Setup(r => r.GetBySkuAsync("TEST-001"))
+                      .ReturnsAsync((Product?)null);
+        _mockRepository.Setup(r => r.AddAsync(It.IsAny<Product>()))
+                      .Callback<Product>(p => capturedProduct = p)
+                      .ReturnsAsync((Product p) => p);
+
+        // Act
+        var result = await _service.CreateProductAsync(createDto);
+
+        // Assert
+        Assert.NotNull(capturedProduct);
+        Assert.Equal(Product.DefaultReorderPoint, capturedProduct.ReorderPoint);
+        Assert.Equal(0, capturedProduct.ReorderQuantity);
+        Assert.Equal(Product.DefaultReorderPoint, result.ReorderPoint);
+    }
+
+    [Fact]
+    public async Task UpdateProductAsync_Should_Keep_Reorder_Settings_When_Omitted()
+    {
+        // Arrange
+        var product = new Product { Id = 1, Name = "Test Product", SKU = "TEST-001", Price = 10m, QuantityInStock = 5, ReorderPoint = 25, ReorderQuantity = 100 };
+        _mockRepository.Setup(r => r.GetByIdAsync(1))
+                      .ReturnsAsync(product);
+        _mockRepository.Setup(r => r.UpdateAsync(It.IsAny<Product>()))
+                      .ReturnsAsync((Product p) => p);
+
+        // Act
+        var kept = await _service.UpdateProductAsync(1, new UpdateProductDto { Name = "Test Product", Price = 12m, QuantityInStock = 5 });
+        var changed = await _service.UpdateProductAsync(1, new UpdateProductDto { Name = "Test Product", Price = 12m, QuantityInStock = 5, ReorderPoint = 0 });
+
+        // Assert
+        Assert.Equal(25, kept.ReorderPoint);
+        Assert.Equal(100, kept.ReorderQuantity);
+        Assert.Equal(0, changed.ReorderPoint);
+        Assert.Equal(100, changed.ReorderQuantity);
+    }
+
+    [Fact]
+    public async Task UpdateProductAsync_Should_Reject_Changes_To_An_Outdated_Version()
+    {
+        // Arrange
+        var loadedAt = new DateTime(2024, 1, 1, 10, 0, 0, DateTimeKind.Utc);
+        var product = new Product { Id = 1, Name = "Changed Elsewhere", SKU = "TEST-001", Price = 10m, QuantityInStock = 5, UpdatedAt = loadedAt.AddMinutes(5) };
+        _mockRepository.Setup(r => r.GetByIdAsync(1))
+                      .ReturnsAsync(product);
+
+        // Act
+        var exception = await Assert.ThrowsAsync<ProductConflictException>(
+            () => _service.UpdateProductAsync(1, new UpdateProductDto { Name = "My Edit", Price = 12m, QuantityInStock = 5, ExpectedUpdatedAt = loadedAt }));
+
+        // Assert
+        Assert.Equal("Changed Elsewhere", exception.CurrentProduct.Name);
+        _mockRepository.Verify(r => r.UpdateAsync(It.IsAny<Product>()), Times.Never);
+    }
+
+    [Fact]
+    public async Task UpdateProductAsync_Should_Report_A_Change_Saved_While_Saving_As_A_Conflict()
+    {
+        // Arrange
+        var loadedAt = new DateTime(2024, 1, 1, 10, 0, 0, DateTimeKind.Utc);
+        var product = new Product { Id = 1, Name = "Test Product", SKU = "TEST-001", Price = 10m, QuantityInStock = 5, UpdatedAt = loadedAt };
+        var savedMeanwhile = new Product { Id = 1, Name = "Saved Meanwhile", SKU = "TEST-001", Price = 11m, QuantityInStock = 5, UpdatedAt = loadedAt.AddSeconds(1) };
+        _mockRepository.SetupSequence(r => r.GetByIdAsync(1))
+                      .ReturnsAsync(product)
+                      .ReturnsAsync(savedMeanwhile);
+        _mockRepository.Setup(r => r.UpdateAsync(It.IsAny<Product>()))
+                      .ThrowsAsync(new ProductConcurrencyException(1));
+
+        // Act
+        var exception = await Assert.ThrowsAsync<ProductConflictException>(
+            () => _service.UpdateProductAsync(1, new UpdateProductDto { Name = "My Edit", Price = 12m, QuantityInStock = 5, ExpectedUpdatedAt = loadedAt }));
+
+        // Assert
+        Assert.Equal("Saved Meanwhile", exception.CurrentProduct.Name);
+    }
+
+    [Fact]
+    public async Task UpdateProductAsync_Should_Accept_The_Current_Version()
+    {
+        // Arrange
+        var updatedAt = new DateTime(2024, 1, 1, 10, 0, 0, DateTimeKind.Utc).AddTicks(1234567);
+        var product = new Product { Id = 1, Name = "Test Product", SKU = "TEST-001", Price = 10m, QuantityInStock = 5, UpdatedAt = updatedAt };
+        _mockRepository.Setup(r => r.GetByIdAsync(1))
+                      .ReturnsAsync(product);
+        _mockRepository.Setup(r => r.UpdateAsync(It.IsAny<Product>()))
+                      .ReturnsAsync((Product p) => p);
+
+        // Act
+        // The client's copy may have lost sub-millisecond precision
+        var result = await _service.UpdateProductAsync(1, new UpdateProductDto { Name = "My Edit", Price = 12m, QuantityInStock = 5, ExpectedUpdatedAt = updatedAt.AddTicks(-4567) });
+
+        // Assert
+        Assert.Equal("My Edit", result.Name);
+    }
+
+    [Fact]
+    public async Task UpdateProductAsync_Should_Publish_The_Updated_Product()
+    {
+        // Arrange
+        var broadcaster = new Mock<IProductEventBroadcaster>();
+        var service = new ProductService(_mockRepository.Object, _mockCategoryRepository.Object, broadcaster.Object);
+        var product = new Product { Id = 1, Name = "Test Product", SKU = "TEST-001", Price = 10m, QuantityInStock = 5 };
+        _mockRepository.Setup(r => r.GetByIdAsync(1))
+                      .ReturnsAsync(product);
+        _mockRepository.Setup(r => r.UpdateAsync(It.IsAny<Product>()))
+                      .ReturnsAsync((Product p) => p);
+
+        // Act
+        await service.UpdateProductAsync(1, new UpdateProductDto { Name = "Renamed", Price = 12m, QuantityInStock = 5 });
+
+        // Assert
+        broadcaster.Verify(b => b.Publish(It.Is<ProductEventDto>(e =>
+            e.Type == ProductEventTypes.Updated && e.ProductId == 1 && e.Product != null && e.Product.Name == "Renamed")), Times.Once);
+    }
+
+    [Fact]
+    public async Task DeleteProductAsync_Should_Publish_A_Deletion_Without_Product_Data()
+    {
+        // Arrange
+        var broadcaster = new Mock<IProductEventBroadcaster>();
+        var service = new ProductService(_mockRepository.Object, _mockCategoryRepository.Object, broadcaster.Object);
+
+        // Act
+        await service.DeleteProductAsync(7);
+
+        // Assert
+        broadcaster.Verify(b => b.Publish(It.Is<ProductEventDto>(e =>
+            e.Type == ProductEventTypes.Deleted && e.ProductId == 7 && e.Product == null)), Times.Once);
+    }
+
+    [Fact]
+    public async Task UpdateProductAsync_Should_Not_Publish_Rejected_Changes()
+    {
+        // Arrange
+        var broadcaster = new Mock<IProductEventBroadcaster>();
+        var service = new ProductService(_mockRepository.Object, _mockCategoryRepository.Object, broadcaster.Object);
+        var loadedAt = new DateTime(2024, 1, 1, 10, 0, 0, DateTimeKind.Utc);
+        var product = new Product { Id = 1, Name = "Changed Elsewhere", SKU = "TEST-001", Price = 10m, QuantityInStock = 5, UpdatedAt = loadedAt.AddMinutes(5) };
+        _mockRepository.Setup(r => r.GetByIdAsync(1))
+                      .ReturnsAsync(product);
+
+        // Act
+        await Assert.ThrowsAsync<ProductConflictException>(
+            () => service.UpdateProductAsync(1, new UpdateProductDto { Name = "My Edit", Price = 12m, QuantityInStock = 5, ExpectedUpdatedAt = loadedAt }));
+
+        // Assert
+        broadcaster.Verify(b => b.Publish(It.IsAny<ProductEventDto>()), Times.Never);
+    }
+
+    private static List<Category> CategoryTree() => new()
+    {
+        new Category { Id = 1, Name = "Electronics" },
+        new Category { Id = 2, Name = "Audio", ParentId = 1 },
+        new Category { Id = 3, Name = "Headphones", ParentId = 2 },
+        new Category { Id = 4, Name = "Garden" }
+    };
+
+    [Fact]
+    public async Task QueryProductsAsync_Should_Include_Subcategories_When_Filtering_By_Category()
+    {
+        // Arrange
+        ProductQuery? sentQuery = null;
+        _mockCategoryRepository.Setup(r => r.GetAllAsync()).ReturnsAsync(CategoryTree());
+        _mockRepository.Setup(r => r.QueryAsync(It.IsAny<ProductQuery>()))
+                      .Callback<ProductQuery>(q => sentQuery = q)
+                      .ReturnsAsync(new PagedResult<Product>(new List<Product>(), 0));
+
+        // Act
+        await _service.QueryProductsAsync(new ProductQueryDto { CategoryId = 1, Tags = new List<string> { "Sale" } });
+
+        // Assert
+        Assert.NotNull(sentQuery);
+        Assert.Equal(new[] { 1, 2, 3 }, sentQuery!.CategoryIds!.OrderBy(id => id));
+        Assert.Equal(new[] { "Sale" }, sentQuery.Tags);
+    }
+
+    [Fact]
+    public async Task GetProductFacetsAsync_Should_Roll_Category_Counts_Up_To_Parents()
+    {
+        // Arrange
+        _mockCategoryRepository.Setup(r => r.GetAllAsync()).ReturnsAsync(CategoryTree());
+        _mockRepository.Setup(r => r.GetFacetsAsync(It.IsAny<ProductQuery>()))
+                      .ReturnsAsync(new ProductFacets(
+                          new Dictionary<int, int> { [1] = 1, [2] = 2, [3] = 4 },
+                          5,
+                          new Dictionary<string, int> { ["fragile"] = 1, ["sale"] = 3, ["new"] = 3 }));
+
+        // Act
+        var result = await _service.GetProductFacetsAsync(new ProductQueryDto());
+
+        // Assert
+        Assert.Equal(new[] { "Electronics", "Audio", "Headphones", "Garden" }, result.Categories.Select(c => c.Name));
+        Assert.Equal(new[] { 7, 6, 4, 0 }, result.Categories.Select(c => c.Count));
+        Assert.Equal(5, result.UncategorizedCount);
+        Assert.Equal(new[] { "new", "sale", "fragile" }, result.Tags.Select(t => t.Tag));
+    }
+
+    [Fact]
+    public async Task CreateProductAsync_Should_Reject_An_Unknown_Category()
+    {
+        // Arrange
+        _mockCategoryRepository.Setup(r => r.GetByIdAsync(99)).ReturnsAsync((Category?)null);
+        var createDto = new CreateProductDto
+        {
+            Name = "Desk",
+            SKU = "DESK-1",
+            Price = 100m,
+            QuantityInStock = 1,
+            CategoryId = 99
+        };
+
+        // Act & Assert
+        var exception = await Assert.ThrowsAsync<ArgumentException>(() => _service.CreateProductAsync(createDto));
+        Assert.Equal("CategoryId", exception.ParamName);
+        _mockRepository.Verify(r => r.AddAsync(It.IsAny<Product>()), Times.Never);
+    }
+
+    [Fact]
+    public async Task UpdateProductAsync_Should_Replace_Category_And_Tags()
+    {
+        // Arrange
+        var product = new Product { Id = 1, Name = "Desk", SKU = "DESK-1", Price = 100m, CategoryId = 4, Tags = new List<string> { "sale" } };
+        _mockRepository.Setup(r => r.GetByIdAsync(1)).ReturnsAsync(product);
+        _mockRepository.Setup(r => r.UpdateAsync(It.IsAny<Product>())).ReturnsAsync((Product p) => p);
+
+        // Act
+        var result = await _service.UpdateProductAsync(1, new UpdateProductDto { Name = "Desk", Price = 100m, ClearCategory = true, Tags = new List<string> { " Oak ", "oak", "New" } });
+
+        // Assert
+        Assert.Null(result.CategoryId);
+        Assert.Equal(new[] { "oak", "new" }, result.Tags);
+    }
+
+    [Fact]
+    public async Task UpdateProductAsync_Should_Keep_Category_And_Tags_When_Omitted()
+    {
+        // Arrange
+        var product = new Product { Id = 1, Name = "Desk", SKU = "DESK-1", Price = 100m, CategoryId = 4, Tags = new List<string> { "sale", "oak" } };
+        _mockRepository.Setup(r => r.GetByIdAsync(1)).ReturnsAsync(product);
+        _mockRepository.Setup(r => r.UpdateAsync(It.IsAny<Product>())).ReturnsAsync((Product p) => p);
+
+        // Act
+        var kept = await _service.UpdateProductAsync(1, new UpdateProductDto { Name = "Desk", Price = 120m });
+        var untagged = await _service.UpdateProductAsync(1, new UpdateProductDto { Name = "Desk", Price = 120m, Tags = new List<string>() });
+
+        // Assert
+        Assert.Equal(4, kept.CategoryId);
+        Assert.Equal(new[] { "sale", "oak" }, kept.Tags);
+        Assert.Equal(4, untagged.CategoryId);
+        Assert.Empty(untagged.Tags);
+    }
+
+    [Fact]
+    public async Task UpdateProductAsync_Should_Keep_The_Quantity_In_Stock_When_Omitted()
+    {
+        // Arrange
+        var product = new Product { Id = 1, Name = "Desk", SKU = "DESK-1", Price = 100m, QuantityInStock = 7 };
+        _mockRepository.Setup(r => r.GetByIdAsync(1)).ReturnsAsync(product);
+        _mockRepository.Setup(r => r.UpdateAsync(It.IsAny<Product>())).ReturnsAsync((Product p) => p);
+
+        // Act
+        var kept = await _service.UpdateProductAsync(1, new UpdateProductDto { Name = "Desk", Price = 120m });
+        var counted = await _service.UpdateProductAsync(1, new UpdateProductDto { Name = "Desk", Price = 120m, QuantityInStock = 3 });
+
+        // Assert
+        Assert.Equal(7, kept.QuantityInStock);
+        Assert.Equal(3, counted.QuantityInStock);
+    }
+
+    [Fact]
+    public async Task UpdateProductAsync_Should_Reject_A_Category_Together_With_ClearCategory()
+    {
+        // Arrange
+        var product = new Product { Id = 1, Name = "Desk", SKU = "DESK-1", Price = 100m, CategoryId = 4 };
+        _mockRepository.Setup(r => r.GetByIdAsync(1)).ReturnsAsync(product);
+
+        // Act & Assert
+        var exception = await Assert.ThrowsAsync<ArgumentException>(
+            () => _service.UpdateProductAsync(1, new UpdateProductDto { Name = "Desk", Price = 100m, CategoryId = 1, ClearCategory = true }));
+        Assert.Equal("CategoryId", exception.ParamName);
+        _mockRepository.Verify(r => r.UpdateAsync(It.IsAny<Product>()), Times.Never);
+    }
+
+    // The first bytes of a PNG file, enough for the format to be recognized
+    private static readonly byte[] PngBytes = { 0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A, 0x00, 0x00 };
+
+    [Fact]
+    public async Task AddProductImageAsync_Should_Make_A_Products_First_Image_Primary_And_Publish_It()
+    {
+        // Arrange
+        var broadcaster = new Mock<IProductEventBroadcaster>();
+        var service = new ProductService(_mockRepository.Object, _mockCategoryRepository.Object, broadcaster.Object);
+        var product = new Product { Id = 1, Name = "Desk", SKU = "DESK-1", Price = 100m };
+        _mockRepository.Setup(r => r.GetByIdAsync(1)).ReturnsAsync(product);
+        _mockRepository.Setup(r => r.GetImagesAsync(1)).ReturnsAsync(new List<ProductImage>());
+        _mockRepository.Setup(r => r.AddImageAsync(It.IsAny<ProductImage>(), It.IsAny<bool>()))
+                      .ReturnsAsync((ProductImage image, bool makePrimary) =>
+                      {
+                          image.Id = 5;
+                          if (makePrimary)
+                              product.PrimaryImageId = image.Id;
+                          return image;
+                      });
+
+        // Act
+        var result = await service.AddProductImageAsync(1, new CreateProductImageDto
+        {
+            FileName = "C:\\photos\\desk.png",
+            ContentType = "image/png",
+            Width = 800,
+            Height = 600,
+            Data = PngBytes
+        });
+
+        // Assert
+        _mockRepository.Verify(r => r.AddImageAsync(It.IsAny<ProductImage>(), true), Times.Once);
+        Assert.True(result.IsPrimary);
+        Assert.Equal("desk.png", result.FileName);
+        Assert.Equal(PngBytes.Length, result.SizeInBytes);
+        broadcaster.Verify(b => b.Publish(It.Is<ProductEventDto>(e =>
+            e.Type == ProductEventTypes.Updated && e.Product != null && e.Product.PrimaryImageId == 5)), Times.Once);
+    }
+
+    [Fact]
+    public async Task AddProductImageAsync_Should_Keep_The_Primary_Image_Unless_Asked()
+    {
+        // Arrange
+        var product = new Product { Id = 1, Name = "Desk", SKU = "DESK-1", Price = 100m, PrimaryImageId = 2 };
+        _mockRepository.Setup(r => r.GetByIdAsync(1)).ReturnsAsync(product);
+        _mockRepository.Setup(r => r.GetImagesAsync(1)).ReturnsAsync(new List<ProductImage> { new() { Id = 2, ProductId = 1 } });
+        _mockRepository.Setup(r => r.AddImageAsync(It.IsAny<ProductImage>(), It.IsAny<bool>()))
+                      .ReturnsAsync((ProductImage image, bool _) => { image.Id = 3; return image; });
+
+        // Act
+        var result = await _service.AddProductImageAsync(1, new CreateProductImageDto { FileName = "side.png", ContentType = "image/png", Width = 10, Height = 10, Data = PngBytes });
+
+        // Assert
+        _mockRepository.Verify(r => r.AddImageAsync(It.IsAny<ProductImage>(), false), Times.Once);
+        Assert.False(result.IsPrimary);
+    }
+
+    [Theory]
+    [InlineData("image/gif")]
+    [InlineData("image/jpeg")] // PNG bytes sent as a JPEG
+    public async Task AddProductImageAsync_Should_Reject_Files_That_Are_Not_An_Allowed_Format(string contentType)
+    {
+        // Arrange
+        _mockRepository.Setup(r => r.GetByIdAsync(1)).ReturnsAsync(new Product { Id = 1, Name = "Desk", SKU = "DESK-1", Price = 100m });
+
+        // Act & Assert
+        await Assert.ThrowsAsync<ArgumentException>(() => _service.AddProductImageAsync(1, new CreateProductImageDto
+        {
+            FileName = "desk.png",
+            ContentType = contentType,
+            Width = 10,
+            Height = 10,
+            Data = PngBytes
+        }));
+        _mockRepository.Verify(r => r.AddImageAsync(It.IsAny<ProductImage>(), It.IsAny<bool>()), Times.Never);
+    }
+
+    [Fact]
+    public async Task AddProductImageAsync_Should_Reject_More_Images_Than_Allowed()
+    {
+        // Arrange
+        _mockRepository.Setup(r => r.GetByIdAsync(1)).ReturnsAsync(new Product { Id = 1, Name = "Desk", SKU = "DESK-1", Price = 100m, PrimaryImageId = 1 });
+        _mockRepository.Setup(r => r.GetImagesAsync(1))
+                      .ReturnsAsync(Enumerable.Range(1, ProductImage.MaxImagesPerProduct).Select(id => new ProductImage { Id = id, ProductId = 1 }).ToList());
+
+        // Act & Assert
+        var exception = await Assert.ThrowsAsync<ArgumentException>(() => _service.AddProductImageAsync(1, new CreateProductImageDto
+        {
+            FileName = "desk.png",
+            ContentType = "image/png",
+            Width = 10,
+            Height = 10,
+            Data = PngBytes
+        }));
+        Assert.Contains("10 images", exception.Message);
+    }
+
+    [Fact]
+    public async Task AddProductImageAsync_Should_Throw_When_Product_Does_Not_Exist()
+    {
+        // Arrange
+        _mockRepository.Setup(r => r.GetByIdAsync(99)).ReturnsAsync((Product?)null);
+
+        // Act & Assert
+        await Assert.ThrowsAsync<InvalidOperationException>(() => _service.AddProductImageAsync(99, new CreateProductImageDto
+        {
+            FileName = "desk.png",
+            ContentType = "image/png",
+            Width = 10,
+            Height = 10,
+            Data = PngBytes
+        }));
+    }
+
+    [Theory]
+    [InlineData(false)]
+    [InlineData(true)]
+    public async Task GetProductImageContentAsync_Should_Serve_The_Image_When_There_Is_No_Thumbnail(bool thumbnail)
+    {
+        // Arrange
+        _mockRepository.Setup(r => r.GetImageAsync(1, 2))
+                      .ReturnsAsync(new ProductImage { Id = 2, ProductId = 1, ContentType = "image/png", Data = PngBytes });
+
+        // Act
+        var result = await _service.GetProductImageContentAsync(1, 2, thumbnail);
+
+        // Assert
+        Assert.NotNull(result);
+        Assert.Equal("image/png", result.ContentType);
+        Assert.Equal(PngBytes, result.Data);
+    }
+
+    [Fact]
+    public async Task GetProductImagesAsync_Should_Mark_The_Primary_Image()
+    {
+        // Arrange
+        _mockRepository.Setup(r => r.GetByIdAsync(1)).ReturnsAsync(new Product { Id = 1, Name = "Desk", SKU = "DESK-1", Price = 100m, PrimaryImageId = 3 });
+        _mockRepository.Setup(r => r.GetImagesAsync(1))
+                      .ReturnsAsync(new List<ProductImage> { new() { Id = 2, ProductId = 1 }, new() { Id = 3, ProductId = 1 } });
+
+        // Act
+        var result = (await _service.GetProductImagesAsync(1))!.ToList();
+
+        // Assert
+        Assert.Equal(new[] { false, true }, result.Select(image => image.IsPrimary));
+    }
 }
\ No newline at end of file
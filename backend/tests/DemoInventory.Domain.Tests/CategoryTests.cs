@@ -0,0 +1,81 @@
+using DemoInventory.Domain.Entities;
+
+namespace DemoInventory.Domain.Tests;
+
+public class CategoryTests
+{
+    private static List<Category> Tree() => new()
+    {
+        new Category { Id = 1, Name = "Electronics" },
+        new Category { Id = 2, Name = "Audio", ParentId = 1 },
+        new Category { Id = 3, Name = "Headphones", ParentId = 2 },
+        new Category { Id = 4, Name = "Cameras", ParentId = 1 },
+        new Category { Id = 5, Name = "Garden" }
+    };
+
+    [Theory]
+    [InlineData(null)]
+    [InlineData("")]
+    [InlineData("   ")]
+    public void Category_Name_Should_Throw_When_NullOrEmpty(string invalidName)
+    {
+        // Arrange & Act & Assert
+        var exception = Assert.Throws<ArgumentException>(() => new Category { Name = invalidName });
+        Assert.Contains("Category name cannot be null or empty", exception.Message);
+    }
+
+    [Fact]
+    public void Category_Name_Should_Throw_When_TooLong()
+    {
+        // Arrange & Act & Assert
+        var exception = Assert.Throws<ArgumentException>(() => new Category { Name = new string('A', 101) });
+        Assert.Contains("Category name cannot exceed 100 characters", exception.Message);
+    }
+
+    [Fact]
+    public void SelfAndDescendantIds_Should_Include_Subcategories_At_Any_Depth()
+    {
+        // Act
+        var ids = Category.SelfAndDescendantIds(Tree(), 1);
+
+        // Assert
+        Assert.Equal(new[] { 1, 2, 3, 4 }, ids.OrderBy(id => id));
+    }
+
+    [Fact]
+    public void SelfAndDescendantIds_Should_Stop_At_A_Cycle()
+    {
+        // Arrange
+        var categories = new List<Category>
+        {
+            new Category { Id = 1, Name = "A", ParentId = 2 },
+            new Category { Id = 2, Name = "B", ParentId = 1 }
+        };
+
+        // Act
+        var ids = Category.SelfAndDescendantIds(categories, 1);
+
+        // Assert
+        Assert.Equal(new[] { 1, 2 }, ids.OrderBy(id => id));
+    }
+
+    [Fact]
+    public void InTreeOrder_Should_Put_Subcategories_After_Their_Parent_Sorted_By_Name()
+    {
+        // Act
+        var ordered = Category.InTreeOrder(Tree());
+
+        // Assert
+        Assert.Equal(new[] { "Electronics", "Audio", "Headphones", "Cameras", "Garden" }, ordered.Select(c => c.Name));
+    }
+
+    [Fact]
+    public void PathNames_Should_List_The_Names_From_The_Top_Level_Down()
+    {
+        // Act
+        var path = Category.PathNames(Tree().ToDictionary(c => c.Id), 3);
+
+        // Assert
+        Assert.Equal(new[] { "Electronics", "Audio", "Headphones" }, path);
+    }
+}
\ No newline at end of file
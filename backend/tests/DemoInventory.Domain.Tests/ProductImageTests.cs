@@ -0,0 +1,97 @@
+using DemoInventory.Domain.Entities;
+
+namespace DemoInventory.Domain.Tests;
+
+public class ProductImageTests
+{
+    private static readonly byte[] Jpeg = { 0xFF, 0xD8, 0xFF, 0xE0, 0x00 };
+    private static readonly byte[] Png = { 0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A, 0x00 };
+    private static readonly byte[] WebP = { 0x52, 0x49, 0x46, 0x46, 0x24, 0x00, 0x00, 0x00, 0x57, 0x45, 0x42, 0x50, 0x56 };
+
+    private static ProductImage Image(string contentType, byte[] data, byte[]? thumbnail = null) => new()
+    {
+        FileName = "photo",
+        ContentType = contentType,
+        Width = 640,
+        Height = 480,
+        Data = data,
+        ThumbnailData = thumbnail
+    };
+
+    [Theory]
+    [InlineData("image/jpeg")]
+    [InlineData("image/png")]
+    [InlineData("image/webp")]
+    public void DetectContentType_Should_Recognize_Allowed_Formats(string contentType)
+    {
+        // Arrange
+        var data = contentType switch { "image/jpeg" => Jpeg, "image/png" => Png, _ => WebP };
+
+        // Act & Assert
+        Assert.Equal(contentType, ProductImage.DetectContentType(data));
+    }
+
+    [Fact]
+    public void DetectContentType_Should_Return_Null_For_Other_Files()
+    {
+        // GIF, then text, then too short to tell
+        Assert.Null(ProductImage.DetectContentType(new byte[] { 0x47, 0x49, 0x46, 0x38, 0x39, 0x61 }));
+        Assert.Null(ProductImage.DetectContentType("<svg></svg>"u8.ToArray()));
+        Assert.Null(ProductImage.DetectContentType(new byte[] { 0xFF, 0xD8 }));
+    }
+
+    [Fact]
+    public void Validate_Should_Accept_An_Image_And_Record_Its_Size()
+    {
+        // Arrange
+        var image = Image("image/png", Png, Png);
+
+        // Act
+        image.Validate();
+
+        // Assert
+        Assert.Equal(Png.Length, image.SizeInBytes);
+    }
+
+    [Fact]
+    public void Validate_Should_Reject_Bytes_That_Do_Not_Match_The_Content_Type()
+    {
+        var exception = Assert.Throws<ArgumentException>(() => Image("image/jpeg", Png).Validate());
+        Assert.Equal(nameof(ProductImage.Data), exception.ParamName);
+    }
+
+    [Fact]
+    public void Validate_Should_Reject_Formats_Other_Than_Jpeg_Png_And_WebP()
+    {
+        var exception = Assert.Throws<ArgumentException>(() => Image("image/svg+xml", Png).Validate());
+        Assert.Equal(nameof(ProductImage.ContentType), exception.ParamName);
+    }
+
+    [Fact]
+    public void Validate_Should_Reject_Images_Over_The_Size_Limit()
+    {
+        // Arrange
+        var data = new byte[ProductImage.MaxSizeInBytes + 1];
+        Png.CopyTo(data, 0);
+
+        // Act & Assert
+        var exception = Assert.Throws<ArgumentException>(() => Image("image/png", data).Validate());
+        Assert.Contains("5 MB", exception.Message);
+    }
+
+    [Fact]
+    public void Validate_Should_Reject_A_Thumbnail_In_Another_Format()
+    {
+        var exception = Assert.Throws<ArgumentException>(() => Image("image/png", Png, Jpeg).Validate());
+        Assert.Equal(nameof(ProductImage.ThumbnailData), exception.ParamName);
+    }
+
+    [Theory]
+    [InlineData("C:\\Users\\sam\\front.jpg", "front.jpg")]
+    [InlineData("../../etc/front.jpg", "front.jpg")]
+    [InlineData("  front.jpg ", "front.jpg")]
+    public void FileName_Should_Drop_Directories(string fileName, string expected)
+    {
+        Assert.Equal(expected, new ProductImage { FileName = fileName }.FileName);
+    }
+}
\ No newline at end of file
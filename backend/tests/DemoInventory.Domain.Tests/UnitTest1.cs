@@ -183,4 +183,61 @@ public class ProductTests
         // Act & Assert - Should not throw
         product.Validate();
     }
+
+    [Fact]
+    public void Product_Should_Default_ReorderPoint_And_ReorderQuantity()
+    {
+        // Arrange & Act
+        var product = new Product();
+
+        // Assert
+        Assert.Equal(Product.DefaultReorderPoint, product.ReorderPoint);
+        Assert.Equal(0, product.ReorderQuantity);
+    }
+
+    [Fact]
+    public void Product_ReorderPoint_And_ReorderQuantity_Should_Throw_When_Negative()
+    {
+        // Act & Assert
+        var pointException = Assert.Throws<ArgumentException>(() => new Product { ReorderPoint = -1 });
+        Assert.Contains("Reorder point cannot be negative", pointException.Message);
+        var quantityException = Assert.Throws<ArgumentException>(() => new Product { ReorderQuantity = -1 });
+        Assert.Contains("Reorder quantity cannot be negative", quantityException.Message);
+    }
+
+    [Fact]
+    public void Product_IsModifiedSince_Should_Compare_To_The_Millisecond()
+    {
+        // Arrange
+        var updatedAt = new DateTime(2024, 1, 1, 10, 0, 0, DateTimeKind.Utc).AddTicks(1234567);
+        var product = new Product { UpdatedAt = updatedAt };
+
+        // Act & Assert
+        Assert.False(product.IsModifiedSince(updatedAt));
+        Assert.False(product.IsModifiedSince(updatedAt.AddTicks(-4567)));
+        Assert.True(product.IsModifiedSince(updatedAt.AddMilliseconds(-1)));
+        Assert.True(product.IsModifiedSince(updatedAt.AddSeconds(1)));
+    }
+
+    [Fact]
+    public void Product_Tags_Should_Be_Trimmed_Lowercased_And_Deduplicated()
+    {
+        // Arrange & Act
+        var product = new Product { Tags = new List<string> { " Sale ", "sale", "", "New  ", "FRAGILE" } };
+
+        // Assert
+        Assert.Equal(new[] { "sale", "new", "fragile" }, product.Tags);
+    }
+
+    [Fact]
+    public void Product_Tags_Should_Throw_When_Over_The_Limits()
+    {
+        // Arrange
+        var tooMany = Enumerable.Range(1, Product.MaxTags + 1).Select(i => $"tag-{i}").ToList();
+        var tooLong = new List<string> { new string('a', Product.MaxTagLength + 1) };
+
+        // Act & Assert
+        Assert.Equal("Tags", Assert.Throws<ArgumentException>(() => new Product { Tags = tooMany }).ParamName);
+        Assert.Equal("Tags", Assert.Throws<ArgumentException>(() => new Product { Tags = tooLong }).ParamName);
+    }
 }
\ No newline at end of file
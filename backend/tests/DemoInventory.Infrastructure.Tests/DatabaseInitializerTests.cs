@@ -0,0 +1,45 @@
+using DemoInventory.Infrastructure.Data;
+using Microsoft.EntityFrameworkCore;
+using Xunit;
+
+namespace DemoInventory.Infrastructure.Tests;
+
+public class DatabaseInitializerTests
+{
+    // The Products columns of the first release, which every existing database already has
+    private static readonly string[] OriginalProductColumns =
+        { "Id", "Name", "Description", "SKU", "Price", "QuantityInStock", "CreatedAt", "UpdatedAt" };
+
+    [Fact]
+    public void ReadUpgradeScript_Should_Add_Every_Table_And_Column_Added_Since_The_First_Release()
+    {
+        // Arrange
+        // Building the PostgreSQL model needs no server
+        var options = new DbContextOptionsBuilder<ApplicationDbContext>()
+            .UseNpgsql("Host=localhost;Database=unused")
+            .Options;
+        using var context = new ApplicationDbContext(options);
+
+        // Act
+        var script = DatabaseInitializer.ReadUpgradeScript();
+
+        // Assert
+        foreach (var entityType in context.Model.GetEntityTypes())
+        {
+            var table = entityType.GetTableName()!;
+            if (table != "Products")
+            {
+                Assert.Contains($"CREATE TABLE IF NOT EXISTS \"{table}\"", script);
+                continue;
+            }
+
+            var addedColumns = entityType.GetProperties()
+                .Select(p => p.GetColumnName())
+                .Except(OriginalProductColumns);
+            foreach (var column in addedColumns)
+            {
+                Assert.Contains($"ALTER TABLE \"Products\" ADD COLUMN IF NOT EXISTS \"{column}\"", script);
+            }
+        }
+    }
+}
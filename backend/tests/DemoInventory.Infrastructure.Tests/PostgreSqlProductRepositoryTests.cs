@@ -1,4 +1,6 @@
 using DemoInventory.Domain.Entities;
+using DemoInventory.Domain.Exceptions;
+using DemoInventory.Domain.Queries;
 using DemoInventory.Infrastructure.Data;
 using DemoInventory.Infrastructure.Repositories;
 using Microsoft.EntityFrameworkCore;
@@ -8,16 +10,17 @@ namespace DemoInventory.Infrastructure.Tests;
 
 public class PostgreSqlProductRepositoryTests : IDisposable
 {
+    private readonly DbContextOptions<ApplicationDbContext> _options;
     private readonly ApplicationDbContext _context;
     private readonly PostgreSqlProductRepository _repository;
 
     public PostgreSqlProductRepositoryTests()
     {
-        var options = new DbContextOptionsBuilder<ApplicationDbContext>()
+        _options = new DbContextOptionsBuilder<ApplicationDbContext>()
             .UseInMemoryDatabase(databaseName: Guid.NewGuid().ToString())
             .Options;
 
-        _context = new ApplicationDbContext(options);
+        _context = new ApplicationDbContext(_options);
         _repository = new PostgreSqlProductRepository(_context);
     }
 
@@ -118,6 +121,44 @@ public class PostgreSqlProductRepositoryTests : IDisposable
         Assert.True(result.UpdatedAt > result.CreatedAt);
     }
 
+    [Fact]
+    public async Task UpdateAsync_Should_Reject_The_Second_Of_Two_Edits_To_The_Same_Version()
+    {
+        // Arrange
+        var product = await _repository.AddAsync(new Product
+        {
+            Name = "Original Product",
+            Description = "Edited by two requests at once",
+            SKU = "TEST-CONCURRENT",
+            Price = 25.99m,
+            QuantityInStock = 75
+        });
+
+        // Each request has its own context, and both load the product before either saves
+        using var firstContext = new ApplicationDbContext(_options);
+        using var secondContext = new ApplicationDbContext(_options);
+        var firstRepository = new PostgreSqlProductRepository(firstContext);
+        var secondRepository = new PostgreSqlProductRepository(secondContext);
+        var firstEdit = (await firstRepository.GetByIdAsync(product.Id))!;
+        var secondEdit = (await secondRepository.GetByIdAsync(product.Id))!;
+        firstEdit.Name = "First Edit";
+        secondEdit.Name = "Second Edit";
+
+        // Act
+        await firstRepository.UpdateAsync(firstEdit);
+        var exception = await Assert.ThrowsAsync<ProductConcurrencyException>(() => secondRepository.UpdateAsync(secondEdit));
+
+        // Assert
+        Assert.Equal(product.Id, exception.ProductId);
+        using var verifyContext = new ApplicationDbContext(_options);
+        Assert.Equal("First Edit", (await verifyContext.Products.FindAsync(product.Id))!.Name);
+        // The failed save leaves nothing stale behind, so the product can be read afresh and edited again
+        var reloaded = (await secondRepository.GetByIdAsync(product.Id))!;
+        Assert.Equal("First Edit", reloaded.Name);
+        reloaded.Name = "Second Edit";
+        Assert.Equal("Second Edit", (await secondRepository.UpdateAsync(reloaded)).Name);
+    }
+
     [Fact]
     public async Task DeleteAsync_Should_Remove_Product()
     {
@@ -179,8 +220,163 @@ public class PostgreSqlProductRepositoryTests : IDisposable
         Assert.All(results, p => Assert.Contains("Apple", p.Name));
     }
 
+    [Fact]
+    public async Task QueryAsync_Should_Filter_Sort_And_Page_Products()
+    {
+        // Arrange
+        await _repository.AddAsync(new Product { Name = "Cheap Cable", SKU = "CABLE-001", Price = 5.99m, QuantityInStock = 200 });
+        await _repository.AddAsync(new Product { Name = "Mid Mouse", SKU = "MOUSE-001", Price = 25.99m, QuantityInStock = 40 });
+        await _repository.AddAsync(new Product { Name = "Pricey Monitor", SKU = "MONITOR-001", Price = 299.99m, QuantityInStock = 3 });
+        await _repository.AddAsync(new Product { Name = "Premium Keyboard", SKU = "KEYBOARD-001", Price = 149.99m, QuantityInStock = 12 });
+
+        var query = new ProductQuery
+        {
+            Page = 1,
+            PageSize = 2,
+            SortBy = ProductSortField.Price,
+            Descending = true,
+            MinPrice = 10m,
+            MaxStock = 50
+        };
+
+        // Act
+        var result = await _repository.QueryAsync(query);
+
+        // Assert
+        Assert.Equal(3, result.TotalCount);
+        Assert.Equal(new[] { "MONITOR-001", "KEYBOARD-001" }, result.Items.Select(p => p.SKU));
+    }
+
+    [Fact]
+    public async Task GetFacetsAsync_Should_Count_Categories_Regardless_Of_The_Category_Filter()
+    {
+        // Arrange
+        await _repository.AddAsync(new Product { Name = "Headphones", SKU = "AUDIO-001", Price = 99m, CategoryId = 1, Tags = new List<string> { "sale", "new" } });
+        await _repository.AddAsync(new Product { Name = "Speaker", SKU = "AUDIO-002", Price = 49m, CategoryId = 1, Tags = new List<string> { "sale" } });
+        await _repository.AddAsync(new Product { Name = "Rake", SKU = "GARDEN-001", Price = 19m, CategoryId = 2, Tags = new List<string> { "sale" } });
+        await _repository.AddAsync(new Product { Name = "Gift Card", SKU = "GIFT-001", Price = 25m });
+
+        var query = new ProductQuery { CategoryIds = new[] { 1 } };
+
+        // Act
+        var facets = await _repository.GetFacetsAsync(query);
+
+        // Assert
+        Assert.Equal(2, facets.CategoryCounts[1]);
+        Assert.Equal(1, facets.CategoryCounts[2]);
+        Assert.Equal(1, facets.UncategorizedCount);
+        Assert.Equal(2, facets.TagCounts["sale"]);
+        Assert.Equal(1, facets.TagCounts["new"]);
+    }
+
+    [Fact]
+    public async Task UpdateAsync_Should_Record_A_Version_Only_When_Values_Change()
+    {
+        // Arrange
+        var product = await _repository.AddAsync(new Product
+        {
+            Name = "Versioned Product",
+            Description = "Original description",
+            SKU = "VERSION-001",
+            Price = 10m,
+            QuantityInStock = 5
+        });
+
+        // Act
+        product.Price = 12.50m;
+        await _repository.UpdateAsync(product);
+        await _repository.UpdateAsync(product);
+        product.QuantityInStock = 8;
+        await _repository.UpdateAsync(product);
+        var history = (await _repository.GetHistoryAsync(product.Id)).ToList();
+
+        // Assert
+        Assert.Equal(new[] { 1, 2, 3 }, history.Select(v => v.Version));
+        Assert.Equal(ProductChangeType.Created, history[0].ChangeType);
+        Assert.Equal(10m, history[0].Price);
+        Assert.Equal(ProductChangeType.Updated, history[1].ChangeType);
+        Assert.Equal(12.50m, history[1].Price);
+        Assert.Equal(8, history[2].QuantityInStock);
+    }
+
     public void Dispose()
     {
         _context.Dispose();
     }
+
+    [Fact]
+    public async Task AdjustStockAsync_Should_Apply_The_Delta_And_Record_The_Adjustment()
+    {
+        // Arrange
+        var product = await _repository.AddAsync(new Product
+        {
+            Name = "Adjusted Product",
+            Description = "Stock is adjusted",
+            SKU = "ADJUST-001",
+            Price = 10m,
+            QuantityInStock = 5
+        });
+
+        // Act
+        await _repository.AdjustStockAsync(new StockAdjustment { ProductId = product.Id, Delta = 10, Reason = StockAdjustmentReason.Received });
+        var sale = await _repository.AdjustStockAsync(new StockAdjustment { ProductId = product.Id, Delta = -3, Reason = StockAdjustmentReason.Sold, Note = "Order #1042" });
+        var adjustments = (await _repository.GetStockAdjustmentsAsync(product.Id)).ToList();
+        var history = (await _repository.GetHistoryAsync(product.Id)).ToList();
+
+        // Assert
+        Assert.Equal(15, sale.QuantityBefore);
+        Assert.Equal(12, sale.QuantityAfter);
+        Assert.Equal(12, (await _repository.GetByIdAsync(product.Id))!.QuantityInStock);
+        Assert.Equal(new[] { StockAdjustmentReason.Sold, StockAdjustmentReason.Received }, adjustments.Select(a => a.Reason));
+        Assert.Equal(new[] { 5, 15, 12 }, history.Select(v => v.QuantityInStock));
+        await Assert.ThrowsAsync<ArgumentException>(() =>
+            _repository.AdjustStockAsync(new StockAdjustment { ProductId = product.Id, Delta = -13, Reason = StockAdjustmentReason.Damaged }));
+    }
+
+    private static ProductImage Image(int productId, string fileName) => new()
+    {
+        ProductId = productId,
+        FileName = fileName,
+        ContentType = "image/png",
+        Width = 10,
+        Height = 10,
+        Data = new byte[] { 0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A },
+        CreatedAt = DateTime.UtcNow
+    };
+
+    [Fact]
+    public async Task GetImagesAsync_Should_List_Images_Without_Their_Bytes()
+    {
+        // Arrange
+        var product = await _repository.AddAsync(new Product { Name = "Desk", SKU = "DESK-1", Price = 100m });
+        await _repository.AddImageAsync(Image(product.Id, "front.png"), makePrimary: true);
+        await _repository.AddImageAsync(Image(product.Id, "side.png"), makePrimary: false);
+
+        // Act
+        var images = (await _repository.GetImagesAsync(product.Id)).ToList();
+
+        // Assert
+        Assert.Equal(new[] { "front.png", "side.png" }, images.Select(i => i.FileName));
+        Assert.All(images, image => Assert.Empty(image.Data));
+        Assert.Equal(images[0].Id, (await _repository.GetByIdAsync(product.Id))!.PrimaryImageId);
+    }
+
+    [Fact]
+    public async Task DeleteImageAsync_Should_Hand_The_Primary_Image_To_The_Oldest_Remaining_One()
+    {
+        // Arrange
+        var product = await _repository.AddAsync(new Product { Name = "Desk", SKU = "DESK-1", Price = 100m });
+        var front = await _repository.AddImageAsync(Image(product.Id, "front.png"), makePrimary: true);
+        var side = await _repository.AddImageAsync(Image(product.Id, "side.png"), makePrimary: false);
+        var back = await _repository.AddImageAsync(Image(product.Id, "back.png"), makePrimary: false);
+        await _repository.SetPrimaryImageAsync(product.Id, back.Id);
+
+        // Act
+        await _repository.DeleteImageAsync(product.Id, back.Id);
+
+        // Assert
+        Assert.Equal(front.Id, (await _repository.GetByIdAsync(product.Id))!.PrimaryImageId);
+        Assert.Equal(new[] { front.Id, side.Id }, (await _repository.GetImagesAsync(product.Id)).Select(i => i.Id));
+        await Assert.ThrowsAsync<InvalidOperationException>(() => _repository.DeleteImageAsync(product.Id, back.Id));
+    }
 }
\ No newline at end of file
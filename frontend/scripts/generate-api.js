@@ -0,0 +1,214 @@
+#!/usr/bin/env node
+
+// Generates src/types/api.generated.ts from the API contract.
+//
+//   node scripts/generate-api.js                 regenerate from the openapi.json snapshot
+//   node scripts/generate-api.js --url <url>     refresh the snapshot from a running API first
+//   node scripts/generate-api.js --check         fail if the generated file is out of date
+
+import { readFileSync, writeFileSync, existsSync } from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const SNAPSHOT_FILE = path.join(ROOT, 'openapi.json');
+const OUTPUT_FILE = path.join(ROOT, 'src', 'types', 'api.generated.ts');
+const CONSTRAINT_KEYS = ['minLength', 'maxLength', 'minimum', 'maximum', 'pattern'];
+
+// Parse the command line into { url, check }
+function parseArgs(args) {
+  const options = { url: undefined, check: false };
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--url') {
+      options.url = args[++i];
+      if (!options.url) {
+        throw new Error('--url needs the address of the API\'s openapi.json, e.g. http://localhost:5126/openapi.json');
+      }
+    } else if (args[i] === '--check') {
+      options.check = true;
+    } else {
+      throw new Error(`Unknown argument: ${args[i]}`);
+    }
+  }
+  return options;
+}
+
+// Fetch the spec from a running API, keeping only what the generator reads
+async function fetchSnapshot(url) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`GET ${url} answered ${response.status} ${response.statusText}`);
+  }
+  const spec = await response.json();
+  return {
+    openapi: spec.openapi,
+    info: { title: spec.info?.title, version: spec.info?.version },
+    components: { schemas: sortKeys(spec.components?.schemas ?? {}) },
+  };
+}
+
+function sortKeys(object) {
+  return Object.fromEntries(Object.keys(object).sort().map((key) => [key, object[key]]));
+}
+
+// "DemoInventory.Application.DTOs.ProductDto" becomes ProductDto, and
+// "...PagedResultDto`1[[...ProductDto, DemoInventory.Application, ...]]" becomes PagedResultDtoOfProductDto
+function typeName(schemaId) {
+  const generic = /^([^`]+)`\d+\[\[(.+)\]\]$/.exec(schemaId);
+  if (generic) {
+    const args = generic[2].split('],[').map((arg) => typeName(arg.split(',')[0].trim()));
+    return `${typeName(generic[1])}Of${args.join('And')}`;
+  }
+  return schemaId.split('.').pop().replace(/[^A-Za-z0-9_]/g, '');
+}
+
+function refName(ref) {
+  return typeName(ref.replace('#/components/schemas/', ''));
+}
+
+// A pattern such as ^(received|sold)$ only allows a fixed set of values
+function literalsFromPattern(pattern) {
+  const match = /^\^\(([A-Za-z0-9_|-]+)\)\$$/.exec(pattern ?? '');
+  return match ? match[1].split('|') : undefined;
+}
+
+function tsType(schema) {
+  let type;
+  const ref = schema.$ref ?? schema.allOf?.[0]?.$ref;
+  if (ref) {
+    type = refName(ref);
+  } else if (schema.enum) {
+    type = schema.enum.map((value) => JSON.stringify(value)).join(' | ');
+  } else if (schema.type === 'string') {
+    const literals = literalsFromPattern(schema.pattern);
+    type = literals ? literals.map((value) => `'${value}'`).join(' | ') : 'string';
+  } else if (schema.type === 'integer' || schema.type === 'number') {
+    type = 'number';
+  } else if (schema.type === 'boolean') {
+    type = 'boolean';
+  } else if (schema.type === 'array') {
+    const item = tsType(schema.items ?? {});
+    type = item.includes(' ') ? `(${item})[]` : `${item}[]`;
+  } else if (schema.type === 'object' && !schema.properties) {
+    const value = typeof schema.additionalProperties === 'object' && Object.keys(schema.additionalProperties).length > 0
+      ? tsType(schema.additionalProperties)
+      : 'unknown';
+    type = `Record<string, ${value}>`;
+  } else {
+    type = 'unknown';
+  }
+  return schema.nullable ? `${type} | null` : type;
+}
+
+function quote(text) {
+  return `'${text.replace(/\\/g, '\\\\').replace(/'/g, '\\\'')}'`;
+}
+
+function comment(text, indent) {
+  return text ? text.split('\n').map((line) => `${indent}// ${line.trim()}\n`).join('') : '';
+}
+
+// Nullable properties may be left out; everything else is always present
+function renderInterface(name, schema) {
+  let out = comment(schema.description, '');
+  out += `export interface ${name} {\n`;
+  Object.entries(schema.properties ?? {}).forEach(([property, propertySchema]) => {
+    out += comment(propertySchema.description, '  ');
+    out += `  ${property}${propertySchema.nullable ? '?' : ''}: ${tsType(propertySchema)};\n`;
+  });
+  if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+    out += '  [key: string]: unknown;\n';
+  }
+  return `${out}}\n`;
+}
+
+function hasConstraints(schema) {
+  return (schema.required ?? []).length > 0
+    || Object.values(schema.properties ?? {}).some((property) => CONSTRAINT_KEYS.some((key) => key in property));
+}
+
+function renderConstraints(schemas) {
+  let out = '';
+  schemas.filter(([, schema]) => hasConstraints(schema)).forEach(([name, schema]) => {
+    out += `  ${name}: {\n`;
+    Object.entries(schema.properties ?? {}).forEach(([property, propertySchema]) => {
+      const entries = [`type: '${propertySchema.type ?? 'object'}'`];
+      if ((schema.required ?? []).includes(property)) {
+        entries.push('required: true');
+      }
+      if (propertySchema.nullable) {
+        entries.push('nullable: true');
+      }
+      CONSTRAINT_KEYS.filter((key) => key in propertySchema).forEach((key) => {
+        entries.push(`${key}: ${key === 'pattern' ? quote(propertySchema[key]) : propertySchema[key]}`);
+      });
+      out += `    ${property}: { ${entries.join(', ')} },\n`;
+    });
+    out += '  },\n';
+  });
+  return out;
+}
+
+function generate(spec) {
+  const schemas = Object.entries(spec.components?.schemas ?? {})
+    .map(([id, schema]) => [typeName(id), schema])
+    .sort(([a], [b]) => a.localeCompare(b));
+  if (schemas.length === 0) {
+    throw new Error('The OpenAPI document has no components.schemas to generate from');
+  }
+
+  let out = `// Generated by scripts/generate-api.js from openapi.json (${spec.info?.title ?? 'API'} ${spec.info?.version ?? ''}).\n`;
+  out += '// Do not edit by hand: run `npm run generate:api` after the API contract changes.\n\n';
+  out += '// Limits on a request field, taken from the validation attributes on the API\'s DTOs\n';
+  out += 'export interface FieldConstraints {\n';
+  out += '  type: \'string\' | \'integer\' | \'number\' | \'boolean\' | \'array\' | \'object\';\n';
+  out += '  required?: boolean;\n';
+  out += '  nullable?: boolean;\n';
+  out += '  minLength?: number;\n';
+  out += '  maxLength?: number;\n';
+  out += '  minimum?: number;\n';
+  out += '  maximum?: number;\n';
+  out += '  pattern?: string;\n';
+  out += '}\n';
+  schemas.forEach(([name, schema]) => {
+    out += `\n${renderInterface(name, schema)}`;
+  });
+  out += '\n// Field limits for each request body the API validates\n';
+  out += 'export const apiConstraints = {\n';
+  out += renderConstraints(schemas);
+  out += '} as const satisfies Record<string, Record<string, FieldConstraints>>;\n';
+  return out;
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+
+  if (options.url) {
+    const snapshot = await fetchSnapshot(options.url);
+    writeFileSync(SNAPSHOT_FILE, `${JSON.stringify(snapshot, null, 2)}\n`);
+    console.log(`Updated ${path.relative(ROOT, SNAPSHOT_FILE)} from ${options.url}`);
+  }
+
+  if (!existsSync(SNAPSHOT_FILE)) {
+    throw new Error(`${path.relative(ROOT, SNAPSHOT_FILE)} not found; run with --url to fetch it from the API`);
+  }
+  const output = generate(JSON.parse(readFileSync(SNAPSHOT_FILE, 'utf8')));
+  const target = path.relative(ROOT, OUTPUT_FILE);
+
+  if (options.check) {
+    const current = existsSync(OUTPUT_FILE) ? readFileSync(OUTPUT_FILE, 'utf8') : '';
+    if (current !== output) {
+      throw new Error(`${target} is out of date with openapi.json; run npm run generate:api`);
+    }
+    console.log(`${target} is up to date`);
+    return;
+  }
+
+  writeFileSync(OUTPUT_FILE, output);
+  console.log(`Wrote ${target}`);
+}
+
+main().catch((error) => {
+  console.error(`Error: ${error.message}`);
+  process.exit(1);
+});
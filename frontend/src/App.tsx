@@ -1,16 +1,63 @@
-import { BrowserRouter as Router, Routes, Route } from 'react-router-dom';
+import { useEffect } from 'react';
+import { BrowserRouter as Router, Routes, Route, useLocation, useNavigate } from 'react-router-dom';
 import ProductList from './components/ProductList';
 import ProductForm from './components/ProductForm';
+import ProductDetail from './components/ProductDetail';
+import ProductImport from './components/ProductImport';
+import InventoryDashboard from './components/InventoryDashboard';
+import CredentialsForm, { type CredentialsLocationState } from './components/CredentialsForm';
+import SyncStatus from './components/SyncStatus';
+import DisplaySettings from './components/DisplaySettings';
+import LanguageSwitcher from './components/LanguageSwitcher';
+import ScanMode from './components/ScanMode';
+import LabelSheet from './components/LabelSheet';
+import CategoryManager from './components/CategoryManager';
+import { credentials } from './services/credentials';
 import './App.css'
 
+// Sends the user to the credentials screen whenever the API rejects the current key
+function CredentialsRedirect() {
+  const navigate = useNavigate();
+  const location = useLocation();
+
+  useEffect(() => {
+    return credentials.onRejected((status) => {
+      if (location.pathname === '/credentials') {
+        return;
+      }
+      const state: CredentialsLocationState = {
+        from: `${location.pathname}${location.search}`,
+        reason: status,
+      };
+      navigate('/credentials', { state });
+    });
+  }, [navigate, location.pathname, location.search]);
+
+  return null;
+}
+
 function App() {
   return (
     <Router>
+      <CredentialsRedirect />
       <div className="app">
+        <SyncStatus />
+        <div className="app-toolbar">
+          <LanguageSwitcher />
+          <DisplaySettings />
+        </div>
         <Routes>
           <Route path="/" element={<ProductList />} />
+          <Route path="/credentials" element={<CredentialsForm />} />
+          <Route path="/dashboard" element={<InventoryDashboard />} />
+          <Route path="/import" element={<ProductImport />} />
+          <Route path="/scan" element={<ScanMode />} />
+          <Route path="/labels" element={<LabelSheet />} />
+          <Route path="/categories" element={<CategoryManager />} />
           <Route path="/product/new" element={<ProductForm />} />
-          <Route path="/product/:id" element={<ProductForm />} />
+          <Route path="/product/:id" element={<ProductDetail />} />
+          <Route path="/product/:id/edit" element={<ProductForm />} />
+          <Route path="/sku/:sku" element={<ProductDetail />} />
         </Routes>
       </div>
     </Router>
@@ -0,0 +1,157 @@
+import React, { useState } from 'react';
+import type { Product, StockAdjustment, StockAdjustmentReason } from '../types/Product';
+import { productService } from '../services/productService';
+import { getErrorMessage } from '../services/apiClient';
+import {
+  NOTE_MAX_LENGTH,
+  STOCK_ADJUSTMENT_REASONS,
+  formatDelta,
+  getReasonDirection,
+  validateStockAdjustment,
+} from '../utils/stockAdjustments';
+import './BatchActions.css';
+import './ProductForm.css';
+import './AdjustStockDialog.css';
+
+interface AdjustStockDialogProps {
+  product: Product;
+  onClose: () => void;
+  onAdjusted: (adjustment: StockAdjustment) => void;
+}
+
+const AdjustStockDialog: React.FC<AdjustStockDialogProps> = ({ product, onClose, onAdjusted }) => {
+  const [reason, setReason] = useState<StockAdjustmentReason>('received');
+  const [quantity, setQuantity] = useState('');
+  const [note, setNote] = useState('');
+  const [error, setError] = useState<string | null>(null);
+  const [saving, setSaving] = useState(false);
+
+  const direction = getReasonDirection(reason);
+
+  // Received and returned stock is added, sold and damaged stock removed; a cycle count
+  // records the counted quantity and adjusts by the difference
+  const computeDelta = (): number | null => {
+    const value = Number(quantity);
+    if (quantity.trim() === '' || !Number.isInteger(value) || value < 0) {
+      return null;
+    }
+    if (direction === 'either') {
+      return value - product.quantityInStock;
+    }
+    return direction === 'add' ? value : -value;
+  };
+
+  const delta = computeDelta();
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (delta === null) {
+      setError('Enter a whole number of 0 or more');
+      return;
+    }
+    if (direction === 'either' && delta === 0) {
+      setError('The counted quantity matches the current stock; nothing to adjust');
+      return;
+    }
+    const validationError = validateStockAdjustment(product.quantityInStock, delta, reason, note);
+    if (validationError) {
+      setError(validationError);
+      return;
+    }
+
+    setSaving(true);
+    setError(null);
+    try {
+      const adjustment = await productService.adjustStock(product.id, { delta, reason, note: note.trim() });
+      onAdjusted(adjustment);
+    } catch (err) {
+      setError(getErrorMessage(err));
+      console.error('Error adjusting stock:', err);
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="modal-backdrop">
+      <div className="modal" role="dialog" aria-modal="true" aria-labelledby="adjust-stock-title" data-testid="adjust-stock-dialog">
+        <h2 id="adjust-stock-title">Adjust stock</h2>
+        <p className="adjust-stock-product">
+          {product.name} <small>({product.sku})</small> · {product.quantityInStock} in stock
+        </p>
+
+        <form onSubmit={handleSubmit} noValidate>
+          <div className="form-group">
+            <label htmlFor="adjust-reason">Reason</label>
+            <select
+              id="adjust-reason"
+              value={reason}
+              onChange={(e) => {
+                setReason(e.target.value as StockAdjustmentReason);
+                setError(null);
+              }}
+              disabled={saving}
+              data-testid="adjust-reason-select"
+            >
+              {STOCK_ADJUSTMENT_REASONS.map((option) => (
+                <option key={option.reason} value={option.reason}>{option.label}</option>
+              ))}
+            </select>
+          </div>
+
+          <div className="form-group">
+            <label htmlFor="adjust-quantity">
+              {direction === 'either' ? 'Counted quantity' : direction === 'add' ? 'Quantity to add' : 'Quantity to remove'}
+            </label>
+            <input
+              type="number"
+              id="adjust-quantity"
+              min="0"
+              step="1"
+              value={quantity}
+              onChange={(e) => {
+                setQuantity(e.target.value);
+                setError(null);
+              }}
+              disabled={saving}
+              data-testid="adjust-quantity-input"
+            />
+          </div>
+
+          <div className="form-group">
+            <label htmlFor="adjust-note">Note</label>
+            <textarea
+              id="adjust-note"
+              rows={3}
+              maxLength={NOTE_MAX_LENGTH}
+              placeholder="Optional, e.g. a delivery or order reference"
+              value={note}
+              onChange={(e) => setNote(e.target.value)}
+              disabled={saving}
+              data-testid="adjust-note-input"
+            />
+          </div>
+
+          {delta !== null && delta !== 0 && (
+            <p className="adjust-stock-preview" data-testid="adjust-stock-preview">
+              {product.quantityInStock} → {product.quantityInStock + delta}
+              <span className={`delta ${delta > 0 ? 'delta-up' : 'delta-down'}`}>{formatDelta(delta)}</span>
+            </p>
+          )}
+
+          {error && <div className="field-error" role="alert" data-testid="adjust-stock-error">{error}</div>}
+
+          <div className="modal-actions">
+            <button type="button" className="btn btn-secondary" onClick={onClose} disabled={saving} data-testid="adjust-cancel-btn">
+              Cancel
+            </button>
+            <button type="submit" className="btn btn-primary" disabled={saving} data-testid="adjust-submit-btn">
+              {saving ? 'Saving...' : 'Record adjustment'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default AdjustStockDialog;
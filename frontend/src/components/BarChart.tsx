@@ -0,0 +1,60 @@
+import React from 'react';
+import './Charts.css';
+
+export interface BarChartItem {
+  label: string;
+  value: number;
+  // Shown next to the bar; defaults to the raw value
+  displayValue?: string;
+}
+
+interface BarChartProps {
+  title: string;
+  items: BarChartItem[];
+  testId: string;
+}
+
+const LABEL_WIDTH = 180;
+const VALUE_WIDTH = 110;
+const CHART_WIDTH = 640;
+const BAR_HEIGHT = 22;
+const BAR_GAP = 10;
+
+// Horizontal bar chart drawn as SVG, scaled to the largest value
+const BarChart: React.FC<BarChartProps> = ({ title, items, testId }) => {
+  const max = Math.max(0, ...items.map((item) => item.value));
+  const barArea = CHART_WIDTH - LABEL_WIDTH - VALUE_WIDTH;
+  const height = Math.max(1, items.length) * (BAR_HEIGHT + BAR_GAP);
+
+  const truncate = (label: string) => (label.length > 24 ? `${label.slice(0, 23)}…` : label);
+
+  return (
+    <svg
+      className="chart bar-chart"
+      viewBox={`0 0 ${CHART_WIDTH} ${height}`}
+      role="img"
+      aria-label={title}
+      data-testid={testId}
+    >
+      {items.map((item, index) => {
+        const y = index * (BAR_HEIGHT + BAR_GAP);
+        const width = max > 0 ? Math.max(1, (item.value / max) * barArea) : 0;
+        const display = item.displayValue ?? String(item.value);
+        return (
+          <g key={`${item.label}-${index}`} data-testid={`${testId}-bar-${index}`}>
+            <title>{`${item.label}: ${display}`}</title>
+            <text className="chart-label" x={LABEL_WIDTH - 8} y={y + BAR_HEIGHT / 2} textAnchor="end" dominantBaseline="middle">
+              {truncate(item.label)}
+            </text>
+            <rect className="chart-bar" x={LABEL_WIDTH} y={y} width={width} height={BAR_HEIGHT} rx={3} />
+            <text className="chart-value" x={LABEL_WIDTH + width + 6} y={y + BAR_HEIGHT / 2} dominantBaseline="middle">
+              {display}
+            </text>
+          </g>
+        );
+      })}
+    </svg>
+  );
+};
+
+export default BarChart;
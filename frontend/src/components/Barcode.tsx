@@ -0,0 +1,71 @@
+import React from 'react';
+import { CODE128_QUIET_ZONE, code128Widths } from '../utils/code128';
+import { encodeQrCode } from '../utils/qrCode';
+
+export type BarcodeFormat = 'code128' | 'qr';
+
+interface BarcodeProps {
+  value: string;
+  format: BarcodeFormat;
+  testId: string;
+}
+
+const CODE128_HEIGHT = 40;
+const QR_QUIET_ZONE = 4;
+
+// Code 128 barcode or QR code drawn as SVG in module units, so it prints sharp at any size
+const Barcode: React.FC<BarcodeProps> = ({ value, format, testId }) => {
+  if (format === 'qr') {
+    const { size, modules } = encodeQrCode(value);
+    const extent = size + QR_QUIET_ZONE * 2;
+    // One path segment per dark module keeps the DOM small for larger symbols
+    const path = modules
+      .flatMap((row, y) => row.map((dark, x) => (dark ? `M${x + QR_QUIET_ZONE} ${y + QR_QUIET_ZONE}h1v1h-1z` : '')))
+      .join('');
+
+    return (
+      <svg
+        className="barcode barcode-qr"
+        viewBox={`0 0 ${extent} ${extent}`}
+        shapeRendering="crispEdges"
+        role="img"
+        aria-label={`QR code for ${value}`}
+        data-testid={testId}
+      >
+        <rect width={extent} height={extent} fill="white" />
+        <path d={path} fill="black" />
+      </svg>
+    );
+  }
+
+  const widths = code128Widths(value);
+  const bars: { x: number; width: number }[] = [];
+  let x = CODE128_QUIET_ZONE;
+  widths.forEach((width, index) => {
+    // Widths alternate bar, space, bar, ...
+    if (index % 2 === 0) {
+      bars.push({ x, width });
+    }
+    x += width;
+  });
+  const extent = x + CODE128_QUIET_ZONE;
+
+  return (
+    <svg
+      className="barcode barcode-code128"
+      viewBox={`0 0 ${extent} ${CODE128_HEIGHT}`}
+      preserveAspectRatio="none"
+      shapeRendering="crispEdges"
+      role="img"
+      aria-label={`Code 128 barcode for ${value}`}
+      data-testid={testId}
+    >
+      <rect width={extent} height={CODE128_HEIGHT} fill="white" />
+      {bars.map((bar) => (
+        <rect key={bar.x} x={bar.x} width={bar.width} height={CODE128_HEIGHT} fill="black" />
+      ))}
+    </svg>
+  );
+};
+
+export default Barcode;
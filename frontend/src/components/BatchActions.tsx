@@ -0,0 +1,275 @@
+import React, { useState } from 'react';
+import type { Product } from '../types/Product';
+import { useLocaleFormat } from '../hooks/usePreferences';
+import {
+  describeBatchAction,
+  planPriceChange,
+  planStockAdjustment,
+  runBatchAction,
+  type BatchAction,
+  type BatchItemResult,
+  type BatchProgress,
+  type StockAdjustmentMode,
+} from '../services/batchOperations';
+import './BatchActions.css';
+
+interface BatchActionsProps {
+  selectedProducts: Product[];
+  onClearSelection: () => void;
+  onComplete: (results: BatchItemResult[]) => void;
+  // Opens the label sheet for the selection; the button is hidden when not given
+  onPrintLabels?: () => void;
+}
+
+type ActionType = BatchAction['type'];
+type Phase = 'idle' | 'confirm' | 'running' | 'done';
+
+const BatchActions: React.FC<BatchActionsProps> = ({ selectedProducts, onClearSelection, onComplete, onPrintLabels }) => {
+  const [actionType, setActionType] = useState<ActionType>('delete');
+  const [stockMode, setStockMode] = useState<StockAdjustmentMode>('add');
+  const [quantity, setQuantity] = useState('');
+  const [percent, setPercent] = useState('');
+  const [validationError, setValidationError] = useState<string | null>(null);
+  const [phase, setPhase] = useState<Phase>('idle');
+  const [pendingAction, setPendingAction] = useState<BatchAction | null>(null);
+  const [targets, setTargets] = useState<Product[]>([]);
+  const [progress, setProgress] = useState<BatchProgress>({ completed: 0, total: 0 });
+  const [results, setResults] = useState<BatchItemResult[]>([]);
+
+  const { formatPrice } = useLocaleFormat();
+
+  const buildAction = (): BatchAction | string => {
+    switch (actionType) {
+      case 'delete':
+        return { type: 'delete' };
+      case 'adjustStock': {
+        const value = parseInt(quantity);
+        if (isNaN(value) || value < 0 || String(value) !== quantity.trim()) {
+          return 'Quantity must be a whole number of 0 or more';
+        }
+        return { type: 'adjustStock', mode: stockMode, quantity: value };
+      }
+      case 'changePrice': {
+        const value = parseFloat(percent);
+        if (isNaN(value) || value === 0) {
+          return 'Enter a non-zero percentage, e.g. 10 or -15';
+        }
+        if (value <= -100) {
+          return 'Prices cannot be reduced by 100% or more';
+        }
+        return { type: 'changePrice', percent: value };
+      }
+    }
+  };
+
+  const handleReview = () => {
+    const action = buildAction();
+    if (typeof action === 'string') {
+      setValidationError(action);
+      return;
+    }
+    setValidationError(null);
+    setPendingAction(action);
+    setTargets(selectedProducts);
+    setPhase('confirm');
+  };
+
+  const handleConfirm = async () => {
+    if (!pendingAction) {
+      return;
+    }
+    setPhase('running');
+    setProgress({ completed: 0, total: targets.length });
+    const batchResults = await runBatchAction(targets, pendingAction, setProgress);
+    setResults(batchResults);
+    setPhase('done');
+  };
+
+  const handleClose = () => {
+    const finished = results;
+    setPhase('idle');
+    setPendingAction(null);
+    setResults([]);
+    onComplete(finished);
+  };
+
+  const renderChange = (product: Product) => {
+    if (!pendingAction || pendingAction.type === 'delete') {
+      return null;
+    }
+    if (pendingAction.type === 'adjustStock') {
+      const next = planStockAdjustment(product, pendingAction.mode, pendingAction.quantity);
+      return <span className={next < 0 ? 'invalid-change' : ''}>{product.quantityInStock} → {next}</span>;
+    }
+    const next = planPriceChange(product, pendingAction.percent);
+    return <span className={next <= 0 ? 'invalid-change' : ''}>{formatPrice(product.price)} → {formatPrice(next)}</span>;
+  };
+
+  const failures = results.filter((result) => !result.success);
+  const progressPercent = progress.total === 0 ? 0 : Math.round((progress.completed / progress.total) * 100);
+
+  if (selectedProducts.length === 0 && phase === 'idle') {
+    return null;
+  }
+
+  return (
+    <>
+      <div className="batch-action-bar" data-testid="batch-action-bar">
+        <span className="batch-selection-count" data-testid="batch-selection-count">
+          {selectedProducts.length} selected
+        </span>
+        <select
+          value={actionType}
+          onChange={(e) => {
+            setActionType(e.target.value as ActionType);
+            setValidationError(null);
+          }}
+          aria-label="Batch action"
+          data-testid="batch-action-select"
+        >
+          <option value="delete">Delete</option>
+          <option value="adjustStock">Adjust stock</option>
+          <option value="changePrice">Change price (%)</option>
+        </select>
+
+        {actionType === 'adjustStock' && (
+          <>
+            <select
+              value={stockMode}
+              onChange={(e) => setStockMode(e.target.value as StockAdjustmentMode)}
+              aria-label="Stock adjustment"
+              data-testid="batch-stock-mode"
+            >
+              <option value="set">Set to</option>
+              <option value="add">Add</option>
+              <option value="subtract">Subtract</option>
+            </select>
+            <input
+              type="number"
+              min="0"
+              value={quantity}
+              onChange={(e) => setQuantity(e.target.value)}
+              placeholder="Quantity"
+              aria-label="Quantity"
+              data-testid="batch-quantity-input"
+            />
+          </>
+        )}
+
+        {actionType === 'changePrice' && (
+          <input
+            type="number"
+            step="0.1"
+            value={percent}
+            onChange={(e) => setPercent(e.target.value)}
+            placeholder="e.g. 10 or -15"
+            aria-label="Percentage change"
+            data-testid="batch-percent-input"
+          />
+        )}
+
+        <button type="button" className="btn btn-small btn-primary" onClick={handleReview} data-testid="batch-review-btn">
+          Review…
+        </button>
+        {onPrintLabels && (
+          <button type="button" className="btn btn-small btn-secondary" onClick={onPrintLabels} data-testid="batch-print-labels-btn">
+            Print labels
+          </button>
+        )}
+        <button type="button" className="btn btn-small btn-secondary" onClick={onClearSelection} data-testid="batch-clear-btn">
+          Clear selection
+        </button>
+        {validationError && <span className="batch-error" data-testid="batch-validation-error">{validationError}</span>}
+      </div>
+
+      {phase !== 'idle' && pendingAction && (
+        <div className="modal-backdrop">
+          <div className="modal" role="dialog" aria-modal="true" aria-labelledby="batch-dialog-title" data-testid="batch-dialog">
+            {phase === 'confirm' && (
+              <>
+                <h2 id="batch-dialog-title">Confirm batch action</h2>
+                <p className="batch-summary" data-testid="batch-summary">
+                  {describeBatchAction(pendingAction, targets.length)}
+                </p>
+                <ul className="batch-target-list" data-testid="batch-target-list">
+                  {targets.map((product) => (
+                    <li key={product.id}>
+                      <span>{product.name} <small>({product.sku})</small></span>
+                      {renderChange(product)}
+                    </li>
+                  ))}
+                </ul>
+                <div className="modal-actions">
+                  <button type="button" className="btn btn-secondary" onClick={() => setPhase('idle')} data-testid="batch-cancel-btn">
+                    Cancel
+                  </button>
+                  <button
+                    type="button"
+                    className={`btn ${pendingAction.type === 'delete' ? 'btn-danger' : 'btn-primary'}`}
+                    onClick={handleConfirm}
+                    data-testid="batch-confirm-btn"
+                  >
+                    Confirm
+                  </button>
+                </div>
+              </>
+            )}
+
+            {phase === 'running' && (
+              <>
+                <h2 id="batch-dialog-title">Applying changes…</h2>
+                <div
+                  className="progress"
+                  role="progressbar"
+                  aria-valuemin={0}
+                  aria-valuemax={progress.total}
+                  aria-valuenow={progress.completed}
+                  data-testid="batch-progress"
+                >
+                  <div className="progress-bar" style={{ width: `${progressPercent}%` }} />
+                </div>
+                <p>{progress.completed} of {progress.total} processed</p>
+              </>
+            )}
+
+            {phase === 'done' && (
+              <>
+                <h2 id="batch-dialog-title">Batch complete</h2>
+                <p data-testid="batch-result-summary">
+                  {results.length - failures.length} succeeded, {failures.length} failed.
+                </p>
+                {failures.length > 0 && (
+                  <table className="batch-report" data-testid="batch-failures">
+                    <thead>
+                      <tr>
+                        <th>SKU</th>
+                        <th>Name</th>
+                        <th>Reason</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {failures.map(({ product, error }) => (
+                        <tr key={product.id} data-testid={`batch-failure-${product.id}`}>
+                          <td>{product.sku}</td>
+                          <td>{product.name}</td>
+                          <td>{error}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                )}
+                <div className="modal-actions">
+                  <button type="button" className="btn btn-primary" onClick={handleClose} data-testid="batch-close-btn">
+                    Close
+                  </button>
+                </div>
+              </>
+            )}
+          </div>
+        </div>
+      )}
+    </>
+  );
+};
+
+export default BatchActions;
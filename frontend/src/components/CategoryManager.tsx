@@ -0,0 +1,331 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import axios from 'axios';
+import type { Category } from '../types/Category';
+import { apiConstraints } from '../types/api.generated';
+import { isCredentialError } from '../services/apiClient';
+import { matchFieldErrors, parseApiError } from '../services/apiErrors';
+import { categoryKeys, categoryQueries } from '../services/categoryQueries';
+import { categoryService } from '../services/categoryService';
+import { productQueries } from '../services/productQueries';
+import { useQuery } from '../hooks/useQuery';
+import { useTranslation } from '../hooks/useTranslation';
+import { subtreeIds } from '../utils/categoryTree';
+import { checkConstraints } from '../utils/schemaValidation';
+import ErrorBanner from './ErrorBanner';
+import './ProductList.css';
+import './CategoryManager.css';
+
+// A category's name and parent as typed into the add or edit row; parentId is '' for a top-level category
+interface CategoryDraft {
+  name: string;
+  parentId: string;
+}
+
+type CategoryFieldErrors = Partial<Record<keyof CategoryDraft, string>>;
+
+interface ManagerError {
+  message: string;
+  details?: string[];
+  traceId?: string;
+}
+
+const CATEGORY_FIELDS: (keyof CategoryDraft)[] = ['name', 'parentId'];
+
+const EMPTY_DRAFT: CategoryDraft = { name: '', parentId: '' };
+
+// What is still filed under a category the API refused to delete
+const getInUseCounts = (err: unknown): { productCount: number; subcategoryCount: number } | null => {
+  if (!axios.isAxiosError(err) || err.response?.status !== 409) {
+    return null;
+  }
+  const data: unknown = err.response.data;
+  if (data && typeof data === 'object' && 'productCount' in data && 'subcategoryCount' in data) {
+    return { productCount: Number(data.productCount), subcategoryCount: Number(data.subcategoryCount) };
+  }
+  return null;
+};
+
+// Create, rename, move and delete the categories products are filed under
+const CategoryManager: React.FC = () => {
+  const { t } = useTranslation();
+  const { data: categories = [], error: loadError, isLoading } = useQuery(categoryKeys.list, categoryQueries.fetchAll);
+  const [newCategory, setNewCategory] = useState<CategoryDraft>(EMPTY_DRAFT);
+  const [newErrors, setNewErrors] = useState<CategoryFieldErrors>({});
+  const [editingId, setEditingId] = useState<number | null>(null);
+  const [editDraft, setEditDraft] = useState<CategoryDraft>(EMPTY_DRAFT);
+  const [editErrors, setEditErrors] = useState<CategoryFieldErrors>({});
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState<ManagerError | null>(null);
+
+  const validate = (draft: CategoryDraft): CategoryFieldErrors => {
+    const name = checkConstraints(draft.name, apiConstraints.CreateCategoryDto.name, t('field.categoryName'));
+    return name ? { name } : {};
+  };
+
+  const toDto = (draft: CategoryDraft) => ({
+    name: draft.name.trim(),
+    parentId: draft.parentId ? Number(draft.parentId) : undefined,
+  });
+
+  // Field problems go next to their input, anything else into the banner
+  const reportError = (err: unknown, fallback: string, setFieldErrors: (errors: CategoryFieldErrors) => void) => {
+    if (isCredentialError(err)) {
+      setError(null);
+      return;
+    }
+    const apiError = parseApiError(err);
+    if (apiError.status === 400) {
+      const { matched, unmatched } = matchFieldErrors(apiError, CATEGORY_FIELDS);
+      setFieldErrors(matched);
+      if (unmatched.length === 0 && Object.keys(matched).length > 0) {
+        return;
+      }
+      setError({ message: fallback, details: unmatched, traceId: apiError.traceId });
+      return;
+    }
+    setError({ message: fallback, traceId: apiError.traceId });
+  };
+
+  // Category names and counts show up in the product list's sidebar too
+  const refresh = () => {
+    void categoryQueries.invalidate();
+    void productQueries.invalidate();
+  };
+
+  const handleAdd = async (e: React.FormEvent) => {
+    e.preventDefault();
+    const errors = validate(newCategory);
+    setNewErrors(errors);
+    if (Object.keys(errors).length > 0) {
+      return;
+    }
+
+    setSaving(true);
+    setError(null);
+    try {
+      await categoryService.createCategory(toDto(newCategory));
+      setNewCategory(EMPTY_DRAFT);
+      refresh();
+    } catch (err) {
+      reportError(err, t('categories.error.save'), setNewErrors);
+      console.error('Error creating category:', err);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const startEditing = (category: Category) => {
+    setEditingId(category.id);
+    setEditDraft({ name: category.name, parentId: category.parentId ? String(category.parentId) : '' });
+    setEditErrors({});
+    setError(null);
+  };
+
+  const handleSave = async (category: Category) => {
+    const errors = validate(editDraft);
+    setEditErrors(errors);
+    if (Object.keys(errors).length > 0) {
+      return;
+    }
+
+    setSaving(true);
+    setError(null);
+    try {
+      await categoryService.updateCategory(category.id, toDto(editDraft));
+      setEditingId(null);
+      refresh();
+    } catch (err) {
+      reportError(err, t('categories.error.save'), setEditErrors);
+      console.error('Error updating category:', err);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (category: Category) => {
+    if (!window.confirm(t('categories.confirmDelete', { name: category.name }))) {
+      return;
+    }
+
+    setError(null);
+    try {
+      await categoryService.deleteCategory(category.id);
+      refresh();
+    } catch (err) {
+      const inUse = getInUseCounts(err);
+      if (inUse) {
+        setError({
+          message: t('categories.error.inUse', {
+            name: category.name,
+            products: t('categories.productCount', { count: inUse.productCount }),
+            subcategories: t('categories.subcategoryCount', { count: inUse.subcategoryCount }),
+          }),
+        });
+      } else if (!isCredentialError(err)) {
+        setError({ message: t('categories.error.delete'), traceId: parseApiError(err).traceId });
+      }
+      console.error('Error deleting category:', err);
+    }
+  };
+
+  // A category cannot move under itself or one of its subcategories
+  const parentOptions = (excludeId?: number) => {
+    const excluded = excludeId === undefined ? new Set<number>() : subtreeIds(categories, excludeId);
+    return categories
+      .filter((category) => !excluded.has(category.id))
+      .map((category) => (
+        <option key={category.id} value={String(category.id)}>{category.path.join(' › ')}</option>
+      ));
+  };
+
+  const shownError = error ?? (loadError && !isCredentialError(loadError) ? { message: t('categories.error.load') } : null);
+
+  return (
+    <div className="category-manager" data-testid="category-manager">
+      <div className="header">
+        <h1 data-testid="categories-title">{t('categories.title')}</h1>
+        <div className="header-actions">
+          <Link to="/" className="btn btn-secondary" data-testid="back-to-list-btn">
+            {t('categories.back')}
+          </Link>
+        </div>
+      </div>
+
+      {shownError && (
+        <ErrorBanner message={shownError.message} details={shownError.details} traceId={shownError.traceId} testId="category-error" />
+      )}
+
+      <form className="category-add" onSubmit={handleAdd} data-testid="add-category-form">
+        <label>
+          {t('categories.name')}
+          <input
+            type="text"
+            value={newCategory.name}
+            onChange={(e) => setNewCategory(prev => ({ ...prev, name: e.target.value }))}
+            className={newErrors.name ? 'error' : ''}
+            placeholder={t('categories.namePlaceholder')}
+            data-testid="category-name-input"
+          />
+          {newErrors.name && <span className="field-error" data-testid="category-name-error">{newErrors.name}</span>}
+        </label>
+        <label>
+          {t('categories.parent')}
+          <select
+            value={newCategory.parentId}
+            onChange={(e) => setNewCategory(prev => ({ ...prev, parentId: e.target.value }))}
+            data-testid="category-parent-select"
+          >
+            <option value="">{t('categories.topLevel')}</option>
+            {parentOptions()}
+          </select>
+          {newErrors.parentId && <span className="field-error" data-testid="category-parent-error">{newErrors.parentId}</span>}
+        </label>
+        <button type="submit" className="btn btn-primary" disabled={saving} data-testid="add-category-btn">
+          {t('categories.add')}
+        </button>
+      </form>
+
+      {isLoading ? (
+        <div className="loading" data-testid="categories-loading">{t('categories.loading')}</div>
+      ) : categories.length === 0 ? (
+        <p className="no-categories" data-testid="no-categories">{t('categories.empty')}</p>
+      ) : (
+        <table className="category-table" data-testid="category-table">
+          <thead>
+            <tr>
+              <th>{t('categories.name')}</th>
+              <th>{t('categories.parent')}</th>
+              <th>{t('categories.products')}</th>
+              <th>{t('categories.actions')}</th>
+            </tr>
+          </thead>
+          <tbody>
+            {categories.map((category) => (
+              category.id === editingId ? (
+                <tr key={category.id} className="editing" data-testid={`category-row-${category.id}`}>
+                  <td>
+                    <input
+                      type="text"
+                      value={editDraft.name}
+                      onChange={(e) => setEditDraft(prev => ({ ...prev, name: e.target.value }))}
+                      className={editErrors.name ? 'error' : ''}
+                      aria-label={t('categories.name')}
+                      data-testid="edit-category-name-input"
+                    />
+                    {editErrors.name && <span className="field-error" data-testid="edit-category-name-error">{editErrors.name}</span>}
+                  </td>
+                  <td>
+                    <select
+                      value={editDraft.parentId}
+                      onChange={(e) => setEditDraft(prev => ({ ...prev, parentId: e.target.value }))}
+                      aria-label={t('categories.parent')}
+                      data-testid="edit-category-parent-select"
+                    >
+                      <option value="">{t('categories.topLevel')}</option>
+                      {parentOptions(category.id)}
+                    </select>
+                    {editErrors.parentId && <span className="field-error" data-testid="edit-category-parent-error">{editErrors.parentId}</span>}
+                  </td>
+                  <td>{category.productCount}</td>
+                  <td>
+                    <div className="actions">
+                      <button
+                        type="button"
+                        className="btn btn-small btn-primary"
+                        onClick={() => handleSave(category)}
+                        disabled={saving}
+                        data-testid="save-category-btn"
+                      >
+                        {t(saving ? 'categories.saving' : 'categories.save')}
+                      </button>
+                      <button
+                        type="button"
+                        className="btn btn-small btn-secondary"
+                        onClick={() => setEditingId(null)}
+                        disabled={saving}
+                        data-testid="cancel-edit-category-btn"
+                      >
+                        {t('categories.cancel')}
+                      </button>
+                    </div>
+                  </td>
+                </tr>
+              ) : (
+                <tr key={category.id} data-testid={`category-row-${category.id}`}>
+                  <td className={`category-name depth-${Math.min(category.path.length - 1, 4)}`} data-testid={`category-name-${category.id}`}>
+                    {category.name}
+                  </td>
+                  <td>{category.path.slice(0, -1).join(' › ') || '—'}</td>
+                  <td data-testid={`category-products-${category.id}`}>{category.productCount}</td>
+                  <td>
+                    <div className="actions">
+                      <button
+                        type="button"
+                        className="btn btn-small btn-secondary"
+                        onClick={() => startEditing(category)}
+                        data-testid={`edit-category-${category.id}`}
+                      >
+                        {t('categories.edit')}
+                      </button>
+                      <button
+                        type="button"
+                        className="btn btn-small btn-danger"
+                        onClick={() => handleDelete(category)}
+                        data-testid={`delete-category-${category.id}`}
+                      >
+                        {t('categories.delete')}
+                      </button>
+                    </div>
+                  </td>
+                </tr>
+              )
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+};
+
+export default CategoryManager;
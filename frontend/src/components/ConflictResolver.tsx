@@ -0,0 +1,101 @@
+import React, { useState } from 'react';
+import {
+  defaultChoices,
+  type ConflictChoice,
+  type EditableField,
+  type FieldConflict,
+} from '../utils/productConflict';
+import './ConflictResolver.css';
+
+interface ConflictResolverProps {
+  conflicts: FieldConflict[];
+  saving: boolean;
+  onResolve: (choices: Record<EditableField, ConflictChoice>) => void;
+  onDiscard: () => void;
+}
+
+// Three-way view of a product edit that clashed with someone else's, letting the user pick each field's value
+const ConflictResolver: React.FC<ConflictResolverProps> = ({ conflicts, saving, onResolve, onDiscard }) => {
+  const [choices, setChoices] = useState(() => defaultChoices(conflicts));
+
+  const choose = (field: EditableField, choice: ConflictChoice) => {
+    setChoices((prev) => ({ ...prev, [field]: choice }));
+  };
+
+  const display = (value: string) => (value.trim() ? value : '—');
+
+  const conflictingCount = conflicts.filter((conflict) => conflict.conflicting).length;
+
+  return (
+    <section className="conflict-resolver" data-testid="conflict-resolver" aria-labelledby="conflict-title">
+      <h2 id="conflict-title">This product was changed by someone else</h2>
+      <p className="conflict-summary">
+        Your changes were not saved. Choose which value to keep for each field, then save again.
+        {conflictingCount > 0 && (
+          <strong data-testid="conflict-count"> {conflictingCount} {conflictingCount === 1 ? 'field was' : 'fields were'} changed on both sides.</strong>
+        )}
+      </p>
+
+      <table className="conflict-table">
+        <thead>
+          <tr>
+            <th>Field</th>
+            <th>Original</th>
+            <th>Your value</th>
+            <th>Current value</th>
+          </tr>
+        </thead>
+        <tbody>
+          {conflicts.map((conflict) => (
+            <tr
+              key={conflict.field}
+              className={conflict.conflicting ? 'conflicting' : ''}
+              data-testid={`conflict-row-${conflict.field}`}
+            >
+              <th scope="row">{conflict.label}</th>
+              <td className="conflict-original">{display(conflict.original)}</td>
+              {(['mine', 'theirs'] as const).map((choice) => (
+                <td key={choice} className={choices[conflict.field] === choice ? 'chosen' : ''}>
+                  <label>
+                    <input
+                      type="radio"
+                      name={`conflict-${conflict.field}`}
+                      checked={choices[conflict.field] === choice}
+                      onChange={() => choose(conflict.field, choice)}
+                      disabled={saving}
+                      data-testid={`conflict-choice-${conflict.field}-${choice}`}
+                    />
+                    <span className="conflict-value">{display(choice === 'mine' ? conflict.mine : conflict.theirs)}</span>
+                  </label>
+                </td>
+              ))}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <div className="form-actions">
+        <button
+          type="button"
+          className="btn btn-secondary"
+          onClick={onDiscard}
+          disabled={saving}
+          data-testid="conflict-discard-btn"
+        >
+          Discard my changes
+        </button>
+        <button
+          type="button"
+          className="btn btn-primary"
+          onClick={() => onResolve(choices)}
+          disabled={saving}
+          data-testid="conflict-save-btn"
+        >
+          {saving ? 'Saving...' : 'Save selected values'}
+        </button>
+      </div>
+    </section>
+  );
+};
+
+export default ConflictResolver;
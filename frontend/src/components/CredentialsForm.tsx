@@ -0,0 +1,118 @@
+import React, { useState } from 'react';
+import { useLocation, useNavigate } from 'react-router-dom';
+import { credentials, type CredentialRejection } from '../services/credentials';
+import './ProductForm.css';
+
+export interface CredentialsLocationState {
+  from?: string;
+  reason?: CredentialRejection;
+}
+
+const CredentialsForm: React.FC = () => {
+  const navigate = useNavigate();
+  const location = useLocation();
+  const { from, reason } = (location.state as CredentialsLocationState | null) ?? {};
+
+  const [apiKey, setApiKey] = useState('');
+  const [validationError, setValidationError] = useState<string | null>(null);
+
+  const returnTo = from && from !== '/credentials' ? from : '/';
+
+  const handleSubmit = (e: React.FormEvent) => {
+    e.preventDefault();
+
+    const trimmed = apiKey.trim();
+    if (!trimmed) {
+      setValidationError('API key is required');
+      return;
+    }
+
+    // Mirrors the format check in ApiKeyAuthenticationHandler
+    if (trimmed.length < 10 || trimmed.length > 200 || !/^[A-Za-z0-9_-]+$/.test(trimmed)) {
+      setValidationError('API key must be 10-200 letters, numbers, hyphens or underscores');
+      return;
+    }
+
+    credentials.setApiKey(trimmed);
+    navigate(returnTo, { replace: true });
+  };
+
+  const handleClear = () => {
+    credentials.clearApiKey();
+    setApiKey('');
+    setValidationError(null);
+  };
+
+  const handleCancel = () => {
+    navigate(returnTo);
+  };
+
+  return (
+    <div className="product-form" data-testid="credentials-form">
+      <div className="form-header">
+        <h1 data-testid="credentials-title">API Credentials</h1>
+      </div>
+
+      {reason === 401 && (
+        <div className="error" data-testid="credentials-reason">
+          Your session is not authenticated. Please enter a valid API key to continue.
+        </div>
+      )}
+      {reason === 403 && (
+        <div className="error" data-testid="credentials-reason">
+          Your API key is not allowed to perform this action. Please enter a different API key.
+        </div>
+      )}
+
+      <form onSubmit={handleSubmit} className="form" data-testid="credentials-form-element">
+        <div className="form-group">
+          <label htmlFor="apiKey">API Key *</label>
+          <input
+            type="password"
+            id="apiKey"
+            name="apiKey"
+            value={apiKey}
+            onChange={(e) => {
+              setApiKey(e.target.value);
+              setValidationError(null);
+            }}
+            className={validationError ? 'error' : ''}
+            placeholder="Enter API key"
+            autoComplete="off"
+            data-testid="api-key-input"
+          />
+          {validationError && <span className="field-error" data-testid="api-key-error">{validationError}</span>}
+          <span className="field-note" data-testid="api-key-status">
+            {credentials.hasStoredApiKey()
+              ? 'An API key is saved in this browser.'
+              : 'No API key saved; the configured default is used if there is one.'}
+          </span>
+        </div>
+
+        <div className="form-actions">
+          <button
+            type="button"
+            onClick={handleClear}
+            className="btn btn-secondary"
+            data-testid="clear-api-key-btn"
+          >
+            Forget Key
+          </button>
+          <button
+            type="button"
+            onClick={handleCancel}
+            className="btn btn-secondary"
+            data-testid="cancel-credentials-btn"
+          >
+            Cancel
+          </button>
+          <button type="submit" className="btn btn-primary" data-testid="save-api-key-btn">
+            Save
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default CredentialsForm;
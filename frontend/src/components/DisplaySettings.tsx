@@ -0,0 +1,42 @@
+import React from 'react';
+import { CURRENCIES, LOCALES, preferences } from '../services/preferences';
+import { usePreferences } from '../hooks/usePreferences';
+import { useTranslation } from '../hooks/useTranslation';
+import './DisplaySettings.css';
+
+// Locale and currency pickers; the choice is remembered and applies to every price and date shown
+const DisplaySettings: React.FC = () => {
+  const { locale, currency } = usePreferences();
+  const { t } = useTranslation();
+
+  return (
+    <div className="display-settings" data-testid="display-settings">
+      <label>
+        {t('settings.locale')}
+        <select
+          value={locale}
+          onChange={(e) => preferences.update({ locale: e.target.value })}
+          data-testid="locale-select"
+        >
+          {LOCALES.map((option) => (
+            <option key={option.value} value={option.value}>{option.label}</option>
+          ))}
+        </select>
+      </label>
+      <label>
+        {t('settings.currency')}
+        <select
+          value={currency}
+          onChange={(e) => preferences.update({ currency: e.target.value })}
+          data-testid="currency-select"
+        >
+          {CURRENCIES.map((option) => (
+            <option key={option.value} value={option.value}>{option.label}</option>
+          ))}
+        </select>
+      </label>
+    </div>
+  );
+};
+
+export default DisplaySettings;
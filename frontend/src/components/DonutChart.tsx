@@ -0,0 +1,67 @@
+import React from 'react';
+import './Charts.css';
+
+export interface DonutSegment {
+  label: string;
+  value: number;
+  className: string;
+}
+
+interface DonutChartProps {
+  title: string;
+  segments: DonutSegment[];
+  centerLabel: string;
+  testId: string;
+}
+
+// A circle with a circumference of 100 lets each segment's dash length be its percentage
+const RADIUS = 100 / (2 * Math.PI);
+
+// Donut chart drawn as SVG, with a legend listing each segment's count and share
+const DonutChart: React.FC<DonutChartProps> = ({ title, segments, centerLabel, testId }) => {
+  const total = segments.reduce((sum, segment) => sum + segment.value, 0);
+  let offset = 0;
+
+  return (
+    <figure className="donut-chart" data-testid={testId}>
+      <svg className="chart" viewBox="0 0 42 42" role="img" aria-label={title}>
+        <circle className="donut-track" cx="21" cy="21" r={RADIUS} />
+        {total > 0 && segments.map((segment) => {
+          const percent = (segment.value / total) * 100;
+          const circle = (
+            <circle
+              key={segment.label}
+              className={`donut-segment ${segment.className}`}
+              cx="21"
+              cy="21"
+              r={RADIUS}
+              strokeDasharray={`${percent} ${100 - percent}`}
+              // Start at 12 o'clock and run clockwise
+              strokeDashoffset={25 - offset}
+            >
+              <title>{`${segment.label}: ${segment.value}`}</title>
+            </circle>
+          );
+          offset += percent;
+          return circle;
+        })}
+        <text className="donut-center" x="21" y="21" textAnchor="middle" dominantBaseline="middle">
+          {centerLabel}
+        </text>
+      </svg>
+      <figcaption>
+        <ul className="chart-legend">
+          {segments.map((segment) => (
+            <li key={segment.label} data-testid={`${testId}-legend-${segment.className}`}>
+              <span className={`legend-swatch ${segment.className}`} />
+              {segment.label}: <strong>{segment.value}</strong>
+              {total > 0 && <span className="legend-share"> ({Math.round((segment.value / total) * 100)}%)</span>}
+            </li>
+          ))}
+        </ul>
+      </figcaption>
+    </figure>
+  );
+};
+
+export default DonutChart;
@@ -0,0 +1,32 @@
+import React from 'react';
+import './ErrorBanner.css';
+
+interface ErrorBannerProps {
+  message: string;
+  // Further messages from the server, listed under the main message
+  details?: string[];
+  // Server trace id, shown so the user can quote it when reporting the problem
+  traceId?: string;
+  testId: string;
+}
+
+// Error banner for failed requests, with the server's messages and trace id when it sent them
+const ErrorBanner: React.FC<ErrorBannerProps> = ({ message, details = [], traceId, testId }) => {
+  return (
+    <div className="error error-banner" role="alert" data-testid={testId}>
+      <span>{message}</span>
+      {details.length > 0 && (
+        <ul className="error-details" data-testid={`${testId}-details`}>
+          {details.map((detail) => <li key={detail}>{detail}</li>)}
+        </ul>
+      )}
+      {traceId && (
+        <span className="error-trace-id" data-testid={`${testId}-trace-id`}>
+          Reference: <code>{traceId}</code>
+        </span>
+      )}
+    </div>
+  );
+};
+
+export default ErrorBanner;
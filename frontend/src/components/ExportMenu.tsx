@@ -0,0 +1,105 @@
+import React, { useEffect, useRef, useState } from 'react';
+import type { ProductQuery } from '../types/Product';
+import { getErrorMessage, isCredentialError } from '../services/apiClient';
+import {
+  EXPORT_FORMATS,
+  downloadBlob,
+  exportProducts,
+  getExportFileName,
+  type ExportFormat,
+  type ExportProgress,
+} from '../services/productExport';
+import { useLocaleFormat } from '../hooks/usePreferences';
+import './ExportMenu.css';
+
+interface ExportMenuProps {
+  // The query behind the current view; every page of it is exported
+  query: ProductQuery;
+}
+
+const ExportMenu: React.FC<ExportMenuProps> = ({ query }) => {
+  const [open, setOpen] = useState(false);
+  const [progress, setProgress] = useState<ExportProgress | null>(null);
+  const [error, setError] = useState<string | null>(null);
+  const controllerRef = useRef<AbortController | null>(null);
+  const { formatNumber } = useLocaleFormat();
+
+  // Stop fetching pages if the list is left mid-export
+  useEffect(() => {
+    return () => controllerRef.current?.abort();
+  }, []);
+
+  const handleExport = async (format: ExportFormat) => {
+    const controller = new AbortController();
+    controllerRef.current = controller;
+    setOpen(false);
+    setError(null);
+    setProgress({ exported: 0, total: 0 });
+
+    try {
+      const blob = await exportProducts(query, format, { signal: controller.signal, onProgress: setProgress });
+      downloadBlob(blob, getExportFileName(format));
+    } catch (err) {
+      if (!controller.signal.aborted && !isCredentialError(err)) {
+        setError(`Export failed: ${getErrorMessage(err)}`);
+      }
+      if (!controller.signal.aborted) {
+        console.error('Error exporting products:', err);
+      }
+    } finally {
+      if (controllerRef.current === controller) {
+        controllerRef.current = null;
+        setProgress(null);
+      }
+    }
+  };
+
+  const handleCancel = () => {
+    controllerRef.current?.abort();
+    controllerRef.current = null;
+    setProgress(null);
+  };
+
+  if (progress) {
+    return (
+      <div className="export-menu" data-testid="export-menu">
+        <span className="export-status" role="status" data-testid="export-progress">
+          Exporting {formatNumber(progress.exported)}
+          {progress.total > 0 && ` of ${formatNumber(progress.total)}`}…
+        </span>
+        <button type="button" className="btn btn-small btn-secondary" onClick={handleCancel} data-testid="export-cancel-btn">
+          Cancel
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="export-menu" data-testid="export-menu">
+      <button
+        type="button"
+        className="btn btn-secondary"
+        aria-haspopup="menu"
+        aria-expanded={open}
+        onClick={() => setOpen((prev) => !prev)}
+        data-testid="export-btn"
+      >
+        Export ▾
+      </button>
+      {open && (
+        <ul className="export-options" role="menu">
+          {EXPORT_FORMATS.map(({ format, label }) => (
+            <li key={format} role="none">
+              <button type="button" role="menuitem" onClick={() => handleExport(format)} data-testid={`export-${format}`}>
+                {label}
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+      {error && <span className="export-error" role="alert" data-testid="export-error">{error}</span>}
+    </div>
+  );
+};
+
+export default ExportMenu;
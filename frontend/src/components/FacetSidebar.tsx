@@ -0,0 +1,115 @@
+import React, { useMemo } from 'react';
+import type { ProductFacets, TagFacet } from '../types/Product';
+import { useTranslation } from '../hooks/useTranslation';
+import { categoryDepths } from '../utils/categoryTree';
+import './FacetSidebar.css';
+
+interface FacetSidebarProps {
+  // Counts for the products matching the current search and filters; undefined until they load
+  facets?: ProductFacets;
+  // The counts could not be loaded, e.g. while offline
+  failed: boolean;
+  categoryId?: number;
+  tags: string[];
+  onSelectCategory: (categoryId: number | undefined) => void;
+  onToggleTag: (tag: string) => void;
+  onClear: () => void;
+}
+
+// Product counts per category and tag; picking one narrows the product list
+const FacetSidebar: React.FC<FacetSidebarProps> = ({
+  facets,
+  failed,
+  categoryId,
+  tags,
+  onSelectCategory,
+  onToggleTag,
+  onClear,
+}) => {
+  const { t } = useTranslation();
+  const categories = useMemo(() => facets?.categories ?? [], [facets]);
+  const depths = useMemo(() => categoryDepths(categories), [categories]);
+
+  // Picked tags stay listed even when nothing matches any more, so they can be unpicked
+  const tagFacets: TagFacet[] = [
+    ...(facets?.tags ?? []),
+    ...tags.filter((tag) => !facets?.tags.some((facet) => facet.tag === tag)).map((tag) => ({ tag, count: 0 })),
+  ];
+
+  const countLabel = (count: number) => t('productList.facets.count', { count });
+
+  return (
+    <aside className="facet-sidebar" aria-label={t('productList.facets.title')} data-testid="facet-sidebar">
+      {failed && !facets && <p className="facet-note" data-testid="facets-error">{t('productList.facets.error')}</p>}
+
+      {categories.length > 0 && (
+        <section className="facet-group">
+          <h2>{t('productList.facets.categories')}</h2>
+          <ul className="facet-list">
+            {categories.map((category) => {
+              const active = category.id === categoryId;
+              return (
+                <li key={category.id} style={{ paddingLeft: `${(depths.get(category.id) ?? 0) * 12}px` }}>
+                  <button
+                    type="button"
+                    className={`facet${active ? ' active' : ''}`}
+                    aria-pressed={active}
+                    onClick={() => onSelectCategory(active ? undefined : category.id)}
+                    title={countLabel(category.count)}
+                    data-testid={`facet-category-${category.id}`}
+                  >
+                    <span className="facet-name">{category.name}</span>
+                    <span className="facet-count">{category.count}</span>
+                  </button>
+                </li>
+              );
+            })}
+            {(facets?.uncategorizedCount ?? 0) > 0 && (
+              <li className="facet-uncategorized" title={countLabel(facets?.uncategorizedCount ?? 0)} data-testid="facet-uncategorized">
+                <span className="facet-name">{t('productList.facets.uncategorized')}</span>
+                <span className="facet-count">{facets?.uncategorizedCount}</span>
+              </li>
+            )}
+          </ul>
+        </section>
+      )}
+
+      {facets && (
+        <section className="facet-group">
+          <h2>{t('productList.facets.tags')}</h2>
+          {tagFacets.length === 0 ? (
+            <p className="facet-note">{t('productList.facets.noTags')}</p>
+          ) : (
+            <ul className="facet-tags">
+              {tagFacets.map(({ tag, count }) => {
+                const active = tags.includes(tag);
+                return (
+                  <li key={tag}>
+                    <button
+                      type="button"
+                      className={`facet-tag${active ? ' active' : ''}`}
+                      aria-pressed={active}
+                      onClick={() => onToggleTag(tag)}
+                      title={countLabel(count)}
+                      data-testid={`facet-tag-${tag}`}
+                    >
+                      {tag} <span className="facet-count">{count}</span>
+                    </button>
+                  </li>
+                );
+              })}
+            </ul>
+          )}
+        </section>
+      )}
+
+      {(categoryId !== undefined || tags.length > 0) && (
+        <button type="button" className="btn btn-small btn-secondary" onClick={onClear} data-testid="clear-facets-btn">
+          {t('productList.facets.clear')}
+        </button>
+      )}
+    </aside>
+  );
+};
+
+export default FacetSidebar;
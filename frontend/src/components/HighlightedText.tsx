@@ -0,0 +1,29 @@
+import React from 'react';
+
+interface HighlightedTextProps {
+  text: string;
+  term?: string;
+}
+
+const escapeRegExp = (value: string) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Renders text with every case-insensitive occurrence of `term` wrapped in <mark>
+const HighlightedText: React.FC<HighlightedTextProps> = ({ text, term }) => {
+  const trimmed = term?.trim();
+  if (!trimmed) {
+    return <>{text}</>;
+  }
+
+  const parts = text.split(new RegExp(`(${escapeRegExp(trimmed)})`, 'gi'));
+  return (
+    <>
+      {parts.map((part, index) =>
+        index % 2 === 1
+          ? <mark key={index} className="search-highlight">{part}</mark>
+          : <React.Fragment key={index}>{part}</React.Fragment>
+      )}
+    </>
+  );
+};
+
+export default HighlightedText;
@@ -0,0 +1,199 @@
+import React, { useRef, useState } from 'react';
+import type { ProductImagesState, RejectedImage } from '../hooks/useProductImages';
+import { useTranslation } from '../hooks/useTranslation';
+import { isCredentialError } from '../services/apiClient';
+import { productService } from '../services/productService';
+import { imageLimits } from '../utils/imageValidation';
+import './ImagePicker.css';
+
+interface ImagePickerProps {
+  images: ProductImagesState;
+  // Adding images needs the API, so they cannot be picked offline or while the product saves
+  disabled: boolean;
+  // Set while offline, to explain why adding images is disabled
+  offline: boolean;
+}
+
+// Drop or choose product images, preview them and pick the one shown in lists
+const ImagePicker: React.FC<ImagePickerProps> = ({ images, disabled, offline }) => {
+  const { t } = useTranslation();
+  const inputRef = useRef<HTMLInputElement>(null);
+  const [dragging, setDragging] = useState(false);
+  const { saved, pending } = images;
+  // Images picked for a saved product upload straight away, so only a new product's are chosen from before saving
+  const pendingPrimary = images.primaryKey ?? pending[0]?.key;
+
+  const addFiles = (files: FileList | null) => {
+    if (files && files.length > 0 && !disabled) {
+      void images.add(Array.from(files));
+    }
+  };
+
+  const handleDragOver = (e: React.DragEvent) => {
+    e.preventDefault();
+    e.dataTransfer.dropEffect = disabled ? 'none' : 'copy';
+    setDragging(!disabled);
+  };
+
+  const handleDrop = (e: React.DragEvent) => {
+    e.preventDefault();
+    setDragging(false);
+    addFiles(e.dataTransfer.files);
+  };
+
+  const handleFileChange = (e: React.ChangeEvent<HTMLInputElement>) => {
+    addFiles(e.target.files);
+    // Lets the same file be picked again after it was removed
+    e.target.value = '';
+  };
+
+  const handleRemove = (image: ProductImagesState['saved'][number]) => {
+    if (window.confirm(t('productForm.images.confirmRemove', { name: image.fileName }))) {
+      void images.remove(image);
+    }
+  };
+
+  const describeRejection = ({ fileName, problem }: RejectedImage) => {
+    switch (problem) {
+      case 'type':
+        return t('productForm.images.rejected.type', { name: fileName });
+      case 'size':
+        return t('productForm.images.rejected.size', { name: fileName, max: imageLimits.maxSizeInBytes / (1024 * 1024) });
+      case 'tooMany':
+        return t('productForm.images.rejected.tooMany', { name: fileName, max: imageLimits.maxImagesPerProduct });
+      default:
+        return t('productForm.images.rejected.unreadable', { name: fileName });
+    }
+  };
+
+  const failure = images.failure && !isCredentialError(images.failure.error) ? images.failure : null;
+  const failureMessages = {
+    upload: t('productForm.images.error.upload'),
+    remove: t('productForm.images.error.remove'),
+    primary: t('productForm.images.error.primary'),
+  };
+
+  return (
+    <div className="form-group image-picker" data-testid="image-picker">
+      <span className="image-picker-label">{t('productForm.images')}</span>
+      <div
+        className={`image-drop-zone${dragging ? ' dragging' : ''}${disabled ? ' disabled' : ''}`}
+        onDragOver={handleDragOver}
+        onDragLeave={() => setDragging(false)}
+        onDrop={handleDrop}
+        data-testid="image-drop-zone"
+      >
+        <p>{t(offline ? 'productForm.images.offline' : 'productForm.images.dropHint')}</p>
+        <button
+          type="button"
+          className="btn btn-small btn-secondary"
+          onClick={() => inputRef.current?.click()}
+          disabled={disabled}
+          data-testid="choose-images-btn"
+        >
+          {t('productForm.images.choose')}
+        </button>
+        <input
+          ref={inputRef}
+          type="file"
+          accept={imageLimits.contentTypes.join(',')}
+          multiple
+          hidden
+          onChange={handleFileChange}
+          disabled={disabled}
+          data-testid="image-file-input"
+        />
+        <span className="field-note">
+          {t('productForm.images.note', { max: imageLimits.maxImagesPerProduct, size: imageLimits.maxSizeInBytes / (1024 * 1024) })}
+        </span>
+      </div>
+
+      {images.rejected.length > 0 && (
+        <ul className="image-rejected" data-testid="image-rejected">
+          {images.rejected.map((rejection, index) => (
+            <li key={index} className="field-error">{describeRejection(rejection)}</li>
+          ))}
+        </ul>
+      )}
+      {failure && (
+        <span className="field-error" data-testid="image-error">{failureMessages[failure.action]}</span>
+      )}
+
+      {(saved.length > 0 || pending.length > 0) && (
+        <ul className="image-list" data-testid="image-list">
+          {saved.map((image) => (
+            <li key={image.id} className={image.isPrimary ? 'primary' : ''} data-testid={`image-item-${image.id}`}>
+              <img src={productService.thumbnailUrl(image.productId, image.id)} alt={image.fileName} />
+              <span className="image-name" title={image.fileName}>{image.fileName}</span>
+              <label className="image-primary">
+                <input
+                  type="radio"
+                  name="primaryImage"
+                  checked={image.isPrimary}
+                  onChange={() => void images.makePrimary(image)}
+                  disabled={disabled}
+                  data-testid={`image-primary-${image.id}`}
+                />
+                {t('productForm.images.primary')}
+              </label>
+              <button
+                type="button"
+                className="btn btn-small btn-danger"
+                onClick={() => handleRemove(image)}
+                disabled={disabled}
+                data-testid={`remove-image-${image.id}`}
+              >
+                {t('productForm.images.remove')}
+              </button>
+            </li>
+          ))}
+          {pending.map((image) => (
+            <li key={image.key} className={image.failed ? 'failed' : ''} data-testid={`image-item-${image.key}`}>
+              <img src={image.previewUrl} alt={image.fileName} />
+              <span className="image-name" title={image.fileName}>{image.fileName}</span>
+              {image.progress !== undefined ? (
+                <progress max={100} value={image.progress} aria-label={t('productForm.images.uploading', { name: image.fileName })}
+                  data-testid={`image-progress-${image.key}`} />
+              ) : images.waitForSave ? (
+                <label className="image-primary">
+                  <input
+                    type="radio"
+                    name="primaryImage"
+                    checked={image.key === pendingPrimary}
+                    onChange={() => images.choosePrimary(image.key)}
+                    disabled={disabled}
+                    data-testid={`image-primary-${image.key}`}
+                  />
+                  {t('productForm.images.primary')}
+                </label>
+              ) : null}
+              {image.failed && !images.waitForSave && (
+                <button
+                  type="button"
+                  className="btn btn-small btn-secondary"
+                  onClick={() => void images.retry(image.key)}
+                  disabled={disabled}
+                  data-testid={`retry-image-${image.key}`}
+                >
+                  {t('productForm.images.retry')}
+                </button>
+              )}
+              {image.progress === undefined && (
+                <button
+                  type="button"
+                  className="btn btn-small btn-danger"
+                  onClick={() => images.removePending(image.key)}
+                  data-testid={`remove-image-${image.key}`}
+                >
+                  {t('productForm.images.remove')}
+                </button>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default ImagePicker;
@@ -0,0 +1,180 @@
+import React, { useCallback, useEffect, useMemo, useState } from 'react';
+import { Link } from 'react-router-dom';
+import type { Product } from '../types/Product';
+import { productService } from '../services/productService';
+import { isCredentialError } from '../services/apiClient';
+import { useLocaleFormat } from '../hooks/usePreferences';
+import { getStockStatus, summarizeInventory } from '../utils/inventoryStats';
+import BarChart from './BarChart';
+import DonutChart from './DonutChart';
+import './ProductList.css';
+import './InventoryDashboard.css';
+
+const TOP_PRODUCT_COUNT = 10;
+
+const InventoryDashboard: React.FC = () => {
+  const [products, setProducts] = useState<Product[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+
+  const loadProducts = useCallback(async (isCancelled: () => boolean = () => false) => {
+    setLoading(true);
+    setError(null);
+    try {
+      const loaded = await productService.getAllProducts();
+      if (!isCancelled()) {
+        setProducts(loaded);
+      }
+    } catch (err) {
+      if (!isCancelled() && !isCredentialError(err)) {
+        setError('Failed to load inventory data.');
+      }
+      console.error('Error loading inventory data:', err);
+    } finally {
+      if (!isCancelled()) {
+        setLoading(false);
+      }
+    }
+  }, []);
+
+  useEffect(() => {
+    let cancelled = false;
+    loadProducts(() => cancelled);
+    return () => {
+      cancelled = true;
+    };
+  }, [loadProducts]);
+
+  const summary = useMemo(() => summarizeInventory(products, TOP_PRODUCT_COUNT), [products]);
+
+  const { formatPrice, formatNumber: formatCount } = useLocaleFormat();
+
+  if (loading && products.length === 0) {
+    return <div className="loading">Loading dashboard...</div>;
+  }
+
+  const inStockCount = summary.productCount - summary.lowStockCount - summary.outOfStockCount;
+
+  return (
+    <div className="inventory-dashboard" data-testid="inventory-dashboard">
+      <div className="header">
+        <h1>Inventory Dashboard</h1>
+        <div className="header-actions">
+          <button
+            type="button"
+            className="btn btn-secondary"
+            onClick={() => loadProducts()}
+            disabled={loading}
+            data-testid="dashboard-refresh-btn"
+          >
+            {loading ? 'Refreshing...' : 'Refresh'}
+          </button>
+          <Link to="/" className="btn btn-secondary" data-testid="back-to-list-btn">
+            Back to products
+          </Link>
+        </div>
+      </div>
+
+      {error && <div className="error" data-testid="dashboard-error">{error}</div>}
+
+      <div className="summary-cards">
+        <div className="summary-card">
+          <span className="summary-label">Inventory value</span>
+          <strong data-testid="dashboard-total-value">{formatPrice(summary.totalValue)}</strong>
+          <span className="summary-detail">price × quantity in stock</span>
+        </div>
+        <div className="summary-card">
+          <span className="summary-label">Products</span>
+          <strong data-testid="dashboard-product-count">{formatCount(summary.productCount)}</strong>
+          <span className="summary-detail" data-testid="dashboard-total-units">{formatCount(summary.totalUnits)} units in stock</span>
+        </div>
+        <div className="summary-card summary-card-low">
+          <span className="summary-label">Low stock</span>
+          <strong data-testid="dashboard-low-stock-count">{formatCount(summary.lowStockCount)}</strong>
+          <span className="summary-detail">at or below reorder point</span>
+        </div>
+        <div className="summary-card summary-card-out">
+          <span className="summary-label">Out of stock</span>
+          <strong data-testid="dashboard-out-of-stock-count">{formatCount(summary.outOfStockCount)}</strong>
+          <span className="summary-detail">no units left</span>
+        </div>
+      </div>
+
+      <div className="dashboard-charts">
+        <section className="dashboard-panel" aria-labelledby="stock-status-title">
+          <h2 id="stock-status-title">Stock status</h2>
+          <DonutChart
+            title="Products by stock status"
+            centerLabel={formatCount(summary.productCount)}
+            testId="stock-status-chart"
+            segments={[
+              { label: 'In stock', value: inStockCount, className: 'stock-ok' },
+              { label: 'Low stock', value: summary.lowStockCount, className: 'stock-low' },
+              { label: 'Out of stock', value: summary.outOfStockCount, className: 'stock-out' },
+            ]}
+          />
+        </section>
+
+        <section className="dashboard-panel" aria-labelledby="top-value-title">
+          <h2 id="top-value-title">Top {TOP_PRODUCT_COUNT} products by value</h2>
+          {summary.topProductsByValue.length === 0 ? (
+            <p className="dashboard-empty">No products have stock on hand.</p>
+          ) : (
+            <BarChart
+              title={`Top ${TOP_PRODUCT_COUNT} products by inventory value`}
+              testId="top-value-chart"
+              items={summary.topProductsByValue.map(({ product, value }) => ({
+                label: product.name,
+                value,
+                displayValue: formatPrice(value),
+              }))}
+            />
+          )}
+        </section>
+      </div>
+
+      <section className="dashboard-panel" aria-labelledby="reorder-title">
+        <h2 id="reorder-title">Needs reordering ({summary.reorderProducts.length})</h2>
+        {summary.reorderProducts.length === 0 ? (
+          <p className="dashboard-empty" data-testid="reorder-empty">Every product is above its reorder point.</p>
+        ) : (
+          <table className="products-table" data-testid="reorder-table">
+            <thead>
+              <tr>
+                <th>Name</th>
+                <th>SKU</th>
+                <th>In Stock</th>
+                <th>Reorder Point</th>
+                <th>Reorder Quantity</th>
+                <th>Status</th>
+              </tr>
+            </thead>
+            <tbody>
+              {summary.reorderProducts.map((product) => {
+                const status = getStockStatus(product);
+                return (
+                  <tr key={product.id} data-testid={`reorder-row-${product.id}`}>
+                    <td>
+                      <Link to={`/product/${product.id}`} className="product-link">{product.name}</Link>
+                    </td>
+                    <td>{product.sku}</td>
+                    <td className="low-stock">{product.quantityInStock}</td>
+                    <td>{product.reorderPoint}</td>
+                    <td>{product.reorderQuantity || '—'}</td>
+                    <td>
+                      <span className={`stock-badge stock-badge-${status}`}>
+                        {status === 'out' ? 'Out of stock' : 'Low stock'}
+                      </span>
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        )}
+      </section>
+    </div>
+  );
+};
+
+export default InventoryDashboard;
@@ -0,0 +1,118 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import type { Product } from '../types/Product';
+import { productService } from '../services/productService';
+import { isCredentialError } from '../services/apiClient';
+import { canEncodeCode128 } from '../utils/code128';
+import Barcode, { type BarcodeFormat } from './Barcode';
+import './ProductList.css';
+import './LabelSheet.css';
+
+// Product IDs from the ?ids=1,2,3 parameter, in order and without duplicates
+const parseIds = (value: string | null): number[] => {
+  const ids = (value ?? '').split(',').map((part) => Number(part.trim()));
+  return Array.from(new Set(ids.filter((id) => Number.isInteger(id) && id > 0)));
+};
+
+// Printable sheet of SKU labels for the products selected in the list
+const LabelSheet: React.FC = () => {
+  const [searchParams] = useSearchParams();
+  const idsParam = searchParams.get('ids');
+  const ids = useMemo(() => parseIds(idsParam), [idsParam]);
+
+  const [products, setProducts] = useState<Product[]>([]);
+  const [missingCount, setMissingCount] = useState(0);
+  const [loading, setLoading] = useState(true);
+  const [format, setFormat] = useState<BarcodeFormat>('code128');
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const load = async () => {
+      setLoading(true);
+      const results = await Promise.allSettled(ids.map((id) => productService.getProductById(id)));
+      if (cancelled) {
+        return;
+      }
+      const loaded: Product[] = [];
+      results.forEach((result) => {
+        if (result.status === 'fulfilled') {
+          loaded.push(result.value);
+        } else if (!isCredentialError(result.reason)) {
+          console.error('Error loading product for label:', result.reason);
+        }
+      });
+      setProducts(loaded);
+      setMissingCount(ids.length - loaded.length);
+      setLoading(false);
+    };
+
+    load();
+    return () => {
+      cancelled = true;
+    };
+  }, [ids]);
+
+  if (loading) {
+    return <div className="loading">Loading labels...</div>;
+  }
+
+  return (
+    <div className="label-sheet" data-testid="label-sheet">
+      <div className="header label-sheet-controls">
+        <h1>Labels</h1>
+        <div className="header-actions">
+          <label className="label-format">
+            Format
+            <select value={format} onChange={(e) => setFormat(e.target.value as BarcodeFormat)} data-testid="label-format-select">
+              <option value="code128">Code 128 barcode</option>
+              <option value="qr">QR code</option>
+            </select>
+          </label>
+          <Link to="/" className="btn btn-secondary" data-testid="back-to-list-btn">
+            Back to products
+          </Link>
+          <button
+            type="button"
+            className="btn btn-primary"
+            onClick={() => window.print()}
+            disabled={products.length === 0}
+            data-testid="print-labels-btn"
+          >
+            Print
+          </button>
+        </div>
+      </div>
+
+      {missingCount > 0 && (
+        <div className="error label-sheet-controls" data-testid="label-sheet-error">
+          {missingCount} of the selected products could not be loaded and {missingCount === 1 ? 'is' : 'are'} left off the sheet.
+        </div>
+      )}
+
+      {ids.length === 0 ? (
+        <div className="no-products" data-testid="label-sheet-empty">
+          <p>No products selected. Select products in the list and choose "Print labels".</p>
+        </div>
+      ) : (
+        <div className="label-grid">
+          {products.map((product) => (
+            <div key={product.id} className="label" data-testid={`label-${product.id}`}>
+              <span className="label-name">{product.name}</span>
+              {format === 'code128' && !canEncodeCode128(product.sku) ? (
+                <span className="label-unsupported" data-testid={`label-unsupported-${product.id}`}>
+                  This SKU has characters Code 128 cannot encode; print it as a QR code.
+                </span>
+              ) : (
+                <Barcode value={product.sku} format={format} testId={`label-barcode-${product.id}`} />
+              )}
+              <span className="label-sku">{product.sku}</span>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default LabelSheet;
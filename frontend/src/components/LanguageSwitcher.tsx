@@ -0,0 +1,31 @@
+import React, { useEffect } from 'react';
+import { LANGUAGES, preferences, type Language } from '../services/preferences';
+import { useTranslation } from '../hooks/useTranslation';
+import './LanguageSwitcher.css';
+
+// Picks the language of the UI; the choice is remembered, and the page's lang attribute follows it so
+// screen readers and hyphenation use the right language
+const LanguageSwitcher: React.FC = () => {
+  const { t, language } = useTranslation();
+
+  useEffect(() => {
+    document.documentElement.lang = language;
+  }, [language]);
+
+  return (
+    <label className="language-switcher">
+      {t('settings.language')}
+      <select
+        value={language}
+        onChange={(e) => preferences.update({ language: e.target.value as Language })}
+        data-testid="language-select"
+      >
+        {LANGUAGES.map((option) => (
+          <option key={option.value} value={option.value} lang={option.value}>{option.label}</option>
+        ))}
+      </select>
+    </label>
+  );
+};
+
+export default LanguageSwitcher;
@@ -0,0 +1,385 @@
+import React, { useEffect, useState } from 'react';
+import { Link, useLocation, useParams } from 'react-router-dom';
+import axios from 'axios';
+import type { Product, ProductImage, ProductVersion, StockAdjustment } from '../types/Product';
+import { productService } from '../services/productService';
+import { isCredentialError, isNetworkError } from '../services/apiClient';
+import { offlineSync } from '../services/offlineSync';
+import { productQueries } from '../services/productQueries';
+import { useLocaleFormat } from '../hooks/usePreferences';
+import { buildHistory, diffText, type FieldChange } from '../utils/productHistory';
+import { formatDelta, getReasonLabel } from '../utils/stockAdjustments';
+import { isLowStock } from '../utils/inventoryStats';
+import AdjustStockDialog from './AdjustStockDialog';
+import './ProductList.css';
+import './ProductDetail.css';
+
+interface ProductDetailLocationState {
+  // Set by the edit form's "Adjust stock" link, which opens the dialog straight away
+  adjustStock?: boolean;
+}
+
+const ProductDetail: React.FC = () => {
+  // Reached either as /product/:id or, for scanners and deep links, as /sku/:sku
+  const { id, sku } = useParams<{ id?: string; sku?: string }>();
+  const location = useLocation();
+
+  const [product, setProduct] = useState<Product | null>(null);
+  const [history, setHistory] = useState<ProductVersion[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [notFound, setNotFound] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const [historyError, setHistoryError] = useState<string | null>(null);
+  const [adjustments, setAdjustments] = useState<StockAdjustment[]>([]);
+  const [adjustmentsError, setAdjustmentsError] = useState<string | null>(null);
+  const [showAdjustDialog, setShowAdjustDialog] = useState(
+    () => (location.state as ProductDetailLocationState | null)?.adjustStock ?? false,
+  );
+  const [images, setImages] = useState<ProductImage[]>([]);
+  // The image shown large in the gallery; the primary image until another is picked
+  const [selectedImageId, setSelectedImageId] = useState<number | null>(null);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const load = async () => {
+      setLoading(true);
+      setHistory([]);
+      setAdjustments([]);
+      setImages([]);
+      setSelectedImageId(null);
+      setNotFound(false);
+      setError(null);
+      setHistoryError(null);
+      setAdjustmentsError(null);
+
+      let loaded: Product;
+      try {
+        if (sku !== undefined) {
+          loaded = await productService.getProductBySku(sku);
+        } else {
+          const productId = Number(id);
+          // Products created offline have negative IDs until they are synced
+          const cached = Number.isInteger(productId) && productId < 0 ? await offlineSync.getCachedProduct(productId) : null;
+          if (cached) {
+            loaded = cached;
+          } else if (!Number.isInteger(productId) || productId <= 0) {
+            setNotFound(true);
+            setLoading(false);
+            return;
+          } else {
+            loaded = await productService.getProductById(productId);
+          }
+        }
+      } catch (err) {
+        if (cancelled) {
+          return;
+        }
+        // Offline: show the saved copy; the history and stock log below report that they could not be loaded
+        const cached = sku === undefined && isNetworkError(err) ? await offlineSync.getCachedProduct(Number(id)) : null;
+        if (!cached) {
+          if (axios.isAxiosError(err) && err.response?.status === 404) {
+            setNotFound(true);
+          } else if (!isCredentialError(err)) {
+            setError('Failed to load product.');
+          }
+          console.error('Error loading product:', err);
+          setLoading(false);
+          return;
+        }
+        loaded = cached;
+      }
+
+      if (cancelled) {
+        return;
+      }
+      setProduct(loaded);
+      setLoading(false);
+
+      // The history, stock log and images are secondary; the product stays visible if they cannot be loaded
+      const [versions, stockLog, gallery] = await Promise.allSettled([
+        productService.getProductHistory(loaded.id),
+        productService.getStockAdjustments(loaded.id),
+        productService.getProductImages(loaded.id),
+      ]);
+      if (cancelled) {
+        return;
+      }
+      if (versions.status === 'fulfilled') {
+        setHistory(versions.value);
+      } else {
+        setHistoryError('Failed to load change history.');
+        console.error('Error loading product history:', versions.reason);
+      }
+      if (stockLog.status === 'fulfilled') {
+        setAdjustments(stockLog.value);
+      } else {
+        setAdjustmentsError('Failed to load stock adjustments.');
+        console.error('Error loading stock adjustments:', stockLog.reason);
+      }
+      // Without its images the product is simply shown without a gallery
+      if (gallery.status === 'fulfilled') {
+        setImages(gallery.value);
+      } else {
+        console.error('Error loading product images:', gallery.reason);
+      }
+    };
+
+    load();
+    return () => {
+      cancelled = true;
+    };
+  }, [id, sku]);
+
+  const handleAdjusted = async (adjustment: StockAdjustment) => {
+    setShowAdjustDialog(false);
+    setProduct((current) => current && {
+      ...current,
+      quantityInStock: adjustment.quantityAfter,
+      updatedAt: adjustment.createdAt,
+    });
+    setAdjustments((current) => [adjustment, ...current]);
+    // Cached list pages still show the old stock level
+    void productQueries.invalidate();
+
+    // Each adjustment also records a product version
+    try {
+      setHistory(await productService.getProductHistory(adjustment.productId));
+      setHistoryError(null);
+    } catch (err) {
+      console.error('Error loading product history:', err);
+    }
+  };
+
+  const { formatPrice, formatDateTime } = useLocaleFormat();
+
+  const formatValue = (change: FieldChange, value: string | number) => {
+    return change.field === 'price' ? formatPrice(Number(value)) : String(value);
+  };
+
+  const renderChange = (change: FieldChange) => {
+    if (change.field === 'description') {
+      return (
+        <p className="text-diff" data-testid="description-diff">
+          {diffText(String(change.before), String(change.after)).map((part, index) => {
+            if (part.type === 'added') {
+              return <ins key={index}>{part.text}</ins>;
+            }
+            if (part.type === 'removed') {
+              return <del key={index}>{part.text}</del>;
+            }
+            return <span key={index}>{part.text}</span>;
+          })}
+        </p>
+      );
+    }
+
+    const delta = typeof change.before === 'number' && typeof change.after === 'number'
+      ? change.after - change.before
+      : null;
+    return (
+      <span className="value-change">
+        <del>{formatValue(change, change.before)}</del> → <ins>{formatValue(change, change.after)}</ins>
+        {delta !== null && change.field === 'quantityInStock' && (
+          <span className={`delta ${delta > 0 ? 'delta-up' : 'delta-down'}`}>
+            {delta > 0 ? `+${delta}` : delta}
+          </span>
+        )}
+      </span>
+    );
+  };
+
+  if (loading) {
+    return <div className="loading">Loading product...</div>;
+  }
+
+  if (notFound || !product) {
+    return (
+      <div className="product-detail" data-testid="product-detail">
+        {error && <div className="error" data-testid="product-detail-error">{error}</div>}
+        {notFound && (
+          <div className="no-products" data-testid="product-not-found">
+            <p>{sku !== undefined ? `No product found with SKU "${sku}".` : 'Product not found. It may have been deleted.'}</p>
+          </div>
+        )}
+        <Link to="/" className="btn btn-secondary" data-testid="back-to-list-btn">
+          Back to products
+        </Link>
+      </div>
+    );
+  }
+
+  const entries = buildHistory(history);
+  const shownImage = images.find((image) => image.id === selectedImageId)
+    ?? images.find((image) => image.isPrimary)
+    ?? images[0];
+
+  return (
+    <div className="product-detail" data-testid="product-detail">
+      <div className="header">
+        <div>
+          <h1 data-testid="product-detail-name">{product.name}</h1>
+          <span className="detail-sku" data-testid="product-detail-sku">{product.sku}</span>
+        </div>
+        <div className="header-actions">
+          <Link to="/" className="btn btn-secondary" data-testid="back-to-list-btn">
+            Back to products
+          </Link>
+          <button
+            type="button"
+            className="btn btn-secondary"
+            onClick={() => setShowAdjustDialog(true)}
+            data-testid="adjust-stock-btn"
+          >
+            Adjust stock
+          </button>
+          <Link to={`/product/${product.id}/edit`} className="btn btn-primary" data-testid="edit-product-btn">
+            Edit
+          </Link>
+        </div>
+      </div>
+
+      {shownImage && (
+        <section className="gallery" aria-label="Images" data-testid="product-gallery">
+          <img
+            className="gallery-image"
+            src={productService.imageUrl(product.id, shownImage.id)}
+            alt={shownImage.fileName}
+            width={shownImage.width}
+            height={shownImage.height}
+            data-testid="gallery-image"
+          />
+          {images.length > 1 && (
+            <ul className="gallery-thumbnails">
+              {images.map((image) => (
+                <li key={image.id}>
+                  <button
+                    type="button"
+                    className={image.id === shownImage.id ? 'selected' : ''}
+                    aria-pressed={image.id === shownImage.id}
+                    onClick={() => setSelectedImageId(image.id)}
+                    data-testid={`gallery-thumbnail-${image.id}`}
+                  >
+                    <img src={productService.thumbnailUrl(product.id, image.id)} alt={image.fileName} />
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </section>
+      )}
+
+      <dl className="detail-fields">
+        <div>
+          <dt>Price</dt>
+          <dd data-testid="product-detail-price">{formatPrice(product.price)}</dd>
+        </div>
+        <div>
+          <dt>Quantity in Stock</dt>
+          <dd className={isLowStock(product) ? 'low-stock' : ''} data-testid="product-detail-stock">
+            {product.quantityInStock}
+          </dd>
+        </div>
+        <div>
+          <dt>Reorder Point</dt>
+          <dd data-testid="product-detail-reorder-point">{product.reorderPoint}</dd>
+        </div>
+        <div>
+          <dt>Reorder Quantity</dt>
+          <dd data-testid="product-detail-reorder-quantity">{product.reorderQuantity || '—'}</dd>
+        </div>
+        <div>
+          <dt>Created</dt>
+          <dd title={product.createdAt} data-testid="product-detail-created">{formatDateTime(product.createdAt)}</dd>
+        </div>
+        <div>
+          <dt>Last Updated</dt>
+          <dd title={product.updatedAt} data-testid="product-detail-updated">{formatDateTime(product.updatedAt)}</dd>
+        </div>
+        <div className="detail-description">
+          <dt>Description</dt>
+          <dd data-testid="product-detail-description">{product.description || '—'}</dd>
+        </div>
+      </dl>
+
+      <section className="stock-log" aria-labelledby="stock-log-title">
+        <h2 id="stock-log-title">Stock Adjustments</h2>
+        {adjustmentsError && <div className="error" data-testid="adjustments-error">{adjustmentsError}</div>}
+        {!adjustmentsError && adjustments.length === 0 && (
+          <p className="history-empty" data-testid="adjustments-empty">No stock adjustments have been recorded for this product yet.</p>
+        )}
+        {adjustments.length > 0 && (
+          <table className="stock-log-table" data-testid="adjustment-log">
+            <thead>
+              <tr>
+                <th>Date</th>
+                <th>Reason</th>
+                <th>Change</th>
+                <th>Stock</th>
+                <th>Note</th>
+              </tr>
+            </thead>
+            <tbody>
+              {adjustments.map((adjustment) => (
+                <tr key={adjustment.id} data-testid={`adjustment-${adjustment.id}`}>
+                  <td>
+                    <time dateTime={adjustment.createdAt}>{formatDateTime(adjustment.createdAt)}</time>
+                  </td>
+                  <td>{getReasonLabel(adjustment.reason)}</td>
+                  <td className={`delta ${adjustment.delta > 0 ? 'delta-up' : 'delta-down'}`}>{formatDelta(adjustment.delta)}</td>
+                  <td>{adjustment.quantityBefore} → {adjustment.quantityAfter}</td>
+                  <td className="stock-log-note">{adjustment.note || '—'}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </section>
+
+      <section className="history" aria-labelledby="history-title">
+        <h2 id="history-title">Change History</h2>
+        {historyError && <div className="error" data-testid="history-error">{historyError}</div>}
+        {!historyError && entries.length === 0 && (
+          <p className="history-empty" data-testid="history-empty">No changes have been recorded for this product yet.</p>
+        )}
+        {entries.length > 0 && (
+          <ol className="timeline" data-testid="history-timeline">
+            {entries.map(({ version, changes }) => (
+              <li key={version.version} className="timeline-entry" data-testid={`history-version-${version.version}`}>
+                <div className="timeline-heading">
+                  <strong>Version {version.version}</strong>
+                  <span className="timeline-type">{version.changeType === 'created' ? 'Created' : 'Updated'}</span>
+                  <time dateTime={version.recordedAt}>{formatDateTime(version.recordedAt)}</time>
+                </div>
+                {version.changeType === 'created' || changes.length === 0 ? (
+                  <p className="timeline-summary">
+                    {formatPrice(version.price)} · {version.quantityInStock} in stock
+                  </p>
+                ) : (
+                  <ul className="timeline-changes">
+                    {changes.map((change) => (
+                      <li key={change.field} data-testid={`history-change-${version.version}-${change.field}`}>
+                        <span className="change-label">{change.label}</span>
+                        {renderChange(change)}
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </li>
+            ))}
+          </ol>
+        )}
+      </section>
+
+      {showAdjustDialog && (
+        <AdjustStockDialog
+          product={product}
+          onClose={() => setShowAdjustDialog(false)}
+          onAdjusted={handleAdjusted}
+        />
+      )}
+    </div>
+  );
+};
+
+export default ProductDetail;
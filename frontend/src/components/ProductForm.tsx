@@ -1,90 +1,199 @@
-import React, { useState, useEffect } from 'react';
-import { useNavigate, useParams } from 'react-router-dom';
-import type { CreateProductDto, UpdateProductDto } from '../types/Product';
-import { productService } from '../services/productService';
+import React, { useCallback, useEffect, useRef, useState } from 'react';
+import { Link, useLocation, useNavigate, useParams, useSearchParams } from 'react-router-dom';
+import type { CreateProductDto, Product, UpdateProductDto } from '../types/Product';
+import { isCredentialError } from '../services/apiClient';
+import { matchFieldErrors, parseApiError } from '../services/apiErrors';
+import { categoryKeys, categoryQueries } from '../services/categoryQueries';
+import { offlineSync } from '../services/offlineSync';
+import { productKeys, productQueries } from '../services/productQueries';
+import { useLocaleFormat } from '../hooks/usePreferences';
+import { useProductEvents } from '../hooks/useProductEvents';
+import { useProductImages } from '../hooks/useProductImages';
+import { useQuery } from '../hooks/useQuery';
+import { useSyncState } from '../hooks/useSyncState';
+import { useTranslation } from '../hooks/useTranslation';
+import {
+  PRODUCT_FORM_FIELDS,
+  parseOptionalCount,
+  parseTags,
+  validateProductValues,
+  validateTags,
+  type ProductFieldErrors,
+  type ProductFormValues,
+} from '../utils/productValidation';
+import { DEFAULT_REORDER_POINT } from '../utils/inventoryStats';
+import { numberSeparators } from '../utils/localeFormat';
+import {
+  buildConflicts,
+  getConflictProduct,
+  mergeValues,
+  toFormValues,
+  type ConflictChoice,
+  type EditableField,
+} from '../utils/productConflict';
+import ConflictResolver from './ConflictResolver';
+import ErrorBanner from './ErrorBanner';
+import ImagePicker from './ImagePicker';
 import './ProductForm.css';
 
+// An update rejected because the product changed after it was loaded
+interface EditConflict {
+  mine: ProductFormValues;
+  current: Product;
+}
+
+// A failure not tied to a single field, with the server's messages and trace id when it sent them
+interface FormError {
+  message: string;
+  details?: string[];
+  traceId?: string;
+}
+
+// A change someone else made to the product while it is open here
+interface RemoteChange {
+  type: 'updated' | 'deleted';
+  product?: Product;
+  // Set when the form had no edits of its own and now shows the other person's version
+  followed: boolean;
+}
+
+// Where the product is filed, as shown in the form; kept apart from the other values because edit
+// conflicts are only resolved field by field for those
+interface Classification {
+  // A category ID, or '' for none
+  categoryId: string;
+  // Comma-separated tags
+  tags: string;
+}
+
+const toClassification = (product: Product): Classification => ({
+  categoryId: product.categoryId ? String(product.categoryId) : '',
+  // Products cached offline before tags existed have none
+  tags: product.tags?.join(', ') ?? '',
+});
+
+// Passed in the route state when a new product was saved but some of its images were not
+interface ProductFormLocationState {
+  imageUploadFailed?: boolean;
+}
+
+const isNewer = (product: Product, updatedAt: string | undefined) => {
+  return updatedAt === undefined || Date.parse(product.updatedAt) > Date.parse(updatedAt);
+};
+
 const ProductForm: React.FC = () => {
   const navigate = useNavigate();
   const { id } = useParams<{ id: string }>();
   const isEditing = id !== 'new' && id !== undefined;
+  const productId = isEditing ? parseInt(id) : 0;
+  // Set when coming from a scan that found no product, e.g. /product/new?sku=LAPTOP-001
+  const [searchParams] = useSearchParams();
+  const location = useLocation();
+  const imageUploadFailed = (location.state as ProductFormLocationState | null)?.imageUploadFailed ?? false;
 
-  const [formData, setFormData] = useState({
+  const [formData, setFormData] = useState<ProductFormValues>({
     name: '',
     description: '',
-    sku: '',
+    sku: isEditing ? '' : searchParams.get('sku') ?? '',
     price: '',
     quantityInStock: '',
+    reorderPoint: String(DEFAULT_REORDER_POINT),
+    reorderQuantity: '',
   });
-  
-  const [loading, setLoading] = useState(false);
-  const [error, setError] = useState<string | null>(null);
-  const [validationErrors, setValidationErrors] = useState<Record<string, string>>({});
+  const [classification, setClassification] = useState<Classification>({ categoryId: '', tags: '' });
+  const [tagsError, setTagsError] = useState<string | undefined>(undefined);
 
-  useEffect(() => {
-    if (isEditing && id) {
-      loadProduct(parseInt(id));
-    }
-  }, [isEditing, id]);
+  const { t } = useTranslation();
+  const { locale, currencySymbol, formatNumberInput, parseNumber } = useLocaleFormat();
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState<FormError | null>(null);
+  const [validationErrors, setValidationErrors] = useState<ProductFieldErrors>({});
+  // The values the edit started from and the version they belong to, sent so the API can reject stale saves
+  const [originalValues, setOriginalValues] = useState<ProductFormValues | null>(null);
+  const [baseUpdatedAt, setBaseUpdatedAt] = useState<string | undefined>(undefined);
+  const [conflict, setConflict] = useState<EditConflict | null>(null);
+  const [remoteChange, setRemoteChange] = useState<RemoteChange | null>(null);
+  // Set once the user changes a field, after which newer versions of the product no longer replace the form
+  const edited = useRef(false);
+  // Images of a new product are uploaded once it is saved; an existing product's as soon as they are picked
+  const images = useProductImages(productId);
+  const { online } = useSyncState();
 
-  const loadProduct = async (productId: number) => {
-    try {
-      setLoading(true);
-      const product = await productService.getProductById(productId);
-      setFormData({
-        name: product.name,
-        description: product.description,
-        sku: product.sku,
-        price: product.price.toString(),
-        quantityInStock: product.quantityInStock.toString(),
-      });
-      setError(null);
-    } catch (err) {
-      setError('Failed to load product.');
-      console.error('Error loading product:', err);
-    } finally {
-      setLoading(false);
-    }
-  };
+  // The cached product, or the copy the list loaded, is shown at once while the current version is fetched
+  const { data: loadedProduct, error: loadError, isLoading } = useQuery(
+    productKeys.detail(productId),
+    () => productQueries.fetchProduct(productId),
+    { enabled: isEditing, placeholderData: () => productQueries.findListed(productId) },
+  );
+  // Shown in tree order with each category's full path, e.g. "Electronics › Audio"
+  const { data: categories = [] } = useQuery(categoryKeys.list, categoryQueries.fetchAll, { staleTime: 60_000 });
 
-  const validateForm = (): boolean => {
-    const errors: Record<string, string> = {};
+  // The price field is typed in the user's locale ("1.234,56" in de-DE); everything else, including
+  // conflict checks and saving, works with plain numbers ("1234.56")
+  const toDisplayValues = useCallback((values: ProductFormValues): ProductFormValues => {
+    const price = Number(values.price);
+    return values.price.trim() === '' || isNaN(price) ? values : { ...values, price: formatNumberInput(price) };
+  }, [formatNumberInput]);
 
-    if (!formData.name.trim()) {
-      errors.name = 'Product name is required';
-    }
+  const toPlainValues = (values: ProductFormValues): ProductFormValues => {
+    const price = parseNumber(values.price);
+    // Left as typed when it cannot be read, so validation reports it
+    return values.price.trim() === '' || isNaN(price) ? values : { ...values, price: String(price) };
+  };
 
-    if (!formData.sku.trim()) {
-      errors.sku = 'SKU is required';
-    }
+  // Continue editing on top of the given version of the product
+  const startFrom = useCallback((product: Product) => {
+    const values = toFormValues(product);
+    setFormData(toDisplayValues(values));
+    setClassification(toClassification(product));
+    setOriginalValues(values);
+    setBaseUpdatedAt(product.updatedAt);
+    edited.current = false;
+  }, [toDisplayValues]);
 
-    if (!formData.description.trim()) {
-      errors.description = 'Description is required';
+  useEffect(() => {
+    if (loadedProduct && !edited.current && isNewer(loadedProduct, baseUpdatedAt)) {
+      startFrom(loadedProduct);
     }
+  }, [loadedProduct, baseUpdatedAt, startFrom]);
 
-    const price = parseFloat(formData.price);
-    if (isNaN(price) || price <= 0) {
-      errors.price = 'Price must be greater than 0';
+  // Warn when someone else changes or deletes the product being edited. The cache already holds their
+  // version, so an untouched form follows it by itself; our own saves are ignored.
+  useProductEvents((change) => {
+    if (!isEditing || change.productId !== productId || saving) {
+      return;
     }
+    if (change.type === 'deleted') {
+      setRemoteChange({ type: 'deleted', followed: false });
+    } else if (change.type === 'updated' && change.product && isNewer(change.product, baseUpdatedAt)) {
+      setRemoteChange({ type: 'updated', product: change.product, followed: !edited.current });
+    }
+  });
 
-    const quantity = parseInt(formData.quantityInStock);
-    if (isNaN(quantity) || quantity < 0) {
-      errors.quantityInStock = 'Quantity cannot be negative';
+  useEffect(() => {
+    if (loadError) {
+      console.error('Error loading product:', loadError);
     }
+  }, [loadError]);
 
+  const validateForm = (values: ProductFormValues): boolean => {
+    const errors = validateProductValues(values);
+    const tagError = validateTags(parseTags(classification.tags));
     setValidationErrors(errors);
-    return Object.keys(errors).length === 0;
+    setTagsError(tagError);
+    return Object.keys(errors).length === 0 && !tagError;
   };
 
   const handleInputChange = (e: React.ChangeEvent<HTMLInputElement | HTMLTextAreaElement>) => {
     const { name, value } = e.target;
+    edited.current = true;
     setFormData(prev => ({
       ...prev,
       [name]: value,
     }));
     
     // Clear validation error for this field
-    if (validationErrors[name]) {
+    if (validationErrors[name as keyof ProductFieldErrors]) {
       setValidationErrors(prev => ({
         ...prev,
         [name]: '',
@@ -92,70 +201,208 @@ const ProductForm: React.FC = () => {
     }
   };
 
+  const handleClassificationChange = (e: React.ChangeEvent<HTMLInputElement | HTMLSelectElement>) => {
+    const { name, value } = e.target;
+    edited.current = true;
+    setClassification(prev => ({
+      ...prev,
+      [name]: value,
+    }));
+    if (name === 'tags') {
+      setTagsError(undefined);
+    }
+  };
+
   const handleSubmit = async (e: React.FormEvent) => {
     e.preventDefault();
     
-    if (!validateForm()) {
+    const values = toPlainValues(formData);
+    if (!validateForm(values)) {
       return;
     }
 
-    setLoading(true);
+    await saveProduct(values, classification, baseUpdatedAt);
+  };
+
+  const saveProduct = async (values: ProductFormValues, filedAs: Classification, expectedUpdatedAt: string | undefined) => {
+    setSaving(true);
     setError(null);
+    let rollback = () => {};
+    const categoryId = filedAs.categoryId ? Number(filedAs.categoryId) : undefined;
+    const tags = parseTags(filedAs.tags);
 
     try {
       if (isEditing && id) {
         const updateData: UpdateProductDto = {
-          name: formData.name,
-          description: formData.description,
-          price: parseFloat(formData.price),
-          quantityInStock: parseInt(formData.quantityInStock),
+          name: values.name,
+          description: values.description,
+          price: parseFloat(values.price),
+          // Stock is changed through adjustments, which keep a record of why; left out, the API keeps it
+          reorderPoint: parseOptionalCount(values.reorderPoint) ?? DEFAULT_REORDER_POINT,
+          reorderQuantity: parseOptionalCount(values.reorderQuantity) ?? 0,
+          // Left out, the API keeps the category, so choosing none asks for it to be cleared
+          categoryId,
+          clearCategory: categoryId === undefined,
+          tags,
+          expectedUpdatedAt,
         };
-        await productService.updateProduct(parseInt(id), updateData);
+        // Cached copies show the new values at once and go back if the API refuses them
+        rollback = productQueries.updateOptimistically(productId, updateData);
+        // Queued instead when offline
+        await offlineSync.updateProduct(productId, updateData);
       } else {
         const createData: CreateProductDto = {
-          name: formData.name,
-          description: formData.description,
-          sku: formData.sku,
-          price: parseFloat(formData.price),
-          quantityInStock: parseInt(formData.quantityInStock),
+          name: values.name,
+          description: values.description,
+          sku: values.sku,
+          price: parseFloat(values.price),
+          quantityInStock: parseInt(values.quantityInStock),
+          reorderPoint: parseOptionalCount(values.reorderPoint) ?? DEFAULT_REORDER_POINT,
+          reorderQuantity: parseOptionalCount(values.reorderQuantity) ?? 0,
+          categoryId,
+          tags,
         };
-        await productService.createProduct(createData);
+        const saved: { product?: Product } = {};
+        await offlineSync.createProduct(createData, (created) => {
+          saved.product = created;
+        });
+        // A product queued offline has no ID to attach images to yet; the picker is disabled while offline
+        if (saved.product && images.pending.length > 0) {
+          const failed = await images.uploadPending(saved.product.id);
+          if (failed > 0) {
+            // The product exists now, so the missing images are added on its edit page rather than by saving it again
+            navigate(`/product/${saved.product.id}/edit`, { replace: true, state: { imageUploadFailed: true } });
+            return;
+          }
+        }
       }
       
+      void productQueries.invalidate();
       navigate('/');
     } catch (err: unknown) {
-      if (err && typeof err === 'object' && 'response' in err && 
-          err.response && typeof err.response === 'object' && 'status' in err.response && 
-          err.response.status === 400) {
-        setError('Invalid data. Please check your input.');
+      rollback();
+      void productQueries.invalidate();
+      const current = isEditing ? getConflictProduct(err) : null;
+      if (current) {
+        // Someone else saved first; let the user merge instead of overwriting their change
+        setConflict({ mine: values, current });
+        setRemoteChange(null);
+      } else if (isCredentialError(err)) {
+        // The credentials screen takes over; no need for a generic failure message
+        setError(null);
       } else {
-        setError(`Failed to ${isEditing ? 'update' : 'create'} product.`);
+        const apiError = parseApiError(err);
+        if (apiError.status === 400) {
+          // Show each server-side validation message next to its input; the rest go in the banner
+          const { matched, unmatched } = matchFieldErrors(apiError, PRODUCT_FORM_FIELDS);
+          setValidationErrors(matched);
+          if (unmatched.length > 0 || Object.keys(matched).length === 0) {
+            setError({
+              message: t(unmatched.length > 0 ? 'productForm.error.notSaved' : 'productForm.error.invalid'),
+              details: unmatched,
+              traceId: apiError.traceId,
+            });
+          }
+        } else {
+          setError({ message: t(isEditing ? 'productForm.error.update' : 'productForm.error.create'), traceId: apiError.traceId });
+        }
       }
       console.error(`Error ${isEditing ? 'updating' : 'creating'} product:`, err);
     } finally {
-      setLoading(false);
+      setSaving(false);
+    }
+  };
+
+  // Save the chosen mix of values against the version that caused the conflict
+  const handleResolveConflict = async (choices: Record<EditableField, ConflictChoice>) => {
+    if (!conflict) {
+      return;
+    }
+    const theirs = toFormValues(conflict.current);
+    const merged = mergeValues(conflict.mine, theirs, choices);
+    // The category and tags chosen here are kept
+    const filedAs = classification;
+    startFrom(conflict.current);
+    setFormData(toDisplayValues(merged));
+    setClassification(filedAs);
+    edited.current = true;
+    setConflict(null);
+    await saveProduct(merged, filedAs, conflict.current.updatedAt);
+  };
+
+  // Drop the local edits and continue from the current version
+  const handleDiscardChanges = () => {
+    if (conflict) {
+      startFrom(conflict.current);
+      setConflict(null);
     }
   };
 
+  // Drop the local edits in favour of the version someone else just saved
+  const handleLoadRemoteChange = () => {
+    if (remoteChange?.product) {
+      startFrom(remoteChange.product);
+    }
+    setRemoteChange(null);
+  };
+
   const handleCancel = () => {
     navigate('/');
   };
 
-  if (loading && isEditing) {
-    return <div className="loading">Loading product...</div>;
+  if (isEditing && isLoading) {
+    return <div className="loading">{t('productForm.loading')}</div>;
   }
 
+  // A failed reload of a product already on screen is not worth interrupting the edit for
+  const shownError = error
+    ?? (loadError && !loadedProduct ? { message: t('productForm.error.load') } : null)
+    ?? (imageUploadFailed ? { message: t('productForm.images.error.afterCreate') } : null);
+
   return (
     <div className="product-form" data-testid="product-form">
       <div className="form-header">
-        <h1 data-testid="form-title">{isEditing ? 'Edit Product' : 'Create New Product'}</h1>
+        <h1 data-testid="form-title">{t(isEditing ? 'productForm.title.edit' : 'productForm.title.create')}</h1>
       </div>
 
-      {error && <div className="error" data-testid="form-error">{error}</div>}
+      {shownError && (
+        <ErrorBanner message={shownError.message} details={shownError.details} traceId={shownError.traceId} testId="form-error" />
+      )}
+
+      {remoteChange && (
+        <div className="remote-change-warning" role="alert" data-testid="remote-change-warning">
+          {remoteChange.type === 'deleted' ? (
+            <p>{t('productForm.remote.deleted')}</p>
+          ) : remoteChange.followed ? (
+            <p>{t('productForm.remote.followed')}</p>
+          ) : (
+            <p>{t('productForm.remote.changed')}</p>
+          )}
+          <div className="remote-change-actions">
+            {remoteChange.type === 'updated' && !remoteChange.followed && (
+              <button type="button" className="btn btn-secondary" onClick={handleLoadRemoteChange} data-testid="load-remote-change">
+                {t('productForm.remote.load')}
+              </button>
+            )}
+            <button type="button" className="btn btn-secondary" onClick={() => setRemoteChange(null)} data-testid="dismiss-remote-change">
+              {t('productForm.remote.dismiss')}
+            </button>
+          </div>
+        </div>
+      )}
+
+      {conflict && originalValues && (
+        <ConflictResolver
+          conflicts={buildConflicts(originalValues, conflict.mine, toFormValues(conflict.current))}
+          saving={saving}
+          onResolve={handleResolveConflict}
+          onDiscard={handleDiscardChanges}
+        />
+      )}
 
       <form onSubmit={handleSubmit} className="form" data-testid="product-form-element">
         <div className="form-group">
-          <label htmlFor="name">Product Name *</label>
+          <label htmlFor="name">{t('productForm.name')}</label>
           <input
             type="text"
             id="name"
@@ -163,14 +410,14 @@ const ProductForm: React.FC = () => {
             value={formData.name}
             onChange={handleInputChange}
             className={validationErrors.name ? 'error' : ''}
-            placeholder="Enter product name"
+            placeholder={t('productForm.namePlaceholder')}
             data-testid="product-name-input"
           />
           {validationErrors.name && <span className="field-error" data-testid="name-error">{validationErrors.name}</span>}
         </div>
 
         <div className="form-group">
-          <label htmlFor="sku">SKU *</label>
+          <label htmlFor="sku">{t('productForm.sku')}</label>
           <input
             type="text"
             id="sku"
@@ -179,22 +426,22 @@ const ProductForm: React.FC = () => {
             onChange={handleInputChange}
             disabled={isEditing} // SKU should not be editable
             className={validationErrors.sku ? 'error' : ''}
-            placeholder="Enter SKU"
+            placeholder={t('productForm.skuPlaceholder')}
             data-testid="product-sku-input"
           />
           {validationErrors.sku && <span className="field-error" data-testid="sku-error">{validationErrors.sku}</span>}
-          {isEditing && <span className="field-note">SKU cannot be changed</span>}
+          {isEditing && <span className="field-note">{t('productForm.skuLocked')}</span>}
         </div>
 
         <div className="form-group">
-          <label htmlFor="description">Description *</label>
+          <label htmlFor="description">{t('productForm.description')}</label>
           <textarea
             id="description"
             name="description"
             value={formData.description}
             onChange={handleInputChange}
             className={validationErrors.description ? 'error' : ''}
-            placeholder="Enter product description"
+            placeholder={t('productForm.descriptionPlaceholder')}
             rows={4}
             data-testid="product-description-input"
           />
@@ -203,23 +450,23 @@ const ProductForm: React.FC = () => {
 
         <div className="form-row">
           <div className="form-group">
-            <label htmlFor="price">Price * ($)</label>
+            <label htmlFor="price">{t('productForm.price', { currency: currencySymbol })}</label>
             <input
-              type="number"
+              type="text"
+              inputMode="decimal"
               id="price"
               name="price"
               value={formData.price}
               onChange={handleInputChange}
               className={validationErrors.price ? 'error' : ''}
-              placeholder="0.00"
-              step="0.01"
+              placeholder={`0${numberSeparators(locale).decimal}00`}
               data-testid="product-price-input"
             />
             {validationErrors.price && <span className="field-error" data-testid="price-error">{validationErrors.price}</span>}
           </div>
 
           <div className="form-group">
-            <label htmlFor="quantityInStock">Quantity in Stock *</label>
+            <label htmlFor="quantityInStock">{t('productForm.quantity')}</label>
             <input
               type="number"
               id="quantityInStock"
@@ -229,29 +476,110 @@ const ProductForm: React.FC = () => {
               className={validationErrors.quantityInStock ? 'error' : ''}
               placeholder="0"
               min="0"
+              readOnly={isEditing}
               data-testid="product-quantity-input"
             />
+            {isEditing && (
+              <span className="field-note">
+                {t('productForm.quantityLocked')}{' '}
+                <Link to={`/product/${productId}`} state={{ adjustStock: true }} data-testid="adjust-stock-link">
+                  {t('productForm.adjustStock')}
+                </Link>
+              </span>
+            )}
             {validationErrors.quantityInStock && <span className="field-error" data-testid="quantity-error">{validationErrors.quantityInStock}</span>}
           </div>
         </div>
 
+        <div className="form-row">
+          <div className="form-group">
+            <label htmlFor="reorderPoint">{t('productForm.reorderPoint')}</label>
+            <input
+              type="number"
+              id="reorderPoint"
+              name="reorderPoint"
+              value={formData.reorderPoint}
+              onChange={handleInputChange}
+              className={validationErrors.reorderPoint ? 'error' : ''}
+              placeholder={String(DEFAULT_REORDER_POINT)}
+              min="0"
+              data-testid="product-reorder-point-input"
+            />
+            {validationErrors.reorderPoint && <span className="field-error" data-testid="reorder-point-error">{validationErrors.reorderPoint}</span>}
+            <span className="field-note">{t('productForm.reorderPointNote')}</span>
+          </div>
+
+          <div className="form-group">
+            <label htmlFor="reorderQuantity">{t('productForm.reorderQuantity')}</label>
+            <input
+              type="number"
+              id="reorderQuantity"
+              name="reorderQuantity"
+              value={formData.reorderQuantity}
+              onChange={handleInputChange}
+              className={validationErrors.reorderQuantity ? 'error' : ''}
+              placeholder={t('productForm.reorderQuantityPlaceholder')}
+              min="0"
+              data-testid="product-reorder-quantity-input"
+            />
+            {validationErrors.reorderQuantity && <span className="field-error" data-testid="reorder-quantity-error">{validationErrors.reorderQuantity}</span>}
+            <span className="field-note">{t('productForm.reorderQuantityNote')}</span>
+          </div>
+        </div>
+
+        <div className="form-row">
+          <div className="form-group">
+            <label htmlFor="categoryId">{t('productForm.category')}</label>
+            <select
+              id="categoryId"
+              name="categoryId"
+              value={classification.categoryId}
+              onChange={handleClassificationChange}
+              data-testid="product-category-select"
+            >
+              <option value="">{t('productForm.noCategory')}</option>
+              {categories.map((category) => (
+                <option key={category.id} value={String(category.id)}>{category.path.join(' › ')}</option>
+              ))}
+            </select>
+          </div>
+
+          <div className="form-group">
+            <label htmlFor="tags">{t('productForm.tags')}</label>
+            <input
+              type="text"
+              id="tags"
+              name="tags"
+              value={classification.tags}
+              onChange={handleClassificationChange}
+              className={tagsError ? 'error' : ''}
+              placeholder={t('productForm.tagsPlaceholder')}
+              data-testid="product-tags-input"
+            />
+            {tagsError && <span className="field-error" data-testid="tags-error">{tagsError}</span>}
+            <span className="field-note">{t('productForm.tagsNote')}</span>
+          </div>
+        </div>
+
+        <ImagePicker images={images} disabled={saving || !online} offline={!online} />
+
         <div className="form-actions">
           <button
             type="button"
             onClick={handleCancel}
             className="btn btn-secondary"
-            disabled={loading}
+            disabled={saving}
             data-testid="cancel-btn"
           >
-            Cancel
+            {t('productForm.cancel')}
           </button>
           <button
             type="submit"
             className="btn btn-primary"
-            disabled={loading}
+            disabled={saving}
             data-testid="submit-btn"
           >
-            {loading ? 'Saving...' : (isEditing ? 'Update Product' : 'Create Product')}
+            {t(saving ? 'productForm.saving' : (isEditing ? 'productForm.submit.update' : 'productForm.submit.create'))}
           </button>
         </div>
       </form>
@@ -0,0 +1,374 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { productService } from '../services/productService';
+import { productQueries } from '../services/productQueries';
+import { getErrorMessage, isCredentialError } from '../services/apiClient';
+import type { BatchProgress } from '../services/batchOperations';
+import {
+  IMPORT_FIELDS,
+  buildImportRows,
+  commitImport,
+  guessColumnMapping,
+  isRowConflict,
+  isRowValid,
+  parseImportFile,
+  selectRowsToImport,
+  type ColumnMapping,
+  type ConflictStrategy,
+  type ImportField,
+  type ImportRow,
+  type ImportRowResult,
+  type ImportSource,
+} from '../services/productImport';
+import './ProductForm.css';
+import './ProductImport.css';
+
+type Step = 'upload' | 'map' | 'preview' | 'importing' | 'done';
+
+// Rendering every row of a large file makes the preview sluggish; problems are always listed first
+const PREVIEW_ROW_LIMIT = 200;
+
+const REQUIRED_FIELDS: ImportField[] = ['name', 'description', 'sku', 'price', 'quantityInStock'];
+
+const readFileAsText = (file: File) =>
+  new Promise<string>((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result as string);
+    reader.onerror = () => reject(new Error('The file could not be read.'));
+    reader.readAsText(file);
+  });
+
+const ProductImport: React.FC = () => {
+  const [step, setStep] = useState<Step>('upload');
+  const [fileName, setFileName] = useState('');
+  const [source, setSource] = useState<ImportSource | null>(null);
+  const [mapping, setMapping] = useState<ColumnMapping | null>(null);
+  const [rows, setRows] = useState<ImportRow[]>([]);
+  const [strategy, setStrategy] = useState<ConflictStrategy>('skip');
+  const [progress, setProgress] = useState<BatchProgress>({ completed: 0, total: 0 });
+  const [results, setResults] = useState<ImportRowResult[]>([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const handleFileChange = async (e: React.ChangeEvent<HTMLInputElement>) => {
+    const file = e.target.files?.[0];
+    if (!file) {
+      return;
+    }
+
+    try {
+      const parsed = parseImportFile(file.name, await readFileAsText(file));
+      if (parsed.records.length === 0) {
+        setError('The file does not contain any products.');
+        return;
+      }
+      setFileName(file.name);
+      setSource(parsed);
+      setMapping(guessColumnMapping(parsed.columns));
+      setError(null);
+      setStep('map');
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'The file could not be read.');
+    }
+  };
+
+  const handleMappingChange = (field: ImportField, column: string) => {
+    setMapping((prev) => (prev ? { ...prev, [field]: column } : prev));
+  };
+
+  const handlePreview = async () => {
+    if (!source || !mapping) {
+      return;
+    }
+
+    try {
+      setLoading(true);
+      // Existing SKUs are needed to detect conflicts before anything is written
+      const existing = await productService.getAllProducts();
+      setRows(buildImportRows(source, mapping, existing));
+      setError(null);
+      setStep('preview');
+    } catch (err) {
+      if (!isCredentialError(err)) {
+        setError(`Failed to load existing products: ${getErrorMessage(err)}`);
+      }
+      console.error('Error loading products for import:', err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleImport = async () => {
+    const toImport = selectRowsToImport(rows, strategy);
+    setStep('importing');
+    setProgress({ completed: 0, total: toImport.length });
+    setResults(await commitImport(toImport, setProgress));
+    setStep('done');
+    // The product list shows the new products next time it is opened
+    void productQueries.invalidate();
+  };
+
+  const handleStartOver = () => {
+    setStep('upload');
+    setFileName('');
+    setSource(null);
+    setMapping(null);
+    setRows([]);
+    setResults([]);
+    setError(null);
+  };
+
+  const invalidRows = rows.filter((row) => !isRowValid(row));
+  const conflictRows = rows.filter(isRowConflict);
+  const rowsToImport = selectRowsToImport(rows, strategy);
+  const blockedByConflicts = strategy === 'abort' && conflictRows.length > 0;
+  const missingRequired = mapping ? REQUIRED_FIELDS.filter((field) => !mapping[field]) : [];
+
+  // Show problem rows first so they are never cut off by the preview limit
+  const previewRows = [...invalidRows, ...conflictRows, ...rows.filter((row) => isRowValid(row) && !isRowConflict(row))]
+    .slice(0, PREVIEW_ROW_LIMIT);
+
+  const describeStatus = (row: ImportRow) => {
+    if (row.duplicateOfRow !== undefined) {
+      return `Duplicate of row ${row.duplicateOfRow}`;
+    }
+    const messages = Object.values(row.errors).filter(Boolean);
+    if (messages.length > 0) {
+      return messages.join('; ');
+    }
+    if (row.existing) {
+      return strategy === 'overwrite' ? 'Will overwrite existing product' : 'SKU already exists';
+    }
+    return 'Ready';
+  };
+
+  const failures = results.filter((result) => result.outcome === 'failed');
+  const progressPercent = progress.total === 0 ? 0 : Math.round((progress.completed / progress.total) * 100);
+
+  return (
+    <div className="product-import" data-testid="product-import">
+      <div className="form-header">
+        <h1 data-testid="import-title">Import Products</h1>
+      </div>
+
+      {error && <div className="error" data-testid="import-error">{error}</div>}
+
+      {step === 'upload' && (
+        <div className="import-step" data-testid="import-upload-step">
+          <p>
+            Choose a CSV file with a header row, or a JSON array of products. Columns are matched to product
+            fields on the next step.
+          </p>
+          <label htmlFor="import-file" className="import-file-label">File</label>
+          <input
+            type="file"
+            id="import-file"
+            accept=".csv,.json,text/csv,application/json"
+            onChange={handleFileChange}
+            data-testid="import-file-input"
+          />
+          <div className="form-actions">
+            <Link to="/" className="btn btn-secondary" data-testid="import-cancel-btn">
+              Cancel
+            </Link>
+          </div>
+        </div>
+      )}
+
+      {step === 'map' && source && mapping && (
+        <div className="import-step" data-testid="import-map-step">
+          <p>
+            <strong>{fileName}</strong>: {source.records.length} record{source.records.length === 1 ? '' : 's'} found.
+            Choose the column to use for each field.
+          </p>
+          <table className="import-table import-mapping">
+            <tbody>
+              {IMPORT_FIELDS.map(({ field, label }) => (
+                <tr key={field}>
+                  <th scope="row">
+                    <label htmlFor={`map-${field}`}>{label}{REQUIRED_FIELDS.includes(field) ? ' *' : ''}</label>
+                  </th>
+                  <td>
+                    <select
+                      id={`map-${field}`}
+                      value={mapping[field]}
+                      onChange={(e) => handleMappingChange(field, e.target.value)}
+                      data-testid={`map-${field}`}
+                    >
+                      <option value="">(not imported)</option>
+                      {source.columns.map((column) => (
+                        <option key={column} value={column}>{column}</option>
+                      ))}
+                    </select>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {missingRequired.length > 0 && (
+            <p className="field-note" data-testid="import-missing-fields">
+              Unmapped required fields will fail validation on every row.
+            </p>
+          )}
+          <div className="form-actions">
+            <button type="button" className="btn btn-secondary" onClick={handleStartOver} data-testid="import-back-btn">
+              Back
+            </button>
+            <button
+              type="button"
+              className="btn btn-primary"
+              onClick={handlePreview}
+              disabled={loading}
+              data-testid="import-preview-btn"
+            >
+              {loading ? 'Checking...' : 'Preview'}
+            </button>
+          </div>
+        </div>
+      )}
+
+      {step === 'preview' && (
+        <div className="import-step" data-testid="import-preview-step">
+          <p data-testid="import-preview-summary">
+            {rows.length} rows: {rows.length - invalidRows.length} valid, {invalidRows.length} with errors,{' '}
+            {conflictRows.length} conflicting with existing SKUs.
+          </p>
+
+          {conflictRows.length > 0 && (
+            <fieldset className="import-strategy" data-testid="import-strategy">
+              <legend>When a SKU already exists</legend>
+              {([
+                ['skip', 'Skip the row'],
+                ['overwrite', 'Overwrite the existing product'],
+                ['abort', 'Abort the import'],
+              ] as [ConflictStrategy, string][]).map(([value, label]) => (
+                <label key={value}>
+                  <input
+                    type="radio"
+                    name="conflict-strategy"
+                    value={value}
+                    checked={strategy === value}
+                    onChange={() => setStrategy(value)}
+                    data-testid={`strategy-${value}`}
+                  />
+                  {label}
+                </label>
+              ))}
+            </fieldset>
+          )}
+
+          <div className="import-table-container">
+            <table className="import-table" data-testid="import-preview-table">
+              <thead>
+                <tr>
+                  <th>Row</th>
+                  <th>Name</th>
+                  <th>SKU</th>
+                  <th>Price</th>
+                  <th>Stock</th>
+                  <th>Status</th>
+                </tr>
+              </thead>
+              <tbody>
+                {previewRows.map((row) => (
+                  <tr
+                    key={row.rowNumber}
+                    className={!isRowValid(row) ? 'row-invalid' : row.existing ? 'row-conflict' : ''}
+                    data-testid={`import-row-${row.rowNumber}`}
+                  >
+                    <td>{row.rowNumber}</td>
+                    <td>{row.values.name}</td>
+                    <td>{row.values.sku}</td>
+                    <td>{row.values.price}</td>
+                    <td>{row.values.quantityInStock}</td>
+                    <td data-testid={`import-row-status-${row.rowNumber}`}>{describeStatus(row)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          {rows.length > previewRows.length && (
+            <p className="field-note">Showing {previewRows.length} of {rows.length} rows.</p>
+          )}
+
+          {blockedByConflicts && (
+            <div className="error" data-testid="import-blocked">
+              The import will not run while {conflictRows.length} SKU{conflictRows.length === 1 ? '' : 's'} already exist.
+            </div>
+          )}
+
+          <div className="form-actions">
+            <button type="button" className="btn btn-secondary" onClick={() => setStep('map')} data-testid="import-back-btn">
+              Back
+            </button>
+            <button
+              type="button"
+              className="btn btn-primary"
+              onClick={handleImport}
+              disabled={rowsToImport.length === 0}
+              data-testid="import-commit-btn"
+            >
+              Import {rowsToImport.length} product{rowsToImport.length === 1 ? '' : 's'}
+            </button>
+          </div>
+        </div>
+      )}
+
+      {step === 'importing' && (
+        <div className="import-step">
+          <h2>Importing…</h2>
+          <div
+            className="import-progress"
+            role="progressbar"
+            aria-valuemin={0}
+            aria-valuemax={progress.total}
+            aria-valuenow={progress.completed}
+            data-testid="import-progress"
+          >
+            <div className="import-progress-bar" style={{ width: `${progressPercent}%` }} />
+          </div>
+          <p>{progress.completed} of {progress.total} processed</p>
+        </div>
+      )}
+
+      {step === 'done' && (
+        <div className="import-step" data-testid="import-done-step">
+          <p data-testid="import-result-summary">
+            {results.filter((result) => result.outcome === 'created').length} created,{' '}
+            {results.filter((result) => result.outcome === 'updated').length} updated, {failures.length} failed.
+          </p>
+          {failures.length > 0 && (
+            <table className="import-table" data-testid="import-failures">
+              <thead>
+                <tr>
+                  <th>Row</th>
+                  <th>SKU</th>
+                  <th>Reason</th>
+                </tr>
+              </thead>
+              <tbody>
+                {failures.map(({ row, error: reason }) => (
+                  <tr key={row.rowNumber} className="row-invalid" data-testid={`import-failure-${row.rowNumber}`}>
+                    <td>{row.rowNumber}</td>
+                    <td>{row.values.sku}</td>
+                    <td>{reason}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+          <div className="form-actions">
+            <button type="button" className="btn btn-secondary" onClick={handleStartOver} data-testid="import-again-btn">
+              Import another file
+            </button>
+            <Link to="/" className="btn btn-primary" data-testid="import-finish-btn">
+              Back to products
+            </Link>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ProductImport;
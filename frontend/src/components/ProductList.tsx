@@ -1,181 +1,615 @@
-import React, { useState, useEffect } from 'react';
-import { Link } from 'react-router-dom';
-import type { Product } from '../types/Product';
+import React, { useState, useEffect, useCallback, useMemo, useRef } from 'react';
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
+import type { Product, ProductSortField } from '../types/Product';
+import { isCredentialError } from '../services/apiClient';
+import { offlineSync } from '../services/offlineSync';
+import { productKeys, productQueries } from '../services/productQueries';
 import { productService } from '../services/productService';
+import { useDebouncedValue } from '../hooks/useDebouncedValue';
+import { useLocaleFormat } from '../hooks/usePreferences';
+import { useProductEvents } from '../hooks/useProductEvents';
+import { useQuery } from '../hooks/useQuery';
+import { useSyncState } from '../hooks/useSyncState';
+import { useTranslation } from '../hooks/useTranslation';
+import { isLowStock } from '../utils/inventoryStats';
+import HighlightedText from './HighlightedText';
+import BatchActions from './BatchActions';
+import ExportMenu from './ExportMenu';
+import FacetSidebar from './FacetSidebar';
+import {
+  PAGE_SIZE_OPTIONS,
+  EMPTY_FILTERS,
+  readListState,
+  writeListState,
+  toProductQuery,
+  toFacetQuery,
+  type ProductListState,
+  type ProductListFilters,
+} from '../utils/productListParams';
 import './ProductList.css';
 
+const SEARCH_DEBOUNCE_MS = 300;
+
+// How long cells changed by someone else stay highlighted
+const FLASH_MS = 1500;
+
+type FlashField = 'name' | 'sku' | 'description' | 'price' | 'quantityInStock';
+
+const FLASH_FIELDS: FlashField[] = ['name', 'sku', 'description', 'price', 'quantityInStock'];
+
 const ProductList: React.FC = () => {
-  const [products, setProducts] = useState<Product[]>([]);
-  const [loading, setLoading] = useState(true);
-  const [error, setError] = useState<string | null>(null);
-  const [searchTerm, setSearchTerm] = useState('');
+  const navigate = useNavigate();
+  const { t } = useTranslation();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const listState = useMemo(() => readListState(searchParams), [searchParams]);
+
+  const query = useMemo(() => toProductQuery(listState), [listState]);
+  // Cached pages show straight away and are refreshed in the background; while a new page, sort or
+  // search loads, the previous rows stay on screen
+  const { data, error: loadError, isLoading, isFetching, isPlaceholderData } = useQuery(
+    productKeys.list(query),
+    (signal) => productQueries.fetchPage(query, signal),
+    { keepPreviousData: true },
+  );
+  const facetQuery = useMemo(() => toFacetQuery(listState), [listState]);
+  const { data: facets, error: facetsError } = useQuery(
+    productKeys.facets(facetQuery),
+    (signal) => productQueries.fetchFacets(facetQuery, signal),
+    { keepPreviousData: true },
+  );
+  const products = data?.items ?? [];
+  const totalCount = data?.totalCount ?? 0;
+  const totalPages = data?.totalPages ?? 0;
+  // Set when the API could not be reached and the list comes from the offline cache
+  const showingCached = data?.fromCache ?? false;
+  // Failures of actions such as deleting; load failures come from the query
+  const [actionError, setActionError] = useState<string | null>(null);
+  const { queue, revision, cachedAt } = useSyncState();
+  const [searchTerm, setSearchTerm] = useState(listState.searchTerm);
+  const debouncedSearchTerm = useDebouncedValue(searchTerm, SEARCH_DEBOUNCE_MS);
+  // The last search term this component wrote to the URL, to tell typing apart from back/forward navigation
+  const writtenSearchTerm = useRef(listState.searchTerm);
+  const [filterDraft, setFilterDraft] = useState<ProductListFilters>(listState.filters);
+  const [selected, setSelected] = useState<Map<number, Product>>(new Map());
+  const selectAllRef = useRef<HTMLInputElement>(null);
+  // The cells of each row that just changed on the server
+  const [flashing, setFlashing] = useState<Map<number, Set<FlashField>>>(new Map());
+  const flashTimers = useRef(new Map<number, ReturnType<typeof setTimeout>>());
 
   useEffect(() => {
-    loadProducts();
+    const timers = flashTimers.current;
+    return () => timers.forEach((timer) => clearTimeout(timer));
   }, []);
 
-  const loadProducts = async () => {
-    try {
-      setLoading(true);
-      const data = await productService.getAllProducts();
-      setProducts(data);
-      setError(null);
-    } catch (err) {
-      setError('Failed to load products. Please make sure the API is running.');
-      console.error('Error loading products:', err);
-    } finally {
-      setLoading(false);
+  // Rows are updated in place from the event stream; highlight what changed so edits made elsewhere stand out
+  useProductEvents((change) => {
+    const { product, previous, productId } = change;
+    if (change.type !== 'updated' || !product || !previous) {
+      return;
     }
+    const fields = FLASH_FIELDS.filter((field) => product[field] !== previous[field]);
+    if (fields.length === 0) {
+      return;
+    }
+    setFlashing(prev => new Map(prev).set(productId, new Set(fields)));
+    clearTimeout(flashTimers.current.get(productId));
+    flashTimers.current.set(productId, setTimeout(() => {
+      flashTimers.current.delete(productId);
+      setFlashing(prev => {
+        const next = new Map(prev);
+        next.delete(productId);
+        return next;
+      });
+    }, FLASH_MS));
+  });
+
+  const cellClass = (product: Product, field: FlashField, className = '') => {
+    return (flashing.get(product.id)?.has(field) ? `${className} flash`.trim() : className) || undefined;
   };
 
-  const handleSearch = async () => {
-    if (!searchTerm.trim()) {
-      loadProducts();
+  // Keep the filter inputs in step with the URL (e.g. on browser back/forward)
+  useEffect(() => {
+    setFilterDraft(listState.filters);
+  }, [listState.filters]);
+
+  // Selection applies to the rows on screen, so start over when the page or query changes
+  useEffect(() => {
+    setSelected(new Map());
+  }, [listState]);
+
+  const updateListState = useCallback((changes: Partial<ProductListState>, replace = false) => {
+    setSearchParams((prev) => writeListState({ ...readListState(prev), ...changes }, prev), { replace });
+  }, [setSearchParams]);
+
+  const applySearchTerm = useCallback((term: string) => {
+    const trimmed = term.trim();
+    if (trimmed === writtenSearchTerm.current) {
       return;
     }
+    writtenSearchTerm.current = trimmed;
+    // Replace rather than push so each keystroke doesn't add a history entry
+    updateListState({ searchTerm: trimmed, page: 1 }, true);
+  }, [updateListState]);
 
-    try {
-      setLoading(true);
-      const data = await productService.searchProducts(searchTerm);
-      setProducts(data);
-      setError(null);
-    } catch (err) {
-      setError('Failed to search products.');
-      console.error('Error searching products:', err);
-    } finally {
-      setLoading(false);
+  // Search as the user types, once they pause. Only react to a new debounced value:
+  // applySearchTerm changes identity on every URL update.
+  const lastDebouncedSearchTerm = useRef(debouncedSearchTerm);
+  useEffect(() => {
+    if (debouncedSearchTerm === lastDebouncedSearchTerm.current) {
+      return;
+    }
+    lastDebouncedSearchTerm.current = debouncedSearchTerm;
+    applySearchTerm(debouncedSearchTerm);
+  }, [debouncedSearchTerm, applySearchTerm]);
+
+  // Pick up search terms that arrive through the URL (back/forward, shared links)
+  useEffect(() => {
+    if (listState.searchTerm !== writtenSearchTerm.current) {
+      writtenSearchTerm.current = listState.searchTerm;
+      setSearchTerm(listState.searchTerm);
+    }
+  }, [listState.searchTerm]);
+
+  // Step back when the current page no longer exists (e.g. after deleting its last product)
+  useEffect(() => {
+    if (data && !isPlaceholderData && data.items.length === 0 && data.totalPages > 0 && listState.page > data.totalPages) {
+      updateListState({ page: data.totalPages });
     }
+  }, [data, isPlaceholderData, listState.page, updateListState]);
+
+  useEffect(() => {
+    if (loadError) {
+      console.error('Error loading products:', loadError);
+    }
+  }, [loadError]);
+
+  // Reload once queued offline changes have reached the API
+  const seenRevision = useRef(revision);
+  useEffect(() => {
+    if (revision !== seenRevision.current) {
+      seenRevision.current = revision;
+      void productQueries.invalidate();
+    }
+  }, [revision]);
+
+  const loadErrorMessage = loadError && !isCredentialError(loadError)
+    ? t(listState.searchTerm ? 'productList.error.search' : 'productList.error.load')
+    : null;
+  const error = actionError ?? loadErrorMessage;
+
+  const handleSearch = () => {
+    applySearchTerm(searchTerm);
   };
 
   const handleClearSearch = () => {
     setSearchTerm('');
-    loadProducts();
+    applySearchTerm('');
+  };
+
+  const handleSort = (field: ProductSortField) => {
+    const sortDirection = listState.sortBy === field && listState.sortDirection === 'asc' ? 'desc' : 'asc';
+    updateListState({ sortBy: field, sortDirection, page: 1 });
+  };
+
+  const handleFilterChange = (e: React.ChangeEvent<HTMLInputElement>) => {
+    const { name, value } = e.target;
+    setFilterDraft(prev => ({
+      ...prev,
+      [name]: value,
+    }));
+  };
+
+  const handleApplyFilters = (e: React.FormEvent) => {
+    e.preventDefault();
+    updateListState({ filters: filterDraft, page: 1 });
   };
 
-  const handleDelete = async (id: number) => {
-    if (!window.confirm('Are you sure you want to delete this product?')) {
+  const handleResetFilters = () => {
+    setFilterDraft(EMPTY_FILTERS);
+    updateListState({ filters: EMPTY_FILTERS, page: 1 });
+  };
+
+  const handleSelectCategory = (categoryId: number | undefined) => {
+    updateListState({ categoryId, page: 1 });
+  };
+
+  const handleToggleTag = (tag: string) => {
+    const tags = listState.tags.includes(tag) ? listState.tags.filter((picked) => picked !== tag) : [...listState.tags, tag];
+    updateListState({ tags, page: 1 });
+  };
+
+  const handleClearFacets = () => {
+    updateListState({ categoryId: undefined, tags: [], page: 1 });
+  };
+
+  const handleDelete = async (product: Product) => {
+    if (!window.confirm(t('productList.confirmDelete'))) {
       return;
     }
 
+    setActionError(null);
+    // Gone from the list at once, and back if the API refuses
+    const rollback = productQueries.removeOptimistically(product.id);
     try {
-      await productService.deleteProduct(id);
-      await loadProducts(); // Reload the list
+      // Queued while offline and sent once the connection returns
+      await offlineSync.deleteProduct(product);
     } catch (err) {
-      setError('Failed to delete product.');
+      rollback();
+      if (!isCredentialError(err)) {
+        setActionError(t('productList.error.delete'));
+      }
       console.error('Error deleting product:', err);
     }
+    void productQueries.invalidate();
   };
 
-  const formatPrice = (price: number) => {
-    return new Intl.NumberFormat('en-US', {
-      style: 'currency',
-      currency: 'USD',
-    }).format(price);
+  const toggleSelected = (product: Product) => {
+    setSelected(prev => {
+      const next = new Map(prev);
+      if (next.has(product.id)) {
+        next.delete(product.id);
+      } else {
+        next.set(product.id, product);
+      }
+      return next;
+    });
   };
 
-  const formatDate = (dateString: string) => {
-    return new Date(dateString).toLocaleDateString();
+  const allOnPageSelected = products.length > 0 && products.every((product) => selected.has(product.id));
+  const someOnPageSelected = products.some((product) => selected.has(product.id));
+
+  const toggleSelectAll = () => {
+    setSelected(allOnPageSelected ? new Map() : new Map(products.map((product) => [product.id, product])));
+  };
+
+  useEffect(() => {
+    if (selectAllRef.current) {
+      selectAllRef.current.indeterminate = someOnPageSelected && !allOnPageSelected;
+    }
+  }, [someOnPageSelected, allOnPageSelected]);
+
+  const handleBatchComplete = () => {
+    setSelected(new Map());
+    void productQueries.invalidate();
   };
 
-  if (loading) {
-    return <div className="loading">Loading products...</div>;
-  }
+  const { formatPrice, formatDate, formatDateTime } = useLocaleFormat();
+
+  const pendingIds = new Set(queue.map((mutation) => mutation.productId));
+
+  const hasFilters = Object.values(listState.filters).some((value) => value !== '')
+    || listState.categoryId !== undefined
+    || listState.tags.length > 0;
+
+  const renderSortableHeader = (field: ProductSortField, label: string) => {
+    const isSorted = listState.sortBy === field;
+    const ariaSort = isSorted ? (listState.sortDirection === 'asc' ? 'ascending' : 'descending') : 'none';
+    return (
+      <th key={field} aria-sort={ariaSort}>
+        <button
+          type="button"
+          className={`sort-header${isSorted ? ' sorted' : ''}`}
+          onClick={() => handleSort(field)}
+          data-testid={`sort-${field}`}
+        >
+          {label}
+          <span className="sort-indicator" aria-hidden="true">
+            {isSorted ? (listState.sortDirection === 'asc' ? '▲' : '▼') : '↕'}
+          </span>
+        </button>
+      </th>
+    );
+  };
 
   return (
     <div className="product-list">
       <div className="header">
-        <h1 data-testid="product-inventory-title">Product Inventory</h1>
-        <Link to="/product/new" className="btn btn-primary" data-testid="add-new-product-btn">
-          Add New Product
-        </Link>
+        <h1 data-testid="product-inventory-title">{t('productList.title')}</h1>
+        <div className="header-actions">
+          <Link to="/scan" className="btn btn-secondary" data-testid="scan-link">
+            {t('productList.scan')}
+          </Link>
+          <Link to="/dashboard" className="btn btn-secondary" data-testid="dashboard-link">
+            {t('productList.dashboard')}
+          </Link>
+          <Link to="/categories" className="btn btn-secondary" data-testid="categories-link">
+            {t('productList.categories')}
+          </Link>
+          <ExportMenu query={toProductQuery(listState)} />
+          <Link to="/credentials" className="btn btn-secondary" data-testid="credentials-link">
+            {t('productList.apiKey')}
+          </Link>
+          <Link to="/import" className="btn btn-secondary" data-testid="import-products-link">
+            {t('productList.import')}
+          </Link>
+          <Link to="/product/new" className="btn btn-primary" data-testid="add-new-product-btn">
+            {t('productList.addProduct')}
+          </Link>
+        </div>
       </div>
 
       <div className="search-section">
         <div className="search-container">
           <input
             type="text"
-            placeholder="Search products by name..."
+            placeholder={t('productList.searchPlaceholder')}
             value={searchTerm}
             onChange={(e) => setSearchTerm(e.target.value)}
             onKeyPress={(e) => e.key === 'Enter' && handleSearch()}
             className="search-input"
+            aria-busy={isFetching}
             data-testid="search-input"
           />
           <button onClick={handleSearch} className="btn btn-secondary" data-testid="search-btn">
-            Search
+            {t('productList.search')}
           </button>
           <button onClick={handleClearSearch} className="btn btn-secondary" data-testid="clear-search-btn">
-            Clear
+            {t('productList.clearSearch')}
           </button>
         </div>
       </div>
 
       {error && <div className="error" data-testid="error-message">{error}</div>}
 
-      {products.length === 0 ? (
+      {showingCached && (
+        <div className="offline-notice" data-testid="offline-notice">
+          {cachedAt
+            ? t('productList.offlineNoticeSince', { time: formatDateTime(cachedAt) })
+            : t('productList.offlineNotice')}
+        </div>
+      )}
+
+      <BatchActions
+        selectedProducts={Array.from(selected.values())}
+        onClearSelection={() => setSelected(new Map())}
+        onComplete={handleBatchComplete}
+        onPrintLabels={() => navigate(`/labels?ids=${Array.from(selected.keys()).join(',')}`)}
+      />
+
+      {isLoading ? (
+        <div className="loading" data-testid="products-loading">{t('productList.loading')}</div>
+      ) : products.length === 0 && !hasFilters ? (
         <div className="no-products" data-testid="no-products">
-          <p>No products found.</p>
+          <p>{t('productList.empty')}</p>
           <Link to="/product/new" className="btn btn-primary" data-testid="create-first-product-btn">
-            Create your first product
+            {t('productList.createFirst')}
           </Link>
         </div>
       ) : (
-        <div className="products-table-container">
-          <table className="products-table" data-testid="products-table">
-            <thead>
-              <tr>
-                <th>ID</th>
-                <th>Name</th>
-                <th>SKU</th>
-                <th>Description</th>
-                <th>Price</th>
-                <th>Stock</th>
-                <th>Created</th>
-                <th>Actions</th>
-              </tr>
-            </thead>
-            <tbody>
-              {products.map((product) => (
-                <tr key={product.id} data-testid={`product-row-${product.id}`}>
-                  <td data-testid={`product-id-${product.id}`}>{product.id}</td>
-                  <td data-testid={`product-name-${product.id}`}>{product.name}</td>
-                  <td data-testid={`product-sku-${product.id}`}>{product.sku}</td>
-                  <td title={product.description} data-testid={`product-description-${product.id}`}>
-                    {product.description.length > 50
-                      ? `${product.description.substring(0, 50)}...`
-                      : product.description}
-                  </td>
-                  <td data-testid={`product-price-${product.id}`}>{formatPrice(product.price)}</td>
-                  <td className={product.quantityInStock < 10 ? 'low-stock' : ''} data-testid={`product-stock-${product.id}`}>
-                    {product.quantityInStock}
-                  </td>
-                  <td data-testid={`product-created-${product.id}`}>{formatDate(product.createdAt)}</td>
-                  <td>
-                    <div className="actions">
-                      <Link
-                        to={`/product/${product.id}`}
-                        className="btn btn-small btn-secondary"
-                        data-testid={`edit-product-${product.id}`}
-                      >
-                        Edit
-                      </Link>
-                      <button
-                        onClick={() => handleDelete(product.id)}
-                        className="btn btn-small btn-danger"
-                        data-testid={`delete-product-${product.id}`}
+        <div className="product-list-body">
+          <FacetSidebar
+            facets={facets}
+            failed={Boolean(facetsError)}
+            categoryId={listState.categoryId}
+            tags={listState.tags}
+            onSelectCategory={handleSelectCategory}
+            onToggleTag={handleToggleTag}
+            onClear={handleClearFacets}
+          />
+          <div className="product-list-main">
+            <form onSubmit={handleApplyFilters} data-testid="filters-form">
+              <div className="products-table-container">
+                <table className="products-table" data-testid="products-table">
+                  <thead>
+                    <tr>
+                      <th className="select-column">
+                        <input
+                          type="checkbox"
+                          ref={selectAllRef}
+                          checked={allOnPageSelected}
+                          onChange={toggleSelectAll}
+                          disabled={products.length === 0}
+                          aria-label={t('productList.selectAll')}
+                          data-testid="select-all-products"
+                        />
+                      </th>
+                      <th className="image-column">{t('productList.column.image')}</th>
+                      <th>{t('productList.column.id')}</th>
+                      {renderSortableHeader('name', t('productList.column.name'))}
+                      {renderSortableHeader('sku', t('productList.column.sku'))}
+                      <th>{t('productList.column.description')}</th>
+                      {renderSortableHeader('price', t('productList.column.price'))}
+                      {renderSortableHeader('quantityInStock', t('productList.column.stock'))}
+                      {renderSortableHeader('createdAt', t('productList.column.created'))}
+                      <th>{t('productList.column.actions')}</th>
+                    </tr>
+                    <tr className="filter-row">
+                      <th />
+                      <th />
+                      <th />
+                      <th />
+                      <th />
+                      <th />
+                      <th>
+                        <div className="range-filter">
+                          <input type="number" name="minPrice" min="0" step="0.01" placeholder={t('productList.filter.min')} aria-label={t('productList.filter.minPrice')}
+                            value={filterDraft.minPrice} onChange={handleFilterChange} data-testid="filter-min-price" />
+                          <input type="number" name="maxPrice" min="0" step="0.01" placeholder={t('productList.filter.max')} aria-label={t('productList.filter.maxPrice')}
+                            value={filterDraft.maxPrice} onChange={handleFilterChange} data-testid="filter-max-price" />
+                        </div>
+                      </th>
+                      <th>
+                        <div className="range-filter">
+                          <input type="number" name="minStock" min="0" step="1" placeholder={t('productList.filter.min')} aria-label={t('productList.filter.minStock')}
+                            value={filterDraft.minStock} onChange={handleFilterChange} data-testid="filter-min-stock" />
+                          <input type="number" name="maxStock" min="0" step="1" placeholder={t('productList.filter.max')} aria-label={t('productList.filter.maxStock')}
+                            value={filterDraft.maxStock} onChange={handleFilterChange} data-testid="filter-max-stock" />
+                        </div>
+                      </th>
+                      <th>
+                        <div className="range-filter">
+                          <input type="date" name="createdFrom" aria-label={t('productList.filter.createdFrom')}
+                            value={filterDraft.createdFrom} onChange={handleFilterChange} data-testid="filter-created-from" />
+                          <input type="date" name="createdTo" aria-label={t('productList.filter.createdTo')}
+                            value={filterDraft.createdTo} onChange={handleFilterChange} data-testid="filter-created-to" />
+                        </div>
+                      </th>
+                      <th>
+                        <div className="actions">
+                          <button type="submit" className="btn btn-small btn-primary" data-testid="apply-filters-btn">
+                            {t('productList.filter.apply')}
+                          </button>
+                          <button type="button" onClick={handleResetFilters} className="btn btn-small btn-secondary" data-testid="reset-filters-btn">
+                            {t('productList.filter.reset')}
+                          </button>
+                        </div>
+                      </th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {products.length === 0 && (
+                      <tr>
+                        <td colSpan={10} className="no-matches" data-testid="no-matching-products">
+                          {t('productList.noMatches')}
+                        </td>
+                      </tr>
+                    )}
+                    {products.map((product) => (
+                      <tr
+                        key={product.id}
+                        className={selected.has(product.id) ? 'selected' : ''}
+                        data-testid={`product-row-${product.id}`}
                       >
-                        Delete
-                      </button>
-                    </div>
-                  </td>
-                </tr>
-              ))}
-            </tbody>
-          </table>
+                        <td className="select-column">
+                          <input
+                            type="checkbox"
+                            checked={selected.has(product.id)}
+                            onChange={() => toggleSelected(product)}
+                            aria-label={t('productList.selectProduct', { name: product.name })}
+                            data-testid={`select-product-${product.id}`}
+                          />
+                        </td>
+                        <td className="image-column" data-testid={`product-image-${product.id}`}>
+                          {product.primaryImageId ? (
+                            <img
+                              className="product-thumbnail"
+                              src={productService.thumbnailUrl(product.id, product.primaryImageId)}
+                              alt=""
+                              loading="lazy"
+                            />
+                          ) : (
+                            <span className="product-thumbnail no-image" title={t('productList.noImage')} />
+                          )}
+                        </td>
+                        <td data-testid={`product-id-${product.id}`}>{product.id}</td>
+                        <td className={cellClass(product, 'name')} data-testid={`product-name-${product.id}`}>
+                          <Link to={`/product/${product.id}`} className="product-link" data-testid={`view-product-${product.id}`}>
+                            <HighlightedText text={product.name} term={listState.searchTerm} />
+                          </Link>
+                          {pendingIds.has(product.id) && (
+                            <span className="pending-badge" data-testid={`pending-badge-${product.id}`}>{t('productList.pendingSync')}</span>
+                          )}
+                        </td>
+                        <td className={cellClass(product, 'sku')} data-testid={`product-sku-${product.id}`}>{product.sku}</td>
+                        <td
+                          className={cellClass(product, 'description')}
+                          title={product.description}
+                          data-testid={`product-description-${product.id}`}
+                        >
+                          <HighlightedText
+                            text={product.description.length > 50
+                              ? `${product.description.substring(0, 50)}...`
+                              : product.description}
+                            term={listState.searchTerm}
+                          />
+                        </td>
+                        <td className={cellClass(product, 'price')} data-testid={`product-price-${product.id}`}>
+                          {formatPrice(product.price)}
+                        </td>
+                        <td
+                          className={cellClass(product, 'quantityInStock', isLowStock(product) ? 'low-stock' : '')}
+                          data-testid={`product-stock-${product.id}`}
+                        >
+                          {product.quantityInStock}
+                        </td>
+                        <td data-testid={`product-created-${product.id}`}>{formatDate(product.createdAt)}</td>
+                        <td>
+                          <div className="actions">
+                            <Link
+                              to={`/product/${product.id}/edit`}
+                              className="btn btn-small btn-secondary"
+                              data-testid={`edit-product-${product.id}`}
+                            >
+                              {t('productList.edit')}
+                            </Link>
+                            <button
+                              type="button"
+                              onClick={() => handleDelete(product)}
+                              className="btn btn-small btn-danger"
+                              data-testid={`delete-product-${product.id}`}
+                            >
+                              {t('productList.delete')}
+                            </button>
+                          </div>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </form>
+
+            <div className="pagination" data-testid="pagination">
+              <div className="pagination-controls">
+                <button
+                  type="button"
+                  className="btn btn-small btn-secondary"
+                  onClick={() => updateListState({ page: 1 })}
+                  disabled={listState.page <= 1}
+                  data-testid="first-page-btn"
+                >
+                  {t('productList.page.first')}
+                </button>
+                <button
+                  type="button"
+                  className="btn btn-small btn-secondary"
+                  onClick={() => updateListState({ page: listState.page - 1 })}
+                  disabled={listState.page <= 1}
+                  data-testid="prev-page-btn"
+                >
+                  {t('productList.page.previous')}
+                </button>
+                <span className="page-info" data-testid="page-info">
+                  {t('productList.page.info', { page: totalPages === 0 ? 0 : listState.page, pages: totalPages })}
+                  {' '}{t('productList.page.count', { count: totalCount })}
+                </span>
+                <button
+                  type="button"
+                  className="btn btn-small btn-secondary"
+                  onClick={() => updateListState({ page: listState.page + 1 })}
+                  disabled={listState.page >= totalPages}
+                  data-testid="next-page-btn"
+                >
+                  {t('productList.page.next')}
+                </button>
+                <button
+                  type="button"
+                  className="btn btn-small btn-secondary"
+                  onClick={() => updateListState({ page: totalPages })}
+                  disabled={listState.page >= totalPages}
+                  data-testid="last-page-btn"
+                >
+                  {t('productList.page.last')}
+                </button>
+              </div>
+              <label className="page-size">
+                {t('productList.page.size')}
+                <select
+                  value={listState.pageSize}
+                  onChange={(e) => updateListState({ pageSize: parseInt(e.target.value, 10), page: 1 })}
+                  data-testid="page-size-select"
+                >
+                  {PAGE_SIZE_OPTIONS.map((size) => (
+                    <option key={size} value={size}>{size}</option>
+                  ))}
+                </select>
+              </label>
+            </div>
+          </div>
         </div>
       )}
     </div>
   );
 };
 
-export default ProductList;
\ No newline at end of file
+export default ProductList;
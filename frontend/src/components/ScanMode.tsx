@@ -0,0 +1,141 @@
+import React, { useCallback, useEffect, useRef, useState } from 'react';
+import { Link, useNavigate } from 'react-router-dom';
+import axios from 'axios';
+import { productService } from '../services/productService';
+import { isCredentialError } from '../services/apiClient';
+import { useBarcodeWedge } from '../hooks/useBarcodeWedge';
+import { isCameraScanningSupported, useCameraScanner } from '../hooks/useCameraScanner';
+import './ProductList.css';
+import './ScanMode.css';
+
+type LookupState =
+  | { status: 'idle' }
+  | { status: 'looking'; sku: string }
+  | { status: 'not-found'; sku: string }
+  | { status: 'error'; sku: string };
+
+// Reads SKUs from a handheld scanner, the camera or the keyboard and opens the matching product
+const ScanMode: React.FC = () => {
+  const navigate = useNavigate();
+  const inputRef = useRef<HTMLInputElement>(null);
+  const videoRef = useRef<HTMLVideoElement>(null);
+
+  const [code, setCode] = useState('');
+  const [lookup, setLookup] = useState<LookupState>({ status: 'idle' });
+  const [cameraActive, setCameraActive] = useState(false);
+
+  const lookUp = useCallback(async (scanned: string) => {
+    const sku = scanned.trim();
+    if (!sku) {
+      return;
+    }
+    setCameraActive(false);
+    setCode('');
+    setLookup({ status: 'looking', sku });
+
+    try {
+      const product = await productService.getProductBySku(sku);
+      navigate(`/product/${product.id}`);
+    } catch (err) {
+      if (axios.isAxiosError(err) && err.response?.status === 404) {
+        setLookup({ status: 'not-found', sku });
+      } else {
+        setLookup(isCredentialError(err) ? { status: 'idle' } : { status: 'error', sku });
+        console.error('Error looking up SKU:', err);
+      }
+      inputRef.current?.focus();
+    }
+  }, [navigate]);
+
+  useBarcodeWedge(lookUp);
+  const cameraError = useCameraScanner(videoRef, cameraActive, lookUp);
+
+  useEffect(() => {
+    inputRef.current?.focus();
+  }, []);
+
+  const handleSubmit = (e: React.FormEvent) => {
+    e.preventDefault();
+    lookUp(code);
+  };
+
+  return (
+    <div className="scan-mode" data-testid="scan-mode">
+      <div className="header">
+        <h1>Scan</h1>
+        <div className="header-actions">
+          <Link to="/" className="btn btn-secondary" data-testid="back-to-list-btn">
+            Back to products
+          </Link>
+        </div>
+      </div>
+
+      <form onSubmit={handleSubmit} className="scan-form">
+        <label htmlFor="scan-input">Scan a barcode or type a SKU</label>
+        <div className="scan-input-row">
+          <input
+            ref={inputRef}
+            id="scan-input"
+            type="text"
+            value={code}
+            onChange={(e) => setCode(e.target.value)}
+            autoComplete="off"
+            placeholder="e.g. LAPTOP-001"
+            disabled={lookup.status === 'looking'}
+            data-testid="scan-input"
+          />
+          <button type="submit" className="btn btn-primary" disabled={lookup.status === 'looking' || !code.trim()} data-testid="scan-lookup-btn">
+            Find
+          </button>
+        </div>
+        <p className="scan-hint">Handheld scanners work anywhere on this page; there is no need to click the field first.</p>
+      </form>
+
+      {lookup.status === 'looking' && (
+        <div className="loading" data-testid="scan-looking">Looking up {lookup.sku}...</div>
+      )}
+
+      {lookup.status === 'not-found' && (
+        <div className="scan-not-found" data-testid="scan-not-found">
+          <p>No product has SKU <strong>{lookup.sku}</strong>.</p>
+          <Link
+            to={`/product/new?sku=${encodeURIComponent(lookup.sku)}`}
+            className="btn btn-primary"
+            data-testid="create-from-scan-btn"
+          >
+            Create product with this SKU
+          </Link>
+        </div>
+      )}
+
+      {lookup.status === 'error' && (
+        <div className="error" data-testid="scan-error">
+          Failed to look up SKU {lookup.sku}. Check the connection and scan again.
+        </div>
+      )}
+
+      <div className="scan-camera">
+        {isCameraScanningSupported() ? (
+          <>
+            <button
+              type="button"
+              className="btn btn-secondary"
+              onClick={() => setCameraActive((active) => !active)}
+              data-testid="scan-camera-btn"
+            >
+              {cameraActive ? 'Stop camera' : 'Scan with camera'}
+            </button>
+            {cameraError && <div className="error" data-testid="scan-camera-error">{cameraError}</div>}
+            {cameraActive && <video ref={videoRef} className="scan-video" muted playsInline data-testid="scan-video" />}
+          </>
+        ) : (
+          <p className="scan-hint" data-testid="scan-camera-unsupported">
+            This browser cannot read barcodes from the camera. Use a handheld scanner or type the SKU.
+          </p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ScanMode;
@@ -0,0 +1,119 @@
+import React, { useEffect } from 'react';
+import { isRejected, offlineSync, type QueuedMutation } from '../services/offlineSync';
+import { useLocaleFormat } from '../hooks/usePreferences';
+import { useSyncState } from '../hooks/useSyncState';
+import { useTranslation } from '../hooks/useTranslation';
+import { EDITABLE_FIELDS, toFormValues } from '../utils/productConflict';
+import './SyncStatus.css';
+
+const ACTION_LABELS: Record<QueuedMutation['type'], string> = {
+  create: 'Create',
+  update: 'Update',
+  delete: 'Delete',
+};
+
+const pluralChanges = (count: number) => `${count} ${count === 1 ? 'change' : 'changes'}`;
+
+// Fields where a rejected update differs from the version now stored
+const conflictingFields = (mutation: QueuedMutation): string[] => {
+  if (mutation.type !== 'update' || !mutation.conflict) {
+    return [];
+  }
+  const { conflict, product } = mutation;
+  const current = toFormValues(conflict);
+  const mine = toFormValues({
+    ...conflict,
+    name: product.name,
+    description: product.description,
+    price: product.price,
+    quantityInStock: product.quantityInStock ?? conflict.quantityInStock,
+    reorderPoint: product.reorderPoint ?? conflict.reorderPoint,
+    reorderQuantity: product.reorderQuantity ?? conflict.reorderQuantity,
+  });
+  return EDITABLE_FIELDS
+    .filter(({ field }) => mine[field] !== current[field])
+    .map(({ label, field }) => `${label}: yours "${mine[field] || '—'}", theirs "${current[field] || '—'}"`);
+};
+
+// Connection and sync status, with the changes still waiting to reach the API
+const SyncStatus: React.FC = () => {
+  const { online, syncing, queue, cachedAt } = useSyncState();
+  const { formatDateTime: formatTime } = useLocaleFormat();
+  const { t } = useTranslation();
+
+  useEffect(() => offlineSync.start(), []);
+
+  if (online && queue.length === 0) {
+    return null;
+  }
+
+  const rejected = queue.find(isRejected);
+  const fields = rejected ? conflictingFields(rejected) : [];
+
+  let message: string;
+  if (!online) {
+    message = `You are offline. Showing saved data${cachedAt ? ` from ${formatTime(cachedAt)}` : ''}.`
+      + (queue.length > 0 ? ` ${pluralChanges(queue.length)} will sync when the connection returns.` : '');
+  } else if (syncing) {
+    message = `Syncing ${pluralChanges(queue.length)}...`;
+  } else {
+    message = `${pluralChanges(queue.length)} waiting to sync.`;
+  }
+
+  return (
+    <div className={`sync-status ${online ? '' : 'sync-status-offline'}`} role="status" data-testid="sync-status">
+      <div className="sync-status-summary">
+        <span data-testid="sync-status-message">{message}</span>
+        {online && !syncing && !rejected && queue.length > 0 && (
+          <button type="button" className="btn btn-secondary" onClick={() => offlineSync.replay()} data-testid="sync-now-btn">
+            Sync now
+          </button>
+        )}
+      </div>
+
+      {queue.length > 0 && (
+        <details className="sync-queue">
+          <summary>Queued changes</summary>
+          <ol data-testid="sync-queue">
+            {queue.map((mutation) => (
+              <li key={mutation.id}>
+                {ACTION_LABELS[mutation.type]} "{mutation.label}"
+                <span className="sync-queued-at"> (queued {formatTime(mutation.queuedAt)})</span>
+              </li>
+            ))}
+          </ol>
+        </details>
+      )}
+
+      {rejected && (
+        <div className="sync-rejected" data-testid="sync-rejected">
+          <p>
+            <strong>{ACTION_LABELS[rejected.type]} "{rejected.label}" was not saved:</strong> {rejected.conflict ? t('syncStatus.conflict') : rejected.error}
+            {' '}Later changes wait until this one is resolved.
+          </p>
+          {fields.length > 0 && (
+            <ul className="sync-conflict-fields" data-testid="sync-conflict-fields">
+              {fields.map((field) => <li key={field}>{field}</li>)}
+            </ul>
+          )}
+          <div className="sync-actions">
+            {rejected.type === 'update' && rejected.conflict ? (
+              <button type="button" className="btn btn-primary" onClick={() => offlineSync.overwrite(rejected.id)} data-testid="sync-overwrite-btn">
+                Keep my change
+              </button>
+            ) : (
+              <button type="button" className="btn btn-primary" onClick={() => offlineSync.retry(rejected.id)} data-testid="sync-retry-btn">
+                Retry
+              </button>
+            )}
+            <button type="button" className="btn btn-secondary" onClick={() => offlineSync.discard(rejected.id)} data-testid="sync-discard-btn">
+              {rejected.conflict ? 'Keep their version' : 'Discard change'}
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SyncStatus;
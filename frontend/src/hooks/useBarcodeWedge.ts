@@ -0,0 +1,53 @@
+import { useEffect, useRef } from 'react';
+
+// Keyboard-wedge scanners type the code much faster than a person, then press Enter
+const MAX_KEY_INTERVAL_MS = 50;
+const MIN_CODE_LENGTH = 3;
+
+const isEditable = (target: EventTarget | null) => {
+  return target instanceof HTMLElement
+    && (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName));
+};
+
+// Calls `onScan` with each code a keyboard-wedge scanner types while no form field has focus
+export const useBarcodeWedge = (onScan: (code: string) => void, enabled = true): void => {
+  const onScanRef = useRef(onScan);
+
+  useEffect(() => {
+    onScanRef.current = onScan;
+  }, [onScan]);
+
+  useEffect(() => {
+    if (!enabled) {
+      return;
+    }
+
+    let buffer = '';
+    let lastKeyAt = 0;
+
+    const handleKeyDown = (event: KeyboardEvent) => {
+      // Fields handle their own input, including a scan typed into them
+      if (isEditable(event.target)) {
+        return;
+      }
+      const now = Date.now();
+      if (now - lastKeyAt > MAX_KEY_INTERVAL_MS) {
+        buffer = '';
+      }
+      lastKeyAt = now;
+
+      if (event.key === 'Enter') {
+        if (buffer.length >= MIN_CODE_LENGTH) {
+          event.preventDefault();
+          onScanRef.current(buffer);
+        }
+        buffer = '';
+      } else if (event.key.length === 1) {
+        buffer += event.key;
+      }
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [enabled]);
+};
@@ -0,0 +1,100 @@
+import { useEffect, useRef, useState, type RefObject } from 'react';
+
+// The parts of the Shape Detection API's BarcodeDetector used here; not yet in the DOM typings
+interface DetectedBarcode {
+  rawValue: string;
+}
+
+interface BarcodeDetectorInstance {
+  detect(source: HTMLVideoElement): Promise<DetectedBarcode[]>;
+}
+
+type BarcodeDetectorConstructor = new (options?: { formats?: string[] }) => BarcodeDetectorInstance;
+
+const SCAN_INTERVAL_MS = 250;
+const FORMATS = ['code_128', 'qr_code', 'ean_13', 'ean_8', 'upc_a', 'upc_e', 'code_39'];
+
+const getBarcodeDetector = (): BarcodeDetectorConstructor | undefined => {
+  return (window as unknown as { BarcodeDetector?: BarcodeDetectorConstructor }).BarcodeDetector;
+};
+
+// Whether this browser can read barcodes from the camera
+export const isCameraScanningSupported = (): boolean => {
+  return getBarcodeDetector() !== undefined && typeof navigator.mediaDevices?.getUserMedia === 'function';
+};
+
+// Streams the rear camera into `videoRef` while `active` and calls `onScan` with the first code it reads
+export const useCameraScanner = (
+  videoRef: RefObject<HTMLVideoElement | null>,
+  active: boolean,
+  onScan: (code: string) => void,
+): string | null => {
+  const [error, setError] = useState<string | null>(null);
+  const onScanRef = useRef(onScan);
+
+  useEffect(() => {
+    onScanRef.current = onScan;
+  }, [onScan]);
+
+  useEffect(() => {
+    const BarcodeDetector = getBarcodeDetector();
+    if (!active || !BarcodeDetector) {
+      return;
+    }
+
+    let stopped = false;
+    let stream: MediaStream | null = null;
+    let timer: ReturnType<typeof setTimeout> | undefined;
+    const detector = new BarcodeDetector({ formats: FORMATS });
+
+    const scanFrame = async () => {
+      const video = videoRef.current;
+      if (stopped || !video) {
+        return;
+      }
+      try {
+        const [barcode] = await detector.detect(video);
+        if (barcode && !stopped) {
+          onScanRef.current(barcode.rawValue);
+          return;
+        }
+      } catch {
+        // The video has no frame yet; try again with the next one
+      }
+      if (!stopped) {
+        timer = setTimeout(scanFrame, SCAN_INTERVAL_MS);
+      }
+    };
+
+    const start = async () => {
+      setError(null);
+      try {
+        stream = await navigator.mediaDevices.getUserMedia({ video: { facingMode: 'environment' } });
+        if (stopped || !videoRef.current) {
+          stream.getTracks().forEach((track) => track.stop());
+          return;
+        }
+        videoRef.current.srcObject = stream;
+        await videoRef.current.play();
+        scanFrame();
+      } catch (err) {
+        if (!stopped) {
+          setError(err instanceof DOMException && err.name === 'NotAllowedError'
+            ? 'Camera access was denied. Allow it in the browser settings or use a handheld scanner.'
+            : 'The camera could not be started.');
+        }
+        console.error('Error starting camera:', err);
+      }
+    };
+
+    start();
+
+    return () => {
+      stopped = true;
+      clearTimeout(timer);
+      stream?.getTracks().forEach((track) => track.stop());
+    };
+  }, [active, videoRef]);
+
+  return error;
+};
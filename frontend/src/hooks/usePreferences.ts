@@ -0,0 +1,41 @@
+import { useMemo, useSyncExternalStore } from 'react';
+import { preferences, type DisplayPreferences } from '../services/preferences';
+import {
+  currencySymbol,
+  formatDate,
+  formatDateTime,
+  formatNumber,
+  formatNumberInput,
+  formatPrice,
+  parseLocaleNumber,
+} from '../utils/localeFormat';
+
+export interface LocaleFormat extends DisplayPreferences {
+  formatPrice: (price: number) => string;
+  formatNumber: (value: number) => string;
+  formatDate: (value: string) => string;
+  formatDateTime: (value: string | number) => string;
+  formatNumberInput: (value: number) => string;
+  parseNumber: (text: string) => number;
+  currencySymbol: string;
+}
+
+// The user's display preferences; re-renders when they change
+export const usePreferences = (): DisplayPreferences => {
+  return useSyncExternalStore(preferences.subscribe, preferences.getState);
+};
+
+// Price, number and date formatting in the user's chosen locale and currency
+export const useLocaleFormat = (): LocaleFormat => {
+  const current = usePreferences();
+  return useMemo(() => ({
+    ...current,
+    formatPrice: (price: number) => formatPrice(price, current),
+    formatNumber: (value: number) => formatNumber(value, current.locale),
+    formatDate: (value: string) => formatDate(value, current.locale),
+    formatDateTime: (value: string | number) => formatDateTime(value, current.locale),
+    formatNumberInput: (value: number) => formatNumberInput(value, current.locale),
+    parseNumber: (text: string) => parseLocaleNumber(text, current.locale),
+    currencySymbol: currencySymbol(current),
+  }), [current]);
+};
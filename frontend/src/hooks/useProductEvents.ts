@@ -0,0 +1,12 @@
+import { useEffect, useRef } from 'react';
+import { productEvents, type ProductChange } from '../services/productEvents';
+
+// Call the listener for every product change pushed by the API while the component is mounted
+export const useProductEvents = (listener: (change: ProductChange) => void): void => {
+  const listenerRef = useRef(listener);
+  useEffect(() => {
+    listenerRef.current = listener;
+  });
+
+  useEffect(() => productEvents.subscribe((change) => listenerRef.current(change)), []);
+};
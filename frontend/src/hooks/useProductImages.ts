@@ -0,0 +1,222 @@
+import { useEffect, useRef, useState } from 'react';
+import type { ProductImage } from '../types/Product';
+import { productService } from '../services/productService';
+import { productKeys, productQueries } from '../services/productQueries';
+import { resizeImage, type ResizedImage } from '../utils/imageResize';
+import { getImageProblem, imageLimits, type ImageProblem } from '../utils/imageValidation';
+import { useQuery } from './useQuery';
+
+// An image picked in the form that is not on the product yet
+export interface PendingImage {
+  key: string;
+  fileName: string;
+  // Object URL of the thumbnail, shown as the preview
+  previewUrl: string;
+  resized: ResizedImage;
+  // Percentage sent while the image uploads
+  progress?: number;
+  failed?: boolean;
+}
+
+// A picked file that was not added, and why
+export interface RejectedImage {
+  fileName: string;
+  problem: ImageProblem | 'unreadable' | 'tooMany';
+}
+
+export type ImageAction = 'upload' | 'remove' | 'primary';
+
+export interface ProductImagesState {
+  // The product's uploaded images, oldest first
+  saved: ProductImage[];
+  pending: PendingImage[];
+  // The pending image to show in lists once a new product is saved; the first one when none was chosen
+  primaryKey: string | null;
+  rejected: RejectedImage[];
+  // Set for a new product, whose images wait until it is saved
+  waitForSave: boolean;
+  // The last change that failed, with the error behind it
+  failure: { action: ImageAction; error: unknown } | null;
+  add: (files: File[]) => Promise<void>;
+  removePending: (key: string) => void;
+  choosePrimary: (key: string) => void;
+  retry: (key: string) => Promise<void>;
+  remove: (image: ProductImage) => Promise<void>;
+  makePrimary: (image: ProductImage) => Promise<void>;
+  // Upload every pending image to the product, e.g. once a new product is saved; resolves to the number that failed
+  uploadPending: (productId: number) => Promise<number>;
+}
+
+// The images of a product being edited. Images picked for an existing product upload straight away;
+// for a new product (productId 0) they wait, resized and previewed, until uploadPending is called.
+export const useProductImages = (productId: number): ProductImagesState => {
+  const isExisting = productId > 0;
+  const { data: saved = [] } = useQuery(productKeys.images(productId), () => productService.getProductImages(productId), {
+    enabled: isExisting,
+  });
+  const [pending, setPending] = useState<PendingImage[]>([]);
+  const [primaryKey, setPrimaryKey] = useState<string | null>(null);
+  const [rejected, setRejected] = useState<RejectedImage[]>([]);
+  const [failure, setFailure] = useState<ProductImagesState['failure']>(null);
+  const nextKey = useRef(1);
+
+  // Previews are released when they are dropped and when the form closes
+  const pendingRef = useRef(pending);
+  useEffect(() => {
+    pendingRef.current = pending;
+  });
+  useEffect(() => () => pendingRef.current.forEach((image) => URL.revokeObjectURL(image.previewUrl)), []);
+
+  const updatePending = (key: string, changes: Partial<PendingImage>) => {
+    setPending((current) => current.map((image) => (image.key === key ? { ...image, ...changes } : image)));
+  };
+
+  const dropPending = (image: PendingImage) => {
+    URL.revokeObjectURL(image.previewUrl);
+    setPending((current) => current.filter((candidate) => candidate.key !== image.key));
+    setPrimaryKey((current) => (current === image.key ? null : current));
+  };
+
+  const fail = (action: ImageAction, error: unknown) => {
+    setFailure({ action, error });
+    console.error(`Error (${action}) on product image:`, error);
+  };
+
+  const upload = async (targetId: number, image: PendingImage, isPrimary: boolean): Promise<boolean> => {
+    updatePending(image.key, { progress: 0, failed: false });
+    try {
+      await productService.uploadProductImage(targetId, {
+        file: image.resized.file,
+        thumbnail: image.resized.thumbnail,
+        fileName: image.fileName,
+        width: image.resized.width,
+        height: image.resized.height,
+        isPrimary,
+      }, {
+        onProgress: (progress) => updatePending(image.key, { progress }),
+      });
+      dropPending(image);
+      return true;
+    } catch (err) {
+      updatePending(image.key, { progress: undefined, failed: true });
+      fail('upload', err);
+      return false;
+    }
+  };
+
+  const add = async (files: File[]) => {
+    setRejected([]);
+    setFailure(null);
+    const problems: RejectedImage[] = [];
+    const added: PendingImage[] = [];
+    let room = imageLimits.maxImagesPerProduct - saved.length - pendingRef.current.length;
+
+    for (const file of files) {
+      // The original only has to be a readable format; the size limit applies to the resized copy
+      const typeProblem = getImageProblem(file, Infinity);
+      if (typeProblem) {
+        problems.push({ fileName: file.name, problem: typeProblem });
+        continue;
+      }
+      if (room <= 0) {
+        problems.push({ fileName: file.name, problem: 'tooMany' });
+        continue;
+      }
+      try {
+        const resized = await resizeImage(file);
+        const sizeProblem = getImageProblem(resized.file) ?? getImageProblem(resized.thumbnail, imageLimits.maxThumbnailSizeInBytes);
+        if (sizeProblem) {
+          problems.push({ fileName: file.name, problem: sizeProblem });
+          continue;
+        }
+        added.push({
+          key: `pending-${nextKey.current++}`,
+          fileName: file.name,
+          previewUrl: URL.createObjectURL(resized.thumbnail),
+          resized,
+        });
+        room--;
+      } catch (err) {
+        problems.push({ fileName: file.name, problem: 'unreadable' });
+        console.error('Error resizing product image:', err);
+      }
+    }
+
+    setRejected(problems);
+    setPending((current) => [...current, ...added]);
+    if (isExisting && added.length > 0) {
+      for (const image of added) {
+        await upload(productId, image, false);
+      }
+      void productQueries.invalidate();
+    }
+  };
+
+  const retry = async (key: string) => {
+    const image = pendingRef.current.find((candidate) => candidate.key === key);
+    if (!image || !isExisting) {
+      return;
+    }
+    setFailure(null);
+    if (await upload(productId, image, false)) {
+      void productQueries.invalidate();
+    }
+  };
+
+  const remove = async (image: ProductImage) => {
+    setFailure(null);
+    try {
+      await productService.deleteProductImage(image.productId, image.id);
+    } catch (err) {
+      fail('remove', err);
+    }
+    void productQueries.invalidate();
+  };
+
+  const makePrimary = async (image: ProductImage) => {
+    setFailure(null);
+    try {
+      await productService.setPrimaryProductImage(image.productId, image.id);
+    } catch (err) {
+      fail('primary', err);
+    }
+    void productQueries.invalidate();
+  };
+
+  const uploadPending = async (targetId: number): Promise<number> => {
+    const images = pendingRef.current;
+    const primary = primaryKey ?? images[0]?.key;
+    let failed = 0;
+    // One at a time, in the order they were picked, so they list in that order
+    for (const image of images) {
+      if (!await upload(targetId, image, image.key === primary)) {
+        failed++;
+      }
+    }
+    if (images.length > 0) {
+      void productQueries.invalidate();
+    }
+    return failed;
+  };
+
+  return {
+    saved,
+    pending,
+    primaryKey,
+    rejected,
+    waitForSave: !isExisting,
+    failure,
+    add,
+    removePending: (key) => {
+      const image = pending.find((candidate) => candidate.key === key);
+      if (image) {
+        dropPending(image);
+      }
+    },
+    choosePrimary: setPrimaryKey,
+    retry,
+    remove,
+    makePrimary,
+    uploadPending,
+  };
+};
@@ -0,0 +1,95 @@
+import { useCallback, useEffect, useMemo, useRef, useSyncExternalStore } from 'react';
+import { queryCache, type QueryFetcher, type QueryKey } from '../services/queryCache';
+
+export interface UseQueryOptions<T> {
+  // Set to false to wait, e.g. until the route says which product to load
+  enabled?: boolean;
+  // How long loaded data is used without asking the server again, in milliseconds (default 0: always revalidate)
+  staleTime?: number;
+  // Keep showing the previous key's data while a new key loads, so paging and searching don't blank the view
+  keepPreviousData?: boolean;
+  // Shown until the first response arrives, e.g. the product as the list loaded it
+  placeholderData?: () => T | undefined;
+}
+
+export interface QueryResult<T> {
+  data: T | undefined;
+  error: unknown;
+  // Nothing to show yet
+  isLoading: boolean;
+  // A request is on its way, possibly to refresh data already shown
+  isFetching: boolean;
+  // `data` belongs to the previous key or is placeholder data
+  isPlaceholderData: boolean;
+  refetch: () => Promise<void>;
+}
+
+const ignore = () => {};
+
+// Cached server data for a key, fetched on mount, when the key changes and when the window regains focus
+export const useQuery = <T,>(key: QueryKey, fetcher: QueryFetcher<T>, options: UseQueryOptions<T> = {}): QueryResult<T> => {
+  const { enabled = true, staleTime = 0, keepPreviousData = false, placeholderData } = options;
+
+  // Callers build a new key array on every render; only its contents matter
+  const hash = JSON.stringify(key);
+  const stableKey = useMemo<QueryKey>(() => JSON.parse(hash), [hash]);
+
+  const fetcherRef = useRef(fetcher);
+  useEffect(() => {
+    fetcherRef.current = fetcher;
+  });
+
+  const subscribe = useCallback((listener: () => void) => queryCache.subscribe(stableKey, listener), [stableKey]);
+  const getSnapshot = useCallback(() => queryCache.getState<T>(stableKey), [stableKey]);
+  const state = useSyncExternalStore(subscribe, getSnapshot);
+
+  const load = useCallback(() => {
+    return queryCache.fetch(stableKey, (signal) => fetcherRef.current(signal), { staleTime }).then(ignore);
+  }, [stableKey, staleTime]);
+
+  useEffect(() => {
+    if (enabled) {
+      load().catch(ignore);
+    }
+  }, [enabled, load]);
+
+  useEffect(() => {
+    if (!enabled) {
+      return;
+    }
+    const revalidate = () => {
+      if (document.visibilityState !== 'hidden') {
+        load().catch(ignore);
+      }
+    };
+    window.addEventListener('focus', revalidate);
+    document.addEventListener('visibilitychange', revalidate);
+    return () => {
+      window.removeEventListener('focus', revalidate);
+      document.removeEventListener('visibilitychange', revalidate);
+    };
+  }, [enabled, load]);
+
+  const previousData = useRef<T | undefined>(undefined);
+  useEffect(() => {
+    if (state.data !== undefined) {
+      previousData.current = state.data;
+    }
+  }, [state.data]);
+
+  const fallback = state.data === undefined
+    ? (keepPreviousData ? previousData.current : undefined) ?? placeholderData?.()
+    : undefined;
+  const data = state.data ?? fallback;
+
+  const refetch = useCallback(() => queryCache.invalidate(stableKey), [stableKey]);
+
+  return {
+    data,
+    error: state.error,
+    isLoading: data === undefined && enabled && !state.error,
+    isFetching: state.fetching,
+    isPlaceholderData: state.data === undefined && data !== undefined,
+    refetch,
+  };
+};
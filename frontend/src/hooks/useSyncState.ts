@@ -0,0 +1,7 @@
+import { useSyncExternalStore } from 'react';
+import { offlineSync, type SyncState } from '../services/offlineSync';
+
+// The offline sync status, re-rendering whenever it changes
+export const useSyncState = (): SyncState => {
+  return useSyncExternalStore(offlineSync.subscribe, offlineSync.getState);
+};
@@ -0,0 +1,13 @@
+import { useCallback } from 'react';
+import { translate, type MessageKey, type MessageParams } from '../services/i18n';
+import { usePreferences } from './usePreferences';
+
+// `t` for the user's language; components using it re-render when the language or locale changes
+export const useTranslation = () => {
+  const { language, locale } = usePreferences();
+  const t = useCallback(
+    (key: MessageKey, params?: MessageParams) => translate(key, params, { language, locale }),
+    [language, locale],
+  );
+  return { t, language };
+};
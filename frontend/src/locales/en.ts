@@ -0,0 +1,182 @@
+// English UI text; the reference catalog, so every message key starts here.
+// Plural messages pick 'one' or 'other' from {count}.
+
+export const en = {
+  // App shell
+  'settings.language': 'Language',
+  'settings.locale': 'Number & date format',
+  'settings.currency': 'Currency',
+
+  // Product list
+  'productList.title': 'Product Inventory',
+  'productList.scan': 'Scan',
+  'productList.dashboard': 'Dashboard',
+  'productList.apiKey': 'API Key',
+  'productList.import': 'Import',
+  'productList.addProduct': 'Add New Product',
+  'productList.searchPlaceholder': 'Search products by name...',
+  'productList.search': 'Search',
+  'productList.clearSearch': 'Clear',
+  'productList.offlineNotice': 'The API cannot be reached. Showing products saved; new products, edits and deletions will be queued and sent when the connection returns.',
+  'productList.offlineNoticeSince': 'The API cannot be reached. Showing products saved at {time}; new products, edits and deletions will be queued and sent when the connection returns.',
+  'productList.loading': 'Loading products...',
+  'productList.empty': 'No products found.',
+  'productList.createFirst': 'Create your first product',
+  'productList.selectAll': 'Select all products on this page',
+  'productList.selectProduct': 'Select {name}',
+  'productList.column.image': 'Image',
+  'productList.noImage': 'No image',
+  'productList.column.id': 'ID',
+  'productList.column.name': 'Name',
+  'productList.column.sku': 'SKU',
+  'productList.column.description': 'Description',
+  'productList.column.price': 'Price',
+  'productList.column.stock': 'Stock',
+  'productList.column.created': 'Created',
+  'productList.column.actions': 'Actions',
+  'productList.filter.min': 'Min',
+  'productList.filter.max': 'Max',
+  'productList.filter.minPrice': 'Minimum price',
+  'productList.filter.maxPrice': 'Maximum price',
+  'productList.filter.minStock': 'Minimum stock',
+  'productList.filter.maxStock': 'Maximum stock',
+  'productList.filter.createdFrom': 'Created from',
+  'productList.filter.createdTo': 'Created to',
+  'productList.filter.apply': 'Apply',
+  'productList.filter.reset': 'Reset',
+  'productList.noMatches': 'No products match the current filters.',
+  'productList.pendingSync': 'Pending sync',
+  'productList.edit': 'Edit',
+  'productList.delete': 'Delete',
+  'productList.confirmDelete': 'Are you sure you want to delete this product?',
+  'productList.page.first': '« First',
+  'productList.page.previous': '‹ Prev',
+  'productList.page.next': 'Next ›',
+  'productList.page.last': 'Last »',
+  'productList.page.info': 'Page {page} of {pages}',
+  'productList.page.count': { one: '({count} product)', other: '({count} products)' },
+  'productList.page.size': 'Rows per page',
+  'productList.error.load': 'Failed to load products. Please make sure the API is running.',
+  'productList.error.search': 'Failed to search products.',
+  'productList.error.delete': 'Failed to delete product.',
+  'productList.categories': 'Categories',
+  'productList.facets.title': 'Narrow down',
+  'productList.facets.categories': 'Category',
+  'productList.facets.tags': 'Tags',
+  'productList.facets.uncategorized': 'Uncategorized',
+  'productList.facets.noTags': 'No tags yet',
+  'productList.facets.clear': 'Clear category and tags',
+  'productList.facets.error': 'Category and tag counts could not be loaded.',
+  'productList.facets.count': { one: '{count} product', other: '{count} products' },
+
+  // Product form
+  'productForm.loading': 'Loading product...',
+  'productForm.title.create': 'Create New Product',
+  'productForm.title.edit': 'Edit Product',
+  'productForm.name': 'Product Name *',
+  'productForm.namePlaceholder': 'Enter product name',
+  'productForm.sku': 'SKU *',
+  'productForm.skuPlaceholder': 'Enter SKU',
+  'productForm.skuLocked': 'SKU cannot be changed',
+  'productForm.description': 'Description *',
+  'productForm.descriptionPlaceholder': 'Enter product description',
+  'productForm.price': 'Price * ({currency})',
+  'productForm.quantity': 'Quantity in Stock *',
+  'productForm.quantityLocked': 'Stock changes are recorded as adjustments',
+  'productForm.adjustStock': 'Adjust stock',
+  'productForm.reorderPoint': 'Reorder Point',
+  'productForm.reorderPointNote': 'Stock at or below this level is flagged as low',
+  'productForm.reorderQuantity': 'Reorder Quantity',
+  'productForm.reorderQuantityPlaceholder': 'Not set',
+  'productForm.reorderQuantityNote': 'How many to order when restocking',
+  'productForm.category': 'Category',
+  'productForm.noCategory': 'No category',
+  'productForm.tags': 'Tags',
+  'productForm.tagsPlaceholder': 'e.g. sale, fragile',
+  'productForm.tagsNote': 'Separate tags with commas',
+  'productForm.cancel': 'Cancel',
+  'productForm.saving': 'Saving...',
+  'productForm.submit.create': 'Create Product',
+  'productForm.submit.update': 'Update Product',
+  'productForm.remote.deleted': 'Someone else deleted this product, so it can no longer be saved.',
+  'productForm.remote.followed': 'Someone else just changed this product; the form now shows their version.',
+  'productForm.remote.changed': 'Someone else just changed this product. If you save, you will be asked how to combine your changes with theirs.',
+  'productForm.remote.load': 'Load their version',
+  'productForm.remote.dismiss': 'Dismiss',
+  'productForm.error.load': 'Failed to load product.',
+  'productForm.error.create': 'Failed to create product.',
+  'productForm.error.update': 'Failed to update product.',
+  'productForm.error.invalid': 'Invalid data. Please check your input.',
+  'productForm.error.notSaved': 'The product could not be saved:',
+  'productForm.images': 'Images',
+  'productForm.images.dropHint': 'Drop images here',
+  'productForm.images.offline': 'Images can be added once you are back online',
+  'productForm.images.choose': 'Choose images',
+  'productForm.images.note': 'JPEG, PNG or WebP, up to {max} per product. Large photos are scaled down to {size} MB or less before upload.',
+  'productForm.images.primary': 'Show in lists',
+  'productForm.images.remove': 'Remove',
+  'productForm.images.retry': 'Retry',
+  'productForm.images.uploading': 'Uploading {name}',
+  'productForm.images.confirmRemove': 'Remove the image "{name}"?',
+  'productForm.images.rejected.type': '{name} is not a JPEG, PNG or WebP image.',
+  'productForm.images.rejected.size': '{name} is still larger than {max} MB after resizing.',
+  'productForm.images.rejected.tooMany': '{name} was not added: a product can have at most {max} images.',
+  'productForm.images.rejected.unreadable': '{name} could not be read as an image.',
+  'productForm.images.error.upload': 'An image could not be uploaded.',
+  'productForm.images.error.remove': 'The image could not be removed.',
+  'productForm.images.error.primary': 'The image could not be shown in lists.',
+  'productForm.images.error.afterCreate': 'The product was created, but some of its images could not be uploaded. Add them again below.',
+
+  // Category management
+  'categories.title': 'Categories',
+  'categories.back': 'Back to products',
+  'categories.loading': 'Loading categories...',
+  'categories.empty': 'No categories yet. Add one to start grouping products.',
+  'categories.name': 'Name',
+  'categories.namePlaceholder': 'Category name',
+  'categories.parent': 'Parent',
+  'categories.topLevel': 'None (top level)',
+  'categories.products': 'Products',
+  'categories.actions': 'Actions',
+  'categories.add': 'Add Category',
+  'categories.edit': 'Edit',
+  'categories.save': 'Save',
+  'categories.saving': 'Saving...',
+  'categories.cancel': 'Cancel',
+  'categories.delete': 'Delete',
+  'categories.confirmDelete': 'Delete the category "{name}"?',
+  'categories.productCount': { one: '{count} product', other: '{count} products' },
+  'categories.subcategoryCount': { one: '{count} subcategory', other: '{count} subcategories' },
+  'categories.error.load': 'Failed to load categories.',
+  'categories.error.save': 'Failed to save the category.',
+  'categories.error.delete': 'Failed to delete the category.',
+  'categories.error.inUse': '"{name}" still holds {products} and {subcategories}. Move them to another category before deleting it.',
+
+  // Sync status
+  'syncStatus.conflict': 'Changed by someone else while you were offline.',
+
+  // Field validation
+  'field.name': 'Product name',
+  'field.sku': 'SKU',
+  'field.description': 'Description',
+  'field.price': 'Price',
+  'field.quantity': 'Quantity',
+  'field.reorderPoint': 'Reorder point',
+  'field.reorderQuantity': 'Reorder quantity',
+  'field.categoryName': 'Category name',
+  'validation.required': '{label} is required',
+  'validation.number': '{label} must be a number',
+  'validation.wholeNumber': '{label} must be a whole number',
+  'validation.minimum': '{label} must be at least {limit}',
+  'validation.maximum': '{label} cannot exceed {limit}',
+  'validation.minLength': { one: '{label} must be at least {count} character', other: '{label} must be at least {count} characters' },
+  'validation.maxLength': { one: '{label} cannot exceed {count} character', other: '{label} cannot exceed {count} characters' },
+  'validation.pattern': '{label} is not in the expected format',
+  'validation.skuPattern': 'SKU must contain only letters, numbers, and hyphens',
+  'validation.price': 'Price must be greater than 0',
+  'validation.quantityMinimum': 'Quantity cannot be negative',
+  'validation.reorderPoint': 'Reorder point must be a whole number of 0 or more',
+  'validation.reorderQuantity': 'Reorder quantity must be a whole number of 0 or more',
+  'validation.tagCount': 'A product cannot have more than {limit} tags',
+  'validation.tagLength': 'Tags cannot exceed {limit} characters',
+} satisfies Record<string, string | { one?: string; other: string }>;
@@ -0,0 +1,182 @@
+import type { Catalog } from '../services/i18n';
+
+// Thai UI text. Thai has no plural forms, so plural messages only need 'other'.
+export const th: Catalog = {
+  // App shell
+  'settings.language': 'ภาษา',
+  'settings.locale': 'รูปแบบตัวเลขและวันที่',
+  'settings.currency': 'สกุลเงิน',
+
+  // Product list
+  'productList.title': 'คลังสินค้า',
+  'productList.scan': 'สแกน',
+  'productList.dashboard': 'แดชบอร์ด',
+  'productList.apiKey': 'คีย์ API',
+  'productList.import': 'นำเข้า',
+  'productList.addProduct': 'เพิ่มสินค้าใหม่',
+  'productList.searchPlaceholder': 'ค้นหาสินค้าตามชื่อ...',
+  'productList.search': 'ค้นหา',
+  'productList.clearSearch': 'ล้าง',
+  'productList.offlineNotice': 'ไม่สามารถเชื่อมต่อ API ได้ กำลังแสดงสินค้าที่บันทึกไว้ การเพิ่ม แก้ไข และลบสินค้าจะถูกเข้าคิวและส่งเมื่อการเชื่อมต่อกลับมา',
+  'productList.offlineNoticeSince': 'ไม่สามารถเชื่อมต่อ API ได้ กำลังแสดงสินค้าที่บันทึกไว้เมื่อ {time} การเพิ่ม แก้ไข และลบสินค้าจะถูกเข้าคิวและส่งเมื่อการเชื่อมต่อกลับมา',
+  'productList.loading': 'กำลังโหลดสินค้า...',
+  'productList.empty': 'ไม่พบสินค้า',
+  'productList.createFirst': 'สร้างสินค้าชิ้นแรก',
+  'productList.selectAll': 'เลือกสินค้าทั้งหมดในหน้านี้',
+  'productList.selectProduct': 'เลือก {name}',
+  'productList.column.image': 'รูปภาพ',
+  'productList.noImage': 'ไม่มีรูปภาพ',
+  'productList.column.id': 'รหัส',
+  'productList.column.name': 'ชื่อ',
+  'productList.column.sku': 'SKU',
+  'productList.column.description': 'รายละเอียด',
+  'productList.column.price': 'ราคา',
+  'productList.column.stock': 'คงคลัง',
+  'productList.column.created': 'วันที่สร้าง',
+  'productList.column.actions': 'การดำเนินการ',
+  'productList.filter.min': 'ต่ำสุด',
+  'productList.filter.max': 'สูงสุด',
+  'productList.filter.minPrice': 'ราคาต่ำสุด',
+  'productList.filter.maxPrice': 'ราคาสูงสุด',
+  'productList.filter.minStock': 'จำนวนคงคลังต่ำสุด',
+  'productList.filter.maxStock': 'จำนวนคงคลังสูงสุด',
+  'productList.filter.createdFrom': 'สร้างตั้งแต่',
+  'productList.filter.createdTo': 'สร้างถึง',
+  'productList.filter.apply': 'ใช้ตัวกรอง',
+  'productList.filter.reset': 'รีเซ็ต',
+  'productList.noMatches': 'ไม่มีสินค้าที่ตรงกับตัวกรอง',
+  'productList.pendingSync': 'รอซิงก์',
+  'productList.edit': 'แก้ไข',
+  'productList.delete': 'ลบ',
+  'productList.confirmDelete': 'ต้องการลบสินค้านี้ใช่หรือไม่?',
+  'productList.page.first': '« หน้าแรก',
+  'productList.page.previous': '‹ ก่อนหน้า',
+  'productList.page.next': 'ถัดไป ›',
+  'productList.page.last': 'หน้าสุดท้าย »',
+  'productList.page.info': 'หน้า {page} จาก {pages}',
+  'productList.page.count': { other: '(สินค้า {count} รายการ)' },
+  'productList.page.size': 'แถวต่อหน้า',
+  'productList.error.load': 'โหลดสินค้าไม่สำเร็จ โปรดตรวจสอบว่า API ทำงานอยู่',
+  'productList.error.search': 'ค้นหาสินค้าไม่สำเร็จ',
+  'productList.error.delete': 'ลบสินค้าไม่สำเร็จ',
+  'productList.categories': 'หมวดหมู่',
+  'productList.facets.title': 'กรองผลลัพธ์',
+  'productList.facets.categories': 'หมวดหมู่',
+  'productList.facets.tags': 'แท็ก',
+  'productList.facets.uncategorized': 'ไม่มีหมวดหมู่',
+  'productList.facets.noTags': 'ยังไม่มีแท็ก',
+  'productList.facets.clear': 'ล้างหมวดหมู่และแท็ก',
+  'productList.facets.error': 'โหลดจำนวนสินค้าตามหมวดหมู่และแท็กไม่สำเร็จ',
+  'productList.facets.count': { other: 'สินค้า {count} รายการ' },
+
+  // Product form
+  'productForm.loading': 'กำลังโหลดสินค้า...',
+  'productForm.title.create': 'สร้างสินค้าใหม่',
+  'productForm.title.edit': 'แก้ไขสินค้า',
+  'productForm.name': 'ชื่อสินค้า *',
+  'productForm.namePlaceholder': 'กรอกชื่อสินค้า',
+  'productForm.sku': 'SKU *',
+  'productForm.skuPlaceholder': 'กรอก SKU',
+  'productForm.skuLocked': 'ไม่สามารถเปลี่ยน SKU ได้',
+  'productForm.description': 'รายละเอียด *',
+  'productForm.descriptionPlaceholder': 'กรอกรายละเอียดสินค้า',
+  'productForm.price': 'ราคา * ({currency})',
+  'productForm.quantity': 'จำนวนคงคลัง *',
+  'productForm.quantityLocked': 'การเปลี่ยนจำนวนคงคลังจะบันทึกเป็นการปรับสต็อก',
+  'productForm.adjustStock': 'ปรับสต็อก',
+  'productForm.reorderPoint': 'จุดสั่งซื้อใหม่',
+  'productForm.reorderPointNote': 'สินค้าที่มีจำนวนเท่ากับหรือต่ำกว่าระดับนี้จะถูกแจ้งว่าใกล้หมด',
+  'productForm.reorderQuantity': 'จำนวนที่สั่งซื้อใหม่',
+  'productForm.reorderQuantityPlaceholder': 'ไม่ได้กำหนด',
+  'productForm.reorderQuantityNote': 'จำนวนที่จะสั่งเมื่อเติมสินค้า',
+  'productForm.category': 'หมวดหมู่',
+  'productForm.noCategory': 'ไม่มีหมวดหมู่',
+  'productForm.tags': 'แท็ก',
+  'productForm.tagsPlaceholder': 'เช่น ลดราคา, แตกง่าย',
+  'productForm.tagsNote': 'คั่นแต่ละแท็กด้วยจุลภาค',
+  'productForm.cancel': 'ยกเลิก',
+  'productForm.saving': 'กำลังบันทึก...',
+  'productForm.submit.create': 'สร้างสินค้า',
+  'productForm.submit.update': 'อัปเดตสินค้า',
+  'productForm.remote.deleted': 'มีผู้อื่นลบสินค้านี้แล้ว จึงไม่สามารถบันทึกได้อีก',
+  'productForm.remote.followed': 'มีผู้อื่นเพิ่งแก้ไขสินค้านี้ ฟอร์มกำลังแสดงข้อมูลฉบับของเขา',
+  'productForm.remote.changed': 'มีผู้อื่นเพิ่งแก้ไขสินค้านี้ เมื่อบันทึก ระบบจะให้คุณเลือกวิธีรวมการแก้ไขของคุณกับของเขา',
+  'productForm.remote.load': 'โหลดฉบับของเขา',
+  'productForm.remote.dismiss': 'ปิด',
+  'productForm.error.load': 'โหลดสินค้าไม่สำเร็จ',
+  'productForm.error.create': 'สร้างสินค้าไม่สำเร็จ',
+  'productForm.error.update': 'อัปเดตสินค้าไม่สำเร็จ',
+  'productForm.error.invalid': 'ข้อมูลไม่ถูกต้อง โปรดตรวจสอบสิ่งที่กรอก',
+  'productForm.error.notSaved': 'ไม่สามารถบันทึกสินค้าได้:',
+  'productForm.images': 'รูปภาพ',
+  'productForm.images.dropHint': 'ลากรูปภาพมาวางที่นี่',
+  'productForm.images.offline': 'เพิ่มรูปภาพได้เมื่อกลับมาออนไลน์',
+  'productForm.images.choose': 'เลือกรูปภาพ',
+  'productForm.images.note': 'JPEG, PNG หรือ WebP สูงสุด {max} รูปต่อสินค้า รูปขนาดใหญ่จะถูกย่อให้ไม่เกิน {size} MB ก่อนอัปโหลด',
+  'productForm.images.primary': 'แสดงในรายการ',
+  'productForm.images.remove': 'ลบ',
+  'productForm.images.retry': 'ลองอีกครั้ง',
+  'productForm.images.uploading': 'กำลังอัปโหลด {name}',
+  'productForm.images.confirmRemove': 'ลบรูปภาพ "{name}" หรือไม่?',
+  'productForm.images.rejected.type': '{name} ไม่ใช่รูปภาพ JPEG, PNG หรือ WebP',
+  'productForm.images.rejected.size': '{name} ยังใหญ่กว่า {max} MB หลังย่อขนาด',
+  'productForm.images.rejected.tooMany': 'ไม่ได้เพิ่ม {name}: สินค้าหนึ่งรายการมีรูปภาพได้สูงสุด {max} รูป',
+  'productForm.images.rejected.unreadable': 'ไม่สามารถอ่าน {name} เป็นรูปภาพได้',
+  'productForm.images.error.upload': 'อัปโหลดรูปภาพไม่สำเร็จ',
+  'productForm.images.error.remove': 'ลบรูปภาพไม่สำเร็จ',
+  'productForm.images.error.primary': 'ตั้งรูปภาพให้แสดงในรายการไม่สำเร็จ',
+  'productForm.images.error.afterCreate': 'สร้างสินค้าแล้ว แต่อัปโหลดรูปภาพบางรูปไม่สำเร็จ โปรดเพิ่มอีกครั้งด้านล่าง',
+
+  // Category management
+  'categories.title': 'หมวดหมู่',
+  'categories.back': 'กลับไปที่รายการสินค้า',
+  'categories.loading': 'กำลังโหลดหมวดหมู่...',
+  'categories.empty': 'ยังไม่มีหมวดหมู่ เพิ่มหมวดหมู่เพื่อเริ่มจัดกลุ่มสินค้า',
+  'categories.name': 'ชื่อ',
+  'categories.namePlaceholder': 'ชื่อหมวดหมู่',
+  'categories.parent': 'หมวดหมู่หลัก',
+  'categories.topLevel': 'ไม่มี (ระดับบนสุด)',
+  'categories.products': 'สินค้า',
+  'categories.actions': 'การดำเนินการ',
+  'categories.add': 'เพิ่มหมวดหมู่',
+  'categories.edit': 'แก้ไข',
+  'categories.save': 'บันทึก',
+  'categories.saving': 'กำลังบันทึก...',
+  'categories.cancel': 'ยกเลิก',
+  'categories.delete': 'ลบ',
+  'categories.confirmDelete': 'ลบหมวดหมู่ "{name}" หรือไม่?',
+  'categories.productCount': { other: 'สินค้า {count} รายการ' },
+  'categories.subcategoryCount': { other: 'หมวดหมู่ย่อย {count} หมวด' },
+  'categories.error.load': 'โหลดหมวดหมู่ไม่สำเร็จ',
+  'categories.error.save': 'บันทึกหมวดหมู่ไม่สำเร็จ',
+  'categories.error.delete': 'ลบหมวดหมู่ไม่สำเร็จ',
+  'categories.error.inUse': '"{name}" ยังมี{products}และ{subcategories} ย้ายไปยังหมวดหมู่อื่นก่อนลบ',
+
+  // Sync status
+  'syncStatus.conflict': 'มีผู้อื่นแก้ไขสินค้านี้ขณะที่คุณออฟไลน์',
+
+  // Field validation
+  'field.name': 'ชื่อสินค้า',
+  'field.sku': 'SKU',
+  'field.description': 'รายละเอียด',
+  'field.price': 'ราคา',
+  'field.quantity': 'จำนวน',
+  'field.reorderPoint': 'จุดสั่งซื้อใหม่',
+  'field.reorderQuantity': 'จำนวนที่สั่งซื้อใหม่',
+  'field.categoryName': 'ชื่อหมวดหมู่',
+  'validation.required': 'ต้องระบุ {label}',
+  'validation.number': '{label} ต้องเป็นตัวเลข',
+  'validation.wholeNumber': '{label} ต้องเป็นจำนวนเต็ม',
+  'validation.minimum': '{label} ต้องไม่น้อยกว่า {limit}',
+  'validation.maximum': '{label} ต้องไม่เกิน {limit}',
+  'validation.minLength': { other: '{label} ต้องมีอย่างน้อย {count} ตัวอักษร' },
+  'validation.maxLength': { other: '{label} ต้องมีไม่เกิน {count} ตัวอักษร' },
+  'validation.pattern': '{label} มีรูปแบบไม่ถูกต้อง',
+  'validation.skuPattern': 'SKU ต้องประกอบด้วยตัวอักษร ตัวเลข และขีดกลางเท่านั้น',
+  'validation.price': 'ราคาต้องมากกว่า 0',
+  'validation.quantityMinimum': 'จำนวนต้องไม่ติดลบ',
+  'validation.reorderPoint': 'จุดสั่งซื้อใหม่ต้องเป็นจำนวนเต็มตั้งแต่ 0 ขึ้นไป',
+  'validation.reorderQuantity': 'จำนวนที่สั่งซื้อใหม่ต้องเป็นจำนวนเต็มตั้งแต่ 0 ขึ้นไป',
+  'validation.tagCount': 'สินค้าหนึ่งรายการมีแท็กได้ไม่เกิน {limit} แท็ก',
+  'validation.tagLength': 'แท็กต้องมีไม่เกิน {limit} ตัวอักษร',
+};
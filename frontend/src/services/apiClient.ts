@@ -0,0 +1,54 @@
+import axios from 'axios';
+import { credentials } from './credentials';
+import { describeApiError, parseApiError } from './apiErrors';
+
+export const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || 'http://localhost:5126/api';
+
+export const API_KEY_HEADER = 'X-API-Key';
+
+export const api = axios.create({
+  baseURL: API_BASE_URL,
+  headers: {
+    'Content-Type': 'application/json',
+  },
+});
+
+// Attach the API key required by the [Authorize] endpoints to every request
+api.interceptors.request.use((config) => {
+  const apiKey = credentials.getApiKey();
+  if (apiKey) {
+    config.headers.set(API_KEY_HEADER, apiKey);
+  }
+  return config;
+});
+
+// Hand missing or rejected credentials over to the credentials flow
+api.interceptors.response.use(
+  (response) => response,
+  (error) => {
+    const status = axios.isAxiosError(error) ? error.response?.status : undefined;
+    if (status === 401 || status === 403) {
+      credentials.notifyRejected(status);
+    }
+    return Promise.reject(error);
+  },
+);
+
+// Check whether an error was caused by missing or rejected credentials
+export const isCredentialError = (err: unknown): boolean => {
+  if (!axios.isAxiosError(err)) {
+    return false;
+  }
+  const status = err.response?.status;
+  return status === 401 || status === 403;
+};
+
+// Check whether a request failed because the API could not be reached at all (offline, server down)
+export const isNetworkError = (err: unknown): boolean => {
+  return axios.isAxiosError(err) && !err.response && err.code !== 'ERR_CANCELED';
+};
+
+// Turn an API error into a short, human-readable reason, listing every validation message it carries
+export const getErrorMessage = (err: unknown): string => {
+  return describeApiError(parseApiError(err));
+};
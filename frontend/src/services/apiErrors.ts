@@ -0,0 +1,123 @@
+import axios from 'axios';
+
+// RFC 7807 problem details as sent by the API; validation failures add `errors` keyed by field name
+export interface ProblemDetails {
+  type?: string;
+  title?: string;
+  status?: number;
+  detail?: string;
+  instance?: string;
+  traceId?: string;
+  errors?: Record<string, string[]>;
+}
+
+// A failed API request reduced to what the UI needs to show
+export interface ApiError {
+  // HTTP status, or undefined when the API could not be reached
+  status?: number;
+  // Messages keyed by the field they belong to, as named by the API (e.g. "SKU", "$.price")
+  fieldErrors: Record<string, string[]>;
+  // Messages that do not belong to a field, such as a plain-text 400 body
+  generalErrors: string[];
+  // Short summary: the problem's title, or a reason derived from the status
+  message: string;
+  // Server-side trace id to quote when reporting the problem
+  traceId?: string;
+}
+
+const isProblemDetails = (data: unknown): data is ProblemDetails => {
+  return !!data && typeof data === 'object' && ('title' in data || 'errors' in data || 'status' in data);
+};
+
+const readErrors = (errors: unknown): Record<string, string[]> => {
+  if (!errors || typeof errors !== 'object') {
+    return {};
+  }
+  const result: Record<string, string[]> = {};
+  Object.entries(errors).forEach(([key, messages]) => {
+    const list = (Array.isArray(messages) ? messages : [messages]).filter((m): m is string => typeof m === 'string' && !!m);
+    if (list.length > 0) {
+      result[key] = list;
+    }
+  });
+  return result;
+};
+
+const fallbackMessage = (status: number | undefined): string => {
+  if (status === 401 || status === 403) {
+    return 'Not authorized. Please check your API key.';
+  }
+  if (status === 404) {
+    return 'Product not found. It may have been deleted.';
+  }
+  if (status) {
+    return `Request failed with status ${status}`;
+  }
+  return 'Network error. Please make sure the API is running.';
+};
+
+// Parse any error thrown by an API call, reading problem details and validation dictionaries when present
+export const parseApiError = (err: unknown): ApiError => {
+  if (!axios.isAxiosError(err)) {
+    return {
+      fieldErrors: {},
+      generalErrors: [],
+      message: err instanceof Error ? err.message : 'Unknown error',
+    };
+  }
+
+  const status = err.response?.status;
+  const data: unknown = err.response?.data;
+
+  if (typeof data === 'string' && data.trim()) {
+    return { status, fieldErrors: {}, generalErrors: [data.trim()], message: data.trim() };
+  }
+
+  if (isProblemDetails(data)) {
+    const errors = readErrors(data.errors);
+    // An empty key holds errors for the request as a whole
+    const { '': general = [], ...fieldErrors } = errors;
+    return {
+      status,
+      fieldErrors,
+      generalErrors: general,
+      message: data.title || data.detail || fallbackMessage(status),
+      traceId: typeof data.traceId === 'string' ? data.traceId : undefined,
+    };
+  }
+
+  return { status, fieldErrors: {}, generalErrors: [], message: fallbackMessage(status) };
+};
+
+// "$.price", "createProductDto.Price" and "Price" all name the `price` field
+const normalizeFieldKey = (key: string) => {
+  const last = key.replace(/^\$\./, '').replace(/\[\d+\]/g, '').split('.').pop() ?? '';
+  return last.toLowerCase();
+};
+
+// Split the field errors into those for the given form fields and the rest, which have nowhere to be shown
+export const matchFieldErrors = <F extends string>(
+  apiError: ApiError,
+  fields: readonly F[],
+): { matched: Partial<Record<F, string>>; unmatched: string[] } => {
+  const byKey = new Map(fields.map((field) => [field.toLowerCase(), field]));
+  const matched: Partial<Record<F, string>> = {};
+  const unmatched = [...apiError.generalErrors];
+
+  Object.entries(apiError.fieldErrors).forEach(([key, messages]) => {
+    const field = byKey.get(normalizeFieldKey(key));
+    if (field) {
+      matched[field] = [matched[field], ...messages].filter(Boolean).join(' ');
+    } else {
+      unmatched.push(...messages);
+    }
+  });
+
+  return { matched, unmatched };
+};
+
+// Every message in the error, for places that show a single line such as import and batch results
+export const describeApiError = (apiError: ApiError): string => {
+  const messages = [...apiError.generalErrors, ...Object.values(apiError.fieldErrors).flat()];
+  return messages.length > 0 ? Array.from(new Set(messages)).join(' ') : apiError.message;
+};
@@ -0,0 +1,133 @@
+import type { Product, UpdateProductDto } from '../types/Product';
+import { productService } from './productService';
+import { getErrorMessage, isCredentialError } from './apiClient';
+
+// Limits enforced by the API for UpdateProductDto and the Product entity
+export const MAX_QUANTITY = 1000000;
+export const MAX_PRICE = 999999.99;
+
+export type StockAdjustmentMode = 'set' | 'add' | 'subtract';
+
+export type BatchAction =
+  | { type: 'delete' }
+  | { type: 'adjustStock'; mode: StockAdjustmentMode; quantity: number }
+  | { type: 'changePrice'; percent: number };
+
+export interface BatchItemResult {
+  product: Product;
+  success: boolean;
+  error?: string;
+}
+
+export interface BatchProgress {
+  completed: number;
+  total: number;
+}
+
+// Work out the stock level a product will have after the adjustment
+export const planStockAdjustment = (product: Product, mode: StockAdjustmentMode, quantity: number): number => {
+  switch (mode) {
+    case 'set':
+      return quantity;
+    case 'add':
+      return product.quantityInStock + quantity;
+    case 'subtract':
+      return product.quantityInStock - quantity;
+  }
+};
+
+// Work out a product's price after a percentage change, rounded to cents
+export const planPriceChange = (product: Product, percent: number): number => {
+  return Math.round(product.price * (1 + percent / 100) * 100) / 100;
+};
+
+// Describe the action in one sentence for the confirmation dialog
+export const describeBatchAction = (action: BatchAction, count: number): string => {
+  const products = `${count} product${count === 1 ? '' : 's'}`;
+  switch (action.type) {
+    case 'delete':
+      return `Delete ${products}. This cannot be undone.`;
+    case 'adjustStock':
+      if (action.mode === 'set') {
+        return `Set stock to ${action.quantity} for ${products}.`;
+      }
+      return `${action.mode === 'add' ? 'Add' : 'Subtract'} ${action.quantity} units ${action.mode === 'add' ? 'to' : 'from'} the stock of ${products}.`;
+    case 'changePrice':
+      return `${action.percent >= 0 ? 'Increase' : 'Decrease'} prices by ${Math.abs(action.percent)}% for ${products}.`;
+  }
+};
+
+// Build the update for one product, or return the reason it cannot be applied
+const buildUpdate = (product: Product, action: BatchAction): UpdateProductDto | string => {
+  const update: UpdateProductDto = {
+    name: product.name,
+    description: product.description,
+    price: product.price,
+    quantityInStock: product.quantityInStock,
+    // The update replaces the category and tags, so send the ones the product already has
+    categoryId: product.categoryId,
+    tags: product.tags,
+  };
+
+  if (action.type === 'adjustStock') {
+    const quantity = planStockAdjustment(product, action.mode, action.quantity);
+    if (quantity < 0) {
+      return `Stock would become negative (${quantity})`;
+    }
+    if (quantity > MAX_QUANTITY) {
+      return `Stock would exceed ${MAX_QUANTITY.toLocaleString()}`;
+    }
+    update.quantityInStock = quantity;
+  } else if (action.type === 'changePrice') {
+    const price = planPriceChange(product, action.percent);
+    if (price <= 0) {
+      return 'Price must stay greater than 0';
+    }
+    if (price > MAX_PRICE) {
+      return `Price would exceed ${MAX_PRICE.toLocaleString()}`;
+    }
+    update.price = price;
+  }
+
+  return update;
+};
+
+// Apply the action to each product in turn, reporting progress and a result per product.
+// Stops early if the API rejects the credentials, since every remaining request would fail too.
+export const runBatchAction = async (
+  products: Product[],
+  action: BatchAction,
+  onProgress?: (progress: BatchProgress) => void,
+): Promise<BatchItemResult[]> => {
+  const results: BatchItemResult[] = [];
+  const total = products.length;
+
+  for (const product of products) {
+    try {
+      if (action.type === 'delete') {
+        await productService.deleteProduct(product.id);
+      } else {
+        const update = buildUpdate(product, action);
+        if (typeof update === 'string') {
+          results.push({ product, success: false, error: update });
+          onProgress?.({ completed: results.length, total });
+          continue;
+        }
+        await productService.updateProduct(product.id, update);
+      }
+      results.push({ product, success: true });
+    } catch (err) {
+      results.push({ product, success: false, error: getErrorMessage(err) });
+      if (isCredentialError(err)) {
+        products.slice(results.length).forEach((skipped) => {
+          results.push({ product: skipped, success: false, error: 'Skipped: the API key was rejected' });
+        });
+        onProgress?.({ completed: results.length, total });
+        break;
+      }
+    }
+    onProgress?.({ completed: results.length, total });
+  }
+
+  return results;
+};
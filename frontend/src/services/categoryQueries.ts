@@ -0,0 +1,17 @@
+import type { Category } from '../types/Category';
+import { categoryService } from './categoryService';
+import { queryCache } from './queryCache';
+
+// Cache keys for category data
+export const categoryKeys = {
+  all: ['categories'] as const,
+  list: ['categories', 'list'] as const,
+};
+
+export const categoryQueries = {
+  // Load every category, in tree order
+  fetchAll: (): Promise<Category[]> => categoryService.getCategories(),
+
+  // Refresh the cached categories after a change, in the background
+  invalidate: (): Promise<void> => queryCache.invalidate(categoryKeys.all),
+};
@@ -0,0 +1,27 @@
+import type { Category, CreateCategoryDto, UpdateCategoryDto } from '../types/Category';
+import { api } from './apiClient';
+
+export const categoryService = {
+  // Get every category, each followed by its subcategories
+  getCategories: async (): Promise<Category[]> => {
+    const response = await api.get<Category[]>('/categories');
+    return response.data;
+  },
+
+  // Create a category, under another one when parentId is set
+  createCategory: async (category: CreateCategoryDto): Promise<Category> => {
+    const response = await api.post<Category>('/categories', category);
+    return response.data;
+  },
+
+  // Rename a category or move it under another parent
+  updateCategory: async (id: number, category: UpdateCategoryDto): Promise<Category> => {
+    const response = await api.put<Category>(`/categories/${id}`, category);
+    return response.data;
+  },
+
+  // Delete a category; the API refuses with 409 while products or subcategories are filed under it
+  deleteCategory: async (id: number): Promise<void> => {
+    await api.delete(`/categories/${id}`);
+  },
+};
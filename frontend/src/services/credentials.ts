@@ -0,0 +1,51 @@
+const STORAGE_KEY = 'demo-inventory.apiKey';
+
+export type CredentialRejection = 401 | 403;
+
+type RejectionListener = (status: CredentialRejection) => void;
+
+const listeners = new Set<RejectionListener>();
+
+const readStoredKey = (): string | null => {
+  try {
+    return window.localStorage.getItem(STORAGE_KEY);
+  } catch {
+    // Storage can be unavailable (private mode, disabled cookies)
+    return null;
+  }
+};
+
+export const credentials = {
+  // Get the API key to send, preferring the one entered by the user over the build-time default
+  getApiKey: (): string | null => {
+    return readStoredKey() || import.meta.env.VITE_API_KEY || null;
+  },
+
+  // Whether the user has entered a key on the credentials screen
+  hasStoredApiKey: (): boolean => {
+    return readStoredKey() !== null;
+  },
+
+  // Persist the API key entered by the user
+  setApiKey: (apiKey: string): void => {
+    window.localStorage.setItem(STORAGE_KEY, apiKey.trim());
+  },
+
+  // Forget the stored API key and fall back to the configured default
+  clearApiKey: (): void => {
+    window.localStorage.removeItem(STORAGE_KEY);
+  },
+
+  // Subscribe to credential rejections (401/403) reported by the API client
+  onRejected: (listener: RejectionListener): (() => void) => {
+    listeners.add(listener);
+    return () => {
+      listeners.delete(listener);
+    };
+  },
+
+  // Notify subscribers that the API rejected the current credentials
+  notifyRejected: (status: CredentialRejection): void => {
+    listeners.forEach((listener) => listener(status));
+  },
+};
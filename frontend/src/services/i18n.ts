@@ -0,0 +1,78 @@
+// UI text in the user's language. Messages live in per-language catalogs under src/locales, keyed by
+// where they appear (e.g. 'productList.title'); English is the reference catalog every key must be in.
+import { en } from '../locales/en';
+import { th } from '../locales/th';
+import { preferences, type DisplayPreferences, type Language } from './preferences';
+
+// Text that depends on a count; the form is picked with the language's plural rules ('one' and 'other'
+// in English; Thai only uses 'other')
+export type PluralMessage = Partial<Record<Intl.LDMLPluralRule, string>> & { other: string };
+
+export type Message = string | PluralMessage;
+
+export type MessageKey = keyof typeof en;
+
+export type Catalog = Partial<Record<MessageKey, Message>>;
+
+// Values for {placeholders}; numbers are formatted for the user's locale, and `count` also picks the plural form
+export type MessageParams = Record<string, string | number>;
+
+export type MissingKeyHandler = (key: string, language: Language) => void;
+
+const catalogs: Record<Language, Catalog> = { en, th };
+
+const reported = new Set<string>();
+
+const formatParam = (value: string | number, locale: string) => {
+  return typeof value === 'number' ? new Intl.NumberFormat(locale).format(value) : value;
+};
+
+// Development builds warn once per missing message; production quietly falls back to English
+const reportInDevelopment: MissingKeyHandler = (key, language) => {
+  if (import.meta.env.DEV && !reported.has(`${language}:${key}`)) {
+    reported.add(`${language}:${key}`);
+    console.warn(`[i18n] Missing ${language} message for "${key}"`);
+  }
+};
+
+let onMissingKey = reportInDevelopment;
+
+const pickPlural = (message: PluralMessage, count: number, language: Language): string => {
+  return message[new Intl.PluralRules(language).select(count)] ?? message.other;
+};
+
+// The message for the key in the user's language, with its placeholders filled in and numbers formatted
+// for their locale. Falls back to English, then to the key itself, reporting the gap.
+export const translate = (
+  key: MessageKey,
+  params: MessageParams = {},
+  { language, locale }: Pick<DisplayPreferences, 'language' | 'locale'> = preferences.getState(),
+): string => {
+  let message = catalogs[language][key];
+  if (message === undefined) {
+    onMissingKey(key, language);
+    message = en[key] as Message | undefined;
+    if (message === undefined) {
+      return key;
+    }
+  }
+  const text = typeof message === 'string' ? message : pickPlural(message, Number(params.count ?? 0), language);
+  return text.replace(/\{(\w+)\}/g, (placeholder, name: string) => (
+    params[name] === undefined ? placeholder : formatParam(params[name], locale)
+  ));
+};
+
+export const i18n = {
+  // Keys the reference catalog has and the language's catalog lacks
+  findMissingKeys: (language: Language): MessageKey[] => {
+    return (Object.keys(en) as MessageKey[]).filter((key) => catalogs[language][key] === undefined);
+  },
+
+  // Replace how missing messages are reported, e.g. to fail tests; returns a function restoring the default
+  setMissingKeyHandler: (handler: MissingKeyHandler): (() => void) => {
+    onMissingKey = handler;
+    return () => {
+      onMissingKey = reportInDevelopment;
+    };
+  },
+};
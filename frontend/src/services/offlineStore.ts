@@ -0,0 +1,76 @@
+const DB_NAME = 'demo-inventory';
+const DB_VERSION = 1;
+const STORE_NAME = 'offline';
+
+// Used when IndexedDB is unavailable (private mode, older browsers, tests)
+const memory = new Map<string, unknown>();
+
+let database: Promise<IDBDatabase | null> | null = null;
+
+const openDatabase = (): Promise<IDBDatabase | null> => {
+  if (!database) {
+    database = new Promise((resolve) => {
+      if (typeof indexedDB === 'undefined') {
+        resolve(null);
+        return;
+      }
+      try {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => {
+          request.result.createObjectStore(STORE_NAME);
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => resolve(null);
+        request.onblocked = () => resolve(null);
+      } catch {
+        resolve(null);
+      }
+    });
+  }
+  return database;
+};
+
+// Run a single request against the object store, resolving with its result
+const run = async <T,>(
+  mode: IDBTransactionMode,
+  operation: (store: IDBObjectStore) => IDBRequest,
+): Promise<{ ok: true; result: T } | { ok: false }> => {
+  const db = await openDatabase();
+  if (!db) {
+    return { ok: false };
+  }
+  return new Promise((resolve) => {
+    try {
+      const request = operation(db.transaction(STORE_NAME, mode).objectStore(STORE_NAME));
+      request.onsuccess = () => resolve({ ok: true, result: request.result as T });
+      request.onerror = () => resolve({ ok: false });
+    } catch {
+      resolve({ ok: false });
+    }
+  });
+};
+
+// Small key-value store for data that must survive a reload while offline
+export const offlineStore = {
+  // Read a stored value
+  get: async <T,>(key: string): Promise<T | undefined> => {
+    const outcome = await run<T | undefined>('readonly', (store) => store.get(key));
+    return outcome.ok ? outcome.result : (memory.get(key) as T | undefined);
+  },
+
+  // Store a value, replacing any previous one
+  set: async (key: string, value: unknown): Promise<void> => {
+    const outcome = await run('readwrite', (store) => store.put(value, key));
+    if (!outcome.ok) {
+      memory.set(key, value);
+    }
+  },
+
+  // Remove a stored value
+  remove: async (key: string): Promise<void> => {
+    const outcome = await run('readwrite', (store) => store.delete(key));
+    if (!outcome.ok) {
+      memory.delete(key);
+    }
+  },
+};
@@ -0,0 +1,497 @@
+import axios from 'axios';
+import type {
+  CreateProductDto,
+  PagedResult,
+  Product,
+  ProductQuery,
+  UpdateProductDto,
+} from '../types/Product';
+import { subtreeIds, type CategoryNode } from '../utils/categoryTree';
+import { DEFAULT_REORDER_POINT } from '../utils/inventoryStats';
+import { getConflictProduct } from '../utils/productConflict';
+import { getErrorMessage, isNetworkError } from './apiClient';
+import { offlineStore } from './offlineStore';
+import { productService } from './productService';
+
+const CACHE_KEY = 'products';
+const QUEUE_KEY = 'mutations';
+const DEFAULT_PAGE_SIZE = 25;
+
+// Every product the list has shown, so it can still be browsed without a connection
+interface ProductCache {
+  products: Product[];
+  cachedAt: string;
+}
+
+interface MutationBase {
+  id: string;
+  // Negative for products created while offline, until the API assigns an ID
+  productId: number;
+  // Product name shown in the sync status
+  label: string;
+  queuedAt: string;
+  // The API's message when it rejected the change on replay
+  error?: string;
+  // The product as currently stored, when the change was rejected because someone else changed it first.
+  // The sync status explains this in the user's language; queues saved by earlier versions also hold an error.
+  conflict?: Product;
+}
+
+export type QueuedMutation =
+  | (MutationBase & { type: 'create'; product: CreateProductDto })
+  | (MutationBase & { type: 'update'; product: UpdateProductDto })
+  | (MutationBase & { type: 'delete' });
+
+// Whether the API refused the change, which holds up the rest of the queue until it is resolved
+export const isRejected = (mutation: QueuedMutation): boolean => mutation.error !== undefined || mutation.conflict !== undefined;
+
+// Whether a change reached the API or was queued to be sent later
+export type SaveOutcome = 'saved' | 'queued';
+
+export interface SyncState {
+  // What the browser reports; requests can still fail while "online" if the API is down
+  online: boolean;
+  syncing: boolean;
+  // Changes waiting to be sent, oldest first
+  queue: QueuedMutation[];
+  cachedAt: string | null;
+  // Bumped whenever queued changes reach the API, so views know to reload
+  revision: number;
+}
+
+const listeners = new Set<() => void>();
+
+let state: SyncState = {
+  online: typeof navigator === 'undefined' ? true : navigator.onLine,
+  syncing: false,
+  queue: [],
+  cachedAt: null,
+  revision: 0,
+};
+
+let loaded: Promise<void> | null = null;
+let replaying = false;
+// The queued change currently being sent, which must not be merged with newer edits
+let inFlightId: string | null = null;
+
+const setState = (changes: Partial<SyncState>) => {
+  state = { ...state, ...changes };
+  listeners.forEach((listener) => listener());
+};
+
+// Restore the queue and cache time saved by a previous session
+const ensureLoaded = (): Promise<void> => {
+  if (!loaded) {
+    loaded = (async () => {
+      const [queue, cache] = await Promise.all([
+        offlineStore.get<QueuedMutation[]>(QUEUE_KEY),
+        offlineStore.get<ProductCache>(CACHE_KEY),
+      ]);
+      setState({ queue: queue ?? [], cachedAt: cache?.cachedAt ?? null });
+    })();
+  }
+  return loaded;
+};
+
+const saveQueue = async (queue: QueuedMutation[]) => {
+  setState({ queue });
+  await offlineStore.set(QUEUE_KEY, queue);
+};
+
+const updateCache = async (update: (products: Product[]) => Product[]) => {
+  const cache = await offlineStore.get<ProductCache>(CACHE_KEY);
+  const cachedAt = new Date().toISOString();
+  await offlineStore.set(CACHE_KEY, { products: update(cache?.products ?? []), cachedAt });
+  setState({ cachedAt });
+};
+
+const upsertCachedProducts = (products: Product[]) => {
+  const ids = new Set(products.map((product) => product.id));
+  return updateCache((cached) => [...cached.filter((product) => !ids.has(product.id)), ...products]);
+};
+
+// Cache a product returned by the API
+const cacheSaved = async (product: Product | undefined) => {
+  if (product?.id) {
+    await upsertCachedProducts([product]);
+  }
+};
+
+const removeCachedProduct = (id: number) => {
+  return updateCache((cached) => cached.filter((product) => product.id !== id));
+};
+
+const newMutationId = () => `${Date.now()}-${Math.random().toString(36).slice(2, 10)}`;
+
+// Temporary IDs for products created offline count down from -1
+const nextTemporaryId = () => {
+  return Math.min(0, ...state.queue.map((mutation) => mutation.productId)) - 1;
+};
+
+const applyChanges = (product: Product, changes: UpdateProductDto): Product => ({
+  ...product,
+  name: changes.name,
+  description: changes.description,
+  price: changes.price,
+  quantityInStock: changes.quantityInStock ?? product.quantityInStock,
+  reorderPoint: changes.reorderPoint ?? product.reorderPoint,
+  reorderQuantity: changes.reorderQuantity ?? product.reorderQuantity,
+  categoryId: changes.clearCategory ? null : changes.categoryId ?? product.categoryId,
+  tags: changes.tags ?? product.tags,
+});
+
+// The cached products as they will look once the queued changes are sent
+const applyQueue = (products: Product[], queue: QueuedMutation[]): Product[] => {
+  return queue.reduce<Product[]>((result, mutation) => {
+    switch (mutation.type) {
+      case 'create':
+        return [...result, {
+          id: mutation.productId,
+          name: mutation.product.name,
+          description: mutation.product.description,
+          sku: mutation.product.sku,
+          price: mutation.product.price,
+          quantityInStock: mutation.product.quantityInStock,
+          reorderPoint: mutation.product.reorderPoint ?? DEFAULT_REORDER_POINT,
+          reorderQuantity: mutation.product.reorderQuantity ?? 0,
+          categoryId: mutation.product.categoryId,
+          tags: mutation.product.tags ?? [],
+          createdAt: mutation.queuedAt,
+          updatedAt: mutation.queuedAt,
+        }];
+      case 'update':
+        return result.map((product) => (product.id === mutation.productId ? applyChanges(product, mutation.product) : product));
+      case 'delete':
+        return result.filter((product) => product.id !== mutation.productId);
+    }
+  }, products);
+};
+
+// Filter, sort and page products the way the API's paged endpoint does. The category filter takes in
+// subcategories when the category tree is known.
+const queryLocally = (products: Product[], query: ProductQuery, categories: CategoryNode[]): PagedResult<Product> => {
+  const term = query.searchTerm?.trim().toLowerCase();
+  const categoryIds = query.categoryId ? subtreeIds(categories, query.categoryId) : undefined;
+  const tags = query.tags?.map((tag) => tag.trim().toLowerCase()) ?? [];
+  const inRange = (value: number, min?: number, max?: number) => {
+    return (min === undefined || value >= min) && (max === undefined || value <= max);
+  };
+  const toTime = (value?: string) => (value ? Date.parse(value) : undefined);
+
+  const filtered = products.filter((product) =>
+    (!term || product.name.toLowerCase().includes(term))
+    && inRange(product.price, query.minPrice, query.maxPrice)
+    && inRange(product.quantityInStock, query.minStock, query.maxStock)
+    && inRange(Date.parse(product.createdAt), toTime(query.createdFrom), toTime(query.createdTo))
+    && (!categoryIds || (product.categoryId != null && categoryIds.has(product.categoryId)))
+    // Products cached before tags existed have none
+    && tags.every((tag) => product.tags?.includes(tag)));
+
+  const direction = query.sortDirection === 'desc' ? -1 : 1;
+  const compare = (a: Product, b: Product): number => {
+    switch (query.sortBy) {
+      case 'name':
+      case 'sku':
+        return a[query.sortBy].localeCompare(b[query.sortBy]);
+      case 'price':
+      case 'quantityInStock':
+        return a[query.sortBy] - b[query.sortBy];
+      case 'createdAt':
+        return Date.parse(a.createdAt) - Date.parse(b.createdAt);
+      default:
+        return 0;
+    }
+  };
+  filtered.sort((a, b) => (compare(a, b) || a.id - b.id) * direction);
+
+  const pageSize = query.pageSize ?? DEFAULT_PAGE_SIZE;
+  const page = query.page ?? 1;
+  return {
+    items: filtered.slice((page - 1) * pageSize, page * pageSize),
+    page,
+    pageSize,
+    totalCount: filtered.length,
+    totalPages: Math.ceil(filtered.length / pageSize),
+  };
+};
+
+const queueMutation = async (mutation: QueuedMutation) => {
+  await saveQueue([...state.queue, mutation]);
+};
+
+const queueCreate = async (product: CreateProductDto) => {
+  await queueMutation({
+    id: newMutationId(),
+    type: 'create',
+    productId: nextTemporaryId(),
+    label: product.name,
+    queuedAt: new Date().toISOString(),
+    product,
+  });
+};
+
+const queueUpdate = async (productId: number, product: UpdateProductDto, label: string) => {
+  const pending = state.queue.find((mutation) =>
+    mutation.productId === productId && mutation.id !== inFlightId && !isRejected(mutation)
+    && (mutation.type === 'update' || mutation.type === 'create'));
+
+  if (pending?.type === 'create') {
+    // Not sent yet, so fold the edit into the new product
+    await saveQueue(state.queue.map((mutation) => (mutation === pending
+      ? {
+        ...pending,
+        label: product.name,
+        product: {
+          ...pending.product,
+          name: product.name,
+          description: product.description,
+          price: product.price,
+          quantityInStock: product.quantityInStock ?? pending.product.quantityInStock,
+          reorderPoint: product.reorderPoint,
+          reorderQuantity: product.reorderQuantity,
+          categoryId: product.categoryId,
+          tags: product.tags,
+        },
+      }
+      : mutation)));
+    return;
+  }
+  if (pending?.type === 'update') {
+    // Keep the version the first edit started from, so the API still detects changes made by others
+    await saveQueue(state.queue.map((mutation) => (mutation === pending
+      ? { ...pending, label, product: { ...product, expectedUpdatedAt: pending.product.expectedUpdatedAt } }
+      : mutation)));
+    return;
+  }
+
+  await queueMutation({
+    id: newMutationId(),
+    type: 'update',
+    productId,
+    label,
+    queuedAt: new Date().toISOString(),
+    product,
+  });
+};
+
+const queueDelete = async (productId: number, label: string) => {
+  const unsent = (mutation: QueuedMutation) => mutation.productId === productId && mutation.id !== inFlightId;
+  const createdOffline = state.queue.some((mutation) => unsent(mutation) && mutation.type === 'create');
+  // Earlier unsent changes to the product no longer matter
+  const remaining = state.queue.filter((mutation) => !unsent(mutation));
+
+  if (createdOffline) {
+    await saveQueue(remaining);
+    return;
+  }
+  await saveQueue([...remaining, {
+    id: newMutationId(),
+    type: 'delete',
+    productId,
+    label,
+    queuedAt: new Date().toISOString(),
+  }]);
+};
+
+// Send a change straight away when possible; otherwise, or while older changes are still queued, queue it
+const sendOrQueue = async (send: () => Promise<void>, queue: () => Promise<void>): Promise<SaveOutcome> => {
+  await ensureLoaded();
+  if (state.online && state.queue.length === 0) {
+    try {
+      await send();
+      return 'saved';
+    } catch (err) {
+      if (!isNetworkError(err)) {
+        throw err;
+      }
+    }
+  }
+  await queue();
+  void replay();
+  return 'queued';
+};
+
+// Send one queued change to the API
+const sendMutation = async (mutation: QueuedMutation) => {
+  switch (mutation.type) {
+    case 'create': {
+      const created = await productService.createProduct(mutation.product);
+      await upsertCachedProducts([created]);
+      // Later changes to the product refer to its temporary ID
+      await saveQueue(state.queue.map((queued) => (queued.productId === mutation.productId
+        ? { ...queued, productId: created.id }
+        : queued)));
+      break;
+    }
+    case 'update': {
+      await cacheSaved(await productService.updateProduct(mutation.productId, mutation.product));
+      break;
+    }
+    case 'delete':
+      try {
+        await productService.deleteProduct(mutation.productId);
+      } catch (err) {
+        // Already deleted by someone else
+        if (!axios.isAxiosError(err) || err.response?.status !== 404) {
+          throw err;
+        }
+      }
+      await removeCachedProduct(mutation.productId);
+      break;
+  }
+};
+
+// Send queued changes in order, stopping at the first one the API rejects so later changes never overtake it
+const replay = async (): Promise<void> => {
+  await ensureLoaded();
+  if (replaying || !state.online || state.queue.length === 0 || isRejected(state.queue[0])) {
+    return;
+  }
+
+  replaying = true;
+  setState({ syncing: true });
+  let sent = 0;
+  try {
+    while (state.queue.length > 0 && !isRejected(state.queue[0])) {
+      const mutation = state.queue[0];
+      inFlightId = mutation.id;
+      try {
+        await sendMutation(mutation);
+        sent++;
+        await saveQueue(state.queue.filter((queued) => queued.id !== mutation.id));
+      } catch (err) {
+        if (isNetworkError(err)) {
+          // Still unreachable; keep everything queued for the next attempt
+          break;
+        }
+        const conflict = getConflictProduct(err) ?? undefined;
+        const error = conflict ? undefined : getErrorMessage(err);
+        await saveQueue(state.queue.map((queued) => (queued.id === mutation.id ? { ...queued, error, conflict } : queued)));
+        console.error('Error replaying queued change:', err);
+        break;
+      }
+    }
+  } finally {
+    inFlightId = null;
+    replaying = false;
+    setState({ syncing: false, revision: sent > 0 ? state.revision + 1 : state.revision });
+  }
+};
+
+// Apply a change to a rejected mutation and try the queue again
+const resolve = async (mutationId: string, update: (mutation: QueuedMutation) => QueuedMutation) => {
+  await ensureLoaded();
+  await saveQueue(state.queue.map((mutation) => (mutation.id === mutationId ? update(mutation) : mutation)));
+  await replay();
+};
+
+export const offlineSync = {
+  // Current sync status
+  getState: (): SyncState => state,
+
+  // Subscribe to sync status changes
+  subscribe: (listener: () => void): (() => void) => {
+    listeners.add(listener);
+    return () => {
+      listeners.delete(listener);
+    };
+  },
+
+  // Follow the browser's connection status and send anything queued by an earlier session
+  start: (): (() => void) => {
+    const goOnline = () => {
+      setState({ online: true });
+      void replay();
+    };
+    const goOffline = () => setState({ online: false });
+    window.addEventListener('online', goOnline);
+    window.addEventListener('offline', goOffline);
+    void replay();
+    return () => {
+      window.removeEventListener('online', goOnline);
+      window.removeEventListener('offline', goOffline);
+    };
+  },
+
+  // Remember products loaded from the API. A successful load also means queued changes can be sent.
+  cacheProducts: async (products: Product[]): Promise<void> => {
+    await upsertCachedProducts(products);
+    void replay();
+  },
+
+  // Query the cached products, including queued changes; null when nothing has been cached yet
+  queryCachedProducts: async (query: ProductQuery, categories: CategoryNode[] = []): Promise<PagedResult<Product> | null> => {
+    await ensureLoaded();
+    const cache = await offlineStore.get<ProductCache>(CACHE_KEY);
+    if (!cache && state.queue.length === 0) {
+      return null;
+    }
+    return queryLocally(applyQueue(cache?.products ?? [], state.queue), query, categories);
+  },
+
+  // Get a cached product, including queued changes
+  getCachedProduct: async (id: number): Promise<Product | null> => {
+    await ensureLoaded();
+    const cache = await offlineStore.get<ProductCache>(CACHE_KEY);
+    return applyQueue(cache?.products ?? [], state.queue).find((product) => product.id === id) ?? null;
+  },
+
+  // Create a product, or queue it while the API cannot be reached. onSaved gets the product as the
+  // API saved it, e.g. to upload its images; it is not called for a queued product.
+  createProduct: (product: CreateProductDto, onSaved?: (created: Product) => void): Promise<SaveOutcome> => {
+    return sendOrQueue(async () => {
+      const created = await productService.createProduct(product);
+      await cacheSaved(created);
+      onSaved?.(created);
+    }, () => queueCreate(product));
+  },
+
+  // Update a product, or queue the update while the API cannot be reached
+  updateProduct: (id: number, product: UpdateProductDto): Promise<SaveOutcome> => {
+    if (id < 0) {
+      // Created offline and not sent yet
+      return queueUpdate(id, product, product.name).then(() => 'queued');
+    }
+    return sendOrQueue(async () => {
+      await cacheSaved(await productService.updateProduct(id, product));
+    }, () => queueUpdate(id, product, product.name));
+  },
+
+  // Delete a product, or queue the deletion while the API cannot be reached
+  deleteProduct: (product: Product): Promise<SaveOutcome> => {
+    if (product.id < 0) {
+      return queueDelete(product.id, product.name).then(() => 'queued');
+    }
+    return sendOrQueue(async () => {
+      await productService.deleteProduct(product.id);
+      await removeCachedProduct(product.id);
+    }, () => queueDelete(product.id, product.name));
+  },
+
+  // Send queued changes now
+  replay,
+
+  // Try a rejected change again as it is
+  retry: (mutationId: string): Promise<void> => {
+    return resolve(mutationId, (mutation) => ({ ...mutation, error: undefined, conflict: undefined }));
+  },
+
+  // Apply a rejected update on top of the version that caused the conflict, replacing the other changes
+  overwrite: (mutationId: string): Promise<void> => {
+    return resolve(mutationId, (mutation) => (mutation.type === 'update' && mutation.conflict
+      ? { ...mutation, product: { ...mutation.product, expectedUpdatedAt: mutation.conflict.updatedAt }, error: undefined, conflict: undefined }
+      : mutation));
+  },
+
+  // Drop a queued change, along with anything queued for a product that will now never be created
+  discard: async (mutationId: string): Promise<void> => {
+    await ensureLoaded();
+    const discarded = state.queue.find((mutation) => mutation.id === mutationId);
+    if (!discarded) {
+      return;
+    }
+    await saveQueue(state.queue.filter((mutation) => mutation.id !== mutationId
+      && !(discarded.type === 'create' && mutation.productId === discarded.productId)));
+    await replay();
+  },
+};
@@ -0,0 +1,126 @@
+// The language of the UI and how prices and dates are shown, chosen by the user and remembered in the browser
+
+const STORAGE_KEY = 'demo-inventory.preferences';
+
+export type Language = 'en' | 'th';
+
+export interface DisplayPreferences {
+  // Language of the UI text
+  language: Language;
+  // BCP 47 locale used for number and date formatting, e.g. 'de-DE'
+  locale: string;
+  // ISO 4217 code of the currency prices are shown in. Prices are stored as plain amounts, so this only
+  // changes the symbol and decimals shown; it does not convert between currencies.
+  currency: string;
+}
+
+// Each language is listed in its own script so it can be found whatever the current language is
+export const LANGUAGES: { value: Language; label: string }[] = [
+  { value: 'en', label: 'English' },
+  { value: 'th', label: 'ไทย' },
+];
+
+export const LOCALES: { value: string; label: string }[] = [
+  { value: 'en-US', label: 'English (United States)' },
+  { value: 'en-GB', label: 'English (United Kingdom)' },
+  { value: 'de-DE', label: 'Deutsch (Deutschland)' },
+  { value: 'fr-FR', label: 'Français (France)' },
+  { value: 'th-TH', label: 'ไทย (ประเทศไทย)' },
+  { value: 'ja-JP', label: '日本語 (日本)' },
+];
+
+export const CURRENCIES: { value: string; label: string }[] = [
+  { value: 'USD', label: 'US Dollar (USD)' },
+  { value: 'EUR', label: 'Euro (EUR)' },
+  { value: 'GBP', label: 'British Pound (GBP)' },
+  { value: 'THB', label: 'Thai Baht (THB)' },
+  { value: 'JPY', label: 'Japanese Yen (JPY)' },
+  { value: 'SGD', label: 'Singapore Dollar (SGD)' },
+];
+
+const isSupported = <T extends string,>(options: { value: T }[], value: unknown): value is T => {
+  return options.some((option) => option.value === value);
+};
+
+const browserLanguages = (): readonly string[] => {
+  return typeof navigator === 'undefined' ? [] : navigator.languages ?? [navigator.language];
+};
+
+// The first of the browser's languages the UI is translated into
+const browserLanguage = (): Language => {
+  for (const language of browserLanguages()) {
+    const match = LANGUAGES.find((option) => option.value === language.split('-')[0]);
+    if (match) {
+      return match.value;
+    }
+  }
+  return 'en';
+};
+
+// The supported locale closest to the browser's language, e.g. de-AT picks de-DE
+const browserLocale = (): string => {
+  for (const language of browserLanguages()) {
+    const match = LOCALES.find((locale) => locale.value === language)
+      ?? LOCALES.find((locale) => locale.value.split('-')[0] === language.split('-')[0]);
+    if (match) {
+      return match.value;
+    }
+  }
+  return 'en-US';
+};
+
+const readStored = (): DisplayPreferences => {
+  const defaults: DisplayPreferences = { language: browserLanguage(), locale: browserLocale(), currency: 'USD' };
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(STORAGE_KEY) ?? '{}') as Partial<DisplayPreferences>;
+    return {
+      language: isSupported(LANGUAGES, stored.language) ? stored.language : defaults.language,
+      locale: isSupported(LOCALES, stored.locale) ? stored.locale : defaults.locale,
+      currency: isSupported(CURRENCIES, stored.currency) ? stored.currency : defaults.currency,
+    };
+  } catch {
+    // Storage can be unavailable (private mode, disabled cookies) or hold something unreadable
+    return defaults;
+  }
+};
+
+let state = readStored();
+const listeners = new Set<() => void>();
+
+export const preferences = {
+  // The current preferences; the same object until they change, so it can back useSyncExternalStore
+  getState: (): DisplayPreferences => state,
+
+  subscribe: (listener: () => void): (() => void) => {
+    listeners.add(listener);
+    return () => {
+      listeners.delete(listener);
+    };
+  },
+
+  // Change and remember some of the preferences; unsupported values are ignored
+  update: (changes: Partial<DisplayPreferences>): void => {
+    state = {
+      language: isSupported(LANGUAGES, changes.language) ? changes.language : state.language,
+      locale: isSupported(LOCALES, changes.locale) ? changes.locale : state.locale,
+      currency: isSupported(CURRENCIES, changes.currency) ? changes.currency : state.currency,
+    };
+    try {
+      window.localStorage.setItem(STORAGE_KEY, JSON.stringify(state));
+    } catch {
+      // Still applies for this visit
+    }
+    listeners.forEach((listener) => listener());
+  },
+
+  // Go back to the defaults, e.g. between tests
+  reset: (): void => {
+    try {
+      window.localStorage.removeItem(STORAGE_KEY);
+    } catch {
+      // Nothing stored
+    }
+    state = readStored();
+    listeners.forEach((listener) => listener());
+  },
+};
@@ -0,0 +1,99 @@
+import type { Product, ProductEvent } from '../types/Product';
+import { API_BASE_URL } from './apiClient';
+import { productKeys, productQueries } from './productQueries';
+import { queryCache } from './queryCache';
+
+// A pushed product change, with the product as this browser had it before
+export interface ProductChange extends ProductEvent {
+  // Unset when the product was not cached, e.g. it is on another page
+  previous?: Product;
+}
+
+export type ProductChangeListener = (change: ProductChange) => void;
+
+const EVENTS_URL = `${API_BASE_URL}/products/events`;
+
+const listeners = new Set<ProductChangeListener>();
+let source: EventSource | null = null;
+// Set when the connection drops; events sent meanwhile are lost, so cached products are reloaded on reconnect
+let disconnected = false;
+
+const parse = (data: string): ProductEvent | null => {
+  try {
+    const event = JSON.parse(data) as ProductEvent;
+    return typeof event.productId === 'number' && ['created', 'updated', 'deleted'].includes(event.type) ? event : null;
+  } catch {
+    return null;
+  }
+};
+
+// Bring the cached product data up to date with the change
+const applyToCache = (event: ProductEvent) => {
+  if (event.type === 'updated' && event.product) {
+    productQueries.replace(event.product);
+  } else if (event.type === 'deleted') {
+    productQueries.remove(event.productId);
+  } else {
+    // Where a new product lands depends on each list's sort and filters, so ask the API
+    void queryCache.invalidate(productKeys.lists);
+  }
+  // Any change can move the category and tag counts
+  void queryCache.invalidate(productKeys.facetLists);
+};
+
+const handleMessage = (message: MessageEvent<string>) => {
+  const event = parse(message.data);
+  if (!event) {
+    console.error('Ignoring malformed product event:', message.data);
+    return;
+  }
+  const previous = queryCache.getState<Product>(productKeys.detail(event.productId)).data
+    ?? productQueries.findListed(event.productId);
+  // Events can overtake each other; one older than what is on screen has nothing new to say
+  if (event.product && previous && Date.parse(previous.updatedAt) > Date.parse(event.product.updatedAt)) {
+    return;
+  }
+  applyToCache(event);
+  listeners.forEach((listener) => listener({ ...event, previous }));
+};
+
+const connect = () => {
+  // Browsers without EventSource (and the test environment) just don't get live updates
+  if (typeof EventSource === 'undefined') {
+    return;
+  }
+  source = new EventSource(EVENTS_URL);
+  source.onmessage = handleMessage;
+  source.onerror = () => {
+    // EventSource reconnects by itself
+    disconnected = true;
+  };
+  source.onopen = () => {
+    if (disconnected) {
+      disconnected = false;
+      void productQueries.invalidate();
+    }
+  };
+};
+
+const disconnect = () => {
+  source?.close();
+  source = null;
+  disconnected = false;
+};
+
+// Live product changes from the API. One connection is shared by every subscriber and closed when the last one leaves.
+export const productEvents = {
+  subscribe: (listener: ProductChangeListener): (() => void) => {
+    listeners.add(listener);
+    if (!source) {
+      connect();
+    }
+    return () => {
+      listeners.delete(listener);
+      if (listeners.size === 0) {
+        disconnect();
+      }
+    };
+  },
+};
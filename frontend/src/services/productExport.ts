@@ -0,0 +1,126 @@
+import type { Product, ProductQuery } from '../types/Product';
+import { productService } from './productService';
+import { formatCsvRow } from '../utils/csv';
+import { createXlsx, type XlsxCell } from '../utils/xlsx';
+
+export type ExportFormat = 'csv' | 'json' | 'xlsx';
+
+export const EXPORT_FORMATS: { format: ExportFormat; label: string }[] = [
+  { format: 'csv', label: 'CSV' },
+  { format: 'json', label: 'JSON' },
+  { format: 'xlsx', label: 'Excel (XLSX)' },
+];
+
+// The largest page the API serves; products are fetched and written one page at a time
+export const EXPORT_CHUNK_SIZE = 100;
+
+export interface ExportProgress {
+  exported: number;
+  total: number;
+}
+
+export interface ExportOptions {
+  signal?: AbortSignal;
+  onProgress?: (progress: ExportProgress) => void;
+}
+
+const toIsoDate = (value: string) => {
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? value : date.toISOString();
+};
+
+// Exported columns; values stay raw (numbers and ISO 8601 dates) so spreadsheets and scripts can use them as-is
+const EXPORT_COLUMNS: { header: keyof Product; value: (product: Product) => string | number }[] = [
+  { header: 'id', value: (product) => product.id },
+  { header: 'sku', value: (product) => product.sku },
+  { header: 'name', value: (product) => product.name },
+  { header: 'description', value: (product) => product.description },
+  { header: 'price', value: (product) => product.price },
+  { header: 'quantityInStock', value: (product) => product.quantityInStock },
+  { header: 'reorderPoint', value: (product) => product.reorderPoint },
+  { header: 'reorderQuantity', value: (product) => product.reorderQuantity },
+  { header: 'createdAt', value: (product) => toIsoDate(product.createdAt) },
+  { header: 'updatedAt', value: (product) => toIsoDate(product.updatedAt) },
+];
+
+const toRecord = (product: Product) =>
+  Object.fromEntries(EXPORT_COLUMNS.map(({ header, value }) => [header, value(product)]));
+
+const toCells = (product: Product): XlsxCell[] => EXPORT_COLUMNS.map(({ value }) => value(product));
+
+// Fetch every product matching the query (search, filters and sort), one page at a time
+export async function* fetchAllPages(query: ProductQuery, options: ExportOptions = {}): AsyncGenerator<Product[]> {
+  let exported = 0;
+  for (let page = 1; ; page++) {
+    const result = await productService.queryProducts(
+      { ...query, page, pageSize: EXPORT_CHUNK_SIZE },
+      { signal: options.signal },
+    );
+    exported += result.items.length;
+    options.onProgress?.({ exported, total: result.totalCount });
+    if (result.items.length > 0) {
+      yield result.items;
+    }
+    if (page >= result.totalPages || result.items.length === 0) {
+      return;
+    }
+  }
+}
+
+async function* mapChunks<T>(chunks: AsyncIterable<Product[]>, map: (products: Product[]) => T): AsyncGenerator<T> {
+  for await (const products of chunks) {
+    yield map(products);
+  }
+}
+
+// Export the products matching the query to a file in the chosen format
+export const exportProducts = async (
+  query: ProductQuery,
+  format: ExportFormat,
+  options: ExportOptions = {},
+): Promise<Blob> => {
+  const chunks = fetchAllPages(query, options);
+
+  if (format === 'xlsx') {
+    const header = EXPORT_COLUMNS.map(({ header }) => header);
+    return createXlsx('Products', header, mapChunks(chunks, (products) => products.map(toCells)));
+  }
+
+  const parts: string[] = [];
+  if (format === 'csv') {
+    // The byte order mark makes Excel read the file as UTF-8
+    parts.push('\ufeff' + formatCsvRow(EXPORT_COLUMNS.map(({ header }) => header)) + '\r\n');
+    for await (const products of chunks) {
+      parts.push(products.map((product) => formatCsvRow(toCells(product)) + '\r\n').join(''));
+    }
+    return new Blob(parts, { type: 'text/csv;charset=utf-8' });
+  }
+
+  let first = true;
+  parts.push('[');
+  for await (const products of chunks) {
+    parts.push((first ? '\n' : ',\n') + products.map((product) => '  ' + JSON.stringify(toRecord(product))).join(',\n'));
+    first = false;
+  }
+  parts.push(first ? ']\n' : '\n]\n');
+  return new Blob(parts, { type: 'application/json' });
+};
+
+// Build a dated file name, e.g. products-2024-01-31.csv
+export const getExportFileName = (format: ExportFormat, date = new Date()) => {
+  const pad = (n: number) => String(n).padStart(2, '0');
+  return `products-${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}.${format}`;
+};
+
+// Hand a generated file to the browser as a download
+export const downloadBlob = (blob: Blob, fileName: string) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Some browsers cancel the download if the URL is revoked while the click is still being handled
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
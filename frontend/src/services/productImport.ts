@@ -0,0 +1,222 @@
+import type { CreateProductDto, Product } from '../types/Product';
+import { productService } from './productService';
+import { getErrorMessage, isCredentialError } from './apiClient';
+import type { BatchProgress } from './batchOperations';
+import { parseCsv } from '../utils/csv';
+import {
+  parseOptionalCount,
+  validateProductValues,
+  type ProductFieldErrors,
+  type ProductFormValues,
+} from '../utils/productValidation';
+
+export type ImportField = keyof ProductFormValues;
+
+export const IMPORT_FIELDS: { field: ImportField; label: string }[] = [
+  { field: 'name', label: 'Name' },
+  { field: 'description', label: 'Description' },
+  { field: 'sku', label: 'SKU' },
+  { field: 'price', label: 'Price' },
+  { field: 'quantityInStock', label: 'Quantity in Stock' },
+  { field: 'reorderPoint', label: 'Reorder Point' },
+  { field: 'reorderQuantity', label: 'Reorder Quantity' },
+];
+
+// Header names (lowercased, letters and digits only) recognised for each field when mapping automatically
+const FIELD_ALIASES: Record<ImportField, string[]> = {
+  name: ['name', 'productname', 'product', 'title'],
+  description: ['description', 'desc', 'details'],
+  sku: ['sku', 'code', 'productcode', 'itemcode'],
+  price: ['price', 'unitprice', 'cost'],
+  quantityInStock: ['quantityinstock', 'quantity', 'qty', 'stock', 'instock'],
+  reorderPoint: ['reorderpoint', 'reorderlevel', 'minstock', 'minimumstock'],
+  reorderQuantity: ['reorderquantity', 'reorderqty', 'orderquantity'],
+};
+
+// A source column for each field, or '' when the field is not mapped
+export type ColumnMapping = Record<ImportField, string>;
+
+export type ConflictStrategy = 'skip' | 'overwrite' | 'abort';
+
+export interface ImportSource {
+  columns: string[];
+  records: Record<string, string>[];
+}
+
+export interface ImportRow {
+  // 1-based position of the record in the file (excluding a CSV header)
+  rowNumber: number;
+  values: ProductFormValues;
+  errors: ProductFieldErrors;
+  // Set when the file repeats a SKU; only the first occurrence is importable
+  duplicateOfRow?: number;
+  // Set when a product with this SKU already exists
+  existing?: Product;
+}
+
+export interface ImportRowResult {
+  row: ImportRow;
+  outcome: 'created' | 'updated' | 'failed';
+  error?: string;
+}
+
+const normalizeHeader = (header: string) => header.toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// The API stores SKUs trimmed and upper-cased
+const normalizeSku = (sku: string) => sku.trim().toUpperCase();
+
+// Read a CSV (first row is the header) or JSON (array of objects, or { products: [...] }) file
+export const parseImportFile = (fileName: string, text: string): ImportSource => {
+  if (fileName.toLowerCase().endsWith('.json')) {
+    let data: unknown;
+    try {
+      data = JSON.parse(text);
+    } catch {
+      throw new Error('The file is not valid JSON.');
+    }
+    const items = Array.isArray(data)
+      ? data
+      : data && typeof data === 'object' && Array.isArray((data as { products?: unknown }).products)
+        ? (data as { products: unknown[] }).products
+        : null;
+    if (!items || !items.every((item) => item && typeof item === 'object' && !Array.isArray(item))) {
+      throw new Error('JSON imports must be an array of product objects.');
+    }
+
+    const columns: string[] = [];
+    const records = (items as Record<string, unknown>[]).map((item) => {
+      const record: Record<string, string> = {};
+      Object.entries(item).forEach(([key, value]) => {
+        if (!columns.includes(key)) {
+          columns.push(key);
+        }
+        record[key] = value === null || value === undefined ? '' : String(value);
+      });
+      return record;
+    });
+    return { columns, records };
+  }
+
+  const [header, ...rows] = parseCsv(text);
+  if (!header) {
+    throw new Error('The file is empty.');
+  }
+  const columns = header.map((column) => column.trim());
+  const records = rows.map((fields) => {
+    const record: Record<string, string> = {};
+    columns.forEach((column, index) => {
+      record[column] = fields[index] ?? '';
+    });
+    return record;
+  });
+  return { columns, records };
+};
+
+// Map each field to the first column whose header matches one of its aliases
+export const guessColumnMapping = (columns: string[]): ColumnMapping => {
+  const mapping = {} as ColumnMapping;
+  IMPORT_FIELDS.forEach(({ field }) => {
+    mapping[field] = columns.find((column) => FIELD_ALIASES[field].includes(normalizeHeader(column))) ?? '';
+  });
+  return mapping;
+};
+
+// Apply the mapping and validate every record the same way ProductForm does
+export const buildImportRows = (
+  source: ImportSource,
+  mapping: ColumnMapping,
+  existingProducts: Product[],
+): ImportRow[] => {
+  const existingBySku = new Map(existingProducts.map((product) => [normalizeSku(product.sku), product]));
+  const firstRowBySku = new Map<string, number>();
+
+  return source.records.map((record, index) => {
+    const rowNumber = index + 1;
+    const values = {} as ProductFormValues;
+    IMPORT_FIELDS.forEach(({ field }) => {
+      values[field] = mapping[field] ? (record[mapping[field]] ?? '').trim() : '';
+    });
+
+    const row: ImportRow = { rowNumber, values, errors: validateProductValues(values) };
+    const sku = normalizeSku(values.sku);
+    if (sku) {
+      const firstRow = firstRowBySku.get(sku);
+      if (firstRow !== undefined) {
+        row.duplicateOfRow = firstRow;
+      } else {
+        firstRowBySku.set(sku, rowNumber);
+      }
+      row.existing = existingBySku.get(sku);
+    }
+    return row;
+  });
+};
+
+export const isRowValid = (row: ImportRow) => Object.keys(row.errors).length === 0 && row.duplicateOfRow === undefined;
+
+export const isRowConflict = (row: ImportRow) => isRowValid(row) && row.existing !== undefined;
+
+// The rows that will be written for the chosen strategy; an abort strategy writes nothing if any row conflicts
+export const selectRowsToImport = (rows: ImportRow[], strategy: ConflictStrategy): ImportRow[] => {
+  const valid = rows.filter(isRowValid);
+  const hasConflicts = valid.some(isRowConflict);
+  if (strategy === 'abort' && hasConflicts) {
+    return [];
+  }
+  return strategy === 'overwrite' ? valid : valid.filter((row) => !isRowConflict(row));
+};
+
+const toCreateDto = (values: ProductFormValues): CreateProductDto => ({
+  name: values.name,
+  description: values.description,
+  sku: values.sku,
+  price: parseFloat(values.price),
+  quantityInStock: parseInt(values.quantityInStock),
+  reorderPoint: parseOptionalCount(values.reorderPoint),
+  reorderQuantity: parseOptionalCount(values.reorderQuantity),
+});
+
+// Create new products and overwrite existing ones row by row, reporting progress.
+// Stops early if the API rejects the credentials, since every remaining request would fail too.
+export const commitImport = async (
+  rows: ImportRow[],
+  onProgress?: (progress: BatchProgress) => void,
+): Promise<ImportRowResult[]> => {
+  const results: ImportRowResult[] = [];
+  const total = rows.length;
+
+  for (const row of rows) {
+    const dto = toCreateDto(row.values);
+    try {
+      if (row.existing) {
+        await productService.updateProduct(row.existing.id, {
+          name: dto.name,
+          description: dto.description,
+          price: dto.price,
+          quantityInStock: dto.quantityInStock,
+          reorderPoint: dto.reorderPoint,
+          reorderQuantity: dto.reorderQuantity,
+          // Import files have no category or tags; keep the ones the product already has
+          categoryId: row.existing.categoryId,
+          tags: row.existing.tags,
+        });
+        results.push({ row, outcome: 'updated' });
+      } else {
+        await productService.createProduct(dto);
+        results.push({ row, outcome: 'created' });
+      }
+    } catch (err) {
+      results.push({ row, outcome: 'failed', error: getErrorMessage(err) });
+      if (isCredentialError(err)) {
+        rows.slice(results.length).forEach((skipped) => {
+          results.push({ row: skipped, outcome: 'failed', error: 'Skipped: the API key was rejected' });
+        });
+        onProgress?.({ completed: results.length, total });
+        break;
+      }
+    }
+    onProgress?.({ completed: results.length, total });
+  }
+
+  return results;
+};
@@ -0,0 +1,125 @@
+import type { PagedResult, Product, ProductFacets, ProductQuery, UpdateProductDto } from '../types/Product';
+import { isNetworkError } from './apiClient';
+import { offlineSync } from './offlineSync';
+import { productService } from './productService';
+import { queryCache } from './queryCache';
+
+// A page of the product list
+export interface ProductListPage extends PagedResult<Product> {
+  // Set when the API could not be reached and the page was built from the products saved offline
+  fromCache: boolean;
+}
+
+// Cache keys for product data; invalidating `all` refreshes every list page and product on screen
+export const productKeys = {
+  all: ['products'] as const,
+  lists: ['products', 'list'] as const,
+  list: (query: ProductQuery) => ['products', 'list', query] as const,
+  detail: (id: number) => ['products', 'detail', id] as const,
+  facetLists: ['products', 'facets'] as const,
+  facets: (query: ProductQuery) => ['products', 'facets', query] as const,
+  images: (id: number) => ['products', 'images', id] as const,
+};
+
+const applyChanges = (product: Product, id: number, changes: UpdateProductDto): Product => {
+  if (product.id !== id) {
+    return product;
+  }
+  return {
+    ...product,
+    name: changes.name,
+    description: changes.description,
+    price: changes.price,
+    quantityInStock: changes.quantityInStock ?? product.quantityInStock,
+    reorderPoint: changes.reorderPoint ?? product.reorderPoint,
+    reorderQuantity: changes.reorderQuantity ?? product.reorderQuantity,
+    // Updates keep the category and tags they leave out
+    categoryId: changes.clearCategory ? null : changes.categoryId ?? product.categoryId,
+    tags: changes.tags ?? product.tags,
+  };
+};
+
+const isNewer = (product: Product, than: Product) => Date.parse(product.updatedAt) >= Date.parse(than.updatedAt);
+
+const removeFromLists = (id: number): (() => void) => {
+  return queryCache.update<ProductListPage>(productKeys.lists, (page) => (page.items.some((product) => product.id === id)
+    ? { ...page, items: page.items.filter((product) => product.id !== id), totalCount: page.totalCount - 1 }
+    : page));
+};
+
+export const productQueries = {
+  // Load a page of products, falling back to the offline cache when the API cannot be reached
+  fetchPage: async (query: ProductQuery, signal?: AbortSignal): Promise<ProductListPage> => {
+    try {
+      const data = await productService.queryProducts(query, { signal });
+      void offlineSync.cacheProducts(data.items);
+      return { ...data, fromCache: false };
+    } catch (err) {
+      // Any facets loaded earlier know the category tree, so a category filter still takes in its subcategories
+      const categories = queryCache.getAllData<ProductFacets>(productKeys.facetLists)[0]?.categories;
+      const cached = !signal?.aborted && isNetworkError(err) ? await offlineSync.queryCachedProducts(query, categories) : null;
+      if (!cached) {
+        throw err;
+      }
+      return { ...cached, fromCache: true };
+    }
+  },
+
+  // Count the products matching a query per category and tag
+  fetchFacets: (query: ProductQuery, signal?: AbortSignal): Promise<ProductFacets> => {
+    return productService.getFacets(query, { signal });
+  },
+
+  // Load a product, falling back to the offline cache when the API cannot be reached
+  fetchProduct: async (id: number): Promise<Product> => {
+    try {
+      return await productService.getProductById(id);
+    } catch (err) {
+      const cached = isNetworkError(err) ? await offlineSync.getCachedProduct(id) : null;
+      if (!cached) {
+        throw err;
+      }
+      return cached;
+    }
+  },
+
+  // The product as a cached list page has it, to show while its own request is on its way
+  findListed: (id: number): Product | undefined => {
+    return queryCache.getAllData<ProductListPage>(productKeys.lists)
+      .flatMap((page) => page.items)
+      .find((product) => product.id === id);
+  },
+
+  // Show a product as deleted before the API confirms it; returns a function that brings it back
+  removeOptimistically: removeFromLists,
+
+  // Show a product's new values before the API confirms them; returns a function that restores the old ones
+  updateOptimistically: (id: number, changes: UpdateProductDto): (() => void) => {
+    const rollbackLists = queryCache.update<ProductListPage>(productKeys.lists, (page) => (page.items.some((product) => product.id === id)
+      ? { ...page, items: page.items.map((product) => applyChanges(product, id, changes)) }
+      : page));
+    const rollbackProduct = queryCache.update<Product>(productKeys.detail(id), (product) => applyChanges(product, id, changes));
+    return () => {
+      rollbackLists();
+      rollbackProduct();
+    };
+  },
+
+  // Show a product as the API last saved it, e.g. after someone else changed it; an older copy
+  // arriving late does not replace a newer one
+  replace: (product: Product): void => {
+    const newest = (cached: Product) => (cached.id === product.id && isNewer(product, cached) ? product : cached);
+    queryCache.update<ProductListPage>(productKeys.lists, (page) => (page.items.some((cached) => cached.id === product.id)
+      ? { ...page, items: page.items.map(newest) }
+      : page));
+    queryCache.update<Product>(productKeys.detail(product.id), newest);
+  },
+
+  // Take a product someone else deleted off every cached list
+  remove: (id: number): void => {
+    removeFromLists(id);
+  },
+
+  // Refresh every cached product after a change, in the background
+  invalidate: (): Promise<void> => queryCache.invalidate(productKeys.all),
+};
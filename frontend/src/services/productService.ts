@@ -1,14 +1,41 @@
-import axios from 'axios';
-import type { Product, CreateProductDto, UpdateProductDto } from '../types/Product';
+import type {
+  Product,
+  CreateProductDto,
+  UpdateProductDto,
+  ProductQuery,
+  ProductFacets,
+  ProductImage,
+  PagedResult,
+  ProductVersion,
+  StockAdjustment,
+  CreateStockAdjustmentDto,
+} from '../types/Product';
+import { getImageProblem, imageLimits } from '../utils/imageValidation';
+import { API_BASE_URL, api } from './apiClient';
 
-const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || 'http://localhost:5126/api';
+export interface RequestOptions {
+  // Aborts the request, e.g. when a newer search supersedes it
+  signal?: AbortSignal;
+}
 
-const api = axios.create({
-  baseURL: API_BASE_URL,
-  headers: {
-    'Content-Type': 'application/json',
-  },
-});
+export interface UploadOptions extends RequestOptions {
+  // Called with the percentage of the upload sent so far, 0 to 100
+  onProgress?: (percent: number) => void;
+}
+
+// An image ready to upload, already resized by the browser
+export interface ProductImageUpload {
+  file: Blob;
+  fileName: string;
+  // A smaller copy for lists; the image itself is shown there when left out
+  thumbnail?: Blob;
+  width: number;
+  height: number;
+  isPrimary?: boolean;
+}
+
+// Send list parameters the way ASP.NET Core binds them: tags=a&tags=b rather than tags[]=a&tags[]=b
+const queryParams = (query: ProductQuery) => ({ params: query, paramsSerializer: { indexes: null } });
 
 export const productService = {
   // Get all products
@@ -17,6 +44,18 @@ export const productService = {
     return response.data;
   },
 
+  // Get a page of products with optional sorting and filtering
+  queryProducts: async (query: ProductQuery, options: RequestOptions = {}): Promise<PagedResult<Product>> => {
+    const response = await api.get<PagedResult<Product>>('/products/paged', { ...queryParams(query), signal: options.signal });
+    return response.data;
+  },
+
+  // Count the products matching a query per category and per tag; paging and sorting are ignored
+  getFacets: async (query: ProductQuery, options: RequestOptions = {}): Promise<ProductFacets> => {
+    const response = await api.get<ProductFacets>('/products/facets', { ...queryParams(query), signal: options.signal });
+    return response.data;
+  },
+
   // Get product by ID
   getProductById: async (id: number): Promise<Product> => {
     const response = await api.get<Product>(`/products/${id}`);
@@ -25,13 +64,21 @@ export const productService = {
 
   // Get product by SKU
   getProductBySku: async (sku: string): Promise<Product> => {
-    const response = await api.get<Product>(`/products/sku/${sku}`);
+    const response = await api.get<Product>(`/products/sku/${encodeURIComponent(sku)}`);
+    return response.data;
+  },
+
+  // Get the recorded versions of a product, oldest first
+  getProductHistory: async (id: number): Promise<ProductVersion[]> => {
+    const response = await api.get<ProductVersion[]>(`/products/${id}/history`);
     return response.data;
   },
 
   // Search products
-  searchProducts: async (searchTerm: string): Promise<Product[]> => {
-    const response = await api.get<Product[]>(`/products/search?searchTerm=${encodeURIComponent(searchTerm)}`);
+  searchProducts: async (searchTerm: string, options: RequestOptions = {}): Promise<Product[]> => {
+    const response = await api.get<Product[]>(`/products/search?searchTerm=${encodeURIComponent(searchTerm)}`, {
+      signal: options.signal,
+    });
     return response.data;
   },
 
@@ -47,6 +94,75 @@ export const productService = {
     return response.data;
   },
 
+  // Add or remove stock by a delta with a reason; the server applies it to the current stock level
+  adjustStock: async (id: number, adjustment: CreateStockAdjustmentDto): Promise<StockAdjustment> => {
+    const response = await api.post<StockAdjustment>(`/products/${id}/stock-adjustments`, adjustment);
+    return response.data;
+  },
+
+  // Get the stock adjustments of a product, newest first
+  getStockAdjustments: async (id: number): Promise<StockAdjustment[]> => {
+    const response = await api.get<StockAdjustment[]>(`/products/${id}/stock-adjustments`);
+    return response.data;
+  },
+
+  // Get the details of a product's images, oldest first
+  getProductImages: async (id: number): Promise<ProductImage[]> => {
+    const response = await api.get<ProductImage[]>(`/products/${id}/images`);
+    return response.data;
+  },
+
+  // Where a product image is served from, for <img> tags
+  imageUrl: (productId: number, imageId: number): string => {
+    return `${API_BASE_URL}/products/${productId}/images/${imageId}`;
+  },
+
+  // Where a product image's thumbnail is served from, for <img> tags
+  thumbnailUrl: (productId: number, imageId: number): string => {
+    return `${API_BASE_URL}/products/${productId}/images/${imageId}/thumbnail`;
+  },
+
+  // Upload an image of a product. Images the API would refuse are rejected before anything is sent.
+  uploadProductImage: async (id: number, image: ProductImageUpload, options: UploadOptions = {}): Promise<ProductImage> => {
+    const problem = getImageProblem(image.file) ?? (image.thumbnail
+      ? getImageProblem(image.thumbnail, imageLimits.maxThumbnailSizeInBytes)
+      : null);
+    if (problem) {
+      throw new Error(`The image cannot be uploaded (${problem}): ${image.fileName}`);
+    }
+
+    const form = new FormData();
+    form.append('file', image.file, image.fileName);
+    if (image.thumbnail) {
+      form.append('thumbnail', image.thumbnail, image.fileName);
+    }
+    form.append('width', String(image.width));
+    form.append('height', String(image.height));
+    form.append('isPrimary', String(image.isPrimary ?? false));
+
+    const { onProgress } = options;
+    const response = await api.post<ProductImage>(`/products/${id}/images`, form, {
+      // Replaces the client's JSON default; the browser adds the multipart boundary
+      headers: { 'Content-Type': 'multipart/form-data' },
+      signal: options.signal,
+      onUploadProgress: onProgress && ((event) => {
+        const fraction = event.progress ?? (event.total ? event.loaded / event.total : 0);
+        onProgress(Math.round(fraction * 100));
+      }),
+    });
+    return response.data;
+  },
+
+  // Show an image for the product in lists
+  setPrimaryProductImage: async (id: number, imageId: number): Promise<void> => {
+    await api.put(`/products/${id}/images/${imageId}/primary`);
+  },
+
+  // Delete an image; the oldest remaining image takes over when it was the primary one
+  deleteProductImage: async (id: number, imageId: number): Promise<void> => {
+    await api.delete(`/products/${id}/images/${imageId}`);
+  },
+
   // Delete product
   deleteProduct: async (id: number): Promise<void> => {
     await api.delete(`/products/${id}`);
@@ -0,0 +1,200 @@
+// Server data shared by every view, keyed by what was asked for (e.g. ['products', 'list', query]).
+// Cached data is shown straight away and refreshed in the background; requests for the same key are
+// shared, and requests nobody is waiting for any more are aborted.
+
+export type QueryKey = readonly unknown[];
+
+export type QueryFetcher<T> = (signal: AbortSignal) => Promise<T>;
+
+export interface QueryState<T> {
+  data: T | undefined;
+  // Why the last request failed; cleared by the next successful one
+  error: unknown;
+  // When the data last arrived from the server; 0 before it has
+  updatedAt: number;
+  fetching: boolean;
+  // Set when a change made the data out of date; cleared by the next successful request
+  invalidated: boolean;
+}
+
+export interface FetchOptions {
+  // How long data counts as fresh, in milliseconds; fresh data is not requested again
+  staleTime?: number;
+}
+
+interface Entry<T> {
+  key: QueryKey;
+  state: QueryState<T>;
+  listeners: Set<() => void>;
+  // The last fetcher used for the key, so invalidated entries can refresh themselves
+  fetcher?: QueryFetcher<T>;
+  request?: { promise: Promise<T>; controller: AbortController };
+  removeTimer?: ReturnType<typeof setTimeout>;
+}
+
+// How long data nobody is showing is kept
+const UNUSED_ENTRY_MS = 5 * 60 * 1000;
+
+const EMPTY_STATE: QueryState<never> = {
+  data: undefined,
+  error: undefined,
+  updatedAt: 0,
+  fetching: false,
+  invalidated: false,
+};
+
+const entries = new Map<string, Entry<unknown>>();
+
+const hashKey = (key: QueryKey) => JSON.stringify(key);
+
+// ['products'] matches ['products', 'list', {...}] and ['products', 'detail', 1]
+const startsWith = (key: QueryKey, prefix: QueryKey) => {
+  return prefix.length <= key.length && prefix.every((part, i) => hashKey([part]) === hashKey([key[i]]));
+};
+
+const getEntry = <T,>(key: QueryKey): Entry<T> => {
+  const hash = hashKey(key);
+  let entry = entries.get(hash) as Entry<T> | undefined;
+  if (!entry) {
+    entry = { key, state: EMPTY_STATE, listeners: new Set() };
+    entries.set(hash, entry as Entry<unknown>);
+  }
+  return entry;
+};
+
+const matching = (prefix: QueryKey) => Array.from(entries.values()).filter((entry) => startsWith(entry.key, prefix));
+
+const setEntryState = <T,>(entry: Entry<T>, changes: Partial<QueryState<T>>) => {
+  entry.state = { ...entry.state, ...changes };
+  entry.listeners.forEach((listener) => listener());
+};
+
+// Drop the request in flight; its response, if it ever arrives, is ignored
+const cancel = <T,>(entry: Entry<T>) => {
+  if (entry.request) {
+    entry.request.controller.abort();
+    entry.request = undefined;
+    setEntryState(entry, { fetching: false });
+  }
+};
+
+const scheduleRemoval = <T,>(entry: Entry<T>) => {
+  clearTimeout(entry.removeTimer);
+  entry.removeTimer = setTimeout(() => {
+    const hash = hashKey(entry.key);
+    if (entry.listeners.size === 0 && entries.get(hash) === entry) {
+      cancel(entry);
+      entries.delete(hash);
+    }
+  }, UNUSED_ENTRY_MS);
+};
+
+const request = <T,>(entry: Entry<T>, fetcher: QueryFetcher<T>): Promise<T> => {
+  entry.fetcher = fetcher;
+  if (entry.request) {
+    return entry.request.promise;
+  }
+
+  const controller = new AbortController();
+  const promise: Promise<T> = fetcher(controller.signal).then(
+    (data) => {
+      if (entry.request?.promise === promise) {
+        entry.request = undefined;
+        setEntryState(entry, { data, error: undefined, updatedAt: Date.now(), fetching: false, invalidated: false });
+      }
+      return data;
+    },
+    (error: unknown) => {
+      if (entry.request?.promise === promise) {
+        entry.request = undefined;
+        setEntryState(entry, { error, fetching: false });
+      }
+      throw error;
+    },
+  );
+  entry.request = { promise, controller };
+  setEntryState(entry, { fetching: true });
+  return promise;
+};
+
+const isFresh = <T,>(entry: Entry<T>, staleTime: number) => {
+  const { updatedAt, invalidated, error } = entry.state;
+  return updatedAt > 0 && !invalidated && !error && Date.now() - updatedAt < staleTime;
+};
+
+export const queryCache = {
+  // The state of a query; the same object until it changes, so it can back useSyncExternalStore
+  getState: <T,>(key: QueryKey): QueryState<T> => {
+    return (entries.get(hashKey(key))?.state as QueryState<T> | undefined) ?? EMPTY_STATE;
+  },
+
+  // Follow a query's state. Once nobody follows it, its request is aborted and its data kept for a while.
+  subscribe: (key: QueryKey, listener: () => void): (() => void) => {
+    const entry = getEntry(key);
+    clearTimeout(entry.removeTimer);
+    entry.listeners.add(listener);
+    return () => {
+      entry.listeners.delete(listener);
+      if (entry.listeners.size === 0) {
+        cancel(entry);
+        scheduleRemoval(entry);
+      }
+    };
+  },
+
+  // Request the data unless it is still fresh, sharing a request already on its way
+  fetch: <T,>(key: QueryKey, fetcher: QueryFetcher<T>, options: FetchOptions = {}): Promise<T> => {
+    const entry = getEntry<T>(key);
+    if (isFresh(entry, options.staleTime ?? 0)) {
+      entry.fetcher = fetcher;
+      return Promise.resolve(entry.state.data as T);
+    }
+    return request(entry, fetcher);
+  },
+
+  // The data cached under every key starting with the prefix
+  getAllData: <T,>(prefix: QueryKey): T[] => {
+    return matching(prefix)
+      .map((entry) => entry.state.data as T | undefined)
+      .filter((data): data is T => data !== undefined);
+  },
+
+  // Change cached data in place, e.g. ahead of the server confirming a change. A request already on its
+  // way could overwrite the change with older data, so it is dropped; entries the updater returns unchanged
+  // keep theirs. Returns a function that undoes the change.
+  update: <T,>(prefix: QueryKey, updater: (data: T) => T): (() => void) => {
+    const previous = matching(prefix)
+      .filter((entry) => entry.state.data !== undefined)
+      .flatMap((entry) => {
+        const data = entry.state.data as T;
+        const next = updater(data);
+        if (next === data) {
+          return [];
+        }
+        cancel(entry);
+        setEntryState(entry, { data: next });
+        return [{ entry, data }];
+      });
+    return () => {
+      previous.forEach(({ entry, data }) => setEntryState(entry, { data }));
+    };
+  },
+
+  // Mark everything under the prefix out of date and refresh what is on screen
+  invalidate: async (prefix: QueryKey): Promise<void> => {
+    await Promise.allSettled(matching(prefix).map((entry) => {
+      cancel(entry);
+      setEntryState(entry, { invalidated: true });
+      return entry.listeners.size > 0 && entry.fetcher ? request(entry, entry.fetcher) : Promise.resolve();
+    }));
+  },
+
+  // Forget all cached data, e.g. between tests
+  clear: () => {
+    entries.forEach((entry) => {
+      cancel(entry);
+      clearTimeout(entry.removeTimer);
+    });
+    entries.clear();
+  },
+};
@@ -0,0 +1,122 @@
+import { render, screen, fireEvent, waitFor } from '@testing-library/react'
+import { vi, describe, it, beforeEach, expect } from 'vitest'
+import BatchActions from '../components/BatchActions'
+import { httpError, makeProduct, serverError } from './fixtures'
+
+vi.mock('../services/productService', () => ({
+  productService: {
+    updateProduct: vi.fn(),
+    deleteProduct: vi.fn(),
+  }
+}))
+
+import { productService } from '../services/productService'
+
+// A product with the given stock and price
+const stocked = (id: number, quantityInStock: number, price = 10) => makeProduct({ id, quantityInStock, price })
+
+describe('BatchActions', () => {
+  const products = [stocked(1, 5), stocked(2, 50), stocked(3, 20)]
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+  })
+
+  it('should not render without a selection', () => {
+    render(<BatchActions selectedProducts={[]} onClearSelection={vi.fn()} onComplete={vi.fn()} />)
+
+    expect(screen.queryByTestId('batch-action-bar')).not.toBeInTheDocument()
+  })
+
+  it('should summarize a delete before running it and report the outcome per row', async () => {
+    vi.mocked(productService.deleteProduct)
+      .mockResolvedValueOnce()
+      .mockRejectedValueOnce(serverError('Database unavailable'))
+      .mockResolvedValueOnce()
+    const onComplete = vi.fn()
+
+    render(<BatchActions selectedProducts={products} onClearSelection={vi.fn()} onComplete={onComplete} />)
+
+    fireEvent.click(screen.getByTestId('batch-review-btn'))
+    expect(screen.getByTestId('batch-summary')).toHaveTextContent('Delete 3 products')
+    expect(productService.deleteProduct).not.toHaveBeenCalled()
+
+    fireEvent.click(screen.getByTestId('batch-confirm-btn'))
+
+    await waitFor(() => {
+      expect(screen.getByTestId('batch-result-summary')).toHaveTextContent('2 succeeded, 1 failed.')
+    })
+    expect(screen.getByTestId('batch-failure-2')).toHaveTextContent('Database unavailable')
+
+    fireEvent.click(screen.getByTestId('batch-close-btn'))
+    expect(onComplete).toHaveBeenCalledWith(expect.arrayContaining([
+      expect.objectContaining({ success: false, error: 'Database unavailable' })
+    ]))
+  })
+
+  it('should skip stock adjustments that would make stock negative', async () => {
+    vi.mocked(productService.updateProduct).mockResolvedValue(stocked(0, 0))
+
+    render(<BatchActions selectedProducts={products} onClearSelection={vi.fn()} onComplete={vi.fn()} />)
+
+    fireEvent.change(screen.getByTestId('batch-action-select'), { target: { value: 'adjustStock' } })
+    fireEvent.change(screen.getByTestId('batch-stock-mode'), { target: { value: 'subtract' } })
+    fireEvent.change(screen.getByTestId('batch-quantity-input'), { target: { value: '10' } })
+    fireEvent.click(screen.getByTestId('batch-review-btn'))
+
+    expect(screen.getByTestId('batch-target-list')).toHaveTextContent('5 → -5')
+    fireEvent.click(screen.getByTestId('batch-confirm-btn'))
+
+    await waitFor(() => {
+      expect(screen.getByTestId('batch-result-summary')).toHaveTextContent('2 succeeded, 1 failed.')
+    })
+    expect(screen.getByTestId('batch-failure-1')).toHaveTextContent('Stock would become negative')
+    expect(productService.updateProduct).toHaveBeenCalledTimes(2)
+    expect(productService.updateProduct).toHaveBeenCalledWith(2, expect.objectContaining({ quantityInStock: 40 }))
+  })
+
+  it('should keep each product\'s category and tags', async () => {
+    vi.mocked(productService.updateProduct).mockResolvedValue(stocked(0, 0))
+    const product = { ...stocked(1, 5), categoryId: 4, tags: ['sale'] }
+
+    render(<BatchActions selectedProducts={[product]} onClearSelection={vi.fn()} onComplete={vi.fn()} />)
+    fireEvent.change(screen.getByTestId('batch-action-select'), { target: { value: 'adjustStock' } })
+    fireEvent.change(screen.getByTestId('batch-quantity-input'), { target: { value: '3' } })
+    fireEvent.click(screen.getByTestId('batch-review-btn'))
+    fireEvent.click(screen.getByTestId('batch-confirm-btn'))
+
+    await waitFor(() => {
+      expect(productService.updateProduct).toHaveBeenCalledWith(1, expect.objectContaining({ categoryId: 4, tags: ['sale'] }))
+    })
+  })
+
+  it('should apply percentage price changes rounded to cents', async () => {
+    vi.mocked(productService.updateProduct).mockResolvedValue(stocked(0, 0))
+
+    render(<BatchActions selectedProducts={[stocked(1, 5, 19.99)]} onClearSelection={vi.fn()} onComplete={vi.fn()} />)
+
+    fireEvent.change(screen.getByTestId('batch-action-select'), { target: { value: 'changePrice' } })
+    fireEvent.change(screen.getByTestId('batch-percent-input'), { target: { value: '10' } })
+    fireEvent.click(screen.getByTestId('batch-review-btn'))
+    fireEvent.click(screen.getByTestId('batch-confirm-btn'))
+
+    await waitFor(() => {
+      expect(productService.updateProduct).toHaveBeenCalledWith(1, expect.objectContaining({ price: 21.99 }))
+    })
+  })
+
+  it('should stop the batch when the API key is rejected', async () => {
+    vi.mocked(productService.deleteProduct).mockRejectedValue(httpError(401))
+
+    render(<BatchActions selectedProducts={products} onClearSelection={vi.fn()} onComplete={vi.fn()} />)
+
+    fireEvent.click(screen.getByTestId('batch-review-btn'))
+    fireEvent.click(screen.getByTestId('batch-confirm-btn'))
+
+    await waitFor(() => {
+      expect(screen.getByTestId('batch-result-summary')).toHaveTextContent('0 succeeded, 3 failed.')
+    })
+    expect(productService.deleteProduct).toHaveBeenCalledTimes(1)
+    expect(screen.getByTestId('batch-failure-3')).toHaveTextContent('Skipped')
+  })
+})
@@ -0,0 +1,204 @@
+import { render, screen, fireEvent, waitFor, within } from '@testing-library/react'
+import { MemoryRouter } from 'react-router-dom'
+import { AxiosError, AxiosHeaders } from 'axios'
+import { vi, describe, it, beforeEach, afterEach, expect } from 'vitest'
+import CategoryManager from '../components/CategoryManager'
+import type { Category } from '../types/Category'
+
+vi.mock('../services/categoryService')
+vi.mock('../services/productService')
+
+import { categoryService } from '../services/categoryService'
+
+const makeCategory = (id: number, path: string[], parentId: number | null, productCount = 0): Category => ({
+  id,
+  name: path[path.length - 1],
+  parentId,
+  path,
+  productCount,
+  createdAt: '2024-01-01T00:00:00Z',
+  updatedAt: '2024-01-01T00:00:00Z'
+})
+
+const categories: Category[] = [
+  makeCategory(1, ['Electronics'], null, 2),
+  makeCategory(2, ['Electronics', 'Audio'], 1, 0),
+  makeCategory(3, ['Electronics', 'Audio', 'Headphones'], 2, 5),
+  makeCategory(4, ['Garden'], null, 1),
+]
+
+const failure = (status: number, data: unknown) => {
+  const config = { headers: new AxiosHeaders() }
+  return new AxiosError(`Request failed with status code ${status}`, 'ERR_BAD_REQUEST', config, null, {
+    status,
+    statusText: '',
+    headers: {},
+    config,
+    data
+  })
+}
+
+const renderManager = () => render(
+  <MemoryRouter>
+    <CategoryManager />
+  </MemoryRouter>
+)
+
+describe('CategoryManager', () => {
+  beforeEach(() => {
+    vi.clearAllMocks()
+    vi.mocked(categoryService.getCategories).mockResolvedValue(categories)
+  })
+
+  afterEach(() => {
+    vi.restoreAllMocks()
+  })
+
+  it('should list categories in tree order with their product counts', async () => {
+    renderManager()
+
+    await waitFor(() => {
+      expect(screen.getByTestId('category-table')).toBeInTheDocument()
+    })
+    const rows = screen.getAllByTestId(/^category-row-/)
+    expect(rows.map((row) => row.getAttribute('data-testid'))).toEqual([
+      'category-row-1', 'category-row-2', 'category-row-3', 'category-row-4'
+    ])
+    expect(screen.getByTestId('category-name-3')).toHaveClass('depth-2')
+    expect(screen.getByTestId('category-products-3')).toHaveTextContent('5')
+  })
+
+  it('should say so when there are no categories', async () => {
+    vi.mocked(categoryService.getCategories).mockResolvedValue([])
+
+    renderManager()
+
+    await waitFor(() => {
+      expect(screen.getByTestId('no-categories')).toBeInTheDocument()
+    })
+  })
+
+  it('should create a category under the chosen parent', async () => {
+    vi.mocked(categoryService.createCategory).mockResolvedValue(makeCategory(5, ['Garden', 'Tools'], 4))
+
+    renderManager()
+    await waitFor(() => {
+      expect(screen.getByTestId('category-table')).toBeInTheDocument()
+    })
+    fireEvent.change(screen.getByTestId('category-name-input'), { target: { value: ' Tools ' } })
+    fireEvent.change(screen.getByTestId('category-parent-select'), { target: { value: '4' } })
+    fireEvent.click(screen.getByTestId('add-category-btn'))
+
+    await waitFor(() => {
+      expect(categoryService.createCategory).toHaveBeenCalledWith({ name: 'Tools', parentId: 4 })
+    })
+    await waitFor(() => {
+      expect(screen.getByTestId('category-name-input')).toHaveValue('')
+    })
+    // The list is loaded again to show the new category
+    await waitFor(() => {
+      expect(categoryService.getCategories).toHaveBeenCalledTimes(2)
+    })
+  })
+
+  it('should require a name before creating a category', async () => {
+    renderManager()
+    await waitFor(() => {
+      expect(screen.getByTestId('category-table')).toBeInTheDocument()
+    })
+    fireEvent.click(screen.getByTestId('add-category-btn'))
+
+    expect(await screen.findByTestId('category-name-error')).toBeInTheDocument()
+    expect(categoryService.createCategory).not.toHaveBeenCalled()
+  })
+
+  it('should show the API\'s objection next to the name', async () => {
+    vi.mocked(categoryService.createCategory).mockRejectedValue(failure(400, {
+      title: 'One or more validation errors occurred.',
+      status: 400,
+      errors: { Name: ['A category named "Audio" already exists here.'] }
+    }))
+    vi.spyOn(console, 'error').mockImplementation(() => {})
+
+    renderManager()
+    await waitFor(() => {
+      expect(screen.getByTestId('category-table')).toBeInTheDocument()
+    })
+    fireEvent.change(screen.getByTestId('category-name-input'), { target: { value: 'Audio' } })
+    fireEvent.change(screen.getByTestId('category-parent-select'), { target: { value: '1' } })
+    fireEvent.click(screen.getByTestId('add-category-btn'))
+
+    expect(await screen.findByTestId('category-name-error')).toHaveTextContent('A category named "Audio" already exists here.')
+    expect(screen.queryByTestId('category-error')).not.toBeInTheDocument()
+  })
+
+  it('should not offer a category or its subcategories as its new parent', async () => {
+    renderManager()
+    await waitFor(() => {
+      expect(screen.getByTestId('category-table')).toBeInTheDocument()
+    })
+    fireEvent.click(screen.getByTestId('edit-category-2'))
+
+    const options = within(screen.getByTestId('edit-category-parent-select')).getAllByRole('option')
+    expect(options.map((option) => option.getAttribute('value'))).toEqual(['', '1', '4'])
+    expect(screen.getByTestId('edit-category-parent-select')).toHaveValue('1')
+  })
+
+  it('should rename and move a category', async () => {
+    vi.mocked(categoryService.updateCategory).mockResolvedValue(makeCategory(3, ['Garden', 'Headsets'], 4, 5))
+
+    renderManager()
+    await waitFor(() => {
+      expect(screen.getByTestId('category-table')).toBeInTheDocument()
+    })
+    fireEvent.click(screen.getByTestId('edit-category-3'))
+    fireEvent.change(screen.getByTestId('edit-category-name-input'), { target: { value: 'Headsets' } })
+    fireEvent.change(screen.getByTestId('edit-category-parent-select'), { target: { value: '4' } })
+    fireEvent.click(screen.getByTestId('save-category-btn'))
+
+    await waitFor(() => {
+      expect(categoryService.updateCategory).toHaveBeenCalledWith(3, { name: 'Headsets', parentId: 4 })
+    })
+    await waitFor(() => {
+      expect(screen.queryByTestId('edit-category-name-input')).not.toBeInTheDocument()
+    })
+  })
+
+  it('should explain what still holds a category it could not delete', async () => {
+    vi.mocked(categoryService.deleteCategory).mockRejectedValue(failure(409, {
+      title: 'The category is in use.',
+      status: 409,
+      productCount: 0,
+      subcategoryCount: 1
+    }))
+    vi.spyOn(window, 'confirm').mockReturnValue(true)
+    vi.spyOn(console, 'error').mockImplementation(() => {})
+
+    renderManager()
+    await waitFor(() => {
+      expect(screen.getByTestId('category-table')).toBeInTheDocument()
+    })
+    fireEvent.click(screen.getByTestId('delete-category-2'))
+
+    expect(await screen.findByTestId('category-error')).toHaveTextContent(
+      '"Audio" still holds 0 products and 1 subcategory. Move them to another category before deleting it.'
+    )
+    expect(window.confirm).toHaveBeenCalledWith('Delete the category "Audio"?')
+  })
+
+  it('should delete an empty category once confirmed', async () => {
+    vi.mocked(categoryService.deleteCategory).mockResolvedValue()
+    vi.spyOn(window, 'confirm').mockReturnValue(true)
+
+    renderManager()
+    await waitFor(() => {
+      expect(screen.getByTestId('category-table')).toBeInTheDocument()
+    })
+    fireEvent.click(screen.getByTestId('delete-category-4'))
+
+    await waitFor(() => {
+      expect(categoryService.deleteCategory).toHaveBeenCalledWith(4)
+    })
+    expect(screen.queryByTestId('category-error')).not.toBeInTheDocument()
+  })
+})
@@ -0,0 +1,94 @@
+import { render, screen, fireEvent } from '@testing-library/react'
+import { MemoryRouter, Route, Routes } from 'react-router-dom'
+import { describe, it, beforeEach, expect, vi } from 'vitest'
+import type { AxiosAdapter, InternalAxiosRequestConfig } from 'axios'
+import CredentialsForm from '../components/CredentialsForm'
+import { credentials } from '../services/credentials'
+import { api, API_KEY_HEADER } from '../services/apiClient'
+
+const renderCredentialsForm = (state?: unknown) => {
+  return render(
+    <MemoryRouter initialEntries={[{ pathname: '/credentials', state }]}>
+      <Routes>
+        <Route path="/credentials" element={<CredentialsForm />} />
+        <Route path="/product/:id" element={<div data-testid="product-page">Product page</div>} />
+        <Route path="/" element={<div data-testid="home-page">Home page</div>} />
+      </Routes>
+    </MemoryRouter>
+  )
+}
+
+describe('CredentialsForm', () => {
+  beforeEach(() => {
+    window.localStorage.clear()
+  })
+
+  it('should explain why the user was sent to the credentials screen', () => {
+    renderCredentialsForm({ from: '/product/1', reason: 403 })
+
+    expect(screen.getByTestId('credentials-reason')).toHaveTextContent('not allowed')
+  })
+
+  it('should reject API keys that the server would not accept', () => {
+    renderCredentialsForm()
+
+    fireEvent.change(screen.getByTestId('api-key-input'), { target: { value: 'short' } })
+    fireEvent.click(screen.getByTestId('save-api-key-btn'))
+
+    expect(screen.getByTestId('api-key-error')).toBeVisible()
+    expect(credentials.hasStoredApiKey()).toBe(false)
+  })
+
+  it('should save the API key and return to the previous page', () => {
+    renderCredentialsForm({ from: '/product/1', reason: 401 })
+
+    fireEvent.change(screen.getByTestId('api-key-input'), { target: { value: 'valid-api-key-123' } })
+    fireEvent.click(screen.getByTestId('save-api-key-btn'))
+
+    expect(credentials.getApiKey()).toBe('valid-api-key-123')
+    expect(screen.getByTestId('product-page')).toBeInTheDocument()
+  })
+})
+
+describe('apiClient', () => {
+  const respondWith = (status: number): AxiosAdapter => {
+    return async (config: InternalAxiosRequestConfig) => {
+      const response = { data: {}, status, statusText: '', headers: {}, config }
+      if (status >= 400) {
+        const error = Object.assign(new Error(`Request failed with status code ${status}`), {
+          isAxiosError: true,
+          response,
+          config,
+        })
+        throw error
+      }
+      return response
+    }
+  }
+
+  beforeEach(() => {
+    window.localStorage.clear()
+  })
+
+  it('should send the stored API key with every request', async () => {
+    credentials.setApiKey('stored-api-key-123')
+    const adapter = vi.fn(respondWith(200))
+
+    await api.get('/products', { adapter })
+
+    const config = adapter.mock.calls[0][0]
+    expect(config.headers.get(API_KEY_HEADER)).toBe('stored-api-key-123')
+  })
+
+  it('should notify credential listeners when the API rejects the key', async () => {
+    const listener = vi.fn()
+    const unsubscribe = credentials.onRejected(listener)
+
+    await expect(api.delete('/products/1', { adapter: respondWith(401) })).rejects.toThrow()
+    await expect(api.get('/products', { adapter: respondWith(500) })).rejects.toThrow()
+
+    unsubscribe()
+    expect(listener).toHaveBeenCalledTimes(1)
+    expect(listener).toHaveBeenCalledWith(401)
+  })
+})
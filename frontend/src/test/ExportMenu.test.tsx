@@ -0,0 +1,149 @@
+import { render, screen, fireEvent, waitFor } from '@testing-library/react'
+import { vi, describe, it, beforeEach, expect } from 'vitest'
+import ExportMenu from '../components/ExportMenu'
+import { exportProducts } from '../services/productExport'
+import { formatCsvRow, parseCsv } from '../utils/csv'
+import type { PagedResult, Product } from '../types/Product'
+import { makeProduct } from './fixtures'
+
+vi.mock('../services/productService', () => ({
+  productService: {
+    queryProducts: vi.fn(),
+  }
+}))
+
+import { productService } from '../services/productService'
+
+// Quotes and a comma in the first description, and a price that needs a decimal separator
+const exported = (id: number): Product => makeProduct({
+  id,
+  description: id === 1 ? 'Says "hello", then leaves' : `Description ${id}`,
+  price: 1234.5,
+  quantityInStock: id,
+  createdAt: '2024-01-02T03:04:05Z',
+  updatedAt: '2024-01-02T03:04:05Z'
+})
+
+// Serve `total` products in pages of the requested size
+const servePages = (total: number) => {
+  vi.mocked(productService.queryProducts).mockImplementation(async (query) => {
+    const page = query.page ?? 1
+    const pageSize = query.pageSize ?? 25
+    const ids = Array.from({ length: total }, (_, i) => i + 1).slice((page - 1) * pageSize, page * pageSize)
+    const result: PagedResult<Product> = {
+      items: ids.map(exported),
+      page,
+      pageSize,
+      totalCount: total,
+      totalPages: Math.ceil(total / pageSize),
+    }
+    return result
+  })
+}
+
+const readBlob = (blob: Blob) => new Promise<string>((resolve) => {
+  const reader = new FileReader()
+  reader.onload = () => resolve(reader.result as string)
+  reader.readAsText(blob)
+})
+
+describe('formatCsvRow', () => {
+  it('should quote only the fields that need it', () => {
+    expect(formatCsvRow(['plain', 'a,b', 'say "hi"', 'two\nlines', 12.5, null])).toBe(
+      'plain,"a,b","say ""hi""","two\nlines",12.5,'
+    )
+  })
+})
+
+describe('exportProducts', () => {
+  beforeEach(() => {
+    vi.clearAllMocks()
+  })
+
+  it('should fetch every page of the current query and write raw values to CSV', async () => {
+    servePages(250)
+
+    const blob = await exportProducts({ searchTerm: 'widget', sortBy: 'price', sortDirection: 'desc', page: 3, pageSize: 10 }, 'csv')
+    const rows = parseCsv(await readBlob(blob))
+
+    expect(productService.queryProducts).toHaveBeenCalledTimes(3)
+    expect(productService.queryProducts).toHaveBeenCalledWith(
+      { searchTerm: 'widget', sortBy: 'price', sortDirection: 'desc', page: 1, pageSize: 100 },
+      expect.anything()
+    )
+    expect(rows[0]).toEqual(['id', 'sku', 'name', 'description', 'price', 'quantityInStock', 'reorderPoint', 'reorderQuantity', 'createdAt', 'updatedAt'])
+    expect(rows).toHaveLength(251)
+    expect(rows[1]).toEqual([
+      '1', 'SKU-1', 'Product 1', 'Says "hello", then leaves', '1234.5', '1', '10', '0', '2024-01-02T03:04:05.000Z', '2024-01-02T03:04:05.000Z'
+    ])
+  })
+
+  it('should write JSON with numbers and ISO dates', async () => {
+    servePages(2)
+
+    const data = JSON.parse(await readBlob(await exportProducts({}, 'json')))
+
+    expect(data).toHaveLength(2)
+    expect(data[1]).toMatchObject({ id: 2, price: 1234.5, quantityInStock: 2, createdAt: '2024-01-02T03:04:05.000Z' })
+  })
+
+  it('should write an empty JSON array when nothing matches', async () => {
+    servePages(0)
+
+    expect(JSON.parse(await readBlob(await exportProducts({}, 'json')))).toEqual([])
+  })
+
+  it('should write an XLSX workbook with numeric cells', async () => {
+    servePages(1)
+
+    const blob = await exportProducts({}, 'xlsx')
+    const content = await readBlob(blob)
+
+    expect(blob.type).toBe('application/vnd.openxmlformats-officedocument.spreadsheetml.sheet')
+    expect(content.startsWith('PK')).toBe(true)
+    expect(content).toContain('xl/worksheets/sheet1.xml')
+    expect(content).toContain('<c r="E2"><v>1234.5</v></c>')
+  })
+})
+
+describe('ExportMenu', () => {
+  const createObjectURL = vi.fn(() => 'blob:export')
+  const revokeObjectURL = vi.fn()
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+    // jsdom does not implement object URLs
+    URL.createObjectURL = createObjectURL
+    URL.revokeObjectURL = revokeObjectURL
+  })
+
+  it('should download the chosen format', async () => {
+    servePages(3)
+    const click = vi.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(() => {})
+
+    render(<ExportMenu query={{ searchTerm: 'widget' }} />)
+    fireEvent.click(screen.getByTestId('export-btn'))
+    fireEvent.click(screen.getByTestId('export-json'))
+
+    await waitFor(() => {
+      expect(revokeObjectURL).toHaveBeenCalledWith('blob:export')
+    })
+    expect(createObjectURL).toHaveBeenCalledWith(expect.any(Blob))
+    expect(click).toHaveBeenCalled()
+    expect(screen.getByTestId('export-btn')).toBeInTheDocument()
+    click.mockRestore()
+  })
+
+  it('should show an error when the export fails', async () => {
+    vi.mocked(productService.queryProducts).mockRejectedValue(new Error('Network down'))
+    vi.spyOn(console, 'error').mockImplementation(() => {})
+
+    render(<ExportMenu query={{}} />)
+    fireEvent.click(screen.getByTestId('export-btn'))
+    fireEvent.click(screen.getByTestId('export-csv'))
+
+    await waitFor(() => {
+      expect(screen.getByTestId('export-error')).toHaveTextContent('Export failed: Network down')
+    })
+  })
+})
@@ -0,0 +1,116 @@
+import { render, screen, waitFor, within } from '@testing-library/react'
+import { MemoryRouter } from 'react-router-dom'
+import { vi, describe, it, beforeEach, expect } from 'vitest'
+import InventoryDashboard from '../components/InventoryDashboard'
+import { getStockStatus, summarizeInventory } from '../utils/inventoryStats'
+import type { Product } from '../types/Product'
+import { makeProduct } from './fixtures'
+
+vi.mock('../services/productService', () => ({
+  productService: {
+    getAllProducts: vi.fn(),
+  }
+}))
+
+import { productService } from '../services/productService'
+
+const stocked = (id: number, name: string, price: number, quantityInStock: number, reorderPoint = 10, reorderQuantity = 0) =>
+  makeProduct({ id, name, price, quantityInStock, reorderPoint, reorderQuantity })
+
+const products: Product[] = [
+  stocked(1, 'Desk', 400, 12, 5),
+  stocked(2, 'Chair', 150, 3, 10, 20),
+  stocked(3, 'Lamp', 30, 0, 4, 10),
+  stocked(4, 'Monitor', 250, 20, 20),
+  stocked(5, 'Cable', 5, 100),
+]
+
+const renderDashboard = () => render(
+  <MemoryRouter>
+    <InventoryDashboard />
+  </MemoryRouter>
+)
+
+describe('inventoryStats', () => {
+  it('should compare stock against each product\'s own reorder point', () => {
+    expect(products.map(getStockStatus)).toEqual(['ok', 'low', 'out', 'low', 'ok'])
+  })
+
+  it('should summarize value, stock status and the products to reorder', () => {
+    const summary = summarizeInventory(products, 3)
+
+    expect(summary.totalValue).toBe(400 * 12 + 150 * 3 + 250 * 20 + 5 * 100)
+    expect(summary.totalUnits).toBe(135)
+    expect(summary.lowStockCount).toBe(2)
+    expect(summary.outOfStockCount).toBe(1)
+    // Furthest below the reorder point first
+    expect(summary.reorderProducts.map((product) => product.name)).toEqual(['Chair', 'Lamp', 'Monitor'])
+    expect(summary.topProductsByValue.map(({ product }) => product.name)).toEqual(['Monitor', 'Desk', 'Cable'])
+  })
+})
+
+describe('InventoryDashboard', () => {
+  beforeEach(() => {
+    vi.clearAllMocks()
+    vi.mocked(productService.getAllProducts).mockResolvedValue(products)
+  })
+
+  it('should show the inventory totals and stock counts', async () => {
+    renderDashboard()
+
+    await waitFor(() => {
+      expect(screen.getByTestId('dashboard-total-value')).toHaveTextContent('$10,750.00')
+    })
+    expect(screen.getByTestId('dashboard-product-count')).toHaveTextContent('5')
+    expect(screen.getByTestId('dashboard-total-units')).toHaveTextContent('135 units in stock')
+    expect(screen.getByTestId('dashboard-low-stock-count')).toHaveTextContent('2')
+    expect(screen.getByTestId('dashboard-out-of-stock-count')).toHaveTextContent('1')
+    expect(screen.getByTestId('stock-status-chart-legend-stock-ok')).toHaveTextContent('In stock: 2 (40%)')
+  })
+
+  it('should list the products at or below their reorder point', async () => {
+    renderDashboard()
+
+    await waitFor(() => {
+      expect(screen.getByTestId('reorder-table')).toBeInTheDocument()
+    })
+    const rows = within(screen.getByTestId('reorder-table')).getAllByRole('row').slice(1)
+    expect(rows.map((row) => row.getAttribute('data-testid'))).toEqual(['reorder-row-2', 'reorder-row-3', 'reorder-row-4'])
+    expect(screen.getByTestId('reorder-row-3')).toHaveTextContent('Out of stock')
+    expect(screen.getByTestId('reorder-row-2')).toHaveTextContent('20')
+    expect(within(screen.getByTestId('reorder-row-2')).getByRole('link')).toHaveAttribute('href', '/product/2')
+  })
+
+  it('should chart the top products by value', async () => {
+    renderDashboard()
+
+    await waitFor(() => {
+      expect(screen.getByTestId('top-value-chart')).toBeInTheDocument()
+    })
+    expect(screen.getByTestId('top-value-chart-bar-0')).toHaveTextContent('Monitor')
+    expect(screen.getByTestId('top-value-chart-bar-0')).toHaveTextContent('$5,000.00')
+    // The out-of-stock lamp has no value to chart
+    expect(screen.queryByTestId('top-value-chart-bar-4')).not.toBeInTheDocument()
+  })
+
+  it('should report when every product is above its reorder point', async () => {
+    vi.mocked(productService.getAllProducts).mockResolvedValue([stocked(1, 'Desk', 400, 12, 5)])
+
+    renderDashboard()
+
+    await waitFor(() => {
+      expect(screen.getByTestId('reorder-empty')).toBeInTheDocument()
+    })
+  })
+
+  it('should show an error when the products cannot be loaded', async () => {
+    vi.mocked(productService.getAllProducts).mockRejectedValue(new Error('Network Error'))
+    vi.spyOn(console, 'error').mockImplementation(() => {})
+
+    renderDashboard()
+
+    await waitFor(() => {
+      expect(screen.getByTestId('dashboard-error')).toHaveTextContent('Failed to load inventory data.')
+    })
+  })
+})
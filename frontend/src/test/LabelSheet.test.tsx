@@ -0,0 +1,118 @@
+import { render, screen, waitFor, fireEvent } from '@testing-library/react'
+import { MemoryRouter, Route, Routes } from 'react-router-dom'
+import { vi, describe, it, beforeEach, afterEach, expect } from 'vitest'
+import LabelSheet from '../components/LabelSheet'
+import { canEncodeCode128, code128Widths, encodeCode128 } from '../utils/code128'
+import { encodeQrCode } from '../utils/qrCode'
+import { makeProduct, notFoundError } from './fixtures'
+
+vi.mock('../services/productService', () => ({
+  productService: {
+    getProductById: vi.fn(),
+  }
+}))
+
+import { productService } from '../services/productService'
+
+const renderAt = (path: string) => render(
+  <MemoryRouter initialEntries={[path]}>
+    <Routes>
+      <Route path="/labels" element={<LabelSheet />} />
+    </Routes>
+  </MemoryRouter>
+)
+
+describe('code128', () => {
+  it('should encode with code set B and a weighted modulo 103 check symbol', () => {
+    // W i k i p e d i a, with the start symbol first and the stop pattern last
+    expect(encodeCode128('Wikipedia')).toEqual([104, 55, 73, 75, 73, 80, 69, 68, 73, 65, 88, 106])
+  })
+
+  it('should produce 11 modules per symbol plus a 13 module stop pattern', () => {
+    const widths = code128Widths('SKU-1')
+
+    expect(widths.reduce((sum, width) => sum + width, 0)).toBe(7 * 11 + 13)
+    expect(widths.slice(0, 6)).toEqual([2, 1, 1, 2, 1, 4])
+  })
+
+  it('should only accept printable ASCII', () => {
+    expect(canEncodeCode128('LAPTOP-001')).toBe(true)
+    expect(canEncodeCode128('ชา-001')).toBe(false)
+    expect(() => encodeCode128('')).toThrow()
+  })
+})
+
+describe('qrCode', () => {
+  it('should pick the smallest version that fits the text', () => {
+    expect(encodeQrCode('SKU-1')).toMatchObject({ version: 1, size: 21 })
+    expect(encodeQrCode('X'.repeat(50))).toMatchObject({ version: 4, size: 33 })
+    expect(() => encodeQrCode('X'.repeat(214))).toThrow('Text is too long')
+  })
+
+  it('should draw the finder and timing patterns', () => {
+    const { modules, size } = encodeQrCode('LAPTOP-001')
+
+    const finderRow = modules[0].slice(0, 8)
+    expect(finderRow).toEqual([true, true, true, true, true, true, true, false])
+    expect(modules[1].slice(0, 7)).toEqual([true, false, false, false, false, false, true])
+    expect(modules[size - 1].slice(0, 7)).toEqual(Array(7).fill(true))
+    expect(modules[6].slice(8, size - 8)).toEqual(Array.from({ length: size - 16 }, (_, i) => i % 2 === 0))
+    // The module above the bottom-left finder's separator is always dark
+    expect(modules[size - 8][8]).toBe(true)
+  })
+})
+
+describe('LabelSheet', () => {
+  beforeEach(() => {
+    vi.clearAllMocks()
+  })
+
+  afterEach(() => {
+    vi.restoreAllMocks()
+  })
+
+  it('should render a barcode label for each selected product', async () => {
+    vi.mocked(productService.getProductById).mockImplementation(async (id) => makeProduct({ id }))
+    renderAt('/labels?ids=2,5,2')
+
+    expect(await screen.findByTestId('label-2')).toHaveTextContent('Product 2')
+    expect(screen.getByTestId('label-5')).toHaveTextContent('SKU-5')
+    expect(productService.getProductById).toHaveBeenCalledTimes(2)
+    expect(screen.getByTestId('label-barcode-2')).toHaveAttribute('aria-label', 'Code 128 barcode for SKU-2')
+  })
+
+  it('should switch every label to QR codes and print the sheet', async () => {
+    const print = vi.spyOn(window, 'print').mockImplementation(() => {})
+    vi.mocked(productService.getProductById).mockResolvedValue(makeProduct({ id: 3, name: 'Tea', sku: 'ชา-001' }))
+    renderAt('/labels?ids=3')
+
+    expect(await screen.findByTestId('label-unsupported-3')).toBeInTheDocument()
+
+    fireEvent.change(screen.getByTestId('label-format-select'), { target: { value: 'qr' } })
+
+    expect(screen.getByTestId('label-barcode-3')).toHaveAttribute('aria-label', 'QR code for ชา-001')
+    fireEvent.click(screen.getByTestId('print-labels-btn'))
+    expect(print).toHaveBeenCalled()
+  })
+
+  it('should leave off products that could not be loaded', async () => {
+    vi.spyOn(console, 'error').mockImplementation(() => {})
+    vi.mocked(productService.getProductById)
+      .mockResolvedValueOnce(makeProduct({ id: 1, name: 'Desk', sku: 'DESK-1' }))
+      .mockRejectedValueOnce(notFoundError())
+    renderAt('/labels?ids=1,9')
+
+    await waitFor(() => {
+      expect(screen.getByTestId('label-sheet-error')).toHaveTextContent('1 of the selected products could not be loaded')
+    })
+    expect(screen.getByTestId('label-1')).toBeInTheDocument()
+    expect(screen.queryByTestId('label-9')).not.toBeInTheDocument()
+  })
+
+  it('should explain how to select products when none are given', async () => {
+    renderAt('/labels')
+
+    expect(await screen.findByTestId('label-sheet-empty')).toBeInTheDocument()
+    expect(screen.getByTestId('print-labels-btn')).toBeDisabled()
+  })
+})
@@ -0,0 +1,309 @@
+import { render, screen, waitFor, fireEvent } from '@testing-library/react'
+import { MemoryRouter, Route, Routes } from 'react-router-dom'
+import { vi, describe, it, beforeEach, expect } from 'vitest'
+import ProductDetail from '../components/ProductDetail'
+import { buildHistory, diffText } from '../utils/productHistory'
+import { validateStockAdjustment } from '../utils/stockAdjustments'
+import type { Product, ProductImage, ProductVersion, StockAdjustment } from '../types/Product'
+import { httpError, notFoundError } from './fixtures'
+
+vi.mock('../services/productService', () => ({
+  productService: {
+    getProductById: vi.fn(),
+    getProductBySku: vi.fn(),
+    getProductHistory: vi.fn(),
+    getStockAdjustments: vi.fn(),
+    adjustStock: vi.fn(),
+    getProductImages: vi.fn(),
+    imageUrl: vi.fn((productId: number, imageId: number) => `/products/${productId}/images/${imageId}`),
+    thumbnailUrl: vi.fn((productId: number, imageId: number) => `/products/${productId}/images/${imageId}/thumbnail`),
+  }
+}))
+
+import { productService } from '../services/productService'
+
+const product: Product = {
+  id: 3,
+  name: 'Standing Desk',
+  description: 'Adjustable oak standing desk',
+  sku: 'DESK-001',
+  price: 449,
+  quantityInStock: 6,
+  reorderPoint: 10,
+  reorderQuantity: 0,
+  tags: [],
+  createdAt: '2024-01-01T09:00:00Z',
+  updatedAt: '2024-03-01T09:00:00Z'
+}
+
+const history: ProductVersion[] = [
+  {
+    version: 1,
+    changeType: 'created',
+    name: 'Standing Desk',
+    description: 'Adjustable standing desk',
+    price: 499,
+    quantityInStock: 10,
+    recordedAt: '2024-01-01T09:00:00Z'
+  },
+  {
+    version: 2,
+    changeType: 'updated',
+    name: 'Standing Desk',
+    description: 'Adjustable oak standing desk',
+    price: 449,
+    quantityInStock: 6,
+    recordedAt: '2024-03-01T09:00:00Z'
+  }
+]
+
+const adjustments: StockAdjustment[] = [
+  {
+    id: 1,
+    productId: 3,
+    delta: -4,
+    reason: 'sold',
+    note: 'Order #1042',
+    quantityBefore: 10,
+    quantityAfter: 6,
+    createdAt: '2024-03-01T09:00:00Z'
+  }
+]
+
+const renderAt = (path: string, state?: unknown) => render(
+  <MemoryRouter initialEntries={[{ pathname: path, state }]}>
+    <Routes>
+      <Route path="/product/:id" element={<ProductDetail />} />
+      <Route path="/sku/:sku" element={<ProductDetail />} />
+    </Routes>
+  </MemoryRouter>
+)
+
+describe('productHistory', () => {
+  it('should list versions newest first with the fields that changed', () => {
+    const entries = buildHistory(history)
+
+    expect(entries.map((entry) => entry.version.version)).toEqual([2, 1])
+    expect(entries[0].changes.map((change) => change.field)).toEqual(['description', 'price', 'quantityInStock'])
+    expect(entries[1].changes).toEqual([])
+  })
+
+  it('should diff text word by word', () => {
+    expect(diffText('Adjustable standing desk', 'Adjustable oak standing desk')).toEqual([
+      { type: 'same', text: 'Adjustable ' },
+      { type: 'added', text: 'oak ' },
+      { type: 'same', text: 'standing desk' },
+    ])
+  })
+})
+
+describe('stockAdjustments', () => {
+  it('should check the delta against the reason and the current stock', () => {
+    expect(validateStockAdjustment(6, 0, 'cycleCount', '')).toBe('Enter a whole number other than 0')
+    expect(validateStockAdjustment(6, -2, 'received', '')).toBe('Received adjustments must add stock')
+    expect(validateStockAdjustment(6, 2, 'damaged', '')).toBe('Damaged adjustments must remove stock')
+    expect(validateStockAdjustment(6, -7, 'sold', '')).toBe('Cannot remove 7 units; only 6 in stock')
+    expect(validateStockAdjustment(6, -2, 'cycleCount', '')).toBeNull()
+  })
+})
+
+describe('ProductDetail', () => {
+  beforeEach(() => {
+    vi.clearAllMocks()
+    vi.mocked(productService.getProductById).mockResolvedValue(product)
+    vi.mocked(productService.getProductBySku).mockResolvedValue(product)
+    vi.mocked(productService.getProductHistory).mockResolvedValue(history)
+    vi.mocked(productService.getStockAdjustments).mockResolvedValue(adjustments)
+    vi.mocked(productService.getProductImages).mockResolvedValue([])
+  })
+
+  it('should show the product and its change history', async () => {
+    renderAt('/product/3')
+
+    await waitFor(() => {
+      expect(screen.getByTestId('product-detail-name')).toHaveTextContent('Standing Desk')
+    })
+    expect(productService.getProductById).toHaveBeenCalledWith(3)
+    expect(screen.getByTestId('product-detail-sku')).toHaveTextContent('DESK-001')
+    expect(screen.getByTestId('product-detail-price')).toHaveTextContent('$449.00')
+    expect(screen.getByTestId('product-detail-created')).toHaveAttribute('title', '2024-01-01T09:00:00Z')
+    expect(screen.getByTestId('edit-product-btn')).toHaveAttribute('href', '/product/3/edit')
+
+    await waitFor(() => {
+      expect(screen.getByTestId('history-timeline')).toBeInTheDocument()
+    })
+    expect(screen.getByTestId('history-change-2-price')).toHaveTextContent('$499.00 → $449.00')
+    expect(screen.getByTestId('history-change-2-quantityInStock')).toHaveTextContent('10 → 6-4')
+    expect(screen.getByTestId('description-diff').querySelector('ins')).toHaveTextContent('oak')
+    expect(screen.getByTestId('history-version-1')).toHaveTextContent('Created')
+  })
+
+  it('should load the product by SKU', async () => {
+    renderAt('/sku/DESK-001')
+
+    await waitFor(() => {
+      expect(screen.getByTestId('product-detail-name')).toHaveTextContent('Standing Desk')
+    })
+    expect(productService.getProductBySku).toHaveBeenCalledWith('DESK-001')
+    expect(productService.getProductHistory).toHaveBeenCalledWith(3)
+  })
+
+  it('should report an unknown SKU', async () => {
+    vi.mocked(productService.getProductBySku).mockRejectedValue(notFoundError())
+    vi.spyOn(console, 'error').mockImplementation(() => {})
+
+    renderAt('/sku/MISSING-1')
+
+    await waitFor(() => {
+      expect(screen.getByTestId('product-not-found')).toHaveTextContent('No product found with SKU "MISSING-1".')
+    })
+    expect(productService.getProductHistory).not.toHaveBeenCalled()
+  })
+
+  it('should keep showing the product when its history fails to load', async () => {
+    vi.mocked(productService.getProductHistory).mockRejectedValue(new Error('boom'))
+    vi.spyOn(console, 'error').mockImplementation(() => {})
+
+    renderAt('/product/3')
+
+    await waitFor(() => {
+      expect(screen.getByTestId('history-error')).toHaveTextContent('Failed to load change history.')
+    })
+    expect(screen.getByTestId('product-detail-name')).toHaveTextContent('Standing Desk')
+  })
+
+  it('should show the primary image in a gallery and switch images from the thumbnails', async () => {
+    const image = (id: number, fileName: string, isPrimary: boolean): ProductImage => ({
+      id, productId: 3, fileName, contentType: 'image/jpeg', width: 1600, height: 1200, sizeInBytes: 4096, isPrimary,
+      createdAt: '2024-01-02T09:00:00Z'
+    })
+    vi.mocked(productService.getProductImages).mockResolvedValue([image(4, 'front.jpg', false), image(5, 'side.jpg', true)])
+
+    renderAt('/product/3')
+
+    const gallery = await screen.findByTestId('gallery-image')
+    expect(productService.getProductImages).toHaveBeenCalledWith(3)
+    expect(gallery).toHaveAttribute('src', '/products/3/images/5')
+    expect(gallery).toHaveAttribute('alt', 'side.jpg')
+    expect(screen.getByTestId('gallery-thumbnail-5')).toHaveAttribute('aria-pressed', 'true')
+
+    fireEvent.click(screen.getByTestId('gallery-thumbnail-4'))
+
+    expect(screen.getByTestId('gallery-image')).toHaveAttribute('src', '/products/3/images/4')
+    expect(screen.getByTestId('gallery-thumbnail-4')).toHaveAttribute('aria-pressed', 'true')
+  })
+
+  it('should leave out the gallery when the product has no images', async () => {
+    renderAt('/product/3')
+
+    await waitFor(() => {
+      expect(screen.getByTestId('adjustment-log')).toBeInTheDocument()
+    })
+    expect(screen.queryByTestId('product-gallery')).not.toBeInTheDocument()
+  })
+
+  it('should show the stock adjustment log', async () => {
+    renderAt('/product/3')
+
+    await waitFor(() => {
+      expect(screen.getByTestId('adjustment-log')).toBeInTheDocument()
+    })
+    expect(productService.getStockAdjustments).toHaveBeenCalledWith(3)
+    const row = screen.getByTestId('adjustment-1')
+    expect(row).toHaveTextContent('Sold')
+    expect(row).toHaveTextContent('-4')
+    expect(row).toHaveTextContent('10 → 6')
+    expect(row).toHaveTextContent('Order #1042')
+  })
+
+  it('should record a stock adjustment and update the stock level', async () => {
+    const recorded: StockAdjustment = {
+      id: 2,
+      productId: 3,
+      delta: 12,
+      reason: 'received',
+      note: 'PO-77',
+      quantityBefore: 6,
+      quantityAfter: 18,
+      createdAt: '2024-04-01T09:00:00Z'
+    }
+    vi.mocked(productService.adjustStock).mockResolvedValue(recorded)
+
+    renderAt('/product/3')
+
+    await waitFor(() => {
+      expect(screen.getByTestId('adjust-stock-btn')).toBeInTheDocument()
+    })
+    fireEvent.click(screen.getByTestId('adjust-stock-btn'))
+    fireEvent.change(screen.getByTestId('adjust-quantity-input'), { target: { value: '12' } })
+    fireEvent.change(screen.getByTestId('adjust-note-input'), { target: { value: ' PO-77 ' } })
+    expect(screen.getByTestId('adjust-stock-preview')).toHaveTextContent('6 → 18+12')
+    fireEvent.click(screen.getByTestId('adjust-submit-btn'))
+
+    await waitFor(() => {
+      expect(screen.queryByTestId('adjust-stock-dialog')).not.toBeInTheDocument()
+    })
+    expect(productService.adjustStock).toHaveBeenCalledWith(3, { delta: 12, reason: 'received', note: 'PO-77' })
+    expect(screen.getByTestId('product-detail-stock')).toHaveTextContent('18')
+    expect(screen.getByTestId('adjustment-2')).toHaveTextContent('+12')
+    expect(productService.getProductHistory).toHaveBeenCalledTimes(2)
+  })
+
+  it('should open the stock dialog straight away when coming from the edit form', async () => {
+    renderAt('/product/3', { adjustStock: true })
+
+    await waitFor(() => {
+      expect(screen.getByTestId('adjust-stock-dialog')).toBeInTheDocument()
+    })
+    expect(screen.getByTestId('adjust-quantity-input')).toBeInTheDocument()
+  })
+
+  it('should adjust a cycle count by the difference from the counted quantity', async () => {
+    renderAt('/product/3')
+
+    await waitFor(() => {
+      expect(screen.getByTestId('adjust-stock-btn')).toBeInTheDocument()
+    })
+    fireEvent.click(screen.getByTestId('adjust-stock-btn'))
+    fireEvent.change(screen.getByTestId('adjust-reason-select'), { target: { value: 'cycleCount' } })
+    fireEvent.change(screen.getByTestId('adjust-quantity-input'), { target: { value: '4' } })
+
+    expect(screen.getByLabelText('Counted quantity')).toBeInTheDocument()
+    expect(screen.getByTestId('adjust-stock-preview')).toHaveTextContent('6 → 4-2')
+  })
+
+  it('should not send an adjustment that would take the stock below zero', async () => {
+    renderAt('/product/3')
+
+    await waitFor(() => {
+      expect(screen.getByTestId('adjust-stock-btn')).toBeInTheDocument()
+    })
+    fireEvent.click(screen.getByTestId('adjust-stock-btn'))
+    fireEvent.change(screen.getByTestId('adjust-reason-select'), { target: { value: 'sold' } })
+    fireEvent.change(screen.getByTestId('adjust-quantity-input'), { target: { value: '9' } })
+    fireEvent.click(screen.getByTestId('adjust-submit-btn'))
+
+    expect(screen.getByTestId('adjust-stock-error')).toHaveTextContent('Cannot remove 9 units; only 6 in stock')
+    expect(productService.adjustStock).not.toHaveBeenCalled()
+  })
+
+  it('should show the API error when an adjustment is rejected', async () => {
+    vi.mocked(productService.adjustStock).mockRejectedValue(httpError(400, 'Cannot remove 5 units; only 2 in stock.'))
+    vi.spyOn(console, 'error').mockImplementation(() => {})
+
+    renderAt('/product/3')
+
+    await waitFor(() => {
+      expect(screen.getByTestId('adjust-stock-btn')).toBeInTheDocument()
+    })
+    fireEvent.click(screen.getByTestId('adjust-stock-btn'))
+    fireEvent.change(screen.getByTestId('adjust-reason-select'), { target: { value: 'damaged' } })
+    fireEvent.change(screen.getByTestId('adjust-quantity-input'), { target: { value: '5' } })
+    fireEvent.click(screen.getByTestId('adjust-submit-btn'))
+
+    await waitFor(() => {
+      expect(screen.getByTestId('adjust-stock-error')).toHaveTextContent('Cannot remove 5 units; only 2 in stock.')
+    })
+    expect(screen.getByTestId('adjust-stock-dialog')).toBeInTheDocument()
+  })
+})
@@ -1,7 +1,20 @@
-import { render, screen, fireEvent, waitFor } from '@testing-library/react'
+import { act, render, screen, fireEvent, waitFor, within } from '@testing-library/react'
+import { AxiosError, AxiosHeaders } from 'axios'
 import { BrowserRouter } from 'react-router-dom'
-import { vi, describe, it, beforeEach, expect } from 'vitest'
+import { vi, describe, it, beforeEach, afterEach, expect } from 'vitest'
 import ProductForm from '../components/ProductForm'
+import type { Product, ProductImage } from '../types/Product'
+import { validateProductValues } from '../utils/productValidation'
+import { checkConstraints } from '../utils/schemaValidation'
+import { parseLocaleNumber } from '../utils/localeFormat'
+import { preferences } from '../services/preferences'
+import { apiConstraints } from '../types/api.generated'
+import { buildConflicts, mergeValues, toFormValues } from '../utils/productConflict'
+import { matchFieldErrors, parseApiError } from '../services/apiErrors'
+import { getErrorMessage } from '../services/apiClient'
+import { queryCache } from '../services/queryCache'
+import { productKeys, type ProductListPage } from '../services/productQueries'
+import { withLanguage } from './i18n'
 
 // Mock the productService
 vi.mock('../services/productService', () => ({
@@ -9,17 +22,38 @@ vi.mock('../services/productService', () => ({
     createProduct: vi.fn(),
     updateProduct: vi.fn(),
     getProductById: vi.fn(),
+    getProductImages: vi.fn(() => Promise.resolve([])),
+    uploadProductImage: vi.fn(),
+    setPrimaryProductImage: vi.fn(),
+    deleteProductImage: vi.fn(),
+    thumbnailUrl: vi.fn((productId: number, imageId: number) => `/products/${productId}/images/${imageId}/thumbnail`),
   }
 }))
 
+// jsdom cannot decode or draw images
+vi.mock('../utils/imageResize', () => ({
+  resizeImage: vi.fn(),
+}))
+
+vi.mock('../services/categoryService', () => ({
+  categoryService: {
+    getCategories: vi.fn(() => Promise.resolve([])),
+  }
+}))
+
+import { productService } from '../services/productService'
+import { categoryService } from '../services/categoryService'
+import { resizeImage } from '../utils/imageResize'
+
 // Mock react-router-dom hooks
 const mockNavigate = vi.fn()
+let mockParams: { id: string } = { id: 'new' }
 vi.mock('react-router-dom', async () => {
   const actual = await vi.importActual('react-router-dom')
   return {
     ...actual,
     useNavigate: () => mockNavigate,
-    useParams: () => ({ id: 'new' }),
+    useParams: () => mockParams,
   }
 })
 
@@ -34,6 +68,7 @@ const renderProductForm = () => {
 describe('ProductForm', () => {
   beforeEach(() => {
     vi.clearAllMocks()
+    mockParams = { id: 'new' }
   })
 
   it('should render create form with correct title', () => {
@@ -47,6 +82,14 @@ describe('ProductForm', () => {
     expect(screen.getByTestId('product-quantity-input')).toBeInTheDocument()
   })
 
+  it('should fill in the SKU passed from a scan that found no product', () => {
+    window.history.pushState({}, '', '/product/new?sku=NEW-42')
+    renderProductForm()
+
+    expect(screen.getByTestId('product-sku-input')).toHaveValue('NEW-42')
+    window.history.pushState({}, '', '/')
+  })
+
   it('should show validation errors for empty required fields', async () => {
     renderProductForm()
     
@@ -60,6 +103,22 @@ describe('ProductForm', () => {
     })
   })
 
+  it('should not send a SKU longer than the API accepts', async () => {
+    renderProductForm()
+
+    fireEvent.change(screen.getByTestId('product-name-input'), { target: { value: 'Desk' } })
+    fireEvent.change(screen.getByTestId('product-sku-input'), { target: { value: 'S'.repeat(51) } })
+    fireEvent.change(screen.getByTestId('product-description-input'), { target: { value: 'Oak desk' } })
+    fireEvent.change(screen.getByTestId('product-price-input'), { target: { value: '100' } })
+    fireEvent.change(screen.getByTestId('product-quantity-input'), { target: { value: '5' } })
+    fireEvent.click(screen.getByTestId('submit-btn'))
+
+    await waitFor(() => {
+      expect(screen.getByTestId('sku-error')).toHaveTextContent('SKU cannot exceed 50 characters')
+    })
+    expect(productService.createProduct).not.toHaveBeenCalled()
+  })
+
   it('should show price validation error for negative values', async () => {
     renderProductForm()
     
@@ -195,4 +254,921 @@ describe('ProductForm', () => {
     fireEvent.change(quantityInput, { target: { value: '5' } })
     expect(quantityInput.value).toBe('5')
   })
-})
\ No newline at end of file
+
+  it('should send the reorder point and quantity with a new product', async () => {
+    vi.mocked(productService.createProduct).mockResolvedValue({} as Product)
+    renderProductForm()
+
+    expect(screen.getByTestId('product-reorder-point-input')).toHaveValue(10)
+    fireEvent.change(screen.getByTestId('product-name-input'), { target: { value: 'Test Product' } })
+    fireEvent.change(screen.getByTestId('product-sku-input'), { target: { value: 'TEST-001' } })
+    fireEvent.change(screen.getByTestId('product-description-input'), { target: { value: 'Test description' } })
+    fireEvent.change(screen.getByTestId('product-price-input'), { target: { value: '9.99' } })
+    fireEvent.change(screen.getByTestId('product-quantity-input'), { target: { value: '40' } })
+    fireEvent.change(screen.getByTestId('product-reorder-point-input'), { target: { value: '15' } })
+    fireEvent.change(screen.getByTestId('product-reorder-quantity-input'), { target: { value: '60' } })
+    fireEvent.click(screen.getByTestId('submit-btn'))
+
+    await waitFor(() => {
+      expect(productService.createProduct).toHaveBeenCalledWith(expect.objectContaining({
+        quantityInStock: 40,
+        reorderPoint: 15,
+        reorderQuantity: 60
+      }))
+    })
+  })
+
+  it('should read the price in the chosen locale and show its currency', async () => {
+    preferences.update({ locale: 'de-DE', currency: 'EUR' })
+    vi.mocked(productService.createProduct).mockResolvedValue({} as Product)
+    renderProductForm()
+
+    expect(screen.getByLabelText('Price * (€)')).toHaveAttribute('placeholder', '0,00')
+    fireEvent.change(screen.getByTestId('product-name-input'), { target: { value: 'Test Product' } })
+    fireEvent.change(screen.getByTestId('product-sku-input'), { target: { value: 'TEST-001' } })
+    fireEvent.change(screen.getByTestId('product-description-input'), { target: { value: 'Test description' } })
+    fireEvent.change(screen.getByTestId('product-price-input'), { target: { value: '1.234,56' } })
+    fireEvent.change(screen.getByTestId('product-quantity-input'), { target: { value: '40' } })
+    fireEvent.click(screen.getByTestId('submit-btn'))
+
+    await waitFor(() => {
+      expect(productService.createProduct).toHaveBeenCalledWith(expect.objectContaining({ price: 1234.56 }))
+    })
+  })
+
+  it('should reject a price that does not fit the chosen locale', async () => {
+    preferences.update({ locale: 'en-US' })
+    renderProductForm()
+
+    fireEvent.change(screen.getByTestId('product-price-input'), { target: { value: '1.234,56' } })
+    fireEvent.click(screen.getByTestId('submit-btn'))
+
+    await waitFor(() => {
+      expect(screen.getByTestId('price-error')).toHaveTextContent('Price must be greater than 0')
+    })
+    expect(productService.createProduct).not.toHaveBeenCalled()
+  })
+
+  it('should show a loaded price in the chosen locale', async () => {
+    preferences.update({ locale: 'de-DE' })
+    mockParams = { id: '1' }
+    vi.mocked(productService.getProductById).mockResolvedValue({
+      id: 1, name: 'Desk', description: '', sku: 'DESK-1', price: 1234.5, quantityInStock: 5,
+      reorderPoint: 10, reorderQuantity: 0, tags: [], createdAt: '2024-01-01T00:00:00Z', updatedAt: '2024-01-01T00:00:00Z'
+    })
+    renderProductForm()
+
+    await waitFor(() => {
+      expect(screen.getByTestId('product-price-input')).toHaveValue('1234,5')
+    })
+  })
+})
+
+describe('parseLocaleNumber', () => {
+  it('should read numbers with or without grouping in the locale\'s style', () => {
+    expect(parseLocaleNumber('1.234,56', 'de-DE')).toBe(1234.56)
+    expect(parseLocaleNumber('1234,56', 'de-DE')).toBe(1234.56)
+    expect(parseLocaleNumber('1,234.56', 'en-US')).toBe(1234.56)
+    expect(parseLocaleNumber('1 234,56', 'fr-FR')).toBe(1234.56)
+    expect(parseLocaleNumber(' 19.99 ', 'en-US')).toBe(19.99)
+  })
+
+  it('should accept a plain decimal point where it cannot be mistaken for grouping', () => {
+    expect(parseLocaleNumber('12.5', 'de-DE')).toBe(12.5)
+    expect(parseLocaleNumber('1.234', 'de-DE')).toBe(1234)
+  })
+
+  it('should refuse grouping in the wrong places and text that is not a number', () => {
+    expect(parseLocaleNumber('1.234,56', 'en-US')).toBeNaN()
+    expect(parseLocaleNumber('12,34,5', 'en-US')).toBeNaN()
+    expect(parseLocaleNumber('abc', 'de-DE')).toBeNaN()
+  })
+})
+
+describe('ProductForm edit conflicts', () => {
+  const loaded: Product = {
+    id: 1,
+    name: 'Desk',
+    description: 'Oak desk',
+    sku: 'DESK-1',
+    price: 100,
+    quantityInStock: 5,
+    reorderPoint: 10,
+    reorderQuantity: 0,
+    tags: [],
+    createdAt: '2024-01-01T00:00:00Z',
+    updatedAt: '2024-01-02T00:00:00Z'
+  }
+  // Someone else renamed the desk and changed its price in the meantime
+  const current: Product = { ...loaded, name: 'Standing Desk', price: 120, updatedAt: '2024-01-03T00:00:00Z' }
+
+  const conflictError = () => {
+    const config = { headers: new AxiosHeaders() }
+    return new AxiosError('Request failed with status code 409', 'ERR_BAD_REQUEST', config, null, {
+      status: 409,
+      statusText: 'Conflict',
+      headers: {},
+      config,
+      data: { status: 409, title: 'Product was modified by someone else.', currentProduct: current }
+    })
+  }
+
+  const editPriceAndReorderPoint = async () => {
+    renderProductForm()
+    await waitFor(() => {
+      expect(screen.getByTestId('product-name-input')).toHaveValue('Desk')
+    })
+    fireEvent.change(screen.getByTestId('product-price-input'), { target: { value: '110' } })
+    fireEvent.change(screen.getByTestId('product-reorder-point-input'), { target: { value: '15' } })
+    fireEvent.click(screen.getByTestId('submit-btn'))
+  }
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+    mockParams = { id: '1' }
+    vi.mocked(productService.getProductById).mockResolvedValue(loaded)
+    vi.spyOn(console, 'error').mockImplementation(() => {})
+  })
+
+  it('should send the version the edit started from', async () => {
+    vi.mocked(productService.updateProduct).mockResolvedValue(loaded)
+
+    await editPriceAndReorderPoint()
+
+    await waitFor(() => {
+      expect(productService.updateProduct).toHaveBeenCalledWith(1, expect.objectContaining({
+        price: 110,
+        expectedUpdatedAt: '2024-01-02T00:00:00Z'
+      }))
+    })
+    expect(mockNavigate).toHaveBeenCalledWith('/')
+  })
+
+  it('should show the stock read-only, link to a stock adjustment and leave it out of the update', async () => {
+    vi.mocked(productService.updateProduct).mockResolvedValue(loaded)
+
+    await editPriceAndReorderPoint()
+
+    expect(screen.getByTestId('product-quantity-input')).toHaveAttribute('readonly')
+    expect(screen.getByTestId('adjust-stock-link')).toHaveAttribute('href', '/product/1')
+    await waitFor(() => {
+      expect(productService.updateProduct).toHaveBeenCalled()
+    })
+    expect(vi.mocked(productService.updateProduct).mock.calls[0][1]).not.toHaveProperty('quantityInStock')
+  })
+
+  it('should show original, your and current values when someone else saved first', async () => {
+    vi.mocked(productService.updateProduct).mockRejectedValueOnce(conflictError())
+
+    await editPriceAndReorderPoint()
+
+    await waitFor(() => {
+      expect(screen.getByTestId('conflict-resolver')).toBeInTheDocument()
+    })
+    expect(mockNavigate).not.toHaveBeenCalled()
+    expect(screen.getByTestId('conflict-count')).toHaveTextContent('1 field was changed on both sides')
+
+    const priceRow = screen.getByTestId('conflict-row-price')
+    expect(within(priceRow).getAllByRole('cell').map((cell) => cell.textContent)).toEqual(['100', '110', '120'])
+    // Each side's own edits are picked by default
+    expect(screen.getByTestId('conflict-choice-price-mine')).toBeChecked()
+    expect(screen.getByTestId('conflict-choice-reorderPoint-mine')).toBeChecked()
+    expect(screen.getByTestId('conflict-choice-name-theirs')).toBeChecked()
+    expect(screen.queryByTestId('conflict-row-description')).not.toBeInTheDocument()
+  })
+
+  it('should save the values picked field by field against the current version', async () => {
+    vi.mocked(productService.updateProduct)
+      .mockRejectedValueOnce(conflictError())
+      .mockResolvedValueOnce(current)
+
+    await editPriceAndReorderPoint()
+
+    await waitFor(() => {
+      expect(screen.getByTestId('conflict-resolver')).toBeInTheDocument()
+    })
+    fireEvent.click(screen.getByTestId('conflict-choice-price-theirs'))
+    fireEvent.click(screen.getByTestId('conflict-save-btn'))
+
+    await waitFor(() => {
+      expect(mockNavigate).toHaveBeenCalledWith('/')
+    })
+    expect(productService.updateProduct).toHaveBeenLastCalledWith(1, expect.objectContaining({
+      name: 'Standing Desk',
+      price: 120,
+      reorderPoint: 15,
+      expectedUpdatedAt: '2024-01-03T00:00:00Z'
+    }))
+  })
+
+  it('should reload the current values when discarding local changes', async () => {
+    vi.mocked(productService.updateProduct).mockRejectedValueOnce(conflictError())
+
+    await editPriceAndReorderPoint()
+
+    await waitFor(() => {
+      expect(screen.getByTestId('conflict-resolver')).toBeInTheDocument()
+    })
+    fireEvent.click(screen.getByTestId('conflict-discard-btn'))
+
+    expect(screen.queryByTestId('conflict-resolver')).not.toBeInTheDocument()
+    expect(screen.getByTestId('product-name-input')).toHaveValue('Standing Desk')
+    expect(screen.getByTestId('product-price-input')).toHaveValue('120')
+    expect(screen.getByTestId('product-reorder-point-input')).toHaveValue(10)
+  })
+
+  it('should treat equal numbers as unchanged and merge only the chosen fields', () => {
+    const original = toFormValues(loaded)
+    const mine = { ...original, price: '100.00', description: 'Solid oak desk' }
+    const theirs = toFormValues(current)
+
+    const conflicts = buildConflicts(original, mine, theirs)
+
+    expect(conflicts.map(({ field }) => field)).toEqual(['name', 'description', 'price'])
+    expect(conflicts.find(({ field }) => field === 'price')).toMatchObject({ changedByMe: false, changedByThem: true, conflicting: false })
+    expect(mergeValues(mine, theirs, { description: 'mine', price: 'mine' })).toEqual({
+      ...theirs,
+      description: 'Solid oak desk',
+      price: '100.00'
+    })
+  })
+})
+
+describe('ProductForm cached data', () => {
+  const listed: Product = {
+    id: 1,
+    name: 'Desk',
+    description: 'Oak desk',
+    sku: 'DESK-1',
+    price: 100,
+    quantityInStock: 5,
+    reorderPoint: 10,
+    reorderQuantity: 0,
+    tags: [],
+    createdAt: '2024-01-01T00:00:00Z',
+    updatedAt: '2024-01-02T00:00:00Z'
+  }
+  const listKey = productKeys.list({ page: 1 })
+  const listedPrice = () => queryCache.getState<ProductListPage>(listKey).data?.items[0].price
+
+  beforeEach(async () => {
+    vi.clearAllMocks()
+    mockParams = { id: '1' }
+    vi.spyOn(console, 'error').mockImplementation(() => {})
+    // As left behind by the product list
+    await queryCache.fetch(listKey, async () => ({
+      items: [listed], page: 1, pageSize: 25, totalCount: 1, totalPages: 1, fromCache: false
+    }))
+  })
+
+  it('should fill the form from the list\'s copy at once, then follow the current version', async () => {
+    let respond: (product: Product) => void = () => {}
+    vi.mocked(productService.getProductById).mockReturnValue(new Promise<Product>((resolve) => {
+      respond = resolve
+    }))
+    renderProductForm()
+
+    expect(screen.queryByText('Loading product...')).not.toBeInTheDocument()
+    expect(screen.getByTestId('product-name-input')).toHaveValue('Desk')
+
+    respond({ ...listed, name: 'Standing Desk', updatedAt: '2024-01-03T00:00:00Z' })
+
+    await waitFor(() => {
+      expect(screen.getByTestId('product-name-input')).toHaveValue('Standing Desk')
+    })
+  })
+
+  it('should show the new values in cached lists at once and restore them when the update fails', async () => {
+    vi.mocked(productService.getProductById).mockResolvedValue(listed)
+    let fail: (error: unknown) => void = () => {}
+    vi.mocked(productService.updateProduct).mockReturnValue(new Promise<Product>((_resolve, reject) => {
+      fail = reject
+    }))
+    renderProductForm()
+    await waitFor(() => {
+      expect(productService.getProductById).toHaveBeenCalled()
+    })
+
+    fireEvent.change(screen.getByTestId('product-price-input'), { target: { value: '110' } })
+    fireEvent.click(screen.getByTestId('submit-btn'))
+
+    await waitFor(() => {
+      expect(listedPrice()).toBe(110)
+    })
+    expect(screen.getByTestId('submit-btn')).toHaveTextContent('Saving...')
+
+    const config = { headers: new AxiosHeaders() }
+    fail(new AxiosError('Request failed with status code 500', 'ERR_BAD_RESPONSE', config, null, {
+      status: 500, statusText: 'Internal Server Error', headers: {}, config, data: {}
+    }))
+
+    await waitFor(() => {
+      expect(screen.getByTestId('form-error')).toHaveTextContent('Failed to update product.')
+    })
+    expect(listedPrice()).toBe(100)
+    expect(mockNavigate).not.toHaveBeenCalled()
+  })
+})
+
+describe('ProductForm live updates', () => {
+  // Stands in for the browser's EventSource so tests can push product events
+  class FakeEventSource {
+    static instances: FakeEventSource[] = []
+    onmessage: ((event: MessageEvent<string>) => void) | null = null
+
+    constructor() {
+      FakeEventSource.instances.push(this)
+    }
+
+    close() {}
+
+    emit(data: unknown) {
+      act(() => {
+        this.onmessage?.(new MessageEvent('message', { data: JSON.stringify(data) }))
+      })
+    }
+  }
+
+  const loaded: Product = {
+    id: 1,
+    name: 'Desk',
+    description: 'Oak desk',
+    sku: 'DESK-1',
+    price: 100,
+    quantityInStock: 5,
+    reorderPoint: 10,
+    reorderQuantity: 0,
+    tags: [],
+    createdAt: '2024-01-01T00:00:00Z',
+    updatedAt: '2024-01-02T00:00:00Z'
+  }
+  const theirs: Product = { ...loaded, price: 120, updatedAt: '2024-01-03T00:00:00Z' }
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+    mockParams = { id: '1' }
+    FakeEventSource.instances = []
+    vi.stubGlobal('EventSource', FakeEventSource)
+    vi.mocked(productService.getProductById).mockResolvedValue(loaded)
+  })
+
+  afterEach(() => {
+    vi.unstubAllGlobals()
+  })
+
+  const renderLoaded = async () => {
+    renderProductForm()
+    await waitFor(() => {
+      expect(screen.getByTestId('product-name-input')).toHaveValue('Desk')
+    })
+    return FakeEventSource.instances[0]
+  }
+
+  it('should show someone else\'s change in an untouched form and say so', async () => {
+    const events = await renderLoaded()
+
+    events.emit({ type: 'updated', productId: 1, product: theirs, occurredAt: theirs.updatedAt })
+
+    expect(screen.getByTestId('product-price-input')).toHaveValue('120')
+    expect(screen.getByTestId('remote-change-warning')).toHaveTextContent('the form now shows their version')
+    expect(screen.queryByTestId('load-remote-change')).not.toBeInTheDocument()
+  })
+
+  it('should keep the user\'s edits and warn them when someone else changes the product', async () => {
+    const events = await renderLoaded()
+    fireEvent.change(screen.getByTestId('product-name-input'), { target: { value: 'My Desk' } })
+
+    events.emit({ type: 'updated', productId: 1, product: theirs, occurredAt: theirs.updatedAt })
+
+    expect(screen.getByTestId('product-name-input')).toHaveValue('My Desk')
+    expect(screen.getByTestId('product-price-input')).toHaveValue('100')
+    expect(screen.getByTestId('remote-change-warning')).toHaveTextContent('Someone else just changed this product')
+
+    fireEvent.click(screen.getByTestId('load-remote-change'))
+
+    expect(screen.getByTestId('product-name-input')).toHaveValue('Desk')
+    expect(screen.getByTestId('product-price-input')).toHaveValue('120')
+    expect(screen.queryByTestId('remote-change-warning')).not.toBeInTheDocument()
+  })
+
+  it('should warn when the product is deleted and ignore changes to other products', async () => {
+    const events = await renderLoaded()
+
+    events.emit({ type: 'updated', productId: 2, product: { ...theirs, id: 2 }, occurredAt: theirs.updatedAt })
+    expect(screen.queryByTestId('remote-change-warning')).not.toBeInTheDocument()
+
+    events.emit({ type: 'deleted', productId: 1, product: null, occurredAt: theirs.updatedAt })
+    expect(screen.getByTestId('remote-change-warning')).toHaveTextContent('Someone else deleted this product')
+  })
+})
+
+describe('ProductForm categories and tags', () => {
+  const category = (id: number, path: string[], parentId: number | null) => ({
+    id,
+    name: path[path.length - 1],
+    parentId,
+    path,
+    productCount: 0,
+    createdAt: '2024-01-01T00:00:00Z',
+    updatedAt: '2024-01-01T00:00:00Z'
+  })
+
+  const fillRequired = () => {
+    fireEvent.change(screen.getByTestId('product-name-input'), { target: { value: 'Headset' } })
+    fireEvent.change(screen.getByTestId('product-sku-input'), { target: { value: 'HEAD-1' } })
+    fireEvent.change(screen.getByTestId('product-description-input'), { target: { value: 'Wireless headset' } })
+    fireEvent.change(screen.getByTestId('product-price-input'), { target: { value: '59' } })
+    fireEvent.change(screen.getByTestId('product-quantity-input'), { target: { value: '4' } })
+  }
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+    mockParams = { id: 'new' }
+    vi.mocked(categoryService.getCategories).mockResolvedValue([
+      category(1, ['Electronics'], null),
+      category(2, ['Electronics', 'Audio'], 1),
+    ])
+  })
+
+  it('should file a new product under the chosen category with its tags tidied up', async () => {
+    vi.mocked(productService.createProduct).mockResolvedValue({} as Product)
+    renderProductForm()
+
+    expect(await screen.findByRole('option', { name: 'Electronics › Audio' })).toBeInTheDocument()
+    fillRequired()
+    fireEvent.change(screen.getByTestId('product-category-select'), { target: { value: '2' } })
+    fireEvent.change(screen.getByTestId('product-tags-input'), { target: { value: ' Sale, fragile,, sale ' } })
+    fireEvent.click(screen.getByTestId('submit-btn'))
+
+    await waitFor(() => {
+      expect(productService.createProduct).toHaveBeenCalledWith(expect.objectContaining({
+        categoryId: 2,
+        tags: ['sale', 'fragile']
+      }))
+    })
+  })
+
+  it('should refuse more tags than the API accepts', async () => {
+    renderProductForm()
+
+    fillRequired()
+    const tags = Array.from({ length: 21 }, (_, i) => `tag${i}`).join(', ')
+    fireEvent.change(screen.getByTestId('product-tags-input'), { target: { value: tags } })
+    fireEvent.click(screen.getByTestId('submit-btn'))
+
+    expect(await screen.findByTestId('tags-error')).toHaveTextContent('20')
+    expect(productService.createProduct).not.toHaveBeenCalled()
+  })
+
+  it('should keep a product\'s category and tags when editing other fields', async () => {
+    const loaded: Product = {
+      id: 7,
+      name: 'Headset',
+      description: 'Wireless headset',
+      sku: 'HEAD-1',
+      price: 59,
+      quantityInStock: 4,
+      reorderPoint: 10,
+      reorderQuantity: 0,
+      categoryId: 2,
+      tags: ['sale', 'wireless'],
+      createdAt: '2024-01-01T00:00:00Z',
+      updatedAt: '2024-01-02T00:00:00Z'
+    }
+    mockParams = { id: '7' }
+    vi.mocked(productService.getProductById).mockResolvedValue(loaded)
+    vi.mocked(productService.updateProduct).mockResolvedValue(loaded)
+    renderProductForm()
+
+    await waitFor(() => {
+      expect(screen.getByTestId('product-tags-input')).toHaveValue('sale, wireless')
+    })
+    await screen.findByRole('option', { name: 'Electronics › Audio' })
+    expect(screen.getByTestId('product-category-select')).toHaveValue('2')
+    fireEvent.change(screen.getByTestId('product-price-input'), { target: { value: '65' } })
+    fireEvent.click(screen.getByTestId('submit-btn'))
+
+    await waitFor(() => {
+      expect(productService.updateProduct).toHaveBeenCalledWith(7, expect.objectContaining({
+        price: 65,
+        categoryId: 2,
+        clearCategory: false,
+        tags: ['sale', 'wireless']
+      }))
+    })
+  })
+
+  it('should ask for the category and tags to be cleared when they are emptied', async () => {
+    const loaded: Product = {
+      id: 7,
+      name: 'Headset',
+      description: 'Wireless headset',
+      sku: 'HEAD-1',
+      price: 59,
+      quantityInStock: 4,
+      reorderPoint: 10,
+      reorderQuantity: 0,
+      categoryId: 2,
+      tags: ['sale'],
+      createdAt: '2024-01-01T00:00:00Z',
+      updatedAt: '2024-01-02T00:00:00Z'
+    }
+    mockParams = { id: '7' }
+    vi.mocked(productService.getProductById).mockResolvedValue(loaded)
+    vi.mocked(productService.updateProduct).mockResolvedValue(loaded)
+    renderProductForm()
+
+    await screen.findByRole('option', { name: 'Electronics › Audio' })
+    await waitFor(() => {
+      expect(screen.getByTestId('product-category-select')).toHaveValue('2')
+    })
+    fireEvent.change(screen.getByTestId('product-category-select'), { target: { value: '' } })
+    fireEvent.change(screen.getByTestId('product-tags-input'), { target: { value: '' } })
+    fireEvent.click(screen.getByTestId('submit-btn'))
+
+    await waitFor(() => {
+      expect(productService.updateProduct).toHaveBeenCalledWith(7, expect.objectContaining({
+        categoryId: undefined,
+        clearCategory: true,
+        tags: []
+      }))
+    })
+  })
+})
+
+describe('ProductForm images', () => {
+  const loaded: Product = {
+    id: 7,
+    name: 'Headset',
+    description: 'Wireless headset',
+    sku: 'HEAD-1',
+    price: 59,
+    quantityInStock: 4,
+    reorderPoint: 10,
+    reorderQuantity: 0,
+    tags: [],
+    createdAt: '2024-01-01T00:00:00Z',
+    updatedAt: '2024-01-02T00:00:00Z'
+  }
+
+  const image = (id: number, fileName: string, isPrimary: boolean): ProductImage => ({
+    id,
+    productId: 7,
+    fileName,
+    contentType: 'image/jpeg',
+    width: 800,
+    height: 600,
+    sizeInBytes: 2048,
+    isPrimary,
+    createdAt: '2024-01-03T00:00:00Z'
+  })
+
+  const photo = (name: string, type = 'image/jpeg', size = 1024) => new File([new Uint8Array(size)], name, { type })
+
+  const drop = (...files: File[]) => {
+    fireEvent.drop(screen.getByTestId('image-drop-zone'), { dataTransfer: { files } })
+  }
+
+  const fillRequired = () => {
+    fireEvent.change(screen.getByTestId('product-name-input'), { target: { value: 'Headset' } })
+    fireEvent.change(screen.getByTestId('product-sku-input'), { target: { value: 'HEAD-1' } })
+    fireEvent.change(screen.getByTestId('product-description-input'), { target: { value: 'Wireless headset' } })
+    fireEvent.change(screen.getByTestId('product-price-input'), { target: { value: '59' } })
+    fireEvent.change(screen.getByTestId('product-quantity-input'), { target: { value: '4' } })
+  }
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+    mockParams = { id: 'new' }
+    URL.createObjectURL = vi.fn(() => 'blob:preview')
+    URL.revokeObjectURL = vi.fn()
+    vi.mocked(resizeImage).mockImplementation(async (file: File) => ({
+      file,
+      thumbnail: new Blob(['thumbnail'], { type: file.type }),
+      width: 800,
+      height: 600
+    }))
+  })
+
+  afterEach(() => {
+    vi.restoreAllMocks()
+  })
+
+  it('should upload a new product\'s images once it is created, showing the chosen one in lists', async () => {
+    vi.mocked(productService.createProduct).mockResolvedValue({ ...loaded, id: 12 })
+    vi.mocked(productService.uploadProductImage).mockResolvedValue(image(1, 'front.jpg', false))
+    renderProductForm()
+
+    fillRequired()
+    drop(photo('front.jpg'), photo('back.png', 'image/png'))
+    expect(await screen.findByTestId('image-item-pending-2')).toBeInTheDocument()
+    expect(screen.getByTestId('image-primary-pending-1')).toBeChecked()
+    fireEvent.click(screen.getByTestId('image-primary-pending-2'))
+    expect(productService.uploadProductImage).not.toHaveBeenCalled()
+
+    fireEvent.click(screen.getByTestId('submit-btn'))
+
+    await waitFor(() => {
+      expect(mockNavigate).toHaveBeenCalledWith('/')
+    })
+    expect(productService.uploadProductImage).toHaveBeenCalledTimes(2)
+    expect(productService.uploadProductImage).toHaveBeenNthCalledWith(1, 12,
+      expect.objectContaining({ fileName: 'front.jpg', width: 800, height: 600, isPrimary: false }), expect.anything())
+    expect(productService.uploadProductImage).toHaveBeenNthCalledWith(2, 12,
+      expect.objectContaining({ fileName: 'back.png', isPrimary: true }), expect.anything())
+  })
+
+  it('should refuse files that are not images or are still too large after resizing', async () => {
+    vi.mocked(resizeImage).mockImplementation(async (file: File) => ({
+      file: new Blob([new Uint8Array(6 * 1024 * 1024)], { type: file.type }),
+      thumbnail: new Blob(['thumbnail'], { type: file.type }),
+      width: 1600,
+      height: 1200
+    }))
+    renderProductForm()
+
+    drop(photo('notes.txt', 'text/plain'), photo('poster.png', 'image/png'))
+
+    const rejected = await screen.findByTestId('image-rejected')
+    expect(rejected).toHaveTextContent('notes.txt is not a JPEG, PNG or WebP image.')
+    expect(rejected).toHaveTextContent('poster.png is still larger than 5 MB after resizing.')
+    expect(resizeImage).toHaveBeenCalledTimes(1)
+    expect(screen.queryByTestId('image-list')).not.toBeInTheDocument()
+  })
+
+  it('should upload an existing product\'s image straight away and report its progress', async () => {
+    let finishUpload: (image: ProductImage) => void = () => {}
+    mockParams = { id: '7' }
+    vi.mocked(productService.getProductById).mockResolvedValue(loaded)
+    vi.mocked(productService.uploadProductImage).mockImplementation((_id, _upload, options) => {
+      options?.onProgress?.(40)
+      return new Promise<ProductImage>((resolve) => {
+        finishUpload = resolve
+      })
+    })
+    renderProductForm()
+
+    await waitFor(() => {
+      expect(screen.getByTestId('product-name-input')).toHaveValue('Headset')
+    })
+    drop(photo('side.jpg'))
+
+    expect(await screen.findByTestId('image-progress-pending-1')).toHaveAttribute('value', '40')
+    expect(productService.uploadProductImage).toHaveBeenCalledWith(7, expect.objectContaining({
+      fileName: 'side.jpg',
+      isPrimary: false
+    }), expect.anything())
+
+    vi.mocked(productService.getProductImages).mockResolvedValue([image(5, 'side.jpg', true)])
+    await act(async () => {
+      finishUpload(image(5, 'side.jpg', true))
+    })
+
+    expect(await screen.findByTestId('image-item-5')).toBeInTheDocument()
+    expect(screen.queryByTestId('image-item-pending-1')).not.toBeInTheDocument()
+    expect(screen.getByTestId('image-primary-5')).toBeChecked()
+    expect(productService.updateProduct).not.toHaveBeenCalled()
+  })
+
+  it('should change which saved image is shown in lists and remove images once confirmed', async () => {
+    mockParams = { id: '7' }
+    vi.mocked(productService.getProductById).mockResolvedValue(loaded)
+    vi.mocked(productService.getProductImages).mockResolvedValue([image(5, 'front.jpg', true), image(6, 'back.jpg', false)])
+    vi.mocked(productService.setPrimaryProductImage).mockResolvedValue()
+    vi.mocked(productService.deleteProductImage).mockResolvedValue()
+    vi.spyOn(window, 'confirm').mockReturnValue(true)
+    renderProductForm()
+
+    expect(await screen.findByTestId('image-item-6')).toBeInTheDocument()
+    expect(within(screen.getByTestId('image-item-5')).getByRole('img')).toHaveAttribute('src', '/products/7/images/5/thumbnail')
+    fireEvent.click(screen.getByTestId('image-primary-6'))
+    await waitFor(() => {
+      expect(productService.setPrimaryProductImage).toHaveBeenCalledWith(7, 6)
+    })
+
+    fireEvent.click(screen.getByTestId('remove-image-5'))
+    await waitFor(() => {
+      expect(productService.deleteProductImage).toHaveBeenCalledWith(7, 5)
+    })
+    expect(window.confirm).toHaveBeenCalledWith('Remove the image "front.jpg"?')
+  })
+
+  it('should open the new product for editing when some of its images could not be uploaded', async () => {
+    vi.mocked(productService.createProduct).mockResolvedValue({ ...loaded, id: 12 })
+    vi.mocked(productService.uploadProductImage).mockRejectedValue(new Error('Network Error'))
+    vi.spyOn(console, 'error').mockImplementation(() => {})
+    renderProductForm()
+
+    fillRequired()
+    drop(photo('front.jpg'))
+    expect(await screen.findByTestId('image-item-pending-1')).toBeInTheDocument()
+    fireEvent.click(screen.getByTestId('submit-btn'))
+
+    await waitFor(() => {
+      expect(mockNavigate).toHaveBeenCalledWith('/product/12/edit', { replace: true, state: { imageUploadFailed: true } })
+    })
+    expect(mockNavigate).not.toHaveBeenCalledWith('/')
+  })
+})
+
+describe('validateProductValues', () => {
+  const values = {
+    name: 'Desk',
+    description: 'Oak desk',
+    sku: 'DESK-1',
+    price: '100',
+    quantityInStock: '5',
+    reorderPoint: '',
+    reorderQuantity: ''
+  }
+
+  it('should accept blank reorder settings and reject fractional or negative ones', () => {
+    expect(validateProductValues(values)).toEqual({})
+    expect(validateProductValues({ ...values, reorderPoint: '2.5', reorderQuantity: '-1' })).toEqual({
+      reorderPoint: 'Reorder point must be a whole number of 0 or more',
+      reorderQuantity: 'Reorder quantity must be a whole number of 0 or more'
+    })
+  })
+
+  it('should apply the length and format limits published in the API contract', () => {
+    expect(validateProductValues({
+      ...values,
+      name: 'N'.repeat(201),
+      sku: 'S'.repeat(51),
+      description: 'D'.repeat(1001)
+    })).toEqual({
+      name: 'Product name cannot exceed 200 characters',
+      sku: 'SKU cannot exceed 50 characters',
+      description: 'Description cannot exceed 1000 characters'
+    })
+    expect(validateProductValues({ ...values, name: 'N'.repeat(200), sku: 'S'.repeat(50) })).toEqual({})
+    expect(validateProductValues({ ...values, sku: 'AB' }).sku).toBe('SKU must be at least 3 characters')
+    expect(validateProductValues({ ...values, sku: 'DESK 1' }).sku).toBe('SKU must contain only letters, numbers, and hyphens')
+  })
+
+  it('should apply the numeric ranges published in the API contract', () => {
+    expect(validateProductValues({
+      ...values,
+      price: '1000000',
+      quantityInStock: '1.5',
+      reorderPoint: '1000001'
+    })).toEqual({
+      price: 'Price cannot exceed 999,999.99',
+      quantityInStock: 'Quantity must be a whole number',
+      reorderPoint: 'Reorder point cannot exceed 1,000,000'
+    })
+    expect(validateProductValues({ ...values, price: '999999.99', quantityInStock: '1000000' })).toEqual({})
+  })
+
+  it('should read every limit from the generated constraints', () => {
+    const sku = apiConstraints.CreateProductDto.sku
+    expect(sku).toMatchObject({ required: true, minLength: 3, maxLength: 50 })
+    expect(apiConstraints.UpdateProductDto).not.toHaveProperty('sku')
+    expect(checkConstraints('', sku, 'SKU')).toBe('SKU is required')
+    expect(checkConstraints('', apiConstraints.CreateProductDto.reorderPoint, 'Reorder point')).toBeUndefined()
+    expect(checkConstraints('abc', apiConstraints.CreateProductDto.quantityInStock, 'Quantity')).toBe('Quantity must be a number')
+    expect(checkConstraints('-5', apiConstraints.CreateProductDto.quantityInStock, 'Quantity')).toBe('Quantity must be at least 0')
+  })
+})
+
+describe('ProductForm in Thai', () => {
+  withLanguage('th', 'th-TH')
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+    mockParams = { id: 'new' }
+  })
+
+  it('should show the form and its validation messages in Thai', async () => {
+    renderProductForm()
+
+    expect(screen.getByTestId('form-title')).toHaveTextContent('สร้างสินค้าใหม่')
+    expect(screen.getByTestId('submit-btn')).toHaveTextContent('สร้างสินค้า')
+
+    fireEvent.change(screen.getByTestId('product-sku-input'), { target: { value: 'S'.repeat(51) } })
+    fireEvent.click(screen.getByTestId('submit-btn'))
+
+    await waitFor(() => {
+      expect(screen.getByTestId('name-error')).toHaveTextContent('ต้องระบุ ชื่อสินค้า')
+    })
+    expect(screen.getByTestId('sku-error')).toHaveTextContent('SKU ต้องมีไม่เกิน 50 ตัวอักษร')
+    expect(productService.createProduct).not.toHaveBeenCalled()
+  })
+
+  it('should format numbers in messages for the locale', () => {
+    expect(validateProductValues({
+      name: 'Desk',
+      description: 'Oak desk',
+      sku: 'DESK-1',
+      price: '1000000',
+      quantityInStock: '5',
+      reorderPoint: '',
+      reorderQuantity: ''
+    }).price).toBe('ราคา ต้องไม่เกิน 999,999.99')
+  })
+})
+
+describe('ProductForm server-side validation', () => {
+  const badRequest = (status: number, data: unknown) => {
+    const config = { headers: new AxiosHeaders() }
+    return new AxiosError(`Request failed with status code ${status}`, 'ERR_BAD_REQUEST', config, null, {
+      status,
+      statusText: '',
+      headers: {},
+      config,
+      data
+    })
+  }
+
+  const validationProblem = (errors: Record<string, string[]>) => ({
+    type: 'https://tools.ietf.org/html/rfc7231#section-6.5.1',
+    title: 'One or more validation errors occurred.',
+    status: 400,
+    errors,
+    traceId: '00-4bf92f3577b34da6a3ce929d0e0e4736-00f067aa0ba902b7-01'
+  })
+
+  const fillAndSubmit = () => {
+    renderProductForm()
+    fireEvent.change(screen.getByTestId('product-name-input'), { target: { value: 'Laptop' } })
+    fireEvent.change(screen.getByTestId('product-sku-input'), { target: { value: 'LAPTOP-001' } })
+    fireEvent.change(screen.getByTestId('product-description-input'), { target: { value: '14 inch laptop' } })
+    fireEvent.change(screen.getByTestId('product-price-input'), { target: { value: '999' } })
+    fireEvent.change(screen.getByTestId('product-quantity-input'), { target: { value: '3' } })
+    fireEvent.click(screen.getByTestId('submit-btn'))
+  }
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+    mockParams = { id: 'new' }
+    vi.spyOn(console, 'error').mockImplementation(() => {})
+  })
+
+  it('should show a duplicate SKU next to the SKU field', async () => {
+    vi.mocked(productService.createProduct).mockRejectedValue(badRequest(400, validationProblem({
+      SKU: ["SKU 'LAPTOP-001' already exists. Each product must have a unique SKU."]
+    })))
+
+    fillAndSubmit()
+
+    await waitFor(() => {
+      expect(screen.getByTestId('sku-error')).toHaveTextContent("SKU 'LAPTOP-001' already exists.")
+    })
+    expect(screen.queryByTestId('form-error')).not.toBeInTheDocument()
+    expect(mockNavigate).not.toHaveBeenCalled()
+
+    fireEvent.change(screen.getByTestId('product-sku-input'), { target: { value: 'LAPTOP-002' } })
+    expect(screen.queryByTestId('sku-error')).not.toBeInTheDocument()
+  })
+
+  it('should map attribute errors to their fields and list the rest with the trace id', async () => {
+    vi.mocked(productService.createProduct).mockRejectedValue(badRequest(400, validationProblem({
+      Name: ['The field Name must be a string with a maximum length of 200.'],
+      '$.price': ['The JSON value could not be converted to System.Decimal.'],
+      createProductDto: ['The createProductDto field is required.']
+    })))
+
+    fillAndSubmit()
+
+    await waitFor(() => {
+      expect(screen.getByTestId('name-error')).toHaveTextContent('maximum length of 200')
+    })
+    expect(screen.getByTestId('price-error')).toHaveTextContent('could not be converted')
+    expect(screen.getByTestId('form-error-details')).toHaveTextContent('The createProductDto field is required.')
+    expect(screen.getByTestId('form-error-trace-id')).toHaveTextContent('00-4bf92f3577b34da6a3ce929d0e0e4736-00f067aa0ba902b7-01')
+  })
+
+  it('should show the trace id of a server error', async () => {
+    vi.mocked(productService.createProduct).mockRejectedValue(badRequest(500, {
+      title: 'An error occurred while processing your request.',
+      status: 500,
+      traceId: '00-0af7651916cd43dd8448eb211c80319c-b7ad6b7169203331-01'
+    }))
+
+    fillAndSubmit()
+
+    await waitFor(() => {
+      expect(screen.getByTestId('form-error')).toHaveTextContent('Failed to create product.')
+    })
+    expect(screen.getByTestId('form-error-trace-id')).toHaveTextContent('00-0af7651916cd43dd8448eb211c80319c-b7ad6b7169203331-01')
+  })
+
+  it('should read problem details, plain-text bodies and unreachable servers', () => {
+    const problem = parseApiError(badRequest(400, validationProblem({
+      'products[0].QuantityInStock': ['Quantity in stock cannot be negative.'],
+      '': ['Request body is empty.']
+    })))
+
+    expect(problem).toMatchObject({ status: 400, generalErrors: ['Request body is empty.'], traceId: expect.stringMatching(/^00-/) })
+    expect(matchFieldErrors(problem, ['quantityInStock'])).toEqual({
+      matched: { quantityInStock: 'Quantity in stock cannot be negative.' },
+      unmatched: ['Request body is empty.']
+    })
+    expect(getErrorMessage(badRequest(400, validationProblem({ Price: ['Price cannot be negative.'] })))).toBe('Price cannot be negative.')
+    expect(parseApiError(badRequest(400, 'Product ID must be a positive integer.')).generalErrors).toEqual(['Product ID must be a positive integer.'])
+    expect(parseApiError(new AxiosError('Network Error', 'ERR_NETWORK', { headers: new AxiosHeaders() }))).toMatchObject({
+      status: undefined,
+      message: 'Network error. Please make sure the API is running.'
+    })
+  })
+})
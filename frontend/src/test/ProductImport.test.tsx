@@ -0,0 +1,169 @@
+import { render, screen, fireEvent, waitFor } from '@testing-library/react'
+import { BrowserRouter } from 'react-router-dom'
+import { vi, describe, it, beforeEach, expect } from 'vitest'
+import ProductImport from '../components/ProductImport'
+import { parseCsv } from '../utils/csv'
+import { buildImportRows, guessColumnMapping, parseImportFile, selectRowsToImport } from '../services/productImport'
+import type { Product } from '../types/Product'
+
+vi.mock('../services/productService', () => ({
+  productService: {
+    getAllProducts: vi.fn(),
+    createProduct: vi.fn(),
+    updateProduct: vi.fn(),
+  }
+}))
+
+import { productService } from '../services/productService'
+
+const existingProduct: Product = {
+  id: 7,
+  name: 'Existing Mouse',
+  description: 'Already in the catalog',
+  sku: 'MOUSE-001',
+  price: 19.99,
+  quantityInStock: 4,
+  reorderPoint: 10,
+  reorderQuantity: 0,
+  categoryId: 3,
+  tags: ['wireless'],
+  createdAt: '2024-01-01T00:00:00Z',
+  updatedAt: '2024-01-01T00:00:00Z'
+}
+
+const csv = [
+  'Product Name,Desc,SKU,Unit Price,Qty',
+  'Laptop,"Fast, light laptop",LAP-001,999.99,10',
+  'Mouse,Wireless,mouse-001,25,5',
+  ',Missing name,BAD-001,-1,3',
+  'Laptop again,Duplicate,LAP-001,10,1',
+].join('\n')
+
+const renderWithRouter = () => render(
+  <BrowserRouter>
+    <ProductImport />
+  </BrowserRouter>
+)
+
+const uploadFile = (name: string, content: string) => {
+  const file = new File([content], name, { type: name.endsWith('.json') ? 'application/json' : 'text/csv' })
+  fireEvent.change(screen.getByTestId('import-file-input'), { target: { files: [file] } })
+}
+
+describe('parseCsv', () => {
+  it('should handle quoted fields, escaped quotes, CRLF and blank lines', () => {
+    expect(parseCsv('﻿a,b\r\n"x, y","say ""hi"""\r\n\r\n"multi\nline",2\n')).toEqual([
+      ['a', 'b'],
+      ['x, y', 'say "hi"'],
+      ['multi\nline', '2'],
+    ])
+  })
+})
+
+describe('productImport', () => {
+  it('should map columns by common header names', () => {
+    const source = parseImportFile('products.csv', csv)
+    expect(guessColumnMapping(source.columns)).toEqual({
+      name: 'Product Name',
+      description: 'Desc',
+      sku: 'SKU',
+      price: 'Unit Price',
+      quantityInStock: 'Qty',
+      reorderPoint: '',
+      reorderQuantity: '',
+    })
+  })
+
+  it('should validate rows and flag duplicates and existing SKUs', () => {
+    const source = parseImportFile('products.csv', csv)
+    const rows = buildImportRows(source, guessColumnMapping(source.columns), [existingProduct])
+
+    expect(rows[0].errors).toEqual({})
+    expect(rows[1].existing).toBe(existingProduct)
+    expect(rows[2].errors).toMatchObject({
+      name: 'Product name is required',
+      price: 'Price must be greater than 0',
+    })
+    expect(rows[3].duplicateOfRow).toBe(1)
+
+    expect(selectRowsToImport(rows, 'skip').map((row) => row.rowNumber)).toEqual([1])
+    expect(selectRowsToImport(rows, 'overwrite').map((row) => row.rowNumber)).toEqual([1, 2])
+    expect(selectRowsToImport(rows, 'abort')).toEqual([])
+  })
+
+  it('should read JSON arrays and { products } objects', () => {
+    const products = [{ name: 'Pen', sku: 'PEN-1', price: 1.5, quantityInStock: 100 }]
+    expect(parseImportFile('a.json', JSON.stringify(products)).records[0]).toEqual({
+      name: 'Pen', sku: 'PEN-1', price: '1.5', quantityInStock: '100'
+    })
+    expect(parseImportFile('b.json', JSON.stringify({ products })).columns).toEqual(['name', 'sku', 'price', 'quantityInStock'])
+    expect(() => parseImportFile('c.json', '{"name":"Pen"}')).toThrow('JSON imports must be an array of product objects.')
+  })
+})
+
+describe('ProductImport', () => {
+  beforeEach(() => {
+    vi.clearAllMocks()
+    vi.mocked(productService.getAllProducts).mockResolvedValue([existingProduct])
+    vi.mocked(productService.createProduct).mockResolvedValue(existingProduct)
+    vi.mocked(productService.updateProduct).mockResolvedValue(existingProduct)
+  })
+
+  it('should preview row errors and conflicts, then import with the chosen strategy', async () => {
+    renderWithRouter()
+    uploadFile('products.csv', csv)
+
+    await waitFor(() => {
+      expect(screen.getByTestId('import-map-step')).toBeInTheDocument()
+    })
+    expect(screen.getByTestId('map-sku')).toHaveValue('SKU')
+
+    fireEvent.click(screen.getByTestId('import-preview-btn'))
+
+    await waitFor(() => {
+      expect(screen.getByTestId('import-preview-summary')).toHaveTextContent(
+        '4 rows: 2 valid, 2 with errors, 1 conflicting with existing SKUs.'
+      )
+    })
+    expect(screen.getByTestId('import-row-status-3')).toHaveTextContent('Product name is required')
+    expect(screen.getByTestId('import-row-status-4')).toHaveTextContent('Duplicate of row 1')
+    expect(screen.getByTestId('import-row-status-2')).toHaveTextContent('SKU already exists')
+    expect(screen.getByTestId('import-commit-btn')).toHaveTextContent('Import 1 product')
+
+    fireEvent.click(screen.getByTestId('strategy-abort'))
+    expect(screen.getByTestId('import-blocked')).toBeInTheDocument()
+    expect(screen.getByTestId('import-commit-btn')).toBeDisabled()
+
+    fireEvent.click(screen.getByTestId('strategy-overwrite'))
+    fireEvent.click(screen.getByTestId('import-commit-btn'))
+
+    await waitFor(() => {
+      expect(screen.getByTestId('import-result-summary')).toHaveTextContent('1 created, 1 updated, 0 failed.')
+    })
+    expect(productService.createProduct).toHaveBeenCalledWith({
+      name: 'Laptop',
+      description: 'Fast, light laptop',
+      sku: 'LAP-001',
+      price: 999.99,
+      quantityInStock: 10,
+    })
+    expect(productService.updateProduct).toHaveBeenCalledWith(7, {
+      name: 'Mouse',
+      description: 'Wireless',
+      price: 25,
+      quantityInStock: 5,
+      categoryId: 3,
+      tags: ['wireless'],
+    })
+  })
+
+  it('should report files that cannot be read', async () => {
+    renderWithRouter()
+    uploadFile('products.json', 'not json')
+
+    await waitFor(() => {
+      expect(screen.getByTestId('import-error')).toHaveTextContent('The file is not valid JSON.')
+    })
+    expect(screen.getByTestId('import-upload-step')).toBeInTheDocument()
+  })
+})
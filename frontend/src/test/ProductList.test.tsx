@@ -1,8 +1,11 @@
-import { render, screen, waitFor } from '@testing-library/react'
+import { act, render, screen, waitFor, fireEvent } from '@testing-library/react'
+import { AxiosError, AxiosHeaders } from 'axios'
 import { BrowserRouter } from 'react-router-dom'
-import { vi, describe, it, beforeEach, expect } from 'vitest'
+import { vi, describe, it, beforeEach, afterEach, expect } from 'vitest'
 import ProductList from '../components/ProductList'
-import type { Product } from '../types/Product'
+import DisplaySettings from '../components/DisplaySettings'
+import LanguageSwitcher from '../components/LanguageSwitcher'
+import type { Product, PagedResult, ProductFacets } from '../types/Product'
 
 // Mock the productService
 const mockProducts: Product[] = [
@@ -13,6 +16,9 @@ const mockProducts: Product[] = [
     sku: 'LOW-001',
     price: 15.99,
     quantityInStock: 5,
+    reorderPoint: 10,
+    reorderQuantity: 0,
+    tags: [],
     createdAt: '2024-01-01T00:00:00Z',
     updatedAt: '2024-01-01T00:00:00Z'
   },
@@ -23,6 +29,9 @@ const mockProducts: Product[] = [
     sku: 'NORMAL-001',
     price: 25.99,
     quantityInStock: 50,
+    reorderPoint: 10,
+    reorderQuantity: 0,
+    tags: [],
     createdAt: '2024-01-01T00:00:00Z',
     updatedAt: '2024-01-01T00:00:00Z'
   },
@@ -33,6 +42,9 @@ const mockProducts: Product[] = [
     sku: 'OOS-001',
     price: 19.99,
     quantityInStock: 0,
+    reorderPoint: 10,
+    reorderQuantity: 0,
+    tags: [],
     createdAt: '2024-01-01T00:00:00Z',
     updatedAt: '2024-01-01T00:00:00Z'
   }
@@ -41,12 +53,65 @@ const mockProducts: Product[] = [
 vi.mock('../services/productService', () => ({
   productService: {
     getAllProducts: vi.fn(),
+    queryProducts: vi.fn(),
     searchProducts: vi.fn(),
     deleteProduct: vi.fn(),
+    getFacets: vi.fn(),
+    thumbnailUrl: vi.fn((productId: number, imageId: number) => `/products/${productId}/images/${imageId}/thumbnail`),
   }
 }))
 
 import { productService } from '../services/productService'
+import { offlineSync } from '../services/offlineSync'
+import { preferences } from '../services/preferences'
+import { i18n, translate, type MessageKey } from '../services/i18n'
+import { withLanguage } from './i18n'
+
+const facets: ProductFacets = {
+  categories: [
+    { id: 1, name: 'Electronics', parentId: null, count: 3 },
+    { id: 2, name: 'Audio', parentId: 1, count: 2 },
+    { id: 4, name: 'Garden', parentId: null, count: 0 },
+  ],
+  uncategorizedCount: 1,
+  tags: [
+    { tag: 'sale', count: 2 },
+    { tag: 'wireless', count: 1 },
+  ],
+}
+
+const pageOf = (items: Product[], page = 1, pageSize = 25, totalCount = items.length): PagedResult<Product> => ({
+  items,
+  page,
+  pageSize,
+  totalCount,
+  totalPages: Math.ceil(totalCount / pageSize),
+})
+
+// Stands in for the browser's EventSource so tests can push product events
+class FakeEventSource {
+  static instances: FakeEventSource[] = []
+  url: string
+  closed = false
+  onmessage: ((event: MessageEvent<string>) => void) | null = null
+  onerror: (() => void) | null = null
+  onopen: (() => void) | null = null
+
+  constructor(url: string) {
+    this.url = url
+    FakeEventSource.instances.push(this)
+  }
+
+  close() {
+    this.closed = true
+  }
+
+  emit(data: unknown) {
+    act(() => {
+      this.onmessage?.(new MessageEvent('message', { data: JSON.stringify(data) }))
+    })
+  }
+}
 
 const renderProductList = () => {
   return render(
@@ -59,7 +124,9 @@ const renderProductList = () => {
 describe('ProductList', () => {
   beforeEach(() => {
     vi.clearAllMocks()
-    ;(productService.getAllProducts as any).mockResolvedValue(mockProducts)
+    window.history.replaceState({}, '', '/')
+    vi.mocked(productService.queryProducts).mockResolvedValue(pageOf(mockProducts))
+    vi.mocked(productService.getFacets).mockResolvedValue(facets)
   })
 
   it('should render product list title', async () => {
@@ -91,6 +158,21 @@ describe('ProductList', () => {
     expect(outOfStockCell).toHaveClass('low-stock')
   })
 
+  it('should flag low stock against each product\'s reorder point', async () => {
+    vi.mocked(productService.queryProducts).mockResolvedValue(pageOf([
+      { ...mockProducts[0], quantityInStock: 5, reorderPoint: 2 },
+      { ...mockProducts[1], quantityInStock: 50, reorderPoint: 50 },
+    ]))
+
+    renderProductList()
+
+    await waitFor(() => {
+      expect(screen.getByTestId('products-table')).toBeInTheDocument()
+    })
+    expect(screen.getByTestId('product-stock-1')).not.toHaveClass('low-stock')
+    expect(screen.getByTestId('product-stock-2')).toHaveClass('low-stock')
+  })
+
   it('should format prices correctly', async () => {
     renderProductList()
     
@@ -104,6 +186,35 @@ describe('ProductList', () => {
     expect(screen.getByTestId('product-price-3')).toHaveTextContent('$19.99')
   })
 
+  it('should format prices and dates in the chosen locale and currency', async () => {
+    preferences.update({ locale: 'de-DE', currency: 'EUR' })
+    renderProductList()
+
+    await waitFor(() => {
+      expect(screen.getByTestId('product-price-1')).toHaveTextContent(/^15,99\s€$/)
+    })
+    expect(screen.getByTestId('product-created-1')).toHaveTextContent(
+      new Date('2024-01-01T00:00:00Z').toLocaleDateString('de-DE')
+    )
+  })
+
+  it('should reformat prices as soon as another currency is picked and remember it', async () => {
+    render(
+      <BrowserRouter>
+        <DisplaySettings />
+        <ProductList />
+      </BrowserRouter>
+    )
+    await waitFor(() => {
+      expect(screen.getByTestId('product-price-1')).toHaveTextContent('$15.99')
+    })
+
+    fireEvent.change(screen.getByTestId('currency-select'), { target: { value: 'THB' } })
+
+    expect(screen.getByTestId('product-price-1')).toHaveTextContent('THB 15.99')
+    expect(JSON.parse(localStorage.getItem('demo-inventory.preferences') ?? '{}')).toEqual({ language: 'en', locale: 'en-US', currency: 'THB' })
+  })
+
   it('should truncate long descriptions', async () => {
     const longDescriptionProduct: Product = {
       id: 4,
@@ -112,11 +223,14 @@ describe('ProductList', () => {
       sku: 'LONG-001',
       price: 99.99,
       quantityInStock: 25,
+      reorderPoint: 10,
+      reorderQuantity: 0,
+      tags: [],
       createdAt: '2024-01-01T00:00:00Z',
       updatedAt: '2024-01-01T00:00:00Z'
     }
 
-    ;(productService.getAllProducts as any).mockResolvedValue([longDescriptionProduct])
+    vi.mocked(productService.queryProducts).mockResolvedValue(pageOf([longDescriptionProduct]))
     
     renderProductList()
     
@@ -130,7 +244,7 @@ describe('ProductList', () => {
   })
 
   it('should display no products message when list is empty', async () => {
-    ;(productService.getAllProducts as any).mockResolvedValue([])
+    vi.mocked(productService.queryProducts).mockResolvedValue(pageOf([]))
     
     renderProductList()
     
@@ -155,4 +269,551 @@ describe('ProductList', () => {
     expect(screen.getByTestId('edit-product-3')).toBeInTheDocument()
     expect(screen.getByTestId('delete-product-3')).toBeInTheDocument()
   })
-})
\ No newline at end of file
+
+  it('should show each product\'s primary image as a thumbnail', async () => {
+    vi.mocked(productService.queryProducts).mockResolvedValue(pageOf([
+      { ...mockProducts[0], primaryImageId: 9 },
+      mockProducts[1],
+    ]))
+    renderProductList()
+
+    await waitFor(() => {
+      expect(screen.getByTestId('products-table')).toBeInTheDocument()
+    })
+    expect(screen.getByTestId('product-image-1').querySelector('img')).toHaveAttribute('src', '/products/1/images/9/thumbnail')
+    expect(screen.getByTestId('product-image-2').querySelector('img')).toBeNull()
+    expect(screen.getByTestId('product-image-2')).toContainElement(screen.getByTitle('No image'))
+  })
+
+  it('should request the page, sort and filters from the URL query string', async () => {
+    window.history.replaceState({}, '', '/?page=2&pageSize=10&sortBy=price&sortDirection=desc&minStock=5')
+    vi.mocked(productService.queryProducts).mockResolvedValue(pageOf(mockProducts, 2, 10, 13))
+
+    renderProductList()
+
+    await waitFor(() => {
+      expect(screen.getByTestId('page-info')).toHaveTextContent('Page 2 of 2 (13 products)')
+    })
+
+    expect(productService.queryProducts).toHaveBeenCalledWith(expect.objectContaining({
+      page: 2,
+      pageSize: 10,
+      sortBy: 'price',
+      sortDirection: 'desc',
+      minStock: 5,
+    }), expect.anything())
+    expect(screen.getByTestId('filter-min-stock')).toHaveValue(5)
+    expect(screen.getByTestId('next-page-btn')).toBeDisabled()
+  })
+
+  it('should leave out stock filters that are not whole numbers', async () => {
+    window.history.replaceState({}, '', '/?minStock=2.5&maxStock=12')
+
+    renderProductList()
+
+    await waitFor(() => {
+      expect(screen.getByTestId('products-table')).toBeInTheDocument()
+    })
+
+    const query = vi.mocked(productService.queryProducts).mock.calls[0][0]
+    expect(query).toMatchObject({ maxStock: 12 })
+    expect(query.minStock).toBeUndefined()
+  })
+
+  it('should toggle sorting when a column header is clicked and keep it in the URL', async () => {
+    renderProductList()
+
+    await waitFor(() => {
+      expect(screen.getByTestId('products-table')).toBeInTheDocument()
+    })
+
+    fireEvent.click(screen.getByTestId('sort-name'))
+    await waitFor(() => {
+      expect(window.location.search).toBe('?sortBy=name')
+    })
+
+    fireEvent.click(await screen.findByTestId('sort-name'))
+    await waitFor(() => {
+      expect(window.location.search).toBe('?sortBy=name&sortDirection=desc')
+    })
+    expect(productService.queryProducts).toHaveBeenLastCalledWith(expect.objectContaining({
+      sortBy: 'name',
+      sortDirection: 'desc',
+    }), expect.anything())
+  })
+
+  it('should apply column filters and reset to the first page', async () => {
+    window.history.replaceState({}, '', '/?page=3')
+    vi.mocked(productService.queryProducts).mockResolvedValue(pageOf(mockProducts, 3, 25, 60))
+
+    renderProductList()
+
+    await waitFor(() => {
+      expect(screen.getByTestId('products-table')).toBeInTheDocument()
+    })
+
+    fireEvent.change(screen.getByTestId('filter-min-price'), { target: { value: '10' } })
+    fireEvent.change(screen.getByTestId('filter-max-price'), { target: { value: '20' } })
+    fireEvent.click(screen.getByTestId('apply-filters-btn'))
+
+    await waitFor(() => {
+      expect(window.location.search).toBe('?minPrice=10&maxPrice=20')
+    })
+    expect(productService.queryProducts).toHaveBeenLastCalledWith(expect.objectContaining({
+      page: 1,
+      minPrice: 10,
+      maxPrice: 20,
+    }), expect.anything())
+  })
+
+  it('should count the matching products per category and tag', async () => {
+    window.history.replaceState({}, '', '/?q=head')
+
+    renderProductList()
+
+    expect(await screen.findByTestId('facet-category-2')).toHaveTextContent('Audio2')
+    expect(screen.getByTestId('facet-category-1')).toHaveAttribute('aria-pressed', 'false')
+    expect(screen.getByTestId('facet-uncategorized')).toHaveTextContent('1')
+    expect(screen.getByTestId('facet-tag-sale')).toHaveTextContent('sale 2')
+    // The counts follow the search and filters but not paging or sorting
+    expect(productService.getFacets).toHaveBeenCalledWith(expect.objectContaining({
+      searchTerm: 'head',
+      page: undefined,
+      sortBy: undefined,
+    }), expect.anything())
+  })
+
+  it('should filter by a category and tags, keep them in the URL and clear them', async () => {
+    window.history.replaceState({}, '', '/?page=2')
+
+    renderProductList()
+
+    fireEvent.click(await screen.findByTestId('facet-category-2'))
+    await waitFor(() => {
+      expect(window.location.search).toBe('?category=2')
+    })
+    expect(productService.queryProducts).toHaveBeenLastCalledWith(expect.objectContaining({
+      page: 1,
+      categoryId: 2,
+    }), expect.anything())
+
+    fireEvent.click(await screen.findByTestId('facet-tag-sale'))
+    fireEvent.click(await screen.findByTestId('facet-tag-wireless'))
+    await waitFor(() => {
+      expect(window.location.search).toBe('?category=2&tag=sale&tag=wireless')
+    })
+    expect(productService.queryProducts).toHaveBeenLastCalledWith(expect.objectContaining({
+      categoryId: 2,
+      tags: ['sale', 'wireless'],
+    }), expect.anything())
+    expect(screen.getByTestId('facet-tag-sale')).toHaveAttribute('aria-pressed', 'true')
+
+    fireEvent.click(screen.getByTestId('clear-facets-btn'))
+    await waitFor(() => {
+      expect(window.location.search).toBe('')
+    })
+    expect(screen.queryByTestId('clear-facets-btn')).not.toBeInTheDocument()
+  })
+
+  it('should keep showing the products when the counts cannot be loaded', async () => {
+    vi.mocked(productService.getFacets).mockRejectedValue(new Error('Network Error'))
+
+    renderProductList()
+
+    expect(await screen.findByTestId('facets-error')).toBeInTheDocument()
+    expect(screen.getByTestId('products-table')).toBeInTheDocument()
+  })
+
+  it('should search as the user types and keep the term in the URL', async () => {
+    renderProductList()
+
+    await waitFor(() => {
+      expect(screen.getByTestId('products-table')).toBeInTheDocument()
+    })
+
+    vi.mocked(productService.queryProducts).mockResolvedValue(pageOf([mockProducts[0]]))
+    fireEvent.change(screen.getByTestId('search-input'), { target: { value: 'Lo' } })
+    fireEvent.change(screen.getByTestId('search-input'), { target: { value: 'Low' } })
+
+    await waitFor(() => {
+      expect(window.location.search).toBe('?q=Low')
+    })
+    await waitFor(() => {
+      expect(screen.queryByTestId('product-row-2')).not.toBeInTheDocument()
+    })
+
+    const searchCalls = vi.mocked(productService.queryProducts).mock.calls.filter(([query]) => query.searchTerm)
+    expect(searchCalls).toHaveLength(1)
+    expect(searchCalls[0][0]).toEqual(expect.objectContaining({ searchTerm: 'Low', page: 1 }))
+    expect(screen.getByTestId('product-name-1').querySelector('mark')).toHaveTextContent('Low')
+  })
+
+  it('should restore the search term from the URL on load', async () => {
+    window.history.replaceState({}, '', '/?q=stock')
+
+    renderProductList()
+
+    await waitFor(() => {
+      expect(screen.getByTestId('products-table')).toBeInTheDocument()
+    })
+
+    expect(screen.getByTestId('search-input')).toHaveValue('stock')
+    expect(productService.queryProducts).toHaveBeenCalledWith(
+      expect.objectContaining({ searchTerm: 'stock' }),
+      expect.anything()
+    )
+    expect(screen.getByTestId('product-description-2').querySelector('mark')).toHaveTextContent('stock')
+  })
+
+  it('should abort the in-flight request when a newer search supersedes it', async () => {
+    renderProductList()
+
+    await waitFor(() => {
+      expect(screen.getByTestId('products-table')).toBeInTheDocument()
+    })
+
+    let firstSignal: AbortSignal | undefined
+    vi.mocked(productService.queryProducts).mockImplementationOnce((_query, options) => {
+      firstSignal = options?.signal
+      return new Promise(() => {})
+    })
+    fireEvent.change(screen.getByTestId('search-input'), { target: { value: 'Normal' } })
+    fireEvent.click(screen.getByTestId('search-btn'))
+
+    await waitFor(() => {
+      expect(firstSignal).toBeDefined()
+    })
+
+    fireEvent.change(screen.getByTestId('search-input'), { target: { value: 'Out' } })
+    fireEvent.click(screen.getByTestId('search-btn'))
+
+    await waitFor(() => {
+      expect(firstSignal?.aborted).toBe(true)
+    })
+    expect(productService.queryProducts).toHaveBeenLastCalledWith(
+      expect.objectContaining({ searchTerm: 'Out' }),
+      expect.anything()
+    )
+  })
+
+  it('should select every product on the page and show the batch action bar', async () => {
+    renderProductList()
+
+    await waitFor(() => {
+      expect(screen.getByTestId('products-table')).toBeInTheDocument()
+    })
+    expect(screen.queryByTestId('batch-action-bar')).not.toBeInTheDocument()
+
+    fireEvent.click(screen.getByTestId('select-product-2'))
+    expect(screen.getByTestId('batch-selection-count')).toHaveTextContent('1 selected')
+    expect((screen.getByTestId('select-all-products') as HTMLInputElement).indeterminate).toBe(true)
+
+    fireEvent.click(screen.getByTestId('select-all-products'))
+    expect(screen.getByTestId('batch-selection-count')).toHaveTextContent('3 selected')
+
+    fireEvent.click(screen.getByTestId('select-all-products'))
+    expect(screen.queryByTestId('batch-action-bar')).not.toBeInTheDocument()
+  })
+
+  it('should show cached products at once when mounted again and refresh them in the background', async () => {
+    const { unmount } = renderProductList()
+    await waitFor(() => {
+      expect(screen.getByTestId('product-row-2')).toBeInTheDocument()
+    })
+    unmount()
+
+    vi.mocked(productService.queryProducts).mockResolvedValue(pageOf(mockProducts.slice(0, 2)))
+    renderProductList()
+
+    expect(screen.queryByTestId('products-loading')).not.toBeInTheDocument()
+    expect(screen.getByTestId('product-row-3')).toBeInTheDocument()
+    await waitFor(() => {
+      expect(screen.queryByTestId('product-row-3')).not.toBeInTheDocument()
+    })
+    expect(productService.queryProducts).toHaveBeenCalledTimes(2)
+  })
+
+  it('should share one request between views showing the same page', async () => {
+    render(
+      <BrowserRouter>
+        <ProductList />
+        <ProductList />
+      </BrowserRouter>
+    )
+
+    await waitFor(() => {
+      expect(screen.getAllByTestId('product-row-2')).toHaveLength(2)
+    })
+    expect(productService.queryProducts).toHaveBeenCalledTimes(1)
+  })
+
+  it('should refetch when the window regains focus', async () => {
+    renderProductList()
+    await waitFor(() => {
+      expect(screen.getByTestId('product-row-2')).toBeInTheDocument()
+    })
+
+    fireEvent.focus(window)
+
+    await waitFor(() => {
+      expect(productService.queryProducts).toHaveBeenCalledTimes(2)
+    })
+    expect(screen.getByTestId('products-table')).toBeInTheDocument()
+  })
+
+  it('should remove a deleted product at once and keep the other rows on screen', async () => {
+    let confirmDelete: () => void = () => {}
+    vi.mocked(productService.deleteProduct).mockReturnValue(new Promise<void>((resolve) => {
+      confirmDelete = resolve
+    }))
+    vi.spyOn(window, 'confirm').mockReturnValue(true)
+    renderProductList()
+    await waitFor(() => {
+      expect(screen.getByTestId('product-row-2')).toBeInTheDocument()
+    })
+
+    fireEvent.click(screen.getByTestId('delete-product-2'))
+
+    expect(screen.queryByTestId('product-row-2')).not.toBeInTheDocument()
+    expect(screen.getByTestId('page-info')).toHaveTextContent('(2 products)')
+    expect(screen.queryByTestId('products-loading')).not.toBeInTheDocument()
+
+    vi.mocked(productService.queryProducts).mockResolvedValue(pageOf([mockProducts[0], mockProducts[2]]))
+    confirmDelete()
+
+    await waitFor(() => {
+      expect(productService.queryProducts).toHaveBeenCalledTimes(2)
+    })
+    expect(screen.getByTestId('product-row-1')).toBeInTheDocument()
+    expect(screen.queryByTestId('product-row-2')).not.toBeInTheDocument()
+  })
+
+  it('should put a product back when the API refuses to delete it', async () => {
+    const config = { headers: new AxiosHeaders() }
+    vi.mocked(productService.deleteProduct).mockRejectedValue(
+      new AxiosError('Request failed with status code 500', 'ERR_BAD_RESPONSE', config, null, {
+        status: 500, statusText: 'Internal Server Error', headers: {}, config, data: {}
+      })
+    )
+    vi.spyOn(window, 'confirm').mockReturnValue(true)
+    vi.spyOn(console, 'error').mockImplementation(() => {})
+    renderProductList()
+    await waitFor(() => {
+      expect(screen.getByTestId('product-row-2')).toBeInTheDocument()
+    })
+
+    fireEvent.click(screen.getByTestId('delete-product-2'))
+
+    await waitFor(() => {
+      expect(screen.getByTestId('error-message')).toHaveTextContent('Failed to delete product.')
+    })
+    expect(screen.getByTestId('product-row-2')).toBeInTheDocument()
+    expect(screen.getByTestId('page-info')).toHaveTextContent('(3 products)')
+  })
+
+  describe('live updates', () => {
+    beforeEach(() => {
+      FakeEventSource.instances = []
+      vi.stubGlobal('EventSource', FakeEventSource)
+    })
+
+    afterEach(() => {
+      vi.unstubAllGlobals()
+    })
+
+    const renderConnected = async () => {
+      const view = renderProductList()
+      await waitFor(() => {
+        expect(screen.getByTestId('product-row-2')).toBeInTheDocument()
+      })
+      expect(FakeEventSource.instances).toHaveLength(1)
+      return { ...view, events: FakeEventSource.instances[0] }
+    }
+
+    it('should update a changed row in place and flash the cells that changed', async () => {
+      const { events } = await renderConnected()
+      expect(events.url).toMatch(/\/products\/events$/)
+
+      events.emit({
+        type: 'updated',
+        productId: 2,
+        product: { ...mockProducts[1], price: 30.5, quantityInStock: 45, updatedAt: '2024-01-02T00:00:00Z' },
+        occurredAt: '2024-01-02T00:00:00Z',
+      })
+
+      expect(screen.getByTestId('product-price-2')).toHaveTextContent('$30.50')
+      expect(screen.getByTestId('product-price-2')).toHaveClass('flash')
+      expect(screen.getByTestId('product-stock-2')).toHaveTextContent('45')
+      expect(screen.getByTestId('product-stock-2')).toHaveClass('flash')
+      expect(screen.getByTestId('product-name-2')).not.toHaveClass('flash')
+      expect(screen.getByTestId('product-price-1')).not.toHaveClass('flash')
+      expect(productService.queryProducts).toHaveBeenCalledTimes(1)
+    })
+
+    it('should ignore an update older than the row on screen', async () => {
+      const { events } = await renderConnected()
+
+      events.emit({
+        type: 'updated',
+        productId: 2,
+        product: { ...mockProducts[1], price: 1, updatedAt: '2023-12-31T00:00:00Z' },
+        occurredAt: '2023-12-31T00:00:00Z',
+      })
+
+      expect(screen.getByTestId('product-price-2')).toHaveTextContent('$25.99')
+      expect(screen.getByTestId('product-price-2')).not.toHaveClass('flash')
+    })
+
+    it('should let a refresh already on its way finish when an event leaves the page unchanged', async () => {
+      const { events } = await renderConnected()
+      let respond: (page: ReturnType<typeof pageOf>) => void = () => {}
+      vi.mocked(productService.queryProducts).mockReturnValue(new Promise((resolve) => {
+        respond = resolve
+      }))
+      fireEvent.focus(window)
+      await waitFor(() => {
+        expect(productService.queryProducts).toHaveBeenCalledTimes(2)
+      })
+
+      events.emit({ type: 'updated', productId: 99, product: { ...mockProducts[0], id: 99 }, occurredAt: '2024-01-02T00:00:00Z' })
+      events.emit({ type: 'deleted', productId: 98, product: null, occurredAt: '2024-01-02T00:00:00Z' })
+      await act(async () => {
+        respond(pageOf(mockProducts.slice(0, 2)))
+      })
+
+      expect(screen.queryByTestId('product-row-3')).not.toBeInTheDocument()
+      expect(productService.queryProducts).toHaveBeenCalledTimes(2)
+    })
+
+    it('should drop deleted products and reload the page when a product is created', async () => {
+      const { events } = await renderConnected()
+
+      events.emit({ type: 'deleted', productId: 3, product: null, occurredAt: '2024-01-02T00:00:00Z' })
+
+      expect(screen.queryByTestId('product-row-3')).not.toBeInTheDocument()
+      expect(screen.getByTestId('page-info')).toHaveTextContent('(2 products)')
+
+      const created = { ...mockProducts[0], id: 4, name: 'New Product', sku: 'NEW-001' }
+      vi.mocked(productService.queryProducts).mockResolvedValue(pageOf([...mockProducts.slice(0, 2), created]))
+      events.emit({ type: 'created', productId: 4, product: created, occurredAt: '2024-01-02T00:00:00Z' })
+
+      await waitFor(() => {
+        expect(screen.getByTestId('product-row-4')).toBeInTheDocument()
+      })
+      expect(productService.queryProducts).toHaveBeenCalledTimes(2)
+    })
+
+    it('should reload after reconnecting and close the connection on unmount', async () => {
+      const { events, unmount } = await renderConnected()
+
+      act(() => {
+        events.onerror?.()
+        events.onopen?.()
+      })
+
+      await waitFor(() => {
+        expect(productService.queryProducts).toHaveBeenCalledTimes(2)
+      })
+
+      unmount()
+      expect(events.closed).toBe(true)
+    })
+  })
+
+  it('should count a single product in the singular', async () => {
+    vi.mocked(productService.queryProducts).mockResolvedValue(pageOf([mockProducts[0]]))
+    renderProductList()
+
+    await waitFor(() => {
+      expect(screen.getByTestId('page-info')).toHaveTextContent('Page 1 of 1 (1 product)')
+    })
+  })
+
+  it('should switch the language at once and remember it', async () => {
+    render(
+      <BrowserRouter>
+        <LanguageSwitcher />
+        <ProductList />
+      </BrowserRouter>
+    )
+    await waitFor(() => {
+      expect(screen.getByTestId('products-table')).toBeInTheDocument()
+    })
+
+    fireEvent.change(screen.getByTestId('language-select'), { target: { value: 'th' } })
+
+    expect(screen.getByTestId('product-inventory-title')).toHaveTextContent('คลังสินค้า')
+    expect(document.documentElement.lang).toBe('th')
+    expect(JSON.parse(localStorage.getItem('demo-inventory.preferences') ?? '{}')).toMatchObject({ language: 'th' })
+  })
+
+  describe('in Thai', () => {
+    withLanguage('th', 'th-TH')
+
+    it('should show the list in Thai', async () => {
+      renderProductList()
+
+      expect(screen.getByTestId('product-inventory-title')).toHaveTextContent('คลังสินค้า')
+      await waitFor(() => {
+        expect(screen.getByTestId('page-info')).toHaveTextContent('หน้า 1 จาก 1 (สินค้า 3 รายการ)')
+      })
+      expect(screen.getByTestId('sort-price')).toHaveTextContent('ราคา')
+    })
+
+    it('should use the same wording for one product as for many', async () => {
+      vi.mocked(productService.queryProducts).mockResolvedValue(pageOf([mockProducts[0]]))
+      renderProductList()
+
+      await waitFor(() => {
+        expect(screen.getByTestId('page-info')).toHaveTextContent('(สินค้า 1 รายการ)')
+      })
+    })
+  })
+
+  describe('message catalogs', () => {
+    it('should translate every English message into Thai', () => {
+      expect(i18n.findMissingKeys('th')).toEqual([])
+    })
+
+    it('should warn once about a missing message and fall back to its key', () => {
+      const restore = i18n.setMissingKeyHandler(() => {})
+      restore()
+      const warn = vi.spyOn(console, 'warn').mockImplementation(() => {})
+
+      expect(translate('productList.notTranslated' as MessageKey)).toBe('productList.notTranslated')
+      translate('productList.notTranslated' as MessageKey)
+
+      expect(warn).toHaveBeenCalledTimes(1)
+      expect(warn).toHaveBeenCalledWith('[i18n] Missing en message for "productList.notTranslated"')
+      warn.mockRestore()
+    })
+  })
+
+  it('should fall back to the saved products and queue deletions when the API cannot be reached', async () => {
+    const { unmount } = renderProductList()
+    await waitFor(() => {
+      expect(screen.getByTestId('product-row-2')).toBeInTheDocument()
+    })
+    unmount()
+
+    const networkError = new AxiosError('Network Error', 'ERR_NETWORK', { headers: new AxiosHeaders() })
+    vi.mocked(productService.queryProducts).mockRejectedValue(networkError)
+    vi.mocked(productService.deleteProduct).mockRejectedValue(networkError)
+    vi.spyOn(window, 'confirm').mockReturnValue(true)
+    vi.spyOn(console, 'error').mockImplementation(() => {})
+    renderProductList()
+
+    await waitFor(() => {
+      expect(screen.getByTestId('offline-notice')).toBeInTheDocument()
+    })
+    expect(screen.queryByTestId('error-message')).not.toBeInTheDocument()
+    expect(screen.getByTestId('product-name-2')).toHaveTextContent('Normal Stock Product')
+
+    fireEvent.click(screen.getByTestId('delete-product-2'))
+
+    await waitFor(() => {
+      expect(screen.queryByTestId('product-row-2')).not.toBeInTheDocument()
+    })
+    expect(offlineSync.getState().queue).toEqual([expect.objectContaining({ type: 'delete', productId: 2 })])
+  })
+})
@@ -0,0 +1,117 @@
+import { render, screen, fireEvent } from '@testing-library/react'
+import { MemoryRouter, Route, Routes } from 'react-router-dom'
+import { vi, describe, it, beforeEach, afterEach, expect } from 'vitest'
+import ScanMode from '../components/ScanMode'
+import type { Product } from '../types/Product'
+import { httpError } from './fixtures'
+
+vi.mock('../services/productService', () => ({
+  productService: {
+    getProductBySku: vi.fn(),
+  }
+}))
+
+import { productService } from '../services/productService'
+
+const product: Product = {
+  id: 7,
+  name: 'Laptop',
+  description: '14 inch laptop',
+  sku: 'LAPTOP-001',
+  price: 999,
+  quantityInStock: 3,
+  reorderPoint: 10,
+  reorderQuantity: 0,
+  tags: [],
+  createdAt: '2024-01-01T09:00:00Z',
+  updatedAt: '2024-01-01T09:00:00Z'
+}
+
+const renderScanMode = () => render(
+  <MemoryRouter initialEntries={['/scan']}>
+    <Routes>
+      <Route path="/scan" element={<ScanMode />} />
+      <Route path="/product/:id" element={<div data-testid="product-page" />} />
+    </Routes>
+  </MemoryRouter>
+)
+
+// A keyboard-wedge scanner types each character as a key press, then Enter
+const typeWithScanner = (code: string) => {
+  for (const key of code) {
+    fireEvent.keyDown(document.body, { key })
+  }
+  fireEvent.keyDown(document.body, { key: 'Enter' })
+}
+
+describe('ScanMode', () => {
+  beforeEach(() => {
+    vi.clearAllMocks()
+  })
+
+  afterEach(() => {
+    vi.restoreAllMocks()
+  })
+
+  it('should open the product whose SKU was entered', async () => {
+    vi.mocked(productService.getProductBySku).mockResolvedValue(product)
+    renderScanMode()
+
+    expect(screen.getByTestId('scan-input')).toHaveFocus()
+    fireEvent.change(screen.getByTestId('scan-input'), { target: { value: ' LAPTOP-001 ' } })
+    fireEvent.submit(screen.getByTestId('scan-input'))
+
+    expect(await screen.findByTestId('product-page')).toBeInTheDocument()
+    expect(productService.getProductBySku).toHaveBeenCalledWith('LAPTOP-001')
+  })
+
+  it('should offer to create the product when no product has the scanned SKU', async () => {
+    vi.mocked(productService.getProductBySku).mockRejectedValue(httpError(404))
+    renderScanMode()
+
+    fireEvent.change(screen.getByTestId('scan-input'), { target: { value: 'NEW 42' } })
+    fireEvent.submit(screen.getByTestId('scan-input'))
+
+    expect(await screen.findByTestId('scan-not-found')).toHaveTextContent('No product has SKU NEW 42.')
+    expect(screen.getByTestId('create-from-scan-btn')).toHaveAttribute('href', '/product/new?sku=NEW%2042')
+  })
+
+  it('should report a failed lookup without offering to create the product', async () => {
+    vi.spyOn(console, 'error').mockImplementation(() => {})
+    vi.mocked(productService.getProductBySku).mockRejectedValue(httpError(500))
+    renderScanMode()
+
+    fireEvent.change(screen.getByTestId('scan-input'), { target: { value: 'LAPTOP-001' } })
+    fireEvent.submit(screen.getByTestId('scan-input'))
+
+    expect(await screen.findByTestId('scan-error')).toHaveTextContent('Failed to look up SKU LAPTOP-001.')
+    expect(screen.queryByTestId('create-from-scan-btn')).not.toBeInTheDocument()
+  })
+
+  it('should read a keyboard-wedge scan when no field has focus', async () => {
+    vi.mocked(productService.getProductBySku).mockResolvedValue(product)
+    renderScanMode()
+
+    typeWithScanner('LAPTOP-001')
+
+    expect(await screen.findByTestId('product-page')).toBeInTheDocument()
+    expect(productService.getProductBySku).toHaveBeenCalledWith('LAPTOP-001')
+  })
+
+  it('should ignore keys typed at human speed', () => {
+    let now = 0
+    vi.spyOn(Date, 'now').mockImplementation(() => (now += 200))
+    renderScanMode()
+
+    typeWithScanner('LAPTOP-001')
+
+    expect(productService.getProductBySku).not.toHaveBeenCalled()
+  })
+
+  it('should explain when the browser cannot scan with the camera', () => {
+    renderScanMode()
+
+    expect(screen.getByTestId('scan-camera-unsupported')).toBeInTheDocument()
+    expect(screen.queryByTestId('scan-camera-btn')).not.toBeInTheDocument()
+  })
+})
@@ -0,0 +1,206 @@
+import { render, screen, fireEvent, waitFor, act } from '@testing-library/react'
+import { vi, describe, it, beforeEach, afterEach, expect } from 'vitest'
+import type { Product } from '../types/Product'
+import { httpError, makeProduct, networkError } from './fixtures'
+
+vi.mock('../services/productService', () => ({
+  productService: {
+    createProduct: vi.fn(),
+    updateProduct: vi.fn(),
+    deleteProduct: vi.fn(),
+  }
+}))
+
+// The sync service keeps its queue in module state, so every test starts from a fresh copy
+let offlineSync: typeof import('../services/offlineSync').offlineSync
+let productService: typeof import('../services/productService').productService
+let SyncStatus: typeof import('../components/SyncStatus').default
+
+const toUpdate = (product: Product, changes: Partial<Product> = {}) => ({
+  name: changes.name ?? product.name,
+  description: product.description,
+  price: changes.price ?? product.price,
+  quantityInStock: product.quantityInStock,
+  reorderPoint: product.reorderPoint,
+  reorderQuantity: product.reorderQuantity,
+  expectedUpdatedAt: product.updatedAt
+})
+
+let online = false
+
+const goOnline = () => {
+  online = true
+  act(() => {
+    window.dispatchEvent(new Event('online'))
+  })
+}
+
+describe('offline sync', () => {
+  beforeEach(async () => {
+    vi.resetModules()
+    online = false
+    vi.spyOn(navigator, 'onLine', 'get').mockImplementation(() => online)
+    vi.spyOn(console, 'error').mockImplementation(() => {})
+    offlineSync = (await import('../services/offlineSync')).offlineSync
+    productService = (await import('../services/productService')).productService
+    SyncStatus = (await import('../components/SyncStatus')).default
+  })
+
+  afterEach(() => {
+    vi.restoreAllMocks()
+  })
+
+  it('should queue changes while offline and replay them in order when the connection returns', async () => {
+    vi.mocked(productService.createProduct).mockResolvedValue(makeProduct({ id: 10, name: 'Lamp' }))
+    vi.mocked(productService.updateProduct).mockResolvedValue(makeProduct({ id: 2, name: 'Oak Desk' }))
+    vi.mocked(productService.deleteProduct).mockResolvedValue()
+
+    expect(await offlineSync.createProduct({ name: 'Lamp', description: 'Desk lamp', sku: 'LAMP-1', price: 20, quantityInStock: 4 })).toBe('queued')
+    expect(await offlineSync.updateProduct(2, toUpdate(makeProduct({ id: 2, name: 'Desk' }), { name: 'Oak Desk' }))).toBe('queued')
+    expect(await offlineSync.deleteProduct(makeProduct({ id: 3, name: 'Chair' }))).toBe('queued')
+    expect(productService.createProduct).not.toHaveBeenCalled()
+
+    render(<SyncStatus />)
+    expect(screen.getByTestId('sync-status-message')).toHaveTextContent('You are offline.')
+    expect(screen.getByTestId('sync-status-message')).toHaveTextContent('3 changes will sync when the connection returns.')
+
+    goOnline()
+
+    await waitFor(() => {
+      expect(screen.queryByTestId('sync-status')).not.toBeInTheDocument()
+    })
+    const createdAt = vi.mocked(productService.createProduct).mock.invocationCallOrder[0]
+    const updatedAt = vi.mocked(productService.updateProduct).mock.invocationCallOrder[0]
+    const deletedAt = vi.mocked(productService.deleteProduct).mock.invocationCallOrder[0]
+    expect(createdAt).toBeLessThan(updatedAt)
+    expect(updatedAt).toBeLessThan(deletedAt)
+    expect(productService.deleteProduct).toHaveBeenCalledWith(3)
+    expect(offlineSync.getState().revision).toBe(1)
+  })
+
+  it('should fold edits to a product created offline into the queued create', async () => {
+    await offlineSync.createProduct({ name: 'Lamp', description: 'Desk lamp', sku: 'LAMP-1', price: 20, quantityInStock: 4 })
+    const [pending] = (await offlineSync.queryCachedProducts({}))!.items
+    expect(pending).toMatchObject({ id: -1, name: 'Lamp', reorderPoint: 10 })
+
+    await offlineSync.updateProduct(-1, toUpdate(pending, { name: 'Brass Lamp', price: 25 }))
+
+    expect(offlineSync.getState().queue).toHaveLength(1)
+    expect(await offlineSync.getCachedProduct(-1)).toMatchObject({ name: 'Brass Lamp', price: 25, sku: 'LAMP-1' })
+
+    await offlineSync.deleteProduct({ ...pending, name: 'Brass Lamp' })
+    expect(offlineSync.getState().queue).toHaveLength(0)
+  })
+
+  it('should send straight away when online and queue when the API cannot be reached', async () => {
+    online = true
+    vi.mocked(productService.deleteProduct).mockRejectedValueOnce(networkError())
+
+    expect(await offlineSync.deleteProduct(makeProduct({ id: 4, name: 'Shelf' }))).toBe('queued')
+    expect(offlineSync.getState().queue).toHaveLength(1)
+  })
+
+  it('should hold later changes behind a conflict until the user keeps their change', async () => {
+    const desk = makeProduct({ id: 5, name: 'Desk' })
+    const current = makeProduct({ id: 5, name: 'Standing Desk', updatedAt: '2024-02-01T00:00:00Z' })
+    vi.mocked(productService.updateProduct)
+      .mockRejectedValueOnce(httpError(409, { status: 409, currentProduct: current }))
+      .mockResolvedValue(desk)
+
+    await offlineSync.updateProduct(5, toUpdate(desk, { price: 12 }))
+    await offlineSync.updateProduct(6, toUpdate(makeProduct({ id: 6, name: 'Chair' })))
+    render(<SyncStatus />)
+
+    goOnline()
+
+    await waitFor(() => {
+      expect(screen.getByTestId('sync-rejected')).toHaveTextContent('Update "Desk" was not saved: Changed by someone else while you were offline.')
+    })
+    expect(screen.getByTestId('sync-conflict-fields')).toHaveTextContent('Name: yours "Desk", theirs "Standing Desk"')
+    expect(screen.getByTestId('sync-conflict-fields')).toHaveTextContent('Price: yours "12", theirs "10"')
+    expect(productService.updateProduct).toHaveBeenCalledTimes(1)
+
+    fireEvent.click(screen.getByTestId('sync-overwrite-btn'))
+
+    await waitFor(() => {
+      expect(screen.queryByTestId('sync-status')).not.toBeInTheDocument()
+    })
+    expect(productService.updateProduct).toHaveBeenNthCalledWith(2, 5, expect.objectContaining({
+      price: 12,
+      expectedUpdatedAt: '2024-02-01T00:00:00Z'
+    }))
+    expect(productService.updateProduct).toHaveBeenNthCalledWith(3, 6, expect.objectContaining({ name: 'Chair' }))
+  })
+
+  it('should keep the conflict, not an explanation, and explain it in the chosen language', async () => {
+    const desk = makeProduct({ id: 5, name: 'Desk' })
+    const current = makeProduct({ id: 5, name: 'Standing Desk', updatedAt: '2024-02-01T00:00:00Z' })
+    vi.mocked(productService.updateProduct).mockRejectedValue(httpError(409, { status: 409, currentProduct: current }))
+    // The instance the freshly imported component reads
+    const { preferences } = await import('../services/preferences')
+    preferences.update({ language: 'th' })
+
+    await offlineSync.updateProduct(5, toUpdate(desk, { price: 12 }))
+    render(<SyncStatus />)
+    goOnline()
+
+    await waitFor(() => {
+      expect(screen.getByTestId('sync-rejected')).toHaveTextContent('มีผู้อื่นแก้ไขสินค้านี้ขณะที่คุณออฟไลน์')
+    })
+    const [rejected] = offlineSync.getState().queue
+    expect(rejected.conflict).toEqual(current)
+    expect(rejected.error).toBeUndefined()
+  })
+
+  it('should explain in the chosen language a conflict queued by an earlier version', async () => {
+    const desk = makeProduct({ id: 5, name: 'Desk' })
+    const current = makeProduct({ id: 5, name: 'Standing Desk', updatedAt: '2024-02-01T00:00:00Z' })
+    // Earlier versions saved the English explanation with the conflict
+    const { offlineStore } = await import('../services/offlineStore')
+    await offlineStore.set('mutations', [{
+      id: 'queued-1',
+      type: 'update',
+      productId: 5,
+      label: 'Desk',
+      queuedAt: '2024-01-15T00:00:00Z',
+      product: toUpdate(desk, { price: 12 }),
+      error: 'Changed by someone else while you were offline.',
+      conflict: current
+    }])
+    const { preferences } = await import('../services/preferences')
+    preferences.update({ language: 'th' })
+
+    render(<SyncStatus />)
+
+    await waitFor(() => {
+      expect(screen.getByTestId('sync-rejected')).toHaveTextContent('มีผู้อื่นแก้ไขสินค้านี้ขณะที่คุณออฟไลน์')
+    })
+    expect(screen.getByTestId('sync-rejected')).not.toHaveTextContent('Changed by someone else')
+    expect(screen.getByTestId('sync-overwrite-btn')).toBeInTheDocument()
+  })
+
+  it('should let the user discard a rejected change and carry on with the rest', async () => {
+    vi.mocked(productService.createProduct).mockRejectedValueOnce(httpError(400, "SKU 'LAMP-1' already exists. Each product must have a unique SKU."))
+    vi.mocked(productService.deleteProduct).mockResolvedValue()
+
+    await offlineSync.createProduct({ name: 'Lamp', description: 'Desk lamp', sku: 'LAMP-1', price: 20, quantityInStock: 4 })
+    await offlineSync.deleteProduct(makeProduct({ id: 7, name: 'Stool' }))
+    render(<SyncStatus />)
+
+    goOnline()
+
+    await waitFor(() => {
+      expect(screen.getByTestId('sync-rejected')).toHaveTextContent("SKU 'LAMP-1' already exists.")
+    })
+    expect(productService.deleteProduct).not.toHaveBeenCalled()
+
+    fireEvent.click(screen.getByTestId('sync-discard-btn'))
+
+    await waitFor(() => {
+      expect(productService.deleteProduct).toHaveBeenCalledWith(7)
+    })
+    await waitFor(() => {
+      expect(screen.queryByTestId('sync-status')).not.toBeInTheDocument()
+    })
+  })
+})
@@ -0,0 +1,38 @@
+import { AxiosError, AxiosHeaders } from 'axios'
+import type { Product } from '../types/Product'
+
+// A product with every field filled in, named and numbered after its id; pass only what the test is about,
+// e.g. makeProduct({ id: 2, quantityInStock: 0 })
+export const makeProduct = (fields: Partial<Product> = {}): Product => {
+  const id = fields.id ?? 1
+  const name = fields.name ?? `Product ${id}`
+  return {
+    id,
+    name,
+    description: `${name} description`,
+    sku: `SKU-${id}`,
+    price: 10,
+    quantityInStock: 5,
+    reorderPoint: 10,
+    reorderQuantity: 0,
+    tags: [],
+    createdAt: '2024-01-01T00:00:00Z',
+    updatedAt: '2024-01-01T00:00:00Z',
+    ...fields
+  }
+}
+
+// The error axios rejects with when the API answers with the given status and body
+export const httpError = (status: number, data: unknown = '') => {
+  const config = { headers: new AxiosHeaders() }
+  return new AxiosError(`Request failed with status code ${status}`, status >= 500 ? 'ERR_BAD_RESPONSE' : 'ERR_BAD_REQUEST', config, null, {
+    status, statusText: '', headers: {}, config, data
+  })
+}
+
+export const serverError = (data: unknown = '') => httpError(500, data)
+
+export const notFoundError = () => httpError(404)
+
+// The error axios rejects with when the API cannot be reached at all
+export const networkError = () => new AxiosError('Network Error', 'ERR_NETWORK', { headers: new AxiosHeaders() })
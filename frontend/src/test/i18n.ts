@@ -0,0 +1,10 @@
+import { beforeEach } from 'vitest'
+import { preferences, type Language } from '../services/preferences'
+
+// Run the tests of the enclosing describe with the UI in the given language, and optionally formats for a
+// locale, e.g. withLanguage('th', 'th-TH'). setup.ts puts the defaults back after every test.
+export const withLanguage = (language: Language, locale?: string) => {
+  beforeEach(() => {
+    preferences.update(locale ? { language, locale } : { language })
+  })
+}
@@ -1 +1,23 @@
-import '@testing-library/jest-dom'
\ No newline at end of file
+import '@testing-library/jest-dom'
+import { afterEach, beforeEach } from 'vitest'
+import { cleanup } from '@testing-library/react'
+import { i18n } from '../services/i18n'
+import { preferences } from '../services/preferences'
+import { queryCache } from '../services/queryCache'
+
+// A message missing from the catalog of the language under test fails the test instead of quietly showing English
+let restoreMissingKeyHandler = () => {}
+beforeEach(() => {
+  restoreMissingKeyHandler = i18n.setMissingKeyHandler((key, language) => {
+    throw new Error(`Missing ${language} message for "${key}"`)
+  })
+})
+
+// Unmount first so no view is left following the cached data, then start every test from an empty cache
+// and the default language, locale and currency
+afterEach(() => {
+  cleanup()
+  queryCache.clear()
+  preferences.reset()
+  restoreMissingKeyHandler()
+})
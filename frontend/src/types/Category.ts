@@ -0,0 +1,7 @@
+// Request and response shapes come from the API contract in api.generated.ts
+import type { CategoryDto } from './api.generated';
+
+export type { CreateCategoryDto, UpdateCategoryDto } from './api.generated';
+
+// A product category; the API lists categories in tree order, each followed by its subcategories
+export type Category = CategoryDto;
@@ -1,25 +1,75 @@
-export interface Product {
-  id: number;
-  name: string;
-  description: string;
-  sku: string;
-  price: number;
-  quantityInStock: number;
-  createdAt: string;
-  updatedAt: string;
+// Request and response shapes come from the API contract in api.generated.ts; run
+// `npm run generate:api` after changing the backend DTOs so mismatches show up as type errors
+import type {
+  CreateStockAdjustmentDto,
+  PagedResultDtoOfProductDto,
+  ProductDto,
+  ProductEventDto,
+  ProductFacetsDto,
+  ProductImageDto,
+  ProductVersionDto,
+  StockAdjustmentDto,
+} from './api.generated';
+
+export type {
+  CategoryFacetDto as CategoryFacet,
+  CreateProductDto,
+  CreateStockAdjustmentDto,
+  TagFacetDto as TagFacet,
+  UpdateProductDto,
+} from './api.generated';
+
+export type Product = ProductDto;
+
+// The details of an uploaded product image; the image and its thumbnail are served from their own URLs
+export type ProductImage = ProductImageDto;
+
+export type ProductChangeType = 'created' | 'updated';
+
+// A snapshot of a product's editable fields, recorded whenever they change
+export interface ProductVersion extends Omit<ProductVersionDto, 'changeType'> {
+  changeType: ProductChangeType;
 }
 
-export interface CreateProductDto {
-  name: string;
-  description: string;
-  sku: string;
-  price: number;
-  quantityInStock: number;
+export type ProductEventType = 'created' | 'updated' | 'deleted';
+
+// A product change pushed by the API's event stream
+export interface ProductEvent extends Omit<ProductEventDto, 'type'> {
+  type: ProductEventType;
 }
 
-export interface UpdateProductDto {
-  name: string;
-  description: string;
-  price: number;
-  quantityInStock: number;
-}
\ No newline at end of file
+export type StockAdjustmentReason = CreateStockAdjustmentDto['reason'];
+
+// A recorded change to a product's stock level
+export interface StockAdjustment extends Omit<StockAdjustmentDto, 'reason'> {
+  reason: StockAdjustmentReason;
+}
+
+export type ProductSortField = 'name' | 'sku' | 'price' | 'quantityInStock' | 'createdAt';
+
+export type SortDirection = 'asc' | 'desc';
+
+export interface ProductQuery {
+  page?: number;
+  pageSize?: number;
+  sortBy?: ProductSortField;
+  sortDirection?: SortDirection;
+  searchTerm?: string;
+  minPrice?: number;
+  maxPrice?: number;
+  minStock?: number;
+  maxStock?: number;
+  createdFrom?: string;
+  createdTo?: string;
+  // Products in this category or any of its subcategories
+  categoryId?: number;
+  // Products carrying every one of these tags
+  tags?: string[];
+}
+
+// Product counts per category and tag for the products matching a query
+export type ProductFacets = ProductFacetsDto;
+
+export interface PagedResult<T> extends Omit<PagedResultDtoOfProductDto, 'items'> {
+  items: T[];
+}
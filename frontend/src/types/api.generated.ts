@@ -0,0 +1,315 @@
+// Generated by scripts/generate-api.js from openapi.json (Demo Inventory Microservice API v1).
+// Do not edit by hand: run `npm run generate:api` after the API contract changes.
+
+// Limits on a request field, taken from the validation attributes on the API's DTOs
+export interface FieldConstraints {
+  type: 'string' | 'integer' | 'number' | 'boolean' | 'array' | 'object';
+  required?: boolean;
+  nullable?: boolean;
+  minLength?: number;
+  maxLength?: number;
+  minimum?: number;
+  maximum?: number;
+  pattern?: string;
+}
+
+// A product category
+export interface CategoryDto {
+  // Unique identifier for the category
+  id: number;
+  // Name of the category
+  name: string;
+  // The category this one belongs to; null for a top-level category
+  parentId?: number | null;
+  // The names of the category's parents and its own, from the top level down
+  path: string[];
+  // The number of products filed directly under the category, not counting its subcategories
+  productCount: number;
+  // Date and time when the category was created
+  createdAt: string;
+  // Date and time when the category was last updated
+  updatedAt: string;
+}
+
+// A category and the number of matching products in it
+export interface CategoryFacetDto {
+  // Unique identifier for the category
+  id: number;
+  // Name of the category
+  name: string;
+  // The category this one belongs to; null for a top-level category
+  parentId?: number | null;
+  // The number of matching products in the category or any of its subcategories
+  count: number;
+}
+
+// Data transfer object for creating a category
+export interface CreateCategoryDto {
+  // Name of the category (required, 1-100 characters, unique among the parent's subcategories)
+  name: string;
+  // The category to create it under (optional; a top-level category when omitted)
+  parentId?: number | null;
+}
+
+// Data transfer object for creating a new product
+export interface CreateProductDto {
+  // Name of the product (required, 1-200 characters)
+  name: string;
+  // Detailed description of the product (up to 1000 characters)
+  description: string;
+  // Stock Keeping Unit - unique product identifier (required, 3-50 letters, numbers and hyphens; stored in upper case)
+  sku: string;
+  // Price of the product (greater than 0, up to 999,999.99)
+  price: number;
+  // Initial quantity to stock (must be non-negative, max 1,000,000)
+  quantityInStock: number;
+  // Stock level at or below which the product should be reordered (optional, defaults to 10)
+  reorderPoint?: number | null;
+  // Quantity to order when the product is restocked (optional, defaults to 0)
+  reorderQuantity?: number | null;
+  // The category to file the product under (optional; uncategorized when omitted)
+  categoryId?: number | null;
+  // Free-form labels (optional, up to 20 of up to 50 characters each; stored in lower case without duplicates)
+  tags?: string[] | null;
+}
+
+// Data transfer object for adjusting a product's stock level
+export interface CreateStockAdjustmentDto {
+  // The change in quantity (non-zero, between -1,000,000 and 1,000,000). Received and return
+  // adjustments must be positive, sold and damaged negative; cycle counts may go either way.
+  delta: number;
+  // Why the stock changed (required): received, sold, damaged, cycleCount or return
+  reason: 'received' | 'sold' | 'damaged' | 'cycleCount' | 'return';
+  // Optional note, such as an order or delivery reference (up to 500 characters)
+  note: string;
+}
+
+// A page of results with paging metadata
+export interface PagedResultDtoOfProductDto {
+  // The items on the requested page
+  items: ProductDto[];
+  // The 1-based page number
+  page: number;
+  // The number of items per page
+  pageSize: number;
+  // The number of items matching the query across all pages
+  totalCount: number;
+  // The number of pages available
+  totalPages: number;
+}
+
+export interface ProblemDetails {
+  type?: string | null;
+  title?: string | null;
+  status?: number | null;
+  detail?: string | null;
+  instance?: string | null;
+  [key: string]: unknown;
+}
+
+// Product data transfer object representing a complete product
+export interface ProductDto {
+  // Unique identifier for the product
+  id: number;
+  // Name of the product
+  name: string;
+  // Detailed description of the product
+  description: string;
+  // Stock Keeping Unit - unique product identifier
+  sku: string;
+  // Price of the product
+  price: number;
+  // Current quantity available in stock
+  quantityInStock: number;
+  // Stock level at or below which the product should be reordered
+  reorderPoint: number;
+  // Quantity to order when the product is restocked
+  reorderQuantity: number;
+  // The category the product is filed under; null when it is uncategorized
+  categoryId?: number | null;
+  // Free-form labels, in lower case
+  tags: string[];
+  // The image shown for the product in lists; null when it has no images
+  primaryImageId?: number | null;
+  // Date and time when the product was created
+  createdAt: string;
+  // Date and time when the product was last updated
+  updatedAt: string;
+}
+
+// A change to a product, pushed to clients watching the product event stream
+export interface ProductEventDto {
+  // The kind of change: created, updated or deleted
+  type: string;
+  // The product that changed
+  productId: number;
+  // The product after the change; null for deletions
+  product?: ProductDto | null;
+  // Date and time when the change was made
+  occurredAt: string;
+}
+
+// Product counts per category and tag for a product query, to narrow it down further
+export interface ProductFacetsDto {
+  // Every category with the number of matching products in it or its subcategories, each followed by its subcategories.
+  // The counts ignore the query's own category filter, so other categories can still be picked.
+  categories: CategoryFacetDto[];
+  // The number of matching products without a category, ignoring the query's category filter
+  uncategorizedCount: number;
+  // Every tag carried by a matching product with the number of products carrying it, most used first
+  tags: TagFacetDto[];
+}
+
+// The details of a product image; the image itself is served from its own URL
+export interface ProductImageDto {
+  // Unique identifier for the image
+  id: number;
+  // The product the image shows
+  productId: number;
+  // The name of the file the image was uploaded from
+  fileName: string;
+  // MIME type of the image: image/jpeg, image/png or image/webp
+  contentType: string;
+  // Width of the image in pixels
+  width: number;
+  // Height of the image in pixels
+  height: number;
+  // Size of the image in bytes
+  sizeInBytes: number;
+  // Whether this is the image shown for the product in lists
+  isPrimary: boolean;
+  // Date and time when the image was uploaded
+  createdAt: string;
+}
+
+// A recorded version of a product, as shown in its change history
+export interface ProductVersionDto {
+  // Sequential version number, starting at 1 when the product is created
+  version: number;
+  // The kind of change that produced this version: created or updated
+  changeType: string;
+  // Name of the product at this version
+  name: string;
+  // Description of the product at this version
+  description: string;
+  // Price of the product at this version
+  price: number;
+  // Quantity in stock at this version
+  quantityInStock: number;
+  // Date and time when this version was recorded
+  recordedAt: string;
+}
+
+// A recorded change to a product's stock level
+export interface StockAdjustmentDto {
+  // Unique identifier for the adjustment
+  id: number;
+  // The product whose stock was adjusted
+  productId: number;
+  // The change in quantity; positive when stock was added, negative when it was removed
+  delta: number;
+  // Why the stock changed: received, sold, damaged, cycleCount or return
+  reason: string;
+  // Free-text note recorded with the adjustment
+  note: string;
+  // Quantity in stock before the adjustment
+  quantityBefore: number;
+  // Quantity in stock after the adjustment
+  quantityAfter: number;
+  // Date and time when the adjustment was recorded
+  createdAt: string;
+}
+
+// A tag and the number of matching products carrying it
+export interface TagFacetDto {
+  // The tag, in lower case
+  tag: string;
+  // The number of matching products carrying the tag
+  count: number;
+}
+
+// Data transfer object for renaming or moving a category
+export interface UpdateCategoryDto {
+  // Name of the category (required, 1-100 characters, unique among the parent's subcategories)
+  name: string;
+  // The category to move it under; null or omitted makes it a top-level category. It cannot be moved
+  // under itself or one of its subcategories.
+  parentId?: number | null;
+}
+
+// Data transfer object for updating an existing product
+export interface UpdateProductDto {
+  // Updated name of the product (required, 1-200 characters)
+  name: string;
+  // Updated description of the product (up to 1000 characters)
+  description: string;
+  // Updated price of the product (greater than 0, up to 999,999.99)
+  price: number;
+  // Updated quantity in stock (optional, non-negative, max 1,000,000; the current quantity is kept when omitted).
+  // Stock counted or received is better recorded through POST /api/products/{id}/stock-adjustments.
+  quantityInStock?: number | null;
+  // Updated reorder point (optional; the current value is kept when omitted)
+  reorderPoint?: number | null;
+  // Updated reorder quantity (optional; the current value is kept when omitted)
+  reorderQuantity?: number | null;
+  // The category to file the product under (optional; the current category is kept when omitted)
+  categoryId?: number | null;
+  // Removes the product from its category, leaving it uncategorized (optional; cannot be combined with a category ID)
+  clearCategory?: boolean | null;
+  // The product's full set of tags, replacing the current ones (optional; the current tags are kept when
+  // omitted, and an empty list removes them all)
+  tags?: string[] | null;
+  // The product's updatedAt value when it was loaded for editing (optional).
+  // When supplied, the update is rejected with 409 Conflict if the product has changed since.
+  expectedUpdatedAt?: string | null;
+}
+
+export interface ValidationProblemDetails {
+  type?: string | null;
+  title?: string | null;
+  status?: number | null;
+  detail?: string | null;
+  instance?: string | null;
+  errors: Record<string, string[]>;
+  [key: string]: unknown;
+}
+
+// Field limits for each request body the API validates
+export const apiConstraints = {
+  CreateCategoryDto: {
+    name: { type: 'string', required: true, minLength: 1, maxLength: 100 },
+    parentId: { type: 'integer', nullable: true },
+  },
+  CreateProductDto: {
+    name: { type: 'string', required: true, minLength: 1, maxLength: 200 },
+    description: { type: 'string', maxLength: 1000 },
+    sku: { type: 'string', required: true, minLength: 3, maxLength: 50, pattern: '^[A-Za-z0-9-]+$' },
+    price: { type: 'number', required: true, minimum: 0.01, maximum: 999999.99 },
+    quantityInStock: { type: 'integer', required: true, minimum: 0, maximum: 1000000 },
+    reorderPoint: { type: 'integer', nullable: true, minimum: 0, maximum: 1000000 },
+    reorderQuantity: { type: 'integer', nullable: true, minimum: 0, maximum: 1000000 },
+    categoryId: { type: 'integer', nullable: true, minimum: 1, maximum: 2147483647 },
+    tags: { type: 'array', nullable: true },
+  },
+  CreateStockAdjustmentDto: {
+    delta: { type: 'integer', required: true, minimum: -1000000, maximum: 1000000 },
+    reason: { type: 'string', required: true, minLength: 1, pattern: '^(received|sold|damaged|cycleCount|return)$' },
+    note: { type: 'string', maxLength: 500 },
+  },
+  UpdateCategoryDto: {
+    name: { type: 'string', required: true, minLength: 1, maxLength: 100 },
+    parentId: { type: 'integer', nullable: true },
+  },
+  UpdateProductDto: {
+    name: { type: 'string', required: true, minLength: 1, maxLength: 200 },
+    description: { type: 'string', maxLength: 1000 },
+    price: { type: 'number', required: true, minimum: 0.01, maximum: 999999.99 },
+    quantityInStock: { type: 'integer', nullable: true, minimum: 0, maximum: 1000000 },
+    reorderPoint: { type: 'integer', nullable: true, minimum: 0, maximum: 1000000 },
+    reorderQuantity: { type: 'integer', nullable: true, minimum: 0, maximum: 1000000 },
+    categoryId: { type: 'integer', nullable: true, minimum: 1, maximum: 2147483647 },
+    clearCategory: { type: 'boolean', nullable: true },
+    tags: { type: 'array', nullable: true },
+    expectedUpdatedAt: { type: 'string', nullable: true },
+  },
+} as const satisfies Record<string, Record<string, FieldConstraints>>;
@@ -0,0 +1,38 @@
+// What the tree helpers need from a category; categories and category facets both have it
+export interface CategoryNode {
+  id: number;
+  parentId?: number | null;
+}
+
+// The category's own ID and the IDs of every category below it, at any depth
+export const subtreeIds = (categories: CategoryNode[], id: number): Set<number> => {
+  const ids = new Set([id]);
+  // Repeat until nothing is added, so the order of the list does not matter
+  let grown = true;
+  while (grown) {
+    grown = false;
+    categories.forEach((category) => {
+      if (category.parentId != null && ids.has(category.parentId) && !ids.has(category.id)) {
+        ids.add(category.id);
+        grown = true;
+      }
+    });
+  }
+  return ids;
+};
+
+// How far each category is nested: 0 for top-level categories
+export const categoryDepths = (categories: CategoryNode[]): Map<number, number> => {
+  const parents = new Map(categories.map((category) => [category.id, category.parentId ?? null]));
+  const depths = new Map<number, number>();
+  categories.forEach((category) => {
+    let depth = 0;
+    const seen = new Set([category.id]);
+    for (let parent = parents.get(category.id); parent != null && !seen.has(parent); parent = parents.get(parent)) {
+      seen.add(parent);
+      depth++;
+    }
+    depths.set(category.id, depth);
+  });
+  return depths;
+};
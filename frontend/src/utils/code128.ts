@@ -0,0 +1,42 @@
+// Code 128 (code set B) barcode encoder, covering printable ASCII, which is what SKUs are made of.
+
+// Bar and space widths, in modules, for each symbol value 0-106 (106 is the stop pattern)
+const PATTERNS = [
+  '212222', '222122', '222221', '121223', '121322', '131222', '122213', '122312', '132212', '221213',
+  '221312', '231212', '112232', '122132', '122231', '113222', '123122', '123221', '223211', '221132',
+  '221231', '213212', '223112', '312131', '311222', '321122', '321221', '312212', '322112', '322211',
+  '212123', '212321', '232121', '111323', '131123', '131321', '112313', '132113', '132311', '211313',
+  '231113', '231311', '112133', '112331', '132131', '113123', '113321', '133121', '313121', '211331',
+  '231131', '213113', '213311', '213131', '311123', '311321', '331121', '312113', '312311', '332111',
+  '314111', '221411', '431111', '111224', '111422', '121124', '121421', '141122', '141221', '112214',
+  '112412', '122114', '122411', '142112', '142211', '241211', '221114', '413111', '241112', '134111',
+  '111242', '121142', '121241', '114212', '124112', '124211', '411212', '421112', '421211', '212141',
+  '214121', '412121', '111143', '111341', '131141', '114113', '114311', '411113', '411311', '113141',
+  '114131', '311141', '411131', '211412', '211214', '211232', '2331112',
+];
+
+const START_B = 104;
+const STOP = 106;
+
+// Blank space required on either side of the bars, in modules
+export const CODE128_QUIET_ZONE = 10;
+
+// Whether a value can be encoded with code set B
+export const canEncodeCode128 = (value: string): boolean => {
+  return value.length > 0 && /^[\x20-\x7e]+$/.test(value);
+};
+
+// Symbol values for the text, including the start symbol, check symbol and stop pattern
+export const encodeCode128 = (value: string): number[] => {
+  if (!canEncodeCode128(value)) {
+    throw new Error('Code 128 labels support printable ASCII characters only');
+  }
+  const data = Array.from(value, (char) => char.charCodeAt(0) - 32);
+  const checksum = data.reduce((sum, symbol, index) => sum + symbol * (index + 1), START_B) % 103;
+  return [START_B, ...data, checksum, STOP];
+};
+
+// Widths of alternating bars and spaces, starting with a bar
+export const code128Widths = (value: string): number[] => {
+  return encodeCode128(value).flatMap((symbol) => Array.from(PATTERNS[symbol], Number));
+};
@@ -0,0 +1,79 @@
+// Shrinks photos in the browser before upload, since the API stores images as sent and has no way to
+// resize them. The format is kept, so transparent PNGs stay transparent.
+
+// Longest side of an uploaded image, in pixels
+export const MAX_IMAGE_DIMENSION = 1600;
+
+// Longest side of a thumbnail, in pixels; list rows show them at a fraction of this
+export const THUMBNAIL_DIMENSION = 240;
+
+// Larger files are refused before decoding; a photo this big would stall the page
+export const MAX_SOURCE_SIZE_IN_BYTES = 40 * 1024 * 1024;
+
+const JPEG_QUALITY = 0.85;
+
+export interface ResizedImage {
+  file: Blob;
+  thumbnail: Blob;
+  width: number;
+  height: number;
+}
+
+// The size of an image scaled down to fit within max × max pixels; smaller images are left as they are
+export const fitWithin = (width: number, height: number, max: number): { width: number; height: number } => {
+  const scale = Math.min(1, max / Math.max(width, height));
+  return {
+    width: Math.max(1, Math.round(width * scale)),
+    height: Math.max(1, Math.round(height * scale)),
+  };
+};
+
+const loadImage = (file: Blob): Promise<HTMLImageElement> => {
+  const url = URL.createObjectURL(file);
+  return new Promise<HTMLImageElement>((resolve, reject) => {
+    const image = new Image();
+    image.onload = () => resolve(image);
+    image.onerror = () => reject(new Error('The image could not be read.'));
+    image.src = url;
+  }).finally(() => URL.revokeObjectURL(url));
+};
+
+const draw = (image: HTMLImageElement, width: number, height: number, type: string): Promise<Blob> => {
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const context = canvas.getContext('2d');
+  if (!context) {
+    return Promise.reject(new Error('Images cannot be resized in this browser.'));
+  }
+  context.imageSmoothingQuality = 'high';
+  context.drawImage(image, 0, 0, width, height);
+  return new Promise<Blob>((resolve, reject) => {
+    canvas.toBlob((blob) => {
+      // Browsers that cannot encode the format fall back to PNG, which the API would refuse as a mismatch
+      if (blob && blob.type === type) {
+        resolve(blob);
+      } else {
+        reject(new Error(`Images cannot be saved as ${type} in this browser.`));
+      }
+    }, type, JPEG_QUALITY);
+  });
+};
+
+// Scale an image down to MAX_IMAGE_DIMENSION and make its thumbnail. An image already small enough is
+// uploaded untouched rather than re-encoded.
+export const resizeImage = async (file: File): Promise<ResizedImage> => {
+  if (file.size > MAX_SOURCE_SIZE_IN_BYTES) {
+    throw new Error('The image is too large to resize.');
+  }
+  const image = await loadImage(file);
+  const natural = { width: image.naturalWidth, height: image.naturalHeight };
+  const size = fitWithin(natural.width, natural.height, MAX_IMAGE_DIMENSION);
+  const thumbnailSize = fitWithin(natural.width, natural.height, THUMBNAIL_DIMENSION);
+
+  const resized = size.width === natural.width && size.height === natural.height
+    ? file
+    : await draw(image, size.width, size.height, file.type);
+  const thumbnail = await draw(image, thumbnailSize.width, thumbnailSize.height, file.type);
+  return { file: resized, thumbnail, ...size };
+};
@@ -0,0 +1,20 @@
+// The limits the API enforces on uploaded images, checked before anything is sent
+export const imageLimits = {
+  contentTypes: ['image/jpeg', 'image/png', 'image/webp'],
+  maxSizeInBytes: 5 * 1024 * 1024,
+  maxThumbnailSizeInBytes: 512 * 1024,
+  maxImagesPerProduct: 10,
+};
+
+export type ImageProblem = 'type' | 'empty' | 'size';
+
+// Why the API would refuse an image, or null when it can be uploaded
+export const getImageProblem = (image: Blob, maxSizeInBytes = imageLimits.maxSizeInBytes): ImageProblem | null => {
+  if (!imageLimits.contentTypes.includes(image.type)) {
+    return 'type';
+  }
+  if (image.size === 0) {
+    return 'empty';
+  }
+  return image.size > maxSizeInBytes ? 'size' : null;
+};
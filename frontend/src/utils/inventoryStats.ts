@@ -0,0 +1,57 @@
+import type { Product } from '../types/Product';
+
+// The API gives new products this reorder point unless another is set
+export const DEFAULT_REORDER_POINT = 10;
+
+export type StockStatus = 'out' | 'low' | 'ok';
+
+export const getStockStatus = (product: Product): StockStatus => {
+  if (product.quantityInStock <= 0) {
+    return 'out';
+  }
+  return product.quantityInStock <= product.reorderPoint ? 'low' : 'ok';
+};
+
+// Out-of-stock products are at or below any reorder point, so they count as low too
+export const isLowStock = (product: Product): boolean => getStockStatus(product) !== 'ok';
+
+export const getStockValue = (product: Product): number => product.price * product.quantityInStock;
+
+export interface ProductValue {
+  product: Product;
+  value: number;
+}
+
+export interface InventorySummary {
+  productCount: number;
+  totalUnits: number;
+  totalValue: number;
+  outOfStockCount: number;
+  // Products at or below their reorder point but not yet out of stock
+  lowStockCount: number;
+  // Every product at or below its reorder point, furthest below it first
+  reorderProducts: Product[];
+  topProductsByValue: ProductValue[];
+}
+
+export const summarizeInventory = (products: Product[], topCount = 10): InventorySummary => {
+  const statuses = products.map(getStockStatus);
+  const reorderProducts = products
+    .filter((_, index) => statuses[index] !== 'ok')
+    .sort((a, b) => (a.quantityInStock - a.reorderPoint) - (b.quantityInStock - b.reorderPoint) || a.name.localeCompare(b.name));
+  const topProductsByValue = products
+    .map((product) => ({ product, value: getStockValue(product) }))
+    .filter(({ value }) => value > 0)
+    .sort((a, b) => b.value - a.value)
+    .slice(0, topCount);
+
+  return {
+    productCount: products.length,
+    totalUnits: products.reduce((sum, product) => sum + product.quantityInStock, 0),
+    totalValue: products.reduce((sum, product) => sum + getStockValue(product), 0),
+    outOfStockCount: statuses.filter((status) => status === 'out').length,
+    lowStockCount: statuses.filter((status) => status === 'low').length,
+    reorderProducts,
+    topProductsByValue,
+  };
+};
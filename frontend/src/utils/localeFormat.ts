@@ -0,0 +1,51 @@
+import type { DisplayPreferences } from '../services/preferences';
+
+const escapeRegExp = (text: string) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// The characters a locale groups thousands and separates decimals with: ',' and '.' for en-US, '.' and ',' for de-DE
+export const numberSeparators = (locale: string): { group: string; decimal: string } => {
+  const parts = new Intl.NumberFormat(locale).formatToParts(12345.6);
+  return {
+    group: parts.find((part) => part.type === 'group')?.value ?? ',',
+    decimal: parts.find((part) => part.type === 'decimal')?.value ?? '.',
+  };
+};
+
+export const formatPrice = (price: number, { locale, currency }: DisplayPreferences): string => {
+  return new Intl.NumberFormat(locale, { style: 'currency', currency }).format(price);
+};
+
+// The symbol shown for the currency, e.g. "$" or "฿"
+export const currencySymbol = ({ locale, currency }: DisplayPreferences): string => {
+  return new Intl.NumberFormat(locale, { style: 'currency', currency, currencyDisplay: 'narrowSymbol' })
+    .formatToParts(0)
+    .find((part) => part.type === 'currency')?.value ?? currency;
+};
+
+export const formatNumber = (value: number, locale: string): string => new Intl.NumberFormat(locale).format(value);
+
+export const formatDate = (value: string, locale: string): string => new Date(value).toLocaleDateString(locale);
+
+export const formatDateTime = (value: string | number, locale: string): string => new Date(value).toLocaleString(locale);
+
+// A number as it would be typed into a form in the locale, without grouping: 1234.5 is "1234,5" in de-DE
+export const formatNumberInput = (value: number, locale: string): string => {
+  return new Intl.NumberFormat(locale, { useGrouping: false, maximumFractionDigits: 20 }).format(value);
+};
+
+// Read a number typed in the locale's style, with or without grouping: "1.234,56" and "1234,56" in de-DE,
+// "1,234.56" in en-US. Plain "12.5" is also accepted where it cannot be misread as grouping.
+// Returns NaN for anything else, including grouping in the wrong places.
+export const parseLocaleNumber = (text: string, locale: string): number => {
+  const { group, decimal } = numberSeparators(locale);
+  // Locales that group with a (narrow) no-break space accept any space typed instead
+  const typed = /\s/.test(group) ? text.trim().replace(/\s/g, group) : text.trim();
+  const g = escapeRegExp(group);
+  const d = escapeRegExp(decimal);
+  const localized = new RegExp(`^([+-]?)(\\d{1,3}(?:${g}\\d{3})+|\\d+)(?:${d}(\\d+))?$`).exec(typed);
+  if (localized) {
+    const [, sign, whole, fraction] = localized;
+    return Number(`${sign}${whole.split(group).join('')}${fraction ? `.${fraction}` : ''}`);
+  }
+  return /^[+-]?(\d+\.?\d*|\.\d+)$/.test(typed) ? Number(typed) : NaN;
+};
@@ -0,0 +1,115 @@
+import axios from 'axios';
+import type { Product } from '../types/Product';
+import type { ProductFormValues } from './productValidation';
+
+// Stock is not among them: it is changed through adjustments rather than the edit form
+export type EditableField = 'name' | 'description' | 'price' | 'reorderPoint' | 'reorderQuantity';
+
+export const EDITABLE_FIELDS: { field: EditableField; label: string }[] = [
+  { field: 'name', label: 'Name' },
+  { field: 'description', label: 'Description' },
+  { field: 'price', label: 'Price' },
+  { field: 'reorderPoint', label: 'Reorder Point' },
+  { field: 'reorderQuantity', label: 'Reorder Quantity' },
+];
+
+const NUMERIC_FIELDS: EditableField[] = ['price', 'reorderPoint', 'reorderQuantity'];
+
+// Whose value to keep for a field: the one typed into the form or the one now on the server
+export type ConflictChoice = 'mine' | 'theirs';
+
+export interface FieldConflict {
+  field: EditableField;
+  label: string;
+  original: string;
+  mine: string;
+  theirs: string;
+  changedByMe: boolean;
+  changedByThem: boolean;
+  // Both sides changed the field to different values
+  conflicting: boolean;
+}
+
+// Form values for a product as loaded from the API
+export const toFormValues = (product: Product): ProductFormValues => ({
+  name: product.name,
+  description: product.description,
+  sku: product.sku,
+  price: product.price.toString(),
+  quantityInStock: product.quantityInStock.toString(),
+  reorderPoint: product.reorderPoint.toString(),
+  reorderQuantity: product.reorderQuantity ? product.reorderQuantity.toString() : '',
+});
+
+// Compare two form values, treating "12.5" and "12.50" (or "" and "0" for counts) as the same number
+const sameValue = (field: EditableField, a: string, b: string): boolean => {
+  if (NUMERIC_FIELDS.includes(field)) {
+    const x = Number(a.trim() || 0);
+    const y = Number(b.trim() || 0);
+    if (!isNaN(x) && !isNaN(y)) {
+      return x === y;
+    }
+  }
+  return a.trim() === b.trim();
+};
+
+// Three-way comparison of the values the form was loaded with, the edited values and the server's current values.
+// Only fields that differ somewhere are returned.
+export const buildConflicts = (
+  original: ProductFormValues,
+  mine: ProductFormValues,
+  theirs: ProductFormValues,
+): FieldConflict[] => {
+  return EDITABLE_FIELDS
+    .map(({ field, label }) => {
+      const changedByMe = !sameValue(field, original[field], mine[field]);
+      const changedByThem = !sameValue(field, original[field], theirs[field]);
+      return {
+        field,
+        label,
+        original: original[field],
+        mine: mine[field],
+        theirs: theirs[field],
+        changedByMe,
+        changedByThem,
+        conflicting: changedByMe && changedByThem && !sameValue(field, mine[field], theirs[field]),
+      };
+    })
+    .filter((conflict) => conflict.changedByMe || conflict.changedByThem);
+};
+
+// Keep your edits, take everything else from the server
+export const defaultChoices = (conflicts: FieldConflict[]): Record<EditableField, ConflictChoice> => {
+  const choices = {} as Record<EditableField, ConflictChoice>;
+  conflicts.forEach((conflict) => {
+    choices[conflict.field] = conflict.changedByMe ? 'mine' : 'theirs';
+  });
+  return choices;
+};
+
+// Build the values to save from the server's values and the fields chosen from the form
+export const mergeValues = (
+  mine: ProductFormValues,
+  theirs: ProductFormValues,
+  choices: Partial<Record<EditableField, ConflictChoice>>,
+): ProductFormValues => {
+  const merged = { ...theirs };
+  EDITABLE_FIELDS.forEach(({ field }) => {
+    if (choices[field] === 'mine') {
+      merged[field] = mine[field];
+    }
+  });
+  return merged;
+};
+
+// The product as currently stored, when an update was rejected because someone else changed it first
+export const getConflictProduct = (err: unknown): Product | null => {
+  if (!axios.isAxiosError(err) || err.response?.status !== 409) {
+    return null;
+  }
+  const data: unknown = err.response.data;
+  if (data && typeof data === 'object' && 'currentProduct' in data && data.currentProduct && typeof data.currentProduct === 'object') {
+    return data.currentProduct as Product;
+  }
+  return null;
+};
@@ -0,0 +1,82 @@
+import type { ProductVersion } from '../types/Product';
+
+export type TrackedField = 'name' | 'description' | 'price' | 'quantityInStock';
+
+export const TRACKED_FIELDS: { field: TrackedField; label: string }[] = [
+  { field: 'name', label: 'Name' },
+  { field: 'description', label: 'Description' },
+  { field: 'price', label: 'Price' },
+  { field: 'quantityInStock', label: 'Quantity in Stock' },
+];
+
+export interface FieldChange {
+  field: TrackedField;
+  label: string;
+  before: string | number;
+  after: string | number;
+}
+
+export interface HistoryEntry {
+  version: ProductVersion;
+  // Changes from the previous version; empty for the first recorded version
+  changes: FieldChange[];
+}
+
+export type TextDiffPart = { type: 'same' | 'added' | 'removed'; text: string };
+
+// List the tracked fields that differ between two versions
+export const diffVersions = (previous: ProductVersion, current: ProductVersion): FieldChange[] => {
+  return TRACKED_FIELDS
+    .filter(({ field }) => previous[field] !== current[field])
+    .map(({ field, label }) => ({ field, label, before: previous[field], after: current[field] }));
+};
+
+// Pair each version with its changes, newest first for the timeline
+export const buildHistory = (versions: ProductVersion[]): HistoryEntry[] => {
+  const ordered = [...versions].sort((a, b) => a.version - b.version);
+  return ordered
+    .map((version, index) => ({
+      version,
+      changes: index === 0 ? [] : diffVersions(ordered[index - 1], version),
+    }))
+    .reverse();
+};
+
+// Word-level diff of two texts (longest common subsequence), for showing description edits inline
+export const diffText = (before: string, after: string): TextDiffPart[] => {
+  const a = before.split(/(\s+)/);
+  const b = after.split(/(\s+)/);
+  const lengths = Array.from({ length: a.length + 1 }, () => new Array<number>(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] = a[i] === b[j] ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const parts: TextDiffPart[] = [];
+  const push = (type: TextDiffPart['type'], text: string) => {
+    const last = parts[parts.length - 1];
+    if (last && last.type === type) {
+      last.text += text;
+    } else if (text) {
+      parts.push({ type, text });
+    }
+  };
+
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      push('same', a[i]);
+      i++;
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      push('removed', a[i++]);
+    } else {
+      push('added', b[j++]);
+    }
+  }
+  a.slice(i).forEach((word) => push('removed', word));
+  b.slice(j).forEach((word) => push('added', word));
+  return parts;
+};
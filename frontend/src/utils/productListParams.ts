@@ -0,0 +1,147 @@
+import type { ProductQuery, ProductSortField, SortDirection } from '../types/Product';
+import { normalizeTag } from './productValidation';
+
+export const PAGE_SIZE_OPTIONS = [10, 25, 50, 100];
+export const DEFAULT_PAGE_SIZE = 25;
+
+const SORT_FIELDS: ProductSortField[] = ['name', 'sku', 'price', 'quantityInStock', 'createdAt'];
+
+// Filter values are kept as the raw strings typed into the inputs so they round-trip through the URL unchanged
+export interface ProductListFilters {
+  minPrice: string;
+  maxPrice: string;
+  minStock: string;
+  maxStock: string;
+  createdFrom: string;
+  createdTo: string;
+}
+
+export interface ProductListState {
+  searchTerm: string;
+  page: number;
+  pageSize: number;
+  sortBy?: ProductSortField;
+  sortDirection: SortDirection;
+  filters: ProductListFilters;
+  // Facets picked in the sidebar
+  categoryId?: number;
+  tags: string[];
+}
+
+export const FILTER_KEYS: (keyof ProductListFilters)[] = [
+  'minPrice',
+  'maxPrice',
+  'minStock',
+  'maxStock',
+  'createdFrom',
+  'createdTo',
+];
+
+export const EMPTY_FILTERS: ProductListFilters = {
+  minPrice: '',
+  maxPrice: '',
+  minStock: '',
+  maxStock: '',
+  createdFrom: '',
+  createdTo: '',
+};
+
+const parsePositiveInt = (value: string | null): number | undefined => {
+  const parsed = value === null ? NaN : parseInt(value, 10);
+  return Number.isInteger(parsed) && parsed > 0 ? parsed : undefined;
+};
+
+const parseNumber = (value: string): number | undefined => {
+  const parsed = parseFloat(value);
+  return value.trim() === '' || isNaN(parsed) ? undefined : parsed;
+};
+
+// Stock is counted in whole units, so a fractional stock filter is dropped rather than sent to the API
+const parseWholeNumber = (value: string): number | undefined => {
+  const parsed = Number(value);
+  return value.trim() === '' || !Number.isInteger(parsed) ? undefined : parsed;
+};
+
+// Convert a yyyy-mm-dd date input value to the start or end of that day in local time
+const toDayBoundary = (value: string, boundary: 'start' | 'end'): string | undefined => {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return undefined;
+  }
+  const time = boundary === 'start' ? 'T00:00:00' : 'T23:59:59.999';
+  const date = new Date(`${value}${time}`);
+  return isNaN(date.getTime()) ? undefined : date.toISOString();
+};
+
+// Read the list's page, sort and filter state from the URL query string
+export const readListState = (params: URLSearchParams): ProductListState => {
+  const sortBy = params.get('sortBy') as ProductSortField | null;
+  const pageSize = parsePositiveInt(params.get('pageSize'));
+  const filters = { ...EMPTY_FILTERS };
+  FILTER_KEYS.forEach((key) => {
+    filters[key] = params.get(key) ?? '';
+  });
+
+  return {
+    searchTerm: params.get('q') ?? '',
+    page: parsePositiveInt(params.get('page')) ?? 1,
+    pageSize: pageSize && PAGE_SIZE_OPTIONS.includes(pageSize) ? pageSize : DEFAULT_PAGE_SIZE,
+    sortBy: sortBy && SORT_FIELDS.includes(sortBy) ? sortBy : undefined,
+    sortDirection: params.get('sortDirection') === 'desc' ? 'desc' : 'asc',
+    filters,
+    categoryId: parsePositiveInt(params.get('category')),
+    tags: Array.from(new Set(params.getAll('tag').map(normalizeTag).filter(Boolean))),
+  };
+};
+
+// Write the list state back to URL query parameters, leaving out defaults to keep links short
+export const writeListState = (state: ProductListState, params = new URLSearchParams()): URLSearchParams => {
+  const next = new URLSearchParams(params);
+  const set = (key: string, value: string | undefined) => {
+    if (value) {
+      next.set(key, value);
+    } else {
+      next.delete(key);
+    }
+  };
+
+  set('q', state.searchTerm.trim());
+  set('page', state.page > 1 ? String(state.page) : undefined);
+  set('pageSize', state.pageSize !== DEFAULT_PAGE_SIZE ? String(state.pageSize) : undefined);
+  set('sortBy', state.sortBy);
+  set('sortDirection', state.sortBy && state.sortDirection === 'desc' ? 'desc' : undefined);
+  FILTER_KEYS.forEach((key) => set(key, state.filters[key].trim()));
+  set('category', state.categoryId ? String(state.categoryId) : undefined);
+  next.delete('tag');
+  state.tags.forEach((tag) => next.append('tag', tag));
+
+  return next;
+};
+
+// Build the API query for the list state
+export const toProductQuery = (state: ProductListState): ProductQuery => {
+  const { filters } = state;
+  return {
+    searchTerm: state.searchTerm.trim() || undefined,
+    page: state.page,
+    pageSize: state.pageSize,
+    sortBy: state.sortBy,
+    sortDirection: state.sortBy ? state.sortDirection : undefined,
+    minPrice: parseNumber(filters.minPrice),
+    maxPrice: parseNumber(filters.maxPrice),
+    minStock: parseWholeNumber(filters.minStock),
+    maxStock: parseWholeNumber(filters.maxStock),
+    createdFrom: toDayBoundary(filters.createdFrom, 'start'),
+    createdTo: toDayBoundary(filters.createdTo, 'end'),
+    categoryId: state.categoryId,
+    tags: state.tags.length > 0 ? state.tags : undefined,
+  };
+};
+
+// Build the API query for the facet counts: the list's search and filters, without paging or sorting
+export const toFacetQuery = (state: ProductListState): ProductQuery => ({
+  ...toProductQuery(state),
+  page: undefined,
+  pageSize: undefined,
+  sortBy: undefined,
+  sortDirection: undefined,
+});
@@ -0,0 +1,91 @@
+import { apiConstraints } from '../types/api.generated';
+import { translate, type MessageKey } from '../services/i18n';
+import { checkConstraints, type ConstraintMessages } from './schemaValidation';
+
+// Raw product values as typed into the form or read from an import file
+export interface ProductFormValues {
+  name: string;
+  description: string;
+  sku: string;
+  price: string;
+  quantityInStock: string;
+  // Optional; left blank, the API default (or the current setting when editing) applies
+  reorderPoint: string;
+  reorderQuantity: string;
+}
+
+export type ProductFieldErrors = Partial<Record<keyof ProductFormValues, string>>;
+
+// Every form field, e.g. to show errors reported by the API next to the matching input
+export const PRODUCT_FORM_FIELDS: (keyof ProductFormValues)[] = [
+  'name',
+  'description',
+  'sku',
+  'price',
+  'quantityInStock',
+  'reorderPoint',
+  'reorderQuantity',
+];
+
+// The API's limits for a new product; the update body has the same limits for every field it shares
+const rules = apiConstraints.CreateProductDto;
+
+// Validate product values against the API contract, returning an error message per invalid field in the user's language
+export const validateProductValues = (values: ProductFormValues): ProductFieldErrors => {
+  const errors: ProductFieldErrors = {};
+  const check = (field: keyof typeof rules & keyof ProductFormValues, label: MessageKey, messages?: ConstraintMessages) => {
+    const error = checkConstraints(values[field], rules[field], translate(label), messages);
+    if (error) {
+      errors[field] = error;
+    }
+  };
+
+  check('name', 'field.name');
+  check('sku', 'field.sku', { pattern: translate('validation.skuPattern') });
+
+  // The API accepts an empty description, but the form asks for one
+  if (!values.description.trim()) {
+    errors.description = translate('validation.required', { label: translate('field.description') });
+  } else {
+    check('description', 'field.description');
+  }
+
+  const price = translate('validation.price');
+  check('price', 'field.price', { required: price, number: price, minimum: price });
+  check('quantityInStock', 'field.quantity', { minimum: translate('validation.quantityMinimum') });
+
+  const reorderPoint = translate('validation.reorderPoint');
+  check('reorderPoint', 'field.reorderPoint', { number: reorderPoint, minimum: reorderPoint });
+  const reorderQuantity = translate('validation.reorderQuantity');
+  check('reorderQuantity', 'field.reorderQuantity', { number: reorderQuantity, minimum: reorderQuantity });
+
+  return errors;
+};
+
+// Parse an optional whole-number field, leaving it out when blank
+export const parseOptionalCount = (value: string): number | undefined => {
+  return value.trim() === '' ? undefined : Number(value.trim());
+};
+
+// The API's limits on tags (Product.MaxTags and Product.MaxTagLength); list sizes are not part of the generated constraints
+export const MAX_TAGS = 20;
+export const MAX_TAG_LENGTH = 50;
+
+// Tags are stored trimmed and in lower case, so "Sale " and "sale" are the same tag
+export const normalizeTag = (tag: string): string => tag.trim().toLowerCase();
+
+// Split comma-separated tags the way the API stores them, without blanks or duplicates
+export const parseTags = (text: string): string[] => {
+  return Array.from(new Set(text.split(',').map(normalizeTag).filter(Boolean)));
+};
+
+// Check parsed tags against the API's limits, returning the message for the first one broken
+export const validateTags = (tags: string[]): string | undefined => {
+  if (tags.length > MAX_TAGS) {
+    return translate('validation.tagCount', { limit: MAX_TAGS });
+  }
+  if (tags.some((tag) => tag.length > MAX_TAG_LENGTH)) {
+    return translate('validation.tagLength', { limit: MAX_TAG_LENGTH });
+  }
+  return undefined;
+};
@@ -0,0 +1,341 @@
+// QR code encoder for short texts such as SKUs: byte mode, error correction level M, versions 1-10.
+// Follows ISO/IEC 18004; masks are scored with the standard penalty rules and the best one is used.
+
+// Total codewords, error correction codewords per block and number of blocks for versions 1-10 at level M
+const VERSIONS = [
+  { total: 26, eccPerBlock: 10, blocks: 1 },
+  { total: 44, eccPerBlock: 16, blocks: 1 },
+  { total: 70, eccPerBlock: 26, blocks: 1 },
+  { total: 100, eccPerBlock: 18, blocks: 2 },
+  { total: 134, eccPerBlock: 24, blocks: 2 },
+  { total: 172, eccPerBlock: 16, blocks: 4 },
+  { total: 196, eccPerBlock: 18, blocks: 4 },
+  { total: 242, eccPerBlock: 22, blocks: 4 },
+  { total: 292, eccPerBlock: 22, blocks: 5 },
+  { total: 346, eccPerBlock: 26, blocks: 5 },
+];
+
+// Alignment pattern centres for versions 1-10
+const ALIGNMENT_POSITIONS = [
+  [], [6, 18], [6, 22], [6, 26], [6, 30], [6, 34], [6, 22, 38], [6, 24, 42], [6, 26, 46], [6, 28, 50],
+];
+
+// Format bits identifying error correction level M
+const LEVEL_M = 0;
+
+export interface QrCode {
+  version: number;
+  size: number;
+  // modules[row][column] is true for a dark module
+  modules: boolean[][];
+}
+
+const dataCapacity = (version: number) => {
+  const { total, eccPerBlock, blocks } = VERSIONS[version - 1];
+  return total - eccPerBlock * blocks;
+};
+
+const getBit = (value: number, index: number) => ((value >>> index) & 1) !== 0;
+
+// Multiply in GF(256) modulo x^8 + x^4 + x^3 + x^2 + 1
+const gfMultiply = (x: number, y: number): number => {
+  let z = 0;
+  for (let i = 7; i >= 0; i--) {
+    z = (z << 1) ^ ((z >>> 7) * 0x11d);
+    z ^= ((y >>> i) & 1) * x;
+  }
+  return z;
+};
+
+const reedSolomonDivisor = (degree: number): number[] => {
+  const result = new Array<number>(degree).fill(0);
+  result[degree - 1] = 1;
+  let root = 1;
+  for (let i = 0; i < degree; i++) {
+    for (let j = 0; j < result.length; j++) {
+      result[j] = gfMultiply(result[j], root);
+      if (j + 1 < result.length) {
+        result[j] ^= result[j + 1];
+      }
+    }
+    root = gfMultiply(root, 0x02);
+  }
+  return result;
+};
+
+const reedSolomonRemainder = (data: number[], divisor: number[]): number[] => {
+  const result = divisor.map(() => 0);
+  data.forEach((byte) => {
+    const factor = byte ^ (result.shift() as number);
+    result.push(0);
+    divisor.forEach((coefficient, i) => {
+      result[i] ^= gfMultiply(coefficient, factor);
+    });
+  });
+  return result;
+};
+
+// Byte-mode data codewords, padded to the version's capacity
+const encodeData = (bytes: Uint8Array, version: number): number[] => {
+  const bits: number[] = [];
+  const append = (value: number, length: number) => {
+    for (let i = length - 1; i >= 0; i--) {
+      bits.push((value >>> i) & 1);
+    }
+  };
+  const capacityBits = dataCapacity(version) * 8;
+
+  append(0b0100, 4);
+  append(bytes.length, version < 10 ? 8 : 16);
+  bytes.forEach((byte) => append(byte, 8));
+  append(0, Math.min(4, capacityBits - bits.length));
+  append(0, (8 - (bits.length % 8)) % 8);
+  for (let pad = 0xec; bits.length < capacityBits; pad ^= 0xec ^ 0x11) {
+    append(pad, 8);
+  }
+
+  const codewords: number[] = [];
+  for (let i = 0; i < bits.length; i += 8) {
+    codewords.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+  }
+  return codewords;
+};
+
+// Split the data into blocks, add error correction to each and interleave them
+const addErrorCorrection = (data: number[], version: number): number[] => {
+  const { total, eccPerBlock, blocks: blockCount } = VERSIONS[version - 1];
+  const shortBlockCount = blockCount - (total % blockCount);
+  const shortBlockLength = Math.floor(total / blockCount);
+  const divisor = reedSolomonDivisor(eccPerBlock);
+
+  const blocks: number[][] = [];
+  let offset = 0;
+  for (let i = 0; i < blockCount; i++) {
+    const length = shortBlockLength - eccPerBlock + (i < shortBlockCount ? 0 : 1);
+    const block = data.slice(offset, offset + length);
+    offset += length;
+    const ecc = reedSolomonRemainder(block, divisor);
+    if (i < shortBlockCount) {
+      // Placeholder so every block has the same length while interleaving
+      block.push(0);
+    }
+    blocks.push([...block, ...ecc]);
+  }
+
+  const result: number[] = [];
+  for (let i = 0; i < blocks[0].length; i++) {
+    blocks.forEach((block, j) => {
+      if (i !== shortBlockLength - eccPerBlock || j >= shortBlockCount) {
+        result.push(block[i]);
+      }
+    });
+  }
+  return result;
+};
+
+const MASKS: ((x: number, y: number) => boolean)[] = [
+  (x, y) => (x + y) % 2 === 0,
+  (_x, y) => y % 2 === 0,
+  (x) => x % 3 === 0,
+  (x, y) => (x + y) % 3 === 0,
+  (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+  (x, y) => ((x * y) % 2) + ((x * y) % 3) === 0,
+  (x, y) => (((x * y) % 2) + ((x * y) % 3)) % 2 === 0,
+  (x, y) => (((x + y) % 2) + ((x * y) % 3)) % 2 === 0,
+];
+
+// Penalty score of a finished symbol; lower is easier to scan
+const penalty = (modules: boolean[][]): number => {
+  const size = modules.length;
+  let score = 0;
+  const finderLike = [
+    [true, false, true, true, true, false, true, false, false, false, false],
+    [false, false, false, false, true, false, true, true, true, false, true],
+  ];
+
+  const scoreLine = (line: boolean[]) => {
+    let run = 1;
+    for (let i = 1; i <= line.length; i++) {
+      if (i < line.length && line[i] === line[i - 1]) {
+        run++;
+      } else {
+        if (run >= 5) {
+          score += 3 + (run - 5);
+        }
+        run = 1;
+      }
+    }
+    for (let i = 0; i + 11 <= line.length; i++) {
+      if (finderLike.some((pattern) => pattern.every((dark, k) => line[i + k] === dark))) {
+        score += 40;
+      }
+    }
+  };
+
+  for (let y = 0; y < size; y++) {
+    scoreLine(modules[y]);
+    scoreLine(modules.map((row) => row[y]));
+  }
+  for (let y = 0; y < size - 1; y++) {
+    for (let x = 0; x < size - 1; x++) {
+      const color = modules[y][x];
+      if (color === modules[y][x + 1] && color === modules[y + 1][x] && color === modules[y + 1][x + 1]) {
+        score += 3;
+      }
+    }
+  }
+
+  const dark = modules.reduce((count, row) => count + row.filter(Boolean).length, 0);
+  const total = size * size;
+  score += (Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1) * 10;
+  return score;
+};
+
+const buildSymbol = (codewords: number[], version: number): QrCode => {
+  const size = version * 4 + 17;
+  const modules = Array.from({ length: size }, () => new Array<boolean>(size).fill(false));
+  const isFunction = Array.from({ length: size }, () => new Array<boolean>(size).fill(false));
+  const setFunction = (x: number, y: number, dark: boolean) => {
+    modules[y][x] = dark;
+    isFunction[y][x] = true;
+  };
+
+  // Timing patterns
+  for (let i = 0; i < size; i++) {
+    setFunction(6, i, i % 2 === 0);
+    setFunction(i, 6, i % 2 === 0);
+  }
+
+  // Finder patterns with their separators
+  [[3, 3], [size - 4, 3], [3, size - 4]].forEach(([cx, cy]) => {
+    for (let dy = -4; dy <= 4; dy++) {
+      for (let dx = -4; dx <= 4; dx++) {
+        const x = cx + dx;
+        const y = cy + dy;
+        if (x >= 0 && x < size && y >= 0 && y < size) {
+          const distance = Math.max(Math.abs(dx), Math.abs(dy));
+          setFunction(x, y, distance !== 2 && distance !== 4);
+        }
+      }
+    }
+  });
+
+  // Alignment patterns, except where they would overlap the finders
+  const positions = ALIGNMENT_POSITIONS[version - 1];
+  positions.forEach((cy, i) => {
+    positions.forEach((cx, j) => {
+      const last = positions.length - 1;
+      if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) {
+        return;
+      }
+      for (let dy = -2; dy <= 2; dy++) {
+        for (let dx = -2; dx <= 2; dx++) {
+          setFunction(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+        }
+      }
+    });
+  });
+
+  const drawFormat = (mask: number) => {
+    const data = (LEVEL_M << 3) | mask;
+    let remainder = data;
+    for (let i = 0; i < 10; i++) {
+      remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+    }
+    const bits = ((data << 10) | remainder) ^ 0x5412;
+    for (let i = 0; i <= 5; i++) {
+      setFunction(8, i, getBit(bits, i));
+    }
+    setFunction(8, 7, getBit(bits, 6));
+    setFunction(8, 8, getBit(bits, 7));
+    setFunction(7, 8, getBit(bits, 8));
+    for (let i = 9; i < 15; i++) {
+      setFunction(14 - i, 8, getBit(bits, i));
+    }
+    for (let i = 0; i < 8; i++) {
+      setFunction(size - 1 - i, 8, getBit(bits, i));
+    }
+    for (let i = 8; i < 15; i++) {
+      setFunction(8, size - 15 + i, getBit(bits, i));
+    }
+    // Always-dark module
+    setFunction(8, size - 8, true);
+  };
+
+  // Reserve the format areas before placing data
+  drawFormat(0);
+
+  if (version >= 7) {
+    let remainder = version;
+    for (let i = 0; i < 12; i++) {
+      remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1f25);
+    }
+    const bits = (version << 12) | remainder;
+    for (let i = 0; i < 18; i++) {
+      const a = size - 11 + (i % 3);
+      const b = Math.floor(i / 3);
+      setFunction(a, b, getBit(bits, i));
+      setFunction(b, a, getBit(bits, i));
+    }
+  }
+
+  // Data modules, in two-column strips zigzagging up and down from the bottom right
+  let bitIndex = 0;
+  for (let right = size - 1; right >= 1; right -= 2) {
+    if (right === 6) {
+      right = 5;
+    }
+    for (let vertical = 0; vertical < size; vertical++) {
+      for (let j = 0; j < 2; j++) {
+        const x = right - j;
+        const upward = ((right + 1) & 2) === 0;
+        const y = upward ? size - 1 - vertical : vertical;
+        if (!isFunction[y][x] && bitIndex < codewords.length * 8) {
+          modules[y][x] = getBit(codewords[bitIndex >>> 3], 7 - (bitIndex & 7));
+          bitIndex++;
+        }
+      }
+    }
+  }
+
+  const applyMask = (mask: number) => {
+    for (let y = 0; y < size; y++) {
+      for (let x = 0; x < size; x++) {
+        if (!isFunction[y][x] && MASKS[mask](x, y)) {
+          modules[y][x] = !modules[y][x];
+        }
+      }
+    }
+  };
+
+  let bestMask = 0;
+  let bestScore = Infinity;
+  MASKS.forEach((_, mask) => {
+    applyMask(mask);
+    drawFormat(mask);
+    const score = penalty(modules);
+    if (score < bestScore) {
+      bestMask = mask;
+      bestScore = score;
+    }
+    // Masks are their own inverse
+    applyMask(mask);
+  });
+  applyMask(bestMask);
+  drawFormat(bestMask);
+
+  return { version, size, modules };
+};
+
+// Encode a text as the smallest QR code that fits it
+export const encodeQrCode = (text: string): QrCode => {
+  const bytes = new TextEncoder().encode(text);
+  const version = VERSIONS.findIndex((_, index) => {
+    const v = index + 1;
+    return 4 + (v < 10 ? 8 : 16) + bytes.length * 8 <= dataCapacity(v) * 8;
+  }) + 1;
+  if (version === 0) {
+    throw new Error(`Text is too long for a QR code label (${bytes.length} bytes)`);
+  }
+  return buildSymbol(addErrorCorrection(encodeData(bytes, version), version), version);
+};
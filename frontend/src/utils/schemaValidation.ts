@@ -0,0 +1,58 @@
+import type { FieldConstraints } from '../types/api.generated';
+import { translate } from '../services/i18n';
+
+// Messages that replace the default wording for a broken constraint
+export interface ConstraintMessages {
+  required?: string;
+  // The value is not a number, or not a whole number for integer fields
+  number?: string;
+  minLength?: string;
+  maxLength?: string;
+  pattern?: string;
+  minimum?: string;
+  maximum?: string;
+}
+
+// Check a raw form or import value against the API's limits for its field, returning the first rule it breaks.
+// The default messages are in the user's language; `label` should be too.
+export const checkConstraints = (
+  value: string,
+  constraints: FieldConstraints,
+  label: string,
+  messages: ConstraintMessages = {},
+): string | undefined => {
+  const trimmed = value.trim();
+  if (trimmed === '') {
+    return constraints.required ? messages.required ?? translate('validation.required', { label }) : undefined;
+  }
+
+  if (constraints.type === 'integer' || constraints.type === 'number') {
+    const number = Number(trimmed);
+    if (isNaN(number)) {
+      return messages.number ?? translate('validation.number', { label });
+    }
+    if (constraints.type === 'integer' && !Number.isInteger(number)) {
+      return messages.number ?? translate('validation.wholeNumber', { label });
+    }
+    if (constraints.minimum !== undefined && number < constraints.minimum) {
+      return messages.minimum ?? translate('validation.minimum', { label, limit: constraints.minimum });
+    }
+    if (constraints.maximum !== undefined && number > constraints.maximum) {
+      return messages.maximum ?? translate('validation.maximum', { label, limit: constraints.maximum });
+    }
+    return undefined;
+  }
+
+  // Lengths and patterns apply to the text as it is sent, so surrounding spaces count. Lengths are shown
+  // without grouping ("1000 characters"), unlike the numeric limits above.
+  if (constraints.minLength !== undefined && value.length < constraints.minLength) {
+    return messages.minLength ?? translate('validation.minLength', { label, count: String(constraints.minLength) });
+  }
+  if (constraints.maxLength !== undefined && value.length > constraints.maxLength) {
+    return messages.maxLength ?? translate('validation.maxLength', { label, count: String(constraints.maxLength) });
+  }
+  if (constraints.pattern !== undefined && !new RegExp(constraints.pattern).test(value)) {
+    return messages.pattern ?? translate('validation.pattern', { label });
+  }
+  return undefined;
+};
@@ -0,0 +1,55 @@
+import { apiConstraints } from '../types/api.generated';
+import type { StockAdjustmentReason } from '../types/Product';
+
+export type AdjustmentDirection = 'add' | 'remove' | 'either';
+
+export const STOCK_ADJUSTMENT_REASONS: { reason: StockAdjustmentReason; label: string; direction: AdjustmentDirection }[] = [
+  { reason: 'received', label: 'Received', direction: 'add' },
+  { reason: 'sold', label: 'Sold', direction: 'remove' },
+  { reason: 'damaged', label: 'Damaged', direction: 'remove' },
+  { reason: 'cycleCount', label: 'Cycle count', direction: 'either' },
+  { reason: 'return', label: 'Return', direction: 'add' },
+];
+
+const rules = apiConstraints.CreateStockAdjustmentDto;
+
+export const NOTE_MAX_LENGTH = rules.note.maxLength;
+
+export const getReasonLabel = (reason: StockAdjustmentReason): string => {
+  return STOCK_ADJUSTMENT_REASONS.find((option) => option.reason === reason)?.label ?? reason;
+};
+
+export const getReasonDirection = (reason: StockAdjustmentReason): AdjustmentDirection => {
+  return STOCK_ADJUSTMENT_REASONS.find((option) => option.reason === reason)?.direction ?? 'either';
+};
+
+// Mirror the API's rules so the dialog can explain a rejected adjustment before sending it
+export const validateStockAdjustment = (
+  currentStock: number,
+  delta: number,
+  reason: StockAdjustmentReason,
+  note: string,
+): string | null => {
+  if (!Number.isInteger(delta) || delta === 0) {
+    return 'Enter a whole number other than 0';
+  }
+  if (delta < rules.delta.minimum || delta > rules.delta.maximum) {
+    return `Enter a change between ${rules.delta.minimum.toLocaleString('en-US')} and ${rules.delta.maximum.toLocaleString('en-US')}`;
+  }
+  const direction = getReasonDirection(reason);
+  if (direction === 'add' && delta < 0) {
+    return `${getReasonLabel(reason)} adjustments must add stock`;
+  }
+  if (direction === 'remove' && delta > 0) {
+    return `${getReasonLabel(reason)} adjustments must remove stock`;
+  }
+  if (currentStock + delta < 0) {
+    return `Cannot remove ${-delta} units; only ${currentStock} in stock`;
+  }
+  if (note.trim().length > NOTE_MAX_LENGTH) {
+    return `Note cannot exceed ${NOTE_MAX_LENGTH} characters`;
+  }
+  return null;
+};
+
+export const formatDelta = (delta: number): string => (delta > 0 ? `+${delta}` : String(delta));
@@ -0,0 +1,182 @@
+// Minimal XLSX writer: a single worksheet of inline strings and numbers packed into an uncompressed zip.
+// Rows arrive in chunks so large sheets are encoded incrementally instead of in one blocking pass.
+
+export type XlsxCell = string | number | null | undefined;
+
+export const XLSX_MIME_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+const XML_HEADER = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+const SHEET_NS = 'http://schemas.openxmlformats.org/spreadsheetml/2006/main';
+const REL_NS = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+const PACKAGE_REL_NS = 'http://schemas.openxmlformats.org/package/2006/relationships';
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+const updateCrc = (crc: number, bytes: Uint8Array): number => {
+  let c = crc ^ 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) {
+    c = CRC_TABLE[(c ^ bytes[i]) & 0xff] ^ (c >>> 8);
+  }
+  return (c ^ 0xffffffff) >>> 0;
+};
+
+// Escape text for XML, dropping control characters that XML 1.0 does not allow
+const escapeXml = (text: string) =>
+  text
+    // eslint-disable-next-line no-control-regex
+    .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+// Convert a zero-based column index to a spreadsheet column name (0 -> A, 26 -> AA)
+const columnName = (index: number): string => {
+  let name = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  }
+  return name;
+};
+
+const formatRow = (cells: XlsxCell[], rowNumber: number): string => {
+  const xml = cells
+    .map((value, index) => {
+      const ref = `${columnName(index)}${rowNumber}`;
+      if (typeof value === 'number' && Number.isFinite(value)) {
+        return `<c r="${ref}"><v>${value}</v></c>`;
+      }
+      if (value === null || value === undefined || value === '') {
+        return '';
+      }
+      return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${escapeXml(String(value))}</t></is></c>`;
+    })
+    .join('');
+  return `<row r="${rowNumber}">${xml}</row>`;
+};
+
+interface ZipEntry {
+  name: Uint8Array;
+  parts: Uint8Array[];
+  size: number;
+  crc: number;
+}
+
+const encoder = new TextEncoder();
+
+const createEntry = (name: string): ZipEntry => ({ name: encoder.encode(name), parts: [], size: 0, crc: 0 });
+
+const appendToEntry = (entry: ZipEntry, text: string) => {
+  const bytes = encoder.encode(text);
+  entry.parts.push(bytes);
+  entry.size += bytes.length;
+  entry.crc = updateCrc(entry.crc, bytes);
+};
+
+// Timestamps are fixed at 1980-01-01, the earliest date a zip entry can hold
+const DOS_DATE = (1 << 5) | 1;
+
+// Pack the entries into a zip archive using the "stored" (uncompressed) method
+const packZip = (entries: ZipEntry[]): Blob => {
+  const blobParts: BlobPart[] = [];
+  const central: Uint8Array[] = [];
+  let offset = 0;
+
+  entries.forEach((entry) => {
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034b50, true);
+    local.setUint16(4, 20, true);
+    local.setUint16(12, DOS_DATE, true);
+    local.setUint32(14, entry.crc, true);
+    local.setUint32(18, entry.size, true);
+    local.setUint32(22, entry.size, true);
+    local.setUint16(26, entry.name.length, true);
+    blobParts.push(local.buffer, entry.name, ...entry.parts);
+
+    const header = new DataView(new ArrayBuffer(46));
+    header.setUint32(0, 0x02014b50, true);
+    header.setUint16(4, 20, true);
+    header.setUint16(6, 20, true);
+    header.setUint16(14, DOS_DATE, true);
+    header.setUint32(16, entry.crc, true);
+    header.setUint32(20, entry.size, true);
+    header.setUint32(24, entry.size, true);
+    header.setUint16(28, entry.name.length, true);
+    header.setUint32(42, offset, true);
+    central.push(new Uint8Array(header.buffer), entry.name);
+
+    offset += 30 + entry.name.length + entry.size;
+  });
+
+  const centralSize = central.reduce((sum, part) => sum + part.length, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true);
+  end.setUint16(8, entries.length, true);
+  end.setUint16(10, entries.length, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+
+  return new Blob([...blobParts, ...central, end.buffer], { type: XLSX_MIME_TYPE });
+};
+
+// Build a workbook with one sheet from a header row and chunks of data rows
+export const createXlsx = async (
+  sheetName: string,
+  header: string[],
+  rowChunks: AsyncIterable<XlsxCell[][]>,
+): Promise<Blob> => {
+  const staticEntry = (name: string, xml: string) => {
+    const entry = createEntry(name);
+    appendToEntry(entry, XML_HEADER + xml);
+    return entry;
+  };
+
+  const sheet = createEntry('xl/worksheets/sheet1.xml');
+  appendToEntry(sheet, `${XML_HEADER}<worksheet xmlns="${SHEET_NS}"><sheetData>${formatRow(header, 1)}`);
+  let rowNumber = 1;
+  for await (const rows of rowChunks) {
+    appendToEntry(sheet, rows.map((row) => formatRow(row, ++rowNumber)).join(''));
+  }
+  appendToEntry(sheet, '</sheetData></worksheet>');
+
+  return packZip([
+    staticEntry(
+      '[Content_Types].xml',
+      '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+        '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+        '<Default Extension="xml" ContentType="application/xml"/>' +
+        '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+        '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+        '</Types>',
+    ),
+    staticEntry(
+      '_rels/.rels',
+      `<Relationships xmlns="${PACKAGE_REL_NS}">` +
+        `<Relationship Id="rId1" Type="${REL_NS}/officeDocument" Target="xl/workbook.xml"/>` +
+        '</Relationships>',
+    ),
+    staticEntry(
+      'xl/workbook.xml',
+      `<workbook xmlns="${SHEET_NS}" xmlns:r="${REL_NS}">` +
+        `<sheets><sheet name="${escapeXml(sheetName)}" sheetId="1" r:id="rId1"/></sheets>` +
+        '</workbook>',
+    ),
+    staticEntry(
+      'xl/_rels/workbook.xml.rels',
+      `<Relationships xmlns="${PACKAGE_REL_NS}">` +
+        `<Relationship Id="rId1" Type="${REL_NS}/worksheet" Target="worksheets/sheet1.xml"/>` +
+        '</Relationships>',
+    ),
+    sheet,
+  ]);
+};
@@ -1,10 +1,16 @@
+const path = require('path')
 const { defineConfig } = require('cypress')
 const { GenerateCtrfReport } = require('cypress-ctrf-json-reporter')
+const react = require('@vitejs/plugin-react')
 
 // Default to frontend development server (port 5173), but allow override via environment variables
 const frontendBaseUrl = process.env.CYPRESS_FRONTEND_BASE_URL || 'http://localhost:5173'
 const apiBaseUrl = process.env.CYPRESS_API_BASE_URL || 'http://localhost:5126'
 const apiUrl = process.env.CYPRESS_API_URL || `${apiBaseUrl}/api`
+// Creating and deleting products needs the API key; the default is the development key from appsettings.json
+const apiKey = process.env.CYPRESS_API_KEY || 'demo-inventory-api-key-2024'
+// Component tests mount the frontend's own components, so they are bundled from its sources
+const frontendSrc = path.resolve(__dirname, '../../frontend/src')
 
 module.exports = defineConfig({
   // Project ID for Cypress Dashboard recording
@@ -45,8 +51,47 @@ module.exports = defineConfig({
       return config
     },
   },
+
+  // Component tests: the frontend's components mounted on their own, with the API stubbed by cy.intercept
+  component: {
+    devServer: {
+      framework: 'react',
+      bundler: 'vite',
+      viteConfig: {
+        plugins: [react()],
+        resolve: {
+          alias: { '@frontend': frontendSrc },
+          // The components and the tests must share one React and one router
+          dedupe: ['react', 'react-dom', 'react-router-dom']
+        },
+        server: {
+          fs: { allow: [__dirname, frontendSrc] }
+        }
+      }
+    },
+    viewportWidth: 1280,
+    viewportHeight: 720,
+    video: false,
+    screenshotOnRunFailure: true,
+    screenshotsFolder: 'cypress/screenshots',
+    supportFile: 'cypress/support/component.jsx',
+    indexHtmlFile: 'cypress/support/component-index.html',
+    specPattern: 'cypress/component/**/*.cy.{js,jsx,ts,tsx}',
+
+    setupNodeEvents(on, config) {
+      // Reported apart from the end-to-end run, so both reports can be kept
+      new GenerateCtrfReport({
+        on,
+        outputFile: 'ctrf-component-report.json',
+        outputDir: 'cypress/reports'
+      })
+
+      return config
+    },
+  },
   env: {
     apiUrl: apiUrl,
+    apiKey: apiKey,
     frontendBaseUrl: frontendBaseUrl
   }
 })
\ No newline at end of file
@@ -0,0 +1,203 @@
+import ProductForm from '@frontend/components/ProductForm'
+import { credentials } from '@frontend/services/credentials'
+import { simulatedServerError } from '../support/api-stubs'
+
+const mountCreateForm = () => {
+  cy.mount(<ProductForm />, { route: '/product/new', path: '/product/:id' })
+}
+
+const mountEditForm = (id) => {
+  cy.mount(<ProductForm />, { route: `/product/${id}/edit`, path: '/product/:id/edit' })
+}
+
+const fillForm = ({
+  name = 'Laptop Computer',
+  sku = 'LAPTOP-001',
+  description = 'High performance laptop',
+  price = '999.99',
+  quantityInStock = '10'
+} = {}) => {
+  cy.get('[data-testid="product-name-input"]').clear().type(name)
+  cy.get('[data-testid="product-sku-input"]').clear().type(sku)
+  cy.get('[data-testid="product-description-input"]').clear().type(description)
+  cy.get('[data-testid="product-price-input"]').clear().type(price)
+  cy.get('[data-testid="product-quantity-input"]').clear().type(quantityInStock)
+}
+
+describe('ProductForm component', () => {
+  beforeEach(() => {
+    cy.stubProductApi()
+  })
+
+  describe('creating a product', () => {
+    it('should send the product and return to the list', () => {
+      cy.intercept({ method: 'POST', pathname: '/api/products' }, { statusCode: 201, fixture: 'product.json' }).as('createProduct')
+
+      mountCreateForm()
+      cy.get('[data-testid="form-title"]').should('contain.text', 'Create New Product')
+      fillForm()
+      cy.get('[data-testid="product-category-select"]').select('Electronics › Accessories')
+      cy.get('[data-testid="submit-btn"]').click()
+
+      cy.wait('@createProduct').its('request.body').should('deep.include', {
+        name: 'Laptop Computer',
+        sku: 'LAPTOP-001',
+        description: 'High performance laptop',
+        price: 999.99,
+        quantityInStock: 10,
+        categoryId: 2
+      })
+      cy.get('[data-testid="current-location"]').should('have.text', '/')
+    })
+
+    it('should not send a product that fails validation', () => {
+      cy.intercept({ method: 'POST', pathname: '/api/products' }, { statusCode: 201, fixture: 'product.json' }).as('createProduct')
+
+      mountCreateForm()
+      cy.get('[data-testid="submit-btn"]').click()
+
+      cy.get('[data-testid="name-error"]').should('be.visible')
+      cy.get('[data-testid="sku-error"]').should('be.visible')
+      cy.get('[data-testid="description-error"]').should('be.visible')
+      cy.get('@createProduct.all').should('have.length', 0)
+    })
+
+    it('should offer only "No category" when there are no categories', () => {
+      cy.intercept({ method: 'GET', pathname: '/api/categories' }, { body: [] }).as('noCategories')
+
+      mountCreateForm()
+      cy.wait('@noCategories')
+
+      cy.get('[data-testid="product-category-select"] option').should('have.length', 1).and('have.text', 'No category')
+    })
+
+    it('should show the save in progress while the API is slow', () => {
+      cy.intercept({ method: 'POST', pathname: '/api/products' }, { statusCode: 201, fixture: 'product.json', delay: 1500 }).as('createProduct')
+
+      mountCreateForm()
+      fillForm()
+      cy.get('[data-testid="submit-btn"]').click()
+
+      cy.get('[data-testid="submit-btn"]').should('be.disabled').and('contain.text', 'Saving...')
+      cy.get('[data-testid="current-location"]').should('have.text', '/product/new')
+
+      cy.wait('@createProduct')
+      cy.get('[data-testid="current-location"]').should('have.text', '/')
+    })
+
+    it('should show the API\'s validation errors next to their fields', () => {
+      cy.intercept({ method: 'POST', pathname: '/api/products' }, { statusCode: 400, fixture: 'validation-problem.json' }).as('createProduct')
+
+      mountCreateForm()
+      fillForm()
+      cy.get('[data-testid="submit-btn"]').click()
+      cy.wait('@createProduct')
+
+      cy.get('[data-testid="sku-error"]').should('contain.text', "SKU 'LAPTOP-001' already exists.")
+      // Errors without a field of their own are listed in the banner with the trace id
+      cy.get('[data-testid="form-error-details"]').should('contain.text', 'The createProductDto field is required.')
+      cy.get('[data-testid="form-error-trace-id"]').should('contain.text', '00-4bf92f3577b34da6a3ce929d0e0e4736-00f067aa0ba902b7-01')
+      cy.get('[data-testid="current-location"]').should('have.text', '/product/new')
+    })
+
+    it('should hand a rejected API key over to the credentials screen', () => {
+      const onRejected = cy.stub().as('credentialsRejected')
+      const unsubscribe = credentials.onRejected(onRejected)
+      cy.intercept({ method: 'POST', pathname: '/api/products' }, { statusCode: 401 }).as('createProduct')
+
+      mountCreateForm()
+      fillForm()
+      cy.get('[data-testid="submit-btn"]').click()
+      cy.wait('@createProduct')
+
+      cy.get('@credentialsRejected').should('have.been.calledOnceWith', 401)
+      cy.get('[data-testid="form-error"]').should('not.exist')
+      // The entered values are kept for when the key has been fixed
+      cy.get('[data-testid="product-name-input"]').should('have.value', 'Laptop Computer')
+      cy.get('[data-testid="submit-btn"]').should('not.be.disabled')
+      cy.then(unsubscribe)
+    })
+
+    it('should explain a server error with its trace id', () => {
+      cy.intercept({ method: 'POST', pathname: '/api/products' }, simulatedServerError).as('createProduct')
+
+      mountCreateForm()
+      fillForm()
+      cy.get('[data-testid="submit-btn"]').click()
+      cy.wait('@createProduct')
+
+      cy.get('[data-testid="form-error"]').should('contain.text', 'Failed to create product.')
+      cy.get('[data-testid="form-error-trace-id"]').should('contain.text', '00-0af7651916cd43dd8448eb211c80319c-b7ad6b7169203331-01')
+      cy.get('[data-testid="current-location"]').should('have.text', '/product/new')
+    })
+  })
+
+  describe('editing a product', () => {
+    it('should fill the form with the product', () => {
+      cy.stubProduct(1)
+
+      mountEditForm(1)
+      cy.wait('@product')
+
+      cy.get('[data-testid="form-title"]').should('contain.text', 'Edit Product')
+      cy.get('[data-testid="product-name-input"]').should('have.value', 'Laptop Computer')
+      cy.get('[data-testid="product-sku-input"]').should('have.value', 'LAPTOP-001').and('be.disabled')
+      cy.get('[data-testid="product-quantity-input"]').should('have.value', '10').and('have.attr', 'readonly')
+      cy.get('[data-testid="adjust-stock-link"]').should('have.attr', 'href', '/product/1')
+      cy.get('[data-testid="product-category-select"]').should('have.value', '1')
+    })
+
+    it('should show the loading state while the product is slow to arrive', () => {
+      cy.stubProduct(1, { fixture: 'product.json', delay: 1500 })
+
+      mountEditForm(1)
+
+      cy.contains('Loading product...').should('be.visible')
+      cy.get('[data-testid="product-form"]').should('not.exist')
+
+      cy.wait('@product')
+      cy.get('[data-testid="product-name-input"]').should('have.value', 'Laptop Computer')
+    })
+
+    it('should explain a product that does not exist', () => {
+      cy.stubProduct(99, { statusCode: 404, fixture: 'not-found.json' })
+
+      mountEditForm(99)
+      cy.wait('@product')
+
+      cy.get('[data-testid="form-error"]').should('contain.text', 'Failed to load product.')
+    })
+
+    it('should send the changes with the version they were made to', () => {
+      cy.stubProduct(1)
+      cy.intercept({ method: 'PUT', pathname: '/api/products/1' }, { fixture: 'product.json' }).as('updateProduct')
+
+      mountEditForm(1)
+      cy.wait('@product')
+      cy.get('[data-testid="product-price-input"]').clear().type('899.99')
+      cy.get('[data-testid="submit-btn"]').click()
+
+      cy.wait('@updateProduct').its('request.body').should('deep.include', {
+        name: 'Laptop Computer',
+        price: 899.99,
+        expectedUpdatedAt: '2024-01-01T09:00:00Z'
+      }).and('not.have.property', 'quantityInStock')
+      cy.get('[data-testid="current-location"]').should('have.text', '/')
+    })
+
+    it('should explain a server error while saving', () => {
+      cy.stubProduct(1)
+      cy.intercept({ method: 'PUT', pathname: '/api/products/1' }, simulatedServerError).as('updateProduct')
+
+      mountEditForm(1)
+      cy.wait('@product')
+      cy.get('[data-testid="product-price-input"]').clear().type('899.99')
+      cy.get('[data-testid="submit-btn"]').click()
+      cy.wait('@updateProduct')
+
+      cy.get('[data-testid="form-error"]').should('contain.text', 'Failed to update product.')
+      cy.get('[data-testid="product-price-input"]').should('have.value', '899.99')
+      cy.get('[data-testid="current-location"]').should('have.text', '/product/1/edit')
+    })
+  })
+})
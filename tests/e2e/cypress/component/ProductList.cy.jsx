@@ -0,0 +1,276 @@
+import ProductList from '@frontend/components/ProductList'
+import { credentials } from '@frontend/services/credentials'
+import { simulatedServerError } from '../support/api-stubs'
+
+// A product as the API lists it
+const generatedProduct = (id) => ({
+  id,
+  name: `Bulk Product ${id}`,
+  description: `Generated product number ${id} for the large list tests`,
+  sku: `BULK-${String(id).padStart(5, '0')}`,
+  price: 1 + (id % 100),
+  quantityInStock: id % 40,
+  reorderPoint: 10,
+  reorderQuantity: 0,
+  categoryId: null,
+  tags: [],
+  primaryImageId: null,
+  createdAt: '2024-01-01T00:00:00Z',
+  updatedAt: '2024-01-01T00:00:00Z'
+})
+
+// An inventory of 5,000 products, served a page at a time as the API would
+const TOTAL_PRODUCTS = 5000
+
+const stubLargeInventory = () => {
+  cy.intercept({ method: 'GET', pathname: '/api/products/paged' }, (req) => {
+    const page = Number(req.query.page) || 1
+    const pageSize = Number(req.query.pageSize) || 25
+    const first = (page - 1) * pageSize + 1
+    const count = Math.max(0, Math.min(pageSize, TOTAL_PRODUCTS - first + 1))
+    req.reply({
+      items: Array.from({ length: count }, (_, index) => generatedProduct(first + index)),
+      page,
+      pageSize,
+      totalCount: TOTAL_PRODUCTS,
+      totalPages: Math.ceil(TOTAL_PRODUCTS / pageSize)
+    })
+  }).as('largePage')
+}
+
+// Answer the product list's searches with the fixture's products whose name contains the search term
+const stubSearch = (options = {}) => {
+  cy.fixture('products.json').then((page) => {
+    cy.intercept({ method: 'GET', pathname: '/api/products/paged', query: { searchTerm: /.+/ } }, (req) => {
+      const term = String(req.query.searchTerm).toLowerCase()
+      const items = page.items.filter((product) => product.name.toLowerCase().includes(term))
+      req.reply({ ...options, body: { ...page, items, totalCount: items.length, totalPages: items.length > 0 ? 1 : 0 } })
+    }).as('searchPage')
+  })
+}
+
+describe('ProductList component', () => {
+  beforeEach(() => {
+    cy.stubProductApi()
+  })
+
+  it('should list the products the API returns', () => {
+    cy.mount(<ProductList />)
+    cy.wait('@productsPage')
+
+    cy.get('[data-testid="products-table"]').should('be.visible')
+    cy.get('[data-testid^="product-row-"]').should('have.length', 3)
+    cy.get('[data-testid="product-name-1"]').should('contain.text', 'Laptop Computer')
+    cy.get('[data-testid="product-price-1"]').should('contain.text', '$999.99')
+    cy.get('[data-testid="product-stock-2"]').should('have.class', 'low-stock')
+    cy.get('[data-testid="product-stock-1"]').should('not.have.class', 'low-stock')
+    cy.get('[data-testid="page-info"]').should('contain.text', 'Page 1 of 1')
+    cy.get('[data-testid="facet-tag-sale"]').should('be.visible')
+  })
+
+  it('should ask the API for the search, sort and page in the URL', () => {
+    cy.mount(<ProductList />, { route: '/?q=laptop&sortBy=price&sortDirection=desc&pageSize=50' })
+
+    cy.wait('@productsPage').its('request.query').should('include', {
+      searchTerm: 'laptop',
+      sortBy: 'price',
+      sortDirection: 'desc',
+      page: '1',
+      pageSize: '50'
+    })
+  })
+
+  describe('slow responses', () => {
+    it('should show the loading state until the first page arrives', () => {
+      cy.intercept({ method: 'GET', pathname: '/api/products/paged' }, { fixture: 'products.json', delay: 1500 }).as('slowPage')
+
+      cy.mount(<ProductList />)
+
+      cy.get('[data-testid="products-loading"]').should('be.visible').and('contain.text', 'Loading products...')
+      cy.get('[data-testid="products-table"]').should('not.exist')
+
+      cy.wait('@slowPage')
+      cy.get('[data-testid="products-loading"]').should('not.exist')
+      cy.get('[data-testid^="product-row-"]').should('have.length', 3)
+    })
+
+    it('should keep the current rows on screen while a search is slow', () => {
+      cy.mount(<ProductList />)
+      cy.wait('@productsPage')
+      stubSearch({ delay: 1500 })
+
+      cy.searchProductsViaUI('mouse')
+
+      // The previous rows stay until the search answers
+      cy.get('[data-testid="search-input"]').should('have.attr', 'aria-busy', 'true')
+      cy.get('[data-testid^="product-row-"]').should('have.length', 3)
+
+      cy.wait('@searchPage').its('request.query.searchTerm').should('eq', 'mouse')
+      cy.get('[data-testid="search-input"]').should('have.attr', 'aria-busy', 'false')
+      cy.get('[data-testid^="product-row-"]').should('have.length', 1)
+      cy.get('[data-testid="product-name-2"]').should('contain.text', 'Wireless Mouse')
+      cy.get('[data-testid="current-location"]').should('have.text', '/?q=mouse')
+    })
+  })
+
+  describe('errors', () => {
+    it('should explain a server error while loading', () => {
+      cy.intercept({ method: 'GET', pathname: '/api/products/paged' }, simulatedServerError).as('failedPage')
+
+      cy.mount(<ProductList />)
+      cy.wait('@failedPage')
+
+      cy.get('[data-testid="error-message"]')
+        .should('be.visible')
+        .and('contain.text', 'Failed to load products. Please make sure the API is running.')
+      // An error answer is not the API being unreachable, so no offline copy is shown
+      cy.get('[data-testid="offline-notice"]').should('not.exist')
+    })
+
+    it('should explain a server error while searching', () => {
+      cy.mount(<ProductList />)
+      cy.wait('@productsPage')
+      cy.intercept({ method: 'GET', pathname: '/api/products/paged', query: { searchTerm: 'mouse' } }, simulatedServerError).as('failedSearch')
+
+      cy.searchProductsViaUI('mouse')
+      cy.wait('@failedSearch')
+
+      cy.get('[data-testid="error-message"]').should('contain.text', 'Failed to search products.')
+    })
+
+    it('should explain a rejected filter', () => {
+      cy.intercept({ method: 'GET', pathname: '/api/products/paged' }, { statusCode: 400, fixture: 'validation-problem.json' }).as('rejectedPage')
+
+      cy.mount(<ProductList />, { route: '/?minPrice=50&maxPrice=10' })
+      cy.wait('@rejectedPage')
+
+      cy.get('[data-testid="error-message"]').should('contain.text', 'Failed to load products.')
+      cy.get('[data-testid="filter-min-price"]').should('have.value', '50')
+    })
+
+    it('should note when the category and tag counts fail to load', () => {
+      cy.intercept({ method: 'GET', pathname: '/api/products/facets' }, simulatedServerError).as('failedFacets')
+
+      cy.mount(<ProductList />)
+      cy.wait('@failedFacets')
+
+      cy.get('[data-testid="facets-error"]').should('be.visible')
+      cy.get('[data-testid^="product-row-"]').should('have.length', 3)
+    })
+
+    it('should hand a rejected API key over to the credentials screen when deleting', () => {
+      const onRejected = cy.stub().as('credentialsRejected')
+      const unsubscribe = credentials.onRejected(onRejected)
+      cy.intercept({ method: 'DELETE', pathname: '/api/products/2' }, { statusCode: 401 }).as('deleteProduct')
+
+      cy.mount(<ProductList />)
+      cy.wait('@productsPage')
+      cy.deleteProductViaUI(2)
+      cy.wait('@deleteProduct')
+
+      cy.get('@credentialsRejected').should('have.been.calledOnceWith', 401)
+      // The credentials screen explains it, so the list shows no error of its own and keeps the product
+      cy.get('[data-testid="error-message"]').should('not.exist')
+      cy.get('[data-testid="product-row-2"]').should('be.visible')
+      cy.then(unsubscribe)
+    })
+
+    it('should put a product back when deleting it fails', () => {
+      cy.intercept({ method: 'DELETE', pathname: '/api/products/2' }, { statusCode: 404, fixture: 'not-found.json' }).as('deleteProduct')
+
+      cy.mount(<ProductList />)
+      cy.wait('@productsPage')
+      cy.deleteProductViaUI(2)
+      cy.wait('@deleteProduct')
+
+      cy.get('[data-testid="error-message"]').should('contain.text', 'Failed to delete product.')
+      cy.get('[data-testid="product-row-2"]').should('be.visible')
+    })
+  })
+
+  describe('empty states', () => {
+    it('should invite creating the first product when there are none', () => {
+      cy.intercept({ method: 'GET', pathname: '/api/products/paged' }, { fixture: 'products-empty.json' }).as('emptyPage')
+
+      cy.mount(<ProductList />)
+      cy.wait('@emptyPage')
+
+      cy.get('[data-testid="no-products"]').should('be.visible').and('contain.text', 'No products found.')
+      cy.get('[data-testid="products-table"]').should('not.exist')
+      cy.get('[data-testid="create-first-product-btn"]').click()
+      cy.get('[data-testid="current-location"]').should('have.text', '/product/new')
+    })
+
+    it('should show the empty state when a search finds nothing', () => {
+      stubSearch()
+
+      cy.mount(<ProductList />, { route: '/?q=keyboard' })
+      cy.wait('@searchPage')
+
+      cy.get('[data-testid="no-products"]').should('be.visible')
+      cy.get('[data-testid="search-input"]').should('have.value', 'keyboard')
+    })
+
+    it('should keep the table and its filters when the filters match nothing', () => {
+      cy.intercept({ method: 'GET', pathname: '/api/products/paged' }, { fixture: 'products-empty.json' }).as('emptyPage')
+
+      cy.mount(<ProductList />, { route: '/?minPrice=5000' })
+      cy.wait('@emptyPage')
+
+      cy.get('[data-testid="no-matching-products"]').should('contain.text', 'No products match the current filters.')
+      cy.get('[data-testid="filter-min-price"]').should('have.value', '5000')
+      cy.get('[data-testid="reset-filters-btn"]').click()
+      cy.get('[data-testid="current-location"]').should('have.text', '/')
+    })
+  })
+
+  describe('large lists', () => {
+    beforeEach(() => {
+      stubLargeInventory()
+    })
+
+    it('should render a full page of 100 products', () => {
+      cy.mount(<ProductList />, { route: '/?pageSize=100' })
+      cy.wait('@largePage')
+
+      cy.get('[data-testid^="product-row-"]').should('have.length', 100)
+      cy.get('[data-testid="product-sku-100"]').should('contain.text', 'BULK-00100')
+      cy.get('[data-testid="page-info"]').should('contain.text', 'Page 1 of 50')
+      cy.get('[data-testid="prev-page-btn"]').should('be.disabled')
+    })
+
+    it('should page through the list', () => {
+      cy.mount(<ProductList />, { route: '/?pageSize=100' })
+      cy.wait('@largePage')
+
+      cy.get('[data-testid="next-page-btn"]').click()
+      cy.wait('@largePage').its('request.query.page').should('eq', '2')
+      cy.get('[data-testid="product-row-101"]').should('be.visible')
+      cy.get('[data-testid="product-row-100"]').should('not.exist')
+      cy.get('[data-testid="page-info"]').should('contain.text', 'Page 2 of 50')
+
+      cy.get('[data-testid="last-page-btn"]').click()
+      cy.wait('@largePage').its('request.query.page').should('eq', '50')
+      cy.get('[data-testid="product-row-5000"]').should('be.visible')
+      cy.get('[data-testid="next-page-btn"]').should('be.disabled')
+      cy.get('[data-testid="current-location"]').should('have.text', '/?pageSize=100&page=50')
+    })
+
+    it('should select every product on a large page', () => {
+      cy.mount(<ProductList />, { route: '/?pageSize=100' })
+      cy.wait('@largePage')
+
+      cy.get('[data-testid="select-all-products"]').check()
+      cy.get('[data-testid^="select-product-"]:checked').should('have.length', 100)
+    })
+
+    it('should shorten long descriptions', () => {
+      cy.mount(<ProductList />)
+      cy.wait('@largePage')
+
+      cy.get('[data-testid="product-description-1"]')
+        .should('have.text', 'Generated product number 1 for the large list test...')
+        .and('have.attr', 'title', 'Generated product number 1 for the large list tests')
+    })
+  })
+})
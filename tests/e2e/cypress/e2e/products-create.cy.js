@@ -11,20 +11,20 @@ describe('Product Create Frontend E2E Tests', () => {
   })
 
   it('should create a product with valid data via UI', () => {
-    const productData = {
+    cy.buildProduct({
       name: 'New Test Product',
       description: 'A brand new test product',
       sku: 'NEW-TEST-001',
       price: 29.99,
       quantityInStock: 200
-    }
+    }).then((productData) => {
+      cy.createProductViaUI(productData)
 
-    cy.createProductViaUI(productData)
-    
-    // Verify product appears in the list (additional checks beyond the command)
-    cy.get('[data-testid="products-table"]').should('be.visible')
-    cy.contains(productData.sku).should('be.visible')
-    cy.contains('$29.99').should('be.visible')
+      // Verify product appears in the list (additional checks beyond the command)
+      cy.get('[data-testid="products-table"]').should('be.visible')
+      cy.contains(productData.sku).should('be.visible')
+      cy.contains('$29.99').should('be.visible')
+    })
   })
 
   it('should show validation errors for empty required fields', () => {
@@ -57,18 +57,18 @@ describe('Product Create Frontend E2E Tests', () => {
   })
 
   it('should allow creating product with zero quantity', () => {
-    const productData = {
+    cy.buildProduct({
       name: 'Out of Stock Product',
       description: 'This product is out of stock',
       sku: 'OOS-001',
       price: 15.99,
       quantityInStock: 0
-    }
+    }).then((productData) => {
+      cy.createProductViaUI(productData)
 
-    cy.createProductViaUI(productData)
-    
-    // Verify product appears with 0 quantity (additional check beyond the command)
-    cy.get('[data-testid^="product-stock-"]').contains('0').should('be.visible')
+      // Verify product appears with 0 quantity (additional check beyond the command)
+      cy.get('[data-testid^="product-stock-"]').contains('0').should('be.visible')
+    })
   })
 
   it('should cancel product creation and return to list', () => {
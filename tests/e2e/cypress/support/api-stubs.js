@@ -0,0 +1,30 @@
+// Stubs for the API routes the components call, so component tests run without the API. Routes are matched by
+// path alone, whatever API URL the frontend was built with.
+//
+// A response is a fixture file name (e.g. 'products.json') or a cy.intercept response such as
+// { statusCode: 500, fixture: 'server-error.json', delay: 1000 }.
+
+const toResponse = (response) => (typeof response === 'string' ? { fixture: response } : response)
+
+// GET /api/products/simulate-error waits 100 ms and throws, which the API answers with these problem details
+export const simulatedServerError = { statusCode: 500, fixture: 'server-error.json', delay: 100 }
+
+// Stub every route the product list and form load. Tests override single routes with cy.intercept afterwards;
+// the latest matching intercept answers.
+Cypress.Commands.add('stubProductApi', ({
+  products = 'products.json',
+  facets = 'product-facets.json',
+  categories = 'categories.json'
+} = {}) => {
+  // 204 tells the browser not to reconnect, so the components get no live updates
+  cy.intercept({ method: 'GET', pathname: '/api/products/events' }, { statusCode: 204 }).as('productEvents')
+  cy.intercept({ method: 'GET', pathname: '/api/products/paged' }, toResponse(products)).as('productsPage')
+  cy.intercept({ method: 'GET', pathname: '/api/products/facets' }, toResponse(facets)).as('productFacets')
+  cy.intercept({ method: 'GET', pathname: '/api/categories' }, toResponse(categories)).as('categories')
+})
+
+// Stub a single product and its images, for the edit form
+Cypress.Commands.add('stubProduct', (id, response = 'product.json') => {
+  cy.intercept({ method: 'GET', pathname: `/api/products/${id}` }, toResponse(response)).as('product')
+  cy.intercept({ method: 'GET', pathname: `/api/products/${id}/images` }, { body: [] }).as('productImages')
+})
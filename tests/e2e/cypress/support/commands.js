@@ -29,8 +29,15 @@ Cypress.Commands.add('createProductViaUI', (productData) => {
   // Ensure submit button is enabled before clicking
   cy.get('[data-testid="submit-btn"]').should('not.be.disabled').click()
   
-  // Wait for successful creation - should redirect to main page and product should be visible
+  // Wait for successful creation - should redirect to main page
   cy.url().should('eq', Cypress.config().baseUrl + '/')
+
+  // Delete it after the test like seeded data; finding it by SKU also confirms it was saved
+  cy.trackProductBySku(productData.sku)
+
+  // List only this run's products, so the new one shows however much other data the backend holds.
+  // Give it a name from cy.buildProduct so it is among them.
+  cy.visitSeededProducts()
   cy.contains(productData.name).should('be.visible')
 })
 
@@ -127,14 +134,18 @@ Cypress.Commands.add('editProductByName', (name) => {
 
 // Legacy API commands for backward compatibility (if needed for setup/teardown)
 // Custom command to create a product via API
+// Prefer cy.seedProducts, which makes SKUs unique to the run
 Cypress.Commands.add('createProduct', (productData) => {
   return cy.request({
     method: 'POST',
     url: `${Cypress.env('apiUrl')}/products`,
     body: productData,
     headers: {
-      'Content-Type': 'application/json'
+      'Content-Type': 'application/json',
+      'X-API-Key': Cypress.env('apiKey')
     }
+  }).then((response) => {
+    return cy.trackProductBySku(response.body.sku).then(() => response)
   })
 })
 
@@ -159,6 +170,9 @@ Cypress.Commands.add('deleteProduct', (id) => {
   return cy.request({
     method: 'DELETE',
     url: `${Cypress.env('apiUrl')}/products/${id}`,
+    headers: {
+      'X-API-Key': Cypress.env('apiKey')
+    },
     failOnStatusCode: false
   })
 })
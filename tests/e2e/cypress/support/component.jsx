@@ -0,0 +1,50 @@
+// ***********************************************************
+// This example support/component.js is processed and
+// loaded automatically before your test files.
+//
+// This is a great place to put global configuration and
+// behavior that modifies Cypress.
+//
+// You can change the location of this file or turn off
+// automatically serving support files with the
+// 'supportFile' configuration option.
+//
+// You can read more here:
+// https://on.cypress.io/configuration
+// ***********************************************************
+
+// Import commands.js using ES2015 syntax:
+import './commands'
+import './api-stubs'
+
+import { mount } from 'cypress/react'
+import { MemoryRouter, Route, Routes, useLocation } from 'react-router-dom'
+import { preferences } from '@frontend/services/preferences'
+import { queryCache } from '@frontend/services/queryCache'
+import '@frontend/index.css'
+
+// Shows where the component navigated to, so tests can check links, redirects and the list state in the URL
+function CurrentLocation() {
+  const location = useLocation()
+  return <div data-testid="current-location" hidden>{`${location.pathname}${location.search}`}</div>
+}
+
+// Mount a component at a route, e.g. cy.mount(<ProductForm />, { route: '/product/7/edit', path: '/product/:id/edit' })
+Cypress.Commands.add('mount', (component, { route = '/', path = '/' } = {}) => {
+  return mount(
+    <MemoryRouter initialEntries={[route]}>
+      <Routes>
+        <Route path={path} element={component} />
+        <Route path="*" element={null} />
+      </Routes>
+      <CurrentLocation />
+    </MemoryRouter>
+  )
+})
+
+// The specs keep their modules between tests, so start every test from an empty cache and the default
+// language, locale and currency
+beforeEach(() => {
+  queryCache.clear()
+  preferences.reset()
+})
@@ -15,30 +15,12 @@
 
 // Import commands.js using ES2015 syntax:
 import './commands'
+import './seed'
 
 // Alternatively you can use CommonJS syntax:
 // require('./commands')
 
 // Custom commands for frontend E2E testing
-Cypress.Commands.add('clearDatabase', () => {
-  // Clear database by making API call to delete all products
-  cy.request({
-    method: 'GET',
-    url: `${Cypress.env('apiUrl')}/products`,
-    failOnStatusCode: false
-  }).then((response) => {
-    if (response.status === 200 && response.body.length > 0) {
-      response.body.forEach((product) => {
-        cy.request({
-          method: 'DELETE',
-          url: `${Cypress.env('apiUrl')}/products/${product.id}`,
-          failOnStatusCode: false
-        })
-      })
-    }
-  })
-})
-
 Cypress.Commands.add('waitForApi', () => {
   cy.request({
     url: `${Cypress.env('apiUrl')}/products`,
@@ -49,11 +31,18 @@ Cypress.Commands.add('waitForApi', () => {
   })
 })
 
+// The app sends the API key it finds in local storage, so products can be created and deleted through the UI
+Cypress.on('window:before:load', (win) => {
+  win.localStorage.setItem('demo-inventory.apiKey', Cypress.env('apiKey'))
+})
+
 // Setup to run before each test
 beforeEach(() => {
   // Ensure API is ready before running frontend tests
   cy.waitForApi()
-  
-  // Clear any existing data to ensure clean state
-  cy.clearDatabase()
+})
+
+// Remove only what the test created, leaving other runs' data and anything else in the database alone
+afterEach(() => {
+  cy.cleanupSeededData()
 })
\ No newline at end of file
@@ -0,0 +1,108 @@
+// Test data seeded through the API. Every product gets a SKU and name unique to this run, so runs sharing a
+// backend never see each other's data, and each test deletes only what it created.
+//
+// Specs are bundled apart from this file, so they use the commands rather than importing it, which would give
+// them their own list of created products.
+
+// Tags this run's data; the same for every test in the spec, different for every run
+const runId = (Cypress.env('runId') || `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`).toUpperCase()
+
+// Products created by the current test, deleted after it
+let created = []
+let sequence = 0
+
+const apiHeaders = () => ({
+  'Content-Type': 'application/json',
+  'X-API-Key': Cypress.env('apiKey')
+})
+
+// Tells apart the products of this run, e.g. K3F9X2AB-4
+const nextTag = () => `${runId}-${++sequence}`
+
+// A SKU no other run or test uses, ending with the given readable part
+const uniqueSku = (base = 'ITEM', tag = nextTag()) => `E2E-${tag}-${base}`.slice(0, 50)
+
+// A product's fields with sensible defaults. The SKU and name are made unique; what the fixture gave stays
+// readable in them.
+const buildProduct = (fixture = {}) => {
+  const tag = nextTag()
+  return {
+    description: 'Seeded by the E2E tests',
+    price: 9.99,
+    quantityInStock: 50,
+    ...fixture,
+    name: `${fixture.name || 'Test Product'} ${tag}`,
+    sku: uniqueSku(fixture.sku, tag)
+  }
+}
+
+// Remember a product so it is deleted after the test, e.g. one created through the UI
+const trackProduct = (product) => {
+  created.push(product.id)
+}
+
+// Create products through the API: a count of default products, or a list of fixtures. Yields the created products
+// as the API returned them, in order, so tests refer to their actual SKUs and names.
+Cypress.Commands.add('seedProducts', (countOrFixtures) => {
+  const fixtures = typeof countOrFixtures === 'number'
+    ? Array.from({ length: countOrFixtures }, () => ({}))
+    : [].concat(countOrFixtures)
+  const products = []
+
+  fixtures.forEach((fixture) => {
+    cy.request({
+      method: 'POST',
+      url: `${Cypress.env('apiUrl')}/products`,
+      headers: apiHeaders(),
+      body: buildProduct(fixture),
+      log: false
+    }).then((response) => {
+      trackProduct(response.body)
+      products.push(response.body)
+    })
+  })
+
+  return cy.wrap(products, { log: false })
+})
+
+// Yield a product's fields, or a list of them, without creating anything, for tests that create products through
+// the UI; createProductViaUI tracks what it creates
+Cypress.Commands.add('buildProduct', (fixtureOrFixtures = {}) => {
+  const products = Array.isArray(fixtureOrFixtures) ? fixtureOrFixtures.map(buildProduct) : buildProduct(fixtureOrFixtures)
+  return cy.wrap(products, { log: false })
+})
+
+// Open the product list showing only this run's products, found by the run id every seeded name carries. The list
+// is empty until the test seeds something, since earlier tests removed theirs. Newest come first, so the test's
+// products stay on the first page when a search is cleared.
+Cypress.Commands.add('visitSeededProducts', () => {
+  cy.visit(`/?q=${encodeURIComponent(runId)}&sortBy=createdAt&sortDirection=desc`)
+  cy.get('[data-testid="product-inventory-title"]').should('be.visible')
+})
+
+// Track a product created some other way, found by its SKU
+Cypress.Commands.add('trackProductBySku', (sku) => {
+  return cy.request({
+    method: 'GET',
+    url: `${Cypress.env('apiUrl')}/products/sku/${encodeURIComponent(sku)}`,
+    log: false
+  }).then((response) => {
+    trackProduct(response.body)
+    return response.body
+  })
+})
+
+// Delete what the current test created; products it already deleted are skipped
+Cypress.Commands.add('cleanupSeededData', () => {
+  const ids = created
+  created = []
+  ids.forEach((id) => {
+    cy.request({
+      method: 'DELETE',
+      url: `${Cypress.env('apiUrl')}/products/${id}`,
+      headers: apiHeaders(),
+      failOnStatusCode: false,
+      log: false
+    }).its('status').should('be.oneOf', [204, 404])
+  })
+})
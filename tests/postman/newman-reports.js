@@ -0,0 +1,336 @@
+// Collects what happens to each request during a newman run and writes it out as JUnit XML,
+// CTRF JSON and an HTML summary
+
+const fs = require('fs');
+const path = require('path');
+
+const COLLECTION_FILE_NAME = 'collection.json';
+
+// The folders an item sits in, outermost first; the collection itself is left out
+function folderPath(item) {
+    const folders = [];
+    for (let parent = item.parent && item.parent(); parent && parent.parent && parent.parent(); parent = parent.parent()) {
+        folders.unshift(parent.name);
+    }
+    return folders;
+}
+
+function newRequestResult(item, cursor) {
+    return {
+        name: item.name,
+        folders: folderPath(item),
+        iteration: cursor.iteration || 0,
+        method: item.request ? item.request.method : '',
+        url: item.request ? item.request.url.toString() : '',
+        code: null,
+        status: '',
+        responseTime: 0,
+        responseBody: '',
+        requestError: null,
+        scriptErrors: [],
+        assertions: []
+    };
+}
+
+// A request fails when it could not be sent, a script threw, or any of its assertions failed
+function requestPassed(result) {
+    return !result.requestError && result.scriptErrors.length === 0 &&
+        result.assertions.every((assertion) => assertion.status !== 'failed');
+}
+
+function requestTitle(result) {
+    return [...result.folders, result.name].join(' / ');
+}
+
+// Listen to a newman run and build one result per request sent; onRequest is called with each as it finishes
+function trackRequests(emitter, onRequest = () => {}) {
+    const run = { start: Date.now(), stop: null, iterations: 1, requests: [] };
+    const pending = new Map();
+
+    const resultFor = ({ cursor, item }) => {
+        if (!pending.has(cursor.ref)) {
+            pending.set(cursor.ref, newRequestResult(item, cursor));
+        }
+        return pending.get(cursor.ref);
+    };
+
+    emitter.on('start', (err, args) => {
+        run.start = Date.now();
+        run.iterations = (args && args.cursor && args.cursor.cycles) || 1;
+    });
+
+    emitter.on('beforeItem', (err, args) => {
+        if (args && args.cursor && args.item) {
+            pending.set(args.cursor.ref, newRequestResult(args.item, args.cursor));
+        }
+    });
+
+    emitter.on('request', (err, args) => {
+        if (!args || !args.cursor || !args.item) {
+            return;
+        }
+        const result = resultFor(args);
+        if (args.request) {
+            result.method = args.request.method;
+            result.url = args.request.url.toString();
+        }
+        if (err) {
+            result.requestError = err.message;
+        } else if (args.response) {
+            result.code = args.response.code;
+            result.status = args.response.status;
+            result.responseTime = args.response.responseTime || 0;
+            result.responseBody = args.response.text ? args.response.text() : '';
+        }
+    });
+
+    emitter.on('script', (err, args) => {
+        if (err && args && args.cursor && args.item) {
+            resultFor(args).scriptErrors.push(`${args.event ? args.event.listen : 'script'}: ${err.message.split('\n')[0]}`);
+        }
+    });
+
+    emitter.on('assertion', (err, args) => {
+        if (!args || !args.cursor || !args.item) {
+            return;
+        }
+        resultFor(args).assertions.push({
+            name: args.assertion,
+            status: args.skipped ? 'skipped' : err ? 'failed' : 'passed',
+            message: err ? err.message : '',
+            trace: err ? err.stack : ''
+        });
+    });
+
+    emitter.on('item', (err, args) => {
+        if (!args || !args.cursor || !pending.has(args.cursor.ref)) {
+            return;
+        }
+        const result = pending.get(args.cursor.ref);
+        pending.delete(args.cursor.ref);
+        run.requests.push(result);
+        onRequest(result);
+    });
+
+    emitter.on('done', () => {
+        run.stop = Date.now();
+    });
+
+    return run;
+}
+
+// Totals over a run's requests and assertions
+function summarize(run) {
+    const assertions = run.requests.flatMap((result) => result.assertions);
+    const failedRequests = run.requests.filter((result) => !requestPassed(result));
+    const times = run.requests.filter((result) => result.code !== null).map((result) => result.responseTime);
+    return {
+        requests: run.requests.length,
+        failedRequests: failedRequests.length,
+        assertions: assertions.length,
+        passed: assertions.filter((assertion) => assertion.status === 'passed').length,
+        failed: assertions.filter((assertion) => assertion.status === 'failed').length,
+        skipped: assertions.filter((assertion) => assertion.status === 'skipped').length,
+        duration: (run.stop || Date.now()) - run.start,
+        averageResponseTime: times.length ? Math.round(times.reduce((sum, time) => sum + time, 0) / times.length) : 0,
+        slowestResponseTime: times.length ? Math.max(...times) : 0
+    };
+}
+
+// What went wrong with a request other than failed assertions
+function requestProblems(result) {
+    return [
+        ...(result.requestError ? [`Request failed: ${result.requestError}`] : []),
+        ...result.scriptErrors.map((error) => `Script error in ${error}`)
+    ];
+}
+
+// One CTRF test per assertion, plus one for each request that has none or could not be run
+function toCtrfTests(run) {
+    const suffix = (result) => (run.iterations > 1 ? ` (iteration ${result.iteration + 1})` : '');
+    const test = (result, name, status, message, trace) => ({
+        name: `${requestTitle(result)} > ${name}${suffix(result)}`,
+        status,
+        duration: result.responseTime,
+        ...(status === 'failed' ? { message, trace: trace || message } : {}),
+        rawStatus: status,
+        type: 'api',
+        filePath: COLLECTION_FILE_NAME,
+        retries: 0,
+        flaky: false,
+        suite: requestTitle(result)
+    });
+
+    return run.requests.flatMap((result) => {
+        const tests = result.assertions.map((assertion) =>
+            test(result, assertion.name, assertion.status, assertion.message, assertion.trace));
+        const problems = requestProblems(result);
+        if (problems.length > 0) {
+            tests.push(test(result, `${result.method} ${result.name}`, 'failed', problems.join('\n')));
+        } else if (tests.length === 0) {
+            tests.push(test(result, `${result.method} ${result.name}`, 'passed'));
+        }
+        return tests;
+    });
+}
+
+// The run in the Common Test Report Format, shaped like the report cypress-ctrf-json-reporter writes for the E2E tests
+function toCtrf(run, { toolVersion, environmentName } = {}) {
+    const tests = toCtrfTests(run);
+    const count = (status) => tests.filter((test) => test.status === status).length;
+    return {
+        results: {
+            tool: { name: 'newman', ...(toolVersion ? { version: toolVersion } : {}) },
+            summary: {
+                tests: tests.length,
+                passed: count('passed'),
+                failed: count('failed'),
+                pending: 0,
+                skipped: count('skipped'),
+                other: 0,
+                start: run.start,
+                stop: run.stop || Date.now()
+            },
+            tests,
+            ...(environmentName ? { environment: { testEnvironment: environmentName } } : {})
+        }
+    };
+}
+
+function escapeXml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+const seconds = (milliseconds) => (milliseconds / 1000).toFixed(3);
+
+// One testsuite per request, with a testcase per assertion; a request that could not be run is an error
+function toJUnit(run, { collectionName = 'Postman collection' } = {}) {
+    const totals = summarize(run);
+    const suites = run.requests.map((result) => {
+        const problems = requestProblems(result);
+        const failures = result.assertions.filter((assertion) => assertion.status === 'failed').length;
+        const skipped = result.assertions.filter((assertion) => assertion.status === 'skipped').length;
+        const suiteName = run.iterations > 1 ? `${requestTitle(result)} (iteration ${result.iteration + 1})` : requestTitle(result);
+        const cases = result.assertions.map((assertion) => {
+            const open = `    <testcase name="${escapeXml(assertion.name)}" classname="${escapeXml(suiteName)}" time="${seconds(result.responseTime)}"`;
+            if (assertion.status === 'failed') {
+                return `${open}>\n      <failure type="AssertionError" message="${escapeXml(assertion.message)}">${escapeXml(assertion.trace || assertion.message)}</failure>\n    </testcase>`;
+            }
+            if (assertion.status === 'skipped') {
+                return `${open}>\n      <skipped/>\n    </testcase>`;
+            }
+            return `${open}/>`;
+        });
+        if (problems.length > 0) {
+            cases.push(`    <testcase name="${escapeXml(`${result.method} ${result.name}`)}" classname="${escapeXml(suiteName)}" time="${seconds(result.responseTime)}">\n` +
+                `      <error message="${escapeXml(problems[0])}">${escapeXml(problems.join('\n'))}</error>\n    </testcase>`);
+        }
+        return `  <testsuite name="${escapeXml(suiteName)}" tests="${cases.length}" failures="${failures}" errors="${problems.length > 0 ? 1 : 0}" ` +
+            `skipped="${skipped}" time="${seconds(result.responseTime)}">\n${cases.join('\n')}\n  </testsuite>`;
+    });
+    const errors = run.requests.filter((result) => requestProblems(result).length > 0).length;
+    return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+        `<testsuites name="${escapeXml(collectionName)}" tests="${totals.assertions + errors}" failures="${totals.failed}" errors="${errors}" ` +
+        `time="${seconds(totals.duration)}" timestamp="${new Date(run.start).toISOString()}">\n${suites.join('\n')}\n</testsuites>\n`;
+}
+
+const escapeHtml = escapeXml;
+
+const HTML_STYLE = `
+    body { font-family: system-ui, sans-serif; margin: 2rem; color: #212529; }
+    h1 { margin-bottom: 0.25rem; }
+    .meta { color: #6c757d; margin-top: 0; }
+    .totals { display: flex; gap: 1rem; margin: 1.5rem 0; }
+    .totals div { border: 1px solid #dee2e6; border-radius: 6px; padding: 0.75rem 1.25rem; }
+    .totals strong { display: block; font-size: 1.5rem; }
+    table { border-collapse: collapse; width: 100%; }
+    th, td { border-bottom: 1px solid #dee2e6; padding: 0.5rem; text-align: left; vertical-align: top; }
+    td.number { text-align: right; white-space: nowrap; }
+    .passed { color: #198754; }
+    .failed { color: #dc3545; }
+    .skipped { color: #6c757d; }
+    ul { margin: 0.25rem 0 0; padding-left: 1.25rem; }
+    code { word-break: break-all; }`;
+
+// A self-contained page with the run's totals and every request with its assertions
+function toHtml(run, { collectionName = 'Postman collection', environmentName = '' } = {}) {
+    const totals = summarize(run);
+    const mark = { passed: '&#10003;', failed: '&#10007;', skipped: '&#8211;' };
+    const rows = run.requests.map((result) => {
+        const status = requestPassed(result) ? 'passed' : 'failed';
+        const details = [
+            ...requestProblems(result).map((problem) => `<li class="failed">${escapeHtml(problem)}</li>`),
+            ...result.assertions.map((assertion) => `<li class="${assertion.status}">${mark[assertion.status]} ${escapeHtml(assertion.name)}` +
+                `${assertion.message ? `: ${escapeHtml(assertion.message)}` : ''}</li>`)
+        ];
+        return `      <tr>
+        <td class="${status}">${mark[status]}</td>
+        <td>${escapeHtml(requestTitle(result))}${run.iterations > 1 ? ` (iteration ${result.iteration + 1})` : ''}
+          <br><code>${escapeHtml(result.method)} ${escapeHtml(result.url)}</code>
+          ${details.length ? `<ul>${details.join('')}</ul>` : ''}</td>
+        <td class="number">${result.code !== null ? `${result.code} ${escapeHtml(result.status)}` : '&#8211;'}</td>
+        <td class="number">${result.responseTime} ms</td>
+      </tr>`;
+    });
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>${escapeHtml(collectionName)} - API test results</title>
+  <style>${HTML_STYLE}
+  </style>
+</head>
+<body>
+  <h1>${escapeHtml(collectionName)}</h1>
+  <p class="meta">${environmentName ? `${escapeHtml(environmentName)} environment, ` : ''}${new Date(run.start).toISOString()}</p>
+  <div class="totals">
+    <div><strong>${totals.requests}</strong>requests</div>
+    <div><strong class="passed">${totals.passed}</strong>assertions passed</div>
+    <div><strong class="failed">${totals.failed}</strong>assertions failed</div>
+    <div><strong class="failed">${totals.failedRequests}</strong>requests failed</div>
+    <div><strong>${seconds(totals.duration)} s</strong>total, ${totals.averageResponseTime} ms average response</div>
+  </div>
+  <table>
+    <thead>
+      <tr><th></th><th>Request</th><th>Response</th><th>Time</th></tr>
+    </thead>
+    <tbody>
+${rows.join('\n')}
+    </tbody>
+  </table>
+</body>
+</html>
+`;
+}
+
+// Write the reports whose paths are given, creating their directories; returns the paths written
+function writeReports(run, files, details = {}) {
+    const writers = { junit: toJUnit, ctrf: (r, d) => `${JSON.stringify(toCtrf(r, d), null, 2)}\n`, html: toHtml };
+    const written = [];
+    for (const [format, file] of Object.entries(files)) {
+        if (!file) {
+            continue;
+        }
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        fs.writeFileSync(file, writers[format](run, details));
+        written.push(file);
+    }
+    return written;
+}
+
+module.exports = {
+    requestPassed,
+    requestProblems,
+    requestTitle,
+    summarize,
+    toCtrf,
+    toHtml,
+    toJUnit,
+    trackRequests,
+    writeReports
+};
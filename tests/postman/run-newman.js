@@ -1,14 +1,57 @@
 #!/usr/bin/env node
 
-const { spawn } = require('child_process');
-const { existsSync } = require('fs');
+const fs = require('fs');
 const path = require('path');
 const http = require('http');
+const { requestPassed, requestProblems, requestTitle, summarize, trackRequests, writeReports } = require('./newman-reports');
 
 // Configuration
 const COLLECTION_FILE = path.join(__dirname, 'collection.json');
-const LOCAL_ENV_FILE = path.join(__dirname, 'environment.json');
-const DOCKER_ENV_FILE = path.join(__dirname, 'docker-environment.json');
+const ENVIRONMENT_FILE_SUFFIX = 'environment.json';
+// environment.json has no prefix to name it by; it is the local development environment
+const DEFAULT_ENVIRONMENT = 'local';
+const REPORT_DIR = path.join(__dirname, 'test-results');
+const REPORT_FILES = { junit: 'newman-junit.xml', ctrf: 'ctrf-report.json', html: 'newman-report.html' };
+// Most of a failed request's response body shown with --verbose
+const MAX_BODY_LENGTH = 1000;
+
+const USAGE = `Usage: node run-newman.js [environment] [options]
+
+  environment              An environment name (see --list-environments) or "auto" (default)
+                           to use the first environment whose API responds
+
+Options:
+  --env-var key=value      Set or override an environment variable; may be repeated,
+                           e.g. --env-var baseUrl=http://localhost:8080 --env-var apiKey=secret
+  --report-dir dir         Where the reports are written (default: test-results)
+  --junit-export file      Write the JUnit XML report to this file instead
+  --ctrf-export file       Write the CTRF JSON report to this file instead
+  --html-export file       Write the HTML summary to this file instead
+  --folder name            Run only this folder of the collection; may be repeated
+  --bail                   Stop at the first failing request
+  -n, --iteration-count n  Run the collection n times
+  --timeout-request ms     Fail requests that take longer than this
+  --delay-request ms       Wait this long between requests
+  -k, --insecure           Accept self-signed certificates
+  --verbose                Show the response body of failed requests
+  --list-environments      List the available environments and exit
+  --help                   Show this message and exit
+
+NEWMAN_BASE_URL, when set, overrides baseUrl.`;
+
+// The newman options the runner accepts, with the name newman.run knows each by
+const NEWMAN_OPTIONS = {
+    '--bail': { option: 'bail', flag: true },
+    '--insecure': { option: 'insecure', flag: true },
+    '-k': { option: 'insecure', flag: true },
+    '--folder': { option: 'folder', repeat: true },
+    '--iteration-count': { option: 'iterationCount', number: true },
+    '-n': { option: 'iterationCount', number: true },
+    '--timeout-request': { option: 'timeoutRequest', number: true },
+    '--delay-request': { option: 'delayRequest', number: true }
+};
+
+const REPORT_OPTIONS = { '--junit-export': 'junit', '--ctrf-export': 'ctrf', '--html-export': 'html' };
 
 // Function to check if a URL is accessible
 function checkUrl(url) {
@@ -19,6 +62,7 @@ function checkUrl(url) {
 
         const req = http.get(url, (res) => {
             clearTimeout(timeout);
+            res.resume();
             resolve(res.statusCode >= 200 && res.statusCode < 400);
         });
 
@@ -35,163 +79,327 @@ function checkUrl(url) {
     });
 }
 
-// Function to detect environment
-async function detectEnvironment() {
-    console.log('Auto-detecting environment...');
-    
-    // Check for environment variable override
-    if (process.env.NEWMAN_BASE_URL) {
-        console.log(`Environment variable NEWMAN_BASE_URL is set to: ${process.env.NEWMAN_BASE_URL}`);
-        // Determine environment based on URL
-        if (process.env.NEWMAN_BASE_URL.includes(':5126')) {
-            return 'local';
-        } else if (process.env.NEWMAN_BASE_URL.includes(':5000')) {
-            return 'docker';
+// The environment a file describes, named after its prefix: docker-environment.json is "docker"
+function environmentName(fileName) {
+    const prefix = fileName.slice(0, -ENVIRONMENT_FILE_SUFFIX.length).replace(/[-_.]+$/, '');
+    return prefix || DEFAULT_ENVIRONMENT;
+}
+
+// Find every *environment.json file next to the collection, local first, then by name
+function discoverEnvironments(directory = __dirname) {
+    return fs.readdirSync(directory)
+        .filter((fileName) => fileName.endsWith(ENVIRONMENT_FILE_SUFFIX))
+        .map((fileName) => {
+            const file = path.join(directory, fileName);
+            const environment = JSON.parse(fs.readFileSync(file, 'utf8'));
+            return { name: environmentName(fileName), file, environment };
+        })
+        .sort((a, b) => (a.name === DEFAULT_ENVIRONMENT ? -1 : b.name === DEFAULT_ENVIRONMENT ? 1 : a.name.localeCompare(b.name)));
+}
+
+function getVariable(environment, key) {
+    const variable = (environment.values || []).find((value) => value.key === key && value.enabled !== false);
+    return variable ? variable.value : undefined;
+}
+
+// A copy of the environment with the given variables set; the file it came from is left alone
+function applyOverrides(environment, overrides) {
+    const values = (environment.values || []).map((value) => ({ ...value }));
+    for (const [key, value] of Object.entries(overrides)) {
+        const existing = values.find((variable) => variable.key === key);
+        if (existing) {
+            existing.value = value;
+            existing.enabled = true;
+        } else {
+            values.push({ key, value, type: /key|token|secret|password/i.test(key) ? 'secret' : 'default', enabled: true });
+        }
+    }
+    return { ...environment, values };
+}
+
+function parseEnvVar(text) {
+    const separator = text.indexOf('=');
+    if (separator <= 0) {
+        throw new Error(`--env-var expects key=value, got '${text}'`);
+    }
+    return [text.slice(0, separator), text.slice(separator + 1)];
+}
+
+// Split --name=value into its parts; other arguments come back as they are
+function splitOption(arg) {
+    const separator = arg.indexOf('=');
+    return arg.startsWith('--') && separator > 0 ? [arg.slice(0, separator), arg.slice(separator + 1)] : [arg, undefined];
+}
+
+// Read the command line into the runner's options and the ones to run newman with
+function parseArgs(args) {
+    const options = {
+        environment: 'auto',
+        overrides: {},
+        list: false,
+        help: false,
+        verbose: false,
+        reportDir: REPORT_DIR,
+        reportFiles: {},
+        newmanOptions: {}
+    };
+    let index = 0;
+    if (args.length > 0 && !args[0].startsWith('-')) {
+        options.environment = args[0];
+        index = 1;
+    }
+    for (; index < args.length; index++) {
+        const [name, inlineValue] = splitOption(args[index]);
+        const value = () => {
+            if (inlineValue !== undefined) {
+                return inlineValue;
+            }
+            if (index + 1 >= args.length) {
+                throw new Error(`${name} expects a value`);
+            }
+            return args[++index];
+        };
+
+        if (name === '--env-var') {
+            const [key, variable] = parseEnvVar(value());
+            options.overrides[key] = variable;
+        } else if (name === '--report-dir') {
+            options.reportDir = path.resolve(value());
+        } else if (REPORT_OPTIONS[name]) {
+            options.reportFiles[REPORT_OPTIONS[name]] = path.resolve(value());
+        } else if (NEWMAN_OPTIONS[name]) {
+            const { option, flag, number, repeat } = NEWMAN_OPTIONS[name];
+            if (flag) {
+                options.newmanOptions[option] = true;
+            } else if (number) {
+                const text = value();
+                const parsed = Number(text);
+                if (!Number.isInteger(parsed) || parsed < 0) {
+                    throw new Error(`${name} expects a whole number, got '${text}'`);
+                }
+                options.newmanOptions[option] = parsed;
+            } else if (repeat) {
+                options.newmanOptions[option] = [...(options.newmanOptions[option] || []), value()];
+            }
+        } else if (name === '--verbose') {
+            options.verbose = true;
+        } else if (name === '--list-environments') {
+            options.list = true;
+        } else if (name === '--help' || name === '-h') {
+            options.help = true;
         } else {
-            return 'local';  // Default to local for custom URLs
+            throw new Error(`Unknown option '${args[index]}'`);
+        }
+    }
+    return options;
+}
+
+// Where each report goes: its own path when one was given, otherwise its default name in the report directory
+function reportPaths(options) {
+    return Object.fromEntries(Object.entries(REPORT_FILES).map(([format, fileName]) =>
+        [format, options.reportFiles[format] || path.join(options.reportDir, fileName)]));
+}
+
+function printEnvironments(environments) {
+    console.log('Available environments:');
+    for (const { name, file, environment } of environments) {
+        const baseUrl = getVariable(environment, 'baseUrl') || '(no baseUrl)';
+        console.log(`  ${name.padEnd(16)} ${baseUrl.padEnd(28)} ${path.basename(file)}`);
+    }
+    console.log('  auto             the first of these whose API responds');
+}
+
+// Pick the environment to run against; "auto" tries each environment's API in turn
+async function selectEnvironment(name, environments, baseUrlOverride) {
+    if (name !== 'auto') {
+        const match = environments.find((environment) => environment.name === name);
+        if (!match) {
+            const error = new Error(`Unknown environment '${name}'.`);
+            error.code = 'UNKNOWN_ENVIRONMENT';
+            throw error;
         }
+        return match;
     }
-    
-    // Check if local API is running (port 5126)
-    if (await checkUrl('http://localhost:5126/api/products')) {
-        return 'local';
+
+    const fallback = environments.find((environment) => environment.name === DEFAULT_ENVIRONMENT) || environments[0];
+    // The URL is given, so there is nothing to detect; it is applied on top of the default environment
+    if (baseUrlOverride) {
+        return fallback;
     }
-    
-    // Check if Docker API is running (port 5000)  
-    if (await checkUrl('http://localhost:5000/api/products')) {
-        return 'docker';
+
+    console.log('Auto-detecting environment...');
+    for (const environment of environments) {
+        const baseUrl = getVariable(environment.environment, 'baseUrl');
+        if (baseUrl && await checkUrl(`${baseUrl.replace(/\/$/, '')}/api/products`)) {
+            console.log(`Auto-detected: ${environment.name} environment (${baseUrl})`);
+            return environment;
+        }
     }
-    
-    // Default to local if neither is detected
-    return 'local';
+    console.log(`No API responded; falling back to the ${fallback.name} environment`);
+    return fallback;
+}
+
+function maskValue(key, value) {
+    return /key|token|secret|password/i.test(key) ? '********' : value;
 }
 
 // Main function
 async function main() {
-    const args = process.argv.slice(2);
-    
-    // If first argument is not a known environment, default to 'auto'
-    let environment = 'auto';
-    let newmanArgs = args;
-    
-    if (args.length > 0 && ['local', 'docker', 'auto'].includes(args[0])) {
-        environment = args[0];
-        newmanArgs = args.slice(1);
-    }
-
-    let environmentFile;
-    let environmentName;
-
-    // Determine which environment file to use
-    switch (environment) {
-        case 'local':
-            environmentFile = LOCAL_ENV_FILE;
-            environmentName = 'local environment (port 5126)';
-            break;
-        case 'docker':
-            environmentFile = DOCKER_ENV_FILE;
-            environmentName = 'Docker environment (port 5000)';
-            break;
-        case 'auto':
-            // Check for environment variable override
-            if (process.env.NEWMAN_BASE_URL) {
-                console.log(`Environment variable NEWMAN_BASE_URL is set to: ${process.env.NEWMAN_BASE_URL}`);
-                // Create a temporary environment file
-                const tempEnvFile = path.join(__dirname, 'temp-environment.json');
-                const tempEnv = {
-                    id: 'temp-environment',
-                    name: 'Custom Environment',
-                    values: [
-                        {
-                            key: 'baseUrl',
-                            value: process.env.NEWMAN_BASE_URL,
-                            type: 'default',
-                            enabled: true
-                        }
-                    ],
-                    _postman_variable_scope: 'environment'
-                };
-                
-                require('fs').writeFileSync(tempEnvFile, JSON.stringify(tempEnv, null, 2));
-                environmentFile = tempEnvFile;
-                environmentName = `custom environment (${process.env.NEWMAN_BASE_URL})`;
-                console.log(`Using custom environment: ${process.env.NEWMAN_BASE_URL}`);
-            } else {
-                // Original auto-detection logic
-                const detectedEnv = await detectEnvironment();
-                if (detectedEnv === 'local') {
-                    environmentFile = LOCAL_ENV_FILE;
-                    environmentName = 'local environment (port 5126)';
-                    console.log('Auto-detected: local environment (port 5126)');
-                } else {
-                    environmentFile = DOCKER_ENV_FILE;
-                    environmentName = 'Docker environment (port 5000)';
-                    console.log('Auto-detected: Docker environment (port 5000)');
-                }
-            }
-            break;
-        default:
-            console.error(`Error: Invalid environment '${environment}'. Use: local, docker, or auto`);
-            process.exit(1);
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (err) {
+        console.error(`Error: ${err.message}`);
+        console.error(USAGE);
+        process.exit(1);
     }
 
-    // Check if files exist
-    if (!existsSync(COLLECTION_FILE)) {
-        console.error(`Error: Collection file not found: ${COLLECTION_FILE}`);
+    if (options.help) {
+        console.log(USAGE);
+        return;
+    }
+
+    const environments = discoverEnvironments();
+    if (options.list) {
+        printEnvironments(environments);
+        return;
+    }
+    if (environments.length === 0) {
+        console.error(`Error: No *${ENVIRONMENT_FILE_SUFFIX} files found in ${__dirname}`);
         process.exit(1);
     }
 
-    if (!existsSync(environmentFile)) {
-        console.error(`Error: Environment file not found: ${environmentFile}`);
+    if (!fs.existsSync(COLLECTION_FILE)) {
+        console.error(`Error: Collection file not found: ${COLLECTION_FILE}`);
         process.exit(1);
     }
 
-    // Build Newman command
-    const newmanCommand = [
-        'run',
-        COLLECTION_FILE,
-        '--environment',
-        environmentFile,
-        ...newmanArgs
-    ];
+    const overrides = { ...options.overrides };
+    if (process.env.NEWMAN_BASE_URL && overrides.baseUrl === undefined) {
+        console.log(`Environment variable NEWMAN_BASE_URL is set to: ${process.env.NEWMAN_BASE_URL}`);
+        overrides.baseUrl = process.env.NEWMAN_BASE_URL;
+    }
+
+    let selected;
+    try {
+        selected = await selectEnvironment(options.environment, environments, overrides.baseUrl);
+    } catch (err) {
+        if (err.code !== 'UNKNOWN_ENVIRONMENT') {
+            throw err;
+        }
+        console.error(`Error: ${err.message}`);
+        printEnvironments(environments);
+        process.exit(1);
+    }
 
-    console.log(`Using ${environmentName}`);
-    console.log(`Running Newman collection with environment file: ${path.basename(environmentFile)}`);
+    const environment = applyOverrides(selected.environment, overrides);
+    console.log(`Using ${selected.name} environment (${getVariable(environment, 'baseUrl')}) from ${path.basename(selected.file)}`);
+    for (const [key, value] of Object.entries(overrides)) {
+        console.log(`  ${key} = ${maskValue(key, value)}`);
+    }
 
-    // Run Newman
-    const newman = spawn('newman', newmanCommand, {
-        stdio: 'inherit'
+    const newman = loadNewman();
+    const files = reportPaths(options);
+    const run = newman.run({
+        collection: COLLECTION_FILE,
+        environment,
+        // The runner prints and writes its own reports from the run's events
+        reporters: [],
+        ...options.newmanOptions
     });
+    const results = trackRequests(run, printRequest);
 
-    newman.on('close', (code) => {
-        // Cleanup temporary files
-        const tempEnvFile = path.join(__dirname, 'temp-environment.json');
-        if (existsSync(tempEnvFile)) {
-            require('fs').unlinkSync(tempEnvFile);
+    run.on('done', (err, summary) => {
+        printSummary(summarize(results));
+        const written = writeReports(results, files, {
+            collectionName: summary && summary.collection ? summary.collection.name : undefined,
+            environmentName: selected.name,
+            toolVersion: newman.version
+        });
+        console.log(`\nReports:\n${written.map((file) => `  ${displayPath(file)}`).join('\n')}`);
+
+        if (err) {
+            console.error(`\nError: The run could not finish: ${err.message}`);
+            process.exit(1);
+        }
+        const failed = results.requests.filter((result) => !requestPassed(result));
+        if (failed.length > 0) {
+            printFailures(failed, options.verbose);
+            process.exit(1);
         }
-        process.exit(code);
     });
+}
 
-    newman.on('error', (err) => {
-        // Cleanup temporary files
-        const tempEnvFile = path.join(__dirname, 'temp-environment.json');
-        if (existsSync(tempEnvFile)) {
-            require('fs').unlinkSync(tempEnvFile);
-        }
-        
-        if (err.code === 'ENOENT') {
-            console.error('Error: newman command not found. Please install Newman: npm install -g newman');
-        } else {
-            console.error('Error running Newman:', err.message);
+// newman is a dependency of this directory rather than a global command, so say how to install it
+function loadNewman() {
+    try {
+        const newman = require('newman');
+        return { run: newman.run, version: require('newman/package.json').version };
+    } catch (err) {
+        if (err.code !== 'MODULE_NOT_FOUND') {
+            throw err;
         }
+        console.error(`Error: newman is not installed. Run npm install in ${__dirname}`);
         process.exit(1);
+    }
+}
+
+// Paths below the working directory are shown relative to it
+function displayPath(file) {
+    const relative = path.relative(process.cwd(), file);
+    return relative.startsWith('..') ? file : relative;
+}
+
+const MARKS = { passed: '✓', failed: '✗', skipped: '-' };
+
+function printRequest(result) {
+    const mark = requestPassed(result) ? MARKS.passed : MARKS.failed;
+    const response = result.code !== null ? `${result.code} ${result.status}` : 'no response';
+    console.log(`${mark} ${requestTitle(result)}  ${result.method} ${response}  ${result.responseTime} ms`);
+    for (const problem of requestProblems(result)) {
+        console.log(`    ${MARKS.failed} ${problem}`);
+    }
+    for (const assertion of result.assertions) {
+        console.log(`    ${MARKS[assertion.status]} ${assertion.name}`);
+    }
+}
+
+function printSummary(totals) {
+    console.log(`\n${totals.requests} requests, ${totals.assertions} assertions: ${totals.passed} passed, ` +
+        `${totals.failed} failed, ${totals.skipped} skipped`);
+    console.log(`Finished in ${(totals.duration / 1000).toFixed(1)} s; responses took ${totals.averageResponseTime} ms ` +
+        `on average, ${totals.slowestResponseTime} ms at most`);
+}
+
+// Every failed request with what went wrong, so a failing run can be read without the reports
+function printFailures(failed, verbose) {
+    console.error(`\n${failed.length} failed request${failed.length === 1 ? '' : 's'}:`);
+    failed.forEach((result, index) => {
+        console.error(`\n  ${index + 1}. ${requestTitle(result)}`);
+        console.error(`     ${result.method} ${result.url} -> ${result.code !== null ? `${result.code} ${result.status}` : 'no response'}`);
+        for (const problem of requestProblems(result)) {
+            console.error(`     ${problem}`);
+        }
+        for (const assertion of result.assertions.filter((candidate) => candidate.status === 'failed')) {
+            console.error(`     ${MARKS.failed} ${assertion.name}: ${assertion.message}`);
+        }
+        if (verbose && result.responseBody) {
+            const body = result.responseBody.length > MAX_BODY_LENGTH
+                ? `${result.responseBody.slice(0, MAX_BODY_LENGTH)}...`
+                : result.responseBody;
+            console.error(`     Response body: ${body}`);
+        }
     });
 }
 
-// Handle unhandled promise rejections
-process.on('unhandledRejection', (err) => {
-    console.error('Error:', err.message);
-    process.exit(1);
-});
+module.exports = { applyOverrides, discoverEnvironments, environmentName, parseArgs, reportPaths, selectEnvironment };
+
+if (require.main === module) {
+    // Handle unhandled promise rejections
+    process.on('unhandledRejection', (err) => {
+        console.error('Error:', err.message);
+        process.exit(1);
+    });
 
-main();
\ No newline at end of file
+    main();
+}
\ No newline at end of file
@@ -0,0 +1,204 @@
+#!/usr/bin/env node
+
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const { REPO_ROOT, mergeSources, metrics, readSource, toCtrf } = require('./merge-reports');
+const { loadHistory, saveSnapshot, statusChanges, trends } = require('./report-history');
+const { formatDuration, formatRate, toHtml, toMarkdown } = require('./report-renderers');
+
+// Where each suite writes its report when run as its README describes
+const DEFAULT_INPUTS = {
+    cypress: 'tests/e2e/cypress/reports/ctrf-report.json',
+    'cypress-component': 'tests/e2e/cypress/reports/ctrf-component-report.json',
+    newman: 'tests/postman/test-results/ctrf-report.json',
+    vitest: 'frontend/reports/vitest-results.json'
+};
+const OUTPUT_DIR = 'TestResults/test-report';
+const HISTORY_DIR = 'TestResults/test-report-history';
+const HISTORY_LIMIT = 30;
+const OUTPUT_FILES = { ctrf: 'merged-ctrf-report.json', html: 'dashboard.html', markdown: 'summary.md' };
+
+const USAGE = `Usage: node aggregate-reports.js [options]
+
+Merges the Cypress, Newman and Vitest reports into one, compares it with earlier runs and writes
+${OUTPUT_FILES.ctrf}, ${OUTPUT_FILES.html} and ${OUTPUT_FILES.markdown}.
+
+Options:
+  --input name=file        Read a suite's report (CTRF, or Vitest JSON) from this file; may be repeated.
+                           Replaces the file of a suite read by default, or adds a suite
+  --output-dir dir         Where the reports are written (default: ${OUTPUT_DIR})
+  --history-dir dir        Where earlier runs are kept (default: ${HISTORY_DIR})
+  --history-limit n        How many earlier runs to keep (default: ${HISTORY_LIMIT})
+  --no-save-history        Compare with earlier runs without adding this one
+  --help                   Show this message and exit
+
+Relative paths are resolved from the repository root. Suites without a report are left out.`;
+
+const fromRoot = (file) => path.resolve(REPO_ROOT, file);
+
+// Paths inside the repository are shown relative to it
+function displayPath(file, from = REPO_ROOT) {
+    const relative = path.relative(from, file);
+    return relative.startsWith('..') ? file : relative;
+}
+
+function parseArgs(args) {
+    const options = {
+        inputs: Object.fromEntries(Object.entries(DEFAULT_INPUTS).map(([name, file]) => [name, fromRoot(file)])),
+        outputDir: fromRoot(OUTPUT_DIR),
+        historyDir: fromRoot(HISTORY_DIR),
+        historyLimit: HISTORY_LIMIT,
+        saveHistory: true,
+        help: false
+    };
+    for (let index = 0; index < args.length; index++) {
+        const arg = args[index];
+        const separator = arg.indexOf('=');
+        const [name, inlineValue] = arg.startsWith('--') && separator > 0 ? [arg.slice(0, separator), arg.slice(separator + 1)] : [arg, undefined];
+        const value = () => {
+            if (inlineValue !== undefined) {
+                return inlineValue;
+            }
+            if (index + 1 >= args.length) {
+                throw new Error(`${name} expects a value`);
+            }
+            return args[++index];
+        };
+
+        if (name === '--input') {
+            const input = value();
+            const equals = input.indexOf('=');
+            if (equals <= 0 || equals === input.length - 1) {
+                throw new Error(`--input expects name=file, got '${input}'`);
+            }
+            options.inputs[input.slice(0, equals)] = fromRoot(input.slice(equals + 1));
+        } else if (name === '--output-dir') {
+            options.outputDir = fromRoot(value());
+        } else if (name === '--history-dir') {
+            options.historyDir = fromRoot(value());
+        } else if (name === '--history-limit') {
+            const text = value();
+            options.historyLimit = Number(text);
+            if (!Number.isInteger(options.historyLimit) || options.historyLimit < 1) {
+                throw new Error(`--history-limit expects a positive whole number, got '${text}'`);
+            }
+        } else if (name === '--no-save-history') {
+            options.saveHistory = false;
+        } else if (name === '--help' || name === '-h') {
+            options.help = true;
+        } else {
+            throw new Error(`Unknown option '${arg}'`);
+        }
+    }
+    return options;
+}
+
+// The commit and branch being tested, from the CI environment or else from git
+function revision() {
+    const git = (...args) => {
+        try {
+            return execFileSync('git', args, { cwd: REPO_ROOT, encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'] }).trim() || null;
+        } catch {
+            return null;
+        }
+    };
+    return {
+        commit: process.env.GITHUB_SHA || git('rev-parse', 'HEAD'),
+        branch: process.env.GITHUB_HEAD_REF || process.env.GITHUB_REF_NAME || git('rev-parse', '--abbrev-ref', 'HEAD')
+    };
+}
+
+// Read the suites' reports and merge them with the history into everything the reports show
+function aggregate(options, now = new Date()) {
+    const sources = [];
+    const width = Math.max(...Object.keys(options.inputs).map((name) => name.length));
+    for (const [name, file] of Object.entries(options.inputs)) {
+        const source = readSource(name, file);
+        if (source) {
+            sources.push(source);
+            console.log(`  ${name.padEnd(width)} ${String(source.tests.length).padStart(5)} tests  ${displayPath(file)}`);
+        } else {
+            console.log(`  ${name.padEnd(width)}    no report at ${displayPath(file)}`);
+        }
+    }
+    if (sources.length === 0) {
+        throw new Error('None of the suites has a report to aggregate');
+    }
+
+    const { tests, duplicates } = mergeSources(sources);
+    const suites = Object.fromEntries(sources.map((source) => [
+        source.name,
+        metrics(tests.filter((test) => test.extra.source === source.name), source.duration)
+    ]));
+    const totals = metrics(tests, sources.reduce((sum, source) => sum + source.duration, 0));
+    const history = loadHistory(options.historyDir).slice(-options.historyLimit);
+    const starts = sources.map((source) => source.start).filter(Boolean);
+
+    return {
+        timestamp: now.toISOString(),
+        ...revision(),
+        sources,
+        tests,
+        duplicates,
+        suites,
+        totals,
+        history,
+        trends: trends(totals, history),
+        changes: statusChanges(tests, history),
+        span: { start: starts.length > 0 ? Math.min(...starts) : now.getTime(), stop: now.getTime() }
+    };
+}
+
+function writeOutputs(run, outputDir) {
+    fs.mkdirSync(outputDir, { recursive: true });
+    const files = Object.fromEntries(Object.entries(OUTPUT_FILES).map(([format, fileName]) => [format, path.join(outputDir, fileName)]));
+    fs.writeFileSync(files.ctrf, `${JSON.stringify(toCtrf(run.sources, run.tests, run.totals, run.span), null, 2)}\n`);
+    fs.writeFileSync(files.html, toHtml(run));
+    fs.writeFileSync(files.markdown, toMarkdown(run));
+    return files;
+}
+
+function main() {
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (err) {
+        console.error(`Error: ${err.message}`);
+        console.error(USAGE);
+        process.exit(1);
+    }
+    if (options.help) {
+        console.log(USAGE);
+        return;
+    }
+
+    console.log('Reading test reports:');
+    let run;
+    try {
+        run = aggregate(options);
+    } catch (err) {
+        console.error(`Error: ${err.message}`);
+        process.exit(1);
+    }
+
+    const files = writeOutputs(run, options.outputDir);
+    const { totals } = run;
+    console.log(`\n${totals.tests} tests: ${totals.passed} passed, ${totals.failed} failed, ${totals.skipped + totals.pending} skipped, ` +
+        `${totals.flaky} flaky`);
+    console.log(`Pass rate ${formatRate(totals.passRate)}, flake rate ${formatRate(totals.flakeRate)}, ` +
+        `duration ${formatDuration(totals.duration)}; compared with ${run.history.length} earlier run${run.history.length === 1 ? '' : 's'}`);
+    if (run.duplicates > 0) {
+        console.log(`${run.duplicates} duplicate results were merged`);
+    }
+    if (options.saveHistory) {
+        saveSnapshot(options.historyDir, run, options.historyLimit);
+    }
+    console.log(`\nReports:\n${Object.values(files).map((file) => `  ${displayPath(file, process.cwd())}`).join('\n')}`);
+}
+
+module.exports = { aggregate, parseArgs };
+
+if (require.main === module) {
+    main();
+}
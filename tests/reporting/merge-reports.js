@@ -0,0 +1,160 @@
+// Reads the test reports each suite writes and merges them into one CTRF report
+
+const fs = require('fs');
+const path = require('path');
+
+const REPO_ROOT = path.resolve(__dirname, '..', '..');
+
+// Vitest's JSON reporter uses Jest's statuses; pending and todo tests were not run
+const VITEST_STATUSES = { passed: 'passed', failed: 'failed', skipped: 'skipped', pending: 'skipped', todo: 'pending' };
+
+// A Vitest JSON report (--reporter=json) as CTRF, with paths relative to the repository so ids match across machines
+function fromVitest(report) {
+    const files = report.testResults || [];
+    const tests = files.flatMap((file) => (file.assertionResults || []).map((test) => ({
+        name: test.fullName || [...(test.ancestorTitles || []), test.title].join(' '),
+        status: VITEST_STATUSES[test.status] || 'other',
+        duration: Math.round(test.duration || 0),
+        ...(test.status === 'failed' && test.failureMessages && test.failureMessages.length > 0
+            ? { message: test.failureMessages[0].split('\n')[0], trace: test.failureMessages.join('\n') }
+            : {}),
+        rawStatus: test.status,
+        type: 'unit',
+        filePath: path.isAbsolute(file.name) ? path.relative(REPO_ROOT, file.name) : file.name,
+        suite: (test.ancestorTitles || []).join(' > ')
+    })));
+    const stop = Math.max(report.startTime || 0, ...files.map((file) => file.endTime || 0));
+    return {
+        results: {
+            tool: { name: 'vitest' },
+            summary: { start: report.startTime || 0, stop },
+            tests
+        }
+    };
+}
+
+function isCtrf(report) {
+    return Boolean(report && report.results && Array.isArray(report.results.tests));
+}
+
+function isVitest(report) {
+    return Boolean(report && Array.isArray(report.testResults));
+}
+
+// How long a suite took: its own start and stop when it recorded them, otherwise the sum of its tests
+function suiteDuration(results) {
+    const { start, stop } = results.summary || {};
+    if (start > 0 && stop >= start) {
+        return stop - start;
+    }
+    return results.tests.reduce((sum, test) => sum + (test.duration || 0), 0);
+}
+
+// Read one suite's report, in CTRF or as Vitest JSON; returns null when the suite wrote none
+function readSource(name, file) {
+    if (!fs.existsSync(file)) {
+        return null;
+    }
+    let report;
+    try {
+        report = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (err) {
+        throw new Error(`${file} is not valid JSON: ${err.message}`);
+    }
+    if (isVitest(report)) {
+        report = fromVitest(report);
+    } else if (!isCtrf(report)) {
+        throw new Error(`${file} is neither a CTRF report nor a Vitest JSON report`);
+    }
+    const { results } = report;
+    return {
+        name,
+        file,
+        tool: results.tool && results.tool.name ? results.tool.name : name,
+        start: results.summary && results.summary.start > 0 ? results.summary.start : null,
+        duration: suiteDuration(results),
+        tests: results.tests.map((test) => ({ ...test, status: test.status || 'other' }))
+    };
+}
+
+// A test's id: the one its reporter gave it, or else its file, suite and name, always within its suite
+function testId(sourceName, test) {
+    const local = test.id || [test.filePath, test.suite, test.name].filter(Boolean).join(' > ');
+    return `${sourceName}:${local}`;
+}
+
+// One test per id. A test reported more than once (a retried spec, a report given twice) keeps its last result,
+// and counts as flaky when the results disagreed
+function dedupe(tests) {
+    const byId = new Map();
+    for (const test of tests) {
+        const seen = byId.get(test.id);
+        if (!seen) {
+            byId.set(test.id, { ...test, statuses: [test.status] });
+            continue;
+        }
+        const statuses = [...seen.statuses, test.status];
+        byId.set(test.id, {
+            ...test,
+            statuses,
+            retries: (seen.retries || 0) + (test.retries || 0) + 1,
+            flaky: Boolean(test.flaky || seen.flaky || (statuses.includes('passed') && statuses.includes('failed')))
+        });
+    }
+    return [...byId.values()].map(({ statuses, ...test }) => test);
+}
+
+// The tests of every suite as one list, each tagged with its suite and id
+function mergeSources(sources) {
+    const tests = sources.flatMap((source) => source.tests.map((test) => ({
+        ...test,
+        id: testId(source.name, test),
+        extra: { ...(test.extra || {}), source: source.name }
+    })));
+    const merged = dedupe(tests);
+    return { tests: merged, duplicates: tests.length - merged.length };
+}
+
+// Counts and rates over a list of tests; rates are null when nothing ran
+function metrics(tests, duration) {
+    const count = (status) => tests.filter((test) => test.status === status).length;
+    const passed = count('passed');
+    const failed = count('failed');
+    const flaky = tests.filter((test) => test.flaky).length;
+    const executed = passed + failed;
+    return {
+        tests: tests.length,
+        passed,
+        failed,
+        skipped: count('skipped'),
+        pending: count('pending'),
+        other: tests.length - passed - failed - count('skipped') - count('pending'),
+        flaky,
+        passRate: executed > 0 ? passed / executed : null,
+        flakeRate: executed > 0 ? flaky / executed : null,
+        duration
+    };
+}
+
+// The merged report in CTRF, so the tools that read the suites' reports can read it too
+function toCtrf(sources, tests, totals, { start, stop }) {
+    return {
+        results: {
+            tool: { name: 'merged' },
+            summary: {
+                tests: totals.tests,
+                passed: totals.passed,
+                failed: totals.failed,
+                pending: totals.pending,
+                skipped: totals.skipped,
+                other: totals.other,
+                start,
+                stop
+            },
+            tests,
+            extra: { sources: sources.map(({ name, tool, file }) => ({ name, tool, file: path.relative(REPO_ROOT, file) })) }
+        }
+    };
+}
+
+module.exports = { REPO_ROOT, dedupe, fromVitest, mergeSources, metrics, readSource, testId, toCtrf };
@@ -0,0 +1,90 @@
+// Keeps a small snapshot of each aggregated run on disk, so later runs can show how the numbers moved
+
+const fs = require('fs');
+const path = require('path');
+
+const SNAPSHOT_SUFFIX = '.json';
+
+// What is kept of a run: the totals, each suite's totals and every test's status
+function snapshot(run) {
+    return {
+        timestamp: run.timestamp,
+        commit: run.commit || null,
+        branch: run.branch || null,
+        totals: run.totals,
+        suites: run.suites,
+        tests: Object.fromEntries(run.tests.map((test) => [test.id, test.status]))
+    };
+}
+
+// The snapshots in a directory, oldest first; unreadable files are skipped rather than failing the report
+function loadHistory(directory) {
+    if (!fs.existsSync(directory)) {
+        return [];
+    }
+    return fs.readdirSync(directory)
+        .filter((fileName) => fileName.endsWith(SNAPSHOT_SUFFIX))
+        .sort()
+        .flatMap((fileName) => {
+            try {
+                return [JSON.parse(fs.readFileSync(path.join(directory, fileName), 'utf8'))];
+            } catch (err) {
+                console.warn(`Skipping unreadable history file ${fileName}: ${err.message}`);
+                return [];
+            }
+        })
+        .filter((entry) => entry && entry.totals);
+}
+
+// Add a run's snapshot and drop the oldest ones beyond the limit. Files are named by time so they sort in order.
+function saveSnapshot(directory, run, limit) {
+    fs.mkdirSync(directory, { recursive: true });
+    const fileName = `${run.timestamp.replace(/[:.]/g, '-')}${SNAPSHOT_SUFFIX}`;
+    fs.writeFileSync(path.join(directory, fileName), `${JSON.stringify(snapshot(run))}\n`);
+
+    const files = fs.readdirSync(directory).filter((name) => name.endsWith(SNAPSHOT_SUFFIX)).sort();
+    for (const old of files.slice(0, Math.max(0, files.length - limit))) {
+        fs.rmSync(path.join(directory, old));
+    }
+    return fileName;
+}
+
+function change(current, previous) {
+    return current === null || previous === null || previous === undefined ? null : current - previous;
+}
+
+function average(values) {
+    const known = values.filter((value) => value !== null && value !== undefined);
+    return known.length > 0 ? known.reduce((sum, value) => sum + value, 0) / known.length : null;
+}
+
+// How a run compares with the one before it and with the average of the kept runs
+function trends(totals, history) {
+    const previous = history.length > 0 ? history[history.length - 1] : null;
+    const previousTotals = previous ? previous.totals : {};
+    return {
+        previous: previous ? { timestamp: previous.timestamp, commit: previous.commit } : null,
+        runs: history.length,
+        passRate: change(totals.passRate, previousTotals.passRate),
+        flakeRate: change(totals.flakeRate, previousTotals.flakeRate),
+        duration: change(totals.duration, previousTotals.duration),
+        tests: change(totals.tests, previousTotals.tests),
+        averagePassRate: average(history.map((entry) => entry.totals.passRate)),
+        averageFlakeRate: average(history.map((entry) => entry.totals.flakeRate)),
+        averageDuration: average(history.map((entry) => entry.totals.duration))
+    };
+}
+
+// Tests that failed now but passed in the previous run, and the other way round
+function statusChanges(tests, history) {
+    const previous = history.length > 0 ? history[history.length - 1].tests || {} : null;
+    if (!previous) {
+        return { newFailures: [], fixed: [] };
+    }
+    return {
+        newFailures: tests.filter((test) => test.status === 'failed' && previous[test.id] === 'passed'),
+        fixed: tests.filter((test) => test.status === 'passed' && previous[test.id] === 'failed')
+    };
+}
+
+module.exports = { loadHistory, saveSnapshot, snapshot, statusChanges, trends };
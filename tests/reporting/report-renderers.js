@@ -0,0 +1,255 @@
+// Renders an aggregated run as a static HTML dashboard and as a markdown summary for pull requests
+
+// Longest list of tests shown in the markdown summary; the dashboard lists every one
+const MAX_MARKDOWN_TESTS = 20;
+
+function formatRate(rate) {
+    return rate === null || rate === undefined ? 'n/a' : `${(rate * 100).toFixed(1)}%`;
+}
+
+function formatDuration(milliseconds) {
+    if (milliseconds === null || milliseconds === undefined) {
+        return 'n/a';
+    }
+    const absolute = Math.abs(milliseconds);
+    if (absolute < 1000) {
+        return `${Math.round(milliseconds)} ms`;
+    }
+    if (absolute < 60000) {
+        return `${(milliseconds / 1000).toFixed(1)} s`;
+    }
+    const minutes = Math.trunc(milliseconds / 60000);
+    const seconds = Math.round(Math.abs(milliseconds % 60000) / 1000);
+    return `${minutes}m ${seconds}s`;
+}
+
+// A change in a rate, in percentage points, signed
+function formatRateChange(change) {
+    if (change === null || change === undefined) {
+        return '';
+    }
+    const points = change * 100;
+    return `${points >= 0 ? '+' : '−'}${Math.abs(points).toFixed(1)} pts`;
+}
+
+function formatDurationChange(change, previous) {
+    if (change === null || change === undefined) {
+        return '';
+    }
+    const percent = previous ? `, ${change >= 0 ? '+' : '−'}${Math.abs((change / previous) * 100).toFixed(0)}%` : '';
+    return `${change >= 0 ? '+' : '−'}${formatDuration(Math.abs(change))}${percent}`;
+}
+
+function firstLine(text) {
+    return String(text || '').split('\n')[0].trim();
+}
+
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// Pipes and line breaks would end a markdown table cell or list item
+function escapeMarkdown(text) {
+    return String(text).replace(/\|/g, '\\|').replace(/\s*\n\s*/g, ' ');
+}
+
+function suiteRows(run) {
+    return Object.entries(run.suites).map(([name, suite]) => ({ name, ...suite }));
+}
+
+function headline(totals) {
+    if (totals.tests === 0) {
+        return 'No tests were reported';
+    }
+    if (totals.failed > 0) {
+        return `${totals.failed} of ${totals.tests} tests failed`;
+    }
+    return `All ${totals.passed} tests passed`;
+}
+
+// The summary posted on pull requests: totals per suite, trends and the failed tests
+function toMarkdown(run) {
+    const { totals, trends, changes } = run;
+    const failed = run.tests.filter((test) => test.status === 'failed');
+    const flaky = run.tests.filter((test) => test.flaky);
+    const testLine = (test) => `- \`${test.extra.source}\` ${escapeMarkdown(test.name)}` +
+        `${test.message ? ` — ${escapeMarkdown(firstLine(test.message))}` : ''}`;
+    const list = (tests) => [
+        ...tests.slice(0, MAX_MARKDOWN_TESTS).map(testLine),
+        ...(tests.length > MAX_MARKDOWN_TESTS ? [`- …and ${tests.length - MAX_MARKDOWN_TESTS} more in the dashboard`] : [])
+    ];
+
+    const lines = [
+        `## ${totals.failed > 0 ? '❌' : '✅'} ${headline(totals)}`,
+        '',
+        '| Suite | Tests | Passed | Failed | Skipped | Flaky | Pass rate | Duration |',
+        '| --- | ---: | ---: | ---: | ---: | ---: | ---: | ---: |',
+        ...suiteRows(run).map((suite) => `| ${escapeMarkdown(suite.name)} | ${suite.tests} | ${suite.passed} | ${suite.failed} | ` +
+            `${suite.skipped + suite.pending} | ${suite.flaky} | ${formatRate(suite.passRate)} | ${formatDuration(suite.duration)} |`),
+        `| **Total** | **${totals.tests}** | **${totals.passed}** | **${totals.failed}** | **${totals.skipped + totals.pending}** | ` +
+            `**${totals.flaky}** | **${formatRate(totals.passRate)}** | **${formatDuration(totals.duration)}** |`,
+        ''
+    ];
+
+    if (trends.previous) {
+        const since = trends.previous.commit ? ` (${trends.previous.commit.slice(0, 7)})` : '';
+        const withChange = (value, changeText) => (changeText ? `${value} (${changeText})` : value);
+        lines.push(`**Since the previous run${since}:** pass rate ${withChange(formatRate(totals.passRate), formatRateChange(trends.passRate))}, ` +
+            `flake rate ${withChange(formatRate(totals.flakeRate), formatRateChange(trends.flakeRate))}, ` +
+            `duration ${withChange(formatDuration(totals.duration), formatDurationChange(trends.duration, totals.duration - trends.duration))}`);
+        lines.push(`Average of the last ${trends.runs} runs: pass rate ${formatRate(trends.averagePassRate)}, ` +
+            `flake rate ${formatRate(trends.averageFlakeRate)}, duration ${formatDuration(trends.averageDuration)}`);
+    } else {
+        lines.push('No previous run to compare with.');
+    }
+
+    if (failed.length > 0) {
+        lines.push('', `### Failed tests (${failed.length})`, '', ...list(failed));
+    }
+    if (changes.newFailures.length > 0) {
+        lines.push('', `### Newly failing since the previous run (${changes.newFailures.length})`, '', ...list(changes.newFailures));
+    }
+    if (changes.fixed.length > 0) {
+        lines.push('', `### Fixed since the previous run (${changes.fixed.length})`, '', ...list(changes.fixed));
+    }
+    if (flaky.length > 0) {
+        lines.push('', `<details><summary>Flaky tests (${flaky.length})</summary>`, '', ...list(flaky), '', '</details>');
+    }
+    return `${lines.join('\n')}\n`;
+}
+
+// A small line chart of values over time; gaps are left where a value is unknown
+function sparkline(values, { width = 220, height = 40 } = {}) {
+    const known = values.filter((value) => value !== null && value !== undefined);
+    if (known.length < 2) {
+        return '<span class="muted">not enough runs yet</span>';
+    }
+    const min = Math.min(...known);
+    const max = Math.max(...known);
+    const step = width / (values.length - 1);
+    const y = (value) => (max === min ? height / 2 : height - ((value - min) / (max - min)) * (height - 4) - 2);
+    const points = values
+        .map((value, index) => (value === null || value === undefined ? null : `${(index * step).toFixed(1)},${y(value).toFixed(1)}`))
+        .filter(Boolean)
+        .join(' ');
+    return `<svg width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" role="img">` +
+        `<polyline fill="none" stroke="currentColor" stroke-width="2" points="${points}"/></svg>`;
+}
+
+const HTML_STYLE = `
+    body { font-family: system-ui, sans-serif; margin: 2rem; color: #212529; }
+    h1 { margin-bottom: 0.25rem; }
+    h2 { margin-top: 2rem; }
+    .muted { color: #6c757d; }
+    .cards { display: flex; flex-wrap: wrap; gap: 1rem; margin: 1.5rem 0; }
+    .card { border: 1px solid #dee2e6; border-radius: 6px; padding: 0.75rem 1.25rem; min-width: 11rem; }
+    .card strong { display: block; font-size: 1.5rem; }
+    .card svg { color: #0d6efd; margin-top: 0.5rem; }
+    table { border-collapse: collapse; width: 100%; }
+    th, td { border-bottom: 1px solid #dee2e6; padding: 0.4rem 0.5rem; text-align: left; vertical-align: top; }
+    td.number, th.number { text-align: right; white-space: nowrap; }
+    .passed { color: #198754; }
+    .failed { color: #dc3545; }
+    .skipped, .pending, .other { color: #6c757d; }
+    details { margin-top: 1rem; }
+    summary { cursor: pointer; font-weight: 600; }
+    pre { white-space: pre-wrap; margin: 0.25rem 0 0; font-size: 0.85rem; }`;
+
+function card(label, value, detail, chart) {
+    return `    <div class="card"><strong>${value}</strong>${escapeHtml(label)}` +
+        `${detail ? `<div class="muted">${escapeHtml(detail)}</div>` : ''}${chart || ''}</div>`;
+}
+
+function testTable(tests, { showMessage = false } = {}) {
+    const rows = tests.map((test) => `      <tr>
+        <td class="${test.status}">${test.status}${test.flaky ? ' (flaky)' : ''}</td>
+        <td>${escapeHtml(test.extra.source)}</td>
+        <td>${escapeHtml(test.name)}${test.filePath ? `<div class="muted">${escapeHtml(test.filePath)}</div>` : ''}` +
+        `${showMessage && test.message ? `<pre>${escapeHtml(test.message)}</pre>` : ''}</td>
+        <td class="number">${formatDuration(test.duration || 0)}</td>
+      </tr>`);
+    return `    <table>
+      <thead><tr><th>Status</th><th>Suite</th><th>Test</th><th class="number">Duration</th></tr></thead>
+      <tbody>
+${rows.join('\n')}
+      </tbody>
+    </table>`;
+}
+
+// A single page with the totals, their trends over the kept runs, every suite and every test
+function toHtml(run) {
+    const { totals, trends, changes } = run;
+    const runs = [...run.history.map((entry) => entry.totals), totals];
+    const failed = run.tests.filter((test) => test.status === 'failed');
+    const flaky = run.tests.filter((test) => test.flaky);
+    const suiteTable = suiteRows(run).map((suite) => `      <tr>
+        <td>${escapeHtml(suite.name)}</td>
+        <td class="number">${suite.tests}</td>
+        <td class="number passed">${suite.passed}</td>
+        <td class="number failed">${suite.failed}</td>
+        <td class="number">${suite.skipped + suite.pending}</td>
+        <td class="number">${suite.flaky}</td>
+        <td class="number">${formatRate(suite.passRate)}</td>
+        <td class="number">${formatDuration(suite.duration)}</td>
+      </tr>`);
+    const bySuite = Object.keys(run.suites).map((name) => {
+        const tests = run.tests.filter((test) => test.extra.source === name);
+        return `  <details>
+    <summary>${escapeHtml(name)} (${tests.length})</summary>
+${testTable(tests, { showMessage: true })}
+  </details>`;
+    });
+    const section = (title, tests) => (tests.length > 0
+        ? `  <h2>${escapeHtml(title)} (${tests.length})</h2>\n${testTable(tests, { showMessage: true })}`
+        : '');
+    const previous = trends.previous
+        ? `compared with the run of ${trends.previous.timestamp}${trends.previous.commit ? ` (${trends.previous.commit.slice(0, 7)})` : ''}`
+        : 'no previous run to compare with';
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>Test results - ${escapeHtml(headline(totals))}</title>
+  <style>${HTML_STYLE}
+  </style>
+</head>
+<body>
+  <h1 class="${totals.failed > 0 ? 'failed' : 'passed'}">${escapeHtml(headline(totals))}</h1>
+  <p class="muted">${escapeHtml(run.timestamp)}${run.branch ? `, ${escapeHtml(run.branch)}` : ''}` +
+        `${run.commit ? ` at ${escapeHtml(run.commit.slice(0, 7))}` : ''}; ${escapeHtml(previous)}` +
+        `${run.duplicates > 0 ? `; ${run.duplicates} duplicate results merged` : ''}</p>
+  <div class="cards">
+${card('tests', totals.tests, trends.tests ? `${trends.tests > 0 ? '+' : ''}${trends.tests} since previous` : '')}
+${card('pass rate', formatRate(totals.passRate), formatRateChange(trends.passRate), sparkline(runs.map((entry) => entry.passRate)))}
+${card('flake rate', formatRate(totals.flakeRate), formatRateChange(trends.flakeRate), sparkline(runs.map((entry) => entry.flakeRate)))}
+${card('duration', formatDuration(totals.duration), formatDurationChange(trends.duration, totals.duration - trends.duration),
+        sparkline(runs.map((entry) => entry.duration)))}
+  </div>
+  <p class="muted">Trends cover the last ${runs.length} run${runs.length === 1 ? '' : 's'}, oldest on the left.</p>
+
+  <h2>Suites</h2>
+  <table>
+    <thead>
+      <tr><th>Suite</th><th class="number">Tests</th><th class="number">Passed</th><th class="number">Failed</th>` +
+        `<th class="number">Skipped</th><th class="number">Flaky</th><th class="number">Pass rate</th><th class="number">Duration</th></tr>
+    </thead>
+    <tbody>
+${suiteTable.join('\n')}
+    </tbody>
+  </table>
+${[section('Failed tests', failed), section('Newly failing since the previous run', changes.newFailures),
+        section('Fixed since the previous run', changes.fixed), section('Flaky tests', flaky)].filter(Boolean).join('\n')}
+
+  <h2>All tests</h2>
+${bySuite.join('\n')}
+</body>
+</html>
+`;
+}
+
+module.exports = { formatDuration, formatRate, sparkline, toHtml, toMarkdown };